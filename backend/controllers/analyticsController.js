@@ -1,6 +1,8 @@
-const { Expenditure, WorksCompleted, Summary } = require('../models')
-const { getLsTermSelection } = require('../utils/lsTerm')
-const { escapeRegex } = require('../utils/validators')
+const { Expenditure, WorksCompleted, Summary, AnomalyFlag, ANOMALY_RULES } = require('../models')
+const { escapeRegex, validatePagination } = require('../utils/validators')
+const { compileMatch, houseGate, resolveMpMatch } = require('../utils/queryFilters')
+const { getTermPeriod } = require('../utils/lsTerm')
+const { getConstituencyDemographics, normalizeMetrics } = require('../utils/demographics')
 
 // GET /api/analytics/trends - Time-based utilization trends
 const getUtilizationTrends = async (req, res, next) => {
@@ -10,39 +12,20 @@ const getUtilizationTrends = async (req, res, next) => {
       end_year = new Date().getFullYear(),
       state,
       house,
+      party,
+      alliance,
       granularity = 'yearly', // yearly, quarterly, monthly
     } = req.query
 
-    // Build base match conditions (non-house filters)
-    const matchConditions = {}
-    if (state) matchConditions.state = new RegExp(escapeRegex(state), 'i')
-
-    // Apply house/term gating consistently across pipelines
-    const lsSel = getLsTermSelection(req)
-    let houseGate
-    if (house === 'Lok Sabha') {
-      houseGate = {
-        house: 'Lok Sabha',
-        lsTerm: lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10),
-      }
-    } else if (house === 'Rajya Sabha') {
-      houseGate = { house: 'Rajya Sabha' }
-    } else {
-      // Both Houses or unspecified: mix RS + LS(term)
-      houseGate = {
-        $or: [
-          { house: 'Rajya Sabha' },
-          {
-            house: 'Lok Sabha',
-            lsTerm: lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10),
-          },
-        ],
-      }
-    }
+    // Shared filters: state, party, house/term gate and the year span
+    const filterMatch = await compileMatch(
+      { state, house, party, alliance, ls_term: req.query.ls_term, start_year, end_year },
+      'expenditures'
+    )
 
     // Yearly utilization trends
     const yearlyTrends = await Expenditure.aggregate([
-      { $match: { $and: [matchConditions, houseGate] } },
+      { $match: filterMatch },
       {
         $project: {
           amount: { $toDouble: { $ifNull: ['$expenditureAmount', '$amount'] } },
@@ -50,7 +33,6 @@ const getUtilizationTrends = async (req, res, next) => {
           mp_id: 1,
         },
       },
-      { $match: { year: { $gte: parseInt(start_year), $lte: parseInt(end_year) } } },
       { $lookup: { from: 'mps', localField: 'mp_id', foreignField: '_id', as: 'mp_details' } },
       { $unwind: { path: '$mp_details', preserveNullAndEmptyArrays: true } },
       {
@@ -84,7 +66,7 @@ const getUtilizationTrends = async (req, res, next) => {
     let monthlyTrends = []
     if (granularity === 'monthly') {
       monthlyTrends = await Expenditure.aggregate([
-        { $match: { $and: [matchConditions, houseGate] } },
+        { $match: filterMatch },
         {
           $project: {
             amount: { $toDouble: { $ifNull: ['$expenditureAmount', '$amount'] } },
@@ -114,7 +96,7 @@ const getUtilizationTrends = async (req, res, next) => {
 
     // Category-wise trends
     const categoryTrends = await Expenditure.aggregate([
-      { $match: { $and: [matchConditions, houseGate] } },
+      { $match: filterMatch },
       {
         $project: {
           amount: { $toDouble: { $ifNull: ['$expenditureAmount', '$amount'] } },
@@ -122,7 +104,6 @@ const getUtilizationTrends = async (req, res, next) => {
           category: { $ifNull: ['$category', '$expenditureCategory'] },
         },
       },
-      { $match: { year: { $gte: parseInt(start_year), $lte: parseInt(end_year) } } },
       {
         $group: {
           _id: { year: '$year', category: '$category' },
@@ -149,7 +130,7 @@ const getUtilizationTrends = async (req, res, next) => {
 
     // Works completion trends
     const worksTrends = await WorksCompleted.aggregate([
-      { $match: { $and: [matchConditions, houseGate] } },
+      { $match: filterMatch },
       {
         $project: {
           year: {
@@ -162,7 +143,6 @@ const getUtilizationTrends = async (req, res, next) => {
           beneficiaries: { $toDouble: { $ifNull: ['$beneficiaries', 0] } },
         },
       },
-      { $match: { year: { $gte: parseInt(start_year), $lte: parseInt(end_year) } } },
       {
         $group: {
           _id: '$year',
@@ -201,6 +181,8 @@ const getUtilizationTrends = async (req, res, next) => {
         filters: {
           state,
           house,
+          party,
+          alliance,
         },
         lastUpdated: new Date().toISOString(),
       },
@@ -219,21 +201,15 @@ const getTopPerformers = async (req, res, next) => {
       house,
       metric = 'utilization', // utilization, expenditure, works_completed
       year,
+      party,
+      alliance,
     } = req.query
 
     // Build term-aware match on summaries (mp_summary)
-    const match = { type: 'mp_summary' }
-    if (state) match.state = new RegExp(escapeRegex(state), 'i')
-    if (house === 'Lok Sabha') {
-      const sel = getLsTermSelection(req)
-      Object.assign(
-        match,
-        { house: 'Lok Sabha' },
-        sel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(sel, 10) }
-      )
-    } else if (house === 'Rajya Sabha') {
-      Object.assign(match, { house: 'Rajya Sabha' })
-    }
+    const match = await compileMatch(
+      { state, house, party, alliance, ls_term: req.query.ls_term },
+      'summaries'
+    )
 
     // Map metric to summary fields
     const metricMap = {
@@ -245,7 +221,7 @@ const getTopPerformers = async (req, res, next) => {
 
     const topPerformers = await Summary.find(match)
       .select(
-        'mpName constituency state house utilizationPercentage totalExpenditure completedWorksCount allocatedAmount'
+        'mpName constituency state house party alliance utilizationPercentage totalExpenditure completedWorksCount allocatedAmount'
       )
       .sort({ [sortField]: -1 })
       .limit(parseInt(top_n))
@@ -284,11 +260,25 @@ const getTopPerformers = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        topPerformers,
+        // Lok Sabha members also get spend per lakh people of their constituency
+        topPerformers: topPerformers.map(mp => ({
+          ...mp,
+          normalized:
+            mp.house === 'Lok Sabha'
+              ? normalizeMetrics(
+                  {
+                    allocated: mp.allocatedAmount || 0,
+                    spent: mp.totalExpenditure || 0,
+                    worksCompleted: mp.completedWorksCount || 0,
+                  },
+                  getConstituencyDemographics(mp.state, mp.constituency)
+                )
+              : null,
+        })),
         comparisonStats: comparisonAgg[0] || {},
         stateWiseTopPerformers,
         metric,
-        parameters: { top_n: parseInt(top_n), state, house, year },
+        parameters: { top_n: parseInt(top_n), state, house, party, alliance, year },
         lastUpdated: new Date().toISOString(),
       },
     })
@@ -300,32 +290,13 @@ const getTopPerformers = async (req, res, next) => {
 // GET /api/analytics/performance-distribution - Distribution (term-aware via summaries)
 const getPerformanceDistribution = async (req, res, next) => {
   try {
-    const { state, house } = req.query
+    const { state, house, party, alliance } = req.query
 
     // Term-aware match on summaries
-    const match = { type: 'mp_summary' }
-    if (state) match.state = new RegExp(escapeRegex(state), 'i')
-    const sel = getLsTermSelection(req)
-    if (house === 'Lok Sabha') {
-      Object.assign(
-        match,
-        { house: 'Lok Sabha' },
-        sel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(sel, 10) }
-      )
-    } else if (house === 'Rajya Sabha') {
-      Object.assign(match, { house: 'Rajya Sabha' })
-    } else {
-      // Default when house unspecified: include RS + LS(selected term; defaults to 18)
-      Object.assign(match, {
-        $or: [
-          { house: 'Rajya Sabha' },
-          {
-            house: 'Lok Sabha',
-            ...(sel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(sel, 10) }),
-          },
-        ],
-      })
-    }
+    const match = await compileMatch(
+      { state, house, party, alliance, ls_term: req.query.ls_term },
+      'summaries'
+    )
 
     // Utilization distribution buckets (over summaries)
     const utilizationDistribution = await Summary.aggregate([
@@ -380,6 +351,8 @@ const getPerformanceDistribution = async (req, res, next) => {
         filters: {
           state,
           house,
+          party,
+          alliance,
         },
         lastUpdated: new Date().toISOString(),
       },
@@ -389,8 +362,457 @@ const getPerformanceDistribution = async (req, res, next) => {
   }
 }
 
+// Complete months of spending the run-rate is averaged over
+const RUN_RATE_MONTHS = 6
+// Rajya Sabha records carry no term; a member's six-year term is counted from the first payment
+const RAJYA_SABHA_TERM_MONTHS = 72
+
+// Months are handled as indexes (year * 12 + month) so spans are plain subtraction
+const monthIndex = date => date.getUTCFullYear() * 12 + date.getUTCMonth()
+const monthKey = index => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`
+const parseMonthKey = key => {
+  const [year, month] = key.split('-').map(Number)
+  return year * 12 + month - 1
+}
+const round2 = value => Math.round(value * 100) / 100
+
+// GET /api/analytics/velocity - Monthly spend velocity and end-of-term lapse projection
+const getSpendVelocity = async (req, res, next) => {
+  try {
+    const { mp_id, state, house } = req.query
+
+    if (mp_id && !(await resolveMpMatch(mp_id))) {
+      return res.status(404).json({ success: false, error: 'MP not found' })
+    }
+
+    const filters = { mp_id, state, house, ls_term: req.query.ls_term }
+    const [summaryMatch, expenditureMatch] = await Promise.all([
+      compileMatch(filters, 'summaries'),
+      compileMatch(filters, 'expenditures'),
+    ])
+
+    const [allocationAgg, monthlyAgg, terms] = await Promise.all([
+      Summary.aggregate([
+        { $match: summaryMatch },
+        {
+          $group: {
+            _id: null,
+            allocation: { $sum: { $ifNull: ['$allocatedAmount', 0] } },
+            mpCount: { $sum: 1 },
+          },
+        },
+      ]),
+      Expenditure.aggregate([
+        { $match: expenditureMatch },
+        {
+          $group: {
+            _id: {
+              $cond: [
+                { $eq: [{ $type: '$expenditureDate' }, 'date'] },
+                { $dateToString: { format: '%Y-%m', date: '$expenditureDate' } },
+                null,
+              ],
+            },
+            spent: { $sum: { $toDouble: { $ifNull: ['$expenditureAmount', 0] } } },
+            payments: { $sum: 1 },
+            lastPaymentDate: { $max: '$expenditureDate' },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Summary.distinct('lsTerm', summaryMatch),
+    ])
+
+    const allocation = allocationAgg[0]?.allocation || 0
+    const dated = monthlyAgg.filter(month => month._id)
+    const undatedSpend = monthlyAgg.find(month => !month._id)?.spent || 0
+    const spent = monthlyAgg.reduce((sum, month) => sum + month.spent, 0)
+    const spentByMonth = new Map(dated.map(month => [parseMonthKey(month._id), month]))
+    const lastPaymentDate = dated.length > 0 ? dated[dated.length - 1].lastPaymentDate : null
+
+    // The window runs over the selected Lok Sabha terms; staggered Rajya Sabha
+    // terms fall back to six years from the first payment
+    const periods = terms
+      .filter(term => term !== null)
+      .sort((a, b) => a - b)
+      .map(getTermPeriod)
+      .filter(Boolean)
+    let startIndex = null
+    let endIndex = null
+    if (periods.length > 0) {
+      startIndex = monthIndex(periods[0].start)
+      endIndex = monthIndex(periods[periods.length - 1].end)
+    } else if (dated.length > 0) {
+      startIndex = parseMonthKey(dated[0]._id)
+      endIndex = startIndex + RAJYA_SABHA_TERM_MONTHS
+    }
+
+    if (startIndex === null) {
+      return res.json({
+        success: true,
+        data: {
+          filters: { mp_id, state, house },
+          period: null,
+          allocation: round2(allocation),
+          spent: round2(spent),
+          undatedSpend: round2(undatedSpend),
+          utilization: allocation > 0 ? round2((spent / allocation) * 100) : null,
+          lastPaymentDate: null,
+          monthsSinceLastPayment: null,
+          runRate: { months: RUN_RATE_MONTHS, monthly: 0 },
+          projection: null,
+          monthly: [],
+          lastUpdated: new Date().toISOString(),
+        },
+      })
+    }
+
+    const asOfIndex = Math.min(monthIndex(new Date()), endIndex)
+    const monthsRemaining = endIndex - asOfIndex
+
+    // Cumulative spend per month, from the term start (or an earlier payment) to today
+    const firstIndex =
+      dated.length > 0 ? Math.min(startIndex, parseMonthKey(dated[0]._id)) : startIndex
+    const lastIndex = Math.max(asOfIndex, lastPaymentDate ? monthIndex(lastPaymentDate) : asOfIndex)
+    const monthly = []
+    let cumulative = 0
+    for (let index = firstIndex; index <= lastIndex; index++) {
+      const month = spentByMonth.get(index)
+      cumulative += month?.spent || 0
+      monthly.push({
+        month: monthKey(index),
+        spent: round2(month?.spent || 0),
+        payments: month?.payments || 0,
+        cumulative: round2(cumulative),
+      })
+    }
+
+    // Run-rate over the last complete months before today (or before the term ended)
+    const rateMonths = Math.max(1, Math.min(RUN_RATE_MONTHS, asOfIndex - startIndex))
+    let recentSpend = 0
+    for (let index = asOfIndex - rateMonths; index < asOfIndex; index++) {
+      recentSpend += spentByMonth.get(index)?.spent || 0
+    }
+    const monthlyRunRate = recentSpend / rateMonths
+
+    // Spend continues at the run-rate until the term ends, never beyond the allocation
+    const capAtAllocation = amount => (allocation > 0 ? Math.min(amount, allocation) : amount)
+    const spendAtTermEnd = capAtAllocation(spent + monthlyRunRate * monthsRemaining)
+    const projectionSeries = []
+    if (monthsRemaining > 0) {
+      for (let index = asOfIndex; index <= endIndex; index++) {
+        projectionSeries.push({
+          month: monthKey(index),
+          cumulative: round2(capAtAllocation(spent + monthlyRunRate * (index - asOfIndex))),
+        })
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        filters: { mp_id, state, house },
+        period: {
+          lsTerms: periods.map(period => period.term),
+          start: monthKey(startIndex),
+          end: monthKey(endIndex),
+          asOf: monthKey(asOfIndex),
+          monthsElapsed: asOfIndex - startIndex,
+          monthsRemaining,
+          ended: monthsRemaining === 0,
+        },
+        allocation: round2(allocation),
+        spent: round2(spent),
+        undatedSpend: round2(undatedSpend),
+        utilization: allocation > 0 ? round2((spent / allocation) * 100) : null,
+        lastPaymentDate,
+        monthsSinceLastPayment: lastPaymentDate
+          ? Math.max(0, asOfIndex - monthIndex(lastPaymentDate))
+          : null,
+        runRate: { months: rateMonths, monthly: round2(monthlyRunRate) },
+        projection: {
+          spendAtTermEnd: round2(spendAtTermEnd),
+          unspentAtTermEnd: round2(Math.max(allocation - spendAtTermEnd, 0)),
+          utilizationAtTermEnd: allocation > 0 ? round2((spendAtTermEnd / allocation) * 100) : null,
+          series: projectionSeries,
+        },
+        monthly,
+        lastUpdated: new Date().toISOString(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Labels for MPs with no entry in the party reference file, and parties outside any alliance
+const UNLISTED_PARTY = 'Unlisted'
+const UNALIGNED = 'Unaligned'
+
+const partyLabel = row => row._id.party || UNLISTED_PARTY
+const allianceLabel = row => row._id.alliance || (row._id.party ? UNALIGNED : UNLISTED_PARTY)
+
+/**
+ * Sum summary rows (grouped by party and alliance) and completed-work rows
+ * (grouped by party, alliance and sector) under one label per party or alliance
+ * @param {Function} keyOf - partyLabel or allianceLabel
+ * @param {Function} memberOf - Label listed under `members` (alliances of a party, or the reverse)
+ */
+const rollUpParties = (summaryRows, sectorRows, keyOf, memberOf) => {
+  const groups = new Map()
+  const groupOf = key => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        name: key,
+        members: new Set(),
+        mpCount: 0,
+        allocatedAmount: 0,
+        totalExpenditure: 0,
+        completedWorksCount: 0,
+        recommendedWorksCount: 0,
+        utilizationSum: 0,
+        sectors: new Map(),
+      })
+    }
+    return groups.get(key)
+  }
+
+  summaryRows.forEach(row => {
+    const group = groupOf(keyOf(row))
+    group.members.add(memberOf(row))
+    group.mpCount += row.mpCount
+    group.allocatedAmount += row.allocatedAmount
+    group.totalExpenditure += row.totalExpenditure
+    group.completedWorksCount += row.completedWorksCount
+    group.recommendedWorksCount += row.recommendedWorksCount
+    group.utilizationSum += row.utilizationSum
+  })
+  sectorRows.forEach(row => {
+    const group = groupOf(keyOf(row))
+    const name = row._id.sector || 'Other'
+    const sector = group.sectors.get(name) || { sector: name, workCount: 0, totalCost: 0 }
+    sector.workCount += row.workCount
+    sector.totalCost += row.totalCost
+    group.sectors.set(name, sector)
+  })
+
+  return [...groups.values()]
+    .map(({ members, utilizationSum, sectors, ...group }) => {
+      const works = group.completedWorksCount + group.recommendedWorksCount
+      const sectorCost = [...sectors.values()].reduce((sum, sector) => sum + sector.totalCost, 0)
+      return {
+        ...group,
+        members: [...members].sort(),
+        allocatedAmount: round2(group.allocatedAmount),
+        totalExpenditure: round2(group.totalExpenditure),
+        // Pooled over the group's tenures, so large allocations weigh more
+        utilizationPercentage:
+          group.allocatedAmount > 0
+            ? round2(Math.min((group.totalExpenditure / group.allocatedAmount) * 100, 100))
+            : 0,
+        avgUtilization: group.mpCount > 0 ? round2(utilizationSum / group.mpCount) : 0,
+        completionRate: works > 0 ? round2((group.completedWorksCount / works) * 100) : 0,
+        sectors: [...sectors.values()]
+          .map(sector => ({
+            ...sector,
+            totalCost: round2(sector.totalCost),
+            share: sectorCost > 0 ? round2((sector.totalCost / sectorCost) * 100) : 0,
+          }))
+          .sort((a, b) => b.totalCost - a.totalCost),
+      }
+    })
+    .sort((a, b) => b.allocatedAmount - a.allocatedAmount)
+}
+
+// GET /api/analytics/parties - Utilization, completion rate and sector mix by party and alliance
+const getPartyAnalytics = async (req, res, next) => {
+  try {
+    const { state, house, party, alliance } = req.query
+    const filters = { state, house, party, alliance, ls_term: req.query.ls_term }
+
+    // Tenures count under the party they ended with; completed works under the
+    // party on their completion date, so a mid-term switch splits the sector mix
+    const [summaryMatch, worksMatch] = await Promise.all([
+      compileMatch(filters, 'summaries'),
+      compileMatch(filters, 'works_completed'),
+    ])
+
+    const [summaryRows, sectorRows] = await Promise.all([
+      Summary.aggregate([
+        { $match: summaryMatch },
+        {
+          $group: {
+            _id: { party: '$party', alliance: '$alliance' },
+            mpCount: { $sum: 1 },
+            allocatedAmount: { $sum: { $ifNull: ['$allocatedAmount', 0] } },
+            totalExpenditure: { $sum: { $ifNull: ['$totalExpenditure', 0] } },
+            completedWorksCount: { $sum: { $ifNull: ['$completedWorksCount', 0] } },
+            recommendedWorksCount: { $sum: { $ifNull: ['$recommendedWorksCount', 0] } },
+            utilizationSum: { $sum: { $ifNull: ['$utilizationPercentage', 0] } },
+          },
+        },
+      ]),
+      WorksCompleted.aggregate([
+        { $match: worksMatch },
+        {
+          $group: {
+            _id: { party: '$party', alliance: '$alliance', sector: '$sector' },
+            workCount: { $sum: 1 },
+            totalCost: { $sum: { $ifNull: ['$finalAmount', 0] } },
+          },
+        },
+      ]),
+    ])
+
+    const parties = rollUpParties(summaryRows, sectorRows, partyLabel, allianceLabel).map(
+      ({ name, members, ...group }) => ({ party: name, alliances: members, ...group })
+    )
+    const alliances = rollUpParties(summaryRows, sectorRows, allianceLabel, partyLabel).map(
+      ({ name, members, ...group }) => ({ alliance: name, parties: members, ...group })
+    )
+
+    res.json({
+      success: true,
+      data: {
+        parties,
+        alliances,
+        filters: { state, house, party, alliance },
+        lastUpdated: new Date().toISOString(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Share of MP tenures that need a sourced party before party comparisons are shown;
+// below it most MPs fall under "Unlisted" and the rollups would mislead
+const PARTY_COVERAGE_MIN = 0.5
+
+// GET /api/analytics/parties/coverage - How many MP tenures have a sourced party affiliation
+const getPartyCoverage = async (req, res, next) => {
+  try {
+    const [total, affiliated] = await Promise.all([
+      Summary.countDocuments({ type: 'mp_summary' }),
+      Summary.countDocuments({ type: 'mp_summary', party: { $nin: [null, ''] } }),
+    ])
+    const share = total > 0 ? affiliated / total : 0
+
+    res.json({
+      success: true,
+      data: {
+        affiliated,
+        total,
+        share: round2(share * 100),
+        available: share >= PARTY_COVERAGE_MIN,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 }
+
+// GET /api/analytics/flags - Anomaly flags on works and MPs, with the reason each fired
+const getAnomalyFlags = async (req, res, next) => {
+  try {
+    const { rule, severity, entity, state, mp_id, mp_name, constituency, work_ids } = req.query
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit || 50)
+
+    const match = {}
+    if (rule) match.rule = { $in: rule.split(',').filter(r => ANOMALY_RULES.includes(r)) }
+    if (severity) match.severity = { $in: severity.split(',') }
+    if (entity) match.entityType = entity
+    if (state) match.state = new RegExp(`^${escapeRegex(state)}$`, 'i')
+    if (constituency) match.constituency = new RegExp(`^${escapeRegex(constituency)}$`, 'i')
+    if (mp_name) match.mpName = new RegExp(`^${escapeRegex(mp_name)}$`, 'i')
+    if (work_ids) match.workId = { $in: work_ids.split(',').map(Number) }
+
+    if (mp_id) {
+      // An MP summary pins the house and term, so no further gating is needed
+      const mp = await Summary.findOne({ _id: mp_id, type: 'mp_summary' })
+        .select('mpName house lsTerm')
+        .lean()
+      if (!mp) {
+        return res.status(404).json({ success: false, error: 'MP not found' })
+      }
+      Object.assign(match, { mpName: mp.mpName, house: mp.house, lsTerm: mp.lsTerm ?? null })
+    } else {
+      Object.assign(match, houseGate(req.query))
+    }
+
+    const [result] = await AnomalyFlag.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          flags: [
+            {
+              $addFields: {
+                _severityOrder: {
+                  $switch: {
+                    branches: Object.entries(SEVERITY_ORDER).map(([value, order]) => ({
+                      case: { $eq: ['$severity', value] },
+                      then: order,
+                    })),
+                    default: 3,
+                  },
+                },
+              },
+            },
+            { $sort: { _severityOrder: 1, detectedAt: -1, _id: 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { _severityOrder: 0 } },
+          ],
+          byRule: [
+            { $group: { _id: '$rule', title: { $first: '$title' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $project: { _id: 0, rule: '$_id', title: 1, count: 1 } },
+          ],
+          bySeverity: [{ $group: { _id: '$severity', count: { $sum: 1 } } }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ])
+
+    const totalCount = result.total[0]?.count || 0
+    const totalPages = Math.ceil(totalCount / limit)
+    res.json({
+      success: true,
+      data: {
+        flags: result.flags,
+        summary: {
+          total: totalCount,
+          byRule: result.byRule,
+          bySeverity: Object.fromEntries(
+            Object.keys(SEVERITY_ORDER).map(level => [
+              level,
+              result.bySeverity.find(s => s._id === level)?.count || 0,
+            ])
+          ),
+        },
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 module.exports = {
   getUtilizationTrends,
   getTopPerformers,
   getPerformanceDistribution,
+  getAnomalyFlags,
+  getSpendVelocity,
+  getPartyAnalytics,
+  getPartyCoverage,
 }
@@ -1,7 +1,6 @@
 const { Expenditure } = require('../models')
-const { getLsTermSelection } = require('../utils/lsTerm')
-const { ObjectId } = require('mongodb')
-const { escapeRegex, validatePagination } = require('../utils/validators')
+const { validatePagination } = require('../utils/validators')
+const { compileMatch } = require('../utils/queryFilters')
 
 // GET /api/expenditures - Expenditure list with filters
 const getExpenditures = async (req, res, next) => {
@@ -22,72 +21,8 @@ const getExpenditures = async (req, res, next) => {
     // Sanitize pagination
     const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
 
-    // Build match conditions
-    const plainMatch = {}
-    const andClauses = []
-
-    if (mp_id) {
-      // Support both string and ObjectId storage of mp_id
-      andClauses.push({ $or: [{ mp_id: mp_id }, { mp_id: new ObjectId(mp_id) }] })
-    }
-    if (state) plainMatch.state = new RegExp(escapeRegex(state), 'i')
-    // Defer year filter to after projection so it works for both expenditureDate/date fields
-    const yearVal = year ? parseInt(year) : null
-    if (category) plainMatch.category = new RegExp(escapeRegex(category), 'i')
-
-    // Amount range filter with validation – applied after projection on normalized amount
-    let normalizedAmountFilter = null
-    if (min_amount !== undefined || max_amount !== undefined) {
-      const amountFilter = {}
-      if (min_amount !== undefined) {
-        const minVal = parseFloat(min_amount)
-        if (!isNaN(minVal) && minVal >= 0) amountFilter.$gte = minVal
-      }
-      if (max_amount !== undefined) {
-        const maxVal = parseFloat(max_amount)
-        if (!isNaN(maxVal) && maxVal >= 0) amountFilter.$lte = maxVal
-      }
-      if (Object.keys(amountFilter).length > 0) {
-        normalizedAmountFilter = amountFilter
-      }
-    }
-
-    // Search in description or MP name - escape regex to prevent injection attacks
-    if (search) {
-      const escapedSearch = escapeRegex(search.trim())
-      andClauses.push({
-        $or: [
-          { work: new RegExp(escapedSearch, 'i') },
-          { vendor: new RegExp(escapedSearch, 'i') },
-          { ida: new RegExp(escapedSearch, 'i') },
-          { mpName: new RegExp(escapedSearch, 'i') },
-        ],
-      })
-    }
-
-    // Apply house/term gating
-    const house = req.query.house
-    const lsSel = getLsTermSelection(req)
-    let houseGate
-    if (house === 'Lok Sabha') {
-      houseGate = {
-        house: 'Lok Sabha',
-        lsTerm: lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10),
-      }
-    } else if (house === 'Rajya Sabha') {
-      houseGate = { house: 'Rajya Sabha' }
-    } else {
-      // Both Houses or unspecified: mix RS + LS(term)
-      houseGate = {
-        $or: [
-          { house: 'Rajya Sabha' },
-          {
-            house: 'Lok Sabha',
-            lsTerm: lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10),
-          },
-        ],
-      }
-    }
+    // Build match conditions (house/term gate included)
+    const matchConditions = await compileMatch(req.query, 'expenditures')
 
     // Sort configuration
     const requestedSortField = sort.startsWith('-') ? sort.substring(1) : sort
@@ -96,11 +31,8 @@ const getExpenditures = async (req, res, next) => {
     const sortField = requestedSortField === 'amount' ? 'amountNorm' : requestedSortField
     const sortConfig = { [sortField]: requestedSortDir }
 
-    // Consolidate plain and AND clauses
-    if (Object.keys(plainMatch).length > 0) andClauses.push(plainMatch)
-
     const pipeline = [
-      { $match: { $and: [...andClauses, houseGate] } },
+      { $match: matchConditions },
       {
         $lookup: {
           from: 'mps',
@@ -133,33 +65,17 @@ const getExpenditures = async (req, res, next) => {
           },
         },
       },
-      ...(yearVal ? [{ $match: { year: yearVal } }] : []),
-      ...(normalizedAmountFilter ? [{ $match: { amountNorm: normalizedAmountFilter } }] : []),
       { $sort: sortConfig },
       { $skip: skip },
       { $limit: safeLimit },
     ]
 
     const expenditures = await Expenditure.aggregate(pipeline)
-    // Compute totalCount using same normalized amount filtering
-    const countPipeline = [
-      { $match: { $and: [...andClauses, houseGate] } },
-      {
-        $project: {
-          amountNorm: { $toDouble: { $ifNull: ['$amount', '$expenditureAmount'] } },
-          year: { $ifNull: ['$year', { $year: { $ifNull: ['$expenditureDate', '$date'] } }] },
-        },
-      },
-      ...(yearVal ? [{ $match: { year: yearVal } }] : []),
-      ...(normalizedAmountFilter ? [{ $match: { amountNorm: normalizedAmountFilter } }] : []),
-      { $count: 'total' },
-    ]
-    const countAgg = await Expenditure.aggregate(countPipeline)
-    const totalCount = countAgg[0]?.total || 0
+    const totalCount = await Expenditure.countDocuments(matchConditions)
 
     // Get summary statistics for current filters
     const summaryPipeline = [
-      { $match: { $and: [...andClauses, houseGate] } },
+      { $match: matchConditions },
       {
         $project: {
           amountNorm: { $toDouble: { $ifNull: ['$amount', '$expenditureAmount'] } },
@@ -168,8 +84,6 @@ const getExpenditures = async (req, res, next) => {
           year: { $ifNull: ['$year', { $year: { $ifNull: ['$expenditureDate', '$date'] } }] },
         },
       },
-      ...(yearVal ? [{ $match: { year: yearVal } }] : []),
-      ...(normalizedAmountFilter ? [{ $match: { amountNorm: normalizedAmountFilter } }] : []),
       {
         $group: {
           _id: null,
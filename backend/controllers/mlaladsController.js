@@ -0,0 +1,607 @@
+const { MLALADS } = require('../models')
+const { getAssemblyTermSelection, buildAssemblyTermFilter } = require('../utils/assemblyTerm')
+const { escapeRegex, validatePagination } = require('../utils/validators')
+
+const { Summary, WorksCompleted, WorksRecommended, Expenditure } = MLALADS
+
+// MLALADS summaries reuse the MPLADS field names: mp_summary documents describe one MLA
+// (name in mpName) and house is 'Vidhan Sabha' or 'Vidhan Parishad'.
+
+// Percentage of two numeric fields, capped at 100 and 0 when the base is empty
+const percentExpr = (part, whole) => ({
+  $cond: [
+    { $gt: [{ $ifNull: [whole, 0] }, 0] },
+    { $min: [{ $multiply: [{ $divide: [{ $ifNull: [part, 0] }, whole] }, 100] }, 100] },
+    0,
+  ],
+})
+
+// Match on state, house and assembly term shared by every MLALADS endpoint
+const buildScopeMatch = req => {
+  const { state, house } = req.query
+  const match = { ...buildAssemblyTermFilter(getAssemblyTermSelection(req)) }
+  // State names come from page URLs, so match them case-insensitively
+  if (state && state.trim()) match.state = new RegExp(`^${escapeRegex(state.trim())}$`, 'i')
+  if (house) match.house = house
+  return match
+}
+
+// Work/expenditure filters; mla_name narrows to one member
+const buildRecordMatch = (req, { categoryField, amountField }) => {
+  const { constituency, category, search, mla_name, min_cost, max_cost } = req.query
+  const match = buildScopeMatch(req)
+  if (constituency && constituency.trim()) match.constituency = constituency.trim()
+  if (mla_name && mla_name.trim()) match.mpName = mla_name.trim()
+  if (categoryField && category && category.trim()) {
+    match[categoryField] = new RegExp(escapeRegex(category.trim()), 'i')
+  }
+  if (amountField && (min_cost || max_cost)) {
+    match[amountField] = {
+      ...(min_cost ? { $gte: parseFloat(min_cost) } : {}),
+      ...(max_cost ? { $lte: parseFloat(max_cost) } : {}),
+    }
+  }
+  if (search && search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i')
+    match.$or = [
+      { workDescription: searchRegex },
+      { work: searchRegex },
+      { ida: searchRegex },
+      { mpName: searchRegex },
+    ]
+  }
+  return match
+}
+
+const sortStage = (sort, fallback) => {
+  const value = sort || fallback
+  return value.startsWith('-') ? { [value.substring(1)]: -1 } : { [value]: 1 }
+}
+
+// GET /api/mlalads/summary/overview
+const getOverview = async (req, res, next) => {
+  try {
+    const [doc] = await Summary.aggregate([
+      { $match: { type: 'mp_summary', ...buildScopeMatch(req) } },
+      {
+        $group: {
+          _id: null,
+          totalMLAs: { $sum: 1 },
+          totalAllocated: { $sum: { $ifNull: ['$allocatedAmount', 0] } },
+          totalExpenditure: { $sum: { $ifNull: ['$totalExpenditure', 0] } },
+          totalTransactions: { $sum: { $ifNull: ['$transactionCount', 0] } },
+          avgAllocation: { $avg: { $ifNull: ['$allocatedAmount', 0] } },
+          totalWorksCompleted: { $sum: { $ifNull: ['$completedWorksCount', 0] } },
+          totalWorksRecommended: { $sum: { $ifNull: ['$recommendedWorksCount', 0] } },
+          completedWorksValue: { $sum: { $ifNull: ['$completedWorksValue', 0] } },
+          inProgressPayments: { $sum: { $ifNull: ['$inProgressPayments', 0] } },
+        },
+      },
+      {
+        $addFields: {
+          utilizationPercentage: percentExpr('$totalExpenditure', '$totalAllocated'),
+          paymentGap: percentExpr('$inProgressPayments', '$totalExpenditure'),
+          completionRate: percentExpr('$totalWorksCompleted', '$totalWorksRecommended'),
+        },
+      },
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        totalAllocated: doc?.totalAllocated || 0,
+        totalExpenditure: doc?.totalExpenditure || 0,
+        utilizationPercentage: doc?.utilizationPercentage || 0,
+        // totalMPs keeps the MPLADS overview shape so the same widgets can render it
+        totalMPs: doc?.totalMLAs || 0,
+        totalMLAs: doc?.totalMLAs || 0,
+        totalWorksCompleted: doc?.totalWorksCompleted || 0,
+        totalWorksRecommended: doc?.totalWorksRecommended || 0,
+        completionRate: doc?.completionRate || 0,
+        totalTransactions: doc?.totalTransactions || 0,
+        avgAllocation: doc?.avgAllocation || 0,
+        pendingWorks: Math.max(
+          0,
+          (doc?.totalWorksRecommended || 0) - (doc?.totalWorksCompleted || 0)
+        ),
+        paymentGap: doc?.paymentGap || 0,
+        completedWorksValue: doc?.completedWorksValue || 0,
+        inProgressPayments: doc?.inProgressPayments || 0,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/summary/states
+const getStateSummary = async (req, res, next) => {
+  try {
+    const { limit = 50, sortBy = 'utilizationPercentage', order = 'desc' } = req.query
+
+    const states = await Summary.aggregate([
+      { $match: { type: 'mp_summary', ...buildScopeMatch(req) } },
+      {
+        $group: {
+          _id: '$state',
+          totalAllocated: { $sum: { $ifNull: ['$allocatedAmount', 0] } },
+          totalExpenditure: { $sum: { $ifNull: ['$totalExpenditure', 0] } },
+          mpCount: { $sum: 1 },
+          completedWorksCount: { $sum: { $ifNull: ['$completedWorksCount', 0] } },
+          recommendedWorksCount: { $sum: { $ifNull: ['$recommendedWorksCount', 0] } },
+          houses: { $addToSet: '$house' },
+          assemblyTerms: { $addToSet: '$assemblyTerm' },
+        },
+      },
+      {
+        $addFields: {
+          state: '$_id',
+          utilizationPercentage: percentExpr('$totalExpenditure', '$totalAllocated'),
+        },
+      },
+      { $sort: { [sortBy]: order === 'desc' ? -1 : 1 } },
+      { $limit: parseInt(limit) },
+    ])
+
+    res.json({
+      success: true,
+      data: states.map(state => ({
+        state: state.state,
+        house: state.houses.length === 1 ? state.houses[0] : undefined,
+        assemblyTerms: state.assemblyTerms.filter(Boolean).sort((a, b) => b - a),
+        totalAllocated: state.totalAllocated || 0,
+        totalExpenditure: state.totalExpenditure || 0,
+        utilizationPercentage: state.utilizationPercentage || 0,
+        mpCount: state.mpCount || 0,
+        totalMPs: state.mpCount || 0,
+        totalWorksCompleted: state.completedWorksCount || 0,
+        completedWorksCount: state.completedWorksCount || 0,
+        recommendedWorksCount: state.recommendedWorksCount || 0,
+      })),
+      count: states.length,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/summary/mlas
+const getMLASummary = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      sortBy = 'utilizationPercentage',
+      order = 'desc',
+    } = req.query
+    // Larger pages than the works endpoints: list pages load every MLA of a state at once
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 1000)
+    const safePage = Math.max(parseInt(page) || 1, 1)
+    const skip = (safePage - 1) * safeLimit
+
+    const query = { type: 'mp_summary', ...buildScopeMatch(req) }
+    if (search && search.trim()) {
+      const searchRegex = new RegExp(escapeRegex(search.trim()), 'i')
+      query.$or = [{ mpName: searchRegex }, { constituency: searchRegex }, { state: searchRegex }]
+    }
+
+    const [totalCount, mlas] = await Promise.all([
+      Summary.countDocuments(query),
+      Summary.find(query)
+        .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
+        .skip(skip)
+        .limit(safeLimit)
+        .lean(),
+    ])
+
+    res.json({
+      success: true,
+      data: mlas.map(mla => ({
+        id: mla._id,
+        mpName: mla.mpName,
+        house: mla.house,
+        state: mla.state,
+        constituency: mla.constituency,
+        assemblyTerm: mla.assemblyTerm,
+        allocatedAmount: mla.allocatedAmount || 0,
+        totalExpenditure: mla.totalExpenditure || 0,
+        utilizationPercentage: mla.utilizationPercentage || 0,
+        completedWorksCount: mla.completedWorksCount || 0,
+        recommendedWorksCount: mla.recommendedWorksCount || 0,
+        completionRate: mla.completionRate || 0,
+        pendingWorks: mla.pendingWorks || 0,
+        unspentAmount: mla.unspentAmount || 0,
+        completedWorksValue: mla.completedWorksValue || 0,
+        totalCompletedAmount: mla.totalCompletedAmount || 0,
+        inProgressPayments: mla.inProgressPayments || 0,
+        paymentGapPercentage: mla.paymentGapPercentage || 0,
+      })),
+      pagination: {
+        currentPage: safePage,
+        totalPages: Math.ceil(totalCount / safeLimit),
+        totalCount,
+        limit: safeLimit,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/summary/constituencies?state=
+const getConstituencySummary = async (req, res, next) => {
+  try {
+    const { state, limit = 50, sortBy = 'utilizationPercentage', order = 'desc' } = req.query
+    if (!state) {
+      return res.status(400).json({
+        success: false,
+        error: 'State parameter is required',
+      })
+    }
+
+    const constituencies = await Summary.aggregate([
+      { $match: { type: 'mp_summary', ...buildScopeMatch(req) } },
+      {
+        $group: {
+          _id: '$constituency',
+          mpName: { $first: '$mpName' },
+          house: { $first: '$house' },
+          totalAllocated: { $sum: '$allocatedAmount' },
+          totalExpenditure: { $sum: '$totalExpenditure' },
+          totalWorksCompleted: { $sum: '$completedWorksCount' },
+          totalWorksRecommended: { $sum: '$recommendedWorksCount' },
+          totalMPs: { $sum: 1 },
+        },
+      },
+      {
+        $addFields: {
+          utilizationPercentage: percentExpr('$totalExpenditure', '$totalAllocated'),
+        },
+      },
+      { $sort: { [sortBy]: order === 'desc' ? -1 : 1 } },
+      { $limit: parseInt(limit) },
+    ])
+
+    const totalAllocated = constituencies.reduce((sum, c) => sum + (c.totalAllocated || 0), 0)
+    const totalExpenditure = constituencies.reduce((sum, c) => sum + (c.totalExpenditure || 0), 0)
+
+    res.json({
+      success: true,
+      data: constituencies.map(c => ({
+        id: c._id,
+        name: c._id,
+        mpName: c.mpName,
+        house: c.house,
+        totalMPs: c.totalMPs || 0,
+        totalAllocated: c.totalAllocated || 0,
+        totalExpenditure: c.totalExpenditure || 0,
+        utilizationPercentage: c.utilizationPercentage || 0,
+        totalWorksCompleted: c.totalWorksCompleted || 0,
+        totalWorksRecommended: c.totalWorksRecommended || 0,
+      })),
+      summary: {
+        totalConstituencies: constituencies.length,
+        totalAllocated,
+        totalExpenditure,
+        avgUtilization:
+          constituencies.length > 0
+            ? constituencies.reduce((sum, c) => sum + (c.utilizationPercentage || 0), 0) /
+              constituencies.length
+            : 0,
+        totalWorks: constituencies.reduce((sum, c) => sum + (c.totalWorksCompleted || 0), 0),
+      },
+      count: constituencies.length,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Member details in the shape the MPLADS works endpoints return
+const memberDetails = {
+  name: '$mpName',
+  name_hi: '$mpName',
+  constituency: '$constituency',
+  party: '$house',
+}
+
+// GET /api/mlalads/works/completed
+const getCompletedWorks = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, sort, year } = req.query
+    const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
+
+    const match = buildRecordMatch(req, {
+      categoryField: 'workCategory',
+      amountField: 'finalAmount',
+    })
+    const yearMatch = year
+      ? [{ $match: { $expr: { $eq: [{ $year: '$completedDate' }, parseInt(year)] } } }]
+      : []
+
+    const [result] = await WorksCompleted.aggregate([
+      { $match: match },
+      ...yearMatch,
+      {
+        $facet: {
+          works: [
+            {
+              $project: {
+                work_id: '$workId',
+                work_description: '$workDescription',
+                category: '$workCategory',
+                cost: { $toDouble: { $ifNull: ['$finalAmount', 0] } },
+                completion_date: '$completedDate',
+                completion_year: { $year: '$completedDate' },
+                location: '$ida',
+                district: '$constituency',
+                state: 1,
+                assemblyTerm: 1,
+                beneficiaries: { $literal: 0 },
+                mp_details: memberDetails,
+              },
+            },
+            { $sort: sortStage(sort, '-completion_date') },
+            { $skip: skip },
+            { $limit: safeLimit },
+          ],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalCost: { $sum: '$finalAmount' },
+                avgCost: { $avg: '$finalAmount' },
+                totalWorks: { $sum: 1 },
+                uniqueCategories: { $addToSet: '$workCategory' },
+                uniqueDistricts: { $addToSet: '$constituency' },
+              },
+            },
+          ],
+        },
+      },
+    ])
+
+    const summary = result.summary[0]
+    const totalCount = summary?.totalWorks || 0
+
+    res.json({
+      success: true,
+      data: {
+        completedWorks: result.works,
+        pagination: {
+          currentPage: safePage,
+          totalPages: Math.ceil(totalCount / safeLimit),
+          totalCount,
+          hasNext: safePage * safeLimit < totalCount,
+          hasPrev: safePage > 1,
+        },
+        summary: {
+          totalCost: summary?.totalCost || 0,
+          avgCost: summary?.avgCost || 0,
+          totalWorks: totalCount,
+          uniqueCategories: summary?.uniqueCategories || [],
+          uniqueDistricts: summary?.uniqueDistricts || [],
+          totalBeneficiaries: 0,
+        },
+        filters: req.query,
+        lastUpdated: new Date().toISOString(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/works/recommended
+const getRecommendedWorks = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, sort, year } = req.query
+    const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
+
+    const match = buildRecordMatch(req, {
+      categoryField: 'workCategory',
+      amountField: 'recommendedAmount',
+    })
+    const yearMatch = year
+      ? [{ $match: { $expr: { $eq: [{ $year: '$recommendationDate' }, parseInt(year)] } } }]
+      : []
+
+    const [result] = await WorksRecommended.aggregate([
+      { $match: match },
+      ...yearMatch,
+      {
+        $facet: {
+          works: [
+            {
+              $project: {
+                workId: 1,
+                house: 1,
+                assemblyTerm: 1,
+                work_description: '$workDescription',
+                category: '$workCategory',
+                estimated_cost: { $toDouble: { $ifNull: ['$recommendedAmount', 0] } },
+                recommended_date: '$recommendationDate',
+                recommended_year: { $year: '$recommendationDate' },
+                status: 'Recommended',
+                location: '$ida',
+                district: '$constituency',
+                state: 1,
+                mp_details: memberDetails,
+              },
+            },
+            { $sort: sortStage(sort, '-recommended_date') },
+            { $skip: skip },
+            { $limit: safeLimit },
+          ],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalEstimatedCost: { $sum: '$recommendedAmount' },
+                avgEstimatedCost: { $avg: '$recommendedAmount' },
+                totalWorks: { $sum: 1 },
+                uniqueCategories: { $addToSet: '$workCategory' },
+                uniqueDistricts: { $addToSet: '$constituency' },
+              },
+            },
+          ],
+        },
+      },
+    ])
+
+    const summary = result.summary[0]
+    const totalCount = summary?.totalWorks || 0
+
+    res.json({
+      success: true,
+      data: {
+        recommendedWorks: result.works,
+        pagination: {
+          currentPage: safePage,
+          totalPages: Math.ceil(totalCount / safeLimit),
+          totalCount,
+          hasNext: safePage * safeLimit < totalCount,
+          hasPrev: safePage > 1,
+        },
+        summary: {
+          totalEstimatedCost: summary?.totalEstimatedCost || 0,
+          avgEstimatedCost: summary?.avgEstimatedCost || 0,
+          totalWorks: totalCount,
+          uniqueCategories: summary?.uniqueCategories || [],
+          uniqueDistricts: summary?.uniqueDistricts || [],
+        },
+        filters: req.query,
+        lastUpdated: new Date().toISOString(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/expenditures
+const getExpenditures = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, sort, year, min_amount, max_amount } = req.query
+    const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
+
+    const match = buildRecordMatch(req, {})
+    if (min_amount || max_amount) {
+      match.expenditureAmount = {
+        ...(min_amount ? { $gte: parseFloat(min_amount) } : {}),
+        ...(max_amount ? { $lte: parseFloat(max_amount) } : {}),
+      }
+    }
+    const yearMatch = year
+      ? [{ $match: { $expr: { $eq: [{ $year: '$expenditureDate' }, parseInt(year)] } } }]
+      : []
+
+    const [result] = await Expenditure.aggregate([
+      { $match: match },
+      ...yearMatch,
+      {
+        $facet: {
+          expenditures: [
+            {
+              $project: {
+                workId: 1,
+                work: 1,
+                vendor: 1,
+                ida: 1,
+                paymentStatus: 1,
+                amount: '$expenditureAmount',
+                date: '$expenditureDate',
+                mpName: 1,
+                house: 1,
+                state: 1,
+                constituency: 1,
+                assemblyTerm: 1,
+              },
+            },
+            { $sort: sortStage(sort, '-amount') },
+            { $skip: skip },
+            { $limit: safeLimit },
+          ],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                totalAmount: { $sum: '$expenditureAmount' },
+                avgAmount: { $avg: '$expenditureAmount' },
+                totalTransactions: { $sum: 1 },
+                uniqueMLAs: { $addToSet: '$mpName' },
+              },
+            },
+          ],
+        },
+      },
+    ])
+
+    const summary = result.summary[0]
+    const totalCount = summary?.totalTransactions || 0
+
+    res.json({
+      success: true,
+      data: {
+        expenditures: result.expenditures,
+        pagination: {
+          currentPage: safePage,
+          totalPages: Math.ceil(totalCount / safeLimit),
+          totalCount,
+          hasNext: safePage * safeLimit < totalCount,
+          hasPrev: safePage > 1,
+        },
+        summary: {
+          totalAmount: summary?.totalAmount || 0,
+          avgAmount: summary?.avgAmount || 0,
+          totalTransactions: totalCount,
+          uniqueMPs: summary?.uniqueMLAs?.length || 0,
+        },
+        filters: req.query,
+        lastUpdated: new Date().toISOString(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/mlalads/terms - assembly terms available per state
+const getAssemblyTerms = async (req, res, next) => {
+  try {
+    const terms = await Summary.aggregate([
+      { $match: { type: 'state_summary' } },
+      {
+        $group: {
+          _id: '$state',
+          assemblyTerms: { $addToSet: '$assemblyTerm' },
+          houses: { $addToSet: '$house' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+
+    res.json({
+      success: true,
+      data: terms.map(entry => ({
+        state: entry._id,
+        houses: entry.houses,
+        assemblyTerms: entry.assemblyTerms.filter(Boolean).sort((a, b) => b - a),
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getOverview,
+  getStateSummary,
+  getMLASummary,
+  getConstituencySummary,
+  getCompletedWorks,
+  getRecommendedWorks,
+  getExpenditures,
+  getAssemblyTerms,
+}
@@ -1,7 +1,69 @@
-const { MP, Summary, Expenditure, WorksCompleted, WorksRecommended } = require('../models')
-const { getLsTermSelection } = require('../utils/lsTerm')
+const {
+  MP,
+  Summary,
+  Expenditure,
+  WorksCompleted,
+  WorksRecommended,
+  Constituency,
+  MPIdentity,
+} = require('../models')
+const { getLsTermSelection, lsTermCondition } = require('../utils/lsTerm')
 const mongoose = require('mongoose')
 const { escapeRegex, validatePagination, isValidObjectId } = require('../utils/validators')
+const { compileMatch, houseGate } = require('../utils/queryFilters')
+
+/**
+ * One MP's tenures across houses and terms, linked by the uploader's mpId
+ * @returns {Object|null} { mpId, name, aliases, tenures, totals }; null for
+ *   records synced before identities were resolved
+ */
+const loadCareer = async mpId => {
+  if (!mpId) return null
+  const [identity, tenures] = await Promise.all([
+    MPIdentity.findById(mpId).select('name aliases').lean(),
+    Summary.find({ type: 'mp_summary', mpId })
+      .select(
+        'mpName house state constituency constituencyId party alliance lsTerm allocatedAmount totalExpenditure utilizationPercentage completedWorksCount recommendedWorksCount'
+      )
+      .sort({ lsTerm: -1, house: 1 })
+      .lean(),
+  ])
+  if (tenures.length === 0) return null
+
+  const rows = tenures.map(tenure => ({
+    id: tenure._id.toString(),
+    mpName: tenure.mpName,
+    house: tenure.house,
+    lsTerm: tenure.lsTerm ?? null,
+    state: tenure.state,
+    constituency: tenure.constituency,
+    constituencyId: tenure.constituencyId || null,
+    party: tenure.party || null,
+    alliance: tenure.alliance || null,
+    allocatedAmount: tenure.allocatedAmount || 0,
+    totalExpenditure: tenure.totalExpenditure || 0,
+    utilizationPercentage: tenure.utilizationPercentage || 0,
+    completedWorksCount: tenure.completedWorksCount || 0,
+    recommendedWorksCount: tenure.recommendedWorksCount || 0,
+  }))
+  const allocatedAmount = rows.reduce((sum, row) => sum + row.allocatedAmount, 0)
+  const totalExpenditure = rows.reduce((sum, row) => sum + row.totalExpenditure, 0)
+
+  return {
+    mpId,
+    name: identity?.name || rows[0].mpName,
+    aliases: identity?.aliases || Array.from(new Set(rows.map(row => row.mpName))),
+    tenures: rows,
+    totals: {
+      tenures: rows.length,
+      allocatedAmount,
+      totalExpenditure,
+      utilizationPercentage:
+        allocatedAmount > 0 ? Math.min((totalExpenditure / allocatedAmount) * 100, 100) : 0,
+      completedWorksCount: rows.reduce((sum, row) => sum + row.completedWorksCount, 0),
+    },
+  }
+}
 
 // GET /api/mps/:id - Individual MP details
 const getMPDetails = async (req, res, next) => {
@@ -46,10 +108,7 @@ const getMPDetails = async (req, res, next) => {
     if (mpHouse) {
       expenditureMatch.house = mpHouse
       if (mpHouse === 'Lok Sabha') {
-        Object.assign(
-          expenditureMatch,
-          lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }
-        )
+        Object.assign(expenditureMatch, { lsTerm: lsTermCondition(lsSel) })
       }
     }
 
@@ -133,13 +192,15 @@ const getMPDetails = async (req, res, next) => {
       { $limit: 20 }, // Limit to 20 years of data
     ])
 
-    // Get category-wise expenditure
+    // Get category-wise expenditure, by the paid work's taxonomy category where known
     const categoryExpenditure = await Expenditure.aggregate([
       { $match: expenditureMatch },
       { $limit: 10000 }, // Prevent memory issues
       {
         $group: {
-          _id: { $ifNull: ['$category', '$expenditureCategory'] },
+          _id: {
+            $ifNull: ['$canonicalCategory', { $ifNull: ['$category', '$expenditureCategory'] }],
+          },
           totalAmount: {
             $sum: {
               $cond: [
@@ -191,7 +252,7 @@ const getMPDetails = async (req, res, next) => {
     if (mpHouse) {
       worksCountQuery.house = mpHouse
       if (mpHouse === 'Lok Sabha') {
-        worksCountQuery.lsTerm = lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10)
+        worksCountQuery.lsTerm = lsTermCondition(lsSel)
       }
     }
 
@@ -206,15 +267,23 @@ const getMPDetails = async (req, res, next) => {
       .limit(5)
       .select('workDescription finalAmount completedDate workCategory')
 
+    const career = await loadCareer(mpSummary?.mpId || mp?.mpId)
+
     res.json({
       success: true,
       data: {
         mp: {
           id: mpSummary ? mpSummary._id : mp._id,
+          mpId: mpSummary?.mpId || mp?.mpId || null,
           name: mpName,
           constituency: mpConstituency,
+          constituencyId: (mpSummary || mp)?.constituencyId || null,
           state: mpState,
           house: mpSummary ? mpSummary.house : mp?.house,
+          // Party the tenure ended with, and every affiliation overlapping it
+          party: (mpSummary || mp).party || null,
+          alliance: (mpSummary || mp).alliance || null,
+          partyHistory: mpSummary?.partyHistory || [],
           allocatedAmount: mpSummary ? mpSummary.allocatedAmount : mp?.allocated_limit,
           totalExpenditure: mpSummary
             ? mpSummary.totalExpenditure
@@ -268,6 +337,7 @@ const getMPDetails = async (req, res, next) => {
           recommendedCount: recommendedWorksCount,
           recentCompleted: recentWorks,
         },
+        career,
         lastUpdated: new Date().toISOString(),
       },
     })
@@ -314,9 +384,14 @@ const getMPWorks = async (req, res, next) => {
     let totalCount = 0
     let totalCost = 0
 
-    // Build category filter - works data uses 'workCategory' field
+    // Build category filter - raw 'workCategory' by substring, or the taxonomy name exactly
     const categoryFilter = category
-      ? { workCategory: { $regex: escapeRegex(category), $options: 'i' } }
+      ? {
+          $or: [
+            { workCategory: { $regex: escapeRegex(category), $options: 'i' } },
+            { canonicalCategory: category },
+          ],
+        }
       : {}
 
     // Build works query - use exact match for mpName and constituency (works data doesn't have mp_id field)
@@ -327,7 +402,7 @@ const getMPWorks = async (req, res, next) => {
     if (mpHouse) {
       worksQuery.house = mpHouse
       if (mpHouse === 'Lok Sabha') {
-        worksQuery.lsTerm = lsSel === 'both' ? { $in: [17, 18] } : parseInt(lsSel, 10)
+        worksQuery.lsTerm = lsTermCondition(lsSel)
       }
     }
 
@@ -379,12 +454,7 @@ const getMPWorks = async (req, res, next) => {
               mpName: mpName,
               constituency: mpConstituency,
               house: mpHouse,
-              lsTerm:
-                mpHouse === 'Lok Sabha'
-                  ? lsSel === 'both'
-                    ? { $literal: [17, 18] }
-                    : parseInt(lsSel, 10)
-                  : null,
+              lsTerm: '$lsTerm',
             },
             pipeline: [
               {
@@ -397,14 +467,8 @@ const getMPWorks = async (req, res, next) => {
                       ...(mpHouse ? [{ $eq: ['$house', '$$house'] }] : []),
                       ...(mpHouse === 'Lok Sabha'
                         ? [
-                            // If both, allow in [17,18]; else exact
-                            {
-                              $cond: [
-                                { $isArray: '$$lsTerm' },
-                                { $in: ['$lsTerm', '$$lsTerm'] },
-                                { $eq: ['$lsTerm', '$$lsTerm'] },
-                              ],
-                            },
+                            // Same term as the recommended work (already limited to the selection)
+                            { $eq: ['$lsTerm', '$$lsTerm'] },
                           ]
                         : []),
                     ],
@@ -721,30 +785,17 @@ const searchMPs = async (req, res, next) => {
       ],
     }
     // Term-aware gating: respect house filter if provided
-    const houseParam = req.query.house
-    const lsSelSearch = getLsTermSelection(req)
-    if (houseParam === 'Lok Sabha') {
-      summaryQuery.house = 'Lok Sabha'
-      summaryQuery.lsTerm = lsSelSearch === 'both' ? { $in: [17, 18] } : parseInt(lsSelSearch, 10)
-    } else if (houseParam === 'Rajya Sabha') {
-      summaryQuery.house = 'Rajya Sabha'
-    } else {
-      // Mixed case: include RS + LS(term)
-      const lsGateSearch = {
-        $or: [
-          { house: 'Rajya Sabha' },
-          {
-            house: 'Lok Sabha',
-            lsTerm: lsSelSearch === 'both' ? { $in: [17, 18] } : parseInt(lsSelSearch, 10),
-          },
-        ],
-      }
-      summaryQuery.$and = [lsGateSearch]
+    summaryQuery.$and = [houseGate(req.query)]
+    if (req.query.party) {
+      const partyMatch = { $regex: `^${escapeRegex(req.query.party)}$`, $options: 'i' }
+      summaryQuery.$and.push({ party: partyMatch })
+      // Legacy MP records carry the party of their latest tenure
+      mpQuery.party = partyMatch
     }
 
     // Prefer Summary collection (fresher, denormalized), then fill from MP
     const summaryDocs = await Summary.find(summaryQuery)
-      .select('_id mpName constituency state house allocatedAmount')
+      .select('_id mpName constituency state house party allocatedAmount')
       .sort({ mpName: 1 })
       .skip(skip)
       .limit(parseInt(limit, 10))
@@ -766,7 +817,7 @@ const searchMPs = async (req, res, next) => {
     let mpDocs = []
     if (remaining > 0) {
       mpDocs = await MP.find(mpQuery)
-        .select('_id name constituency state house allocated_limit')
+        .select('_id name constituency state house party allocated_limit')
         .sort({ name: 1 })
         .limit(remaining)
         .lean()
@@ -779,6 +830,7 @@ const searchMPs = async (req, res, next) => {
       constituency: d.constituency,
       state: d.state,
       house: d.house,
+      party: d.party || null,
       allocated_limit: d.allocatedAmount,
       source: 'summary',
     }))
@@ -792,6 +844,7 @@ const searchMPs = async (req, res, next) => {
         constituency: d.constituency,
         state: d.state,
         house: d.house,
+        party: d.party || null,
         allocated_limit: d.allocated_limit,
         source: 'mp',
       }))
@@ -863,11 +916,102 @@ const searchMPs = async (req, res, next) => {
   }
 }
 
-// GET /api/mplads/constituencies/:id - Constituency details
+// Registry IDs look like 'KA-gulbarga' (state code, then the seat's slug)
+const CONSTITUENCY_ID_PATTERN = /^[A-Z]{2}-[a-z0-9-]+$/
+
+/**
+ * A Lok Sabha seat by registry ID: its registry entry and one row per term
+ * with the MP who held it, from the MP summaries
+ */
+const getConstituencyHistory = async (res, id) => {
+  const [seat, terms] = await Promise.all([
+    Constituency.findById(id).lean(),
+    Summary.find({ type: 'mp_summary', house: 'Lok Sabha', constituencyId: id })
+      .select(
+        'mpName state constituency lsTerm allocatedAmount totalExpenditure utilizationPercentage completedWorksCount recommendedWorksCount'
+      )
+      .sort({ lsTerm: -1 })
+      .lean(),
+  ])
+
+  if (!seat && terms.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Constituency not found',
+    })
+  }
+
+  // Names of the seats linked by a delimitation
+  const linkedIds = [...(seat?.predecessors || []), ...(seat?.successors || [])]
+  const linked =
+    linkedIds.length > 0
+      ? await Constituency.find({ _id: { $in: linkedIds } })
+          .select('name state')
+          .lean()
+      : []
+  const linkedSeat = linkedId => {
+    const entry = linked.find(candidate => candidate._id === linkedId)
+    return { id: linkedId, name: entry?.name || null }
+  }
+
+  const history = terms.map(term => ({
+    id: term._id.toString(),
+    lsTerm: term.lsTerm,
+    mpName: term.mpName,
+    // Name the seat was published under in that term
+    constituency: term.constituency,
+    allocatedAmount: term.allocatedAmount || 0,
+    totalExpenditure: term.totalExpenditure || 0,
+    utilizationPercentage: term.utilizationPercentage || 0,
+    completedWorksCount: term.completedWorksCount || 0,
+    recommendedWorksCount: term.recommendedWorksCount || 0,
+  }))
+  const totals = history.reduce(
+    (acc, term) => ({
+      allocatedAmount: acc.allocatedAmount + term.allocatedAmount,
+      totalExpenditure: acc.totalExpenditure + term.totalExpenditure,
+      completedWorksCount: acc.completedWorksCount + term.completedWorksCount,
+      recommendedWorksCount: acc.recommendedWorksCount + term.recommendedWorksCount,
+    }),
+    { allocatedAmount: 0, totalExpenditure: 0, completedWorksCount: 0, recommendedWorksCount: 0 }
+  )
+
+  res.json({
+    success: true,
+    data: {
+      constituency: {
+        id,
+        name: seat?.name || terms[0].constituency,
+        state: seat?.state || terms[0].state,
+        stateCode: seat?.stateCode || id.slice(0, 2),
+        reservation: seat?.reservation ?? null,
+        aliases: seat?.aliases || [],
+        fromTerm: seat?.fromTerm ?? null,
+        untilTerm: seat?.untilTerm ?? null,
+        predecessors: (seat?.predecessors || []).map(linkedSeat),
+        successors: (seat?.successors || []).map(linkedSeat),
+      },
+      history,
+      totals: {
+        ...totals,
+        utilizationPercentage:
+          totals.allocatedAmount > 0
+            ? Math.min((totals.totalExpenditure / totals.allocatedAmount) * 100, 100)
+            : 0,
+      },
+    },
+  })
+}
+
+// GET /api/mplads/constituencies/:id - Constituency details (cross-term history for a registry ID)
 const getConstituencyDetails = async (req, res, next) => {
   try {
     const { id } = req.params
 
+    if (CONSTITUENCY_ID_PATTERN.test(id)) {
+      return await getConstituencyHistory(res, id)
+    }
+
     // Find MP by constituency name
     const mp = await MP.findOne({
       $or: [
@@ -885,12 +1029,7 @@ const getConstituencyDetails = async (req, res, next) => {
 
     // Term-aware gating
     const sel = getLsTermSelection(req)
-    const lsGate =
-      mp.house === 'Lok Sabha'
-        ? sel === 'both'
-          ? { lsTerm: { $in: [17, 18] } }
-          : { lsTerm: parseInt(sel, 10) }
-        : {}
+    const lsGate = mp.house === 'Lok Sabha' ? { lsTerm: lsTermCondition(sel) } : {}
 
     // Get expenditure data for this constituency (mp_id or name+constituency) + house/term gating
     const consExpMatch = {
@@ -977,30 +1116,20 @@ const getSectorWiseData = async (req, res, next) => {
   try {
     const { house } = req.query
 
-    // Build query for house filter (ignore 'Both Houses')
-    let mpQuery = {}
-    if (house === 'Lok Sabha' || house === 'Rajya Sabha') {
-      mpQuery.house = house
-    }
-
-    // Get all MPs matching the filter
-    const mps = await MP.find(mpQuery).select('_id name constituency').lean()
-    const mpIds = mps.map(mp => mp._id.toString())
-    const mpNames = mps.map(mp => mp.name)
-
-    // Get sector-wise expenditure data
-    const selSec = getLsTermSelection(req)
-    const lsGateSec =
-      house === 'Lok Sabha'
-        ? { lsTerm: selSec === 'both' ? { $in: [17, 18] } : parseInt(selSec, 10) }
-        : {}
+    // Filter payments and works directly; both carry house and term
+    const filters = { house, ls_term: req.query.ls_term }
+    const [expenditureMatch, worksMatch] = await Promise.all([
+      compileMatch(filters, 'expenditures'),
+      compileMatch(filters, 'works_completed'),
+    ])
 
     const sectorExpenditure = await Expenditure.aggregate([
-      { $match: { mp_id: { $in: mpIds }, ...(house ? { house } : {}), ...lsGateSec } },
+      { $match: expenditureMatch },
       { $limit: 50000 }, // Higher limit for multiple MPs
       {
         $group: {
-          _id: { $ifNull: ['$category', '$expenditureCategory'] },
+          // Taxonomy sector of the paid work; legacy records fall back to their own category
+          _id: { $ifNull: ['$sector', { $ifNull: ['$category', '$expenditureCategory'] }] },
           totalAmount: {
             $sum: {
               $cond: [
@@ -1044,16 +1173,38 @@ const getSectorWiseData = async (req, res, next) => {
       { $limit: 100 }, // Limit to top 100 sectors
     ])
 
-    // Get sector-wise works data
+    // Get sector-wise works data, with the canonical categories inside each sector.
+    // Works ingested before the taxonomy fall back to their raw category for both.
+    const rawCategory = { $ifNull: ['$workCategory', '$category'] }
     const sectorWorks = await WorksCompleted.aggregate([
-      { $match: { mpName: { $in: mpNames }, ...(house ? { house } : {}), ...lsGateSec } },
+      { $match: worksMatch },
       { $limit: 50000 }, // Higher limit for multiple MPs
       {
         $group: {
-          _id: { $ifNull: ['$workCategory', '$category'] },
+          _id: {
+            sector: { $ifNull: ['$sector', rawCategory] },
+            category: { $ifNull: ['$canonicalCategory', rawCategory] },
+          },
           worksCount: { $sum: 1 },
           totalCost: { $sum: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } } },
-          avgCost: { $avg: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } } },
+        },
+      },
+      { $sort: { totalCost: -1 } },
+      {
+        $group: {
+          _id: '$_id.sector',
+          worksCount: { $sum: '$worksCount' },
+          totalCost: { $sum: '$totalCost' },
+          categories: {
+            $push: { name: '$_id.category', count: '$worksCount', totalCost: '$totalCost' },
+          },
+        },
+      },
+      {
+        $addFields: {
+          avgCost: {
+            $cond: [{ $gt: ['$worksCount', 0] }, { $divide: ['$totalCost', '$worksCount'] }, 0],
+          },
         },
       },
       { $sort: { worksCount: -1 } },
@@ -1076,6 +1227,7 @@ const getSectorWiseData = async (req, res, next) => {
           totalCost: 0,
           avgCost: 0,
         },
+        categories: [],
       }
     })
 
@@ -1086,6 +1238,7 @@ const getSectorWiseData = async (req, res, next) => {
           totalCost: sector.totalCost,
           avgCost: sector.avgCost,
         }
+        sectors[sector._id].categories = sector.categories
       } else {
         sectors[sector._id] = {
           name: sector._id,
@@ -1099,6 +1252,7 @@ const getSectorWiseData = async (req, res, next) => {
             totalCost: sector.totalCost,
             avgCost: sector.avgCost,
           },
+          categories: sector.categories,
         }
       }
     })
@@ -1123,33 +1277,15 @@ const getYearWiseTrends = async (req, res, next) => {
   try {
     const { house, state } = req.query
 
-    // Build MP query for filters
-    let mpQuery = {}
-    if (house) mpQuery.house = house
-    if (state) mpQuery.state = { $regex: escapeRegex(state), $options: 'i' }
-
-    // Get filtered MPs
-    const mps = await MP.find(mpQuery).select('_id name house').lean()
-    const mpIds = mps.map(mp => mp._id.toString())
-    const mpNames = mps.map(mp => mp.name)
-    const selTrend = getLsTermSelection(req)
-    const lsGateTrend = {
-      $or: [
-        { house: 'Rajya Sabha' },
-        {
-          house: 'Lok Sabha',
-          lsTerm: selTrend === 'both' ? { $in: [17, 18] } : parseInt(selTrend, 10),
-        },
-      ],
-    }
+    const filters = { house, state, ls_term: req.query.ls_term }
+    const [expenditureMatch, worksMatch] = await Promise.all([
+      compileMatch(filters, 'expenditures'),
+      compileMatch(filters, 'works_completed'),
+    ])
 
     // Get year-wise expenditure trends
     const yearlyTrends = await Expenditure.aggregate([
-      {
-        $match: {
-          $and: [{ $or: [{ mp_id: { $in: mpIds } }, { mpName: { $in: mpNames } }] }, lsGateTrend],
-        },
-      },
+      { $match: expenditureMatch },
       { $limit: 100000 }, // Higher limit for trend analysis
       {
         $group: {
@@ -1166,7 +1302,7 @@ const getYearWiseTrends = async (req, res, next) => {
 
     // Get year-wise works completion trends
     const worksTrends = await WorksCompleted.aggregate([
-      { $match: { $and: [{ mpName: { $in: mpNames } }, lsGateTrend] } },
+      { $match: worksMatch },
       { $limit: 100000 }, // Higher limit for trend analysis
       {
         $project: {
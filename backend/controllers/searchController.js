@@ -0,0 +1,173 @@
+const { SearchIndex } = require('../models')
+const { houseGate } = require('../utils/queryFilters')
+const { escapeRegex } = require('../utils/validators')
+const { normalizeText, searchKeys } = require('../utils/searchText')
+
+const SEARCH_TYPES = ['mp', 'constituency', 'work', 'vendor']
+// Entries fetched per type before ranking
+const CANDIDATE_LIMIT = 200
+// Ranked entries below this score are dropped as noise
+const MIN_SCORE = 0.5
+
+const RESULT_FIELDS =
+  'type title subtitle mpName house lsTerm state constituency constituencyId party workId status category mps amount stats weight titleKeys keys'
+
+// Allowed edit distance grows with word length; short words must match exactly
+const maxTypos = length => (length <= 3 ? 0 : length <= 6 ? 1 : 2)
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * giving up once the distance is known to exceed `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let prevPrev = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1)
+      }
+      row.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > max) return max + 1
+    prevPrev = prev
+    prev = row
+  }
+  return prev[b.length]
+}
+
+/**
+ * How well one query key matches a list of entry keys (0-1):
+ * exact 1, prefix 0.85, within the typo budget 0.75 less 0.15 per extra edit
+ */
+function keyScore(queryKey, keys = []) {
+  const budget = maxTypos(queryKey.length)
+  let best = 0
+  for (const key of keys) {
+    if (key === queryKey) return 1
+    if (queryKey.length >= 3 && key.startsWith(queryKey)) {
+      best = Math.max(best, 0.85)
+      continue
+    }
+    if (budget > 0) {
+      const distance = editDistance(queryKey, key, budget)
+      if (distance <= budget) best = Math.max(best, 0.75 - 0.15 * (distance - 1))
+    }
+  }
+  return best
+}
+
+/**
+ * Relevance of an index entry for the query. Words matched in the entry's title
+ * count fully, words matched elsewhere (constituency, state, category) count less.
+ */
+function scoreEntry(entry, queryKeys, normalizedQuery) {
+  const matched = queryKeys.reduce(
+    (sum, key) => sum + Math.max(keyScore(key, entry.titleKeys), 0.6 * keyScore(key, entry.keys)),
+    0
+  )
+  let score = matched / queryKeys.length
+
+  const title = normalizeText(entry.title)
+  if (title === normalizedQuery) score += 0.5
+  else if (title.startsWith(normalizedQuery)) score += 0.2
+
+  // Larger allocations, works and vendors win near-ties
+  return score + Math.log10(1 + (entry.weight || 0)) / 100
+}
+
+/**
+ * State, party, house and term restrictions shared by every entry type. Constituency
+ * and vendor entries hold arrays for these fields and match when any element does.
+ */
+function buildScopeFilter(query) {
+  const filter = {}
+  if (query.state) {
+    filter.state = { $regex: `^${escapeRegex(query.state)}$`, $options: 'i' }
+  }
+  if (query.party) {
+    filter.party = { $regex: `^${escapeRegex(query.party)}$`, $options: 'i' }
+  }
+
+  // Same house/term gate as every other filtered endpoint, default term included
+  return { ...filter, ...houseGate(query) }
+}
+
+/**
+ * Fetch candidates for one entry type: entries holding every query key first,
+ * then entries sharing a key prefix so misspelt words still find something
+ */
+async function findCandidates(type, queryKeys, scopeFilter) {
+  const exact = await SearchIndex.find({ ...scopeFilter, type, keys: { $all: queryKeys } })
+    .select(RESULT_FIELDS)
+    .sort({ weight: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean()
+  if (exact.length >= CANDIDATE_LIMIT) return exact
+
+  const prefixes = Array.from(new Set(queryKeys.map(key => key.slice(0, 3))))
+  const fuzzy = await SearchIndex.find({
+    ...scopeFilter,
+    type,
+    _id: { $nin: exact.map(entry => entry._id) },
+    $and: [{ $or: prefixes.map(prefix => ({ keys: { $regex: `^${escapeRegex(prefix)}` } })) }],
+  })
+    .select(RESULT_FIELDS)
+    .limit(CANDIDATE_LIMIT - exact.length)
+    .lean()
+
+  return exact.concat(fuzzy)
+}
+
+// GET /api/search?q=:query - Ranked MPs, constituencies, works and vendors
+const search = async (req, res, next) => {
+  try {
+    const q = req.query.q.trim()
+    const limit = parseInt(req.query.limit, 10) || 5
+    const types = req.query.types
+      ? SEARCH_TYPES.filter(type => req.query.types.split(',').includes(type))
+      : SEARCH_TYPES
+
+    const queryKeys = searchKeys(q)
+    const groups = Object.fromEntries(types.map(type => [type, { total: 0, items: [] }]))
+
+    if (queryKeys.length === 0) {
+      return res.json({ success: true, data: { query: q, groups } })
+    }
+
+    const normalizedQuery = normalizeText(q)
+    const scopeFilter = buildScopeFilter(req.query)
+
+    for (const type of types) {
+      const candidates = await findCandidates(type, queryKeys, scopeFilter)
+      const ranked = candidates
+        .map(entry => ({ entry, score: scoreEntry(entry, queryKeys, normalizedQuery) }))
+        .filter(({ score }) => score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+
+      groups[type] = {
+        // Counts ranked candidates, so it tops out at CANDIDATE_LIMIT
+        total: ranked.length,
+        items: ranked.slice(0, limit).map(({ entry, score }) => {
+          const { titleKeys: _titleKeys, keys: _keys, weight: _weight, ...item } = entry
+          return { ...item, score: Math.round(score * 1000) / 1000 }
+        }),
+      }
+    }
+
+    res.json({ success: true, data: { query: q, groups } })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  search,
+}
@@ -1,27 +1,34 @@
 const { Summary } = require('../models')
-const { getLsTermSelection, buildMixedHouseOrFilter } = require('../utils/lsTerm')
 const { secureLogger } = require('../utils/logger')
 const { escapeRegex } = require('../utils/validators')
+const { compileMatch, houseGate } = require('../utils/queryFilters')
+const {
+  getStateDemographics,
+  getConstituencyDemographics,
+  normalizeMetrics,
+} = require('../utils/demographics')
+
+// Per-lakh and per-area metrics for a state summary row
+const normalizeState = (state, allocated, spent, worksCompleted) =>
+  normalizeMetrics({ allocated, spent, worksCompleted }, getStateDemographics(state))
+
+// Lok Sabha constituencies only; a Rajya Sabha member represents the whole state
+const normalizeConstituency = (house, state, constituency, allocated, spent, worksCompleted) =>
+  house === 'Lok Sabha'
+    ? normalizeMetrics(
+        { allocated, spent, worksCompleted },
+        getConstituencyDemographics(state, constituency)
+      )
+    : null
 
 // Get overall dashboard overview (house + term aware; consistent response shape)
 const getOverview = async (req, res) => {
   try {
-    const lsSel = getLsTermSelection(req)
-    const house = req.query.house
-
     // Build match for mp_summary with house/term logic
-    let match = { type: 'mp_summary' }
-    if (house === 'Lok Sabha') {
-      match = {
-        ...match,
-        house: 'Lok Sabha',
-        ...(lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }),
-      }
-    } else if (house === 'Rajya Sabha') {
-      match = { ...match, house: 'Rajya Sabha' }
-    } else if (house === 'Both Houses' || !house) {
-      match.$or = buildMixedHouseOrFilter(lsSel)
-    }
+    const match = await compileMatch(
+      { house: req.query.house, ls_term: req.query.ls_term },
+      'summaries'
+    )
 
     const agg = await Summary.aggregate([
       { $match: match },
@@ -217,23 +224,11 @@ const getOverview = async (req, res) => {
 const getStateSummary = async (req, res) => {
   try {
     const { house, state, limit = 50, sortBy = 'utilizationPercentage', order = 'desc' } = req.query
-    const lsSel = getLsTermSelection(req)
+    const gate = houseGate(req.query)
 
     // Build query
-    const query = { type: 'state_summary' }
+    const query = { type: 'state_summary', ...gate }
     if (state) query.state = state
-    if (house) {
-      query.house = house
-      if (house === 'Lok Sabha') {
-        Object.assign(
-          query,
-          lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }
-        )
-      }
-    } else {
-      // No house specified: mix RS + LS-term selection
-      query.$or = buildMixedHouseOrFilter(lsSel)
-    }
 
     // If no house is specified, aggregate data across both houses
     if (!house) {
@@ -241,7 +236,7 @@ const getStateSummary = async (req, res) => {
       const matchStage = { type: 'state_summary' }
       if (state) matchStage.state = state
       // Apply mixed house/term filter
-      matchStage.$or = buildMixedHouseOrFilter(lsSel)
+      Object.assign(matchStage, gate)
 
       const aggregatedStates = await Summary.aggregate([
         { $match: matchStage },
@@ -294,7 +289,7 @@ const getStateSummary = async (req, res) => {
       // Get completion data from MP summaries
       const completionMatchStage = { type: 'mp_summary' }
       if (state) completionMatchStage.state = state
-      completionMatchStage.$or = buildMixedHouseOrFilter(lsSel)
+      Object.assign(completionMatchStage, gate)
 
       const completionData = await Summary.aggregate([
         { $match: completionMatchStage },
@@ -327,6 +322,12 @@ const getStateSummary = async (req, res) => {
           totalWorksCompleted: completionMap[state.state]?.completedWorksCount || 0,
           completedWorksCount: completionMap[state.state]?.completedWorksCount || 0,
           recommendedWorksCount: completionMap[state.state]?.recommendedWorksCount || 0,
+          normalized: normalizeState(
+            state.state,
+            state.totalAllocated || 0,
+            state.totalExpenditure || 0,
+            completionMap[state.state]?.completedWorksCount || 0
+          ),
         })),
         count: aggregatedStates.length,
       })
@@ -347,6 +348,12 @@ const getStateSummary = async (req, res) => {
           mpCount: state.mpCount || 0,
           totalMPs: state.mpCount || 0,
           totalWorksCompleted: state.completedWorksCount || 0,
+          normalized: normalizeState(
+            state.state,
+            state.totalAllocated || 0,
+            state.totalExpenditure || 0,
+            state.completedWorksCount || 0
+          ),
         })),
         count: stateSummaries.length,
       })
@@ -379,13 +386,19 @@ const getMPSummary = async (req, res) => {
       search,
       state,
       house,
+      party,
+      alliance,
       sortBy = 'utilizationPercentage',
       order = 'desc',
     } = req.query
 
-    // Build query
-    const lsSel = getLsTermSelection(req)
-    const baseConditions = [{ type: 'mp_summary' }]
+    // Build query: state, party and house/term filters shared with exports and analytics
+    const baseConditions = [
+      await compileMatch(
+        { state, house, party, alliance, ls_term: req.query.ls_term },
+        'summaries'
+      ),
+    ]
     const searchTerm = typeof search === 'string' ? search.trim() : ''
 
     if (searchTerm) {
@@ -428,24 +441,6 @@ const getMPSummary = async (req, res) => {
       })
     }
 
-    if (state) {
-      baseConditions.push({ state })
-    }
-
-    const houseFilter = (() => {
-      if (house === 'Lok Sabha') {
-        const termFilter =
-          lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }
-        return { house: 'Lok Sabha', ...termFilter }
-      }
-      if (house === 'Rajya Sabha') {
-        return { house: 'Rajya Sabha' }
-      }
-      // Treat explicit "Both Houses" the same as default (undefined)
-      return { $or: buildMixedHouseOrFilter(lsSel) }
-    })()
-    baseConditions.push(houseFilter)
-
     const query = baseConditions.length === 1 ? baseConditions[0] : { $and: baseConditions }
 
     // Get total count
@@ -465,6 +460,8 @@ const getMPSummary = async (req, res) => {
         house: mp.house,
         state: mp.state,
         constituency: mp.constituency,
+        party: mp.party || null,
+        alliance: mp.alliance || null,
         allocatedAmount: mp.allocatedAmount || 0,
         totalExpenditure: mp.totalExpenditure || 0,
         utilizationPercentage: mp.utilizationPercentage || 0,
@@ -478,6 +475,14 @@ const getMPSummary = async (req, res) => {
         totalCompletedAmount: mp.totalCompletedAmount || 0,
         inProgressPayments: mp.inProgressPayments || 0,
         paymentGapPercentage: mp.paymentGapPercentage || 0,
+        normalized: normalizeConstituency(
+          mp.house,
+          mp.state,
+          mp.constituency,
+          mp.allocatedAmount || 0,
+          mp.totalExpenditure || 0,
+          mp.completedWorksCount || 0
+        ),
       })),
       pagination: {
         currentPage: parseInt(page),
@@ -508,8 +513,7 @@ const getMPSummary = async (req, res) => {
 // Get constituency-wise summary for a state
 const getConstituencySummary = async (req, res) => {
   try {
-    const { state, limit = 50, sortBy = 'utilizationPercentage', order = 'desc' } = req.query
-    const lsSel = getLsTermSelection(req)
+    const { state, party, limit = 50, sortBy = 'utilizationPercentage', order = 'desc' } = req.query
 
     if (!state) {
       return res.status(400).json({
@@ -519,15 +523,20 @@ const getConstituencySummary = async (req, res) => {
     }
 
     // Get constituency data from MP summaries collection (pre-computed real data)
-    const query = { type: 'mp_summary', state: state }
-    query.$or = buildMixedHouseOrFilter(lsSel)
+    const query = await compileMatch({ state, party, ls_term: req.query.ls_term }, 'summaries')
 
     const constituencyData = await Summary.aggregate([
       { $match: query },
+      // Latest term first, so the seat's current name and MP are picked
+      { $sort: { lsTerm: -1 } },
       {
         $group: {
-          _id: '$constituency',
+          // Registry ID keeps a renamed seat together; RS rows fall back to the name
+          _id: { $ifNull: ['$constituencyId', '$constituency'] },
+          constituencyId: { $first: '$constituencyId' },
+          constituency: { $first: '$constituency' },
           mpName: { $first: '$mpName' },
+          party: { $first: '$party' },
           house: { $first: '$house' },
           totalAllocated: { $sum: '$allocatedAmount' },
           totalExpenditure: { $sum: '$totalExpenditure' },
@@ -545,7 +554,6 @@ const getConstituencySummary = async (req, res) => {
               else: { $multiply: [{ $divide: ['$totalExpenditure', '$totalAllocated'] }, 100] },
             },
           },
-          constituency: '$_id',
         },
       },
       { $sort: { [sortBy]: order === 'desc' ? -1 : 1 } },
@@ -567,8 +575,10 @@ const getConstituencySummary = async (req, res) => {
       success: true,
       data: constituencyData.map(constituency => ({
         id: constituency._id,
+        constituencyId: constituency.constituencyId || null,
         name: constituency.constituency,
         mpName: constituency.mpName,
+        party: constituency.party || null,
         house: constituency.house,
         totalMPs: constituency.totalMPs || 0,
         totalAllocated: constituency.totalAllocated || 0,
@@ -576,6 +586,14 @@ const getConstituencySummary = async (req, res) => {
         utilizationPercentage: constituency.utilizationPercentage || 0,
         totalWorksCompleted: constituency.totalWorksCompleted || 0,
         totalWorksRecommended: constituency.totalWorksRecommended || 0,
+        normalized: normalizeConstituency(
+          constituency.house,
+          state,
+          constituency.constituency,
+          constituency.totalAllocated || 0,
+          constituency.totalExpenditure || 0,
+          constituency.totalWorksCompleted || 0
+        ),
       })),
       summary: {
         totalConstituencies,
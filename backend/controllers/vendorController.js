@@ -0,0 +1,335 @@
+const { Expenditure } = require('../models')
+const { escapeRegex, validatePagination } = require('../utils/validators')
+const { compileMatch } = require('../utils/queryFilters')
+
+// Payments can be grouped by the vendor paid or by the implementing district authority (IDA)
+const GROUP_FIELDS = { vendor: '$vendor', ida: '$ida' }
+
+const SORT_FIELDS = {
+  amount: 'totalPaid',
+  payments: 'payments',
+  mps: 'mpCount',
+  states: 'stateCount',
+}
+
+// Works listed on the detail view, largest payments first
+const MAX_DETAIL_WORKS = 100
+
+const amountExpr = { $toDouble: { $ifNull: ['$expenditureAmount', 0] } }
+
+// Case-insensitive, whitespace-trimmed grouping key for a vendor or IDA name
+const nameKeyExpr = field => ({ $toLower: { $trim: { input: field } } })
+
+/**
+ * Match stage shared by every vendor endpoint: state plus house/term gating
+ */
+function buildExpenditureMatch(req) {
+  const { state, house, ls_term } = req.query
+  return compileMatch({ state, house, ls_term }, 'expenditures')
+}
+
+/**
+ * Aggregate payments into one row per vendor (or IDA) with spread counts
+ */
+function vendorGroupStages(groupBy) {
+  const field = GROUP_FIELDS[groupBy] || GROUP_FIELDS.vendor
+  return [
+    { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: nameKeyExpr(field),
+        name: { $first: { $trim: { input: field } } },
+        totalPaid: { $sum: amountExpr },
+        payments: { $sum: 1 },
+        mps: { $addToSet: { mpName: '$mpName', house: '$house' } },
+        states: { $addToSet: '$state' },
+        works: { $addToSet: '$workId' },
+        firstPayment: { $min: '$expenditureDate' },
+        lastPayment: { $max: '$expenditureDate' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        name: 1,
+        totalPaid: { $round: ['$totalPaid', 2] },
+        payments: 1,
+        mpCount: { $size: '$mps' },
+        stateCount: { $size: '$states' },
+        workCount: { $size: { $setDifference: ['$works', [null]] } },
+        states: 1,
+        firstPayment: 1,
+        lastPayment: 1,
+      },
+    },
+  ]
+}
+
+/**
+ * Run a vendor listing with pagination and the requested sort
+ */
+async function listVendors(req, extraMatch = {}) {
+  const { by = 'vendor', sort = 'amount', search } = req.query
+  const { page, limit, skip } = validatePagination(req.query.page || 1, req.query.limit || 20)
+  const sortField = SORT_FIELDS[sort] || SORT_FIELDS.amount
+
+  const searchMatch = search ? { name: new RegExp(escapeRegex(search.trim()), 'i') } : {}
+
+  const [result] = await Expenditure.aggregate(
+    [
+      { $match: await buildExpenditureMatch(req) },
+      ...vendorGroupStages(by),
+      { $match: { ...extraMatch, ...searchMatch } },
+      {
+        $facet: {
+          vendors: [{ $sort: { [sortField]: -1, name: 1 } }, { $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ],
+    { allowDiskUse: true }
+  )
+
+  const totalCount = result?.total[0]?.count || 0
+  const totalPages = Math.ceil(totalCount / limit)
+  return {
+    groupBy: by,
+    vendors: result?.vendors || [],
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  }
+}
+
+// GET /api/vendors/top - Vendors (or IDAs) ranked by amount paid, payments, MPs or states
+const getTopVendors = async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await listVendors(req) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/vendors/spread - Vendors paid on behalf of many MPs or across many states
+const getVendorSpread = async (req, res, next) => {
+  try {
+    const minMPs = parseInt(req.query.min_mps, 10) || 5
+    const minStates = parseInt(req.query.min_states, 10) || 1
+    if (!req.query.sort) req.query.sort = 'mps'
+
+    const data = await listVendors(req, {
+      mpCount: { $gte: minMPs },
+      stateCount: { $gte: minStates },
+    })
+    res.json({ success: true, data: { ...data, thresholds: { minMPs, minStates } } })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// GET /api/vendors/:name - Vendor (or IDA) detail: MPs, constituencies, works and payment timeline
+const getVendorDetails = async (req, res, next) => {
+  try {
+    const { name } = req.params
+    const groupBy = req.query.by === 'ida' ? 'ida' : 'vendor'
+    const nameMatch = {
+      [groupBy]: new RegExp(`^\\s*${escapeRegex(name.trim())}\\s*$`, 'i'),
+    }
+
+    const [result] = await Expenditure.aggregate(
+      [
+        { $match: { $and: [nameMatch, await buildExpenditureMatch(req)] } },
+        { $addFields: { amount: amountExpr } },
+        {
+          $facet: {
+            summary: vendorGroupStages(groupBy),
+            mps: [
+              {
+                $group: {
+                  _id: {
+                    mpName: '$mpName',
+                    house: '$house',
+                    lsTerm: '$lsTerm',
+                    state: '$state',
+                    constituency: '$constituency',
+                  },
+                  totalPaid: { $sum: '$amount' },
+                  payments: { $sum: 1 },
+                  lastPayment: { $max: '$expenditureDate' },
+                },
+              },
+              { $sort: { totalPaid: -1 } },
+              {
+                $project: {
+                  _id: 0,
+                  mpName: '$_id.mpName',
+                  house: '$_id.house',
+                  lsTerm: '$_id.lsTerm',
+                  state: '$_id.state',
+                  constituency: '$_id.constituency',
+                  totalPaid: { $round: ['$totalPaid', 2] },
+                  payments: 1,
+                  lastPayment: 1,
+                },
+              },
+            ],
+            constituencies: [
+              {
+                $group: {
+                  _id: { constituency: '$constituency', state: '$state' },
+                  totalPaid: { $sum: '$amount' },
+                  payments: { $sum: 1 },
+                },
+              },
+              { $sort: { totalPaid: -1 } },
+              {
+                $project: {
+                  _id: 0,
+                  constituency: '$_id.constituency',
+                  state: '$_id.state',
+                  totalPaid: { $round: ['$totalPaid', 2] },
+                  payments: 1,
+                },
+              },
+            ],
+            works: [
+              { $match: { workId: { $ne: null } } },
+              {
+                // workId is only unique within a house and term
+                $group: {
+                  _id: { workId: '$workId', house: '$house', lsTerm: '$lsTerm' },
+                  work: { $first: '$work' },
+                  mpName: { $first: '$mpName' },
+                  constituency: { $first: '$constituency' },
+                  state: { $first: '$state' },
+                  totalPaid: { $sum: '$amount' },
+                  payments: { $sum: 1 },
+                  lastPayment: { $max: '$expenditureDate' },
+                },
+              },
+              { $sort: { totalPaid: -1 } },
+              { $limit: MAX_DETAIL_WORKS },
+              // Completed or recommended record the work detail modal can open
+              ...['works_completed', 'works_recommended'].map(from => ({
+                $lookup: {
+                  from,
+                  let: { workId: '$_id.workId', house: '$_id.house', lsTerm: '$_id.lsTerm' },
+                  pipeline: [
+                    {
+                      $match: {
+                        $expr: {
+                          $and: [
+                            { $eq: ['$workId', '$$workId'] },
+                            { $eq: ['$house', '$$house'] },
+                            {
+                              $eq: [
+                                { $ifNull: ['$lsTerm', null] },
+                                { $ifNull: ['$$lsTerm', null] },
+                              ],
+                            },
+                          ],
+                        },
+                      },
+                    },
+                    { $project: { _id: 1, workDescription: 1 } },
+                    { $limit: 1 },
+                  ],
+                  as: from === 'works_completed' ? 'completed' : 'recommended',
+                },
+              })),
+              {
+                $project: {
+                  _id: 0,
+                  workId: '$_id.workId',
+                  house: '$_id.house',
+                  lsTerm: '$_id.lsTerm',
+                  description: {
+                    $ifNull: [
+                      { $arrayElemAt: ['$completed.workDescription', 0] },
+                      { $arrayElemAt: ['$recommended.workDescription', 0] },
+                      '$work',
+                    ],
+                  },
+                  mpName: 1,
+                  constituency: 1,
+                  state: 1,
+                  totalPaid: { $round: ['$totalPaid', 2] },
+                  payments: 1,
+                  lastPayment: 1,
+                  recordId: {
+                    $ifNull: [
+                      { $arrayElemAt: ['$completed._id', 0] },
+                      { $arrayElemAt: ['$recommended._id', 0] },
+                      null,
+                    ],
+                  },
+                  workType: {
+                    $cond: [
+                      { $gt: [{ $size: '$completed' }, 0] },
+                      'completed',
+                      {
+                        $cond: [{ $gt: [{ $size: '$recommended' }, 0] }, 'recommended', null],
+                      },
+                    ],
+                  },
+                },
+              },
+            ],
+            timeline: [
+              { $match: { expenditureDate: { $ne: null } } },
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m', date: '$expenditureDate' } },
+                  totalPaid: { $sum: '$amount' },
+                  payments: { $sum: 1 },
+                },
+              },
+              { $sort: { _id: 1 } },
+              {
+                $project: {
+                  _id: 0,
+                  month: '$_id',
+                  totalPaid: { $round: ['$totalPaid', 2] },
+                  payments: 1,
+                },
+              },
+            ],
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+
+    if (!result || result.summary.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: groupBy === 'ida' ? 'Implementing agency not found' : 'Vendor not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        vendor: result.summary[0],
+        mps: result.mps,
+        constituencies: result.constituencies,
+        works: result.works,
+        timeline: result.timeline,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getTopVendors,
+  getVendorSpread,
+  getVendorDetails,
+}
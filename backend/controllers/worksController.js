@@ -1,7 +1,7 @@
-const { WorksCompleted, WorksRecommended, MP, Expenditure } = require('../models')
-const { getLsTermSelection } = require('../utils/lsTerm')
+const { WorksCompleted, WorksRecommended, Expenditure, RecordHistory } = require('../models')
 const { ObjectId } = require('mongodb')
-const { escapeRegex, validatePagination } = require('../utils/validators')
+const { validatePagination } = require('../utils/validators')
+const { compileMatch } = require('../utils/queryFilters')
 
 // GET /api/works/completed - Completed works with filters
 const getCompletedWorks = async (req, res, next) => {
@@ -24,105 +24,8 @@ const getCompletedWorks = async (req, res, next) => {
     // Sanitize pagination
     const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
 
-    // Build match conditions
-    const matchConditions = {}
-
-    if (mp_id) {
-      // Find MP by ID first to get the actual MP name
-      try {
-        const mp = await MP.findById(mp_id)
-        if (mp) {
-          matchConditions.mpName = mp.name
-        }
-      } catch {
-        // If mp_id is not a valid ObjectId, treat it as mpName directly
-        matchConditions.mpName = mp_id
-      }
-    }
-    if (state && state.trim()) matchConditions.state = new RegExp(escapeRegex(state.trim()), 'i')
-    {
-      const cTrim = constituency && constituency.trim()
-      const dTrim = district && district.trim()
-      if (cTrim && dTrim) {
-        if (cTrim.toLowerCase() === dTrim.toLowerCase()) {
-          matchConditions.constituency = cTrim
-        } else {
-          matchConditions.constituency = { $in: [cTrim, dTrim] }
-        }
-      } else if (cTrim) {
-        matchConditions.constituency = cTrim
-      } else if (dTrim) {
-        matchConditions.constituency = dTrim // district maps to constituency
-      }
-    }
-    if (category && category.trim())
-      matchConditions.workCategory = new RegExp(escapeRegex(category), 'i')
-    // Year filter applied post-projection to support both completedDate and completion_date
-
-    // Cost range filter
-    if (
-      (min_cost !== undefined && min_cost !== '') ||
-      (max_cost !== undefined && max_cost !== '')
-    ) {
-      const costFilter = {}
-      if (min_cost !== undefined && min_cost !== '') costFilter.$gte = parseFloat(min_cost)
-      if (max_cost !== undefined && max_cost !== '') costFilter.$lte = parseFloat(max_cost)
-      matchConditions.finalAmount = costFilter
-    }
-
-    // Search in work description - combine with existing conditions using $and
-    if (search && search.trim()) {
-      const searchConditions = {
-        $or: [
-          { workDescription: new RegExp(escapeRegex(search), 'i') },
-          { ida: new RegExp(escapeRegex(search), 'i') },
-        ],
-      }
-
-      // If there are already conditions, combine them with $and
-      if (Object.keys(matchConditions).length > 0) {
-        const existingConditions = { ...matchConditions }
-        // Clear matchConditions and rebuild with $and
-        Object.keys(matchConditions).forEach(key => delete matchConditions[key])
-        matchConditions.$and = [existingConditions, searchConditions]
-      } else {
-        // If no other conditions, just use the search conditions
-        matchConditions.$or = searchConditions.$or
-      }
-    }
-
-    // Apply term/house selection intelligently
-    const lsSelC = getLsTermSelection(req)
-    const reqHouseC = req.query.house
-    const lsGateC =
-      reqHouseC === 'Lok Sabha'
-        ? {
-            house: 'Lok Sabha',
-            lsTerm: lsSelC === 'both' ? { $in: [17, 18] } : parseInt(lsSelC, 10),
-          }
-        : reqHouseC === 'Rajya Sabha'
-          ? { house: 'Rajya Sabha' }
-          : {
-              $or: [
-                { house: 'Rajya Sabha' },
-                {
-                  house: 'Lok Sabha',
-                  lsTerm: lsSelC === 'both' ? { $in: [17, 18] } : parseInt(lsSelC, 10),
-                },
-              ],
-            }
-
-    // Apply Lok Sabha term selection (default 18) for mixed-house queries
-    const lsSelR = getLsTermSelection(req)
-    const _lsGateR = {
-      $or: [
-        { house: 'Rajya Sabha' },
-        {
-          house: 'Lok Sabha',
-          lsTerm: lsSelR === 'both' ? { $in: [17, 18] } : parseInt(lsSelR, 10),
-        },
-      ],
-    }
+    // Build match conditions (house/term gate included)
+    const matchConditions = await compileMatch(req.query, 'works_completed')
 
     // Sort configuration
     const sortConfig = {}
@@ -133,7 +36,7 @@ const getCompletedWorks = async (req, res, next) => {
     }
 
     const pipeline = [
-      { $match: { $and: [matchConditions, lsGateC] } },
+      { $match: matchConditions },
       {
         $project: {
           // Backward-compatible mapping to support old/new field names
@@ -142,6 +45,8 @@ const getCompletedWorks = async (req, res, next) => {
           work_description_hi: { $ifNull: ['$workDescription', '$work_description'] },
           category: { $ifNull: ['$workCategory', '$category'] },
           category_hi: { $ifNull: ['$workCategory', '$category'] },
+          canonical_category: '$canonicalCategory',
+          sector: '$sector',
           cost: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } },
           completion_date: { $ifNull: ['$completedDate', '$completion_date'] },
           completion_year: {
@@ -177,50 +82,25 @@ const getCompletedWorks = async (req, res, next) => {
           },
         },
       },
-      // Apply year filter post-projection so it works whether date is in completedDate or completion_date
-      ...(year ? [{ $match: { completion_year: parseInt(year) } }] : []),
       { $sort: sortConfig },
       { $skip: skip },
       { $limit: safeLimit },
     ]
 
     const completedWorks = await WorksCompleted.aggregate(pipeline)
-    // Mirror year filtering in count to keep totals in sync
-    const countAgg = await WorksCompleted.aggregate([
-      { $match: { $and: [matchConditions, lsGateC] } },
-      {
-        $project: {
-          completion_year: {
-            $year: { $ifNull: ['$completedDate', { $toDate: '$completion_date' }] },
-          },
-        },
-      },
-      ...(year ? [{ $match: { completion_year: parseInt(year) } }] : []),
-      { $count: 'total' },
-    ])
-    const totalCount = countAgg[0]?.total || 0
+    const totalCount = await WorksCompleted.countDocuments(matchConditions)
 
     // Get summary statistics
     const summaryPipeline = [
-      { $match: { $and: [matchConditions, lsGateC] } },
+      { $match: matchConditions },
       {
         $project: {
           cost: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } },
           category: { $ifNull: ['$workCategory', '$category'] },
           constituency: { $ifNull: ['$constituency', '$district'] },
           beneficiaries: { $toDouble: { $ifNull: ['$beneficiaries', 0] } },
-          completedDate: { $ifNull: ['$completedDate', '$completion_date'] },
         },
       },
-      ...(year
-        ? [
-            {
-              $match: {
-                $expr: { $eq: [{ $year: { $toDate: '$completedDate' } }, parseInt(year)] },
-              },
-            },
-          ]
-        : []),
       {
         $group: {
           _id: null,
@@ -298,87 +178,9 @@ const getRecommendedWorks = async (req, res, next) => {
     // Sanitize pagination
     const { page: safePage, limit: safeLimit, skip } = validatePagination(page, limit)
 
-    // Build match conditions
-    const matchConditions = {}
-
-    if (mp_id) {
-      // Find MP by ID first to get the actual MP name
-      try {
-        const mp = await MP.findById(mp_id)
-        if (mp) {
-          matchConditions.mpName = mp.name
-        }
-      } catch {
-        // If mp_id is not a valid ObjectId, treat it as mpName directly
-        matchConditions.mpName = mp_id
-      }
-    }
-    if (state && state.trim()) matchConditions.state = new RegExp(escapeRegex(state.trim()), 'i')
-    if (constituency && constituency.trim()) {
-      // Handle constituency filtering with proper state context
-      matchConditions.constituency = constituency.trim()
-      // If both state and constituency are provided, ensure they match together
-      // This helps disambiguate constituencies with same names in different states
-    } else if (district && district.trim()) {
-      matchConditions.constituency = district.trim() // district maps to constituency
-    }
-    if (category && category.trim())
-      matchConditions.workCategory = new RegExp(escapeRegex(category.trim()), 'i')
-    // Year will be filtered after projection to support date-based documents
-    if (status && status.trim()) matchConditions.status = status
-
-    // Cost range filter
-    if (
-      (min_cost !== undefined && min_cost !== '') ||
-      (max_cost !== undefined && max_cost !== '')
-    ) {
-      const costFilter = {}
-      if (min_cost !== undefined && min_cost !== '') costFilter.$gte = parseFloat(min_cost)
-      if (max_cost !== undefined && max_cost !== '') costFilter.$lte = parseFloat(max_cost)
-      matchConditions.recommendedAmount = costFilter
-    }
-
-    // Search in work description - combine with existing conditions using $and
-    if (search && search.trim()) {
-      const searchConditions = {
-        $or: [
-          { workDescription: new RegExp(escapeRegex(search), 'i') },
-          { ida: new RegExp(escapeRegex(search), 'i') },
-        ],
-      }
-
-      // If there are already conditions, combine them with $and
-      if (Object.keys(matchConditions).length > 0) {
-        const existingConditions = { ...matchConditions }
-        // Clear matchConditions and rebuild with $and
-        Object.keys(matchConditions).forEach(key => delete matchConditions[key])
-        matchConditions.$and = [existingConditions, searchConditions]
-      } else {
-        // If no other conditions, just use the search conditions
-        matchConditions.$or = searchConditions.$or
-      }
-    }
-
-    // Apply term/house selection intelligently
-    const lsSelR = getLsTermSelection(req)
-    const reqHouseR = req.query.house
-    const lsGateR =
-      reqHouseR === 'Lok Sabha'
-        ? {
-            house: 'Lok Sabha',
-            lsTerm: lsSelR === 'both' ? { $in: [17, 18] } : parseInt(lsSelR, 10),
-          }
-        : reqHouseR === 'Rajya Sabha'
-          ? { house: 'Rajya Sabha' }
-          : {
-              $or: [
-                { house: 'Rajya Sabha' },
-                {
-                  house: 'Lok Sabha',
-                  lsTerm: lsSelR === 'both' ? { $in: [17, 18] } : parseInt(lsSelR, 10),
-                },
-              ],
-            }
+    // Build match conditions (house/term gate included)
+    const baseMatch = await compileMatch(req.query, 'works_recommended')
+    const matchConditions = status && status.trim() ? { $and: [baseMatch, { status }] } : baseMatch
 
     // Sort configuration
     const sortConfig = {}
@@ -396,14 +198,14 @@ const getRecommendedWorks = async (req, res, next) => {
     const fastPath = !has_payments && !year && !category && !search && parseInt(limit) <= 5
     if (fastPath) {
       try {
-        const baseQuery = { $and: [matchConditions, lsGateR] }
+        const baseQuery = matchConditions
         // Fetch a small buffer to allow exclude-completed filtering
         const bufferSize = Math.max(parseInt(limit) * 3, 20)
         const quickDocs = await WorksRecommended.find(baseQuery)
           .sort(sortConfig)
           .limit(bufferSize)
           .select(
-            'house lsTerm workDescription workCategory recommendedAmount recommendationDate ida constituency state expected_beneficiaries priority mpName workId'
+            'house lsTerm workDescription workCategory canonicalCategory sector recommendedAmount recommendationDate ida constituency state expected_beneficiaries priority mpName workId'
           )
           .lean()
 
@@ -429,6 +231,8 @@ const getRecommendedWorks = async (req, res, next) => {
           work_description_hi: doc.workDescription,
           category: doc.workCategory,
           category_hi: doc.workCategory,
+          canonical_category: doc.canonicalCategory,
+          sector: doc.sector,
           estimated_cost: doc.recommendedAmount,
           recommended_date: doc.recommendationDate,
           recommended_year: doc.recommendationDate
@@ -534,7 +338,7 @@ const getRecommendedWorks = async (req, res, next) => {
     }
 
     const pipeline = [
-      { $match: { $and: [matchConditions, lsGateR] } },
+      { $match: matchConditions },
       ...(scanCap ? [{ $limit: scanCap }] : []),
       // Exclude works that are already completed (by identity)
       {
@@ -606,6 +410,8 @@ const getRecommendedWorks = async (req, res, next) => {
           work_description_hi: { $ifNull: ['$workDescription', '$work_description'] },
           category: { $ifNull: ['$workCategory', '$category'] },
           category_hi: { $ifNull: ['$workCategory', '$category'] },
+          canonical_category: '$canonicalCategory',
+          sector: '$sector',
           estimated_cost: { $toDouble: { $ifNull: ['$recommendedAmount', '$estimated_cost'] } },
           recommended_date: { $ifNull: ['$recommendationDate', '$recommended_date'] },
           recommended_year: {
@@ -639,7 +445,6 @@ const getRecommendedWorks = async (req, res, next) => {
             : {}),
         },
       },
-      ...(year ? [{ $match: { recommended_year: parseInt(year) } }] : []),
       // Apply payment filtering after projection but before sorting/pagination
       ...(has_payments !== undefined
         ? [
@@ -668,7 +473,7 @@ const getRecommendedWorks = async (req, res, next) => {
 
     // Compute totalCount using the same filtering logic as main pipeline
     const totalCountPipeline = [
-      { $match: { $and: [matchConditions, lsGateR] } },
+      { $match: matchConditions },
       ...(initialLimit ? [{ $limit: initialLimit }] : []),
       // Exclude completed works in count as well
       {
@@ -727,15 +532,6 @@ const getRecommendedWorks = async (req, res, next) => {
             : {}),
         },
       },
-      ...(year
-        ? [
-            {
-              $match: {
-                $expr: { $eq: [{ $year: { $toDate: '$recommended_date' } }, parseInt(year)] },
-              },
-            },
-          ]
-        : []),
       // Apply payment filtering for count calculation
       ...(has_payments !== undefined
         ? [
@@ -758,12 +554,12 @@ const getRecommendedWorks = async (req, res, next) => {
       totalCount = totalCountAgg[0]?.total || 0
     } catch {
       // Approximate fallback without exclude-completed (fast)
-      totalCount = await WorksRecommended.countDocuments({ $and: [matchConditions, lsGateR] })
+      totalCount = await WorksRecommended.countDocuments(matchConditions)
     }
 
     // Get summary statistics - include payment filtering if applied
     const summaryPipeline = [
-      { $match: { $and: [matchConditions, lsGateR] } },
+      { $match: matchConditions },
       ...(initialLimit ? [{ $limit: initialLimit }] : []),
       // Exclude completed works in summary
       {
@@ -865,7 +661,7 @@ const getRecommendedWorks = async (req, res, next) => {
 
     // Get status distribution - include payment filtering if applied
     const statusDistributionPipeline = [
-      { $match: { $and: [matchConditions, lsGateR] } },
+      { $match: matchConditions },
       ...(initialLimit ? [{ $limit: initialLimit }] : []),
       // Exclude completed works in status distribution
       {
@@ -1049,23 +845,15 @@ const getRecommendedWorks = async (req, res, next) => {
 const getConstituencies = async (req, res, next) => {
   try {
     const { state, house } = req.query
-    const lsSel = getLsTermSelection(req)
-
-    let matchStage = {}
-    if (state) matchStage.state = new RegExp(escapeRegex(state), 'i')
-    if (house === 'Lok Sabha') {
-      Object.assign(
-        matchStage,
-        { house: 'Lok Sabha' },
-        lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }
-      )
-    } else if (house === 'Rajya Sabha') {
-      Object.assign(matchStage, { house: 'Rajya Sabha' })
-    }
+    // Same state and house/term population as the works lists
+    const matchStage = await compileMatch(
+      { state, house, ls_term: req.query.ls_term },
+      'works_completed'
+    )
 
     // Build aggregation pipeline for both collections
     const pipeline = [
-      ...(Object.keys(matchStage).length > 0 ? [{ $match: matchStage }] : []),
+      { $match: matchStage },
       {
         $group: {
           _id: {
@@ -1166,34 +954,47 @@ const getConstituencies = async (req, res, next) => {
   }
 }
 
+// Taxonomy category, or the raw portal value for records ingested before the taxonomy
+const categoryName = {
+  $ifNull: ['$canonicalCategory', { $ifNull: ['$workCategory', '$category'] }],
+}
+
+// Sum category rows into their sectors; categories without one count as 'Other'
+const rollUpSectors = (categories, costField) => {
+  const sectors = new Map()
+  categories.forEach(row => {
+    const name = row.sector || 'Other'
+    const sector = sectors.get(name) || { sector: name, workCount: 0, [costField]: 0 }
+    sector.workCount += row.workCount
+    sector[costField] = Math.round((sector[costField] + (row[costField] || 0)) * 100) / 100
+    sectors.set(name, sector)
+  })
+  return [...sectors.values()].sort((a, b) => b[costField] - a[costField])
+}
+
 const getWorkCategories = async (req, res, next) => {
   try {
     const { state, house } = req.query
-    const lsSel = getLsTermSelection(req)
-    const matchStage = {}
-    if (state) matchStage.state = new RegExp(escapeRegex(state), 'i')
-    if (house === 'Lok Sabha') {
-      Object.assign(
-        matchStage,
-        { house: 'Lok Sabha' },
-        lsSel === 'both' ? { lsTerm: { $in: [17, 18] } } : { lsTerm: parseInt(lsSel, 10) }
-      )
-    } else if (house === 'Rajya Sabha') {
-      Object.assign(matchStage, { house: 'Rajya Sabha' })
-    }
+    // Same state and house/term population as the works lists
+    const matchStage = await compileMatch(
+      { state, house, ls_term: req.query.ls_term },
+      'works_completed'
+    )
 
     const [completedCategories, recommendedCategories] = await Promise.all([
       WorksCompleted.aggregate([
-        ...(Object.keys(matchStage).length > 0 ? [{ $match: matchStage }] : []),
+        { $match: matchStage },
         {
           $project: {
-            category: { $ifNull: ['$workCategory', '$category'] },
+            category: categoryName,
+            sector: '$sector',
             cost: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } },
           },
         },
         {
           $group: {
             _id: '$category',
+            sector: { $first: '$sector' },
             totalCost: { $sum: '$cost' },
             workCount: { $sum: 1 },
             avgCost: { $avg: '$cost' },
@@ -1203,6 +1004,7 @@ const getWorkCategories = async (req, res, next) => {
           $project: {
             category: '$_id',
             category_hi: '$_id', // Placeholder
+            sector: 1,
             totalCost: { $round: ['$totalCost', 2] },
             workCount: 1,
             avgCost: { $round: ['$avgCost', 2] },
@@ -1211,16 +1013,18 @@ const getWorkCategories = async (req, res, next) => {
         { $sort: { totalCost: -1 } },
       ]),
       WorksRecommended.aggregate([
-        ...(Object.keys(matchStage).length > 0 ? [{ $match: matchStage }] : []),
+        { $match: matchStage },
         {
           $project: {
-            category: { $ifNull: ['$workCategory', '$category'] },
+            category: categoryName,
+            sector: '$sector',
             estimated_cost: { $toDouble: { $ifNull: ['$recommendedAmount', '$estimated_cost'] } },
           },
         },
         {
           $group: {
             _id: '$category',
+            sector: { $first: '$sector' },
             totalEstimatedCost: { $sum: '$estimated_cost' },
             workCount: { $sum: 1 },
             avgEstimatedCost: { $avg: '$estimated_cost' },
@@ -1230,6 +1034,7 @@ const getWorkCategories = async (req, res, next) => {
           $project: {
             category: '$_id',
             category_hi: '$_id', // Placeholder
+            sector: 1,
             totalEstimatedCost: { $round: ['$totalEstimatedCost', 2] },
             workCount: 1,
             avgEstimatedCost: { $round: ['$avgEstimatedCost', 2] },
@@ -1245,10 +1050,12 @@ const getWorkCategories = async (req, res, next) => {
         completed: {
           categories: completedCategories,
           totalCategories: completedCategories.length,
+          sectors: rollUpSectors(completedCategories, 'totalCost'),
         },
         recommended: {
           categories: recommendedCategories,
           totalCategories: recommendedCategories.length,
+          sectors: rollUpSectors(recommendedCategories, 'totalEstimatedCost'),
         },
         lastUpdated: new Date().toISOString(),
       },
@@ -1289,6 +1096,8 @@ const getCompletedWorkDetails = async (req, res, next) => {
           work_description_hi: { $ifNull: ['$workDescription', '$work_description'] },
           category: { $ifNull: ['$workCategory', '$category'] },
           category_hi: { $ifNull: ['$workCategory', '$category'] },
+          canonical_category: '$canonicalCategory',
+          sector: '$sector',
           cost: { $toDouble: { $ifNull: ['$finalAmount', '$cost'] } },
           completion_date: { $ifNull: ['$completedDate', '$completion_date'] },
           completion_year: {
@@ -1398,6 +1207,8 @@ const getRecommendedWorkDetails = async (req, res, next) => {
           work_description_hi: { $ifNull: ['$workDescription', '$work_description'] },
           category: { $ifNull: ['$workCategory', '$category'] },
           category_hi: { $ifNull: ['$workCategory', '$category'] },
+          canonical_category: '$canonicalCategory',
+          sector: '$sector',
           estimated_cost: { $toDouble: { $ifNull: ['$recommendedAmount', '$estimated_cost'] } },
           recommended_date: { $ifNull: ['$recommendationDate', '$recommended_date'] },
           recommended_year: {
@@ -1581,6 +1392,146 @@ const getWorkPayments = async (req, res, next) => {
   }
 }
 
+// GET /api/works/:workId/history - Dated changes recorded for a work and its payments
+const getWorkHistory = async (req, res, next) => {
+  try {
+    const { workId } = req.params
+    const { collection } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500)
+
+    const wid = parseInt(workId, 10)
+    const query = { workId: Number.isNaN(wid) ? workId : wid }
+    if (['works_completed', 'works_recommended', 'expenditures'].includes(collection)) {
+      query.collection = collection
+    }
+
+    const entries = await RecordHistory.find(query)
+      .sort({ syncedAt: -1, _id: -1 })
+      .limit(limit)
+      .select({ recordKey: 0, __v: 0 })
+      .lean()
+
+    // Group entries of the same sync run so the timeline shows one event per date
+    const timeline = entries.reduce((acc, entry) => {
+      const syncedAt = entry.syncedAt ? entry.syncedAt.toISOString() : 'Unknown'
+      let event = acc.find(e => e.syncedAt === syncedAt)
+      if (!event) {
+        event = { syncedAt, changes: [] }
+        acc.push(event)
+      }
+      event.changes.push({
+        id: entry._id,
+        source: entry.collection,
+        changeType: entry.changeType,
+        fields: entry.changes || [],
+        snapshot: entry.snapshot || null,
+        mpName: entry.mpName,
+        house: entry.house,
+        lsTerm: entry.lsTerm,
+      })
+      return acc
+    }, [])
+
+    res.json({
+      success: true,
+      data: {
+        workId: query.workId,
+        totalEntries: entries.length,
+        timeline,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Nearby search limits: radius in km, results per request
+const DEFAULT_NEARBY_RADIUS_KM = 5
+const DEFAULT_NEARBY_LIMIT = 50
+
+// Fields returned for each nearby work, shared by both collections
+const nearbyProjection = (type, amountField, dateField) => ({
+  _id: 1,
+  type: { $literal: type },
+  workId: 1,
+  workDescription: 1,
+  workCategory: 1,
+  ida: 1,
+  amount: { $toDouble: { $ifNull: [`$${amountField}`, 0] } },
+  date: `$${dateField}`,
+  mpName: 1,
+  house: 1,
+  state: 1,
+  constituency: 1,
+  lsTerm: 1,
+  hasImage: 1,
+  coordinates: '$geoLocation.coordinates',
+  distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] },
+})
+
+// GET /api/works/nearby - Works with photo coordinates within a radius of a point
+const getNearbyWorks = async (req, res, next) => {
+  try {
+    const lat = Number(req.query.lat)
+    const lng = Number(req.query.lng)
+    const radiusKm = Number(req.query.radius) || DEFAULT_NEARBY_RADIUS_KM
+    const limit = Number(req.query.limit) || DEFAULT_NEARBY_LIMIT
+    const { type = 'all' } = req.query
+
+    const nearStage = async collection => ({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        key: 'geoLocation',
+        query: await compileMatch(req.query, collection),
+        spherical: true,
+      },
+    })
+
+    const sources = [
+      type !== 'recommended' && {
+        Model: WorksCompleted,
+        collection: 'works_completed',
+        project: nearbyProjection('completed', 'finalAmount', 'completedDate'),
+      },
+      type !== 'completed' && {
+        Model: WorksRecommended,
+        collection: 'works_recommended',
+        project: nearbyProjection('recommended', 'recommendedAmount', 'recommendationDate'),
+      },
+    ].filter(Boolean)
+
+    const results = await Promise.all(
+      sources.map(async ({ Model, collection, project }) =>
+        Model.aggregate([await nearStage(collection), { $limit: limit }, { $project: project }])
+      )
+    )
+
+    // Each collection comes back nearest first; merge them and keep the closest
+    const works = results
+      .flat()
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit)
+      .map(({ coordinates, ...work }) => ({
+        ...work,
+        coordinates: { lat: coordinates[1], lng: coordinates[0] },
+      }))
+
+    res.json({
+      success: true,
+      data: {
+        center: { lat, lng },
+        radiusKm,
+        works,
+        totalCount: works.length,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 module.exports = {
   getCompletedWorks,
   getRecommendedWorks,
@@ -1589,4 +1540,6 @@ module.exports = {
   getCompletedWorkDetails,
   getRecommendedWorkDetails,
   getWorkPayments,
+  getWorkHistory,
+  getNearbyWorks,
 }
@@ -0,0 +1,118 @@
+const ApiKey = require('../models/ApiKey')
+const { secureLogger } = require('../utils/logger')
+
+/**
+ * Public read-only API key authentication
+ * Requests without an X-API-Key header pass through untouched and are rate
+ * limited by IP as before. Requests with one must carry an active key; they
+ * are then rate limited by the key's own quota and counted against it.
+ */
+
+const KEY_CACHE_TTL = 60 * 1000 // 1 minute
+const keyCache = new Map()
+
+const rejectKey = (res, status, error, message) =>
+  res.status(status).json({ success: false, error, message })
+
+/**
+ * Look up a key by hash, caching misses as well so bad keys don't hit the database
+ * @param {string} keyHash - SHA-256 of the raw key
+ * @returns {Promise<Object|null>} Key document or null
+ */
+const findKey = async keyHash => {
+  const cached = keyCache.get(keyHash)
+  if (cached && cached.expiresAt > Date.now()) return cached.key
+
+  const key = await ApiKey.findOne({ keyHash }).select('status quota keyPrefix').lean()
+  keyCache.set(keyHash, { key, expiresAt: Date.now() + KEY_CACHE_TTL })
+  return key
+}
+
+/**
+ * Drop cached keys so revocations and quota changes apply immediately
+ */
+const clearApiKeyCache = () => keyCache.clear()
+
+const apiKeyAuth = async (req, res, next) => {
+  const rawKey = req.get('X-API-Key')
+  if (!rawKey) return next()
+
+  try {
+    if (!ApiKey.isWellFormed(rawKey)) {
+      return rejectKey(res, 401, 'Invalid API key', 'The X-API-Key header is not a valid key')
+    }
+
+    const key = await findKey(ApiKey.hashKey(rawKey))
+    if (!key || key.status !== 'active') {
+      secureLogger.warn(
+        'Rejected API key',
+        {
+          category: 'security',
+          type: 'api_key_rejected',
+          keyPrefix: key?.keyPrefix,
+          status: key?.status || 'unknown',
+          ip: req.ip,
+          timestamp: new Date().toISOString(),
+        },
+        req.correlationId
+      )
+      return rejectKey(
+        res,
+        401,
+        'Invalid API key',
+        key?.status === 'revoked' ? 'This API key has been revoked' : 'Unknown API key'
+      )
+    }
+
+    // Count the request, restarting the daily counter when the UTC day changes
+    const day = new Date().toISOString().slice(0, 10)
+    const updated = await ApiKey.findOneAndUpdate(
+      { _id: key._id, status: 'active' },
+      [
+        {
+          $set: {
+            'usage.today': {
+              $cond: [{ $eq: ['$usage.day', day] }, { $add: ['$usage.today', 1] }, 1],
+            },
+            'usage.day': day,
+            'usage.total': { $add: [{ $ifNull: ['$usage.total', 0] }, 1] },
+            'usage.lastUsedAt': '$$NOW',
+          },
+        },
+      ],
+      { new: true, projection: { usage: 1, quota: 1 } }
+    ).lean()
+
+    if (!updated) {
+      keyCache.clear()
+      return rejectKey(res, 401, 'Invalid API key', 'This API key has been revoked')
+    }
+
+    const dailyRemaining = Math.max(0, updated.quota.perDay - updated.usage.today)
+    res.set('X-API-Key-Daily-Limit', String(updated.quota.perDay))
+    res.set('X-API-Key-Daily-Remaining', String(dailyRemaining))
+
+    if (updated.usage.today > updated.quota.perDay) {
+      return rejectKey(
+        res,
+        429,
+        'Daily quota exceeded',
+        `This API key is limited to ${updated.quota.perDay} requests per day (UTC).`
+      )
+    }
+
+    req.apiKey = {
+      id: String(key._id),
+      prefix: key.keyPrefix,
+      windowQuota: updated.quota.perWindow,
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  apiKeyAuth,
+  clearApiKeyCache,
+}
@@ -29,6 +29,25 @@ const skipDevelopment = _req => {
   return process.env.NODE_ENV !== 'production' && process.env.ENABLE_RATE_LIMIT !== 'true'
 }
 
+/**
+ * Requests carrying an API key (see middleware/apiKey.js) are limited per key
+ * using the key's own quota instead of per IP
+ * @param {Function} [fallbackKey] - Key generator for anonymous requests
+ * @returns {Function} keyGenerator
+ */
+const keyByApiKey =
+  (fallbackKey = req => req.ip) =>
+  req =>
+    req.apiKey ? `apikey:${req.apiKey.id}` : fallbackKey(req)
+
+/**
+ * @param {number} max - Limit for anonymous requests
+ * @returns {Function} max resolver
+ */
+const maxByApiKey = max => req => (req.apiKey ? req.apiKey.windowQuota : max)
+
+const DEFAULT_MAX = process.env.NODE_ENV === 'production' ? 1000 : 5000
+
 /**
  * Enhanced rate limit store with IP tracking
  */
@@ -79,15 +98,15 @@ const _createStore = () => {
  */
 const generalApiLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000, // 1000 requests per 10 min
+  max: maxByApiKey(DEFAULT_MAX), // 1000 requests per 10 min
   message: createRateLimitMessage('API', 10 * 60 * 1000),
   standardHeaders: true,
   legacyHeaders: false,
   skip: skipDevelopment,
-  keyGenerator: req => {
-    // Use IP + User-Agent for more specific tracking
-    return `${req.ip}-${req.get('User-Agent')?.substring(0, 50) || 'unknown'}`
-  },
+  // Use IP + User-Agent for more specific tracking
+  keyGenerator: keyByApiKey(
+    req => `${req.ip}-${req.get('User-Agent')?.substring(0, 50) || 'unknown'}`
+  ),
   // Rate limit reached handler
   handler: (req, res) => {
     secureLogger.security.rateLimitExceeded(req.ip, req.path, req.correlationId)
@@ -101,11 +120,12 @@ const generalApiLimiter = rateLimit({
  */
 const searchLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000,
+  max: maxByApiKey(DEFAULT_MAX),
   message: createRateLimitMessage('search', 10 * 60 * 1000),
   standardHeaders: true,
   legacyHeaders: false,
   skip: skipDevelopment,
+  keyGenerator: keyByApiKey(),
   handler: (req, res) => {
     secureLogger.warn(
       'Search rate limit exceeded',
@@ -128,11 +148,12 @@ const searchLimiter = rateLimit({
  */
 const exportLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000,
+  max: maxByApiKey(DEFAULT_MAX),
   message: createRateLimitMessage('export', 10 * 60 * 1000),
   standardHeaders: true,
   legacyHeaders: false,
   skip: skipDevelopment,
+  keyGenerator: keyByApiKey(),
   handler: (req, res) => {
     secureLogger.warn(
       'Export rate limit exceeded',
@@ -155,11 +176,12 @@ const exportLimiter = rateLimit({
  */
 const analyticsLimiter = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000,
+  max: maxByApiKey(DEFAULT_MAX),
   message: createRateLimitMessage('analytics', 10 * 60 * 1000),
   standardHeaders: true,
   legacyHeaders: false,
   skip: skipDevelopment,
+  keyGenerator: keyByApiKey(),
   handler: (req, res) => {
     secureLogger.warn(
       'Analytics rate limit exceeded',
@@ -236,11 +258,12 @@ const strictLimiter = rateLimit({
  */
 const burstProtection = rateLimit({
   windowMs: 10 * 60 * 1000, // 10 minutes
-  max: process.env.NODE_ENV === 'production' ? 1000 : 5000,
+  max: maxByApiKey(DEFAULT_MAX),
   message: createRateLimitMessage('burst protection', 10 * 60 * 1000),
   standardHeaders: true,
   legacyHeaders: false,
   skip: skipDevelopment,
+  keyGenerator: keyByApiKey(),
   handler: (req, res) => {
     secureLogger.warn(
       'Burst protection triggered',
@@ -262,7 +285,8 @@ const burstProtection = rateLimit({
  * Applies increasingly strict limits based on request count
  */
 const progressiveLimiter = (req, res, next) => {
-  if (skipDevelopment(req)) {
+  // Keyed requests are bounded by their per-key quota instead
+  if (skipDevelopment(req) || req.apiKey) {
     return next()
   }
 
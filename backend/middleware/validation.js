@@ -2,6 +2,32 @@ const Joi = require('joi')
 const { sanitizeInputs } = require('./sanitization')
 const { validationResult } = require('express-validator')
 const { secureLogger } = require('../utils/logger')
+const { EXPORT_FORMATS } = require('../utils/exportFormats')
+
+// Lok Sabha term selection: a term, a comma-separated list of terms, or 'all' ('both' is a legacy alias)
+const lsTerm = Joi.alternatives().try(
+  Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^(all|both|\d{1,2}(,\d{1,2}){0,19})$/),
+  Joi.number().integer().min(1).max(99)
+)
+
+// Sector from the work category taxonomy, e.g. 'Roads & Transport'
+const sector = Joi.string()
+  .trim()
+  .max(50)
+  .pattern(/^[a-zA-Z\s&]+$/)
+
+// Party short name or alliance from the party reference file, e.g. 'CPI(M)', 'JD(U)', 'NDA'
+const party = Joi.string()
+  .trim()
+  .max(50)
+  .pattern(/^[a-zA-Z0-9\s().&-]+$/)
+const alliance = Joi.string()
+  .trim()
+  .max(50)
+  .pattern(/^[a-zA-Z0-9\s.&-]+$/)
 
 // Enhanced validation schemas with security constraints
 const schemas = {
@@ -23,15 +49,10 @@ const schemas = {
       .trim()
       .max(150)
       .pattern(/^[a-zA-Z0-9\s().-]+$/),
-    party: Joi.string()
-      .trim()
-      .max(200)
-      .pattern(/^[a-zA-Z0-9\s().-]+$/),
+    party,
+    alliance,
     house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
-    ls_term: Joi.alternatives().try(
-      Joi.string().valid('17', '18', 'both'),
-      Joi.number().valid(17, 18)
-    ),
+    ls_term: lsTerm,
     min_utilization: Joi.number().min(0).max(100),
     max_utilization: Joi.number().min(0).max(100).greater(Joi.ref('min_utilization')),
     search: Joi.string()
@@ -41,6 +62,7 @@ const schemas = {
   }),
 
   expenditureFilters: Joi.object({
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
     mp_id: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
     state: Joi.string()
       .trim()
@@ -52,11 +74,11 @@ const schemas = {
     category: Joi.string()
       .trim()
       .max(50)
-      .pattern(/^[a-zA-Z0-9\s_-]+$/),
-    ls_term: Joi.alternatives().try(
-      Joi.string().valid('17', '18', 'both'),
-      Joi.number().valid(17, 18)
-    ),
+      .pattern(/^[a-zA-Z0-9\s_,&/-]+$/),
+    sector,
+    party,
+    alliance,
+    ls_term: lsTerm,
   }),
 
   worksFilters: Joi.object({
@@ -77,7 +99,10 @@ const schemas = {
     category: Joi.string()
       .trim()
       .max(50)
-      .pattern(/^[a-zA-Z0-9\s_-]+$/),
+      .pattern(/^[a-zA-Z0-9\s_,&/-]+$/),
+    sector,
+    party,
+    alliance,
     year: Joi.number().integer().min(2014).max(new Date().getFullYear()),
     status: Joi.string().valid('Completed', 'In Progress', 'Not Started'),
     min_cost: Joi.number().min(0),
@@ -89,10 +114,7 @@ const schemas = {
     latitude: Joi.number().min(-90).max(90),
     longitude: Joi.number().min(-180).max(180),
     radius_km: Joi.number().min(0).max(1000),
-    ls_term: Joi.alternatives().try(
-      Joi.string().valid('17', '18', 'both'),
-      Joi.number().valid(17, 18)
-    ),
+    ls_term: lsTerm,
   }),
 
   'pagination+worksFilters': Joi.object({
@@ -102,6 +124,8 @@ const schemas = {
     sort: Joi.string()
       .pattern(/^[-]?[a-zA-Z0-9_.]{1,40}$/)
       .optional(),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
     mp_id: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
     state: Joi.string().trim().allow(''),
     constituency: Joi.string().trim().allow(''),
@@ -109,8 +133,11 @@ const schemas = {
     category: Joi.string()
       .trim()
       .max(50)
-      .pattern(/^[a-zA-Z0-9\s_-]+$/)
+      .pattern(/^[a-zA-Z0-9\s_,&/-]+$/)
       .allow(''),
+    sector: sector.allow(''),
+    party: party.allow(''),
+    alliance: alliance.allow(''),
     year: Joi.number().integer().min(2014).max(new Date().getFullYear()),
     status: Joi.string().valid('Completed', 'In Progress', 'Not Started'),
     min_cost: Joi.alternatives().try(Joi.number().min(0), Joi.string().allow('')),
@@ -135,6 +162,7 @@ const schemas = {
     sort: Joi.string()
       .pattern(/^[-]?[a-zA-Z0-9_.]{1,40}$/)
       .optional(),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
     mp_id: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
     state: Joi.string()
       .trim()
@@ -146,11 +174,11 @@ const schemas = {
     category: Joi.string()
       .trim()
       .max(50)
-      .pattern(/^[a-zA-Z0-9\s_-]+$/),
-    ls_term: Joi.alternatives().try(
-      Joi.string().valid('17', '18', 'both'),
-      Joi.number().valid(17, 18)
-    ),
+      .pattern(/^[a-zA-Z0-9\s_,&/-]+$/),
+    sector,
+    party,
+    alliance,
+    ls_term: lsTerm,
   }),
 
   analyticsFilters: Joi.object({
@@ -162,10 +190,164 @@ const schemas = {
       .pattern(/^[a-zA-Z\s-]+$/),
     house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
     top_n: Joi.number().integer().min(1).max(50).default(10),
-    ls_term: Joi.alternatives().try(
-      Joi.string().valid('17', '18', 'both'),
-      Joi.number().valid(17, 18)
-    ),
+    party,
+    alliance,
+    ls_term: lsTerm,
+  }),
+
+  // Works near a point; radius in km
+  nearbyFilters: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().min(0.1).max(50).default(5),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    type: Joi.string().valid('completed', 'recommended', 'all').default('all'),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
+  }),
+
+  // Spend velocity for one MP (mp_id) or the MPs matching state, house and term
+  velocityFilters: Joi.object({
+    mp_id: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/^[a-zA-Z\s&-]+$/),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
+  }),
+
+  // Anomaly flags raised by the uploader; rule, severity and work_ids take comma-separated lists
+  flagFilters: Joi.object({
+    page: Joi.number().integer().min(1).max(1000).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    rule: Joi.string()
+      .trim()
+      .pattern(/^[a-z_]+(,[a-z_]+){0,4}$/),
+    severity: Joi.string()
+      .trim()
+      .pattern(/^(high|medium|low)(,(high|medium|low)){0,2}$/),
+    entity: Joi.string().valid('work', 'mp'),
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/^[a-zA-Z\s&-]+$/),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
+    mp_id: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+    mp_name: Joi.string().trim().max(100),
+    constituency: Joi.string().trim().max(100),
+    work_ids: Joi.string()
+      .trim()
+      .pattern(/^\d{1,12}(,\d{1,12}){0,99}$/),
+  }),
+
+  // File type for /api/export/* downloads
+  exportOptions: Joi.object({
+    format: Joi.string()
+      .valid(...EXPORT_FORMATS)
+      .default('csv'),
+  }),
+
+  // POST /api/export/jobs/*: optional email of a verified subscriber to notify
+  exportJob: Joi.object({
+    email: Joi.string().trim().lowercase().email().max(254),
+  }),
+
+  // GET /api/export/jobs/:id/notify: token from the confirmation email
+  exportNotifyConfirm: Joi.object({
+    id: Joi.string().hex().length(32).required(),
+    token: Joi.string().hex().length(48).required(),
+  }),
+
+  exportJobId: Joi.object({
+    id: Joi.string().hex().length(32).required(),
+  }),
+
+  // GET /api/metadata/dumps/:version/:file
+  dataDumpFile: Joi.object({
+    version: Joi.string()
+      .pattern(/^v\d{14}$/)
+      .required(),
+    file: Joi.string()
+      .pattern(/^([a-z_]+\.jsonl\.gz|manifest\.json)$/)
+      .required(),
+  }),
+
+  // Unified search across MPs, constituencies, works and vendors
+  search: Joi.object({
+    q: Joi.string().trim().min(2).max(100).required(),
+    types: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^(mp|constituency|work|vendor)(,(mp|constituency|work|vendor)){0,3}$/),
+    limit: Joi.number().integer().min(1).max(50).default(5),
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/^[a-zA-Z\s&-]+$/),
+    party,
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
+  }),
+
+  // Vendor and implementing agency (IDA) analytics
+  vendorFilters: Joi.object({
+    page: Joi.number().integer().min(1).max(1000).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    by: Joi.string().valid('vendor', 'ida').default('vendor'),
+    name: Joi.string().trim().min(1).max(200),
+    sort: Joi.string().valid('amount', 'payments', 'mps', 'states'),
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/^[a-zA-Z\s&-]+$/),
+    house: Joi.string().valid('Lok Sabha', 'Rajya Sabha'),
+    ls_term: lsTerm,
+    search: Joi.string().trim().max(100).allow(''),
+    min_mps: Joi.number().integer().min(1).max(1000),
+    min_states: Joi.number().integer().min(1).max(40),
+  }),
+
+  // MLALADS endpoints: state legislature houses and assembly terms instead of Lok Sabha terms
+  mlaladsFilters: Joi.object({
+    page: Joi.number().integer().min(1).max(1000).default(1),
+    limit: Joi.number().integer().min(1).max(1000).default(20),
+    sort: Joi.string()
+      .pattern(/^[-]?[a-zA-Z0-9_.]{1,40}$/)
+      .optional(),
+    sortBy: Joi.string()
+      .pattern(/^[a-zA-Z0-9_]{1,40}$/)
+      .optional(),
+    order: Joi.string().valid('asc', 'desc'),
+    house: Joi.string().valid('Vidhan Sabha', 'Vidhan Parishad'),
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .pattern(/^[a-zA-Z\s&-]+$/),
+    constituency: Joi.string()
+      .trim()
+      .max(150)
+      .pattern(/^[a-zA-Z0-9\s().-]+$/),
+    mla_name: Joi.string()
+      .trim()
+      .max(150)
+      .pattern(/^[a-zA-Z0-9\s.,'()-]+$/),
+    category: Joi.string()
+      .trim()
+      .max(50)
+      .pattern(/^[a-zA-Z0-9\s_-]+$/),
+    search: Joi.string()
+      .trim()
+      .max(200)
+      .pattern(/^[a-zA-Z0-9\s._-]*$/)
+      .allow(''),
+    year: Joi.number().integer().min(2000).max(new Date().getFullYear()),
+    min_cost: Joi.number().min(0),
+    max_cost: Joi.number().min(0),
+    min_amount: Joi.number().min(0),
+    max_amount: Joi.number().min(0),
+    assembly_term: lsTerm,
   }),
 
   // Feedback validation schemas
@@ -195,6 +377,31 @@ const schemas = {
   }),
 }
 
+/**
+ * Look up a named schema, combining 'a+b' names with Joi.concat (e.g. 'pagination+worksFilters')
+ * @param {string} schemaName - Schema name as passed to validate()
+ * @returns {Object|undefined} Joi schema, or undefined when no part is known
+ */
+const resolveSchema = schemaName => {
+  if (schemas[schemaName] || !schemaName.includes('+')) return schemas[schemaName]
+
+  const parts = schemaName
+    .split('+')
+    .map(s => s.trim())
+    .filter(Boolean)
+  // Start from an empty object schema and concat in order
+  try {
+    return parts.reduce((acc, name) => {
+      const part = schemas[name]
+      if (!part) return acc // skip unknown silently; will be handled if nothing found
+      return acc.concat(part)
+    }, Joi.object({}))
+  } catch {
+    // Fallback: if concat fails for any reason, return undefined so validate() answers 500
+    return undefined
+  }
+}
+
 /**
  * Security-enhanced validation middleware factory
  * Combines input sanitization with Joi validation
@@ -207,27 +414,8 @@ const schemas = {
 const validate = (schemaName, options = {}) => {
   const { sanitize = true, htmlFields = [] } = options
 
-  return (req, res, next) => {
-    let schema = schemas[schemaName]
-
-    // Support dynamic schema combination using Joi.concat (e.g., 'pagination+worksFilters')
-    if (!schema && schemaName.includes('+')) {
-      const parts = schemaName
-        .split('+')
-        .map(s => s.trim())
-        .filter(Boolean)
-      // Start from an empty object schema and concat in order
-      try {
-        schema = parts.reduce((acc, name) => {
-          const part = schemas[name]
-          if (!part) return acc // skip unknown silently; will be handled if nothing found
-          return acc.concat(part)
-        }, Joi.object({}))
-      } catch {
-        // Fallback: if concat fails for any reason, keep undefined so we hit the 500 below
-        schema = undefined
-      }
-    }
+  const middleware = (req, res, next) => {
+    const schema = resolveSchema(schemaName)
 
     if (!schema) {
       return res.status(500).json({
@@ -281,6 +469,10 @@ const validate = (schemaName, options = {}) => {
 
     next()
   }
+
+  // Lets the OpenAPI generator find the schema a route validates against
+  middleware.schemaName = schemaName
+  return middleware
 }
 
 /**
@@ -372,6 +564,7 @@ const securitySchemas = {
 
 module.exports = {
   schemas,
+  resolveSchema,
   validate,
   handleValidationErrors,
   secureValidation,
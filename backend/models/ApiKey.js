@@ -0,0 +1,165 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// Raw keys look like `ei_<48 hex chars>`; only their SHA-256 hash is stored
+const KEY_PREFIX = 'ei_'
+const KEY_PATTERN = /^ei_[a-f0-9]{48}$/
+
+// Default quotas for new keys, adjustable per key from the admin page
+const DEFAULT_WINDOW_QUOTA = parseInt(process.env.API_KEY_WINDOW_QUOTA || '5000', 10) // per 10 min
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA || '100000', 10)
+
+// Requests not confirmed from the inbox within a day lapse, like subscriber verification links
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: function (email) {
+          return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+        },
+        message: 'Invalid email format',
+      },
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    purpose: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'revoked'],
+      default: 'pending',
+    },
+    keyHash: {
+      type: String,
+      default: null,
+    },
+    keyPrefix: {
+      type: String,
+      default: null,
+    },
+    quota: {
+      perWindow: { type: Number, default: DEFAULT_WINDOW_QUOTA, min: 1 },
+      perDay: { type: Number, default: DEFAULT_DAILY_QUOTA, min: 1 },
+    },
+    usage: {
+      total: { type: Number, default: 0 },
+      day: { type: String, default: null }, // UTC day `today` counts, YYYY-MM-DD
+      today: { type: Number, default: 0 },
+      lastUsedAt: { type: Date, default: null },
+    },
+    // Unconfirmed requests are deleted at this time; cleared once the key is issued
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + PENDING_TTL_MS),
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'api_keys',
+  }
+)
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true, sparse: true })
+apiKeySchema.index({ email: 1, status: 1 })
+apiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+apiKeySchema.index({ createdAt: -1 })
+
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+apiKeySchema.statics.isWellFormed = function (key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key)
+}
+
+apiKeySchema.methods.toPublicFields = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    keyPrefix: this.keyPrefix,
+    status: this.status,
+    quota: this.quota,
+    usage: this.usage,
+    createdAt: this.createdAt,
+    verifiedAt: this.verifiedAt,
+  }
+}
+
+/**
+ * Pending requests an address may still confirm; lapsed ones no longer count
+ * (the TTL monitor removes them, but only about once a minute)
+ */
+apiKeySchema.statics.pendingFilter = function (email) {
+  return { email, status: 'pending', expiresAt: { $gt: new Date() } }
+}
+
+/**
+ * Issue every pending key requested by an address, once its subscriber
+ * verification link is opened. Each key is claimed atomically, so opening the
+ * link twice never issues one key twice.
+ * @param {string} email - Verified address
+ * @returns {Promise<Object[]>} The raw keys with their public fields. Only their
+ *   hashes are stored, so they cannot be shown again.
+ */
+apiKeySchema.statics.activatePending = async function (email) {
+  const issued = []
+  for (;;) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`
+    const apiKey = await this.findOneAndUpdate(
+      this.pendingFilter(email),
+      {
+        $set: {
+          status: 'active',
+          keyHash: this.hashKey(key),
+          keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+          verifiedAt: new Date(),
+          expiresAt: null,
+        },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    )
+    if (!apiKey) return issued
+    issued.push({ key, ...apiKey.toPublicFields() })
+  }
+}
+
+apiKeySchema.methods.revoke = function (reason) {
+  this.status = 'revoked'
+  this.revokedAt = new Date()
+  this.revokedReason = reason || null
+  return this.save()
+}
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema)
+
+module.exports = ApiKey
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// Job records outlive their files by a week so old links report 'expired', not 404
+const RECORD_RETENTION_SECONDS = 7 * 24 * 60 * 60
+
+const exportJobSchema = new mongoose.Schema(
+  {
+    // Public job ID used in status and download URLs; not guessable like an ObjectId
+    jobId: {
+      type: String,
+      required: true,
+      default: () => crypto.randomBytes(16).toString('hex'),
+    },
+    dataset: {
+      type: String,
+      required: true,
+      enum: ['completed-works', 'recommended-works', 'expenditures', 'mp-summary'],
+    },
+    format: {
+      type: String,
+      required: true,
+      default: 'csv',
+    },
+    // Validated filter query, replayed when the job runs
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+      default: 'queued',
+    },
+    progress: {
+      rows: { type: Number, default: 0 },
+      total: { type: Number, default: null },
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    // Filters, dataset version and sync time of the written file, from buildExportMetadata()
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Verified mailing list subscriber to email when the file is ready
+    notifyEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Address given when the job was queued; it becomes notifyEmail once its
+    // owner follows the emailed confirmation link carrying notifyToken
+    pendingNotifyEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    notifyToken: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // When the finished file is removed from disk
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'export_jobs',
+  }
+)
+
+exportJobSchema.index({ jobId: 1 }, { unique: true })
+exportJobSchema.index({ status: 1, createdAt: 1 })
+exportJobSchema.index({ ipAddress: 1, status: 1 })
+exportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RECORD_RETENTION_SECONDS })
+
+exportJobSchema.methods.isActive = function () {
+  return this.status === 'queued' || this.status === 'running'
+}
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema)
+
+module.exports = ExportJob
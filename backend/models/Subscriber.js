@@ -1,5 +1,10 @@
 const mongoose = require('mongoose')
 
+// What a subscriber can follow, and the ID each is followed by
+// (mp: persistent mpId, constituency: constituencyId, state: name, work: workId)
+const FOLLOW_TYPES = ['mp', 'constituency', 'state', 'work']
+const MAX_FOLLOWS = 50
+
 const subscriberSchema = new mongoose.Schema(
   {
     email: {
@@ -53,6 +58,21 @@ const subscriberSchema = new mongoose.Schema(
       updates: { type: Boolean, default: true },
       security: { type: Boolean, default: true },
     },
+    follows: [
+      {
+        _id: false,
+        type: { type: String, enum: FOLLOW_TYPES, required: true },
+        id: { type: String, required: true },
+        // Display name at the time of following, for emails and the manage page
+        label: { type: String, default: null },
+        followedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Sync of the last follow digest handled for this subscriber, so a retried digest skips them
+    lastDigestSyncedAt: {
+      type: Date,
+      default: null,
+    },
     source: {
       type: String,
       default: 'landing_page',
@@ -75,6 +95,7 @@ subscriberSchema.index({ verificationToken: 1 })
 subscriberSchema.index({ unsubscribeToken: 1 })
 subscriberSchema.index({ verificationTokenExpires: 1 })
 subscriberSchema.index({ isVerified: 1 })
+subscriberSchema.index({ 'follows.type': 1, 'follows.id': 1 })
 
 subscriberSchema.methods.unsubscribe = function () {
   this.isActive = false
@@ -109,6 +130,22 @@ subscriberSchema.methods.generateVerificationToken = function () {
   return this.save()
 }
 
+subscriberSchema.methods.isFollowing = function (type, id) {
+  return this.follows.some(follow => follow.type === type && follow.id === String(id))
+}
+
+subscriberSchema.methods.follow = function (type, id, label) {
+  if (!this.isFollowing(type, id)) {
+    this.follows.push({ type, id: String(id), label: label || null, followedAt: new Date() })
+  }
+  return this.save()
+}
+
+subscriberSchema.methods.unfollow = function (type, id) {
+  this.follows = this.follows.filter(follow => !(follow.type === type && follow.id === String(id)))
+  return this.save()
+}
+
 subscriberSchema.statics.getActiveSubscribers = function () {
   return this.find({ isActive: true, isVerified: true }).sort({ subscribedAt: -1 })
 }
@@ -132,5 +169,7 @@ subscriberSchema.statics.getSubscriberStats = function () {
 }
 
 const Subscriber = mongoose.model('Subscriber', subscriberSchema)
+Subscriber.FOLLOW_TYPES = FOLLOW_TYPES
+Subscriber.MAX_FOLLOWS = MAX_FOLLOWS
 
 module.exports = Subscriber
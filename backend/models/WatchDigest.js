@@ -0,0 +1,57 @@
+const mongoose = require('mongoose')
+
+// Digest records are kept for a quarter so a sync's mailing can be traced
+const RECORD_RETENTION_SECONDS = 90 * 24 * 60 * 60
+
+// One follow digest per sync that added works or payments, queued by the uploader
+const watchDigestSchema = new mongoose.Schema(
+  {
+    // Sync whose record_history entries the digest reports
+    syncedAt: {
+      type: Date,
+      required: true,
+    },
+    datasetVersion: {
+      type: String,
+      default: null,
+    },
+    // Additions in the whole sync, before matching follows
+    counts: {
+      recommendations: { type: Number, default: 0 },
+      completions: { type: Number, default: 0 },
+      payments: { type: Number, default: 0 },
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'],
+      default: 'pending',
+    },
+    recipients: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'watch_digests',
+  }
+)
+
+watchDigestSchema.index({ status: 1, createdAt: 1 })
+watchDigestSchema.index({ completedAt: 1 }, { expireAfterSeconds: RECORD_RETENTION_SECONDS })
+
+const WatchDigest = mongoose.model('WatchDigest', watchDigestSchema)
+
+module.exports = WatchDigest
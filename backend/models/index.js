@@ -1,12 +1,31 @@
 const mongoose = require('mongoose')
 
+// Funding schemes: MPLADS (Parliament) and MLALADS (state legislatures).
+// Records without a scheme predate MLALADS and belong to MPLADS.
+const SCHEMES = ['MPLADS', 'MLALADS']
+// Rules applied by the uploader's anomaly detector (upload-scripts/src/anomaly-detector.js)
+const ANOMALY_RULES = [
+  'payment_without_recommendation',
+  'final_above_recommended',
+  'completed_before_recommended',
+  'same_day_vendor_payments',
+  'completed_without_payments',
+]
+
 // MP Schema
 const mpSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
+    // Persistent person ID across houses and terms (upload-scripts/src/mp-identity.js)
+    mpId: String,
     house: { type: String, required: true },
     state: { type: String, required: true },
     constituency: String,
+    // Registry ID of the Lok Sabha seat (upload-scripts/src/constituency-registry.js)
+    constituencyId: String,
+    // Party and alliance of the latest tenure (upload-scripts/src/party-affiliations.js)
+    party: String,
+    alliance: String,
   },
   { timestamps: true }
 )
@@ -15,12 +34,21 @@ const mpSchema = new mongoose.Schema(
 const allocationSchema = new mongoose.Schema(
   {
     mpName: { type: String, required: true },
+    mpId: String,
     house: { type: String, required: true },
     state: { type: String, required: true },
     constituency: String,
+    constituencyId: String,
     allocatedAmount: { type: Number, default: 0 },
+    party: String,
+    alliance: String,
+    // Affiliations overlapping the tenure: { party, alliance, from, until, source, sourcedOn }
+    partyHistory: mongoose.Schema.Types.Mixed,
     // Lok Sabha term indicator (null for Rajya Sabha)
     lsTerm: { type: Number, default: null, index: true },
+    scheme: { type: String, enum: SCHEMES, default: 'MPLADS' },
+    // State assembly term (MLALADS only)
+    assemblyTerm: { type: Number, default: null },
   },
   { timestamps: true }
 )
@@ -31,9 +59,11 @@ allocationSchema.index({ state: 1, house: 1, lsTerm: 1 })
 const expenditureSchema = new mongoose.Schema(
   {
     mpName: { type: String, required: true },
+    mpId: String,
     house: { type: String, required: true },
     state: { type: String, required: true },
     constituency: String,
+    constituencyId: String,
     work: String,
     // Link to recommended/completed work when available
     workId: { type: Number, index: true },
@@ -42,7 +72,16 @@ const expenditureSchema = new mongoose.Schema(
     expenditureDate: Date,
     paymentStatus: String,
     expenditureAmount: { type: Number, default: 0 },
+    // Category and sector of the linked work
+    canonicalCategory: String,
+    sector: String,
+    // Party and alliance on the payment date
+    party: String,
+    alliance: String,
     lsTerm: { type: Number, default: null, index: true },
+    scheme: { type: String, enum: SCHEMES, default: 'MPLADS' },
+    // State assembly term (MLALADS only)
+    assemblyTerm: { type: Number, default: null },
   },
   { timestamps: true }
 )
@@ -54,10 +93,15 @@ expenditureSchema.index({ expenditureDate: -1 })
 const worksCompletedSchema = new mongoose.Schema(
   {
     mpName: { type: String, required: true },
+    mpId: String,
     house: { type: String, required: true },
     state: { type: String, required: true },
     constituency: String,
+    constituencyId: String,
     workCategory: String,
+    // Taxonomy mapping of workCategory (upload-scripts/src/category-taxonomy.js)
+    canonicalCategory: String,
+    sector: String,
     workId: { type: Number, index: true },
     ida: String,
     workDescription: String,
@@ -65,45 +109,82 @@ const worksCompletedSchema = new mongoose.Schema(
     hasImage: { type: Boolean, default: false },
     averageRating: Number,
     finalAmount: { type: Number, default: 0 },
+    // Party and alliance on the work's date
+    party: String,
+    alliance: String,
     lsTerm: { type: Number, default: null, index: true },
+    scheme: { type: String, enum: SCHEMES, default: 'MPLADS' },
+    // State assembly term (MLALADS only)
+    assemblyTerm: { type: Number, default: null },
+    // GeoJSON point from photo EXIF, written by the image extractor
+    geoLocation: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
   },
   { timestamps: true }
 )
 worksCompletedSchema.index({ mpName: 1, house: 1, lsTerm: 1 })
 worksCompletedSchema.index({ state: 1, house: 1, lsTerm: 1 })
 worksCompletedSchema.index({ completedDate: -1 })
+worksCompletedSchema.index({ geoLocation: '2dsphere' })
+worksCompletedSchema.index({ sector: 1, canonicalCategory: 1 })
 
 // Works Recommended Schema
 const worksRecommendedSchema = new mongoose.Schema(
   {
     mpName: { type: String, required: true },
+    mpId: String,
     house: { type: String, required: true },
     state: { type: String, required: true },
     constituency: String,
+    constituencyId: String,
     workCategory: String,
+    // Taxonomy mapping of workCategory (upload-scripts/src/category-taxonomy.js)
+    canonicalCategory: String,
+    sector: String,
     workId: { type: Number, index: true },
     ida: String,
     workDescription: String,
     recommendationDate: Date,
     hasImage: { type: Boolean, default: false },
     recommendedAmount: { type: Number, default: 0 },
+    // Party and alliance on the work's date
+    party: String,
+    alliance: String,
     lsTerm: { type: Number, default: null, index: true },
+    scheme: { type: String, enum: SCHEMES, default: 'MPLADS' },
+    // State assembly term (MLALADS only)
+    assemblyTerm: { type: Number, default: null },
+    // GeoJSON point from photo EXIF, written by the image extractor
+    geoLocation: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
   },
   { timestamps: true }
 )
 worksRecommendedSchema.index({ mpName: 1, house: 1, lsTerm: 1 })
 worksRecommendedSchema.index({ state: 1, house: 1, lsTerm: 1 })
 worksRecommendedSchema.index({ recommendationDate: -1 })
+worksRecommendedSchema.index({ geoLocation: '2dsphere' })
+worksRecommendedSchema.index({ sector: 1, canonicalCategory: 1 })
 
 // Summary Schema
 const summarySchema = new mongoose.Schema(
   {
     type: { type: String, required: true },
     mpName: String,
+    mpId: String,
     house: String,
     state: String,
     constituency: String,
     allocatedAmount: Number,
+    constituencyId: String,
+    // Party and alliance of the tenure, and every affiliation overlapping it
+    party: String,
+    alliance: String,
+    partyHistory: mongoose.Schema.Types.Mixed,
     totalExpenditure: Number,
     transactionCount: Number,
     successfulPayments: Number,
@@ -138,12 +219,18 @@ const summarySchema = new mongoose.Schema(
     totalInProgressPayments: Number,
     // Lok Sabha term indicator for term-aware summaries
     lsTerm: { type: Number, default: null, index: true },
+    scheme: { type: String, enum: SCHEMES, default: 'MPLADS' },
+    // State assembly term (MLALADS only)
+    assemblyTerm: { type: Number, default: null },
   },
   { timestamps: true }
 )
 summarySchema.index({ type: 1, house: 1, lsTerm: 1 })
 summarySchema.index({ mpName: 1, house: 1, lsTerm: 1 })
 summarySchema.index({ state: 1, house: 1, lsTerm: 1 })
+summarySchema.index({ constituencyId: 1, lsTerm: -1 })
+summarySchema.index({ mpId: 1, house: 1, lsTerm: -1 })
+summarySchema.index({ party: 1, house: 1, lsTerm: -1 })
 
 // Metadata Schema for data sync tracking
 const metadataSchema = new mongoose.Schema(
@@ -166,12 +253,186 @@ const metadataSchema = new mongoose.Schema(
       syncDurationSeconds: { type: Number, default: 0 },
       dataQuality: { type: Number, default: 100 },
     },
+    // 'full' or 'incremental', with inserted/updated/removed counts for the last run
+    syncMode: { type: String, default: 'full' },
+    changes: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Live blue/green dataset and the one kept for rollback
+    datasetVersion: { type: String, default: null },
+    previousDatasetVersion: { type: String, default: null },
+    rolledBackFrom: { type: String, default: null },
     updateFrequency: { type: String, default: 'daily' },
     version: String,
   },
   { timestamps: true }
 )
 
+// Dated change entries appended by the uploader on every sync (works and expenditures)
+const recordHistorySchema = new mongoose.Schema(
+  {
+    collection: { type: String, required: true },
+    recordKey: String,
+    workId: Number,
+    mpName: String,
+    mpId: String,
+    house: String,
+    lsTerm: Number,
+    state: String,
+    constituency: String,
+    constituencyId: String,
+    changeType: { type: String, enum: ['added', 'updated', 'removed'] },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: mongoose.Schema.Types.Mixed,
+    syncedAt: Date,
+  },
+  { suppressReservedKeysWarning: true }
+)
+
+recordHistorySchema.index({ workId: 1, syncedAt: -1 })
+recordHistorySchema.index({ syncedAt: 1, changeType: 1, collection: 1 })
+
+// Per-sync data quality report written by the uploader (rejected, duplicate, zero-amount,
+// unparseable-date and orphan-payment counts by state and MP)
+const dataQualityReportSchema = new mongoose.Schema(
+  {
+    generatedAt: { type: Date, index: true },
+    datasetVersion: String,
+    syncStatus: { type: String, enum: ['activated', 'failed'] },
+    syncError: String,
+    totals: mongoose.Schema.Types.Mixed,
+    rejectionReasons: mongoose.Schema.Types.Mixed,
+    unparseableSamples: mongoose.Schema.Types.Mixed,
+    unmappedCategories: mongoose.Schema.Types.Mixed,
+    byState: mongoose.Schema.Types.Mixed,
+    byMP: mongoose.Schema.Types.Mixed,
+    mpsWithIssues: Number,
+    comparison: mongoose.Schema.Types.Mixed,
+  },
+  { versionKey: false }
+)
+
+// Search entries rebuilt by the uploader after each sync (upload-scripts/src/search-indexer.js).
+// `keys` holds the phonetic keys of the entry's text and acts as the inverted index.
+const searchIndexSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['mp', 'constituency', 'work', 'vendor'], required: true },
+    title: String,
+    subtitle: String,
+    titleKeys: [String],
+    keys: [String],
+    mpName: String,
+    // Arrays for constituency and vendor entries that span houses, terms, states or parties
+    house: mongoose.Schema.Types.Mixed,
+    lsTerm: mongoose.Schema.Types.Mixed,
+    state: mongoose.Schema.Types.Mixed,
+    party: mongoose.Schema.Types.Mixed,
+    constituency: String,
+    constituencyId: String,
+    workId: Number,
+    status: String,
+    category: String,
+    mps: mongoose.Schema.Types.Mixed,
+    amount: Number,
+    stats: mongoose.Schema.Types.Mixed,
+    weight: Number,
+  },
+  { versionKey: false }
+)
+searchIndexSchema.index({ keys: 1, type: 1 })
+searchIndexSchema.index({ type: 1, weight: -1 })
+
+// Red flags raised on works and MPs by the uploader after each sync
+const anomalyFlagSchema = new mongoose.Schema(
+  {
+    rule: { type: String, enum: ANOMALY_RULES, required: true },
+    title: String,
+    // 'work' flags point at one work; 'mp' flags describe an MP's payments as a whole
+    entityType: { type: String, enum: ['work', 'mp'], required: true },
+    severity: { type: String, enum: ['high', 'medium', 'low'], required: true },
+    // Plain-language explanation of why the rule fired
+    reason: String,
+    mpName: String,
+    house: String,
+    lsTerm: { type: Number, default: null },
+    state: String,
+    constituency: String,
+    workId: { type: Number, default: null },
+    workDescription: String,
+    details: mongoose.Schema.Types.Mixed,
+    detectedAt: Date,
+  },
+  { versionKey: false }
+)
+anomalyFlagSchema.index({ mpName: 1, house: 1, lsTerm: 1 })
+anomalyFlagSchema.index({ workId: 1, house: 1, lsTerm: 1 })
+anomalyFlagSchema.index({ rule: 1, severity: 1 })
+anomalyFlagSchema.index({ state: 1 })
+
+// Full data dump snapshots published by the uploader after each sync
+// (upload-scripts/src/dump-publisher.js); _id is the dataset version
+const dataDumpSchema = new mongoose.Schema(
+  {
+    _id: String,
+    datasetVersion: String,
+    syncedAt: { type: Date, index: true },
+    generatedAt: Date,
+    format: String,
+    compression: String,
+    lsTerms: [Number],
+    totalRecords: Number,
+    totalBytes: Number,
+    // { collection, file, records, bytes, sha256, lsTerms } per dumped collection
+    files: mongoose.Schema.Types.Mixed,
+  },
+  { versionKey: false }
+)
+
+// Lok Sabha seats rebuilt by the uploader after each sync
+// (upload-scripts/src/constituency-registry.js); _id is the registry ID
+const constituencySchema = new mongoose.Schema(
+  {
+    _id: String,
+    name: String,
+    state: String,
+    stateCode: String,
+    reservation: { type: String, enum: ['SC', 'ST', 'GEN', null], default: null },
+    aliases: [String],
+    // Terms the seat exists for when a delimitation bounds it
+    fromTerm: Number,
+    untilTerm: Number,
+    // Registry IDs of the seats it replaced or was replaced by
+    predecessors: [String],
+    successors: [String],
+    lsTerms: [Number],
+    registered: Boolean,
+    updatedAt: Date,
+  },
+  { versionKey: false }
+)
+
+// One document per MP across houses and terms, rebuilt by the uploader after each sync
+// (upload-scripts/src/mp-identity.js); _id is the mpId
+const mpIdentitySchema = new mongoose.Schema(
+  {
+    _id: String,
+    name: String,
+    // Spellings the portal has used for this MP
+    aliases: [String],
+    houses: [String],
+    // { house, lsTerm, state, constituency, constituencyId, allocatedAmount, totalExpenditure }
+    tenures: mongoose.Schema.Types.Mixed,
+    overridden: Boolean,
+    updatedAt: Date,
+  },
+  { versionKey: false }
+)
+
 // Create models
 const MP = mongoose.model('MP', mpSchema, 'mps')
 const Allocation = mongoose.model('Allocation', allocationSchema, 'allocations')
@@ -184,6 +445,35 @@ const WorksRecommended = mongoose.model(
 )
 const Summary = mongoose.model('Summary', summarySchema, 'summaries')
 const Metadata = mongoose.model('Metadata', metadataSchema, 'data_sync_metadata')
+const RecordHistory = mongoose.model('RecordHistory', recordHistorySchema, 'record_history')
+const DataQualityReport = mongoose.model(
+  'DataQualityReport',
+  dataQualityReportSchema,
+  'data_quality_reports'
+)
+const SearchIndex = mongoose.model('SearchIndex', searchIndexSchema, 'search_index')
+const AnomalyFlag = mongoose.model('AnomalyFlag', anomalyFlagSchema, 'anomaly_flags')
+const DataDump = mongoose.model('DataDump', dataDumpSchema, 'data_dumps')
+const Constituency = mongoose.model('Constituency', constituencySchema, 'constituencies')
+const MPIdentity = mongoose.model('MPIdentity', mpIdentitySchema, 'mp_identities')
+
+// MLALADS records share the MPLADS schemas (the member name is stored in mpName,
+// house is 'Vidhan Sabha' or 'Vidhan Parishad') but live in their own collections
+const MLALADS = {
+  Allocation: mongoose.model('MLALADSAllocation', allocationSchema, 'mlalads_allocations'),
+  Expenditure: mongoose.model('MLALADSExpenditure', expenditureSchema, 'mlalads_expenditures'),
+  WorksCompleted: mongoose.model(
+    'MLALADSWorksCompleted',
+    worksCompletedSchema,
+    'mlalads_works_completed'
+  ),
+  WorksRecommended: mongoose.model(
+    'MLALADSWorksRecommended',
+    worksRecommendedSchema,
+    'mlalads_works_recommended'
+  ),
+  Summary: mongoose.model('MLALADSSummary', summarySchema, 'mlalads_summaries'),
+}
 
 module.exports = {
   MP,
@@ -193,4 +483,14 @@ module.exports = {
   WorksRecommended,
   Summary,
   Metadata,
+  RecordHistory,
+  DataQualityReport,
+  SearchIndex,
+  AnomalyFlag,
+  DataDump,
+  Constituency,
+  MPIdentity,
+  MLALADS,
+  SCHEMES,
+  ANOMALY_RULES,
 }
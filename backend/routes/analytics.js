@@ -6,6 +6,10 @@ const {
   getUtilizationTrends,
   getTopPerformers,
   getPerformanceDistribution,
+  getAnomalyFlags,
+  getSpendVelocity,
+  getPartyAnalytics,
+  getPartyCoverage,
 } = require('../controllers/analyticsController')
 const { strictSanitization } = require('../middleware/sanitization')
 const { analyticsLimiter } = require('../middleware/rateLimiting')
@@ -41,4 +45,26 @@ router.get(
   getPerformanceDistribution
 )
 
+// GET /api/analytics/flags - Anomaly flags on works and MPs
+router.get('/flags', validate('flagFilters', { sanitize: false }), cache24h, getAnomalyFlags)
+
+// GET /api/analytics/velocity - Monthly spend velocity and end-of-term lapse projection
+router.get(
+  '/velocity',
+  validate('velocityFilters', { sanitize: false }),
+  cache24h,
+  getSpendVelocity
+)
+
+// GET /api/analytics/parties - Utilization, completion rate and sector mix by party and alliance
+router.get(
+  '/parties',
+  validate('analyticsFilters', { sanitize: false }),
+  cache24h,
+  getPartyAnalytics
+)
+
+// GET /api/analytics/parties/coverage - Share of MP tenures with a sourced party affiliation
+router.get('/parties/coverage', cache24h, getPartyCoverage)
+
 module.exports = router
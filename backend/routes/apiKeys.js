@@ -0,0 +1,267 @@
+const express = require('express')
+const { body, param, query, validationResult } = require('express-validator')
+const rateLimit = require('express-rate-limit')
+const router = express.Router()
+const { secureLogger } = require('../utils/logger')
+
+const ApiKey = require('../models/ApiKey')
+const Subscriber = require('../models/Subscriber')
+const { generateVerificationToken, sendApiKeyVerificationEmail } = require('../utils/emailService')
+const { clearApiKeyCache } = require('../middleware/apiKey')
+const { adminAuth } = require('../middleware/auth')
+
+// Keys one email address may hold at once (active, plus pending requests that have not lapsed)
+const MAX_KEYS_PER_EMAIL = parseInt(process.env.API_KEYS_PER_EMAIL || '3', 10)
+
+const requestLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  message: {
+    success: false,
+    error: 'Too many API key requests from this IP, please try again in 15 minutes',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  })
+  return true
+}
+
+// POST /api/keys/request - Request a key. It is issued by the mailing list's
+// GET /verify once the address confirms the emailed subscriber verification link.
+router.post(
+  '/request',
+  requestLimit,
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2-100 characters')
+      .escape(),
+    body('purpose')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Purpose must be at most 500 characters')
+      .escape(),
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return
+
+      const { email, name, purpose } = req.body
+
+      const heldKeys = await ApiKey.countDocuments({
+        $or: [{ email, status: 'active' }, ApiKey.pendingFilter(email)],
+      })
+      if (heldKeys >= MAX_KEYS_PER_EMAIL) {
+        return res.status(409).json({
+          success: false,
+          message: `This email already holds ${MAX_KEYS_PER_EMAIL} API keys. Ask us to revoke one before requesting another.`,
+        })
+      }
+
+      const ipAddress = req.ip || req.connection.remoteAddress
+      await ApiKey.create({ email, name, purpose: purpose || null, ipAddress })
+
+      // The key is confirmed through the address's subscriber verification token
+      const subscriber =
+        (await Subscriber.findOne({ email })) ||
+        new Subscriber({
+          email,
+          isActive: false,
+          isVerified: false,
+          unsubscribeToken: generateVerificationToken(),
+          source: 'api',
+          ipAddress,
+        })
+      const verificationToken = generateVerificationToken()
+      subscriber.verificationToken = verificationToken
+      subscriber.verificationTokenExpires = new Date(Date.now() + 24 * 60 * 60 * 1000)
+      await subscriber.save()
+
+      await sendApiKeyVerificationEmail(email, verificationToken, name)
+
+      res.status(201).json({
+        success: true,
+        message: 'Please check your email to confirm the request and receive your API key',
+      })
+    } catch (error) {
+      secureLogger.error(
+        'API key request error',
+        {
+          category: 'api_keys',
+          type: 'request_error',
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        },
+        req.correlationId
+      )
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request API key',
+        message: 'Please try again later',
+      })
+    }
+  }
+)
+
+// GET /api/keys/me - Quota and usage for the key sent in X-API-Key
+router.get('/me', async (req, res, next) => {
+  try {
+    if (!req.apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key required',
+        message: 'Send your key in the X-API-Key header',
+      })
+    }
+
+    const apiKey = await ApiKey.findById(req.apiKey.id)
+    res.json({ success: true, data: apiKey.toPublicFields() })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /api/keys/admin - Issued keys with usage (admin)
+router.get(
+  '/admin',
+  adminAuth,
+  [
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('status').optional().isIn(['pending', 'active', 'revoked']),
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return
+
+      const page = req.query.page || 1
+      const limit = req.query.limit || 20
+      const filter = req.query.status ? { status: req.query.status } : {}
+
+      const [keys, total, stats] = await Promise.all([
+        ApiKey.find(filter)
+          .select('-keyHash')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ApiKey.countDocuments(filter),
+        ApiKey.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      ])
+
+      const totalPages = Math.ceil(total / limit)
+      res.json({
+        success: true,
+        data: keys,
+        stats: Object.fromEntries(stats.map(({ _id, count }) => [_id, count])),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+        },
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+// PATCH /api/keys/admin/:id/revoke - Revoke a key (admin)
+router.patch(
+  '/admin/:id/revoke',
+  adminAuth,
+  [
+    param('id').isMongoId().withMessage('Invalid API key ID'),
+    body('reason').optional().trim().isLength({ max: 200 }).escape(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return
+
+      const apiKey = await ApiKey.findById(req.params.id)
+      if (!apiKey) {
+        return res.status(404).json({ success: false, message: 'API key not found' })
+      }
+
+      await apiKey.revoke(req.body.reason)
+      clearApiKeyCache()
+
+      secureLogger.info(
+        'API key revoked',
+        {
+          category: 'api_keys',
+          type: 'key_revoked',
+          keyPrefix: apiKey.keyPrefix,
+          revokedBy: req.user?.email,
+          timestamp: new Date().toISOString(),
+        },
+        req.correlationId
+      )
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: { id: apiKey._id, status: apiKey.status, revokedAt: apiKey.revokedAt },
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+// PATCH /api/keys/admin/:id/quota - Change a key's quotas (admin)
+router.patch(
+  '/admin/:id/quota',
+  adminAuth,
+  [
+    param('id').isMongoId().withMessage('Invalid API key ID'),
+    body('perWindow').optional().isInt({ min: 1, max: 1000000 }).toInt(),
+    body('perDay').optional().isInt({ min: 1, max: 10000000 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      if (rejectInvalid(req, res)) return
+
+      const update = {}
+      if (req.body.perWindow) update['quota.perWindow'] = req.body.perWindow
+      if (req.body.perDay) update['quota.perDay'] = req.body.perDay
+      if (Object.keys(update).length === 0) {
+        return res.status(400).json({ success: false, message: 'Nothing to update' })
+      }
+
+      const apiKey = await ApiKey.findByIdAndUpdate(
+        req.params.id,
+        { $set: update },
+        { new: true, projection: { quota: 1 } }
+      ).lean()
+      if (!apiKey) {
+        return res.status(404).json({ success: false, message: 'API key not found' })
+      }
+
+      res.json({
+        success: true,
+        message: 'API key quota updated',
+        data: { id: apiKey._id, quota: apiKey.quota },
+      })
+    } catch (error) {
+      next(error)
+    }
+  }
+)
+
+module.exports = router
@@ -1,10 +1,21 @@
 const express = require('express')
 const router = express.Router()
 const {
-  exportCompletedWorksCSV,
-  exportRecommendedWorksCSV,
-  exportExpendituresCSV,
-  exportMPSummaryCSV,
+  exportCompletedWorks,
+  exportRecommendedWorks,
+  exportExpenditures,
+  exportMPSummary,
+  estimateCompletedWorks,
+  estimateRecommendedWorks,
+  estimateExpenditures,
+  estimateMPSummary,
+  queueCompletedWorksJob,
+  queueRecommendedWorksJob,
+  queueExpendituresJob,
+  queueMPSummaryJob,
+  getExportJob,
+  downloadExportJob,
+  confirmExportNotification,
 } = require('../controllers/exportController')
 const { strictSanitization } = require('../middleware/sanitization')
 const { exportLimiter } = require('../middleware/rateLimiting')
@@ -13,18 +24,109 @@ const { validate } = require('../middleware/validation')
 // Enhanced security middleware for export routes
 // Apply strict input sanitization and rate limiting
 router.use(strictSanitization)
+
+// Job status is polled while a job runs, so it sits before the export rate limit
+
+// GET /api/export/jobs/:id - Export job status and progress
+router.get('/jobs/:id', validate('exportJobId'), getExportJob)
+
+// GET /api/export/jobs/:id/download - Download a finished export job's file
+router.get('/jobs/:id/download', validate('exportJobId'), downloadExportJob)
+
+// GET /api/export/jobs/:id/notify - Confirm the emailed link that attaches an address to a job
+router.get('/jobs/:id/notify', validate('exportNotifyConfirm'), confirmExportNotification)
+
 router.use(exportLimiter)
 
-// GET /api/export/completed-works - Export completed works as CSV
-router.get('/completed-works', validate('pagination+worksFilters'), exportCompletedWorksCSV)
+// Every export streams csv (default), xlsx, jsonl or parquet, picked with ?format=
+const exportOptions = validate('exportOptions')
+
+// GET /api/export/completed-works - Export completed works
+router.get(
+  '/completed-works',
+  validate('pagination+worksFilters'),
+  exportOptions,
+  exportCompletedWorks
+)
+
+// GET /api/export/recommended-works - Export recommended works
+router.get(
+  '/recommended-works',
+  validate('pagination+worksFilters'),
+  exportOptions,
+  exportRecommendedWorks
+)
+
+// GET /api/export/expenditures - Export expenditures
+router.get(
+  '/expenditures',
+  validate('pagination+expenditureFilters'),
+  exportOptions,
+  exportExpenditures
+)
+
+// GET /api/export/mp-summary - Export MP performance summary
+router.get('/mp-summary', validate('pagination+mpFilters'), exportOptions, exportMPSummary)
+
+// Row estimates tell clients when an export is large enough to queue as a job
+// GET /api/export/completed-works/estimate - Estimated rows of a completed works export
+router.get('/completed-works/estimate', validate('pagination+worksFilters'), estimateCompletedWorks)
+
+// GET /api/export/recommended-works/estimate - Estimated rows of a recommended works export
+router.get(
+  '/recommended-works/estimate',
+  validate('pagination+worksFilters'),
+  estimateRecommendedWorks
+)
+
+// GET /api/export/expenditures/estimate - Estimated rows of an expenditures export
+router.get(
+  '/expenditures/estimate',
+  validate('pagination+expenditureFilters'),
+  estimateExpenditures
+)
+
+// GET /api/export/mp-summary/estimate - Estimated rows of an MP summary export
+router.get('/mp-summary/estimate', validate('pagination+mpFilters'), estimateMPSummary)
+
+// Export jobs take the same filters and format in the JSON body, plus an optional
+// email to notify once its owner confirms it, and write the file in the background
+const exportJobOptions = validate('exportJob')
+
+// POST /api/export/jobs/completed-works - Queue a completed works export job
+router.post(
+  '/jobs/completed-works',
+  validate('pagination+worksFilters'),
+  exportOptions,
+  exportJobOptions,
+  queueCompletedWorksJob
+)
 
-// GET /api/export/recommended-works - Export recommended works as CSV
-router.get('/recommended-works', validate('pagination+worksFilters'), exportRecommendedWorksCSV)
+// POST /api/export/jobs/recommended-works - Queue a recommended works export job
+router.post(
+  '/jobs/recommended-works',
+  validate('pagination+worksFilters'),
+  exportOptions,
+  exportJobOptions,
+  queueRecommendedWorksJob
+)
 
-// GET /api/export/expenditures - Export expenditures as CSV
-router.get('/expenditures', validate('pagination+expenditureFilters'), exportExpendituresCSV)
+// POST /api/export/jobs/expenditures - Queue an expenditures export job
+router.post(
+  '/jobs/expenditures',
+  validate('pagination+expenditureFilters'),
+  exportOptions,
+  exportJobOptions,
+  queueExpendituresJob
+)
 
-// GET /api/export/mp-summary - Export MP performance summary as CSV
-router.get('/mp-summary', validate('pagination+mpFilters'), exportMPSummaryCSV)
+// POST /api/export/jobs/mp-summary - Queue an MP summary export job
+router.post(
+  '/jobs/mp-summary',
+  validate('pagination+mpFilters'),
+  exportOptions,
+  exportJobOptions,
+  queueMPSummaryJob
+)
 
 module.exports = router
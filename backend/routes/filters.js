@@ -1,6 +1,7 @@
 const express = require('express')
 const router = express.Router()
 const { getCollection } = require('../utils/database')
+const { Summary, WorksCompleted, WorksRecommended } = require('../models')
 
 // Get all unique states
 router.get('/states', async (req, res) => {
@@ -128,11 +129,26 @@ router.get('/summary', async (req, res) => {
     const mpsCollection = await getCollection('mps')
 
     // Get all unique values in parallel
-    const [states, houses, constituencies] = await Promise.all([
+    const [
+      states,
+      houses,
+      constituencies,
+      completedSectors,
+      recommendedSectors,
+      parties,
+      alliances,
+    ] = await Promise.all([
       mpsCollection.distinct('state'),
       mpsCollection.distinct('house'),
       mpsCollection.distinct('constituency'),
+      // Sectors from the work category taxonomy
+      WorksCompleted.distinct('sector'),
+      WorksRecommended.distinct('sector'),
+      // Parties and alliances of MP tenures, from the party reference file
+      Summary.distinct('party', { type: 'mp_summary' }),
+      Summary.distinct('alliance', { type: 'mp_summary' }),
     ])
+    const sectors = [...new Set([...completedSectors, ...recommendedSectors])]
 
     res.json({
       success: true,
@@ -140,6 +156,9 @@ router.get('/summary', async (req, res) => {
         states: states.filter(s => s && s.trim()).sort(),
         houses: houses.filter(h => h && h.trim()).sort(),
         constituencies: constituencies.filter(c => c && c.trim()).sort(),
+        sectors: sectors.filter(Boolean).sort(),
+        parties: parties.filter(Boolean).sort(),
+        alliances: alliances.filter(Boolean).sort(),
       },
       counts: {
         states: states.length,
@@ -1,5 +1,6 @@
 const express = require('express')
 const router = express.Router()
+const { buildOpenApiDocument } = require('../utils/openapi')
 
 const summaryRoutes = require('./summary')
 const analyticsRoutes = require('./analytics')
@@ -7,6 +8,7 @@ const worksRoutes = require('./works')
 const expendituresRoutes = require('./expenditures')
 const mpsRoutes = require('./mps')
 const mpladsRoutes = require('./mplads')
+const mlaladsRoutes = require('./mlalads')
 const feedbackRoutes = require('./feedback')
 const exportRoutes = require('./export')
 const authRoutes = require('./auth')
@@ -14,20 +16,38 @@ const healthRoutes = require('./health')
 const filtersRoutes = require('./filters')
 const metadataRoutes = require('./metadata')
 const mailingListRoutes = require('./mailingList')
+const searchRoutes = require('./search')
+const vendorRoutes = require('./vendors')
+const apiKeyRoutes = require('./apiKeys')
 
-// Mount routes
-router.use('/health', healthRoutes)
-router.use('/auth', authRoutes)
-router.use('/summary', summaryRoutes)
-router.use('/analytics', analyticsRoutes)
-router.use('/works', worksRoutes)
-router.use('/expenditures', expendituresRoutes)
-router.use('/mplads/mps', mpsRoutes)
-router.use('/mplads', mpladsRoutes)
-router.use('/feedback', feedbackRoutes)
-router.use('/export', exportRoutes)
-router.use('/filters', filtersRoutes)
-router.use('/metadata', metadataRoutes)
-router.use('/mailing-list', mailingListRoutes)
+// Mount routes; the same table drives the OpenAPI document
+const mounts = [
+  ['/health', healthRoutes],
+  ['/auth', authRoutes],
+  ['/summary', summaryRoutes],
+  ['/analytics', analyticsRoutes],
+  ['/works', worksRoutes],
+  ['/expenditures', expendituresRoutes],
+  ['/mplads/mps', mpsRoutes],
+  ['/mplads', mpladsRoutes],
+  ['/mlalads', mlaladsRoutes],
+  ['/feedback', feedbackRoutes],
+  ['/export', exportRoutes],
+  ['/filters', filtersRoutes],
+  ['/metadata', metadataRoutes],
+  ['/mailing-list', mailingListRoutes],
+  ['/search', searchRoutes],
+  ['/vendors', vendorRoutes],
+  ['/keys', apiKeyRoutes],
+]
+
+mounts.forEach(([path, routes]) => router.use(path, routes))
+
+// GET /api/openapi.json - OpenAPI 3 description of every route above
+let openApiDocument = null
+router.get('/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument(mounts)
+  res.json(openApiDocument)
+})
 
 module.exports = router
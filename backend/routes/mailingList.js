@@ -1,14 +1,16 @@
 const express = require('express')
-const { body, validationResult } = require('express-validator')
+const { body, param, validationResult } = require('express-validator')
 const rateLimit = require('express-rate-limit')
 const router = express.Router()
 const { secureLogger } = require('../utils/logger')
 
 const Subscriber = require('../models/Subscriber')
+const ApiKey = require('../models/ApiKey')
 const {
   generateVerificationToken,
   sendVerificationEmail,
   sendWelcomeEmail,
+  sendFollowConfirmationEmail,
 } = require('../utils/emailService')
 
 const subscribeLimit = rateLimit({
@@ -21,6 +23,33 @@ const subscribeLimit = rateLimit({
   legacyHeaders: false,
 })
 
+const followLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    error: 'Too many follow requests from this IP, please try again in 15 minutes',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// mpId, constituencyId, state name or workId
+const followIdRule = field =>
+  field
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .matches(/^[\w .&()'-]+$/)
+    .withMessage('Invalid follow ID')
+
+const followRules = [
+  body('type').isIn(Subscriber.FOLLOW_TYPES).withMessage('Invalid follow type'),
+  followIdRule(body('id')),
+  body('label').optional().trim().isLength({ max: 150 }),
+]
+
+const serializeFollows = subscriber =>
+  subscriber.follows.map(({ type, id, label, followedAt }) => ({ type, id, label, followedAt }))
+
 router.post(
   '/subscribe',
   subscribeLimit,
@@ -230,6 +259,190 @@ router.get('/unsubscribe/:token', async (req, res) => {
   }
 })
 
+// Follow from a dashboard page: email the subscriber a link that confirms it.
+// The response is the same whether or not the address is subscribed.
+router.post(
+  '/follow',
+  followLimit,
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
+    ...followRules,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Invalid follow request',
+          details: errors.array(),
+        })
+      }
+
+      const { email, type, id, label } = req.body
+      const subscriber = await Subscriber.findOne({ email, isVerified: true, isActive: true })
+      if (subscriber) {
+        if (!subscriber.unsubscribeToken) {
+          subscriber.unsubscribeToken = generateVerificationToken()
+          await subscriber.save()
+        }
+        await sendFollowConfirmationEmail(email, subscriber.unsubscribeToken, { type, id, label })
+      }
+
+      res.status(200).json({
+        message:
+          'If this address is a verified subscriber, we have emailed a link to confirm the follow',
+      })
+    } catch (error) {
+      secureLogger.error(
+        'Follow request error',
+        {
+          category: 'mailing_list',
+          type: 'follow_request_error',
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        },
+        req.correlationId
+      )
+      res.status(500).json({
+        error: 'Failed to process follow request',
+        message: 'Please try again later',
+      })
+    }
+  }
+)
+
+// Follows of the subscriber holding an unsubscribe token (the manage page)
+router.get('/follows/:token', async (req, res) => {
+  try {
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token })
+    if (!subscriber) {
+      return res.status(404).json({
+        error: 'Invalid link. Please use the most recent link from our emails.',
+      })
+    }
+
+    res.status(200).json({
+      email: subscriber.email,
+      isActive: subscriber.isActive,
+      isVerified: subscriber.isVerified,
+      maxFollows: Subscriber.MAX_FOLLOWS,
+      follows: serializeFollows(subscriber),
+    })
+  } catch (error) {
+    secureLogger.error(
+      'Follows fetch error',
+      {
+        category: 'mailing_list',
+        type: 'follows_fetch_error',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      },
+      req.correlationId
+    )
+    res.status(500).json({
+      error: 'Failed to load follows',
+      message: 'Please try again later',
+    })
+  }
+})
+
+router.post('/follows/:token', followRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid follow',
+        details: errors.array(),
+      })
+    }
+
+    const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token })
+    if (!subscriber) {
+      return res.status(404).json({
+        error: 'Invalid link. Please use the most recent link from our emails.',
+      })
+    }
+    // Digests only go to verified, active subscribers
+    if (!subscriber.isVerified || !subscriber.isActive) {
+      return res.status(403).json({
+        error: 'Subscribe and verify your email before following MPs, constituencies or works',
+      })
+    }
+
+    const { type, id, label } = req.body
+    if (!subscriber.isFollowing(type, id) && subscriber.follows.length >= Subscriber.MAX_FOLLOWS) {
+      return res.status(400).json({
+        error: `You can follow up to ${Subscriber.MAX_FOLLOWS} items. Remove one to add another.`,
+      })
+    }
+
+    await subscriber.follow(type, id, label)
+    res.status(200).json({
+      message: `Following ${label || id}`,
+      follows: serializeFollows(subscriber),
+    })
+  } catch (error) {
+    secureLogger.error(
+      'Follow add error',
+      {
+        category: 'mailing_list',
+        type: 'follow_add_error',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      },
+      req.correlationId
+    )
+    res.status(500).json({
+      error: 'Failed to add follow',
+      message: 'Please try again later',
+    })
+  }
+})
+
+router.delete(
+  '/follows/:token/:type/:id',
+  [param('type').isIn(Subscriber.FOLLOW_TYPES), followIdRule(param('id'))],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Invalid follow',
+          details: errors.array(),
+        })
+      }
+
+      const subscriber = await Subscriber.findOne({ unsubscribeToken: req.params.token })
+      if (!subscriber) {
+        return res.status(404).json({
+          error: 'Invalid link. Please use the most recent link from our emails.',
+        })
+      }
+
+      await subscriber.unfollow(req.params.type, req.params.id)
+      res.status(200).json({
+        message: 'No longer following',
+        follows: serializeFollows(subscriber),
+      })
+    } catch (error) {
+      secureLogger.error(
+        'Follow remove error',
+        {
+          category: 'mailing_list',
+          type: 'follow_remove_error',
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        },
+        req.correlationId
+      )
+      res.status(500).json({
+        error: 'Failed to remove follow',
+        message: 'Please try again later',
+      })
+    }
+  }
+)
+
 router.get('/verify', async (req, res) => {
   try {
     const { token } = req.query
@@ -282,6 +495,25 @@ router.get('/verify', async (req, res) => {
       })
     }
 
+    // Key requests (POST /keys/request) are confirmed with this same link
+    const issueApiKeys = async () => {
+      const apiKeys = await ApiKey.activatePending(tokenExists.email)
+      if (apiKeys.length > 0) {
+        secureLogger.info(
+          'API keys issued',
+          {
+            category: 'api_keys',
+            type: 'key_issued',
+            email: tokenExists.email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+            keyPrefixes: apiKeys.map(apiKey => apiKey.keyPrefix),
+            timestamp: new Date().toISOString(),
+          },
+          req.correlationId
+        )
+      }
+      return apiKeys.length > 0 ? { apiKeys } : {}
+    }
+
     // Check if already verified
     if (tokenExists.isVerified) {
       const maskedEmail = tokenExists.email.replace(/(.{2}).*(@.*)/, '$1***$2')
@@ -295,6 +527,11 @@ router.get('/verify', async (req, res) => {
         },
         req.correlationId
       )
+      // Verified subscribers get a token only to confirm key requests; it is single use
+      tokenExists.verificationToken = null
+      tokenExists.verificationTokenExpires = null
+      await tokenExists.save()
+
       return res.status(200).json({
         message: 'Email is already verified!',
         subscriber: {
@@ -302,6 +539,7 @@ router.get('/verify', async (req, res) => {
           verifiedAt: tokenExists.verifiedAt,
           isVerified: true,
         },
+        ...(await issueApiKeys()),
       })
     }
 
@@ -326,6 +564,7 @@ router.get('/verify', async (req, res) => {
         verifiedAt: tokenExists.verifiedAt,
         isVerified: true,
       },
+      ...(await issueApiKeys()),
     })
   } catch (error) {
     secureLogger.error(
@@ -3,9 +3,25 @@
  * Used by frontend to display footer information about data freshness
  */
 
+const path = require('path')
 const express = require('express')
 const router = express.Router()
-const { Metadata } = require('../models')
+const { Metadata, DataQualityReport, DataDump } = require('../models')
+const { getActiveDataset } = require('../utils/database')
+const { validate } = require('../middleware/validation')
+
+// Snapshots written by upload-scripts/src/dump-publisher.js; DATA_DUMPS_DIR must point at
+// the uploader's DUMPS_DIR, or DATA_DUMPS_BASE_URL at wherever the files are published.
+// There is no default: the API and the uploader rarely share a checkout in production
+const DATA_DUMPS_DIR = process.env.DATA_DUMPS_DIR ? path.resolve(process.env.DATA_DUMPS_DIR) : null
+
+const dumpFileUrl = (req, version, file) => {
+  if (process.env.DATA_DUMPS_BASE_URL) {
+    return `${process.env.DATA_DUMPS_BASE_URL.replace(/\/$/, '')}/${version}/${file}`
+  }
+  const apiUrl = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}/api`
+  return `${apiUrl.replace(/\/$/, '')}/metadata/dumps/${version}/${file}`
+}
 
 /**
  * GET /api/metadata/sync-info
@@ -13,8 +29,11 @@ const { Metadata } = require('../models')
  */
 router.get('/sync-info', async (req, res) => {
   try {
-    // Get the latest sync metadata
-    const metadata = await Metadata.findOne({ source: 'Official MPLADS Portal API' })
+    // Get the latest sync metadata and the dataset currently being served
+    const [metadata, activeDataset] = await Promise.all([
+      Metadata.findOne({ source: 'Official MPLADS Portal API' }),
+      getActiveDataset(),
+    ])
 
     if (!metadata) {
       return res.json({
@@ -26,6 +45,7 @@ router.get('/sync-info', async (req, res) => {
           totalRecords: 0,
           dataQuality: null,
           updateFrequency: 'daily',
+          dataset: null,
         },
       })
     }
@@ -67,6 +87,25 @@ router.get('/sync-info', async (req, res) => {
         mps: metadata.syncStats.mps,
         syncDurationSeconds: metadata.syncStats.syncDurationSeconds,
       },
+      syncMode: metadata.syncMode || 'full',
+      changes: metadata.changes
+        ? {
+            inserted: metadata.changes.inserted,
+            updated: metadata.changes.updated,
+            removed: metadata.changes.removed,
+            unchanged: metadata.changes.unchanged,
+            collections: metadata.changes.collections,
+          }
+        : null,
+      dataset: {
+        version: activeDataset?.version || metadata.datasetVersion || null,
+        previousVersion: activeDataset
+          ? activeDataset.previousVersion
+          : metadata.previousDatasetVersion || null,
+        activatedAt: activeDataset?.activatedAt || null,
+        rolledBackFrom: activeDataset?.rolledBackFrom || metadata.rolledBackFrom || null,
+        rollbackAvailable: Boolean(activeDataset?.previousVersion),
+      },
     }
 
     res.json({
@@ -82,6 +121,146 @@ router.get('/sync-info', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/metadata/data-quality
+ * Returns the latest sync's data quality report, its comparison with the previous run
+ * and a short trend of earlier reports
+ */
+router.get('/data-quality', async (req, res) => {
+  try {
+    const reports = await DataQualityReport.find({})
+      .sort({ generatedAt: -1 })
+      .limit(10)
+      .select({
+        byMP: 0,
+        byState: 0,
+        unparseableSamples: 0,
+        unmappedCategories: 0,
+        rejectionReasons: 0,
+      })
+      .lean()
+
+    if (reports.length === 0) {
+      return res.json({
+        success: true,
+        data: { report: null, trend: [] },
+      })
+    }
+
+    const report = await DataQualityReport.findById(reports[0]._id).lean()
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        trend: reports.map(r => ({
+          generatedAt: r.generatedAt,
+          datasetVersion: r.datasetVersion,
+          syncStatus: r.syncStatus,
+          totals: r.totals,
+        })),
+      },
+    })
+  } catch (error) {
+    console.error('Error fetching data quality report:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch data quality report',
+    })
+  }
+})
+
+/**
+ * GET /api/metadata/dumps
+ * Lists the published full data dumps, newest first, with each file's record
+ * count, SHA-256 and download URL
+ */
+router.get('/dumps', async (req, res) => {
+  try {
+    const dumps = await DataDump.find({}).sort({ syncedAt: -1 }).lean()
+
+    res.json({
+      success: true,
+      data: {
+        latest: dumps[0]?._id || null,
+        dumps: dumps.map(dump => ({
+          version: dump._id,
+          syncedAt: dump.syncedAt,
+          generatedAt: dump.generatedAt,
+          format: dump.format,
+          compression: dump.compression,
+          lsTerms: dump.lsTerms,
+          totalRecords: dump.totalRecords,
+          totalBytes: dump.totalBytes,
+          manifestUrl: dumpFileUrl(req, dump._id, 'manifest.json'),
+          files: (dump.files || []).map(file => ({
+            collection: file.collection,
+            file: file.file,
+            records: file.records,
+            bytes: file.bytes,
+            sha256: file.sha256,
+            lsTerms: file.lsTerms,
+            url: dumpFileUrl(req, dump._id, file.file),
+          })),
+        })),
+      },
+    })
+  } catch (error) {
+    console.error('Error listing data dumps:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list data dumps',
+    })
+  }
+})
+
+/**
+ * GET /api/metadata/dumps/:version/:file
+ * Downloads one file of a listed snapshot (a `<collection>.jsonl.gz` dump or
+ * its manifest.json)
+ */
+router.get('/dumps/:version/:file', validate('dataDumpFile'), async (req, res) => {
+  try {
+    const { version, file } = req.params
+    const dump = await DataDump.findById(version).select('files').lean()
+    const entry = (dump?.files || []).find(candidate => candidate.file === file)
+
+    if (!dump || (file !== 'manifest.json' && !entry)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Data dump not found',
+      })
+    }
+
+    const headers = {
+      'Content-Type': file.endsWith('.gz') ? 'application/gzip' : 'application/json',
+      'Content-Disposition': `attachment; filename="${version}_${file}"`,
+    }
+    if (entry) headers['X-Content-SHA256'] = entry.sha256
+
+    if (!DATA_DUMPS_DIR) {
+      return res.status(404).json({
+        success: false,
+        error: 'Data dump file is not available on this server',
+      })
+    }
+
+    res.sendFile(path.join(DATA_DUMPS_DIR, version, file), { headers }, error => {
+      if (!error || res.headersSent) return
+      res.status(404).json({
+        success: false,
+        error: 'Data dump file is not available on this server',
+      })
+    })
+  } catch (error) {
+    console.error('Error serving data dump:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve data dump',
+    })
+  }
+})
+
 /**
  * GET /api/metadata/should-update
  * Check if data should be updated based on schedule (for automation scripts)
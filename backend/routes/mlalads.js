@@ -0,0 +1,31 @@
+const express = require('express')
+const router = express.Router()
+const { validate } = require('../middleware/validation')
+const { cacheMiddleware } = require('../middleware/cache')
+const mlaladsController = require('../controllers/mlaladsController')
+const { strictSanitization } = require('../middleware/sanitization')
+
+// MLALADS (state legislature) endpoints mirroring /summary, /works and /expenditures
+router.use(strictSanitization)
+const cache12h = cacheMiddleware(12 * 60 * 60)
+const validateFilters = validate('mlaladsFilters', { sanitize: false })
+
+router.get('/terms', cache12h, mlaladsController.getAssemblyTerms)
+
+// Summary routes
+router.get('/summary/overview', validateFilters, cache12h, mlaladsController.getOverview)
+router.get('/summary/states', validateFilters, cache12h, mlaladsController.getStateSummary)
+router.get('/summary/mlas', validateFilters, cache12h, mlaladsController.getMLASummary)
+router.get(
+  '/summary/constituencies',
+  validateFilters,
+  cache12h,
+  mlaladsController.getConstituencySummary
+)
+
+// Works and expenditure routes
+router.get('/works/completed', validateFilters, cache12h, mlaladsController.getCompletedWorks)
+router.get('/works/recommended', validateFilters, cache12h, mlaladsController.getRecommendedWorks)
+router.get('/expenditures', validateFilters, cache12h, mlaladsController.getExpenditures)
+
+module.exports = router
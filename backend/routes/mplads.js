@@ -29,7 +29,7 @@ router.get(
   searchMPs
 )
 
-// GET /api/mplads/constituencies/:id - Constituency details
+// GET /api/mplads/constituencies/:id - Constituency details, or a seat's cross-term history by registry ID
 router.get('/constituencies/:id', cache24h, getConstituencyDetails)
 
 // GET /api/mplads/sectors - Sector-wise allocation data
@@ -0,0 +1,18 @@
+const express = require('express')
+const router = express.Router()
+const { cacheMiddleware } = require('../middleware/cache')
+const { search } = require('../controllers/searchController')
+const { strictSanitization } = require('../middleware/sanitization')
+const { searchLimiter } = require('../middleware/rateLimiting')
+const { validate } = require('../middleware/validation')
+
+// The index only changes when the uploader rebuilds it after a sync
+const cache6h = cacheMiddleware(6 * 60 * 60)
+
+router.use(strictSanitization)
+router.use(searchLimiter)
+
+// GET /api/search?q=:query&types=mp,work - Grouped, ranked search results
+router.get('/', validate('search', { sanitize: false }), cache6h, search)
+
+module.exports = router
@@ -0,0 +1,28 @@
+const express = require('express')
+const router = express.Router()
+const { cacheMiddleware } = require('../middleware/cache')
+const {
+  getTopVendors,
+  getVendorSpread,
+  getVendorDetails,
+} = require('../controllers/vendorController')
+const { strictSanitization } = require('../middleware/sanitization')
+const { validate } = require('../middleware/validation')
+
+// Vendor totals only change with a data sync
+const cache12h = cacheMiddleware(12 * 60 * 60)
+
+router.use(strictSanitization)
+
+const validateFilters = validate('vendorFilters', { sanitize: false })
+
+// GET /api/vendors/top - Vendors (or IDAs with ?by=ida) ranked by amount paid
+router.get('/top', validateFilters, cache12h, getTopVendors)
+
+// GET /api/vendors/spread - Vendors paid across many MPs or states
+router.get('/spread', validateFilters, cache12h, getVendorSpread)
+
+// GET /api/vendors/:name - Vendor detail with MPs, constituencies, works and payment timeline
+router.get('/:name', validateFilters, cache12h, getVendorDetails)
+
+module.exports = router
@@ -10,6 +10,8 @@ const {
   getCompletedWorkDetails,
   getRecommendedWorkDetails,
   getWorkPayments,
+  getWorkHistory,
+  getNearbyWorks,
 } = require('../controllers/worksController')
 const { strictSanitization } = require('../middleware/sanitization')
 const { searchLimiter } = require('../middleware/rateLimiting')
@@ -37,6 +39,9 @@ router.get(
   getRecommendedWorks
 )
 
+// GET /api/works/nearby - Works with photo coordinates within a radius of a point
+router.get('/nearby', validate('nearbyFilters', { sanitize: false }), cache12h, getNearbyWorks)
+
 // GET /api/works/categories - Get work categories for both completed and recommended
 router.get('/categories', cache12h, getWorkCategories)
 
@@ -59,4 +64,7 @@ router.get('/:workId/payments', cache12h, getWorkPayments)
 // GET /api/works/:workId/payments - Get payment details for a specific work (restrict to numeric IDs to avoid shadowing)
 router.get('/:workId(\\d+)/payments', cache12h, getWorkPayments)
 
+// GET /api/works/:workId/history - Dated revisions of a work and its payments across syncs
+router.get('/:workId/history', cache12h, getWorkHistory)
+
 module.exports = router
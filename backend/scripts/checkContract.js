@@ -0,0 +1,62 @@
+/**
+ * API contract check
+ *
+ * Calls each endpoint documented in utils/responseSchemas.js on a running API
+ * and validates the response against its documented shape. Also fails when a
+ * documented endpoint is missing from /api/openapi.json, i.e. the route table
+ * and the documentation have drifted apart.
+ *
+ * Usage: API_URL=http://localhost:5000/api npm run check:contract
+ */
+
+const { responseSchemas } = require('../utils/responseSchemas')
+
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}/api`).replace(
+  /\/$/,
+  ''
+)
+
+async function checkEndpoint(key, { schema, query = {} }, documentedPaths) {
+  const [method, path] = key.split(' ')
+
+  if (!documentedPaths[`/api${path}`]?.[method.toLowerCase()]) {
+    return `not in openapi.json`
+  }
+
+  const url = `${API_URL}${path}?${new URLSearchParams(query).toString()}`
+  const response = await fetch(url, { method })
+  if (!response.ok) return `HTTP ${response.status}`
+
+  const { error } = schema.validate(await response.json(), { abortEarly: false })
+  return error ? error.details.map(detail => detail.message).join('; ') : null
+}
+
+async function main() {
+  console.info(`🔍 Checking API contract against ${API_URL}`)
+
+  const specResponse = await fetch(`${API_URL}/openapi.json`)
+  if (!specResponse.ok) {
+    throw new Error(`Could not load openapi.json (HTTP ${specResponse.status})`)
+  }
+  const { paths } = await specResponse.json()
+
+  let failures = 0
+  for (const [key, contract] of Object.entries(responseSchemas)) {
+    const problem = await checkEndpoint(key, contract, paths)
+    if (problem) {
+      failures++
+      console.info(`❌ ${key}: ${problem}`)
+    } else {
+      console.info(`✅ ${key}`)
+    }
+  }
+
+  const total = Object.keys(responseSchemas).length
+  console.info(`\n${failures === 0 ? '✅' : '❌'} ${total - failures}/${total} endpoints match`)
+  process.exit(failures === 0 ? 0 : 1)
+}
+
+main().catch(error => {
+  console.error('❌ Contract check failed:', error.message)
+  process.exit(1)
+})
@@ -27,6 +27,9 @@ const {
   noSQLInjectionProtection,
 } = require('./middleware/sanitization')
 const { generalApiLimiter, securityRateLimiting } = require('./middleware/rateLimiting')
+const { apiKeyAuth } = require('./middleware/apiKey')
+const { startExportJobs, stopExportJobs } = require('./utils/exportJobs')
+const { startWatchDigests, stopWatchDigests } = require('./utils/watchDigests')
 
 const app = express()
 const PORT = process.env.PORT || 5000
@@ -37,6 +40,12 @@ app.set('trust proxy', 1)
 // Connect to MongoDB
 connectDB()
 
+// Run queued export jobs and remove expired export files
+startExportJobs()
+
+// Email follow digests queued by the uploader after each sync
+startWatchDigests()
+
 // Minimal logging in production for memory optimization
 if (process.env.NODE_ENV !== 'production') {
   app.use(requestLogger)
@@ -96,6 +105,9 @@ app.use(
 // Compression for better performance
 app.use(compression())
 
+// Resolve X-API-Key before rate limiting so keyed requests use their own quota
+app.use('/api/', apiKeyAuth)
+
 // Multi-layered rate limiting
 if (process.env.NODE_ENV === 'production' || process.env.ENABLE_RATE_LIMIT === 'true') {
   // Apply burst protection and progressive limiting
@@ -228,6 +240,11 @@ const handleShutdown = async signal => {
   })
 
   try {
+    // Stop picking up export jobs; an interrupted job is requeued once it goes stale
+    stopExportJobs()
+    // A digest interrupted mid-mailing is requeued once stale and skips those already mailed
+    stopWatchDigests()
+
     // Close HTTP server first
     server.close(async () => {
       secureLogger.info('HTTP server closed', {
@@ -0,0 +1,269 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const request = require('supertest')
+const { mockModels, restoreModels, stubModel, clearStubs } = require('./mockModels')
+const { responseSchemas } = require('../utils/responseSchemas')
+const routes = require('../routes')
+const errorHandler = require('../middleware/errorHandler')
+
+/**
+ * Contract tests: every endpoint documented in utils/responseSchemas.js is
+ * called through its real route and controller, with the model layer answering
+ * from the fixtures below, and the response is validated against its
+ * documented shape. `npm run check:contract` does the same against a running
+ * API and real data; these run anywhere, with `npm test`.
+ */
+
+const hasStage = (pipeline, stage) => pipeline.some(step => stage in step)
+
+const MP_SUMMARY = {
+  _id: '665f1c2e9b1e8a0012345678',
+  type: 'mp_summary',
+  mpName: 'Test Member',
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  state: 'Karnataka',
+  constituency: 'Gulbarga',
+  constituencyId: 'KA-gulbarga',
+  allocatedAmount: 50000000,
+  totalExpenditure: 30000000,
+  utilizationPercentage: 60,
+  completedWorksCount: 12,
+  recommendedWorksCount: 20,
+  completionRate: 60,
+}
+
+const WORK = {
+  _id: '665f1c2e9b1e8a0012340001',
+  workId: 101,
+  workDescription: 'Road from the bus stand to the market',
+  workCategory: 'Roads',
+  mpName: 'Test Member',
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  state: 'Karnataka',
+  constituency: 'Gulbarga',
+}
+
+// Model reads each documented endpoint makes, answered with realistic documents
+const FIXTURES = {
+  'GET /summary/overview': () => {
+    stubModel('Summary.aggregate', [
+      {
+        totalAllocated: 50000000,
+        totalExpenditure: 30000000,
+        utilizationPercentage: 60,
+        totalMPs: 1,
+        totalWorksCompleted: 12,
+        totalWorksRecommended: 20,
+        completionRate: 60,
+      },
+    ])
+  },
+  'GET /summary/states': () => {
+    stubModel('Summary.aggregate', pipeline =>
+      hasStage(pipeline, '$addFields')
+        ? [
+            {
+              _id: 'Karnataka',
+              state: 'Karnataka',
+              totalAllocated: 50000000,
+              totalExpenditure: 30000000,
+              utilizationPercentage: 60,
+              mpCount: 1,
+            },
+          ]
+        : [{ _id: 'Karnataka', completedWorksCount: 12, recommendedWorksCount: 20 }]
+    )
+  },
+  'GET /summary/mps': () => {
+    stubModel('Summary.countDocuments', 1)
+    stubModel('Summary.find', [MP_SUMMARY])
+  },
+  'GET /summary/constituencies': () => {
+    stubModel('Summary.aggregate', [
+      {
+        _id: 'KA-gulbarga',
+        constituencyId: 'KA-gulbarga',
+        constituency: 'Gulbarga',
+        mpName: 'Test Member',
+        house: 'Lok Sabha',
+        totalAllocated: 50000000,
+        totalExpenditure: 30000000,
+        totalWorksCompleted: 12,
+        totalWorksRecommended: 20,
+        totalMPs: 1,
+        utilizationPercentage: 60,
+      },
+    ])
+  },
+  'GET /works/completed': () => {
+    stubModel('WorksCompleted.aggregate', pipeline =>
+      hasStage(pipeline, '$group')
+        ? [{ _id: null, totalCost: 500000, avgCost: 500000, totalWorks: 1 }]
+        : [{ ...WORK, work_id: WORK.workId, cost: 500000 }]
+    )
+    stubModel('WorksCompleted.countDocuments', 1)
+  },
+  'GET /works/recommended': () => {
+    stubModel('WorksRecommended.aggregate', pipeline => {
+      if (hasStage(pipeline, '$count')) return [{ total: 1 }]
+      const group = pipeline.find(step => step.$group)?.$group
+      if (group?._id === null) return [{ _id: null, totalEstimatedCost: 600000, totalWorks: 1 }]
+      if (group) return [{ _id: 'Recommended', count: 1, totalCost: 600000 }]
+      return [{ ...WORK, estimated_cost: 600000, status: 'Recommended' }]
+    })
+    stubModel('Expenditure.find', [{ expenditureAmount: 250000 }])
+  },
+  'GET /works/nearby': () => {
+    const nearby = type => [
+      {
+        ...WORK,
+        type,
+        amount: 500000,
+        coordinates: [77.2, 28.6],
+        distanceKm: type === 'completed' ? 1.2 : 2.5,
+      },
+    ]
+    stubModel('WorksCompleted.aggregate', nearby('completed'))
+    stubModel('WorksRecommended.aggregate', nearby('recommended'))
+  },
+  'GET /expenditures': () => {
+    stubModel('Expenditure.aggregate', pipeline =>
+      hasStage(pipeline, '$group')
+        ? [{ _id: null, totalAmount: 250000, avgAmount: 250000, totalTransactions: 1 }]
+        : [{ _id: '665f1c2e9b1e8a0012340002', amountNorm: 250000, expenditureAmount: 250000 }]
+    )
+    stubModel('Expenditure.countDocuments', 1)
+  },
+  'GET /analytics/trends': () => {
+    stubModel('Expenditure.aggregate', [{ year: 2024, totalExpenditure: 250000 }])
+    stubModel('WorksCompleted.aggregate', [{ year: 2024, totalWorksCompleted: 1 }])
+  },
+  'GET /analytics/top-performers': () => {
+    stubModel('Summary.find', [MP_SUMMARY])
+    stubModel('Summary.aggregate', pipeline =>
+      hasStage(pipeline, '$addFields')
+        ? [{ _id: 'Karnataka', top: MP_SUMMARY, avgUtilization: 60, totalMPs: 1 }]
+        : [{ _id: null, avgUtilization: 60, totalMPs: 1 }]
+    )
+  },
+  'GET /analytics/velocity': () => {
+    stubModel('Summary.aggregate', [{ _id: null, allocation: 50000000, mpCount: 1 }])
+    stubModel('Summary.distinct', [18])
+    stubModel('Expenditure.aggregate', [
+      { _id: '2024-09', spent: 1000000, payments: 2, lastPaymentDate: new Date('2024-09-20') },
+      { _id: '2025-01', spent: 2000000, payments: 3, lastPaymentDate: new Date('2025-01-15') },
+    ])
+  },
+  'GET /analytics/parties/coverage': () => {
+    stubModel('Summary.countDocuments', filter => (filter.party ? 300 : 543))
+  },
+  'GET /analytics/flags': () => {
+    stubModel('AnomalyFlag.aggregate', [
+      {
+        flags: [
+          {
+            _id: '665f1c2e9b1e8a0012340003',
+            rule: 'final_above_recommended',
+            title: 'Final cost above recommended amount',
+            entityType: 'work',
+            severity: 'medium',
+            reason: 'Final amount is 40% above the recommended amount',
+          },
+        ],
+        byRule: [{ rule: 'final_above_recommended', title: 'Final cost', count: 1 }],
+        bySeverity: [{ _id: 'medium', count: 1 }],
+        total: [{ count: 1 }],
+      },
+    ])
+  },
+  'GET /mplads/terms': () => {
+    stubModel('Summary.aggregate', [{ _id: 18, mpCount: 543 }])
+    ;['allocations', 'expenditures', 'works_completed', 'works_recommended'].forEach(name =>
+      stubModel(`${name}.countDocuments`, 10)
+    )
+  },
+  'GET /metadata/dumps': () => {
+    stubModel('DataDump.find', [
+      {
+        _id: 'v20250101120000',
+        syncedAt: new Date('2025-01-01T12:00:00Z'),
+        totalRecords: 10,
+        files: [
+          {
+            collection: 'expenditures',
+            file: 'expenditures.jsonl.gz',
+            records: 10,
+            bytes: 2048,
+            sha256: 'a'.repeat(64),
+          },
+        ],
+      },
+    ])
+  },
+  'GET /search': () => {
+    stubModel('SearchIndex.find', filter =>
+      filter.type === 'work' && filter.keys
+        ? [
+            {
+              _id: 'work:101',
+              type: 'work',
+              title: 'Road from the bus stand to the market',
+              titleKeys: ['road', 'bus', 'stand', 'market'],
+              keys: ['road', 'bus', 'stand', 'market'],
+              weight: 1,
+            },
+          ]
+        : []
+    )
+  },
+  'GET /export/completed-works/estimate': () => {
+    stubModel('works_completed.countDocuments', 1200)
+  },
+  'GET /vendors/top': () => {
+    stubModel('Expenditure.aggregate', [
+      {
+        vendors: [{ name: 'Test Builders', totalPaid: 250000, payments: 1 }],
+        total: [{ count: 1 }],
+      },
+    ])
+  },
+}
+
+const app = express()
+app.use(express.json())
+app.use('/api', routes)
+app.use(errorHandler)
+
+describe('API contract', () => {
+  before(mockModels)
+  after(restoreModels)
+  beforeEach(clearStubs)
+
+  it('has fixtures for every documented endpoint', () => {
+    assert.deepEqual(Object.keys(FIXTURES).sort(), Object.keys(responseSchemas).sort())
+  })
+
+  it('documents every endpoint in openapi.json', async () => {
+    const { body } = await request(app).get('/api/openapi.json').expect(200)
+    Object.keys(responseSchemas).forEach(key => {
+      const [method, path] = key.split(' ')
+      assert.ok(body.paths[`/api${path}`]?.[method.toLowerCase()], `${key} is not in openapi.json`)
+    })
+  })
+
+  Object.entries(responseSchemas).forEach(([key, { schema, query = {} }]) => {
+    it(`${key} matches its documented shape`, async () => {
+      const [method, path] = key.split(' ')
+      FIXTURES[key]?.()
+
+      const response = await request(app)[method.toLowerCase()](`/api${path}`).query(query)
+      assert.equal(response.status, 200, JSON.stringify(response.body))
+
+      const { error } = schema.validate(response.body, { abortEarly: false })
+      assert.equal(error?.details.map(detail => detail.message).join('; '), undefined)
+    })
+  })
+})
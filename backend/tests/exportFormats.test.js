@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { PassThrough } = require('stream')
+const ExcelJS = require('exceljs')
+const { writeExport, exportHeaders } = require('../utils/exportFormats')
+
+const COLUMNS = [
+  { key: 'workId', label: 'Work ID', type: 'string' },
+  { key: 'completedDate', label: 'Completed Date', type: 'date' },
+  { key: 'finalAmount', label: 'Final Amount', type: 'number' },
+]
+
+const METADATA = {
+  dataset: 'completed-works',
+  filters: { state: 'Karnataka', ls_term: '18' },
+  datasetVersion: 'v20250101120000',
+  lastSynced: '2025-01-01T12:00:00.000Z',
+  generatedAt: '2025-01-02T08:00:00.000Z',
+}
+
+// Cursor stand-in yielding the given documents
+const cursorOf = docs => ({
+  async *[Symbol.asyncIterator]() {
+    yield* docs
+  },
+  close: async () => {},
+})
+
+const exportTo = async format => {
+  const out = new PassThrough()
+  const chunks = []
+  out.on('data', chunk => chunks.push(chunk))
+  const docs = [{ workId: 'W-1', completedDate: new Date('2024-06-01'), finalAmount: 500000 }]
+  await writeExport(out, { format, cursor: cursorOf(docs), columns: COLUMNS, metadata: METADATA })
+  return Buffer.concat(chunks)
+}
+
+describe('export formats', () => {
+  it('starts CSV files with the header row', async () => {
+    const lines = (await exportTo('csv')).toString().trim().split('\n')
+    assert.equal(lines[0], '"Work ID","Completed Date","Final Amount"')
+    assert.equal(lines.length, 2)
+  })
+
+  it('formats XLSX date cells as dates', async () => {
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(await exportTo('xlsx'))
+    const cell = workbook.getWorksheet('Data').getCell('B2')
+    assert.ok(cell.value instanceof Date)
+    assert.equal(cell.numFmt, 'yyyy-mm-dd')
+  })
+
+  it('sends the metadata as headers', () => {
+    assert.deepEqual(exportHeaders(METADATA), {
+      'X-Export-Dataset': 'completed-works',
+      'X-Dataset-Version': 'v20250101120000',
+      'X-Export-Generated-At': '2025-01-02T08:00:00.000Z',
+      'X-Export-Filters': 'state=Karnataka&ls_term=18',
+      'X-Data-Last-Synced': '2025-01-01T12:00:00.000Z',
+    })
+  })
+})
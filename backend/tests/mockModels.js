@@ -0,0 +1,112 @@
+const mongoose = require('mongoose')
+
+/**
+ * Model layer stand-in for controller tests. Every read a controller makes
+ * through a Mongoose model (aggregate, find, countDocuments, ...) is answered
+ * from fixtures registered per test with `stubModel`, keyed by
+ * '<ModelName>.<method>'. Reads on raw collections (getCollection or
+ * mongoose.connection.collection) are keyed by '<collection>.<method>'.
+ * Chained query helpers (.sort, .lean, .select, ...) are accepted and ignored,
+ * so fixtures are the documents a query would return. A read with no fixture
+ * fails the request, which shows up as a failed test rather than a hang
+ * waiting for MongoDB.
+ */
+
+const METHODS = [
+  'aggregate',
+  'find',
+  'findOne',
+  'findById',
+  'countDocuments',
+  'estimatedDocumentCount',
+  'distinct',
+  'exists',
+]
+
+const fixtures = new Map()
+const originals = new Map()
+
+// Thenable that swallows any chained call and resolves to the fixture
+const chain = resolve => {
+  const query = new Proxy(
+    {},
+    {
+      get: (target, property) => {
+        if (property === 'then') return (onResolve, onReject) => resolve().then(onResolve, onReject)
+        if (property === 'catch') return onReject => resolve().catch(onReject)
+        if (property === 'exec') return () => resolve()
+        return () => query
+      },
+    }
+  )
+  return query
+}
+
+const answer = (key, args) => async () => {
+  if (!fixtures.has(key)) throw new Error(`No fixture for ${key}`)
+  const fixture = fixtures.get(key)
+  return typeof fixture === 'function' ? fixture(...args) : structuredClone(fixture)
+}
+
+// Native collection whose every method reads a fixture. It is awaited by
+// getCollection, so it must not look like a promise itself.
+const rawCollection = name =>
+  new Proxy(
+    {},
+    {
+      get: (target, method) =>
+        method === 'then' ? undefined : (...args) => chain(answer(`${name}.${method}`, args)),
+    }
+  )
+
+let originalDb = null
+
+/**
+ * Replace the model and collection reads with fixture lookups until `restoreModels`
+ */
+const mockModels = () => {
+  METHODS.forEach(method => {
+    originals.set(method, mongoose.Model[method])
+    mongoose.Model[method] = function (...args) {
+      return chain(answer(`${this.modelName}.${method}`, args))
+    }
+  })
+
+  // Report a connection so utils/database hands out the raw collections above
+  originalDb = mongoose.connection.db
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true })
+  mongoose.connection.db = { collection: rawCollection }
+  mongoose.connection.collection = rawCollection
+}
+
+const restoreModels = () => {
+  originals.forEach((original, method) => {
+    mongoose.Model[method] = original
+  })
+  originals.clear()
+  fixtures.clear()
+
+  delete mongoose.connection.readyState
+  delete mongoose.connection.collection
+  mongoose.connection.db = originalDb
+}
+
+/**
+ * Answer one model read with a fixture
+ * @param {string} key - '<ModelName>.<method>', e.g. 'Summary.aggregate', or
+ *   '<collection>.<method>' for a raw collection, e.g. 'allocations.countDocuments'
+ * @param {*|Function} result - Documents to return, or a function of the call's
+ *   arguments (e.g. the pipeline) returning them, for models read more than once
+ */
+const stubModel = (key, result) => {
+  fixtures.set(key, result)
+}
+
+const clearStubs = () => fixtures.clear()
+
+module.exports = {
+  mockModels,
+  restoreModels,
+  stubModel,
+  clearStubs,
+}
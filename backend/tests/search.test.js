@@ -0,0 +1,48 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const request = require('supertest')
+const { mockModels, restoreModels, stubModel, clearStubs } = require('./mockModels')
+const { houseGate } = require('../utils/queryFilters')
+const routes = require('../routes')
+const errorHandler = require('../middleware/errorHandler')
+
+const app = express()
+app.use('/api', routes)
+app.use(errorHandler)
+
+// Search with the given query, returning the filters SearchIndex.find was called with
+const searchFilters = async query => {
+  const filters = []
+  stubModel('SearchIndex.find', filter => {
+    filters.push(filter)
+    return []
+  })
+  await request(app).get('/api/search').query(query).expect(200)
+  return filters
+}
+
+describe('search scope', () => {
+  before(mockModels)
+  after(restoreModels)
+  beforeEach(clearStubs)
+
+  it('gates houses and terms like the other filtered endpoints', async () => {
+    for (const query of [
+      { q: 'road' },
+      { q: 'road', house: 'Lok Sabha' },
+      { q: 'road', house: 'Rajya Sabha' },
+      { q: 'road', ls_term: '17' },
+      { q: 'road', house: 'Lok Sabha', ls_term: 'all' },
+    ]) {
+      const filters = await searchFilters(query)
+      const gate = houseGate(query)
+      assert.ok(filters.length > 0)
+      filters.forEach(filter => {
+        Object.entries(gate).forEach(([field, condition]) => {
+          assert.deepEqual(filter[field], condition, `${JSON.stringify(query)}: ${field}`)
+        })
+      })
+    }
+  })
+})
@@ -0,0 +1,27 @@
+const { ALL_TERMS, parseLsTermSelection } = require('./lsTerm')
+
+// Assembly terms differ from state to state, so MLALADS queries span every term by default
+const DEFAULT_ASSEMBLY_TERM = (process.env.DEFAULT_ASSEMBLY_TERM || ALL_TERMS).toString()
+
+// Selection from ?assembly_term= ('all', a term or a comma-separated list)
+function getAssemblyTermSelection(req) {
+  return (
+    parseLsTermSelection(req.query.assembly_term) ||
+    parseLsTermSelection(DEFAULT_ASSEMBLY_TERM) ||
+    ALL_TERMS
+  )
+}
+
+// Filter on the assemblyTerm field; empty when every term is selected
+function buildAssemblyTermFilter(selection) {
+  const sel = parseLsTermSelection(selection)
+  if (!sel || sel === ALL_TERMS) return {}
+  const terms = sel.split(',').map(n => parseInt(n, 10))
+  return { assemblyTerm: terms.length === 1 ? terms[0] : { $in: terms } }
+}
+
+module.exports = {
+  DEFAULT_ASSEMBLY_TERM,
+  getAssemblyTermSelection,
+  buildAssemblyTermFilter,
+}
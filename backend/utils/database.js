@@ -47,6 +47,14 @@ const getCollection = async collectionName => {
   return db.collection(collectionName)
 }
 
+// Pointer to the blue/green dataset the uploader last activated. The swap renames
+// the staging collections onto the fixed names, so this only reports which
+// version those collections hold; queries never need it to pick a collection.
+const getActiveDataset = async () => {
+  const collection = await getCollection('dataset_versions')
+  return collection.findOne({ _id: 'active' })
+}
+
 const closeConnection = async () => {
   // No-op: Mongoose handles connection lifecycle via gracefulShutdown
   try {
@@ -64,5 +72,6 @@ const closeConnection = async () => {
 module.exports = {
   connectToDatabase,
   getCollection,
+  getActiveDataset,
   closeConnection,
 }
@@ -0,0 +1,123 @@
+const path = require('path')
+
+/**
+ * Census reference data (population, area, rural share) for normalizing
+ * spending by the size of a state or constituency. The figures ship as
+ * versioned JSON under data/demographics/; DEMOGRAPHICS_VERSION picks the file.
+ */
+
+const DEMOGRAPHICS_VERSION = process.env.DEMOGRAPHICS_VERSION || 'census-2011'
+
+// Amounts and counts are expressed per lakh (100,000) people and per 1000 km²
+const PER_POPULATION = 100000
+const PER_AREA_SQ_KM = 1000
+
+// Match names across sources: case, '&' vs 'and' and punctuation ignored
+const regionKey = name =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '')
+
+let reference = null
+
+// Load the reference file once and index it by normalized state and constituency names
+function loadReference() {
+  if (reference) return reference
+  const file = require(path.join(__dirname, '../data/demographics', `${DEMOGRAPHICS_VERSION}.json`))
+
+  const states = new Map()
+  Object.entries(file.states || {}).forEach(([name, entry]) => {
+    const record = { name, ...entry }
+    states.set(regionKey(name), record)
+    ;(entry.aliases || []).forEach(alias => states.set(regionKey(alias), record))
+  })
+
+  // Constituencies are keyed "State|Constituency" in the file
+  const constituencies = new Map()
+  Object.entries(file.constituencies || {}).forEach(([key, entry]) => {
+    const [state, constituency] = key.split('|')
+    constituencies.set(`${regionKey(state)}|${regionKey(constituency)}`, entry)
+  })
+
+  reference = { version: file.version || DEMOGRAPHICS_VERSION, states, constituencies }
+  return reference
+}
+
+/**
+ * Population, area and rural share of a state
+ * @param {string} state - State or union territory name as stored in the data
+ * @returns {{population: number, areaSqKm: number, ruralShare: number, estimated: boolean}|null}
+ */
+function getStateDemographics(state) {
+  const entry = loadReference().states.get(regionKey(state))
+  if (!entry) return null
+  return {
+    population: entry.population,
+    areaSqKm: entry.areaSqKm,
+    ruralShare: entry.ruralShare,
+    estimated: false,
+  }
+}
+
+/**
+ * Population, area and rural share of a Lok Sabha constituency. Without a
+ * listed figure the population is estimated as the state's divided by its
+ * seats (delimitation keeps seats within a state roughly equal in population);
+ * area is then unknown and the state's rural share is used.
+ * @returns {{population: number, areaSqKm: number|null, ruralShare: number|null, estimated: boolean}|null}
+ */
+function getConstituencyDemographics(state, constituency) {
+  const { constituencies, states } = loadReference()
+  const listed = constituencies.get(`${regionKey(state)}|${regionKey(constituency)}`)
+  if (listed) {
+    return {
+      population: listed.population,
+      areaSqKm: listed.areaSqKm ?? null,
+      ruralShare: listed.ruralShare ?? null,
+      estimated: false,
+    }
+  }
+
+  const stateEntry = states.get(regionKey(state))
+  if (!stateEntry || !stateEntry.lokSabhaSeats) return null
+  return {
+    population: Math.round(stateEntry.population / stateEntry.lokSabhaSeats),
+    areaSqKm: null,
+    ruralShare: stateEntry.ruralShare,
+    estimated: true,
+  }
+}
+
+const rate = (value, base, per, digits) => {
+  if (!base || value === null || value === undefined) return null
+  const factor = 10 ** digits
+  return Math.round(((value * per) / base) * factor) / factor
+}
+
+/**
+ * Normalized metrics for a region's totals
+ * @param {Object} totals - { allocated, spent, worksCompleted } in rupees and counts
+ * @param {Object|null} demographics - From getStateDemographics or getConstituencyDemographics
+ * @returns {Object|null} Per-lakh amounts (rupees) and work densities, with the
+ *   reference figures they were computed from; null when the region is not listed
+ */
+function normalizeMetrics(totals, demographics) {
+  if (!demographics) return null
+  const { population, areaSqKm } = demographics
+  return {
+    ...demographics,
+    dataset: loadReference().version,
+    allocatedPerLakh: rate(totals.allocated, population, PER_POPULATION, 0),
+    spendPerLakh: rate(totals.spent, population, PER_POPULATION, 0),
+    worksPerLakh: rate(totals.worksCompleted, population, PER_POPULATION, 2),
+    worksPer1000SqKm: rate(totals.worksCompleted, areaSqKm, PER_AREA_SQ_KM, 2),
+  }
+}
+
+module.exports = {
+  DEMOGRAPHICS_VERSION,
+  getStateDemographics,
+  getConstituencyDemographics,
+  normalizeMetrics,
+}
@@ -12,6 +12,17 @@ const transporter = nodemailer.createTransport({
   },
 })
 
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173'
+
+// Work descriptions, vendor and MP names come from the portal; never put them in HTML raw
+const escapeHtml = value =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
 const generateVerificationToken = () => {
   return crypto.randomBytes(32).toString('hex')
 }
@@ -252,8 +263,541 @@ const sendWelcomeEmail = async email => {
   }
 }
 
+const sendApiKeyVerificationEmail = async (email, verificationToken, name) => {
+  const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email?token=${verificationToken}&type=api-key`
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Empowered Indian',
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: 'Confirm your API key request - Empowered Indian',
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Your API Key Request</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+              .footer { background: #1e40af; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 14px; }
+              .button { 
+                display: inline-block; 
+                background: #2563eb; 
+                color: white !important; 
+                padding: 14px 28px; 
+                text-decoration: none; 
+                border-radius: 8px; 
+                margin: 24px 0; 
+                font-weight: 600; 
+                font-size: 16px;
+              }
+              .button-container {
+                text-align: center;
+                padding: 20px 0;
+                margin: 20px 0;
+              }
+              .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>🇮🇳 Empowered Indian</h1>
+              <p>Public read-only API access</p>
+          </div>
+          
+          <div class="content">
+              <h2>Hi ${name} 👋</h2>
+              
+              <p>We received a request for a read-only API key for this email address. Confirm the request to issue your key:</p>
+              
+              <div class="button-container">
+                  <a href="${verificationUrl}" class="button" style="color: white; text-decoration: none;">Confirm & Show My Key 🔑</a>
+              </div>
+              
+              <p>Or copy and paste this link in your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px; font-family: monospace;">${verificationUrl}</p>
+              
+              <div class="warning">
+                  <strong>⚠️ Security Note:</strong> This link expires in 24 hours and your key is shown only once, so copy it somewhere safe. Confirming also verifies this address for our mailing list, which you can leave at any time. If you didn't request an API key, you can safely ignore this email.
+              </div>
+              
+              <p>Send the key in the <code>X-API-Key</code> header of each request.</p>
+          </div>
+          
+          <div class="footer">
+              <p>© 2025 Empowered Indian • Making government data accessible</p>
+              <p>This email was sent because an API key was requested at <span style="color: inherit;">empoweredindian.in</span></p>
+          </div>
+      </body>
+      </html>
+    `,
+  }
+
+  try {
+    const info = await transporter.sendMail(mailOptions)
+
+    secureLogger.info('API key verification email sent successfully', {
+      category: 'email',
+      type: 'api_key_verification_sent',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+    })
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    secureLogger.error('Failed to send API key verification email', {
+      category: 'email',
+      type: 'api_key_verification_failed',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+
+    throw error
+  }
+}
+
+const sendExportReadyEmail = async (email, { label, format, rows, downloadUrl, expiresAt }) => {
+  const expiry = new Date(expiresAt).toUTCString()
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Empowered Indian',
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: `Your ${label} export is ready - Empowered Indian`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Export Is Ready</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #059669 0%, #047857 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+              .footer { background: #065f46; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 14px; }
+              .button {
+                display: inline-block;
+                background: #059669;
+                color: white !important;
+                padding: 14px 28px;
+                text-decoration: none;
+                border-radius: 8px;
+                margin: 24px 0;
+                font-weight: 600;
+                font-size: 16px;
+              }
+              .button-container {
+                text-align: center;
+                padding: 20px 0;
+                margin: 20px 0;
+              }
+              .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 4px; }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>🇮🇳 Empowered Indian</h1>
+              <p>Your data export is ready</p>
+          </div>
+
+          <div class="content">
+              <p>The ${label} export you requested has finished: ${Number(rows).toLocaleString('en-IN')} rows in ${format.toUpperCase()} format.</p>
+
+              <div class="button-container">
+                  <a href="${downloadUrl}" class="button" style="color: white; text-decoration: none;">Download Export 📥</a>
+              </div>
+
+              <p>Or copy and paste this link in your browser:</p>
+              <p style="word-break: break-all; background: #f0f0f0; padding: 10px; border-radius: 4px; font-family: monospace;">${downloadUrl}</p>
+
+              <div class="warning">
+                  <strong>⏰ Note:</strong> The file is kept until ${expiry}. After that, run the export again from the dashboard.
+              </div>
+          </div>
+
+          <div class="footer">
+              <p>© 2025 Empowered Indian • Making government data accessible</p>
+              <p>You received this because you asked to be emailed when your export was ready.</p>
+          </div>
+      </body>
+      </html>
+    `,
+  }
+
+  try {
+    const info = await transporter.sendMail(mailOptions)
+
+    secureLogger.info('Export ready email sent successfully', {
+      category: 'email',
+      type: 'export_ready_sent',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+    })
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    secureLogger.error('Failed to send export ready email', {
+      category: 'email',
+      type: 'export_ready_failed',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+
+    throw error
+  }
+}
+
+/**
+ * Link that attaches an address to an export job, sent before the job may email
+ * it so nobody can learn whether an address is subscribed or have downloads
+ * sent to someone else's inbox
+ */
+const sendExportConfirmationEmail = async (email, { jobId, token, label, format }) => {
+  const confirmUrl = `${frontendUrl()}/verify-email?type=export&job=${jobId}&token=${token}`
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Empowered Indian',
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: `Confirm: email me the ${label} export - Empowered Indian`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Export Notification</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #059669 0%, #047857 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+              .footer { background: #065f46; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 14px; }
+              .button {
+                display: inline-block;
+                background: #059669;
+                color: white !important;
+                padding: 14px 28px;
+                text-decoration: none;
+                border-radius: 8px;
+                margin: 24px 0;
+                font-weight: 600;
+                font-size: 16px;
+              }
+              .button-container {
+                text-align: center;
+                padding: 20px 0;
+                margin: 20px 0;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>🇮🇳 Empowered Indian</h1>
+              <p>MPLADS Data Export</p>
+          </div>
+
+          <div class="content">
+              <p>Someone asked to be emailed at this address when the <strong>${label}</strong> export (${format.toUpperCase()}) is ready. Once you confirm, we'll send the download link as soon as the file is written.</p>
+
+              <div class="button-container">
+                  <a href="${confirmUrl}" class="button" style="color: white; text-decoration: none;">Email Me the Download 📥</a>
+              </div>
+
+              <p>If you didn't ask for this, ignore this email and nothing will be sent.</p>
+          </div>
+
+          <div class="footer">
+              <p>© 2025 Empowered Indian • Making government data accessible</p>
+              <p>You received this because your address is on our mailing list.</p>
+          </div>
+      </body>
+      </html>
+    `,
+  }
+
+  try {
+    const info = await transporter.sendMail(mailOptions)
+
+    secureLogger.info('Export confirmation email sent successfully', {
+      category: 'email',
+      type: 'export_confirmation_sent',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+    })
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    secureLogger.error('Failed to send export confirmation email', {
+      category: 'email',
+      type: 'export_confirmation_failed',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+
+    throw error
+  }
+}
+
+const FOLLOW_TYPE_LABELS = {
+  mp: 'MP',
+  constituency: 'constituency',
+  state: 'state',
+  work: 'work',
+}
+
+/**
+ * Link a subscriber follows to confirm a follow requested from a dashboard page;
+ * the link carries their unsubscribe token, which proves the address is theirs
+ */
+const sendFollowConfirmationEmail = async (email, unsubscribeToken, { type, id, label }) => {
+  const followUrl = `${frontendUrl()}/unsubscribe/${unsubscribeToken}?follow=${encodeURIComponent(`${type}:${id}`)}${label ? `&label=${encodeURIComponent(label)}` : ''}`
+  const name = escapeHtml(label || id)
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Empowered Indian',
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: `Confirm: follow ${label || id} - Empowered Indian`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Follow</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+              .footer { background: #1e40af; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 14px; }
+              .button {
+                display: inline-block;
+                background: #2563eb;
+                color: white !important;
+                padding: 14px 28px;
+                text-decoration: none;
+                border-radius: 8px;
+                margin: 24px 0;
+                font-weight: 600;
+                font-size: 16px;
+              }
+              .button-container {
+                text-align: center;
+                padding: 20px 0;
+                margin: 20px 0;
+              }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>🇮🇳 Empowered Indian</h1>
+              <p>Follow MPLADS activity</p>
+          </div>
+
+          <div class="content">
+              <p>Someone asked to follow the ${FOLLOW_TYPE_LABELS[type]} <strong>${name}</strong> with this email address. Once you confirm, we'll email you a digest of its new recommendations, completed works and payments after each data update.</p>
+
+              <div class="button-container">
+                  <a href="${followUrl}" class="button" style="color: white; text-decoration: none;">Confirm Follow 🔔</a>
+              </div>
+
+              <p>The same page lists everything you follow. If you didn't ask for this, ignore this email and nothing changes.</p>
+          </div>
+
+          <div class="footer">
+              <p>© 2025 Empowered Indian • Making government data accessible</p>
+              <p>You received this because your address is on our mailing list.</p>
+          </div>
+      </body>
+      </html>
+    `,
+  }
+
+  try {
+    const info = await transporter.sendMail(mailOptions)
+
+    secureLogger.info('Follow confirmation email sent successfully', {
+      category: 'email',
+      type: 'follow_confirmation_sent',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+    })
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    secureLogger.error('Failed to send follow confirmation email', {
+      category: 'email',
+      type: 'follow_confirmation_failed',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+
+    throw error
+  }
+}
+
+const DIGEST_SECTIONS = [
+  { kind: 'recommendations', title: '📝 New recommendations' },
+  { kind: 'completions', title: '✅ Completed works' },
+  { kind: 'payments', title: '💸 Payments' },
+]
+
+const formatRupees = amount =>
+  amount || amount === 0 ? `₹${Math.round(amount).toLocaleString('en-IN')}` : ''
+
+const formatDay = date =>
+  date
+    ? new Date(date).toLocaleDateString('en-IN', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+      })
+    : ''
+
+const digestItem = item => {
+  const seat = [item.constituency, item.state].filter(Boolean).join(', ')
+  const meta = [item.mpName, seat, item.vendor && `to ${item.vendor}`, formatDay(item.date)]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' • ')
+  return `
+                  <li>
+                      <strong>${escapeHtml(item.description || `Work ${item.workId}`)}</strong> ${formatRupees(item.amount)}<br>
+                      <span class="meta">${meta}</span>
+                  </li>`
+}
+
+/**
+ * Digest of what changed in one sync for the MPs, constituencies, states and
+ * works a subscriber follows
+ * @param {string} email
+ * @param {string} unsubscribeToken - Subscriber's token, for the manage and unsubscribe links
+ * @param {Object} digest
+ * @param {Array} digest.follows - Follows that matched ({ type, id, label })
+ * @param {Object} digest.changes - Items per kind (recommendations, completions, payments)
+ * @param {Object} digest.totals - Matching items per kind, which may exceed the items listed
+ * @param {Date} digest.syncedAt
+ */
+const sendWatchDigestEmail = async (
+  email,
+  unsubscribeToken,
+  { follows, changes, totals, syncedAt }
+) => {
+  const manageUrl = `${frontendUrl()}/unsubscribe/${unsubscribeToken}?manage=1`
+  const unsubscribeUrl = `${frontendUrl()}/unsubscribe/${unsubscribeToken}`
+  const total = Object.values(totals).reduce((sum, count) => sum + count, 0)
+  const followed = follows.map(follow => escapeHtml(follow.label || follow.id)).join(', ')
+
+  const sections = DIGEST_SECTIONS.filter(section => totals[section.kind] > 0)
+    .map(section => {
+      const items = changes[section.kind]
+      const more = totals[section.kind] - items.length
+      return `
+              <h3>${section.title} (${totals[section.kind]})</h3>
+              <ul>${items.map(digestItem).join('')}
+              </ul>${more > 0 ? `\n              <p class="meta">…and ${more} more on the dashboard.</p>` : ''}`
+    })
+    .join('')
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || 'Empowered Indian',
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: `${total} new MPLADS update${total === 1 ? '' : 's'} for what you follow - Empowered Indian`,
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your MPLADS Digest</title>
+          <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; }
+              .footer { background: #1e40af; color: white; padding: 20px; text-align: center; border-radius: 0 0 8px 8px; font-size: 14px; }
+              ul { padding-left: 20px; }
+              li { margin-bottom: 10px; }
+              .meta { color: #6b7280; font-size: 13px; }
+          </style>
+      </head>
+      <body>
+          <div class="header">
+              <h1>🇮🇳 Empowered Indian</h1>
+              <p>MPLADS data update of ${formatDay(syncedAt)}</p>
+          </div>
+
+          <div class="content">
+              <p>New activity for ${followed}:</p>
+              ${sections}
+
+              <p><a href="${frontendUrl()}/mplads">Explore the MPLADS dashboard →</a></p>
+          </div>
+
+          <div class="footer">
+              <p>© 2025 Empowered Indian • Making government data accessible</p>
+              <p>You received this because you follow these on <span style="color: inherit;">empoweredindian.in</span></p>
+              <p><a href="${manageUrl}" style="color: #93c5fd; text-decoration: underline;">Manage what you follow</a> • <a href="${unsubscribeUrl}" style="color: #93c5fd; text-decoration: underline;">Unsubscribe</a></p>
+          </div>
+      </body>
+      </html>
+    `,
+  }
+
+  try {
+    const info = await transporter.sendMail(mailOptions)
+
+    secureLogger.info('Follow digest email sent successfully', {
+      category: 'email',
+      type: 'watch_digest_sent',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      messageId: info.messageId,
+      timestamp: new Date().toISOString(),
+    })
+
+    return { success: true, messageId: info.messageId }
+  } catch (error) {
+    secureLogger.error('Failed to send follow digest email', {
+      category: 'email',
+      type: 'watch_digest_failed',
+      email: email.replace(/(.{2}).*(@.*)/, '$1***$2'),
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+
+    throw error
+  }
+}
+
 module.exports = {
   generateVerificationToken,
   sendVerificationEmail,
   sendWelcomeEmail,
+  sendApiKeyVerificationEmail,
+  sendExportReadyEmail,
+  sendExportConfirmationEmail,
+  sendFollowConfirmationEmail,
+  sendWatchDigestEmail,
 }
@@ -0,0 +1,240 @@
+const { getCollection } = require('./database')
+const { compileMatch } = require('./queryFilters')
+
+/**
+ * What each /api/export/* dataset holds: its collection, the filters it
+ * accepts, the pipeline that shapes its rows and the columns written to file.
+ * Used by the synchronous export routes and by export jobs alike.
+ */
+
+// Rows fetched from MongoDB per round trip while streaming
+const CURSOR_BATCH_SIZE = 1000
+
+const workColumns = [
+  { key: 'work_id', label: 'Work ID', type: 'number' },
+  { key: 'work_description', label: 'Work Description', type: 'string' },
+  { key: 'category', label: 'Category', type: 'string' },
+  { key: 'canonical_category', label: 'Canonical Category', type: 'string' },
+  { key: 'sector', label: 'Sector', type: 'string' },
+  { key: 'mp_name', label: 'MP Name', type: 'string' },
+  { key: 'constituency', label: 'Constituency', type: 'string' },
+  { key: 'state', label: 'State', type: 'string' },
+  { key: 'house', label: 'House', type: 'string' },
+]
+
+const workProjection = {
+  _id: 0,
+  work_id: '$workId',
+  work_description: '$workDescription',
+  category: '$workCategory',
+  canonical_category: '$canonicalCategory',
+  sector: '$sector',
+  mp_name: '$mpName',
+  constituency: '$constituency',
+  state: '$state',
+  house: '$house',
+  ida: '$ida',
+  has_images: '$hasImage',
+}
+
+const round2 = value => Math.round((value || 0) * 100) / 100
+
+/**
+ * Export definitions. `match` compiles the same filters the matching list
+ * endpoint uses, so an export always holds the records the list shows.
+ */
+const EXPORTS = {
+  'completed-works': {
+    label: 'completed works',
+    collection: 'works_completed',
+    filename: 'mplads_completed_works',
+    match: query => compileMatch(query, 'works_completed'),
+    pipeline: match => [
+      { $match: match },
+      {
+        $project: {
+          ...workProjection,
+          final_amount: '$finalAmount',
+          completed_date: '$completedDate',
+          average_rating: '$averageRating',
+        },
+      },
+    ],
+    columns: [
+      ...workColumns,
+      { key: 'final_amount', label: 'Final Amount (₹)', type: 'number' },
+      { key: 'completed_date', label: 'Completed Date', type: 'date' },
+      { key: 'has_images', label: 'Has Images', type: 'boolean' },
+      { key: 'average_rating', label: 'Average Rating', type: 'number' },
+      { key: 'ida', label: 'IDA', type: 'string' },
+    ],
+  },
+
+  'recommended-works': {
+    label: 'recommended works',
+    collection: 'works_recommended',
+    filename: 'mplads_recommended_works',
+    match: async query => {
+      const baseMatch = await compileMatch(query, 'works_recommended')
+      return query.status ? { $and: [baseMatch, { status: query.status }] } : baseMatch
+    },
+    pipeline: match => [
+      { $match: match },
+      {
+        $project: {
+          ...workProjection,
+          recommended_amount: '$recommendedAmount',
+          recommendation_date: '$recommendationDate',
+        },
+      },
+    ],
+    columns: [
+      ...workColumns,
+      { key: 'recommended_amount', label: 'Recommended Amount (₹)', type: 'number' },
+      { key: 'recommendation_date', label: 'Recommendation Date', type: 'date' },
+      { key: 'has_images', label: 'Has Images', type: 'boolean' },
+      { key: 'ida', label: 'IDA', type: 'string' },
+    ],
+  },
+
+  expenditures: {
+    label: 'expenditures',
+    collection: 'expenditures',
+    filename: 'mplads_expenditures',
+    match: async query => {
+      const baseMatch = await compileMatch(query, 'expenditures')
+      return query.payment_status
+        ? { $and: [baseMatch, { paymentStatus: query.payment_status }] }
+        : baseMatch
+    },
+    pipeline: match => [
+      { $match: match },
+      {
+        $project: {
+          _id: 0,
+          mp_name: '$mpName',
+          constituency: '$constituency',
+          state: '$state',
+          house: '$house',
+          work_id: '$workId',
+          work_description: '$work',
+          canonical_category: '$canonicalCategory',
+          sector: '$sector',
+          vendor: '$vendor',
+          ida: '$ida',
+          expenditure_amount: '$expenditureAmount',
+          expenditure_date: '$expenditureDate',
+          payment_status: '$paymentStatus',
+        },
+      },
+    ],
+    columns: [
+      { key: 'mp_name', label: 'MP Name', type: 'string' },
+      { key: 'constituency', label: 'Constituency', type: 'string' },
+      { key: 'state', label: 'State', type: 'string' },
+      { key: 'house', label: 'House', type: 'string' },
+      { key: 'work_id', label: 'Work ID', type: 'number' },
+      { key: 'work_description', label: 'Work Description', type: 'string' },
+      { key: 'canonical_category', label: 'Canonical Category', type: 'string' },
+      { key: 'sector', label: 'Sector', type: 'string' },
+      { key: 'vendor', label: 'Vendor', type: 'string' },
+      { key: 'ida', label: 'IDA', type: 'string' },
+      { key: 'expenditure_amount', label: 'Expenditure Amount (₹)', type: 'number' },
+      { key: 'expenditure_date', label: 'Expenditure Date', type: 'date' },
+      { key: 'payment_status', label: 'Payment Status', type: 'string' },
+    ],
+  },
+
+  'mp-summary': {
+    label: 'MP summaries',
+    collection: 'summaries',
+    filename: 'mplads_mp_summary',
+    // Same state and house/term population as GET /api/summary/mps
+    match: async query => {
+      const { min_utilization, max_utilization } = query
+      const match = await compileMatch(query, 'summaries', {
+        omit: ['mp', 'amount', 'search'],
+      })
+      if (min_utilization !== undefined || max_utilization !== undefined) {
+        const utilizationFilter = {}
+        if (min_utilization !== undefined) utilizationFilter.$gte = parseFloat(min_utilization)
+        if (max_utilization !== undefined) utilizationFilter.$lte = parseFloat(max_utilization)
+        match.$and.push({ utilizationPercentage: utilizationFilter })
+      }
+      return match
+    },
+    pipeline: match => [{ $match: match }, { $sort: { utilizationPercentage: -1 } }],
+    mapRow: summary => ({
+      mp_name: summary.mpName,
+      constituency: summary.constituency,
+      state: summary.state,
+      house: summary.house,
+      ls_term: summary.lsTerm,
+      allocated_amount: summary.allocatedAmount,
+      total_expenditure: summary.totalExpenditure,
+      utilization_percentage: round2(summary.utilizationPercentage),
+      completed_works: summary.completedWorksCount,
+      recommended_works: summary.recommendedWorksCount,
+      completion_rate: round2(summary.completionRate),
+      unspent_amount: summary.unspentAmount,
+      transaction_count: summary.transactionCount,
+      successful_payments: summary.successfulPayments,
+      pending_payments: summary.pendingPayments,
+      average_rating: summary.avgRating,
+    }),
+    columns: [
+      { key: 'mp_name', label: 'MP Name', type: 'string' },
+      { key: 'constituency', label: 'Constituency', type: 'string' },
+      { key: 'state', label: 'State', type: 'string' },
+      { key: 'house', label: 'House', type: 'string' },
+      { key: 'ls_term', label: 'Lok Sabha Term', type: 'number' },
+      { key: 'allocated_amount', label: 'Allocated Amount (₹)', type: 'number' },
+      { key: 'total_expenditure', label: 'Total Expenditure (₹)', type: 'number' },
+      { key: 'utilization_percentage', label: 'Utilization %', type: 'number' },
+      { key: 'completed_works', label: 'Completed Works', type: 'number' },
+      { key: 'recommended_works', label: 'Recommended Works', type: 'number' },
+      { key: 'completion_rate', label: 'Completion Rate %', type: 'number' },
+      { key: 'unspent_amount', label: 'Unspent Amount (₹)', type: 'number' },
+      { key: 'transaction_count', label: 'Transaction Count', type: 'number' },
+      { key: 'successful_payments', label: 'Successful Payments', type: 'number' },
+      { key: 'pending_payments', label: 'Pending Payments', type: 'number' },
+      { key: 'average_rating', label: 'Average Rating', type: 'number' },
+    ],
+  },
+}
+
+/**
+ * Open a cursor over every record of one export
+ * @param {string} name - Key of EXPORTS
+ * @param {Object} query - Validated filter query
+ * @returns {Promise<Object>} Aggregation cursor
+ */
+const openExportCursor = async (name, query) => {
+  const definition = EXPORTS[name]
+  const match = await definition.match(query)
+  const collection = await getCollection(definition.collection)
+  return collection.aggregate(definition.pipeline(match), {
+    allowDiskUse: true,
+    batchSize: CURSOR_BATCH_SIZE,
+  })
+}
+
+/**
+ * Number of rows an export will hold. Every pipeline keeps one row per
+ * matched record, so this is a count of the match.
+ * @param {string} name - Key of EXPORTS
+ * @param {Object} query - Validated filter query
+ * @returns {Promise<number>} Row count
+ */
+const countExportRows = async (name, query) => {
+  const definition = EXPORTS[name]
+  const match = await definition.match(query)
+  const collection = await getCollection(definition.collection)
+  return collection.countDocuments(match)
+}
+
+module.exports = {
+  EXPORTS,
+  openExportCursor,
+  countExportRows,
+}
@@ -0,0 +1,317 @@
+const { Transform: CsvTransform } = require('json2csv')
+const ExcelJS = require('exceljs')
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs')
+const { Metadata } = require('../models')
+const { getLsTermSelection } = require('./lsTerm')
+
+/**
+ * Streaming file exports. Rows are pulled from a Mongo cursor one at a time and
+ * written straight to the response (or an export job's file); writing pauses
+ * whenever the destination falls behind, so memory stays flat however large
+ * the export is. The filters, dataset version and last sync time are sent as
+ * X-Export-* response headers and, where the format has room for them, kept in
+ * the file: a leading `_meta` line in JSON Lines, a Metadata sheet in XLSX and
+ * key-value metadata in Parquet. CSV files hold only the header and rows, so
+ * spreadsheet tools and CSV parsers read them as is.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+}
+
+const EXPORT_FORMATS = Object.keys(FORMATS)
+
+// Query parameters recorded as the export's filters
+const FILTER_KEYS = [
+  'state',
+  'house',
+  'ls_term',
+  'constituency',
+  'district',
+  'category',
+  'sector',
+  'year',
+  'status',
+  'payment_status',
+  'min_cost',
+  'max_cost',
+  'min_amount',
+  'max_amount',
+  'min_utilization',
+  'max_utilization',
+  'mp_id',
+  'search',
+]
+
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  number: 'DOUBLE',
+  date: 'TIMESTAMP_MILLIS',
+  boolean: 'BOOLEAN',
+}
+
+/**
+ * The filter parameters set in a validated query, as strings
+ * @param {Object} query - Validated request query
+ * @returns {Object} Filters keyed by query parameter
+ */
+const pickExportFilters = query => {
+  const filters = {}
+  FILTER_KEYS.forEach(key => {
+    const value = query[key]
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      filters[key] = String(value)
+    }
+  })
+  return filters
+}
+
+/**
+ * Filters, dataset version and sync time recorded in every export
+ * @param {Object} query - Validated request query
+ * @param {string} dataset - Export name, e.g. 'completed-works'
+ * @returns {Promise<Object>} Export metadata
+ */
+const buildExportMetadata = async (query, dataset) => {
+  const filters = pickExportFilters(query)
+  // Record the term selection actually applied, including the default
+  if (filters.house !== 'Rajya Sabha') filters.ls_term = getLsTermSelection({ query })
+
+  const sync = await Metadata.findOne({ source: 'Official MPLADS Portal API' })
+    .select('datasetVersion lastUpdated')
+    .lean()
+
+  return {
+    dataset,
+    filters,
+    datasetVersion: sync?.datasetVersion || null,
+    lastSynced: sync?.lastUpdated ? new Date(sync.lastUpdated).toISOString() : null,
+    generatedAt: new Date().toISOString(),
+  }
+}
+
+const metadataEntries = metadata => [
+  ['Dataset', metadata.dataset],
+  ['Dataset version', metadata.datasetVersion || 'unknown'],
+  ['Last synced', metadata.lastSynced || 'unknown'],
+  ['Generated at', metadata.generatedAt],
+  [
+    'Filters',
+    Object.entries(metadata.filters)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('; ') || 'none',
+  ],
+]
+
+/**
+ * Response headers carrying an export's metadata, for downloads and job files alike
+ * @param {Object} metadata - From buildExportMetadata()
+ * @returns {Object} Header values keyed by header name
+ */
+const exportHeaders = metadata => {
+  const headers = {
+    'X-Export-Dataset': metadata.dataset,
+    'X-Dataset-Version': metadata.datasetVersion || 'unknown',
+    'X-Export-Generated-At': metadata.generatedAt,
+    'X-Export-Filters': new URLSearchParams(metadata.filters).toString(),
+  }
+  if (metadata.lastSynced) headers['X-Data-Last-Synced'] = metadata.lastSynced
+  return headers
+}
+
+// Date cells display as dates rather than Excel serial numbers
+const XLSX_DATE_FORMAT = 'yyyy-mm-dd'
+
+// Normalize a value to its column type; null when missing or unparseable
+const coerce = (value, type) => {
+  if (value === undefined || value === null || value === '') return null
+  switch (type) {
+    case 'number': {
+      const number = Number(value)
+      return Number.isFinite(number) ? number : null
+    }
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value)
+      return Number.isNaN(date.getTime()) ? null : date
+    }
+    case 'boolean':
+      return Boolean(value)
+    default:
+      return String(value)
+  }
+}
+
+// Resolve once the stream can take more data, or the destination has closed
+const whenWritable = (stream, out) =>
+  new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done)
+      out.off('close', done)
+      resolve()
+    }
+    stream.once('drain', done)
+    out.once('close', done)
+  })
+
+/**
+ * Writers take rows keyed by column key and return a promise from write() that
+ * resolves when more rows may be written. `out` is the HTTP response or, for
+ * export jobs, a file stream.
+ */
+const createWriter = async (format, out, columns, metadata) => {
+  switch (format) {
+    case 'xlsx': {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: out,
+        useStyles: true,
+        useSharedStrings: false,
+      })
+      const sheet = workbook.addWorksheet('Data')
+      sheet.columns = columns.map(column => ({
+        header: column.label,
+        key: column.key,
+        ...(column.type === 'date' ? { style: { numFmt: XLSX_DATE_FORMAT } } : {}),
+      }))
+      return {
+        write: async row => {
+          sheet.addRow(row).commit()
+          if (out.writableNeedDrain) await whenWritable(out, out)
+        },
+        end: async () => {
+          sheet.commit()
+          const info = workbook.addWorksheet('Metadata')
+          metadataEntries(metadata).forEach(entry => info.addRow(entry).commit())
+          info.commit()
+          await workbook.commit()
+        },
+      }
+    }
+
+    case 'parquet': {
+      const schema = new ParquetSchema(
+        Object.fromEntries(
+          columns.map(column => [
+            column.key,
+            { type: PARQUET_TYPES[column.type] || 'UTF8', optional: true },
+          ])
+        )
+      )
+      const writer = await ParquetWriter.openStream(schema, out)
+      metadataEntries(metadata).forEach(([key, value]) => writer.setMetadata(key, value))
+      return {
+        write: async row => {
+          // Optional parquet fields are omitted rather than set to null
+          const record = Object.fromEntries(
+            Object.entries(row).filter(([, value]) => value !== null)
+          )
+          await writer.appendRow(record)
+          if (out.writableNeedDrain) await whenWritable(out, out)
+        },
+        end: () => writer.close(),
+      }
+    }
+
+    case 'jsonl': {
+      out.write(`${JSON.stringify({ _meta: metadata })}\n`)
+      return {
+        write: async row => {
+          if (!out.write(`${JSON.stringify(row)}\n`)) await whenWritable(out, out)
+        },
+        end: () => new Promise(resolve => out.end(resolve)),
+      }
+    }
+
+    default: {
+      const csv = new CsvTransform(
+        { fields: columns.map(column => ({ label: column.label, value: column.key })) },
+        { objectMode: true }
+      )
+      csv.pipe(out)
+      return {
+        write: async row => {
+          if (!csv.write(row)) await whenWritable(csv, out)
+        },
+        end: () =>
+          new Promise((resolve, reject) => {
+            out.once('finish', resolve)
+            csv.once('error', reject)
+            csv.end()
+          }),
+      }
+    }
+  }
+}
+
+/**
+ * Write every document of a cursor to a stream in one format
+ * @param {Object} out - Writable: the HTTP response or a file stream
+ * @param {Object} options
+ * @param {string} options.format - Key of FORMATS
+ * @param {Object} options.cursor - Mongo find/aggregate cursor
+ * @param {Array<Object>} options.columns - { key, label, type } in file order
+ * @param {Object} options.metadata - From buildExportMetadata()
+ * @param {Function} [options.mapRow] - Document -> row keyed by column key
+ * @param {Function} [options.onRow] - Called with the running row count after each row
+ * @returns {Promise<number>} Rows written
+ */
+const writeExport = async (out, { format, cursor, columns, metadata, mapRow, onRow }) => {
+  const writer = await createWriter(format, out, columns, metadata)
+  let rows = 0
+  try {
+    for await (const doc of cursor) {
+      if (out.destroyed) break
+      const source = mapRow ? mapRow(doc) : doc
+      const row = Object.fromEntries(
+        columns.map(column => [column.key, coerce(source[column.key], column.type)])
+      )
+      await writer.write(row)
+      rows += 1
+      if (onRow) await onRow(rows)
+    }
+    if (!out.destroyed) await writer.end()
+  } finally {
+    await cursor.close()
+  }
+  return rows
+}
+
+/**
+ * Stream a cursor to the response in the requested format
+ * @param {Object} req - Express request; `format` picks the file type (default csv)
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.cursor - Mongo find/aggregate cursor
+ * @param {Array<Object>} options.columns - { key, label, type } in file order
+ * @param {string} options.dataset - Export name recorded in the metadata
+ * @param {string} options.filename - File name without extension
+ * @param {Function} [options.mapRow] - Document -> row keyed by column key
+ * @returns {Promise<number>} Rows written
+ */
+const streamExport = async (req, res, { cursor, columns, dataset, filename, mapRow }) => {
+  const format = FORMATS[req.query.format] ? req.query.format : 'csv'
+  const { contentType, extension } = FORMATS[format]
+  const metadata = await buildExportMetadata(req.query, dataset)
+
+  res.setHeader('Content-Type', contentType)
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`)
+  Object.entries(exportHeaders(metadata)).forEach(([name, value]) => res.setHeader(name, value))
+  res.status(200)
+
+  return writeExport(res, { format, cursor, columns, metadata, mapRow })
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_FORMATS,
+  pickExportFilters,
+  buildExportMetadata,
+  exportHeaders,
+  writeExport,
+  streamExport,
+}
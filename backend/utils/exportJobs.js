@@ -0,0 +1,304 @@
+const fs = require('fs')
+const path = require('path')
+const { once } = require('events')
+const ExportJob = require('../models/ExportJob')
+const { secureLogger } = require('./logger')
+const { sendExportReadyEmail } = require('./emailService')
+const { FORMATS, pickExportFilters, buildExportMetadata, writeExport } = require('./exportFormats')
+const { EXPORTS, openExportCursor, countExportRows } = require('./exportDatasets')
+
+/**
+ * Background export jobs for exports too large to download in one request.
+ * A job replays the filters of the synchronous route into a file under
+ * EXPORT_JOB_DIR, reports progress on its record and keeps the file for
+ * EXPORT_JOB_TTL_HOURS. Jobs are claimed atomically, so several API instances
+ * can share the queue, but a file is only downloadable from the instance that
+ * wrote it unless EXPORT_JOB_DIR is shared storage.
+ */
+
+const EXPORT_JOB_DIR = process.env.EXPORT_JOB_DIR || path.join(__dirname, '../exports')
+const JOB_TTL_HOURS = parseInt(process.env.EXPORT_JOB_TTL_HOURS || '24', 10)
+// Estimated rows above which clients should queue a job rather than download directly
+const JOB_ROW_THRESHOLD = parseInt(process.env.EXPORT_JOB_ROW_THRESHOLD || '50000', 10)
+// Queued or running jobs one IP may have at once
+const MAX_ACTIVE_JOBS_PER_IP = 3
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+// Progress is saved at most this often while a job writes
+const PROGRESS_INTERVAL_MS = 2000
+// A running job whose record has not changed for this long belonged to a process that died
+const STALE_JOB_MS = 10 * 60 * 1000
+const FAILURE_MESSAGE = 'The export could not be completed. Please try again.'
+
+let draining = false
+let sweepTimer = null
+
+const jobFilePath = job =>
+  path.join(EXPORT_JOB_DIR, `${job.jobId}.${FORMATS[job.format].extension}`)
+
+/**
+ * Public download URL of a finished job, for emails and status responses
+ * @param {Object} job - ExportJob
+ * @returns {string} Absolute URL
+ */
+const jobDownloadUrl = job => {
+  const apiUrl = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/api`
+  return `${apiUrl.replace(/\/$/, '')}/export/jobs/${job.jobId}/download`
+}
+
+const removeFile = async filePath => {
+  try {
+    await fs.promises.unlink(filePath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+/**
+ * Email a finished job's download link to its confirmed address. The job is
+ * claimed by setting notifiedAt, so the worker finishing the file and the
+ * subscriber confirming the address can both call this and only one email goes out
+ * @param {Object} job - ExportJob, or anything with its _id
+ */
+const notifySubscriber = async job => {
+  const claimed = await ExportJob.findOneAndUpdate(
+    { _id: job._id, status: 'completed', notifyEmail: { $ne: null }, notifiedAt: null },
+    { $set: { notifiedAt: new Date() } },
+    { new: true }
+  ).lean()
+  if (!claimed) return
+
+  try {
+    await sendExportReadyEmail(claimed.notifyEmail, {
+      label: EXPORTS[claimed.dataset].label,
+      format: claimed.format,
+      rows: claimed.progress.rows,
+      downloadUrl: jobDownloadUrl(claimed),
+      expiresAt: claimed.expiresAt,
+    })
+  } catch {
+    // emailService logs the failure; the file is still available from the status endpoint
+    await ExportJob.updateOne({ _id: claimed._id }, { $set: { notifiedAt: null } })
+  }
+}
+
+/**
+ * Write one claimed job's file and record the outcome
+ * @param {Object} job - ExportJob in 'running' state
+ */
+const runJob = async job => {
+  const definition = EXPORTS[job.dataset]
+  const query = { ...job.filters, format: job.format }
+  const filePath = jobFilePath(job)
+  let out = null
+
+  try {
+    await fs.promises.mkdir(EXPORT_JOB_DIR, { recursive: true })
+    const total = await countExportRows(job.dataset, query)
+    await ExportJob.updateOne({ _id: job._id }, { $set: { 'progress.total': total } })
+
+    const metadata = await buildExportMetadata(query, job.dataset)
+    const cursor = await openExportCursor(job.dataset, query)
+    out = fs.createWriteStream(filePath)
+    let streamError = null
+    out.on('error', error => {
+      streamError = error
+    })
+
+    let lastSaved = Date.now()
+    const rows = await writeExport(out, {
+      format: job.format,
+      cursor,
+      columns: definition.columns,
+      metadata,
+      mapRow: definition.mapRow,
+      onRow: async count => {
+        if (Date.now() - lastSaved < PROGRESS_INTERVAL_MS) return
+        lastSaved = Date.now()
+        await ExportJob.updateOne({ _id: job._id }, { $set: { 'progress.rows': count } })
+      },
+    })
+    if (!out.closed) await once(out, 'close')
+    if (streamError) throw streamError
+
+    const { size } = await fs.promises.stat(filePath)
+    const completedAt = new Date()
+    const expiresAt = new Date(completedAt.getTime() + JOB_TTL_HOURS * 60 * 60 * 1000)
+    await ExportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'completed',
+          progress: { rows, total: rows },
+          fileName: `${definition.filename}_${completedAt.toISOString().split('T')[0]}.${FORMATS[job.format].extension}`,
+          fileSize: size,
+          metadata,
+          completedAt,
+          expiresAt,
+        },
+      }
+    )
+
+    secureLogger.info('Export job completed', {
+      category: 'export',
+      type: 'export_job_completed',
+      jobId: job.jobId,
+      dataset: job.dataset,
+      format: job.format,
+      rows,
+      fileSize: size,
+      timestamp: new Date().toISOString(),
+    })
+
+    await notifySubscriber(job)
+  } catch (error) {
+    secureLogger.error('Export job failed', {
+      category: 'export',
+      type: 'export_job_failed',
+      jobId: job.jobId,
+      dataset: job.dataset,
+      format: job.format,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+    // Close the partial file before removing it, or the open stream recreates it
+    if (out && !out.closed) {
+      out.destroy()
+      await once(out, 'close').catch(() => {})
+    }
+    await removeFile(filePath).catch(() => {})
+    const completedAt = new Date()
+    await ExportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'failed',
+          error: FAILURE_MESSAGE,
+          completedAt,
+          expiresAt: new Date(completedAt.getTime() + JOB_TTL_HOURS * 60 * 60 * 1000),
+        },
+      }
+    )
+  }
+}
+
+/**
+ * Run queued jobs one after another until none are left. Only one drain runs
+ * per process, so exports never compete with each other for the database.
+ */
+const drainQueue = async () => {
+  if (draining) return
+  draining = true
+  try {
+    for (;;) {
+      const job = await ExportJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      )
+      if (!job) break
+      await runJob(job)
+    }
+  } catch (error) {
+    secureLogger.error('Export job queue failed', {
+      category: 'export',
+      type: 'export_queue_error',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  } finally {
+    draining = false
+  }
+}
+
+/**
+ * Delete expired files and requeue jobs abandoned by a process that stopped
+ * @returns {Promise<number>} Files removed
+ */
+const sweepExportJobs = async () => {
+  await ExportJob.updateMany(
+    { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } },
+    { $set: { status: 'queued', startedAt: null, 'progress.rows': 0 } }
+  )
+
+  const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } })
+    .select('jobId format')
+    .lean()
+  for (const job of expired) {
+    await removeFile(jobFilePath(job))
+    await ExportJob.updateOne({ _id: job._id }, { $set: { status: 'expired' } })
+  }
+  return expired.length
+}
+
+const sweepAndDrain = async () => {
+  try {
+    await sweepExportJobs()
+  } catch (error) {
+    secureLogger.error('Export job sweep failed', {
+      category: 'export',
+      type: 'export_sweep_error',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+  await drainQueue()
+}
+
+/**
+ * Start the sweeper and pick up jobs queued before this process started
+ */
+const startExportJobs = () => {
+  if (sweepTimer) return
+  sweepTimer = setInterval(sweepAndDrain, SWEEP_INTERVAL_MS)
+  sweepTimer.unref()
+  sweepAndDrain()
+}
+
+const stopExportJobs = () => {
+  clearInterval(sweepTimer)
+  sweepTimer = null
+}
+
+/**
+ * Queue an export and start working through the queue
+ * @param {Object} options
+ * @param {string} options.dataset - Key of EXPORTS
+ * @param {string} options.format - Key of FORMATS
+ * @param {Object} options.query - Validated filter query
+ * @param {string} [options.pendingNotifyEmail] - Address to email when done, once confirmed
+ * @param {string} [options.notifyToken] - Token of the confirmation link sent to that address
+ * @param {string} [options.ipAddress] - Requesting IP, for the per-IP job limit
+ * @returns {Promise<Object>} The queued ExportJob
+ */
+const enqueueExportJob = async ({
+  dataset,
+  format,
+  query,
+  pendingNotifyEmail,
+  notifyToken,
+  ipAddress,
+}) => {
+  const job = await ExportJob.create({
+    dataset,
+    format,
+    filters: pickExportFilters(query),
+    pendingNotifyEmail: pendingNotifyEmail || null,
+    notifyToken: notifyToken || null,
+    ipAddress: ipAddress || null,
+  })
+  setImmediate(drainQueue)
+  return job
+}
+
+module.exports = {
+  JOB_ROW_THRESHOLD,
+  MAX_ACTIVE_JOBS_PER_IP,
+  jobFilePath,
+  jobDownloadUrl,
+  enqueueExportJob,
+  notifySubscriber,
+  sweepExportJobs,
+  startExportJobs,
+  stopExportJobs,
+}
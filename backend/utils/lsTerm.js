@@ -1,41 +1,102 @@
 const DEFAULT_LS_TERM = (process.env.DEFAULT_LS_TERM || '18').toString()
 
+// Selection value meaning "every Lok Sabha term present in the data"
+const ALL_TERMS = 'all'
+
+/**
+ * Normalize a raw ls_term value into a selection string:
+ * - 'all' (or the legacy 'both') selects every term
+ * - a single term ('16') or a comma-separated list ('16,17') selects those terms
+ * Returns null when the value holds no usable term.
+ */
+function parseLsTermSelection(value) {
+  const raw = (value ?? '').toString().trim().toLowerCase()
+  if (raw === ALL_TERMS || raw === 'both') return ALL_TERMS
+
+  const terms = Array.from(
+    new Set(
+      raw
+        .split(',')
+        .map(part => parseInt(part, 10))
+        .filter(n => Number.isInteger(n) && n > 0)
+    )
+  ).sort((a, b) => a - b)
+
+  return terms.length > 0 ? terms.join(',') : null
+}
+
 function getLsTermSelection(req) {
-  const raw = (req.query.ls_term || DEFAULT_LS_TERM).toString().toLowerCase()
-  if (raw === 'both') return 'both'
-  if (raw === '17' || raw === '18') return raw
-  // Accept numeric 17/18 too
-  if (raw.includes('17')) return '17'
   // Fallback to configured default
-  return DEFAULT_LS_TERM
+  return (
+    parseLsTermSelection(req.query.ls_term) || parseLsTermSelection(DEFAULT_LS_TERM) || ALL_TERMS
+  )
+}
+
+// Terms named by a selection, or null when every term is selected
+function getSelectedTerms(selection) {
+  const sel = parseLsTermSelection(selection || DEFAULT_LS_TERM)
+  if (!sel || sel === ALL_TERMS) return null
+  return sel.split(',').map(n => parseInt(n, 10))
+}
+
+// Condition on the lsTerm field matching the selected terms
+function lsTermCondition(selection) {
+  const terms = getSelectedTerms(selection)
+  if (!terms) return { $ne: null }
+  return terms.length === 1 ? terms[0] : { $in: terms }
 }
 
 // Build a filter object for Mongoose find() that restricts to the selected LS terms
 // Applies only to Lok Sabha records. For RS callers, return {}.
 function buildLsTermFindFilter(houseValue, selection) {
   if (houseValue && houseValue !== 'Lok Sabha') return {}
-  const sel = (selection || '18').toString().toLowerCase()
-  if (sel === 'both') {
-    return { house: 'Lok Sabha', lsTerm: { $in: [17, 18] } }
-  }
-  const n = parseInt(sel, 10)
-  return { house: 'Lok Sabha', lsTerm: n }
+  return { house: 'Lok Sabha', lsTerm: lsTermCondition(selection) }
 }
 
 // Build a $or query to mix RS (no lsTerm) plus LS with selection
 function buildMixedHouseOrFilter(selection) {
-  const sel = (selection || '18').toString().toLowerCase()
-  if (sel === 'both') {
-    // Both terms for LS, plus RS unchanged
-    return [{ house: 'Rajya Sabha' }, { house: 'Lok Sabha', lsTerm: { $in: [17, 18] } }]
+  return [{ house: 'Rajya Sabha' }, { house: 'Lok Sabha', lsTerm: lsTermCondition(selection) }]
+}
+
+// Early terms were cut short; from the 13th Lok Sabha (1999) onwards each ran five years
+const IRREGULAR_TERM_YEARS = {
+  10: [1991, 1996],
+  11: [1996, 1998],
+  12: [1998, 1999],
+}
+const FIRST_REGULAR_TERM = 13
+const FIRST_REGULAR_START_YEAR = 1999
+// Recent terms were constituted in June, so periods are counted from 1 June
+const TERM_START_MONTH = 5
+
+/**
+ * Start and end of a Lok Sabha term, to the month
+ * @param {number} term - Lok Sabha term number
+ * @returns {{ term: number, start: Date, end: Date }|null} null for unknown terms
+ */
+function getTermPeriod(term) {
+  const t = parseInt(term, 10)
+  let years = IRREGULAR_TERM_YEARS[t]
+  if (!years && t >= FIRST_REGULAR_TERM) {
+    const startYear = FIRST_REGULAR_START_YEAR + (t - FIRST_REGULAR_TERM) * 5
+    years = [startYear, startYear + 5]
+  }
+  if (!years) return null
+  return {
+    term: t,
+    start: new Date(Date.UTC(years[0], TERM_START_MONTH, 1)),
+    end: new Date(Date.UTC(years[1], TERM_START_MONTH, 1)),
   }
-  const n = parseInt(sel, 10)
-  return [{ house: 'Rajya Sabha' }, { house: 'Lok Sabha', lsTerm: n }]
 }
 
 module.exports = {
   DEFAULT_LS_TERM,
+  ALL_TERMS,
+  parseLsTermSelection,
   getLsTermSelection,
+  getSelectedTerms,
+  lsTermCondition,
   buildLsTermFindFilter,
   buildMixedHouseOrFilter,
+  getTermPeriod,
 }
@@ -0,0 +1,279 @@
+const fs = require('fs')
+const path = require('path')
+const { resolveSchema } = require('../middleware/validation')
+const { responseSchemas, errorResponse, envelope } = require('./responseSchemas')
+const { version } = require('../package.json')
+
+/**
+ * OpenAPI 3 document generated from the route table in routes/index.js and the
+ * Joi schemas routes pass to validate(). Summaries come from the
+ * `// GET /api/... - Summary` comments above each route, and response shapes
+ * from utils/responseSchemas.js.
+ */
+
+const ROUTES_DIR = path.join(__dirname, '../routes')
+const METHODS = ['get', 'post', 'put', 'patch', 'delete']
+const BODY_METHODS = ['post', 'put', 'patch']
+
+/**
+ * Convert a Joi schema (via describe()) to an OpenAPI schema object
+ * @param {Object} description - Output of schema.describe()
+ * @returns {Object} OpenAPI schema
+ */
+const describeToSchema = description => {
+  const flags = description.flags || {}
+  const rules = Object.fromEntries(
+    (description.rules || []).map(rule => [rule.name, rule.args || {}])
+  )
+  let schema = {}
+
+  switch (description.type) {
+    case 'object': {
+      const keys = description.keys || {}
+      schema = { type: 'object', properties: {} }
+      const required = []
+      Object.entries(keys).forEach(([key, child]) => {
+        schema.properties[key] = describeToSchema(child)
+        if (child.flags?.presence === 'required') required.push(key)
+      })
+      if (required.length > 0) schema.required = required
+      // Maps keyed by arbitrary names, e.g. search results grouped by type
+      if (description.patterns?.[0]) {
+        schema.additionalProperties = describeToSchema(description.patterns[0].rule)
+      }
+      break
+    }
+    case 'array':
+      schema = {
+        type: 'array',
+        items: description.items?.[0] ? describeToSchema(description.items[0]) : {},
+      }
+      if (rules.min) schema.minItems = rules.min.limit
+      if (rules.max) schema.maxItems = rules.max.limit
+      break
+    case 'alternatives':
+      schema = { oneOf: description.matches.map(match => describeToSchema(match.schema)) }
+      break
+    case 'number':
+      schema = { type: rules.integer ? 'integer' : 'number' }
+      if (typeof rules.min?.limit === 'number') schema.minimum = rules.min.limit
+      if (typeof rules.max?.limit === 'number') schema.maximum = rules.max.limit
+      break
+    case 'string':
+      schema = { type: 'string' }
+      if (rules.min) schema.minLength = rules.min.limit
+      if (rules.max) schema.maxLength = rules.max.limit
+      if (rules.pattern) schema.pattern = String(rules.pattern.regex).replace(/^\/|\/[a-z]*$/g, '')
+      if (rules.email) schema.format = 'email'
+      break
+    case 'date':
+      schema = { type: 'string', format: 'date-time' }
+      break
+    case 'boolean':
+      schema = { type: 'boolean' }
+      break
+    default:
+      schema = {}
+  }
+
+  const allowed = description.allow || []
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null)
+  }
+  if (allowed.includes(null)) schema.nullable = true
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default
+  }
+  if (flags.description) schema.description = flags.description
+  return schema
+}
+
+const joiToSchema = schema => describeToSchema(schema.describe())
+
+/**
+ * Read `// METHOD /api/path - Summary` comments from the route files
+ * @returns {Map<string, string>} 'GET /api/works/completed' -> summary
+ */
+const readRouteSummaries = () => {
+  const summaries = new Map()
+  const pattern = /^\s*\/\/\s*(GET|POST|PUT|PATCH|DELETE)\s+(\/api\/[^\s?]*)\S*\s+-\s+(.+)$/
+
+  fs.readdirSync(ROUTES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => {
+      fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8')
+        .split('\n')
+        .forEach(line => {
+          const match = line.match(pattern)
+          if (match) {
+            summaries.set(`${match[1]} ${match[2].replace(/\/$/, '')}`, match[3].trim())
+          }
+        })
+    })
+  return summaries
+}
+
+/**
+ * Express path to OpenAPI path: '/:workId(\\d+)/payments' -> '/{workId}/payments'
+ */
+const toOpenApiPath = expressPath =>
+  expressPath.replace(/\/$/, '').replace(/:(\w+)(\([^)]*\))?/g, '{$1}') || '/'
+
+const stackNames = handlers => handlers.map(layer => layer.handle.name)
+
+/**
+ * Walk a mounted router for its routes and the middleware they run
+ * @param {string} mountPath - Mount path under /api
+ * @param {Function} router - Express router
+ * @returns {Array<Object>} { method, path, schemaNames, admin }
+ */
+const collectRoutes = (mountPath, router) => {
+  const routes = []
+  router.stack
+    .filter(layer => layer.route)
+    .forEach(layer => {
+      const handlers = layer.route.stack
+      // A route may run several validate() steps, e.g. filters plus export options
+      const schemaNames = handlers
+        .filter(handler => handler.handle.schemaName)
+        .map(handler => handler.handle.schemaName)
+      const names = stackNames(handlers)
+      Object.keys(layer.route.methods)
+        .filter(method => METHODS.includes(method))
+        .forEach(method => {
+          routes.push({
+            method,
+            path: toOpenApiPath(`${mountPath}${layer.route.path}`),
+            schemaNames,
+            admin: names.includes('requireAdmin'),
+          })
+        })
+    })
+  return routes
+}
+
+const buildOperation = (route, summaries, tag) => {
+  const fullPath = `/api${route.path}`.replace(/\/$/, '')
+  const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(match => match[1])
+  const operationKey = `${route.method.toUpperCase()} ${route.path}`
+  const inputSchema = route.schemaNames
+    .map(resolveSchema)
+    .filter(Boolean)
+    .reduce((merged, schema) => (merged ? merged.concat(schema) : schema), null)
+  const input = inputSchema ? joiToSchema(inputSchema) : null
+
+  const operation = {
+    tags: [tag],
+    summary:
+      summaries.get(`${route.method.toUpperCase()} ${fullPath.replace(/\{(\w+)\}/g, ':$1')}`) ||
+      operationKey,
+    operationId: `${route.method}${route.path.replace(/[{}]/g, '').replace(/[/-](\w)/g, (_, c) => c.toUpperCase())}`,
+    parameters: pathParams.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: input?.properties?.[name] || { type: 'string' },
+    })),
+  }
+  if (route.schemaNames.length > 0) {
+    operation['x-validation-schema'] = route.schemaNames.join(', ')
+  }
+
+  if (input && BODY_METHODS.includes(route.method)) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: input } },
+    }
+  } else if (input) {
+    Object.entries(input.properties)
+      .filter(([name]) => !pathParams.includes(name))
+      .forEach(([name, schema]) => {
+        operation.parameters.push({
+          name,
+          in: 'query',
+          required: (input.required || []).includes(name),
+          schema,
+        })
+      })
+  }
+
+  const documented = responseSchemas[operationKey]
+  operation.responses = {
+    200: {
+      description: 'Successful response',
+      content: {
+        'application/json': {
+          schema: joiToSchema(documented?.schema || envelope),
+        },
+      },
+    },
+    400: { $ref: '#/components/responses/ValidationError' },
+    429: { $ref: '#/components/responses/RateLimited' },
+  }
+  if (pathParams.length > 0) operation.responses[404] = { $ref: '#/components/responses/NotFound' }
+  if (route.admin) {
+    operation.security = [{ bearerAuth: [] }]
+    operation.responses[401] = { $ref: '#/components/responses/Unauthorized' }
+  }
+  return operation
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Array<[string, Function]>} mounts - [mountPath, router] pairs from routes/index.js
+ * @returns {Object} OpenAPI 3.0 document
+ */
+const buildOpenApiDocument = mounts => {
+  const summaries = readRouteSummaries()
+  const paths = {}
+  const tags = new Set()
+
+  mounts.forEach(([mountPath, router]) => {
+    const tag = mountPath.split('/')[1]
+    tags.add(tag)
+    collectRoutes(mountPath, router).forEach(route => {
+      const apiPath = `/api${route.path}`.replace(/\/$/, '')
+      paths[apiPath] = paths[apiPath] || {}
+      // Express may register the same path twice (e.g. numeric and generic workId routes)
+      if (!paths[apiPath][route.method]) {
+        paths[apiPath][route.method] = buildOperation(route, summaries, tag)
+      }
+    })
+  })
+
+  const errorSchema = joiToSchema(errorResponse)
+  const errorContent = { 'application/json': { schema: errorSchema } }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Empowered Indian API',
+      version,
+      description:
+        'Read-only access to MPLADS and MLALADS allocations, works, expenditures and analytics. ' +
+        'Anonymous requests are rate limited per IP; send an API key in X-API-Key for a per-key quota.',
+      license: { name: 'AGPL-3.0' },
+    },
+    servers: [{ url: '/' }],
+    tags: [...tags].map(name => ({ name })),
+    security: [{}, { apiKey: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      responses: {
+        ValidationError: { description: 'Invalid parameters', content: errorContent },
+        NotFound: { description: 'Resource not found', content: errorContent },
+        Unauthorized: { description: 'Missing or invalid credentials', content: errorContent },
+        RateLimited: { description: 'Rate limit or API key quota exceeded', content: errorContent },
+      },
+    },
+  }
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  joiToSchema,
+}
@@ -0,0 +1,197 @@
+const { MP, Summary } = require('../models')
+const { getLsTermSelection, lsTermCondition } = require('./lsTerm')
+const { escapeRegex, isValidObjectId } = require('./validators')
+
+/**
+ * Compiles the validated filter query (state, house, ls_term, constituency,
+ * category, sector, party, alliance, year range, amount range, mp_id, search)
+ * into Mongo match objects.
+ * List, detail, analytics and export endpoints all build their $match through
+ * here, so the same filters always select the same records.
+ */
+
+// Where each filter lives in a collection; null means the filter does not apply.
+// Works and payments carry the party on their own date, summaries the tenure's party.
+const COLLECTION_FIELDS = {
+  works_completed: {
+    amount: 'finalAmount',
+    date: 'completedDate',
+    category: 'workCategory',
+    canonicalCategory: 'canonicalCategory',
+    sector: 'sector',
+    party: 'party',
+    alliance: 'alliance',
+    search: ['workDescription', 'ida'],
+  },
+  works_recommended: {
+    amount: 'recommendedAmount',
+    date: 'recommendationDate',
+    category: 'workCategory',
+    canonicalCategory: 'canonicalCategory',
+    sector: 'sector',
+    party: 'party',
+    alliance: 'alliance',
+    search: ['workDescription', 'ida'],
+  },
+  expenditures: {
+    amount: 'expenditureAmount',
+    date: 'expenditureDate',
+    // Payments only carry the canonical category of the work they pay for
+    category: null,
+    canonicalCategory: 'canonicalCategory',
+    sector: 'sector',
+    party: 'party',
+    alliance: 'alliance',
+    search: ['work', 'vendor', 'ida', 'mpName'],
+  },
+  // MP summaries (type: 'mp_summary')
+  summaries: {
+    amount: 'allocatedAmount',
+    date: null,
+    category: null,
+    canonicalCategory: null,
+    sector: null,
+    party: 'party',
+    alliance: 'alliance',
+    search: ['mpName', 'constituency'],
+  },
+}
+
+// Matches nothing; used when an mp_id names no MP
+const NO_MATCH = { _id: { $exists: false } }
+
+const isSet = value => value !== undefined && value !== null && String(value).trim() !== ''
+
+const exactText = value => new RegExp(`^\\s*${escapeRegex(String(value).trim())}\\s*$`, 'i')
+
+const containsText = value => new RegExp(escapeRegex(String(value).trim()), 'i')
+
+/**
+ * Lok Sabha / Rajya Sabha gate: LS records are limited to the selected terms,
+ * RS records have no term. Without a house both are mixed.
+ * @param {Object} query - Validated request query (house, ls_term)
+ * @returns {Object} Match object
+ */
+const houseGate = query => {
+  const lsTerm = lsTermCondition(getLsTermSelection({ query }))
+  if (query.house === 'Lok Sabha') return { house: 'Lok Sabha', lsTerm }
+  if (query.house === 'Rajya Sabha') return { house: 'Rajya Sabha' }
+  return { $or: [{ house: 'Rajya Sabha' }, { house: 'Lok Sabha', lsTerm }] }
+}
+
+/**
+ * Resolve an mp_id to the fields that identify the MP's records. An MP summary
+ * pins the house and term; the legacy mps collection only pins the house.
+ * @param {string} mpId - Summary or MP ObjectId
+ * @returns {Promise<Object|null>} Match object, or null when no MP has this ID
+ */
+const resolveMpMatch = async mpId => {
+  if (!isValidObjectId(mpId)) return null
+
+  const summary = await Summary.findOne({ _id: mpId, type: 'mp_summary' })
+    .select('mpName house lsTerm')
+    .lean()
+  if (summary) {
+    return { mpName: summary.mpName, house: summary.house, lsTerm: summary.lsTerm ?? null }
+  }
+
+  const mp = await MP.findById(mpId).select('name house').lean()
+  return mp ? { mpName: mp.name, house: mp.house } : null
+}
+
+/**
+ * Year filters as a date range: `year` selects one year, `start_year`/`end_year`
+ * an inclusive span
+ */
+const yearRange = query => {
+  const from = isSet(query.year) ? query.year : query.start_year
+  const to = isSet(query.year) ? query.year : query.end_year
+  const range = {}
+  if (isSet(from)) range.$gte = new Date(Date.UTC(parseInt(from, 10), 0, 1))
+  if (isSet(to)) range.$lt = new Date(Date.UTC(parseInt(to, 10) + 1, 0, 1))
+  return Object.keys(range).length > 0 ? range : null
+}
+
+// Works endpoints call the amount range min_cost/max_cost, payments min_amount/max_amount
+const amountRange = query => {
+  const min = isSet(query.min_cost) ? query.min_cost : query.min_amount
+  const max = isSet(query.max_cost) ? query.max_cost : query.max_amount
+  const range = {}
+  if (isSet(min) && !isNaN(parseFloat(min))) range.$gte = parseFloat(min)
+  if (isSet(max) && !isNaN(parseFloat(max))) range.$lte = parseFloat(max)
+  return Object.keys(range).length > 0 ? range : null
+}
+
+/**
+ * Compile the filter query into a match object for one collection
+ * @param {Object} query - Validated request query
+ * @param {string} collection - Key of COLLECTION_FIELDS
+ * @param {Object} [options]
+ * @param {string[]} [options.omit] - Filters the caller applies itself (e.g. 'year')
+ * @returns {Promise<Object>} Match object for $match or find()
+ */
+const compileMatch = async (query, collection, { omit = [] } = {}) => {
+  const fields = COLLECTION_FIELDS[collection]
+  if (!fields) throw new Error(`No filter fields defined for collection "${collection}"`)
+  const use = name => !omit.includes(name)
+  const clauses = []
+
+  if (collection === 'summaries') clauses.push({ type: 'mp_summary' })
+
+  if (use('mp') && isSet(query.mp_id)) {
+    const mpMatch = await resolveMpMatch(query.mp_id)
+    clauses.push(mpMatch || NO_MATCH)
+  } else if (use('house')) {
+    clauses.push(houseGate(query))
+  }
+
+  // State and constituency match by substring, as the list endpoints always have
+  if (use('state') && isSet(query.state)) clauses.push({ state: containsText(query.state) })
+
+  const constituency = isSet(query.constituency) ? query.constituency : query.district
+  if (use('constituency') && isSet(constituency)) {
+    clauses.push({ constituency: containsText(constituency) })
+  }
+
+  // Raw portal categories match by substring; taxonomy names match exactly
+  if (use('category') && (fields.category || fields.canonicalCategory) && isSet(query.category)) {
+    const categoryClauses = []
+    if (fields.category) categoryClauses.push({ [fields.category]: containsText(query.category) })
+    if (fields.canonicalCategory) {
+      categoryClauses.push({ [fields.canonicalCategory]: exactText(query.category) })
+    }
+    clauses.push(categoryClauses.length === 1 ? categoryClauses[0] : { $or: categoryClauses })
+  }
+
+  if (use('sector') && fields.sector && isSet(query.sector)) {
+    clauses.push({ [fields.sector]: exactText(query.sector) })
+  }
+
+  if (use('party') && fields.party && isSet(query.party)) {
+    clauses.push({ [fields.party]: exactText(query.party) })
+  }
+
+  if (use('alliance') && fields.alliance && isSet(query.alliance)) {
+    clauses.push({ [fields.alliance]: exactText(query.alliance) })
+  }
+
+  const years = use('year') && fields.date ? yearRange(query) : null
+  if (years) clauses.push({ [fields.date]: years })
+
+  const amounts = use('amount') ? amountRange(query) : null
+  if (amounts) clauses.push({ [fields.amount]: amounts })
+
+  if (use('search') && isSet(query.search)) {
+    const pattern = containsText(query.search)
+    clauses.push({ $or: fields.search.map(field => ({ [field]: pattern })) })
+  }
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses }
+}
+
+module.exports = {
+  COLLECTION_FIELDS,
+  houseGate,
+  resolveMpMatch,
+  compileMatch,
+}
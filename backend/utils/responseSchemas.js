@@ -0,0 +1,297 @@
+const Joi = require('joi')
+
+/**
+ * Documented response shapes, keyed by 'METHOD /path' relative to /api.
+ * They feed the OpenAPI document and `npm run check:contract`, which calls the
+ * running API (with `query` when a route needs parameters) and validates the
+ * responses against them. Objects allow extra keys so adding a field is never a
+ * contract break; removing or retyping one is.
+ */
+
+const object = keys => Joi.object(keys).unknown(true)
+const amount = Joi.number().allow(null)
+const listOf = keys => Joi.array().items(object(keys))
+
+const envelope = object({
+  success: Joi.boolean().valid(true).required(),
+  data: Joi.any(),
+})
+
+const errorResponse = object({
+  success: Joi.boolean().valid(false),
+  error: Joi.string(),
+  message: Joi.string(),
+})
+
+const respond = data => envelope.keys({ data: data.required() })
+
+const pageInfo = object({
+  currentPage: Joi.number().integer().required(),
+  totalPages: Joi.number().integer().required(),
+  totalCount: Joi.number().integer().required(),
+  hasNext: Joi.boolean(),
+  hasPrev: Joi.boolean(),
+})
+
+const mpSummary = {
+  id: Joi.string().required(),
+  mpName: Joi.string().required(),
+  house: Joi.string().valid('Lok Sabha', 'Rajya Sabha').required(),
+  state: Joi.string().required(),
+  constituency: Joi.string().allow('', null),
+  allocatedAmount: amount.required(),
+  totalExpenditure: amount.required(),
+  utilizationPercentage: amount.required(),
+  completedWorksCount: Joi.number().required(),
+  recommendedWorksCount: Joi.number().required(),
+}
+
+const work = {
+  _id: Joi.string(),
+  workId: Joi.alternatives().try(Joi.string(), Joi.number()),
+  mpName: Joi.string(),
+  house: Joi.string(),
+  state: Joi.string(),
+}
+
+const flag = {
+  _id: Joi.string().required(),
+  rule: Joi.string().required(),
+  title: Joi.string().required(),
+  entityType: Joi.string().valid('work', 'mp').required(),
+  severity: Joi.string().valid('high', 'medium', 'low').required(),
+  reason: Joi.string().required(),
+}
+
+const responseSchemas = {
+  'GET /summary/overview': {
+    schema: respond(
+      object({
+        totalAllocated: amount.required(),
+        totalExpenditure: amount.required(),
+        utilizationPercentage: amount.required(),
+        totalMPs: Joi.number().integer().required(),
+        totalWorksCompleted: Joi.number().integer().required(),
+        totalWorksRecommended: Joi.number().integer().required(),
+        completionRate: amount.required(),
+      })
+    ),
+  },
+  'GET /summary/states': {
+    schema: respond(
+      listOf({
+        state: Joi.string().required(),
+        totalAllocated: amount.required(),
+        totalExpenditure: amount.required(),
+        utilizationPercentage: amount.required(),
+        mpCount: Joi.number().integer().required(),
+      })
+    ),
+  },
+  'GET /summary/mps': {
+    schema: respond(listOf(mpSummary)).keys({
+      pagination: object({
+        currentPage: Joi.number().integer().required(),
+        totalPages: Joi.number().integer().required(),
+        totalCount: Joi.number().integer().required(),
+        limit: Joi.number().integer().required(),
+      }).required(),
+    }),
+  },
+  'GET /summary/constituencies': {
+    query: { state: 'Karnataka' },
+    schema: respond(
+      listOf({
+        id: Joi.string().required(),
+        name: Joi.string().allow('', null).required(),
+        mpName: Joi.string().required(),
+        house: Joi.string().required(),
+        totalAllocated: amount.required(),
+        totalExpenditure: amount.required(),
+      })
+    ),
+  },
+  'GET /works/completed': {
+    schema: respond(
+      object({
+        completedWorks: listOf(work).required(),
+        pagination: pageInfo.required(),
+        summary: object({}).required(),
+      })
+    ),
+  },
+  'GET /works/recommended': {
+    schema: respond(
+      object({
+        recommendedWorks: listOf(work).required(),
+        pagination: pageInfo.required(),
+      })
+    ),
+  },
+  'GET /works/nearby': {
+    query: { lat: 28.61, lng: 77.21 },
+    schema: respond(
+      object({
+        center: object({ lat: Joi.number().required(), lng: Joi.number().required() }).required(),
+        radiusKm: Joi.number().required(),
+        works: listOf({
+          ...work,
+          type: Joi.string().valid('completed', 'recommended').required(),
+          distanceKm: Joi.number().required(),
+          coordinates: object({
+            lat: Joi.number().required(),
+            lng: Joi.number().required(),
+          }).required(),
+        }).required(),
+      })
+    ),
+  },
+  'GET /expenditures': {
+    schema: respond(
+      object({
+        expenditures: listOf({ _id: Joi.string(), expenditureAmount: amount }).required(),
+        pagination: pageInfo.required(),
+        summary: object({}).required(),
+      })
+    ),
+  },
+  'GET /analytics/trends': {
+    schema: respond(
+      object({
+        utilization: object({
+          yearly: Joi.array().required(),
+          monthly: Joi.array().required(),
+          categories: Joi.array().required(),
+        }).required(),
+      })
+    ),
+  },
+  'GET /analytics/top-performers': {
+    schema: respond(object({ topPerformers: Joi.array().required() })),
+  },
+  'GET /analytics/velocity': {
+    schema: respond(
+      object({
+        allocation: amount.required(),
+        spent: amount.required(),
+        monthsSinceLastPayment: Joi.number().integer().allow(null).required(),
+        runRate: object({ monthly: amount.required() }).required(),
+        projection: object({
+          spendAtTermEnd: amount.required(),
+          unspentAtTermEnd: amount.required(),
+          series: listOf({ month: Joi.string().required(), cumulative: amount.required() }),
+        })
+          .allow(null)
+          .required(),
+        monthly: listOf({
+          month: Joi.string().required(),
+          spent: amount.required(),
+          cumulative: amount.required(),
+        }).required(),
+      })
+    ),
+  },
+  'GET /analytics/parties/coverage': {
+    schema: respond(
+      object({
+        affiliated: Joi.number().integer().required(),
+        total: Joi.number().integer().required(),
+        share: amount.required(),
+        available: Joi.boolean().required(),
+      })
+    ),
+  },
+  'GET /analytics/flags': {
+    schema: respond(
+      object({
+        flags: listOf(flag).required(),
+        summary: object({
+          total: Joi.number().integer().required(),
+          byRule: Joi.array().required(),
+          bySeverity: object({
+            high: Joi.number().integer().required(),
+            medium: Joi.number().integer().required(),
+            low: Joi.number().integer().required(),
+          }).required(),
+        }).required(),
+        pagination: object({}).required(),
+      })
+    ),
+  },
+  'GET /mplads/terms': {
+    schema: respond(
+      listOf({
+        lsTerm: Joi.number().integer().allow(null).required(),
+        mps: Joi.number().integer().required(),
+        worksCompleted: Joi.number().integer().required(),
+        worksRecommended: Joi.number().integer().required(),
+      })
+    ),
+  },
+  'GET /metadata/dumps': {
+    schema: respond(
+      object({
+        latest: Joi.string().allow(null).required(),
+        dumps: listOf({
+          version: Joi.string().required(),
+          syncedAt: Joi.date().required(),
+          totalRecords: Joi.number().integer().required(),
+          manifestUrl: Joi.string().required(),
+          files: listOf({
+            collection: Joi.string().required(),
+            records: Joi.number().integer().required(),
+            sha256: Joi.string().length(64).required(),
+            url: Joi.string().required(),
+          }).required(),
+        }).required(),
+      })
+    ),
+  },
+  'GET /search': {
+    query: { q: 'road' },
+    schema: respond(
+      object({
+        query: Joi.string().required(),
+        // One entry per result type (mp, constituency, work, vendor)
+        groups: Joi.object()
+          .pattern(
+            Joi.string(),
+            object({
+              total: Joi.number().integer().required(),
+              items: Joi.array().required(),
+            })
+          )
+          .required(),
+      })
+    ),
+  },
+  'GET /export/completed-works/estimate': {
+    schema: respond(
+      object({
+        dataset: Joi.string().required(),
+        rows: Joi.number().integer().required(),
+        jobThreshold: Joi.number().integer().required(),
+        useJob: Joi.boolean().required(),
+      })
+    ),
+  },
+  'GET /vendors/top': {
+    schema: respond(
+      object({
+        groupBy: Joi.string().valid('vendor', 'ida').required(),
+        vendors: listOf({
+          name: Joi.string().required(),
+          totalPaid: amount.required(),
+          payments: Joi.number().integer().required(),
+        }).required(),
+        pagination: pageInfo.required(),
+      })
+    ),
+  },
+}
+
+module.exports = {
+  responseSchemas,
+  envelope,
+  errorResponse,
+}
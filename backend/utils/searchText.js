@@ -0,0 +1,80 @@
+/**
+ * Text normalization shared by the backend search endpoint and the search index
+ * builder (upload-scripts/src/search-text.js holds the same rules; keep them in step).
+ *
+ * Names are folded to a phonetic key so common transliteration variants of the
+ * same Indian name land on one key: "Raahul"/"Rahul", "Bhupendra"/"Bupendra",
+ * "Shashi"/"Sasi", "Vijay"/"Wijay".
+ */
+
+// Filler words that would match half the work descriptions
+const STOPWORDS = new Set(['of', 'the', 'and', 'at', 'in', 'to', 'for', 'on', 'by', 'a', 'an'])
+
+// Ordered rewrites; digraphs first so "bh" folds before "h" rules see it
+const PHONETIC_RULES = [
+  [/ph/g, 'f'],
+  [/([bdgjkt])h/g, '$1'],
+  [/sh/g, 's'],
+  [/ch/g, 'c'],
+  [/ck/g, 'k'],
+  [/q/g, 'k'],
+  [/x/g, 'ks'],
+  [/z/g, 'j'],
+  [/w/g, 'v'],
+  [/ee|ii/g, 'i'],
+  [/oo|uu/g, 'u'],
+  [/ou/g, 'u'],
+  [/au/g, 'o'],
+  [/y$/g, 'i'],
+  [/(.)\1+/g, '$1'],
+]
+
+/**
+ * Lowercase, strip diacritics and punctuation, collapse whitespace
+ */
+function normalizeText(value) {
+  return (value ?? '')
+    .toString()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Split text into searchable words (stopwords and single letters dropped)
+ */
+function tokenize(value) {
+  return normalizeText(value)
+    .split(' ')
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+}
+
+/**
+ * Fold a word to its phonetic key; numbers are kept as-is
+ */
+function phoneticKey(token) {
+  if (/^\d+$/.test(token)) return token
+  let key = token
+  for (const [pattern, replacement] of PHONETIC_RULES) {
+    key = key.replace(pattern, replacement)
+  }
+  // A trailing "h" is usually silent in romanized names (Singh/Sing, Shah/Sha)
+  if (key.length > 3 && key.endsWith('h')) key = key.slice(0, -1)
+  return key
+}
+
+/**
+ * Unique phonetic keys for a piece of text
+ */
+function searchKeys(value) {
+  return Array.from(new Set(tokenize(value).map(phoneticKey)))
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  phoneticKey,
+  searchKeys,
+}
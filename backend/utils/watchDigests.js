@@ -0,0 +1,270 @@
+const Subscriber = require('../models/Subscriber')
+const WatchDigest = require('../models/WatchDigest')
+const { RecordHistory } = require('../models')
+const { secureLogger } = require('./logger')
+const { sendWatchDigestEmail } = require('./emailService')
+
+/**
+ * Follow digests. The uploader queues one WatchDigest per sync that added works
+ * or payments; this worker claims it, finds each verified subscriber's matches
+ * among that sync's record_history additions and emails them one digest.
+ * Digests and subscribers are both claimed atomically, so several API instances
+ * can share the queue without mailing anyone twice.
+ */
+
+// History collection → digest section
+const DIGEST_KINDS = {
+  works_recommended: 'recommendations',
+  works_completed: 'completions',
+  expenditures: 'payments',
+}
+
+// Items listed per section; the email gives the total and points to the dashboard for the rest
+const ITEMS_PER_KIND = 20
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000
+// Progress is saved every this many subscribers, which keeps a live digest from looking stale
+const PROGRESS_EVERY = 50
+// A digest still 'sending' after this long without progress belonged to a process that died
+const STALE_DIGEST_MS = 15 * 60 * 1000
+
+let draining = false
+let sweepTimer = null
+
+// History fields matched by each follow type
+const FOLLOW_FIELDS = {
+  mp: 'mpId',
+  constituency: 'constituencyId',
+  state: 'state',
+  work: 'workId',
+}
+
+/**
+ * $or clauses selecting the history entries a subscriber's follows cover
+ * @param {Array} follows - Subscriber follows ({ type, id })
+ * @returns {Array} One clause per followed type
+ */
+const followClauses = follows =>
+  Object.entries(FOLLOW_FIELDS)
+    .map(([type, field]) => {
+      const ids = follows.filter(follow => follow.type === type).map(follow => follow.id)
+      const values = type === 'work' ? ids.map(Number).filter(Number.isFinite) : ids
+      return values.length > 0 ? { [field]: { $in: values } } : null
+    })
+    .filter(Boolean)
+
+const isCoveredBy = (follow, entry) => String(entry[FOLLOW_FIELDS[follow.type]]) === follow.id
+
+// Line of the digest for one added record, from the tracked fields in its snapshot
+const toItem = entry => {
+  const snapshot = entry.snapshot || {}
+  const byKind = {
+    works_recommended: { amount: snapshot.recommendedAmount, date: snapshot.recommendationDate },
+    works_completed: { amount: snapshot.finalAmount, date: snapshot.completedDate },
+    expenditures: { amount: snapshot.expenditureAmount, date: snapshot.expenditureDate },
+  }[entry.collection]
+  return {
+    workId: entry.workId,
+    description: snapshot.workDescription || snapshot.work || null,
+    mpName: entry.mpName,
+    constituency: entry.constituency,
+    state: entry.state,
+    vendor: entry.collection === 'expenditures' ? snapshot.vendor || null : null,
+    ...byKind,
+  }
+}
+
+/**
+ * A subscriber's share of one sync's additions
+ * @returns {Promise<Object|null>} { follows, changes, totals }, or null when nothing they follow changed
+ */
+const buildSubscriberDigest = async (subscriber, digest) => {
+  const clauses = followClauses(subscriber.follows)
+  if (clauses.length === 0) return null
+
+  const changes = {}
+  const totals = {}
+  const matchedFollows = new Set()
+  await Promise.all(
+    Object.entries(DIGEST_KINDS).map(async ([collection, kind]) => {
+      const match = { syncedAt: digest.syncedAt, changeType: 'added', collection, $or: clauses }
+      const [entries, total] = await Promise.all([
+        RecordHistory.find(match).sort({ _id: 1 }).limit(ITEMS_PER_KIND).lean(),
+        RecordHistory.countDocuments(match),
+      ])
+      changes[kind] = entries.map(toItem)
+      totals[kind] = total
+      entries.forEach(entry => {
+        subscriber.follows.forEach(follow => {
+          if (isCoveredBy(follow, entry)) matchedFollows.add(follow)
+        })
+      })
+    })
+  )
+
+  if (Object.values(totals).every(total => total === 0)) return null
+  // Items past the listed ones can match other follows; name every follow then
+  const truncated = Object.entries(totals).some(([kind, total]) => total > changes[kind].length)
+  return {
+    follows: truncated ? subscriber.follows : [...matchedFollows],
+    changes,
+    totals,
+    syncedAt: digest.syncedAt,
+  }
+}
+
+/**
+ * Mail one claimed digest to every subscriber whose follows it touches
+ * @param {Object} digest - WatchDigest in 'sending' state
+ */
+const runDigest = async digest => {
+  let recipients = digest.recipients || 0
+  let failed = 0
+  let processed = 0
+
+  try {
+    const cursor = Subscriber.find({
+      isActive: true,
+      isVerified: true,
+      'follows.0': { $exists: true },
+      $or: [{ lastDigestSyncedAt: null }, { lastDigestSyncedAt: { $lt: digest.syncedAt } }],
+    })
+      .select('email unsubscribeToken follows lastDigestSyncedAt')
+      .lean()
+      .cursor()
+
+    for await (const subscriber of cursor) {
+      // Claim the subscriber first; another instance or a retried run may reach them too
+      const claim = await Subscriber.updateOne(
+        { _id: subscriber._id, lastDigestSyncedAt: subscriber.lastDigestSyncedAt ?? null },
+        { $set: { lastDigestSyncedAt: digest.syncedAt } }
+      )
+      if (claim.modifiedCount === 0) continue
+
+      try {
+        const content = await buildSubscriberDigest(subscriber, digest)
+        if (content) {
+          await sendWatchDigestEmail(subscriber.email, subscriber.unsubscribeToken, content)
+          recipients++
+        }
+      } catch {
+        // emailService logs send failures; the rest of the list still gets their digest
+        failed++
+      }
+
+      processed++
+      if (processed % PROGRESS_EVERY === 0) {
+        await WatchDigest.updateOne({ _id: digest._id }, { $set: { recipients } })
+      }
+    }
+
+    await WatchDigest.updateOne(
+      { _id: digest._id },
+      {
+        $set: {
+          status: 'sent',
+          recipients,
+          error: failed > 0 ? `${failed} digest email(s) could not be sent` : null,
+          completedAt: new Date(),
+        },
+      }
+    )
+    secureLogger.info('Follow digest sent', {
+      category: 'watch_digest',
+      type: 'watch_digest_sent',
+      syncedAt: digest.syncedAt,
+      recipients,
+      failed,
+      timestamp: new Date().toISOString(),
+    })
+  } catch (error) {
+    secureLogger.error('Follow digest failed', {
+      category: 'watch_digest',
+      type: 'watch_digest_failed',
+      syncedAt: digest.syncedAt,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+    await WatchDigest.updateOne(
+      { _id: digest._id },
+      { $set: { status: 'failed', recipients, error: error.message, completedAt: new Date() } }
+    )
+  }
+}
+
+/**
+ * Send queued digests oldest first until none are left. Only one drain runs per process.
+ */
+const drainDigests = async () => {
+  if (draining) return
+  draining = true
+  try {
+    for (;;) {
+      const digest = await WatchDigest.findOneAndUpdate(
+        { status: 'pending' },
+        { $set: { status: 'sending', startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      )
+      if (!digest) break
+      await runDigest(digest)
+    }
+  } catch (error) {
+    secureLogger.error('Follow digest queue failed', {
+      category: 'watch_digest',
+      type: 'watch_digest_queue_error',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  } finally {
+    draining = false
+  }
+}
+
+/**
+ * Requeue digests abandoned by a process that stopped; subscribers it already
+ * reached are skipped on the retry
+ */
+const sweepWatchDigests = async () => {
+  const { modifiedCount } = await WatchDigest.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_DIGEST_MS) } },
+    { $set: { status: 'pending', startedAt: null } }
+  )
+  return modifiedCount
+}
+
+const sweepAndDrain = async () => {
+  try {
+    await sweepWatchDigests()
+  } catch (error) {
+    secureLogger.error('Follow digest sweep failed', {
+      category: 'watch_digest',
+      type: 'watch_digest_sweep_error',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    })
+  }
+  await drainDigests()
+}
+
+/**
+ * Start polling for digests queued by the uploader
+ */
+const startWatchDigests = () => {
+  if (sweepTimer) return
+  sweepTimer = setInterval(sweepAndDrain, SWEEP_INTERVAL_MS)
+  sweepTimer.unref()
+  sweepAndDrain()
+}
+
+const stopWatchDigests = () => {
+  clearInterval(sweepTimer)
+  sweepTimer = null
+}
+
+module.exports = {
+  followClauses,
+  buildSubscriberDigest,
+  sweepWatchDigests,
+  startWatchDigests,
+  stopWatchDigests,
+}
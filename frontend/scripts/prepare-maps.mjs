@@ -0,0 +1,150 @@
+/*
+  Build the bundled boundary files used by the choropleth maps.
+  Usage:
+    npm run maps:prepare -- --states <states.geojson> --constituencies <pcs.geojson>
+
+  The bundled states come from the geojson-india npm package (--state-field name);
+  constituencies from the DataMeet India parliamentary constituency boundaries
+  (https://github.com/datameet/maps), converted to GeoJSON. Other
+  sources work if their name fields are passed with --state-field, --pc-field
+  and --pc-state-field. Output goes to src/assets/maps/, with coordinates
+  rounded to about 100 m and names matched to the ones the API returns.
+*/
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const OUT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/assets/maps')
+// Decimal places kept per coordinate; 3 is roughly 100 m
+const PRECISION = 3
+
+// Source spellings that differ from the state names in the MPLADS data
+const STATE_ALIASES = {
+  'andaman & nicobar': 'Andaman and Nicobar Islands',
+  'andaman & nicobar island': 'Andaman and Nicobar Islands',
+  'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+  'arunanchal pradesh': 'Arunachal Pradesh',
+  'dadara & nagar havelli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'dadra & nagar haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'dadra and nagar haveli': 'Dadra and Nagar Haveli and Daman and Diu',
+  'daman & diu': 'Dadra and Nagar Haveli and Daman and Diu',
+  'daman and diu': 'Dadra and Nagar Haveli and Daman and Diu',
+  'jammu & kashmir': 'Jammu and Kashmir',
+  'nct of delhi': 'Delhi',
+  orissa: 'Odisha',
+  pondicherry: 'Puducherry',
+  uttaranchal: 'Uttarakhand',
+}
+
+const args = process.argv.slice(2).reduce((acc, arg, index, all) => {
+  if (arg.startsWith('--')) acc[arg.slice(2)] = all[index + 1]
+  return acc
+}, {})
+
+const titleCase = value =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s(-])([a-z])/g, (match, lead, letter) => `${lead}${letter.toUpperCase()}`)
+    .replace(/\bAnd\b/g, 'and')
+    .replace(/\s+/g, ' ')
+
+const stateName = value => {
+  const key = String(value || '')
+    .trim()
+    .toLowerCase()
+  return STATE_ALIASES[key] || titleCase(value).replace(/ & /g, ' and ')
+}
+
+const roundRing = ring => {
+  const factor = 10 ** PRECISION
+  const points = []
+  for (const [lng, lat] of ring) {
+    const point = [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor]
+    const last = points[points.length - 1]
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) points.push(point)
+  }
+  // A closed ring needs at least four points; smaller ones vanish at this precision
+  return points.length >= 4 ? points : null
+}
+
+const simplifyGeometry = geometry => {
+  if (!geometry) return null
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+  const kept = polygons
+    .map(polygon => polygon.map(roundRing).filter(Boolean))
+    .filter(polygon => polygon.length > 0)
+  if (kept.length === 0) return null
+  return kept.length === 1
+    ? { type: 'Polygon', coordinates: kept[0] }
+    : { type: 'MultiPolygon', coordinates: kept }
+}
+
+const polygonsOf = geometry =>
+  geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+
+// Regions that map to one name (Dadra and Nagar Haveli, Daman and Diu) become one feature
+const mergeByName = features => {
+  const byKey = new Map()
+  for (const feature of features) {
+    const key = `${feature.properties.state || ''}|${feature.properties.name}`
+    const existing = byKey.get(key)
+    if (!existing) {
+      byKey.set(key, feature)
+      continue
+    }
+    existing.geometry = {
+      type: 'MultiPolygon',
+      coordinates: [...polygonsOf(existing.geometry), ...polygonsOf(feature.geometry)],
+    }
+  }
+  return Array.from(byKey.values())
+}
+
+const convert = (file, toProperties) => {
+  const source = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const features = source.features
+    .map(feature => ({
+      type: 'Feature',
+      properties: toProperties(feature.properties || {}),
+      geometry: simplifyGeometry(feature.geometry),
+    }))
+    .filter(feature => feature.geometry && feature.properties.name)
+  return { type: 'FeatureCollection', features: mergeByName(features) }
+}
+
+const write = (name, collection) => {
+  fs.mkdirSync(OUT_DIR, { recursive: true })
+  const outFile = path.join(OUT_DIR, `${name}.json`)
+  fs.writeFileSync(outFile, JSON.stringify(collection))
+  const size = (fs.statSync(outFile).size / 1024 / 1024).toFixed(1)
+  console.log(
+    `✓ ${collection.features.length} regions → ${path.relative(process.cwd(), outFile)} (${size} MB)`
+  )
+}
+
+if (!args.states && !args.constituencies) {
+  console.error('Pass --states and/or --constituencies with the source GeoJSON files')
+  process.exit(1)
+}
+
+if (args.states) {
+  const field = args['state-field'] || 'ST_NM'
+  write(
+    'india-states',
+    convert(args.states, properties => ({ name: stateName(properties[field]) }))
+  )
+}
+
+if (args.constituencies) {
+  const field = args['pc-field'] || 'pc_name'
+  const stateField = args['pc-state-field'] || 'st_name'
+  write(
+    'india-pcs',
+    convert(args.constituencies, properties => ({
+      name: titleCase(properties[field]),
+      state: stateName(properties[stateField]),
+    }))
+  )
+}
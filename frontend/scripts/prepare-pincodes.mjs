@@ -0,0 +1,136 @@
+/*
+  Build the bundled PIN code table used by "Projects near me".
+  Usage:
+    npm run pincodes:prepare -- --source <pincode-directory.csv | pincode.js>
+
+  The bundled table comes from pincode.js in the pincode-lat-long npm package,
+  which maps each PIN to { lat, long }; any .js or .json file of that shape
+  works. The source can also be India Post's All India Pincode Directory CSV
+  from data.gov.in, which lists each post office with its pincode, latitude and
+  longitude; other CSVs work if their column names are passed with --pin-field,
+  --lat-field and --lng-field. Post offices sharing a PIN are averaged to one
+  point, rounded to about 100 m, and written to src/assets/pincodes/ in one
+  file per two-digit prefix so a lookup downloads only a small slice.
+*/
+
+import fs from 'node:fs'
+import { createRequire } from 'node:module'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const OUT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/assets/pincodes')
+// Decimal places kept per coordinate; 3 is roughly 100 m
+const PRECISION = 3
+// Points outside this box are data entry errors (swapped or missing coordinates)
+const INDIA_BOUNDS = { minLat: 6, maxLat: 38, minLng: 68, maxLng: 98 }
+
+const args = process.argv.slice(2).reduce((acc, arg, index, all) => {
+  if (arg.startsWith('--')) acc[arg.slice(2)] = all[index + 1]
+  return acc
+}, {})
+
+// Split one CSV line, honouring double-quoted fields
+const parseLine = line => {
+  const fields = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+  return fields.map(value => value.trim())
+}
+
+const inIndia = (lat, lng) =>
+  lat >= INDIA_BOUNDS.minLat &&
+  lat <= INDIA_BOUNDS.maxLat &&
+  lng >= INDIA_BOUNDS.minLng &&
+  lng <= INDIA_BOUNDS.maxLng
+
+if (!args.source) {
+  console.error('Pass --source with the pincode directory CSV or a PIN table module')
+  process.exit(1)
+}
+
+// [pin, lat, lng] rows from the directory CSV
+const readCsv = file => {
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/)
+  const columns = parseLine(header).map(name => name.toLowerCase())
+  const column = name => {
+    const index = columns.indexOf(name.toLowerCase())
+    if (index === -1) {
+      console.error(`Column "${name}" not found; columns are: ${columns.join(', ')}`)
+      process.exit(1)
+    }
+    return index
+  }
+  const pinColumn = column(args['pin-field'] || 'pincode')
+  const latColumn = column(args['lat-field'] || 'latitude')
+  const lngColumn = column(args['lng-field'] || 'longitude')
+  return lines
+    .filter(line => line.trim())
+    .map(parseLine)
+    .map(fields => [fields[pinColumn], fields[latColumn], fields[lngColumn]])
+}
+
+// [pin, lat, lng] rows from a module or JSON file exporting { "110001": { lat, long } }
+const readTable = file => {
+  const table = createRequire(import.meta.url)(path.resolve(file))
+  return Object.entries(table).map(([pin, point]) => [
+    pin,
+    point.lat ?? point.latitude,
+    point.long ?? point.lng ?? point.longitude,
+  ])
+}
+
+const rows = /\.(c?js|json)$/.test(args.source) ? readTable(args.source) : readCsv(args.source)
+
+// Running sums per PIN, to average the post offices that share it
+const sums = new Map()
+let skipped = 0
+for (const [pin, latValue, lngValue] of rows) {
+  const lat = parseFloat(latValue)
+  const lng = parseFloat(lngValue)
+  if (!/^[1-9]\d{5}$/.test(String(pin)) || !inIndia(lat, lng)) {
+    skipped++
+    continue
+  }
+  const sum = sums.get(pin) || { lat: 0, lng: 0, count: 0 }
+  sums.set(pin, { lat: sum.lat + lat, lng: sum.lng + lng, count: sum.count + 1 })
+}
+
+const factor = 10 ** PRECISION
+const shards = new Map()
+for (const [pin, { lat, lng, count }] of [...sums].sort(([a], [b]) => a.localeCompare(b))) {
+  const prefix = pin.slice(0, 2)
+  if (!shards.has(prefix)) shards.set(prefix, {})
+  shards.get(prefix)[pin] = [
+    Math.round((lat / count) * factor) / factor,
+    Math.round((lng / count) * factor) / factor,
+  ]
+}
+
+fs.mkdirSync(OUT_DIR, { recursive: true })
+for (const [prefix, table] of shards) {
+  fs.writeFileSync(path.join(OUT_DIR, `${prefix}.json`), JSON.stringify(table))
+}
+console.log(
+  `✓ ${sums.size} PIN codes in ${shards.size} files → ${path.relative(process.cwd(), OUT_DIR)} (${skipped} rows skipped)`
+)
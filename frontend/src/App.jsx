@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import { Toaster } from 'react-hot-toast'
 import { FilterProvider } from './contexts/FilterContext'
 import { AuthProvider } from './contexts/AuthContext'
+import { SchemeProvider } from './contexts/SchemeContext'
 import ErrorBoundary from './components/common/ErrorBoundary'
 import ProtectedRoute from './components/common/ProtectedRoute'
 import Home from './components/Home'
@@ -9,6 +10,9 @@ import PrivacyPolicy from './components/PrivacyPolicy'
 import TermsOfService from './components/TermsOfService'
 import FAQ from './components/FAQ'
 import AboutUs from './components/AboutUs'
+import ApiAccess from './components/ApiAccess'
+import ApiDocs from './components/ApiDocs'
+import DataDumps from './components/DataDumps'
 import Layout from './components/MPLADS/components/Layout/Layout'
 import Dashboard from './components/MPLADS/pages/Dashboard'
 import TrackArea from './components/MPLADS/pages/TrackArea'
@@ -19,6 +23,9 @@ import StateList from './components/MPLADS/pages/StateList'
 import StateDetail from './components/MPLADS/pages/StateDetail'
 import MPList from './components/MPLADS/pages/MPList'
 import MPDetail from './components/MPLADS/pages/MPDetail'
+import Vendors from './components/MPLADS/pages/Vendors'
+import Parties from './components/MPLADS/pages/Parties'
+import VendorDetail from './components/MPLADS/pages/VendorDetail'
 import Admin from './components/MPLADS/pages/Admin'
 import Login from './components/MPLADS/pages/Login'
 import EmailVerification from './components/EmailVerification'
@@ -48,6 +55,9 @@ function App() {
               <Route path="/terms-of-service" element={<TermsOfService />} />
               <Route path="/faq" element={<FAQ />} />
               <Route path="/about-us" element={<AboutUs />} />
+              <Route path="/api-access" element={<ApiAccess />} />
+              <Route path="/api-docs" element={<ApiDocs />} />
+              <Route path="/data-dumps" element={<DataDumps />} />
               <Route path="/verify-email" element={<EmailVerification />} />
               <Route path="/unsubscribe/:token" element={<UnsubscribeSuccess />} />
               <Route path="/unsubscribe-success" element={<UnsubscribeSuccess />} />
@@ -72,6 +82,9 @@ function App() {
                 <Route path="states/:stateId" element={<StateDetail />} />
                 <Route path="mps" element={<MPList />} />
                 <Route path="mps/:mpId" element={<MPDetail />} />
+                <Route path="vendors" element={<Vendors />} />
+                <Route path="vendors/:vendorName" element={<VendorDetail />} />
+                <Route path="parties" element={<Parties />} />
                 <Route
                   path="admin"
                   element={
@@ -82,6 +95,23 @@ function App() {
                 />
               </Route>
 
+              {/* MLALADS Routes (state schemes reuse the MPLADS pages) */}
+              <Route
+                path="/mlalads"
+                element={
+                  <FilterProvider>
+                    <SchemeProvider scheme="mlalads">
+                      <Layout />
+                    </SchemeProvider>
+                  </FilterProvider>
+                }
+              >
+                <Route index element={<StateList />} />
+                <Route path="states" element={<StateList />} />
+                <Route path="states/:stateId" element={<StateDetail />} />
+                <Route path="mlas" element={<MPList />} />
+              </Route>
+
               {/* All other routes show Not Found */}
               <Route path="*" element={<NotFound />} />
             </Routes>
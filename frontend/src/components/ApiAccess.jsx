@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FiCheckCircle, FiKey } from 'react-icons/fi'
+import { requestApiKey } from '../services/api/apiKeys'
+import { API_BASE_URL } from '../utils/constants/api'
+import SiteFooter from './common/SiteFooter'
+import './ApiAccess.css'
+
+function ApiAccess() {
+  const [form, setForm] = useState({ name: '', email: '', purpose: '' })
+  const [status, setStatus] = useState('idle') // idle, submitting, sent, error
+  const [message, setMessage] = useState('')
+
+  const updateField = event => {
+    setForm(current => ({ ...current, [event.target.name]: event.target.value }))
+  }
+
+  const handleSubmit = async event => {
+    event.preventDefault()
+    setStatus('submitting')
+    try {
+      const response = await requestApiKey(form)
+      setStatus('sent')
+      setMessage(response.message)
+    } catch (error) {
+      setStatus('error')
+      setMessage(
+        error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          error.response?.data?.error ||
+          'Could not send your request. Please try again later.'
+      )
+    }
+  }
+
+  return (
+    <div className="api-access-page">
+      <div className="container">
+        <header className="api-access-header">
+          <Link to="/" className="api-access-back">
+            ← Back to Home
+          </Link>
+          <h1>API Access</h1>
+          <p>
+            Every dataset behind the dashboards is available through a free, read-only JSON API.
+          </p>
+        </header>
+
+        <main className="api-access-content">
+          <section className="api-access-section">
+            <h2>Using the API</h2>
+            <p>
+              The API works without a key, but anonymous requests share a per-IP rate limit. A
+              personal key gets its own quota, which suits scripts, research pipelines and newsroom
+              tools. Send it in the <code>X-API-Key</code> header:
+            </p>
+            <pre className="api-access-code">
+              {`curl -H "X-API-Key: ei_..." ${API_BASE_URL}/summary/overview`}
+            </pre>
+            <p>
+              Each response reports the remaining daily allowance in the{' '}
+              <code>X-API-Key-Daily-Remaining</code> header, and <code>GET /api/keys/me</code>{' '}
+              returns your quota and usage. Keys are read-only and may be revoked if they are used
+              abusively.
+            </p>
+            <p>
+              Browse every endpoint, its parameters and response shape, and try requests live in the{' '}
+              <Link to="/api-docs">API reference</Link>. For the whole dataset at once, download a{' '}
+              <Link to="/data-dumps">full data dump</Link> instead.
+            </p>
+          </section>
+
+          <section className="api-access-section">
+            <h2>Request a key</h2>
+            {status === 'sent' ? (
+              <div className="api-access-sent">
+                <FiCheckCircle aria-hidden="true" />
+                <p>{message}</p>
+              </div>
+            ) : (
+              <form className="api-access-form" onSubmit={handleSubmit}>
+                <label>
+                  Name or organisation
+                  <input
+                    name="name"
+                    value={form.name}
+                    onChange={updateField}
+                    minLength={2}
+                    maxLength={100}
+                    required
+                  />
+                </label>
+                <label>
+                  Email
+                  <input
+                    type="email"
+                    name="email"
+                    value={form.email}
+                    onChange={updateField}
+                    required
+                  />
+                </label>
+                <label>
+                  What will you use it for? <span>(optional)</span>
+                  <textarea
+                    name="purpose"
+                    value={form.purpose}
+                    onChange={updateField}
+                    maxLength={500}
+                    rows={3}
+                  />
+                </label>
+                {status === 'error' && <p className="api-access-error">{message}</p>}
+                <button
+                  type="submit"
+                  className="api-access-submit"
+                  disabled={status === 'submitting'}
+                >
+                  <FiKey aria-hidden="true" />
+                  {status === 'submitting' ? 'Sending...' : 'Email me a key'}
+                </button>
+                <p className="api-access-note">
+                  We'll email a confirmation link. Your key is shown once, after you open it.
+                </p>
+              </form>
+            )}
+          </section>
+        </main>
+      </div>
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default ApiAccess
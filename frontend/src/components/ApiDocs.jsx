@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { getOpenApiDocument } from '../services/api/openapi'
+import { API_BASE_URL } from '../utils/constants/api'
+import SiteFooter from './common/SiteFooter'
+import './ApiDocs.css'
+
+const MAX_PREVIEW_CHARS = 20000
+
+// '/api/works/{id}' -> request URL against the configured API base
+const buildUrl = (path, values, parameters) => {
+  const resolvedPath = path.replace(/\{(\w+)\}/g, (_, name) =>
+    encodeURIComponent(values[name] || '')
+  )
+  const query = new URLSearchParams()
+  parameters
+    .filter(param => param.in === 'query' && values[param.name])
+    .forEach(param => query.append(param.name, values[param.name]))
+  const queryString = query.toString()
+  return `${API_BASE_URL}${resolvedPath.replace(/^\/api/, '')}${queryString ? `?${queryString}` : ''}`
+}
+
+const describeSchema = schema => {
+  if (!schema) return ''
+  if (schema.oneOf) return schema.oneOf.map(describeSchema).join(' | ')
+  const parts = [schema.enum ? schema.enum.join(' | ') : schema.type]
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    parts.push(`${schema.minimum ?? ''}–${schema.maximum ?? ''}`)
+  }
+  if (schema.maxLength) parts.push(`≤ ${schema.maxLength} chars`)
+  if (schema.default !== undefined) parts.push(`default ${schema.default}`)
+  return parts.join(', ')
+}
+
+function ApiDocs() {
+  const [spec, setSpec] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [filter, setFilter] = useState('')
+  const [selected, setSelected] = useState(null)
+  const [values, setValues] = useState({})
+  const [result, setResult] = useState(null)
+  const [sending, setSending] = useState(false)
+
+  useEffect(() => {
+    getOpenApiDocument()
+      .then(setSpec)
+      .catch(() => setLoadError('Could not load the API description. Please try again later.'))
+  }, [])
+
+  const operations = useMemo(() => {
+    if (!spec) return []
+    return Object.entries(spec.paths).flatMap(([path, methods]) =>
+      Object.entries(methods).map(([method, operation]) => ({
+        key: `${method} ${path}`,
+        method,
+        path,
+        ...operation,
+      }))
+    )
+  }, [spec])
+
+  const groups = useMemo(() => {
+    const needle = filter.trim().toLowerCase()
+    return operations
+      .filter(
+        op =>
+          !needle ||
+          op.path.toLowerCase().includes(needle) ||
+          op.summary.toLowerCase().includes(needle)
+      )
+      .reduce((acc, op) => {
+        const tag = op.tags?.[0] || 'other'
+        acc[tag] = acc[tag] || []
+        acc[tag].push(op)
+        return acc
+      }, {})
+  }, [operations, filter])
+
+  const operation = operations.find(op => op.key === selected)
+  const parameters = operation?.parameters || []
+  // Only anonymous reads can be tried from the browser
+  const canTry = operation?.method === 'get' && !operation.security
+  const requestUrl = operation ? buildUrl(operation.path, values, parameters) : ''
+
+  const selectOperation = key => {
+    setSelected(key)
+    setValues({})
+    setResult(null)
+  }
+
+  const sendRequest = async event => {
+    event.preventDefault()
+    setSending(true)
+    try {
+      const response = await fetch(requestUrl)
+      const body = await response.text()
+      let pretty = body
+      try {
+        pretty = JSON.stringify(JSON.parse(body), null, 2)
+      } catch {
+        // Not JSON (e.g. CSV exports) - show as is
+      }
+      setResult({ status: response.status, body: pretty })
+    } catch (error) {
+      setResult({ status: 'Network error', body: error.message })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="api-docs-page">
+      <div className="container">
+        <header className="api-docs-header">
+          <Link to="/api-access" className="api-docs-back">
+            ← API Access
+          </Link>
+          <h1>API Reference</h1>
+          <p>
+            Generated from the server's routes and validation rules.{' '}
+            <a href={`${API_BASE_URL}/openapi.json`} target="_blank" rel="noopener noreferrer">
+              Download openapi.json
+            </a>
+          </p>
+        </header>
+
+        {loadError && <p className="api-docs-error">{loadError}</p>}
+        {!spec && !loadError && <p className="api-docs-loading">Loading API description...</p>}
+
+        {spec && (
+          <div className="api-docs-layout">
+            <nav className="api-docs-nav" aria-label="Endpoints">
+              <input
+                type="search"
+                placeholder="Filter endpoints"
+                value={filter}
+                onChange={e => setFilter(e.target.value)}
+                aria-label="Filter endpoints"
+              />
+              {Object.entries(groups).map(([tag, ops]) => (
+                <div key={tag} className="api-docs-group">
+                  <h2>{tag}</h2>
+                  <ul>
+                    {ops.map(op => (
+                      <li key={op.key}>
+                        <button
+                          type="button"
+                          className={op.key === selected ? 'active' : ''}
+                          onClick={() => selectOperation(op.key)}
+                        >
+                          <span className={`api-docs-method method-${op.method}`}>{op.method}</span>
+                          <span className="api-docs-path">{op.path.replace(/^\/api/, '')}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </nav>
+
+            <main className="api-docs-detail">
+              {!operation && (
+                <p className="api-docs-empty">
+                  Pick an endpoint to see its parameters and response shape, and try it live.
+                </p>
+              )}
+
+              {operation && (
+                <>
+                  <h2>
+                    <span className={`api-docs-method method-${operation.method}`}>
+                      {operation.method}
+                    </span>{' '}
+                    <code>{operation.path}</code>
+                  </h2>
+                  <p>{operation.summary}</p>
+                  {operation.security && <p className="api-docs-note">Requires an admin login.</p>}
+
+                  <form onSubmit={sendRequest}>
+                    {parameters.length > 0 && (
+                      <table className="api-docs-params">
+                        <thead>
+                          <tr>
+                            <th>Parameter</th>
+                            <th>In</th>
+                            <th>Type</th>
+                            {canTry && <th>Value</th>}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {parameters.map(param => (
+                            <tr key={`${param.in}-${param.name}`}>
+                              <td>
+                                <code>{param.name}</code>
+                                {param.required && <span className="api-docs-required">*</span>}
+                              </td>
+                              <td>{param.in}</td>
+                              <td>{describeSchema(param.schema)}</td>
+                              {canTry && (
+                                <td>
+                                  <input
+                                    value={values[param.name] || ''}
+                                    required={param.required}
+                                    onChange={e =>
+                                      setValues(current => ({
+                                        ...current,
+                                        [param.name]: e.target.value,
+                                      }))
+                                    }
+                                    aria-label={param.name}
+                                  />
+                                </td>
+                              )}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {operation.requestBody && (
+                      <>
+                        <h3>Request body</h3>
+                        <pre className="api-docs-code">
+                          {JSON.stringify(
+                            operation.requestBody.content['application/json'].schema,
+                            null,
+                            2
+                          )}
+                        </pre>
+                      </>
+                    )}
+
+                    {canTry && (
+                      <div className="api-docs-try">
+                        <code className="api-docs-url">{requestUrl}</code>
+                        <button type="submit" disabled={sending}>
+                          {sending ? 'Sending...' : 'Send request'}
+                        </button>
+                      </div>
+                    )}
+                  </form>
+
+                  {result && (
+                    <>
+                      <h3>Response ({result.status})</h3>
+                      <pre className="api-docs-code">
+                        {result.body.length > MAX_PREVIEW_CHARS
+                          ? `${result.body.slice(0, MAX_PREVIEW_CHARS)}\n…`
+                          : result.body}
+                      </pre>
+                    </>
+                  )}
+
+                  <h3>Response shape</h3>
+                  <pre className="api-docs-code">
+                    {JSON.stringify(
+                      operation.responses['200'].content['application/json'].schema,
+                      null,
+                      2
+                    )}
+                  </pre>
+                </>
+              )}
+            </main>
+          </div>
+        )}
+      </div>
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default ApiDocs
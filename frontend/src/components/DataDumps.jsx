@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FiDownload, FiFileText } from 'react-icons/fi'
+import { getDataDumps } from '../services/api/dataDumps'
+import { formatTermOrdinal } from '../utils/lsTerm'
+import SiteFooter from './common/SiteFooter'
+import './ApiAccess.css'
+import './DataDumps.css'
+
+const formatBytes = bytes => {
+  if (!bytes) return '0 KB'
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+const formatDate = value =>
+  value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—'
+
+function DataDumps() {
+  const [dumps, setDumps] = useState([])
+  const [status, setStatus] = useState('loading') // loading, ready, error
+
+  useEffect(() => {
+    getDataDumps()
+      .then(response => {
+        setDumps(response.data?.dumps || [])
+        setStatus('ready')
+      })
+      .catch(() => setStatus('error'))
+  }, [])
+
+  return (
+    <div className="api-access-page">
+      <div className="container">
+        <header className="api-access-header">
+          <Link to="/" className="api-access-back">
+            ← Back to Home
+          </Link>
+          <h1>Data Dumps</h1>
+          <p>Full snapshots of the dataset, for analysis that would take too many API calls.</p>
+        </header>
+
+        <main className="api-access-content">
+          <section className="api-access-section">
+            <h2>About the dumps</h2>
+            <p>
+              A new snapshot is published after every data sync. Each collection is one gzipped JSON
+              Lines file with one record per line, exactly as the <Link to="/api-docs">API</Link>{' '}
+              serves it. The <code>manifest.json</code> beside them lists each file&apos;s record
+              count and SHA-256 checksum, the sync time and the Lok Sabha terms covered. Verify a
+              download with <code>sha256sum</code> before loading it.
+            </p>
+            <p>Only the most recent snapshots are kept, so pin a version if you need to cite it.</p>
+          </section>
+
+          <section className="api-access-section">
+            <h2>Snapshots</h2>
+            {status === 'loading' && <p>Loading snapshots...</p>}
+            {status === 'error' && (
+              <p className="api-access-error">Could not load the list of dumps.</p>
+            )}
+            {status === 'ready' && dumps.length === 0 && (
+              <p>No dumps have been published yet. Check back after the next sync.</p>
+            )}
+            {dumps.map((dump, index) => (
+              <article key={dump.version} className="data-dump">
+                <div className="data-dump-header">
+                  <h3>
+                    {dump.version}
+                    {index === 0 && <span className="data-dump-latest">Latest</span>}
+                  </h3>
+                  <a href={dump.manifestUrl} className="data-dump-manifest">
+                    <FiFileText aria-hidden="true" /> manifest.json
+                  </a>
+                </div>
+                <p className="data-dump-meta">
+                  Synced {formatDate(dump.syncedAt)} •{' '}
+                  {(dump.totalRecords || 0).toLocaleString('en-IN')} records •{' '}
+                  {formatBytes(dump.totalBytes)}
+                  {dump.lsTerms?.length > 0 && (
+                    <> • Lok Sabha {dump.lsTerms.map(formatTermOrdinal).join(', ')}</>
+                  )}
+                </p>
+                <table className="data-dump-files">
+                  <thead>
+                    <tr>
+                      <th>File</th>
+                      <th>Records</th>
+                      <th>Size</th>
+                      <th>SHA-256</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dump.files.map(file => (
+                      <tr key={file.file}>
+                        <td>
+                          <a href={file.url}>
+                            <FiDownload aria-hidden="true" /> {file.file}
+                          </a>
+                        </td>
+                        <td>{(file.records || 0).toLocaleString('en-IN')}</td>
+                        <td>{formatBytes(file.bytes)}</td>
+                        <td>
+                          <code className="data-dump-hash" title={file.sha256}>
+                            {file.sha256}
+                          </code>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </article>
+            ))}
+          </section>
+        </main>
+      </div>
+      <SiteFooter />
+    </div>
+  )
+}
+
+export default DataDumps
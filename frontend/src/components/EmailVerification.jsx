@@ -1,14 +1,21 @@
 import { useState, useEffect, useRef } from 'react'
 import { useSearchParams, Link } from 'react-router-dom'
-import { FiCheckCircle, FiXCircle, FiLoader } from 'react-icons/fi'
+import { FiCheckCircle, FiXCircle, FiLoader, FiCopy } from 'react-icons/fi'
+import toast from 'react-hot-toast'
 import { verifyEmail } from '../services/api/mailingList'
+import { confirmExportNotification } from '../services/api/exports'
 import './EmailVerification.css'
 
 const EmailVerification = () => {
   const [searchParams] = useSearchParams()
   const [status, setStatus] = useState('loading') // loading, success, error
   const [message, setMessage] = useState('')
+  const [apiKeys, setApiKeys] = useState([])
   const token = searchParams.get('token')
+  const isApiKey = searchParams.get('type') === 'api-key'
+  // Export notification links also carry the job ID
+  const exportJobId = searchParams.get('type') === 'export' ? searchParams.get('job') : null
+  const [exportJob, setExportJob] = useState(null)
   const hasVerified = useRef(false)
 
   useEffect(() => {
@@ -27,6 +34,25 @@ const EmailVerification = () => {
       try {
         hasVerified.current = true
         console.log('Starting email verification with token:', token)
+        // Key requests are confirmed by the subscriber verification link, which issues the keys
+        if (isApiKey) {
+          const response = await verifyEmail(token)
+          if (!response.apiKeys?.length) {
+            setStatus('error')
+            setMessage('No pending API key request was found. It may have expired or been used.')
+            return
+          }
+          setApiKeys(response.apiKeys)
+          setStatus('success')
+          setMessage('Your API key is ready. Copy it now - it will not be shown again.')
+          return
+        }
+        if (exportJobId) {
+          const response = await confirmExportNotification(exportJobId, token)
+          setExportJob(response.data)
+          setStatus('success')
+          return
+        }
         const response = await verifyEmail(token)
         console.log('Verification response:', response)
         setStatus('success')
@@ -44,7 +70,16 @@ const EmailVerification = () => {
     }
 
     handleVerification()
-  }, [token])
+  }, [token, isApiKey, exportJobId])
+
+  const copyKey = async key => {
+    try {
+      await navigator.clipboard.writeText(key)
+      toast.success('API key copied')
+    } catch {
+      toast.error('Copy failed - select the key and copy it manually')
+    }
+  }
 
   const renderContent = () => {
     switch (status) {
@@ -52,12 +87,62 @@ const EmailVerification = () => {
         return (
           <div className="verification-content loading">
             <FiLoader className="icon spinning" />
-            <h2>Verifying your email...</h2>
+            <h2>
+              {isApiKey
+                ? 'Issuing your API key...'
+                : exportJobId
+                  ? 'Confirming your export...'
+                  : 'Verifying your email...'}
+            </h2>
             <p>Please wait while we verify your email address.</p>
           </div>
         )
 
       case 'success':
+        if (apiKeys.length > 0) {
+          return (
+            <div className="verification-content success">
+              <FiCheckCircle className="icon" />
+              <h2>{apiKeys.length > 1 ? 'Your API Keys' : 'Your API Key'}</h2>
+              <p>{message}</p>
+              {apiKeys.map(apiKey => (
+                <div className="api-key-reveal" key={apiKey.id}>
+                  <code>{apiKey.key}</code>
+                  <button
+                    type="button"
+                    onClick={() => copyKey(apiKey.key)}
+                    aria-label="Copy API key"
+                  >
+                    <FiCopy />
+                  </button>
+                </div>
+              ))}
+              <p>
+                Send it in the <code>X-API-Key</code> header. Each key allows{' '}
+                {apiKeys[0].quota.perDay.toLocaleString('en-IN')} requests per day and{' '}
+                {apiKeys[0].quota.perWindow.toLocaleString('en-IN')} per 10 minutes.
+              </p>
+            </div>
+          )
+        }
+        if (exportJob) {
+          return (
+            <div className="verification-content success">
+              <FiCheckCircle className="icon" />
+              <h2>Notifications Confirmed</h2>
+              {exportJob.status === 'completed' ? (
+                <p>
+                  Your export has already finished, so we&apos;ve emailed you its download link.{' '}
+                  <a href={exportJob.downloadUrl}>Download it now</a>.
+                </p>
+              ) : exportJob.status === 'queued' || exportJob.status === 'running' ? (
+                <p>We&apos;ll email you the download link as soon as your export is ready.</p>
+              ) : (
+                <p>This export is no longer available. Please run it again from the dashboard.</p>
+              )}
+            </div>
+          )
+        }
         return (
           <div className="verification-content success">
             <FiCheckCircle className="icon" />
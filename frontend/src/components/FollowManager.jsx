@@ -0,0 +1,175 @@
+import { useEffect, useState } from 'react'
+import { FiBell, FiLoader, FiTrash2 } from 'react-icons/fi'
+import toast from 'react-hot-toast'
+import { addFollow, getFollows, removeFollow, saveFollowToken } from '../services/api/mailingList'
+import { Button } from '@/components/ui/button'
+import './FollowManager.css'
+
+const TYPE_LABELS = {
+  mp: 'MP',
+  constituency: 'Constituency',
+  state: 'State',
+  work: 'Work',
+}
+
+/**
+ * Follow list of the subscriber holding an unsubscribe token, shown on the
+ * unsubscribe page when it is opened to manage follows
+ * @param {string} token - Unsubscribe token from the email link
+ * @param {Object|null} pendingFollow - { type, id, label } from a confirmation link
+ * @param {Function} onPendingDone - Called once the pending follow is added or declined
+ * @param {Function} onUnsubscribe - Unsubscribe from all emails
+ */
+const FollowManager = ({ token, pendingFollow, onPendingDone, onUnsubscribe }) => {
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    getFollows(token)
+      .then(result => {
+        if (cancelled) return
+        setData(result)
+        // Lets the Follow buttons on dashboard pages work directly from now on
+        saveFollowToken(token)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err?.response?.data?.error || 'Failed to load your follows')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  const follows = data?.follows || []
+  const alreadyFollowing =
+    pendingFollow && follows.some(f => f.type === pendingFollow.type && f.id === pendingFollow.id)
+  const canFollow = data?.isActive && data?.isVerified
+
+  const handleConfirm = async () => {
+    setBusy(true)
+    try {
+      const result = await addFollow(token, pendingFollow)
+      setData(prev => ({ ...prev, follows: result.follows }))
+      toast.success(result.message || 'Followed')
+      onPendingDone()
+    } catch {
+      // apiClient shows the error
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemove = async follow => {
+    setBusy(true)
+    try {
+      const result = await removeFollow(token, follow.type, follow.id)
+      setData(prev => ({ ...prev, follows: result.follows }))
+    } catch {
+      // apiClient shows the error
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="follow-manager">
+        <div className="loading-icon">
+          <FiLoader />
+        </div>
+        <p>Loading your follows...</p>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="follow-manager">
+        <div className="error-icon">❌</div>
+        <p className="error-message">{error}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="follow-manager">
+      <h1>What You Follow</h1>
+      <p className="follow-manager-email">{data.email}</p>
+
+      {!canFollow && (
+        <p className="follow-manager-note">
+          This address is not an active, verified subscriber, so no digests are sent. Subscribe
+          again on our website to resume them.
+        </p>
+      )}
+
+      {pendingFollow && !alreadyFollowing && canFollow && (
+        <div className="follow-pending">
+          <p>
+            <FiBell /> Follow{' '}
+            <strong>
+              {TYPE_LABELS[pendingFollow.type]} {pendingFollow.label || pendingFollow.id}
+            </strong>
+            ?
+          </p>
+          <div className="follow-pending-actions">
+            <Button onClick={handleConfirm} disabled={busy}>
+              Confirm Follow
+            </Button>
+            <Button variant="outline" onClick={onPendingDone} disabled={busy}>
+              Not now
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {follows.length === 0 ? (
+        <p className="follow-manager-empty">
+          You don&apos;t follow anything yet. Use the Follow buttons on MP, state and project pages
+          to get a digest of new recommendations, completed works and payments after each data
+          update.
+        </p>
+      ) : (
+        <ul className="follow-list">
+          {follows.map(follow => (
+            <li key={`${follow.type}:${follow.id}`}>
+              <span className="follow-type">{TYPE_LABELS[follow.type]}</span>
+              <span className="follow-label">{follow.label || follow.id}</span>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => handleRemove(follow)}
+                disabled={busy}
+                aria-label={`Stop following ${follow.label || follow.id}`}
+              >
+                <FiTrash2 />
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {data.maxFollows && (
+        <p className="follow-manager-note">
+          {follows.length} of {data.maxFollows} follows used.
+        </p>
+      )}
+
+      {data.isActive && (
+        <div className="follow-manager-footer">
+          <Button variant="outline" onClick={onUnsubscribe}>
+            Unsubscribe from all emails
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FollowManager
@@ -0,0 +1,102 @@
+import ReactEChartsCore from 'echarts-for-react/lib/core'
+import { useEffect, useMemo, useState } from 'react'
+import echarts from '../../../../utils/echartsConfig'
+import { STATES_MAP, registerRegionMap } from '../../../../utils/maps'
+import { formatINRCompact } from '../../../../utils/formatters'
+import { useResponsive } from '../../../../hooks/useMediaQuery'
+
+// Degrees of longitude the whole-India view spans at zoom 1
+const INDIA_SPAN_DEGREES = 30
+const KM_PER_DEGREE = 111
+
+const TYPE_COLORS = { completed: '#10b981', recommended: '#f59e0b' }
+
+/**
+ * Works from GET /api/works/nearby plotted around the search point on the
+ * bundled state boundaries. Renders nothing when the boundaries are not bundled.
+ * @param {Object} props
+ * @param {{ lat: number, lng: number }} props.center - Search point
+ * @param {number} props.radiusKm - Search radius, used to pick the zoom
+ * @param {Object[]} props.works - Nearby works, each with `coordinates`
+ */
+const NearbyWorksMap = ({ center, radiusKm, works = [] }) => {
+  const responsive = useResponsive()
+  const [registered, setRegistered] = useState(undefined)
+
+  useEffect(() => {
+    let cancelled = false
+    registerRegionMap(STATES_MAP)
+      .then(result => !cancelled && setRegistered(result))
+      .catch(() => !cancelled && setRegistered(null))
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const option = useMemo(() => {
+    if (!registered) return null
+    // Fit roughly two radii either side of the point
+    const zoom = Math.min(300, Math.max(1, INDIA_SPAN_DEGREES / ((radiusKm * 4) / KM_PER_DEGREE)))
+    const worksOfType = type =>
+      works
+        .filter(work => work.type === type)
+        .map(work => ({
+          name: work.workDescription || `Work ${work.workId}`,
+          value: [work.coordinates.lng, work.coordinates.lat],
+          work,
+        }))
+
+    return {
+      tooltip: {
+        trigger: 'item',
+        confine: true,
+        formatter: params => {
+          const { work } = params.data
+          if (!work) return 'Search location'
+          return `${params.name}<br/>${work.constituency || work.state} · ${formatINRCompact(work.amount)}<br/>${work.distanceKm} km away`
+        },
+      },
+      geo: {
+        map: registered.mapName,
+        roam: true,
+        center: [center.lng, center.lat],
+        zoom,
+        itemStyle: { areaColor: '#f3f4f6', borderColor: '#9ca3af', borderWidth: 0.5 },
+        emphasis: { disabled: true },
+      },
+      series: [
+        ...['completed', 'recommended'].map(type => ({
+          name: type,
+          type: 'scatter',
+          coordinateSystem: 'geo',
+          data: worksOfType(type),
+          symbolSize: 10,
+          itemStyle: { color: TYPE_COLORS[type], borderColor: 'white', borderWidth: 1 },
+        })),
+        {
+          name: 'origin',
+          type: 'scatter',
+          coordinateSystem: 'geo',
+          data: [{ name: 'You', value: [center.lng, center.lat] }],
+          symbol: 'pin',
+          symbolSize: 28,
+          itemStyle: { color: '#2563eb' },
+          z: 10,
+        },
+      ],
+    }
+  }, [registered, center, radiusKm, works])
+
+  if (!option) return null
+
+  return (
+    <ReactEChartsCore
+      echarts={echarts}
+      option={option}
+      notMerge
+      style={{ height: responsive.isMobile ? '320px' : '420px', width: '100%' }}
+    />
+  )
+}
+
+export default NearbyWorksMap
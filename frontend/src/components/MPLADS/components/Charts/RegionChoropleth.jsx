@@ -0,0 +1,186 @@
+import ReactEChartsCore from 'echarts-for-react/lib/core'
+import { useEffect, useMemo, useState } from 'react'
+import { FiMap } from 'react-icons/fi'
+import echarts from '../../../../utils/echartsConfig'
+import { normalizeRegionName, registerRegionMap } from '../../../../utils/maps'
+import { formatINRCompact, formatPerLakh } from '../../../../utils/formatters'
+import { useResponsive } from '../../../../hooks/useMediaQuery'
+import './RegionChoropleth.css'
+
+// Metrics a region can be coloured by; rows come from /summary/states or /summary/constituencies
+const METRICS = {
+  utilization: {
+    label: 'Utilization',
+    value: row => row.utilizationPercentage,
+    format: value => `${value.toFixed(1)}%`,
+  },
+  spend: {
+    label: 'Spend',
+    value: row => row.totalExpenditure,
+    format: value => formatINRCompact(value),
+  },
+  works: {
+    label: 'Works completed',
+    value: row => row.totalWorksCompleted ?? row.completedWorksCount,
+    format: value => Math.round(value).toLocaleString('en-IN'),
+  },
+  // Per-capita metrics, offered only when the rows carry census figures
+  spendPerLakh: {
+    label: 'Spend per lakh people',
+    value: row => row.normalized?.spendPerLakh,
+    format: value => formatPerLakh(value),
+    perCapita: true,
+  },
+  worksPer1000SqKm: {
+    label: 'Works per 1000 km²',
+    value: row => row.normalized?.worksPer1000SqKm,
+    format: value => value.toFixed(1),
+    perCapita: true,
+  },
+}
+
+/**
+ * Choropleth of states, or of one state's parliamentary constituencies, drawn
+ * from the bundled boundary files without any tile server
+ * @param {Object} props
+ * @param {string} props.map - STATES_MAP or CONSTITUENCIES_MAP
+ * @param {string} [props.state] - Limit the constituency map to one state
+ * @param {Object[]} props.rows - Summary rows, each with a `name`
+ * @param {Function} [props.onSelect] - Called with the row of a clicked region
+ * @param {string} [props.initialMetric] - Key of METRICS to colour by first
+ */
+const RegionChoropleth = ({
+  map,
+  state,
+  rows = [],
+  isLoading,
+  onSelect,
+  title,
+  initialMetric = 'utilization',
+}) => {
+  const responsive = useResponsive()
+  const [metric, setMetric] = useState(initialMetric)
+  const [registered, setRegistered] = useState(undefined)
+
+  useEffect(() => {
+    let cancelled = false
+    setRegistered(undefined)
+    registerRegionMap(map, state)
+      .then(result => !cancelled && setRegistered(result))
+      .catch(() => !cancelled && setRegistered(null))
+    return () => {
+      cancelled = true
+    }
+  }, [map, state])
+
+  // Summary rows keyed by the feature name they colour
+  const rowsByRegion = useMemo(() => {
+    const byRegion = new Map()
+    if (!registered) return byRegion
+    rows.forEach(row => {
+      const region = registered.regions.get(normalizeRegionName(row.name))
+      if (region) byRegion.set(region, row)
+    })
+    return byRegion
+  }, [rows, registered])
+
+  // Hide metrics no row has a value for (no census figures, or no areas for constituencies)
+  const availableMetrics = useMemo(
+    () =>
+      Object.entries(METRICS).filter(
+        ([, { value, perCapita }]) =>
+          !perCapita || rows.some(row => value(row) !== null && value(row) !== undefined)
+      ),
+    [rows]
+  )
+
+  const option = useMemo(() => {
+    if (!registered) return null
+    const { value, format, label } = METRICS[metric]
+    const data = Array.from(rowsByRegion, ([name, row]) => ({ name, value: value(row) || 0 }))
+    const max = Math.max(1, ...data.map(point => point.value))
+    return {
+      tooltip: {
+        trigger: 'item',
+        formatter: params =>
+          Number.isFinite(params.value)
+            ? `${params.name}<br/>${label}: ${format(params.value)}`
+            : `${params.name}<br/>No data`,
+      },
+      visualMap: {
+        min: 0,
+        max: metric === 'utilization' ? 100 : max,
+        left: 'left',
+        bottom: 8,
+        calculable: true,
+        itemHeight: responsive.isMobile ? 80 : 120,
+        formatter: format,
+        inRange: { color: ['#fee2e2', '#fde68a', '#86efac', '#15803d'] },
+        textStyle: { fontSize: 10 },
+      },
+      series: [
+        {
+          type: 'map',
+          map: registered.mapName,
+          roam: true,
+          data,
+          emphasis: { label: { show: !responsive.isMobile }, itemStyle: { areaColor: '#93c5fd' } },
+          itemStyle: { areaColor: '#f3f4f6', borderColor: '#9ca3af', borderWidth: 0.5 },
+        },
+      ],
+    }
+  }, [registered, rowsByRegion, metric, responsive.isMobile])
+
+  const onEvents = useMemo(
+    () => ({
+      click: params => {
+        const row = rowsByRegion.get(params.name)
+        if (row && onSelect) onSelect(row)
+      },
+    }),
+    [rowsByRegion, onSelect]
+  )
+
+  if (registered === null) {
+    return (
+      <div className="choropleth-placeholder">
+        <FiMap aria-hidden="true" />
+        <p>Map unavailable</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="choropleth">
+      <div className="choropleth-header">
+        {title && <h3>{title}</h3>}
+        <div className="choropleth-metrics" role="group" aria-label="Colour regions by">
+          {availableMetrics.map(([key, { label }]) => (
+            <button
+              key={key}
+              type="button"
+              className={`choropleth-metric ${metric === key ? 'active' : ''}`}
+              aria-pressed={metric === key}
+              onClick={() => setMetric(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {isLoading || !option ? (
+        <div className="choropleth-placeholder">Loading map...</div>
+      ) : (
+        <ReactEChartsCore
+          echarts={echarts}
+          option={option}
+          notMerge
+          onEvents={onEvents}
+          style={{ height: responsive.isMobile ? '380px' : '520px', width: '100%' }}
+        />
+      )}
+    </div>
+  )
+}
+
+export default RegionChoropleth
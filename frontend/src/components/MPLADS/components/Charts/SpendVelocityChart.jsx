@@ -0,0 +1,149 @@
+import ReactECharts from 'echarts-for-react'
+import { useMemo } from 'react'
+import { FiInfo } from 'react-icons/fi'
+import { useResponsive } from '../../../../hooks/useMediaQuery'
+import { formatINRCompact } from '../../../../utils/formatters'
+import InfoTooltip from '../Common/InfoTooltip'
+import './SpendVelocityChart.css'
+
+/**
+ * Burn-up chart of cumulative spend against allocation over the term, with the
+ * unspent balance projected to the end of the term at the recent run-rate.
+ * Takes the `data` object of GET /api/analytics/velocity.
+ */
+const SpendVelocityChart = ({ data, isLoading, title = 'Spend Velocity' }) => {
+  const responsive = useResponsive()
+
+  const option = useMemo(() => {
+    if (!data?.period) return null
+    const actual = data.monthly || []
+    const projected = data.projection?.series || []
+    const months = Array.from(
+      new Set([...actual.map(point => point.month), ...projected.map(point => point.month)])
+    ).sort()
+    const actualByMonth = new Map(actual.map(point => [point.month, point.cumulative]))
+    const projectedByMonth = new Map(projected.map(point => [point.month, point.cumulative]))
+
+    return {
+      tooltip: {
+        trigger: 'axis',
+        confine: true,
+        valueFormatter: value =>
+          value === null || value === undefined ? '—' : formatINRCompact(value),
+      },
+      legend: {
+        data: ['Spent', 'Projected', 'Allocation'],
+        top: 0,
+        textStyle: { fontSize: responsive.isMobile ? 10 : 12 },
+      },
+      grid: { left: 8, right: 16, top: 36, bottom: 8, containLabel: true },
+      xAxis: {
+        type: 'category',
+        data: months,
+        boundaryGap: false,
+        axisLabel: { fontSize: responsive.isMobile ? 9 : 11 },
+      },
+      yAxis: {
+        type: 'value',
+        axisLabel: { formatter: value => formatINRCompact(value), fontSize: 10 },
+      },
+      series: [
+        {
+          name: 'Spent',
+          type: 'line',
+          data: months.map(month => actualByMonth.get(month) ?? null),
+          showSymbol: false,
+          lineStyle: { width: 3, color: '#2c5282' },
+          itemStyle: { color: '#2c5282' },
+          areaStyle: { color: 'rgba(44, 82, 130, 0.12)' },
+        },
+        {
+          name: 'Projected',
+          type: 'line',
+          data: months.map(month => projectedByMonth.get(month) ?? null),
+          showSymbol: false,
+          lineStyle: { width: 2, type: 'dashed', color: '#f59e0b' },
+          itemStyle: { color: '#f59e0b' },
+        },
+        {
+          name: 'Allocation',
+          type: 'line',
+          data: months.map(() => data.allocation),
+          showSymbol: false,
+          lineStyle: { width: 2, type: 'dotted', color: '#10b981' },
+          itemStyle: { color: '#10b981' },
+        },
+      ],
+    }
+  }, [data, responsive.isMobile])
+
+  if (isLoading) {
+    return <div className="velocity-placeholder">Loading spend velocity...</div>
+  }
+  if (!option) {
+    return (
+      <div className="velocity-placeholder">
+        <FiInfo aria-hidden="true" />
+        <p>No payments recorded yet</p>
+      </div>
+    )
+  }
+
+  const { period, projection } = data
+
+  return (
+    <div className="velocity-chart">
+      <h3>
+        {title}{' '}
+        <InfoTooltip
+          content={`Cumulative payments against the allocation, ${period.start} to ${period.end}. The dashed line continues at the average monthly spend of the last ${data.runRate.months} complete months.`}
+          position="top"
+          size="small"
+        />
+      </h3>
+      <div className="velocity-stats">
+        <div className="velocity-stat">
+          <span className="velocity-stat-label">Spent so far</span>
+          <span className="velocity-stat-value">
+            {formatINRCompact(data.spent)}
+            {data.utilization !== null && ` (${data.utilization.toFixed(1)}%)`}
+          </span>
+        </div>
+        <div className="velocity-stat">
+          <span className="velocity-stat-label">Monthly run-rate</span>
+          <span className="velocity-stat-value">{formatINRCompact(data.runRate.monthly)}</span>
+        </div>
+        <div className="velocity-stat">
+          <span className="velocity-stat-label">Since last payment</span>
+          <span className="velocity-stat-value">
+            {data.monthsSinceLastPayment === null
+              ? '—'
+              : `${data.monthsSinceLastPayment} month${data.monthsSinceLastPayment === 1 ? '' : 's'}`}
+          </span>
+        </div>
+        <div className="velocity-stat">
+          <span className="velocity-stat-label">
+            {period.ended ? 'Unspent at term end' : 'Projected unspent at term end'}
+          </span>
+          <span className={`velocity-stat-value ${projection.unspentAtTermEnd > 0 ? 'lapse' : ''}`}>
+            {formatINRCompact(projection.unspentAtTermEnd)}
+          </span>
+        </div>
+      </div>
+      <ReactECharts
+        option={option}
+        notMerge
+        style={{ height: responsive.isMobile ? '260px' : '320px', width: '100%' }}
+        opts={{ renderer: 'svg' }}
+      />
+      {!period.ended && (
+        <p className="velocity-note">
+          {period.monthsRemaining} months left in the term. Projections assume spending continues at
+          the recent pace.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default SpendVelocityChart
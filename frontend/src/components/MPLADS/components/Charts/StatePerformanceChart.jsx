@@ -1,17 +1,24 @@
-import { useEffect, useMemo, useRef } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import echarts from '../../../../utils/echartsConfig'
 import { FiTrendingUp, FiInfo } from 'react-icons/fi'
 import LoadingState from '../Common/LoadingState'
 import ErrorDisplay from '../Common/ErrorDisplay'
 import InfoTooltip from '../Common/InfoTooltip'
+import PerCapitaToggle from '../Common/PerCapitaToggle'
 import { useResponsive } from '../../../../hooks/useMediaQuery'
+import { formatPerLakh } from '../../../../utils/formatters'
 
 // Utility: convert rupees to crores
 const toCrores = amountInRupees => (amountInRupees || 0) / 10000000
+// Per-capita amounts are rupees per lakh people, shown in lakhs
+const toLakhs = amountInRupees => (amountInRupees || 0) / 100000
 
 // Build ECharts option from props and responsive flags
-const buildChartOption = ({ seriesData, isMobile, isSmallMobile, isTouchDevice }) => {
+const buildChartOption = ({ seriesData, perCapita, isMobile, isSmallMobile, isTouchDevice }) => {
   const { stateNames, utilizationSeries, allocationSeries, expenditureSeries } = seriesData
+  const allocatedName = perCapita ? 'Allocated (₹L/lakh)' : 'Allocated (₹Cr)'
+  const spentName = perCapita ? 'Spent (₹L/lakh)' : 'Spent (₹Cr)'
+  const amountUnit = perCapita ? 'L' : 'Cr'
 
   // More granular responsive padding for better mobile experience
   const leftPad = isSmallMobile ? 32 : isMobile ? 38 : isTouchDevice && !isMobile ? 64 : 68
@@ -42,7 +49,7 @@ const buildChartOption = ({ seriesData, isMobile, isSmallMobile, isTouchDevice }
       extraCssText: isMobile ? 'max-width: 200px; word-wrap: break-word;' : undefined,
     },
     legend: {
-      data: ['Utilization %', 'Allocated (₹Cr)', 'Spent (₹Cr)'],
+      data: ['Utilization %', allocatedName, spentName],
       top: isSmallMobile ? 8 : isMobile ? 10 : 8,
       left: 'center',
       type: 'scroll',
@@ -83,11 +90,15 @@ const buildChartOption = ({ seriesData, isMobile, isSmallMobile, isTouchDevice }
       },
       {
         type: 'value',
-        name: 'Amount (₹ Crores)',
+        name: perCapita ? 'Per Lakh People (₹ Lakhs)' : 'Amount (₹ Crores)',
         position: 'right',
         nameLocation: 'middle',
         nameGap: isMobile ? 36 : 48,
-        axisLabel: { formatter: '₹{value}Cr', fontSize: isSmallMobile ? 8 : 10, color: '#333333' },
+        axisLabel: {
+          formatter: `₹{value}${amountUnit}`,
+          fontSize: isSmallMobile ? 8 : 10,
+          color: '#333333',
+        },
         nameTextStyle: { fontSize: isSmallMobile ? 9 : 11, color: '#333333' },
       },
     ],
@@ -103,7 +114,7 @@ const buildChartOption = ({ seriesData, isMobile, isSmallMobile, isTouchDevice }
         z: 3,
       },
       {
-        name: 'Allocated (₹Cr)',
+        name: allocatedName,
         type: 'line',
         yAxisIndex: 1,
         data: allocationSeries,
@@ -114,7 +125,7 @@ const buildChartOption = ({ seriesData, isMobile, isSmallMobile, isTouchDevice }
         itemStyle: { color: '#3b82f6' },
       },
       {
-        name: 'Spent (₹Cr)',
+        name: spentName,
         type: 'line',
         yAxisIndex: 1,
         data: expenditureSeries,
@@ -144,11 +155,20 @@ const StatePerformanceChart = ({
   const chartRef = useRef(null)
   const resizeObserverRef = useRef(null)
   const responsive = useResponsive()
+  const [perCapita, setPerCapita] = useState(false)
+  const hasPerCapita = Array.isArray(data) && data.some(s => s.normalized)
+  const showPerCapita = perCapita && hasPerCapita
 
   // Prepare series data once per input change
   const seriesData = useMemo(() => {
     if (!Array.isArray(data)) return null
-    const top = data.slice(0, maxItems)
+    // Per capita ranks states by spend per lakh people instead of the given order
+    const top = showPerCapita
+      ? data
+          .filter(s => s.normalized)
+          .sort((a, b) => (b.normalized.spendPerLakh || 0) - (a.normalized.spendPerLakh || 0))
+          .slice(0, maxItems)
+      : data.slice(0, maxItems)
     // Responsive state name truncation
     const getStateName = state => {
       if (!state) return ''
@@ -172,10 +192,14 @@ const StatePerformanceChart = ({
                 : '#ef4444',
       },
     }))
-    const allocationSeries = top.map(s => toCrores(s.totalAllocated))
-    const expenditureSeries = top.map(s => toCrores(s.totalExpenditure))
+    const allocationSeries = top.map(s =>
+      showPerCapita ? toLakhs(s.normalized.allocatedPerLakh) : toCrores(s.totalAllocated)
+    )
+    const expenditureSeries = top.map(s =>
+      showPerCapita ? toLakhs(s.normalized.spendPerLakh) : toCrores(s.totalExpenditure)
+    )
     return { stateNames, utilizationSeries, allocationSeries, expenditureSeries, top }
-  }, [data, maxItems, responsive.isMobile, responsive.isSmallMobile])
+  }, [data, maxItems, showPerCapita, responsive.isMobile, responsive.isSmallMobile])
 
   // Initialize chart when the container has a non-zero size (prevents random blank renders)
   useEffect(() => {
@@ -257,6 +281,7 @@ const StatePerformanceChart = ({
     if (!chartRef.current) return
     const option = buildChartOption({
       seriesData,
+      perCapita: showPerCapita,
       isMobile: responsive.isMobile,
       isSmallMobile: responsive.isSmallMobile,
       isTouchDevice: responsive.isTouchDevice,
@@ -265,6 +290,7 @@ const StatePerformanceChart = ({
     chartRef.current.resize()
   }, [
     seriesData,
+    showPerCapita,
     isLoading,
     error,
     responsive.isMobile,
@@ -322,11 +348,16 @@ const StatePerformanceChart = ({
             {title}
           </h3>
           <InfoTooltip
-            content="Top utilization states; bars: utilization, lines: allocated vs spent."
+            content={
+              showPerCapita
+                ? 'States with the highest spend per lakh people; bars: utilization, lines: allocated vs spent per lakh people.'
+                : 'Top utilization states; bars: utilization, lines: allocated vs spent.'
+            }
             position="top"
             size="small"
           />
         </div>
+        {hasPerCapita && <PerCapitaToggle value={showPerCapita} onChange={setPerCapita} />}
       </div>
 
       <div style={{ position: 'relative', height: effectiveHeight }}>
@@ -339,12 +370,18 @@ const StatePerformanceChart = ({
       <div className="chart-footer" style={{ marginTop: responsive.isSmallMobile ? 4 : 8 }}>
         <div className="performance-highlights">
           <div className="highlight-item">
-            <span className="highlight-label">Top Performer:</span>
+            <span className="highlight-label">
+              {showPerCapita ? 'Most Spent per Lakh:' : 'Top Performer:'}
+            </span>
             <span className="highlight-value">
               {responsive.isSmallMobile && topState.state.length > 12
                 ? `${topState.state.slice(0, 12)}...`
                 : topState.state}{' '}
-              ({(topState.utilizationPercentage || 0).toFixed(1)}%)
+              (
+              {showPerCapita
+                ? formatPerLakh(topState.normalized.spendPerLakh)
+                : `${(topState.utilizationPercentage || 0).toFixed(1)}%`}
+              )
             </span>
           </div>
           <div className="highlight-item">
@@ -8,6 +8,7 @@ import {
   exportMPSummary,
   exportAsJSON,
   getCurrentFilters,
+  EXPORT_FORMATS,
 } from '../../../../utils/exportUtils'
 import { useFilters } from '../../../../contexts/FilterContext'
 import { useAnalytics } from '../../../../hooks/useAnalytics'
@@ -19,9 +20,15 @@ const ExportButton = ({
   data = null, // For JSON export
   label,
   variant = 'primary', // 'primary', 'secondary', 'dropdown'
+  format: initialFormat = 'csv', // 'csv', 'xlsx', 'jsonl', 'parquet'
 }) => {
   const [isExporting, setIsExporting] = useState(false)
   const [showDropdown, setShowDropdown] = useState(false)
+  const [format, setFormat] = useState(initialFormat)
+  // Large exports run as background jobs; these track and notify them
+  const [jobProgress, setJobProgress] = useState(null)
+  const [notifyEmail, setNotifyEmail] = useState('')
+  const formatLabel = EXPORT_FORMATS.find(option => option.value === format)?.label || 'CSV'
   const { filters } = useFilters()
   const { trackExport } = useAnalytics()
 
@@ -31,6 +38,7 @@ const ExportButton = ({
     try {
       const currentFilters = getCurrentFilters(filters)
       const combinedFilters = { ...currentFilters, ...additionalFilters }
+      const jobOptions = { email: notifyEmail.trim() || undefined, onProgress: setJobProgress }
 
       // Estimate record count for analytics
       const estimatedRecords = data
@@ -41,20 +49,20 @@ const ExportButton = ({
 
       switch (exportType) {
         case 'completed-works':
-          await exportCompletedWorks(combinedFilters)
-          trackExport('completed_works', 'csv', estimatedRecords)
+          await exportCompletedWorks(combinedFilters, format, jobOptions)
+          trackExport('completed_works', format, estimatedRecords)
           break
         case 'recommended-works':
-          await exportRecommendedWorks(combinedFilters)
-          trackExport('recommended_works', 'csv', estimatedRecords)
+          await exportRecommendedWorks(combinedFilters, format, jobOptions)
+          trackExport('recommended_works', format, estimatedRecords)
           break
         case 'expenditures':
-          await exportExpenditures(combinedFilters)
-          trackExport('expenditures', 'csv', estimatedRecords)
+          await exportExpenditures(combinedFilters, format, jobOptions)
+          trackExport('expenditures', format, estimatedRecords)
           break
         case 'mp-summary':
-          await exportMPSummary(combinedFilters)
-          trackExport('mp_summary', 'csv', estimatedRecords)
+          await exportMPSummary(combinedFilters, format, jobOptions)
+          trackExport('mp_summary', format, estimatedRecords)
           break
         case 'json':
           if (data) {
@@ -70,6 +78,7 @@ const ExportButton = ({
       console.error('Export failed:', error)
     } finally {
       setIsExporting(false)
+      setJobProgress(null)
       setShowDropdown(false)
     }
   }
@@ -84,7 +93,7 @@ const ExportButton = ({
           variant="outline"
         >
           <FiDownload />
-          <span>{label || 'Export'}</span>
+          <span>{jobProgress !== null ? `Exporting ${jobProgress}%` : label || 'Export'}</span>
           <svg
             className={`dropdown-arrow ${showDropdown ? 'rotated' : ''}`}
             width="12"
@@ -97,6 +106,30 @@ const ExportButton = ({
 
         {showDropdown && (
           <div className="export-dropdown-menu">
+            <label className="export-format-select">
+              <span>Format</span>
+              <select
+                value={format}
+                onChange={e => setFormat(e.target.value)}
+                disabled={isExporting}
+              >
+                {EXPORT_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="export-notify-email">
+              <span>Email me large exports (subscribers, confirm by email)</span>
+              <input
+                type="email"
+                value={notifyEmail}
+                onChange={e => setNotifyEmail(e.target.value)}
+                placeholder="you@example.com"
+                disabled={isExporting}
+              />
+            </label>
             <Button
               className="dropdown-item"
               onClick={() => handleExport('completed-works')}
@@ -104,7 +137,7 @@ const ExportButton = ({
               variant="ghost"
             >
               <FiFileText />
-              <span>Completed Works (CSV)</span>
+              <span>Completed Works ({formatLabel})</span>
             </Button>
             <Button
               className="dropdown-item"
@@ -113,7 +146,7 @@ const ExportButton = ({
               variant="ghost"
             >
               <FiFileText />
-              <span>Recommended Works (CSV)</span>
+              <span>Recommended Works ({formatLabel})</span>
             </Button>
             <Button
               className="dropdown-item"
@@ -122,7 +155,7 @@ const ExportButton = ({
               variant="ghost"
             >
               <FiFileText />
-              <span>Expenditures (CSV)</span>
+              <span>Expenditures ({formatLabel})</span>
             </Button>
             <Button
               className="dropdown-item"
@@ -131,7 +164,7 @@ const ExportButton = ({
               variant="ghost"
             >
               <FiFileText />
-              <span>MP Summary (CSV)</span>
+              <span>MP Summary ({formatLabel})</span>
             </Button>
             {data && (
               <Button
@@ -172,13 +205,13 @@ const ExportButton = ({
       className={`export-button ${variant} ${isExporting ? 'exporting' : ''}`}
       onClick={() => handleExport(type)}
       disabled={isExporting}
-      title={isExporting ? 'Exporting...' : `Export as CSV`}
+      title={isExporting ? 'Exporting...' : `Export as ${formatLabel}`}
       variant={variant === 'secondary' ? 'outline' : 'default'}
     >
       {isExporting ? (
         <>
           <div className="loading-spinner"></div>
-          <span>Exporting...</span>
+          <span>{jobProgress !== null ? `Exporting ${jobProgress}%` : 'Exporting...'}</span>
         </>
       ) : (
         <>
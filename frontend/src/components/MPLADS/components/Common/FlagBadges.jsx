@@ -0,0 +1,67 @@
+import { FiAlertTriangle } from 'react-icons/fi'
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
+import './FlagBadges.css'
+
+const SEVERITY_LABELS = { high: 'High', medium: 'Medium', low: 'Low' }
+
+/**
+ * FlagBadges - One badge per anomaly flag; hovering a badge shows why it fired
+ *
+ * @param {Object} props
+ * @param {Array} props.flags - Flags from /api/analytics/flags
+ * @param {boolean} [props.showReason=false] - Print each reason under its badge instead of in a tooltip
+ * @param {string} [props.className=''] - Additional CSS classes for the wrapper
+ */
+const FlagBadges = ({ flags = [], showReason = false, className = '' }) => {
+  if (!flags || flags.length === 0) return null
+
+  if (showReason) {
+    return (
+      <ul className={`flag-list ${className}`}>
+        {flags.map(flag => (
+          <li key={flag._id} className="flag-list-item">
+            <span className={`flag-badge flag-${flag.severity}`}>
+              <FiAlertTriangle aria-hidden="true" />
+              {flag.title}
+            </span>
+            <span className="flag-severity">{SEVERITY_LABELS[flag.severity]} severity</span>
+            <p className="flag-reason">
+              {flag.workDescription && <strong>{flag.workDescription}: </strong>}
+              {flag.reason}
+            </p>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  return (
+    <TooltipProvider delayDuration={200}>
+      <div className={`flag-badges ${className}`}>
+        {flags.map(flag => (
+          <Tooltip key={flag._id}>
+            <TooltipTrigger asChild>
+              <span
+                className={`flag-badge flag-${flag.severity}`}
+                tabIndex={0}
+                aria-label={`${flag.title}: ${flag.reason}`}
+              >
+                <FiAlertTriangle aria-hidden="true" />
+                {flag.title}
+              </span>
+            </TooltipTrigger>
+            <TooltipContent
+              side="top"
+              className="max-w-[280px] bg-gray-800 text-white border-gray-700 text-sm"
+              sideOffset={5}
+            >
+              {flag.reason}
+            </TooltipContent>
+          </Tooltip>
+        ))}
+      </div>
+    </TooltipProvider>
+  )
+}
+
+export default FlagBadges
@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { FiBell, FiBellOff, FiCheckCircle } from 'react-icons/fi'
+import toast from 'react-hot-toast'
+import {
+  addFollow,
+  clearFollowToken,
+  getFollows,
+  getSavedFollowToken,
+  removeFollow,
+  requestFollow,
+} from '../../../../services/api/mailingList'
+import { sanitizeEmail } from '../../../../utils/inputSanitization'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import './FollowButton.css'
+
+/**
+ * Follow an MP, constituency, state or work for digest emails after each data update.
+ * With a saved manage token it follows directly; otherwise it emails the subscriber
+ * a confirmation link, which also saves the token for next time.
+ * @param {'mp'|'constituency'|'state'|'work'} type
+ * @param {string|number} id - mpId, constituencyId, state name or workId
+ * @param {string} label - Display name for emails and the manage page
+ * @param {string} [noun] - Added to the button text when a page has several ("Follow seat")
+ */
+const FollowButton = ({ type, id, label, noun, className = '' }) => {
+  const queryClient = useQueryClient()
+  const [token, setToken] = useState(getSavedFollowToken)
+  const [showForm, setShowForm] = useState(false)
+  const [email, setEmail] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [sent, setSent] = useState(false)
+
+  const followId = String(id)
+  const suffix = noun ? ` ${noun}` : ''
+  const { data } = useQuery({
+    queryKey: ['follows', token],
+    queryFn: async () => {
+      try {
+        return await getFollows(token)
+      } catch (error) {
+        // The token stopped working; fall back to the email link
+        if (error?.response?.status === 404) {
+          clearFollowToken()
+          setToken(null)
+        }
+        throw error
+      }
+    },
+    enabled: !!token,
+    retry: false,
+    staleTime: 60 * 1000,
+  })
+  const following = (data?.follows || []).some(f => f.type === type && f.id === followId)
+
+  const toggleFollow = async () => {
+    setBusy(true)
+    try {
+      const result = following
+        ? await removeFollow(token, type, followId)
+        : await addFollow(token, { type, id: followId, label })
+      queryClient.setQueryData(['follows', token], prev => ({ ...prev, follows: result.follows }))
+      toast.success(following ? `Unfollowed ${label}` : `Following ${label}`)
+    } catch {
+      // apiClient shows the error
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRequest = async e => {
+    e.preventDefault()
+    if (!email) return toast.error('Please enter your email')
+    setBusy(true)
+    try {
+      const result = await requestFollow(email, { type, id: followId, label })
+      toast.success(result?.message || 'Check your inbox to confirm')
+      setSent(true)
+    } catch (error) {
+      toast.error(error?.response?.data?.error || 'Something went wrong. Please try again later.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (token && data) {
+    return (
+      <Button
+        variant={following ? 'default' : 'outline'}
+        className={`action-btn gap-2 ${className}`}
+        onClick={toggleFollow}
+        disabled={busy}
+        aria-pressed={following}
+        title={following ? `Stop emails about ${label}` : `Email me updates about ${label}`}
+      >
+        {following ? <FiBellOff /> : <FiBell />}
+        <span>
+          {following ? 'Following' : 'Follow'}
+          {suffix}
+        </span>
+      </Button>
+    )
+  }
+
+  return (
+    <div className={`follow-container ${className}`}>
+      <Button
+        variant="outline"
+        className="action-btn gap-2"
+        onClick={() => setShowForm(open => !open)}
+        aria-expanded={showForm}
+        title={`Email me updates about ${label}`}
+      >
+        <FiBell />
+        <span>Follow{suffix}</span>
+      </Button>
+      {showForm && (
+        <div className="follow-popover">
+          {sent ? (
+            <p className="follow-sent">
+              <FiCheckCircle /> Check your inbox for a link to confirm.
+            </p>
+          ) : (
+            <form onSubmit={handleRequest}>
+              <p>
+                Get an email digest of new recommendations, completed works and payments for{' '}
+                <strong>{label}</strong> after each data update. Open to verified mailing list
+                subscribers.
+              </p>
+              <Input
+                type="email"
+                placeholder="Your subscribed email"
+                value={email}
+                onChange={e => setEmail(sanitizeEmail(e.target.value))}
+                disabled={busy}
+                required
+              />
+              <Button type="submit" size="sm" disabled={busy}>
+                {busy ? 'Sending…' : 'Email me a link'}
+              </Button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FollowButton
@@ -0,0 +1,39 @@
+import InfoTooltip from './InfoTooltip'
+import './PerCapitaToggle.css'
+
+/**
+ * Switch between raw totals and amounts per lakh people. Rows carry the
+ * per-capita figures in `normalized`, computed by the API from census data.
+ * @param {Object} props
+ * @param {boolean} props.value - Whether per-capita figures are shown
+ * @param {Function} props.onChange - Called with the new value
+ */
+const PerCapitaToggle = ({ value, onChange }) => (
+  <div className="per-capita-toggle">
+    <div className="per-capita-options" role="group" aria-label="Show amounts as">
+      <button
+        type="button"
+        className={!value ? 'active' : ''}
+        aria-pressed={!value}
+        onClick={() => onChange(false)}
+      >
+        Totals
+      </button>
+      <button
+        type="button"
+        className={value ? 'active' : ''}
+        aria-pressed={value}
+        onClick={() => onChange(true)}
+      >
+        Per lakh people
+      </button>
+    </div>
+    <InfoTooltip
+      content="Amounts per lakh (100,000) people, using Census 2011 population. Constituency populations are estimated as the state's population divided by its Lok Sabha seats. Rajya Sabha members represent a whole state and have no per-capita figure."
+      position="bottom"
+      size="small"
+    />
+  </div>
+)
+
+export default PerCapitaToggle
@@ -9,9 +9,11 @@ import {
   FiClock,
   FiCheck,
   FiAlertCircle,
+  FiRotateCcw,
 } from 'react-icons/fi'
 import { API_BASE_URL } from '../../../../utils/constants/api'
 import { useResponsive } from '../../../../hooks/useMediaQuery'
+import FollowButton from './FollowButton'
 import { Button } from '@/components/ui/button'
 import {
   Dialog,
@@ -22,11 +24,36 @@ import {
 } from '@/components/ui/dialog'
 import './ProjectDetailModal.css'
 
+// Readable labels for the fields tracked in the revision history
+const HISTORY_FIELD_LABELS = {
+  finalAmount: 'Final amount',
+  recommendedAmount: 'Recommended amount',
+  expenditureAmount: 'Payment amount',
+  completedDate: 'Completion date',
+  recommendationDate: 'Recommendation date',
+  expenditureDate: 'Payment date',
+  paymentStatus: 'Payment status',
+  workDescription: 'Description',
+  work: 'Work',
+  workCategory: 'Category',
+  averageRating: 'Rating',
+  hasImage: 'Photo',
+  ida: 'Implementing agency',
+  vendor: 'Vendor',
+}
+
+const HISTORY_SOURCE_LABELS = {
+  works_completed: 'Completed work',
+  works_recommended: 'Recommendation',
+  expenditures: 'Payment',
+}
+
 const ProjectDetailModal = ({ isOpen, onClose, workId, workType = 'completed' }) => {
   const [workData, setWorkData] = useState(null)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [_isClosing, setIsClosing] = useState(false)
+  const [history, setHistory] = useState([])
   const responsive = useResponsive()
 
   const fetchWorkDetails = useCallback(async () => {
@@ -61,6 +88,28 @@ const ProjectDetailModal = ({ isOpen, onClose, workId, workType = 'completed' })
     }
   }, [isOpen, workId, fetchWorkDetails])
 
+  // Revision history is optional context; failures just hide the section
+  useEffect(() => {
+    const historyWorkId = workData?.work_id
+    if (!isOpen || !historyWorkId) {
+      setHistory([])
+      return
+    }
+
+    let cancelled = false
+    fetch(`${API_BASE_URL}/works/${historyWorkId}/history`)
+      .then(response => response.json())
+      .then(result => {
+        if (!cancelled) setHistory(result.success ? result.data.timeline : [])
+      })
+      .catch(() => {
+        if (!cancelled) setHistory([])
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, workData?.work_id])
+
   const formatCurrency = amount => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -78,6 +127,27 @@ const ProjectDetailModal = ({ isOpen, onClose, workId, workType = 'completed' })
     })
   }
 
+  const formatHistoryValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—'
+    if (/Amount$/.test(field)) return formatCurrency(value)
+    if (/Date$/.test(field)) return formatDate(value)
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+    return String(value)
+  }
+
+  const describeHistoryChange = change => {
+    const source = HISTORY_SOURCE_LABELS[change.source] || 'Record'
+    if (change.changeType === 'added') {
+      const amount =
+        change.snapshot?.expenditureAmount ??
+        change.snapshot?.finalAmount ??
+        change.snapshot?.recommendedAmount
+      return `${source} added${amount ? ` (${formatCurrency(amount)})` : ''}`
+    }
+    if (change.changeType === 'removed') return `${source} removed from the portal`
+    return `${source} revised`
+  }
+
   const getStatusIcon = status => {
     switch (status?.toLowerCase()) {
       case 'completed':
@@ -160,6 +230,13 @@ const ProjectDetailModal = ({ isOpen, onClose, workId, workType = 'completed' })
                       {getStatusIcon(workData.status)}
                       {workType === 'completed' ? 'Completed' : workData.status || 'Recommended'}
                     </span>
+                    {workData.work_id && (
+                      <FollowButton
+                        type="work"
+                        id={workData.work_id}
+                        label={workData.work_description || `Work ${workData.work_id}`}
+                      />
+                    )}
                   </div>
                 </div>
                 <div className="project-amount">
@@ -387,6 +464,45 @@ const ProjectDetailModal = ({ isOpen, onClose, workId, workType = 'completed' })
                   </div>
                 </div>
               )}
+
+              {/* Revisions detected between data syncs */}
+              {history.length > 0 && (
+                <div className="history-section">
+                  <h4>
+                    <FiRotateCcw /> History
+                  </h4>
+                  <ol className="history-timeline">
+                    {history.map(event => (
+                      <li key={event.syncedAt} className="history-event">
+                        <span className="history-date">{formatDate(event.syncedAt)}</span>
+                        {event.changes.map(change => (
+                          <div key={change.id} className={`history-change ${change.changeType}`}>
+                            <span className="history-summary">{describeHistoryChange(change)}</span>
+                            {change.fields.length > 0 && (
+                              <ul className="history-fields">
+                                {change.fields.map(({ field, before, after }) => (
+                                  <li key={field}>
+                                    <span className="history-field">
+                                      {HISTORY_FIELD_LABELS[field] || field}:
+                                    </span>{' '}
+                                    <span className="history-before">
+                                      {formatHistoryValue(field, before)}
+                                    </span>{' '}
+                                    →{' '}
+                                    <span className="history-after">
+                                      {formatHistoryValue(field, after)}
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        ))}
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
             </div>
           ) : null}
         </div>
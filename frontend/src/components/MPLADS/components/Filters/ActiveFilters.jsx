@@ -26,6 +26,7 @@ const ActiveFilters = ({ className = '' }) => {
       state: 'State',
       constituency: 'Constituency',
       house: 'House',
+      party: 'Party',
       minUtilization: 'Min Utilization',
       maxUtilization: 'Max Utilization',
       minAmount: 'Min Amount',
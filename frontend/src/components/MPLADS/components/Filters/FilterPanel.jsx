@@ -10,6 +10,7 @@ import {
 import { useFilters } from '../../../../contexts/FilterContext'
 import { useResponsive } from '../../../../hooks/useMediaQuery'
 import { useFilterData } from '../../../../hooks/useFilterData'
+import { usePartyCoverage } from '../../../../hooks/useApi'
 import { sanitizeInput } from '../../../../utils/inputSanitization'
 import { RangeSlider } from '../Common/Slider'
 import ActiveFilters from './ActiveFilters'
@@ -25,12 +26,19 @@ import {
 import { Label } from '@/components/ui/label'
 import './FilterPanel.css'
 import { mpladsAPI } from '../../../../services/api/mplads'
-import { formatTermOrdinal, normalizeTerms } from '../../../../utils/lsTerm'
+import {
+  ALL_TERMS,
+  formatTermOrdinal,
+  getKnownTerms,
+  normalizeTerms,
+  parseTermOption,
+} from '../../../../utils/lsTerm'
 
 const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
   const { filters, updateFilter, resetFilters, getActiveFilterCount } = useFilters()
   const responsive = useResponsive()
   const { filterData, loading, error, fetchConstituencies } = useFilterData()
+  const { data: partyCoverage } = usePartyCoverage()
 
   // Use prop or detect mobile automatically
   const isMobile = propIsMobile || responsive.isMobile
@@ -64,7 +72,7 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
   }, [isMobile])
   const [validationErrors, setValidationErrors] = useState({})
   const [isClosing, setIsClosing] = useState(false)
-  const [terms, setTerms] = useState([18, 17])
+  const [terms, setTerms] = useState(getKnownTerms)
   const [termsLoading, setTermsLoading] = useState(false)
   const [termsError, setTermsError] = useState(null)
 
@@ -353,7 +361,7 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
   }
 
   // Dynamic filter data from database
-  const { states, houses, workStatuses, sectors } = filterData
+  const { states, houses, workStatuses, sectors, parties } = filterData
 
   // Update constituencies when state changes
   useEffect(() => {
@@ -485,7 +493,11 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
                     value={filters.house}
                     onValueChange={val => {
                       updateFilter('house', val)
-                      if (val === 'Both Houses') updateFilter('lsTerm', 18)
+                      if (val === 'Both Houses') updateFilter('lsTerm', null)
+                      else if (val === 'Lok Sabha' && !filters.lsTerm) {
+                        // Start from the latest term in the data
+                        updateFilter('lsTerm', terms[0])
+                      }
                     }}
                     disabled={loading.houses}
                   >
@@ -512,8 +524,8 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
                 <div className="filter-group">
                   <Label>Lok Sabha Term</Label>
                   <Select
-                    value={String(filters.lsTerm || 18)}
-                    onValueChange={value => updateFilter('lsTerm', Number(value))}
+                    value={String(filters.lsTerm || terms[0])}
+                    onValueChange={value => updateFilter('lsTerm', parseTermOption(value))}
                     disabled={
                       termsLoading ||
                       filters.house === 'Rajya Sabha' ||
@@ -529,6 +541,7 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
                           {formatTermOrdinal(t)}
                         </SelectItem>
                       ))}
+                      <SelectItem value={ALL_TERMS}>All terms</SelectItem>
                     </SelectContent>
                   </Select>
                   {termsError && (
@@ -538,6 +551,30 @@ const FilterPanel = ({ onClose, isMobile: propIsMobile = false }) => {
                     </div>
                   )}
                 </div>
+
+                {partyCoverage?.data?.available && (
+                  <div className="filter-group">
+                    <Label>Party</Label>
+                    <Select
+                      value={filters.party || 'all-parties'}
+                      onValueChange={value =>
+                        updateFilter('party', value === 'all-parties' ? '' : value)
+                      }
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="All Parties" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="all-parties">All Parties</SelectItem>
+                        {parties.map(party => (
+                          <SelectItem key={party} value={party}>
+                            {party}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
               </div>
             )}
           </div>
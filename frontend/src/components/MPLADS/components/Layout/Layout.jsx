@@ -1,11 +1,14 @@
 import { useEffect, useState } from 'react'
 import { Outlet } from 'react-router-dom'
 import Navigation from './NavigationSimple'
+import MLALADSNavigation from './MLALADSNavigation'
 import './Layout.css'
 import SiteFooter from '../../../common/SiteFooter'
 import { API_BASE_URL } from '../../../../utils/constants/api'
+import { useScheme } from '../../../../contexts/SchemeContext'
 
 const Layout = () => {
+  const scheme = useScheme()
   const [syncInfo, setSyncInfo] = useState({
     lastUpdated: '8/10/2025',
     nextUpdate: 'in 3 hours',
@@ -43,7 +46,7 @@ const Layout = () => {
 
   return (
     <div className="mplads-layout">
-      <Navigation />
+      {scheme.isMLALADS ? <MLALADSNavigation /> : <Navigation />}
       <main className="mplads-main">
         <div className="mplads-container">
           <Outlet />
@@ -51,7 +54,7 @@ const Layout = () => {
       </main>
       <SiteFooter
         className="mplads-footer"
-        extraInfo={`Data sourced from official MPLADS portal • Last updated: ${syncInfo.lastUpdated}${syncInfo.nextUpdate ? ` • Next update: ${syncInfo.nextUpdate}` : ''}`}
+        extraInfo={`Data sourced from ${scheme.sourceLabel} • Last updated: ${syncInfo.lastUpdated}${syncInfo.nextUpdate ? ` • Next update: ${syncInfo.nextUpdate}` : ''}`}
       />
     </div>
   )
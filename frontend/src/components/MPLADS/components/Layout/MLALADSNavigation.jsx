@@ -0,0 +1,171 @@
+import { Link, useLocation } from 'react-router-dom'
+import { FiMapPin, FiUsers, FiArrowLeft } from 'react-icons/fi'
+import { useState, useEffect } from 'react'
+import { useScheme } from '../../../../contexts/SchemeContext'
+import { mlaladsAPI } from '../../../../services/api/mlalads'
+import { ALL_TERMS } from '../../../../utils/lsTerm'
+
+const navItems = [
+  { title: 'Browse States', path: '/mlalads/states', icon: <FiMapPin /> },
+  { title: 'Browse MLAs', path: '/mlalads/mlas', icon: <FiUsers /> },
+]
+
+const MLALADSNavigation = () => {
+  const location = useLocation()
+  const { assemblyTerm, setAssemblyTerm } = useScheme()
+  const [availableTerms, setAvailableTerms] = useState([])
+
+  // Assembly terms present in any state's imported data
+  useEffect(() => {
+    let mounted = true
+    mlaladsAPI
+      .getTerms()
+      .then(resp => {
+        const terms = new Set()
+        ;(resp?.data || []).forEach(entry => {
+          ;(entry.assemblyTerms || []).forEach(t => terms.add(Number(t)))
+        })
+        if (mounted) setAvailableTerms(Array.from(terms).sort((a, b) => b - a))
+      })
+      .catch(() => {
+        // Keep the 'All assembly terms' option only
+      })
+    return () => {
+      mounted = false
+    }
+  }, [])
+
+  const isActive = path =>
+    location.pathname === path || (path === '/mlalads/states' && location.pathname === '/mlalads')
+
+  return (
+    <nav
+      style={{
+        background:
+          'linear-gradient(135deg, rgba(255, 255, 255, 0.95) 0%, rgba(248, 250, 252, 0.95) 100%)',
+        boxShadow: '0 4px 20px rgba(0, 0, 0, 0.08)',
+        position: 'sticky',
+        top: 0,
+        zIndex: 999,
+        borderBottom: '1px solid #e2e8f0',
+      }}
+    >
+      <div
+        style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '0.5rem',
+          padding: '0.5rem 1rem',
+          minHeight: '64px',
+        }}
+      >
+        <Link to="/mlalads" style={{ textDecoration: 'none', color: '#1a1a1a' }}>
+          <h2
+            style={{
+              margin: 0,
+              fontSize: '1.5rem',
+              fontWeight: 800,
+              background: 'linear-gradient(135deg, #2563eb 0%, #f59e0b 100%)',
+              WebkitBackgroundClip: 'text',
+              WebkitTextFillColor: 'transparent',
+              backgroundClip: 'text',
+            }}
+          >
+            MLALADS Dashboard
+          </h2>
+          <span
+            style={{
+              fontSize: '0.75rem',
+              color: '#2563eb',
+              fontWeight: 600,
+              textTransform: 'uppercase',
+              letterSpacing: '0.05em',
+            }}
+          >
+            Empowered Indian
+          </span>
+        </Link>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center' }}>
+          {navItems.map(item => (
+            <Link
+              key={item.path}
+              to={item.path}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                padding: '0.5rem 1rem',
+                textDecoration: 'none',
+                color: isActive(item.path) ? '#2563eb' : '#4a5568',
+                backgroundColor: isActive(item.path) ? '#eff6ff' : 'transparent',
+                borderRadius: '0.5rem',
+                fontWeight: isActive(item.path) ? 600 : 400,
+              }}
+            >
+              <span>{item.icon}</span>
+              <span>{item.title}</span>
+            </Link>
+          ))}
+
+          <div
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              marginLeft: '0.75rem',
+              paddingLeft: '0.75rem',
+              borderLeft: '1px solid #e2e8f0',
+            }}
+          >
+            <label
+              htmlFor="assembly-term-select"
+              style={{ fontSize: '0.8125rem', color: '#4a5568' }}
+            >
+              Assembly Term
+            </label>
+            <select
+              id="assembly-term-select"
+              value={String(assemblyTerm || ALL_TERMS)}
+              onChange={e => setAssemblyTerm(e.target.value)}
+              style={{
+                padding: '0.375rem 0.5rem',
+                border: '1px solid #cbd5e1',
+                borderRadius: '0.375rem',
+                background: '#ffffff',
+                color: '#1f2937',
+              }}
+            >
+              <option value={ALL_TERMS}>All terms</option>
+              {availableTerms.map(t => (
+                <option key={t} value={String(t)}>
+                  Term {t}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <Link
+            to="/mplads"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.375rem',
+              padding: '0.5rem 1rem',
+              textDecoration: 'none',
+              color: '#4a5568',
+              fontSize: '0.875rem',
+            }}
+          >
+            <FiArrowLeft />
+            <span>MPLADS</span>
+          </Link>
+        </div>
+      </div>
+    </nav>
+  )
+}
+
+export default MLALADSNavigation
@@ -9,11 +9,20 @@ import {
   FiX,
   FiMapPin,
   FiUsers,
+  FiBriefcase,
+  FiFlag,
 } from 'react-icons/fi'
 import { useState, useEffect } from 'react'
 import { useFilters } from '../../../../contexts/FilterContext'
 import { mpladsAPI } from '../../../../services/api/mplads'
-import { formatTermOrdinal, normalizeTerms } from '../../../../utils/lsTerm'
+import { usePartyCoverage } from '../../../../hooks/useApi'
+import {
+  ALL_TERMS,
+  formatTermOrdinal,
+  getKnownTerms,
+  normalizeTerms,
+  parseTermOption,
+} from '../../../../utils/lsTerm'
 import { Button } from '@/components/ui/button'
 
 const NavigationSimple = () => {
@@ -21,8 +30,9 @@ const NavigationSimple = () => {
   const [isOpen, setIsOpen] = useState(false)
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768)
   const { filters, updateFilter } = useFilters()
-  const [availableTerms, setAvailableTerms] = useState([18, 17])
+  const [availableTerms, setAvailableTerms] = useState(getKnownTerms)
   const [loadingTerms, setLoadingTerms] = useState(false)
+  const { data: partyCoverage } = usePartyCoverage()
 
   const navItems = [
     {
@@ -53,6 +63,22 @@ const NavigationSimple = () => {
       description: 'MP performance data',
       category: 'secondary',
     },
+    {
+      title: 'Vendors',
+      path: '/mplads/vendors',
+      icon: <FiBriefcase />,
+      description: 'Who MPLADS funds are paid to',
+      category: 'secondary',
+    },
+    {
+      title: 'Parties',
+      path: '/mplads/parties',
+      icon: <FiFlag />,
+      description: 'Party & alliance comparison',
+      category: 'secondary',
+      // Shown once most MPs have a sourced party affiliation
+      hidden: !partyCoverage?.data?.available,
+    },
     {
       title: 'Compare',
       path: '/mplads/compare',
@@ -69,9 +95,10 @@ const NavigationSimple = () => {
     },
   ]
 
-  const primaryItems = navItems.filter(item => item.category === 'primary')
-  const secondaryItems = navItems.filter(item => item.category === 'secondary')
-  const utilityItems = navItems.filter(item => item.category === 'utility')
+  const visibleItems = navItems.filter(item => !item.hidden)
+  const primaryItems = visibleItems.filter(item => item.category === 'primary')
+  const secondaryItems = visibleItems.filter(item => item.category === 'secondary')
+  const utilityItems = visibleItems.filter(item => item.category === 'utility')
 
   // Handle responsive detection
   useEffect(() => {
@@ -127,7 +154,9 @@ const NavigationSimple = () => {
         const normalized = normalizeTerms(cached)
         if (normalized.length) {
           setAvailableTerms(normalized)
-          if (!filters.lsTerm) updateFilter('lsTerm', Number(normalized[0]))
+          if (!filters.lsTerm && filters.house === 'Lok Sabha') {
+            updateFilter('lsTerm', Number(normalized[0]))
+          }
         }
       }
 
@@ -138,7 +167,9 @@ const NavigationSimple = () => {
         if (mounted && normalized.length > 0) {
           setAvailableTerms(normalized)
           toCache(normalized)
-          if (!filters.lsTerm) updateFilter('lsTerm', Number(normalized[0]))
+          if (!filters.lsTerm && filters.house === 'Lok Sabha') {
+            updateFilter('lsTerm', Number(normalized[0]))
+          }
         }
       } catch {
         // stick to cache/fallback
@@ -237,7 +268,7 @@ const NavigationSimple = () => {
               alignItems: 'center',
             }}
           >
-            {navItems.map(item => (
+            {visibleItems.map(item => (
               <Link
                 key={item.path}
                 to={item.path}
@@ -282,7 +313,10 @@ const NavigationSimple = () => {
                       const val = e.target.value
                       updateFilter('house', val)
                       if (val === 'Both Houses') {
-                        updateFilter('lsTerm', 18)
+                        updateFilter('lsTerm', null)
+                      } else if (val === 'Lok Sabha' && !filters.lsTerm) {
+                        // Start from the latest term in the data
+                        updateFilter('lsTerm', availableTerms[0])
                       }
                     }}
                     style={{
@@ -317,8 +351,8 @@ const NavigationSimple = () => {
                   </label>
                   <select
                     id="ls-term-select"
-                    value={Number(filters.lsTerm) || 18}
-                    onChange={e => updateFilter('lsTerm', Number(e.target.value))}
+                    value={String(filters.lsTerm || availableTerms[0])}
+                    onChange={e => updateFilter('lsTerm', parseTermOption(e.target.value))}
                     disabled={
                       loadingTerms ||
                       filters.house === 'Rajya Sabha' ||
@@ -337,6 +371,7 @@ const NavigationSimple = () => {
                         {formatTermOrdinal(t)}
                       </option>
                     ))}
+                    <option value={ALL_TERMS}>All terms</option>
                   </select>
                 </div>
               </>
@@ -516,7 +551,10 @@ const NavigationSimple = () => {
                       onChange={e => {
                         const val = e.target.value
                         updateFilter('house', val)
-                        if (val === 'Both Houses') updateFilter('lsTerm', 18)
+                        if (val === 'Both Houses') updateFilter('lsTerm', null)
+                        else if (val === 'Lok Sabha' && !filters.lsTerm) {
+                          updateFilter('lsTerm', availableTerms[0])
+                        }
                       }}
                       style={{
                         padding: '0.5rem',
@@ -565,8 +603,8 @@ const NavigationSimple = () => {
                       </div>
                     </div>
                     <select
-                      value={Number(filters.lsTerm) || 18}
-                      onChange={e => updateFilter('lsTerm', Number(e.target.value))}
+                      value={String(filters.lsTerm || availableTerms[0])}
+                      onChange={e => updateFilter('lsTerm', parseTermOption(e.target.value))}
                       disabled={
                         loadingTerms ||
                         filters.house === 'Rajya Sabha' ||
@@ -585,6 +623,7 @@ const NavigationSimple = () => {
                           {formatTermOrdinal(t)}
                         </option>
                       ))}
+                      <option value={ALL_TERMS}>All terms</option>
                     </select>
                   </div>
                 </div>
@@ -0,0 +1,86 @@
+import { Link } from 'react-router-dom'
+import { formatINRCompact } from '../../../../utils/formatters'
+import { formatTermOrdinal } from '../../../../utils/lsTerm'
+import { buildMPSlug } from '../../../../utils/slug'
+import './CareerTimeline.css'
+
+const tenureLabel = tenure =>
+  tenure.house === 'Lok Sabha' && tenure.lsTerm
+    ? `${formatTermOrdinal(tenure.lsTerm)} Lok Sabha`
+    : tenure.house
+
+/**
+ * One MP's tenures across houses and terms, from the `career` block of
+ * GET /api/mplads/mps/:id. Other tenures link to their own MP page.
+ * @param {Object} props
+ * @param {Object} props.career - { name, aliases, tenures, totals }
+ * @param {string} props.currentId - Summary ID of the tenure being viewed
+ */
+const CareerTimeline = ({ career, currentId }) => {
+  if (!career?.tenures?.length) return null
+  const { totals, tenures } = career
+  const otherNames = (career.aliases || []).filter(alias => alias !== career.name)
+
+  return (
+    <div className="career-timeline">
+      <div className="career-totals">
+        <div>
+          <span className="career-total-value">{totals.tenures}</span>
+          <span className="career-total-label">{totals.tenures === 1 ? 'Tenure' : 'Tenures'}</span>
+        </div>
+        <div>
+          <span className="career-total-value">{formatINRCompact(totals.allocatedAmount)}</span>
+          <span className="career-total-label">Allocated</span>
+        </div>
+        <div>
+          <span className="career-total-value">{formatINRCompact(totals.totalExpenditure)}</span>
+          <span className="career-total-label">Spent</span>
+        </div>
+        <div>
+          <span className="career-total-value">
+            {(totals.utilizationPercentage || 0).toFixed(1)}%
+          </span>
+          <span className="career-total-label">Utilization</span>
+        </div>
+      </div>
+
+      {otherNames.length > 0 && (
+        <p className="career-aliases">Also published as {otherNames.join(', ')}</p>
+      )}
+
+      <ol className="career-list">
+        {tenures.map(tenure => {
+          const current = tenure.id === String(currentId)
+          const seat = [tenure.constituency, tenure.state].filter(Boolean).join(', ')
+          return (
+            <li key={tenure.id} className={`career-item ${current ? 'current' : ''}`}>
+              <div className="career-item-main">
+                <span className="career-house">{tenureLabel(tenure)}</span>
+                <span className="career-seat">{seat}</span>
+                {tenure.party && <span className="career-party">{tenure.party}</span>}
+                {current ? (
+                  <span className="career-current">Viewing</span>
+                ) : (
+                  <Link
+                    className="career-link"
+                    to={`/mplads/mps/${encodeURIComponent(buildMPSlug({ ...tenure, name: tenure.mpName }))}`}
+                  >
+                    View tenure
+                  </Link>
+                )}
+              </div>
+              <div className="career-item-stats">
+                <span>{formatINRCompact(tenure.allocatedAmount)} allocated</span>
+                <span>{formatINRCompact(tenure.totalExpenditure)} spent</span>
+                <span>{(tenure.utilizationPercentage || 0).toFixed(1)}% utilized</span>
+                <span>{tenure.completedWorksCount} works completed</span>
+              </div>
+            </li>
+          )
+        })}
+      </ol>
+    </div>
+  )
+}
+
+export default CareerTimeline
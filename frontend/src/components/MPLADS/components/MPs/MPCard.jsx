@@ -15,6 +15,7 @@ import './MPCard.css'
 import { formatINRCompact } from '../../../../utils/formatters'
 import { buildMPSlugHuman, normalizeMPSlug } from '../../../../utils/slug'
 import { useFilters } from '../../../../contexts/FilterContext'
+import { useScheme } from '../../../../contexts/SchemeContext'
 
 const MPCard = ({ mp, rank }) => {
   const formatCurrency = amount => formatINRCompact(amount)
@@ -43,6 +44,7 @@ const MPCard = ({ mp, rank }) => {
   }
 
   const { filters } = useFilters()
+  const scheme = useScheme()
   const mpId = mp.id || mp._id
   const slug = normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }))
   // Use utilization percentage as primary metric
@@ -59,7 +61,14 @@ const MPCard = ({ mp, rank }) => {
   const showWarning = hasPaymentGap(mp)
 
   return (
-    <Link to={`/mplads/mps/${encodeURIComponent(slug || String(mpId))}`} className="mp-card">
+    <Link
+      to={
+        scheme.hasMemberDetail
+          ? `${scheme.basePath}/${scheme.membersPath}/${encodeURIComponent(slug || String(mpId))}`
+          : `${scheme.basePath}/states/${(mp.state || '').toLowerCase().replace(/\s+/g, '-')}`
+      }
+      className="mp-card"
+    >
       <div className="mp-card-header">
         <div className="mp-info">
           <div className="mp-avatar">
@@ -77,6 +86,11 @@ const MPCard = ({ mp, rank }) => {
             </div>
             <div className="mp-party-info">
               <span className="house-badge">{mp.house}</span>
+              {mp.party && (
+                <span className="party-badge" title={mp.alliance || undefined}>
+                  {mp.party}
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -0,0 +1,198 @@
+import { useState } from 'react'
+import { FiCrosshair, FiMapPin } from 'react-icons/fi'
+import { useNearbyWorks } from '../../../../hooks/useApi'
+import { formatINRCompact } from '../../../../utils/formatters'
+import { hasPincodeTable, isValidPincode, lookupPincode } from '../../../../utils/pincodes'
+import NearbyWorksMap from '../Charts/NearbyWorksMap'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import './NearbyWorks.css'
+
+const RADIUS_OPTIONS = [2, 5, 10, 25, 50]
+
+const GEOLOCATION_ERRORS = {
+  1: 'Location permission was denied. Allow it in your browser settings.',
+  2: 'Your location could not be determined. Try again.',
+  3: 'Finding your location took too long. Try again.',
+}
+
+/**
+ * "Projects near me": finds works with geotagged photos around the browser's
+ * location or a PIN code, resolved offline from the bundled PIN table
+ */
+const NearbyWorks = () => {
+  const [origin, setOrigin] = useState(null)
+  const [radius, setRadius] = useState(5)
+  const [pincode, setPincode] = useState('')
+  const [locating, setLocating] = useState(false)
+  const [locateError, setLocateError] = useState('')
+  const pincodeSearch = hasPincodeTable()
+  const pincodeHint = pincodeSearch ? ' Or search by PIN code.' : ''
+
+  const { data, isLoading, error } = useNearbyWorks(
+    origin ? { lat: origin.lat, lng: origin.lng, radius } : {},
+    { enabled: Boolean(origin) }
+  )
+  const works = data?.data?.works || []
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      setLocateError(`This browser cannot share its location.${pincodeHint}`)
+      return
+    }
+    setLocating(true)
+    setLocateError('')
+    navigator.geolocation.getCurrentPosition(
+      position => {
+        setLocating(false)
+        setOrigin({
+          lat: Number(position.coords.latitude.toFixed(5)),
+          lng: Number(position.coords.longitude.toFixed(5)),
+          label: 'your location',
+        })
+      },
+      geoError => {
+        setLocating(false)
+        setLocateError(
+          `${GEOLOCATION_ERRORS[geoError.code] || GEOLOCATION_ERRORS[2]}${pincodeHint}`
+        )
+      },
+      { enableHighAccuracy: false, timeout: 15000, maximumAge: 5 * 60 * 1000 }
+    )
+  }
+
+  const searchPincode = async event => {
+    event.preventDefault()
+    if (!isValidPincode(pincode)) {
+      setLocateError('Enter a six-digit PIN code.')
+      return
+    }
+    setLocateError('')
+    const point = await lookupPincode(pincode)
+    if (!point) {
+      setLocateError(`PIN code ${pincode} was not found.`)
+      return
+    }
+    setOrigin({ ...point, label: `PIN ${pincode.trim()}` })
+  }
+
+  return (
+    <div className="nearby-works">
+      <div className="search-form">
+        <div className="form-row">
+          <div className="form-group">
+            <Label>Your location</Label>
+            <Button type="button" onClick={locateMe} disabled={locating} variant="outline">
+              <FiCrosshair aria-hidden="true" />
+              {locating ? 'Locating...' : 'Use my location'}
+            </Button>
+          </div>
+
+          {pincodeSearch && (
+            <form className="form-group" onSubmit={searchPincode}>
+              <Label htmlFor="nearby-pincode">Or a PIN code</Label>
+              <div className="nearby-pincode">
+                <Input
+                  id="nearby-pincode"
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="e.g. 110001"
+                  value={pincode}
+                  onChange={event => setPincode(event.target.value.replace(/\D/g, ''))}
+                />
+                <Button type="submit" variant="outline">
+                  Search
+                </Button>
+              </div>
+            </form>
+          )}
+
+          <div className="form-group">
+            <Label htmlFor="nearby-radius">Within</Label>
+            <Select value={String(radius)} onValueChange={value => setRadius(Number(value))}>
+              <SelectTrigger id="nearby-radius">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {RADIUS_OPTIONS.map(km => (
+                  <SelectItem key={km} value={String(km)}>
+                    {km} km
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        {locateError && (
+          <p className="nearby-error" role="alert">
+            {locateError}
+          </p>
+        )}
+      </div>
+
+      {!origin && (
+        <div className="placeholder-section">
+          <div className="placeholder-content">
+            <div className="placeholder-icon">
+              <FiMapPin size={64} />
+            </div>
+            <h3>Find Projects Near You</h3>
+            <p>
+              Share your location{pincodeSearch ? ' or enter a PIN code' : ''} to see MPLADS works
+              around you. Only works whose site photos carry a location can be placed on the map.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {origin && (
+        <div className="results-section">
+          <h2>
+            Projects within {radius} km of {origin.label}
+          </h2>
+          {isLoading && <div className="loading">Searching nearby works...</div>}
+          {error && <div className="error">Could not load nearby works. Please try again.</div>}
+          {!isLoading && !error && works.length === 0 && (
+            <div className="no-results">
+              No geotagged works within {radius} km. Try a larger radius.
+            </div>
+          )}
+          {works.length > 0 && (
+            <>
+              <NearbyWorksMap center={origin} radiusKm={radius} works={works} />
+              <ul className="nearby-list">
+                {works.map(work => (
+                  <li key={`${work.type}-${work._id}`} className="nearby-item">
+                    <div className="nearby-item-main">
+                      <span className={`nearby-type ${work.type}`}>{work.type}</span>
+                      <span className="nearby-description">
+                        {work.workDescription || `Work ${work.workId}`}
+                      </span>
+                      <span className="nearby-meta">
+                        {[work.mpName, work.constituency, work.state].filter(Boolean).join(' · ')}
+                      </span>
+                    </div>
+                    <div className="nearby-item-side">
+                      <span className="nearby-amount">{formatINRCompact(work.amount)}</span>
+                      <span className="nearby-distance">{work.distanceKm} km</span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NearbyWorks
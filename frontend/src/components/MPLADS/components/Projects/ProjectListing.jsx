@@ -5,10 +5,12 @@ import {
   useRecommendedWorks,
   useWorkCategories,
   useMPWorks,
+  useAnomalyFlags,
 } from '../../../../hooks/useApi'
 import { sanitizeInput } from '../../../../utils/inputSanitization'
 import RangeSlider from '../Common/Slider/RangeSlider'
 import PaymentDetailsModal from '../Common/PaymentDetailsModal'
+import FlagBadges from '../Common/FlagBadges'
 import { formatINRCompact } from '../../../../utils/formatters'
 import { useDebounce } from '../../../../hooks/useDebounce'
 import { Button } from '@/components/ui/button'
@@ -138,6 +140,35 @@ const ProjectListing = ({
   // Backend now handles deduplication - no frontend filtering needed
   const projects = rawProjects
 
+  // Red flags for the works on this page
+  const flagWorkIds = Array.from(
+    new Set(projects.map(project => project.workId).filter(id => id !== null && id !== undefined))
+  ).join(',')
+  const { data: flagsData } = useAnomalyFlags(
+    {
+      work_ids: flagWorkIds,
+      entity: 'work',
+      limit: 100,
+      ...(constituency ? { house: 'Lok Sabha' } : {}),
+    },
+    { enabled: !!flagWorkIds }
+  )
+  const flagsByWork = useMemo(() => {
+    const byWork = new Map()
+    ;(flagsData?.data?.flags || []).forEach(flag => {
+      byWork.set(flag.workId, [...(byWork.get(flag.workId) || []), flag])
+    })
+    return byWork
+  }, [flagsData])
+
+  // workId is only unique within a house and term
+  const getProjectFlags = project =>
+    (flagsByWork.get(project.workId) || []).filter(
+      flag =>
+        !project.house ||
+        (flag.house === project.house && (flag.lsTerm ?? null) === (project.lsTerm ?? null))
+    )
+
   const pagination = currentData?.data?.pagination || {}
   // Normalize pagination object - API returns 'pages' but we use 'totalPages'
   if (pagination.pages && !pagination.totalPages) {
@@ -432,6 +463,7 @@ const ProjectListing = ({
                   <span className="project-category">
                     {project.workCategory || project.category || 'Normal/Others'}
                   </span>
+                  <FlagBadges flags={getProjectFlags(project)} className="project-flags" />
                 </CardHeader>
 
                 <CardContent className="project-details">
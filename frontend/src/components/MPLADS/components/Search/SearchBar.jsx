@@ -1,18 +1,26 @@
 import { useEffect, useRef, useState } from 'react'
-import { FiSearch, FiX, FiUser, FiMapPin, FiFileText } from 'react-icons/fi'
+import { FiSearch, FiX, FiUser, FiMapPin, FiFileText, FiBriefcase } from 'react-icons/fi'
 import { useNavigate } from 'react-router-dom'
 import { useFilters } from '../../../../contexts/FilterContext'
 import { useAnalytics } from '../../../../hooks/useAnalytics'
 import { useDebounce } from '../../../../hooks/useDebounce'
-import { useSearchMPs } from '../../../../hooks/useApi'
+import { useSearch } from '../../../../hooks/useApi'
 import { sanitizeInput, sanitizeForSubmission } from '../../../../utils/inputSanitization'
 import './SearchBar.css'
-import { buildMPSlugHuman, normalizeMPSlug } from '../../../../utils/slug'
+import { getSearchGroups, getSearchResultPath } from './searchResults'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 
+// Icons for each result type of the unified search
+const TYPE_ICONS = {
+  mp: <FiUser />,
+  constituency: <FiMapPin />,
+  work: <FiFileText />,
+  vendor: <FiBriefcase />,
+}
+
 // A lean and robust search bar built from scratch.
-// - No suggestions dropdown
+// - Suggestions grouped by type (MPs, constituencies, works, vendors)
 // - Syncs with global filters
 // - Submits on Enter or on clicking the search button
 // - Simple, accessible markup
@@ -26,8 +34,10 @@ const SearchBar = ({ placeholder = 'Search MPs, constituencies, or projects...'
   const [activeIndex, setActiveIndex] = useState(-1)
 
   const debounced = useDebounce(query, 250)
-  const { data, isLoading } = useSearchMPs(debounced)
-  const suggestions = Array.isArray(data?.data?.mps) ? data.data.mps : data?.data || []
+  const { data, isLoading } = useSearch(debounced, { limit: 3 })
+  const groups = getSearchGroups(data)
+  // Flat list in display order for keyboard navigation
+  const suggestions = groups.flatMap(group => group.items)
 
   // Keep local state in sync if filters change elsewhere
   useEffect(() => {
@@ -52,30 +62,30 @@ const SearchBar = ({ placeholder = 'Search MPs, constituencies, or projects...'
 
   const normalize = str => (str || '').toString().trim().toLowerCase().replace(/\s+/g, ' ')
 
+  const openSuggestion = (s, source) => {
+    const path = getSearchResultPath(s)
+    if (!path) return false
+    trackEngagement(s.type === 'mp' ? 'mp_profile' : `search_${s.type}`, s._id, source)
+    navigate(path)
+    setOpen(false)
+    return true
+  }
+
+  // A constituency typed in full goes straight to its MP
   const tryNavigateDirectToMP = value => {
     const norm = normalize(value)
-    if (!norm || suggestions.length === 0) return false
+    if (!norm) return false
 
     const match = suggestions.find(s => {
-      const constituency = normalize(s?.constituency)
-      const state = normalize(s?.state)
-      const combos = [
-        constituency,
-        `${constituency}, ${state}`.trim(),
-        `${constituency} ${state}`.trim(),
-      ].filter(Boolean)
-      return combos.includes(norm)
+      if (s?.type !== 'constituency') return false
+      const constituency = normalize(s.title)
+      const state = normalize(s.state)
+      return [constituency, `${constituency}, ${state}`, `${constituency} ${state}`].includes(norm)
     })
-
-    const id = match?._id || match?.id
-    if (id) {
-      const slug = normalizeMPSlug(
-        buildMPSlugHuman(match, { lsTerm: filters?.lsTerm }) || String(id)
-      )
-      navigate(`/mplads/mps/${encodeURIComponent(slug)}`)
-      return true
-    }
-    return false
+    const path = getSearchResultPath(match)
+    if (!path) return false
+    navigate(path)
+    return true
   }
 
   const submit = () => {
@@ -107,16 +117,7 @@ const SearchBar = ({ placeholder = 'Search MPs, constituencies, or projects...'
     } else if (e.key === 'Enter') {
       e.preventDefault()
       if (activeIndex >= 0 && suggestions[activeIndex]) {
-        const s = suggestions[activeIndex]
-        const id = s?._id || s?.id
-        if (id) {
-          const slug = normalizeMPSlug(
-            buildMPSlugHuman(s, { lsTerm: filters?.lsTerm }) || String(id)
-          )
-          navigate(`/mplads/mps/${encodeURIComponent(slug)}`)
-          setOpen(false)
-          return
-        }
+        if (openSuggestion(suggestions[activeIndex], 'suggestion_keyboard')) return
       }
       submit()
     } else if (e.key === 'Escape') {
@@ -175,47 +176,33 @@ const SearchBar = ({ placeholder = 'Search MPs, constituencies, or projects...'
             <div className="ni-suggestion ni-suggestion--loading">Searching…</div>
           ) : suggestions.length > 0 ? (
             <>
-              {suggestions.map((s, idx) => (
-                <div
-                  key={`${s._id || s.id || idx}`}
-                  role="option"
-                  aria-selected={idx === activeIndex}
-                  className={`ni-suggestion ${idx === activeIndex ? 'is-active' : ''}`}
-                  onMouseEnter={() => setActiveIndex(idx)}
-                  onClick={() => {
-                    const id = s?._id || s?.id
-                    if (id) {
-                      trackEngagement('mp_profile', id, 'suggestion_click')
-                      const slug = normalizeMPSlug(
-                        buildMPSlugHuman(s, { lsTerm: filters?.lsTerm }) || String(id)
-                      )
-                      navigate(`/mplads/mps/${encodeURIComponent(slug)}`)
-                      setOpen(false)
-                    }
-                  }}
-                >
-                  <span className="ni-suggestion__icon" aria-hidden="true">
-                    {/* Basic type-based icon support; fallback to user */}
-                    {s?.type === 'constituency' ? (
-                      <FiMapPin />
-                    ) : s?.type === 'project' ? (
-                      <FiFileText />
-                    ) : (
-                      <FiUser />
-                    )}
-                  </span>
-                  <span className="ni-suggestion__body">
-                    <span className="ni-suggestion__title">
-                      {s?.name || s?.mpName || 'Unnamed'}
-                    </span>
-                    {s?.constituency && (
-                      <span className="ni-suggestion__meta">
-                        {s.constituency}
-                        {s?.state ? `, ${s.state}` : ''}
-                      </span>
-                    )}
-                  </span>
-                  <span className="ni-suggestion__type">{s?.type || 'mp'}</span>
+              {groups.map(group => (
+                <div key={group.type} role="group" aria-label={group.label}>
+                  <div className="ni-suggestion__group">{group.label}</div>
+                  {group.items.map(s => {
+                    const idx = suggestions.indexOf(s)
+                    return (
+                      <div
+                        key={`${s.type}-${s._id || idx}`}
+                        role="option"
+                        aria-selected={idx === activeIndex}
+                        className={`ni-suggestion ${idx === activeIndex ? 'is-active' : ''}`}
+                        onMouseEnter={() => setActiveIndex(idx)}
+                        onClick={() => {
+                          if (!openSuggestion(s, 'suggestion_click')) submit()
+                        }}
+                      >
+                        <span className="ni-suggestion__icon" aria-hidden="true">
+                          {TYPE_ICONS[s.type] || <FiUser />}
+                        </span>
+                        <span className="ni-suggestion__body">
+                          <span className="ni-suggestion__title">{s.title || 'Unnamed'}</span>
+                          {s.subtitle && <span className="ni-suggestion__meta">{s.subtitle}</span>}
+                        </span>
+                        <span className="ni-suggestion__type">{s.type}</span>
+                      </div>
+                    )
+                  })}
                 </div>
               ))}
               <div
@@ -0,0 +1,56 @@
+import { buildMPSlugHuman, normalizeMPSlug } from '../../../../utils/slug'
+
+// Display order and headings for the grouped results of /api/search
+export const SEARCH_GROUPS = [
+  { type: 'mp', label: 'MPs' },
+  { type: 'constituency', label: 'Constituencies' },
+  { type: 'work', label: 'Works' },
+  { type: 'vendor', label: 'Vendors' },
+]
+
+const mpPath = mp => {
+  const slug = normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: mp.lsTerm }))
+  return slug ? `/mplads/mps/${encodeURIComponent(slug)}` : null
+}
+
+/**
+ * Page a search result links to: the MP, the constituency's latest MP, the MP
+ * who recommended a work or the vendor's own page
+ */
+export const getSearchResultPath = item => {
+  if (!item) return null
+  switch (item.type) {
+    case 'mp':
+      return mpPath({ ...item, name: item.title })
+    case 'constituency': {
+      const latest = item.mps?.[0]
+      return latest
+        ? mpPath({
+            ...latest,
+            name: latest.mpName,
+            constituency: item.constituency,
+            state: item.state,
+            house: 'Lok Sabha',
+          })
+        : null
+    }
+    case 'work':
+      return item.mpName ? mpPath({ ...item, name: item.mpName }) : null
+    case 'vendor':
+      return `/mplads/vendors/${encodeURIComponent(item.title)}`
+    default:
+      return null
+  }
+}
+
+/**
+ * Non-empty groups of a search response, in display order
+ */
+export const getSearchGroups = response => {
+  const groups = response?.data?.groups || {}
+  return SEARCH_GROUPS.filter(({ type }) => groups[type]?.items?.length > 0).map(group => ({
+    ...group,
+    total: groups[group.type].total,
+    items: groups[group.type].items,
+  }))
+}
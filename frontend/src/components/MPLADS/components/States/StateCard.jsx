@@ -2,9 +2,11 @@ import { Link } from 'react-router-dom'
 import { FiUsers, FiTrendingUp, FiCheckCircle, FiMapPin, FiInfo } from 'react-icons/fi'
 import InfoTooltip from '../Common/InfoTooltip'
 import './StateCard.css'
-import { formatINRCompact } from '../../../../utils/formatters'
+import { formatINRCompact, formatPerLakh } from '../../../../utils/formatters'
+import { useScheme } from '../../../../contexts/SchemeContext'
 
-const StateCard = ({ state }) => {
+const StateCard = ({ state, perCapita = false }) => {
+  const scheme = useScheme()
   // Extract data from state object with proper fallbacks
   const name = state.name || state.state || 'Unknown State'
   const totalMPs = state.totalMPs || state.mpCount || 0
@@ -13,6 +15,8 @@ const StateCard = ({ state }) => {
   const utilizationPercentage = state.utilizationPercentage || 0
   const totalWorksCompleted = state.totalWorksCompleted || state.completedWorksCount || 0
   const totalWorksRecommended = state.totalWorksRecommended || state.recommendedWorksCount || 0
+  // Per-lakh figures replace the totals when the per-capita view is on
+  const normalized = perCapita ? state.normalized : null
   const rank = state.rank || 0
   const totalStates = state.totalStates || 0
 
@@ -35,7 +39,7 @@ const StateCard = ({ state }) => {
   const stateSlug = stateName.toLowerCase().replace(/\s+/g, '-')
 
   return (
-    <Link to={`/mplads/states/${stateSlug}`} className="state-card">
+    <Link to={`${scheme.basePath}/states/${stateSlug}`} className="state-card">
       <div className="state-card-header">
         <div className="state-info">
           <h3 className="state-name" title={stateName}>
@@ -44,9 +48,13 @@ const StateCard = ({ state }) => {
           <div className="state-meta">
             <span className="state-mps">
               <FiUsers />
-              {totalMPs} MPs
+              {totalMPs} {scheme.memberLabelPlural}
               <InfoTooltip
-                content="Includes current and recent MPs with active MPLADS projects. Count may exceed current parliamentary seats due to ongoing multi-year projects from previous terms."
+                content={
+                  scheme.isMLALADS
+                    ? 'Counts each MLA once per assembly term with MLALADS data.'
+                    : 'Includes current and recent MPs with active MPLADS projects. Count may exceed current parliamentary seats due to ongoing multi-year projects from previous terms.'
+                }
                 position="top"
                 size="small"
                 usePortal={true}
@@ -67,12 +75,20 @@ const StateCard = ({ state }) => {
       <div className="state-metrics">
         <div className="metric-row">
           <div className="metric">
-            <span className="metric-label">Allocated</span>
-            <span className="metric-value">{formatCurrency(totalAllocated)}</span>
+            <span className="metric-label">{normalized ? 'Allocated / lakh' : 'Allocated'}</span>
+            <span className="metric-value">
+              {normalized
+                ? formatPerLakh(normalized.allocatedPerLakh)
+                : formatCurrency(totalAllocated)}
+            </span>
           </div>
           <div className="metric">
-            <span className="metric-label">Utilized</span>
-            <span className="metric-value">{formatCurrency(totalExpenditure)}</span>
+            <span className="metric-label">{normalized ? 'Utilized / lakh' : 'Utilized'}</span>
+            <span className="metric-value">
+              {normalized
+                ? formatPerLakh(normalized.spendPerLakh)
+                : formatCurrency(totalExpenditure)}
+            </span>
           </div>
         </div>
 
@@ -98,8 +114,14 @@ const StateCard = ({ state }) => {
           <div className="works-stat">
             <FiCheckCircle className="works-icon" />
             <div className="works-info">
-              <span className="works-value">{formatNumber(totalWorksCompleted)}</span>
-              <span className="works-label">Works Completed</span>
+              <span className="works-value">
+                {normalized
+                  ? (normalized.worksPer1000SqKm ?? 0).toFixed(1)
+                  : formatNumber(totalWorksCompleted)}
+              </span>
+              <span className="works-label">
+                {normalized ? 'Works per 1000 km²' : 'Works Completed'}
+              </span>
             </div>
           </div>
           <div className="completion-rate">
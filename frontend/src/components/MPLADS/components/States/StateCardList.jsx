@@ -1,29 +1,44 @@
 import * as React from 'react'
 import { useMemo, useState } from 'react'
 import './StateCardList.css'
-import { formatINRCompact } from '../../../../utils/formatters'
+import { formatINRCompact, formatPerLakh } from '../../../../utils/formatters'
 import { useNavigate } from 'react-router-dom'
+import { useScheme } from '../../../../contexts/SchemeContext'
 
-const StateCardList = ({ states = [], onSortedStatesChange }) => {
+const normalizeRow = (s, perCapita) => ({
+  state: s.state || 'Unknown',
+  mpCount: s.mpCount || 0,
+  // Per-capita view sorts and shows the per-lakh amounts in the same columns
+  totalAllocated: perCapita ? (s.normalized?.allocatedPerLakh ?? null) : (s.totalAllocated ?? null),
+  totalExpenditure: perCapita ? (s.normalized?.spendPerLakh ?? null) : (s.totalExpenditure ?? null),
+  utilizationPercentage: s.utilizationPercentage ?? 0,
+  totalWorksCompleted: s.totalWorksCompleted || 0,
+  recommendedWorksCount: s.recommendedWorksCount || 0,
+  raw: s,
+})
+
+const StateCardList = ({ states = [], perCapita = false, onSortedStatesChange }) => {
   const clonedStates = states
   const navigate = useNavigate()
+  const { basePath, memberLabelPlural } = useScheme()
 
   const [sortConfig, setSortConfig] = useState({ key: 'state', direction: 'asc' })
+  const formatAmount = perCapita ? formatPerLakh : formatINRCompact
 
   const columns = [
     { key: 'id', label: 'ID', width: '3%', minWidth: 40, align: 'center' },
     { key: 'state', label: 'State / UT', width: '35%', minWidth: 160, align: 'left' },
-    { key: 'mpCount', label: 'MPs', width: '10%', minWidth: 70, align: 'center' },
+    { key: 'mpCount', label: memberLabelPlural, width: '10%', minWidth: 70, align: 'center' },
     {
       key: 'totalAllocated',
-      label: 'Total Allocated',
+      label: perCapita ? 'Allocated / Lakh People' : 'Total Allocated',
       width: '10%',
       minWidth: 120,
       align: 'center',
     },
     {
       key: 'totalExpenditure',
-      label: 'Total Expenditure',
+      label: perCapita ? 'Spent / Lakh People' : 'Total Expenditure',
       width: '10%',
       minWidth: 120,
       align: 'center',
@@ -51,19 +66,8 @@ const StateCardList = ({ states = [], onSortedStatesChange }) => {
     },
   ]
 
-  const normalizeRow = s => ({
-    state: s.state || 'Unknown',
-    mpCount: s.mpCount || 0,
-    totalAllocated: s.totalAllocated ?? null,
-    totalExpenditure: s.totalExpenditure ?? null,
-    utilizationPercentage: s.utilizationPercentage ?? 0,
-    totalWorksCompleted: s.totalWorksCompleted || 0,
-    recommendedWorksCount: s.recommendedWorksCount || 0,
-    raw: s,
-  })
-
   const rows = useMemo(() => {
-    const mapped = clonedStates.map((s, i) => ({ ...normalizeRow(s), __origIndex: i }))
+    const mapped = clonedStates.map((s, i) => ({ ...normalizeRow(s, perCapita), __origIndex: i }))
 
     const baseOrder = [...mapped].sort((a, b) => {
       const sa = (a.state || '').toString()
@@ -98,7 +102,7 @@ const StateCardList = ({ states = [], onSortedStatesChange }) => {
     }
 
     return sorted
-  }, [clonedStates, sortConfig, onSortedStatesChange])
+  }, [clonedStates, sortConfig, onSortedStatesChange, perCapita])
 
   const requestSort = key => {
     setSortConfig(prev => {
@@ -111,7 +115,7 @@ const StateCardList = ({ states = [], onSortedStatesChange }) => {
 
   const onRowActivate = row => {
     const stateSlug = row.state.toLowerCase().replace(/\s+/g, '-')
-    navigate(`/mplads/states/${stateSlug}`)
+    navigate(`${basePath}/states/${stateSlug}`)
   }
 
   const getUtilizationClass = percentage => {
@@ -191,14 +195,14 @@ const StateCardList = ({ states = [], onSortedStatesChange }) => {
                 data-label={columns[3].label}
                 style={{ width: columns[3].width, minWidth: columns[3].minWidth }}
               >
-                {row.totalAllocated !== null ? formatINRCompact(row.totalAllocated) : '—'}
+                {row.totalAllocated !== null ? formatAmount(row.totalAllocated) : '—'}
               </div>
               <div
                 className={`table-cell align-${columns[4].align}`}
                 data-label={columns[4].label}
                 style={{ width: columns[4].width, minWidth: columns[4].minWidth }}
               >
-                {row.totalExpenditure !== null ? formatINRCompact(row.totalExpenditure) : '—'}
+                {row.totalExpenditure !== null ? formatAmount(row.totalExpenditure) : '—'}
               </div>
               <div
                 className="table-cell utilization-cell"
@@ -12,6 +12,8 @@ import {
   FiChevronRight,
   FiTrash2,
   FiLogOut,
+  FiActivity,
+  FiKey,
 } from 'react-icons/fi'
 import toast from 'react-hot-toast'
 import { useNavigate } from 'react-router-dom'
@@ -21,6 +23,20 @@ import './Admin.css'
 import { getSubscribers } from '../../../services/api/mailingList'
 import { Button } from '@/components/ui/button'
 
+const QUALITY_METRICS = [
+  { key: 'rejected', label: 'Rejected records' },
+  { key: 'flagged', label: 'Flagged records' },
+  { key: 'duplicates', label: 'Duplicates' },
+  { key: 'zeroAmountWorks', label: 'Zero-amount works' },
+  { key: 'unparseableDates', label: 'Unparseable dates' },
+  { key: 'orphanExpenditures', label: 'Orphan expenditures' },
+]
+
+const formatChange = change => {
+  if (!change) return 'no change'
+  return `${change > 0 ? '+' : ''}${change.toLocaleString()} vs previous`
+}
+
 const Admin = () => {
   const navigate = useNavigate()
   const { user, logout, getAuthHeaders } = useAuth()
@@ -33,6 +49,10 @@ const Admin = () => {
   const [subscribers, setSubscribers] = useState([])
   const [subsPagination, setSubsPagination] = useState({})
   const [subsStats, setSubsStats] = useState(null)
+  const [dataQuality, setDataQuality] = useState({ report: null, trend: [] })
+  const [apiKeys, setApiKeys] = useState([])
+  const [keysPagination, setKeysPagination] = useState({})
+  const [keysStats, setKeysStats] = useState({})
 
   // Filter states
   const [feedbackFilters, setFeedbackFilters] = useState({
@@ -54,6 +74,11 @@ const Admin = () => {
     page: 1,
   })
 
+  const [keysFilters, setKeysFilters] = useState({
+    status: '',
+    page: 1,
+  })
+
   // Handle logout
   const handleLogout = () => {
     logout()
@@ -206,6 +231,126 @@ const Admin = () => {
     [subsFilters]
   )
 
+  // Fetch the latest data quality report
+  const fetchDataQuality = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${API_BASE_URL}/metadata/data-quality`, {
+        headers: getAuthHeaders(),
+      })
+      const result = await response.json()
+
+      if (result.success) {
+        setDataQuality(result.data)
+      } else {
+        toast.error('Failed to fetch data quality report')
+      }
+    } catch (error) {
+      console.error('Error fetching data quality report:', error)
+      toast.error('Failed to fetch data quality report')
+    } finally {
+      setLoading(false)
+    }
+  }, [getAuthHeaders])
+
+  // Fetch issued API keys with usage
+  const fetchApiKeys = useCallback(
+    async (filters = keysFilters) => {
+      try {
+        setLoading(true)
+        const params = new URLSearchParams()
+
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params.append(key, value)
+        })
+
+        const response = await fetch(`${API_BASE_URL}/keys/admin?${params.toString()}`, {
+          headers: getAuthHeaders(),
+        })
+        const result = await response.json()
+
+        if (result.success) {
+          setApiKeys(result.data)
+          setKeysPagination(result.pagination)
+          setKeysStats(result.stats)
+        } else {
+          toast.error('Failed to fetch API keys')
+        }
+      } catch (error) {
+        console.error('Error fetching API keys:', error)
+        toast.error('Failed to fetch API keys')
+      } finally {
+        setLoading(false)
+      }
+    },
+    [keysFilters, getAuthHeaders]
+  )
+
+  // Revoke an API key
+  const revokeApiKey = async key => {
+    const reason = window.prompt(
+      `Revoke ${key.keyPrefix}… issued to ${key.email}? Clients using it will get 401 errors immediately.\n\nReason (optional):`
+    )
+    if (reason === null) return
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/keys/admin/${key._id}/revoke`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders(),
+        },
+        body: JSON.stringify({ reason }),
+      })
+
+      const result = await response.json()
+
+      if (result.success) {
+        toast.success('API key revoked')
+        fetchApiKeys()
+      } else {
+        toast.error(result.message || 'Failed to revoke API key')
+      }
+    } catch (error) {
+      console.error('Error revoking API key:', error)
+      toast.error('Failed to revoke API key')
+    }
+  }
+
+  // Change an API key's daily quota
+  const updateApiKeyQuota = async key => {
+    const input = window.prompt(`Daily request quota for ${key.keyPrefix}…`, key.quota?.perDay)
+    if (input === null) return
+    const perDay = parseInt(input, 10)
+    if (!perDay || perDay < 1) {
+      toast.error('Quota must be a positive number')
+      return
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/keys/admin/${key._id}/quota`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders(),
+        },
+        body: JSON.stringify({ perDay }),
+      })
+
+      const result = await response.json()
+
+      if (result.success) {
+        toast.success('Quota updated')
+        fetchApiKeys()
+      } else {
+        toast.error(result.message || 'Failed to update quota')
+      }
+    } catch (error) {
+      console.error('Error updating API key quota:', error)
+      toast.error('Failed to update quota')
+    }
+  }
+
   // Delete feedback
   const deleteFeedback = async id => {
     if (
@@ -304,6 +449,18 @@ const Admin = () => {
     fetchSubscribers(newFilters)
   }
 
+  const handleKeysFilterChange = (key, value) => {
+    const newFilters = { ...keysFilters, [key]: value, page: 1 }
+    setKeysFilters(newFilters)
+    fetchApiKeys(newFilters)
+  }
+
+  const handleKeysPageChange = page => {
+    const newFilters = { ...keysFilters, page }
+    setKeysFilters(newFilters)
+    fetchApiKeys(newFilters)
+  }
+
   // Load data on component mount and tab change
   useEffect(() => {
     if (activeTab === 'feedback') {
@@ -312,8 +469,12 @@ const Admin = () => {
       fetchDataIssues()
     } else if (activeTab === 'subscribers') {
       fetchSubscribers()
+    } else if (activeTab === 'data-quality') {
+      fetchDataQuality()
+    } else if (activeTab === 'api-keys') {
+      fetchApiKeys()
     }
-  }, [activeTab, fetchFeedback, fetchDataIssues, fetchSubscribers])
+  }, [activeTab, fetchFeedback, fetchDataIssues, fetchSubscribers, fetchDataQuality, fetchApiKeys])
 
   // Status badge component
   const StatusBadge = ({ status, type = 'feedback' }) => {
@@ -434,6 +595,22 @@ const Admin = () => {
         >
           Subscribers ({subsPagination.totalItems || 0})
         </Button>
+        <Button
+          className={`tab-button gap-2 ${activeTab === 'data-quality' ? 'active' : ''}`}
+          onClick={() => setActiveTab('data-quality')}
+          variant="ghost"
+        >
+          <FiActivity />
+          Data Quality
+        </Button>
+        <Button
+          className={`tab-button gap-2 ${activeTab === 'api-keys' ? 'active' : ''}`}
+          onClick={() => setActiveTab('api-keys')}
+          variant="ghost"
+        >
+          <FiKey />
+          API Keys ({keysPagination.totalItems || 0})
+        </Button>
       </div>
 
       <div className="admin-content">
@@ -815,6 +992,388 @@ const Admin = () => {
             </div>
           </div>
         )}
+
+        {activeTab === 'api-keys' && (
+          <div className="api-keys-section">
+            <div className="section-header">
+              <h3>API Keys</h3>
+              <Button
+                onClick={() => fetchApiKeys()}
+                className="refresh-button gap-2"
+                disabled={loading}
+                variant="outline"
+              >
+                <FiRefreshCw className={loading ? 'spinning' : ''} />
+                Refresh
+              </Button>
+            </div>
+
+            <div className="filters">
+              <div className="filter-group">
+                <label htmlFor="keys-status-filter">Status:</label>
+                <select
+                  id="keys-status-filter"
+                  value={keysFilters.status}
+                  onChange={e => handleKeysFilterChange('status', e.target.value)}
+                >
+                  <option value="">All</option>
+                  <option value="active">Active</option>
+                  <option value="pending">Pending verification</option>
+                  <option value="revoked">Revoked</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="subs-stats">
+              <div>Active: {keysStats.active || 0}</div>
+              <div>Pending: {keysStats.pending || 0}</div>
+              <div>Revoked: {keysStats.revoked || 0}</div>
+            </div>
+
+            <div className="submissions-list">
+              {loading && <div className="loading">Loading...</div>}
+              {!loading && apiKeys.length === 0 && <div className="no-data">No API keys found</div>}
+              {!loading && apiKeys.length > 0 && (
+                <>
+                  {apiKeys.map(key => (
+                    <div key={key._id} className="submission-card">
+                      <div className="submission-header">
+                        <div className="submission-title">
+                          <h4>{key.name}</h4>
+                          <div className="submission-meta">
+                            <span className="submission-type">{key.email}</span>
+                            {key.keyPrefix && (
+                              <span className="submission-category">{key.keyPrefix}…</span>
+                            )}
+                          </div>
+                        </div>
+                        <div className="submission-status">
+                          <span
+                            className={`status-badge ${
+                              key.status === 'active'
+                                ? 'status-resolved'
+                                : key.status === 'revoked'
+                                  ? 'status-closed'
+                                  : 'status-open'
+                            }`}
+                          >
+                            {key.status === 'active' ? (
+                              <FiCheck />
+                            ) : key.status === 'revoked' ? (
+                              <FiX />
+                            ) : (
+                              <FiClock />
+                            )}
+                            {key.status}
+                          </span>
+                        </div>
+                      </div>
+
+                      <div className="submission-body">
+                        {key.purpose && <p className="submission-description">{key.purpose}</p>}
+                        <div className="submission-details">
+                          <span>Requested: {new Date(key.createdAt).toLocaleDateString()}</span>
+                          <span>
+                            Today:{' '}
+                            {key.usage?.day === new Date().toISOString().slice(0, 10)
+                              ? key.usage.today.toLocaleString()
+                              : 0}{' '}
+                            / {key.quota?.perDay?.toLocaleString()}
+                          </span>
+                          <span>Total requests: {(key.usage?.total || 0).toLocaleString()}</span>
+                          <span>
+                            Last used:{' '}
+                            {key.usage?.lastUsedAt
+                              ? new Date(key.usage.lastUsedAt).toLocaleString()
+                              : 'never'}
+                          </span>
+                          {key.revokedAt && (
+                            <span>
+                              Revoked: {new Date(key.revokedAt).toLocaleDateString()}
+                              {key.revokedReason ? ` (${key.revokedReason})` : ''}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+
+                      {key.status !== 'revoked' && (
+                        <div className="submission-actions">
+                          <Button
+                            onClick={() => updateApiKeyQuota(key)}
+                            className="action-button progress"
+                            variant="outline"
+                          >
+                            Edit Daily Quota
+                          </Button>
+                          <Button
+                            onClick={() => revokeApiKey(key)}
+                            className="action-button delete gap-2"
+                            variant="destructive"
+                          >
+                            <FiX />
+                            Revoke
+                          </Button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <Pagination pagination={keysPagination} onPageChange={handleKeysPageChange} />
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'data-quality' && (
+          <div className="data-quality-section">
+            <div className="section-header">
+              <h3>Data Quality</h3>
+              <Button
+                onClick={() => fetchDataQuality()}
+                className="refresh-button gap-2"
+                disabled={loading}
+                variant="outline"
+              >
+                <FiRefreshCw className={loading ? 'spinning' : ''} />
+                Refresh
+              </Button>
+            </div>
+
+            {loading && <div className="loading">Loading...</div>}
+            {!loading && !dataQuality.report && (
+              <div className="no-data">No data quality report has been recorded yet</div>
+            )}
+            {!loading && dataQuality.report && (
+              <>
+                <div className="subs-stats">
+                  <div>Generated: {new Date(dataQuality.report.generatedAt).toLocaleString()}</div>
+                  <div>Dataset: {dataQuality.report.datasetVersion || '-'}</div>
+                  <div>Records: {(dataQuality.report.totals?.records || 0).toLocaleString()}</div>
+                  <div>Quality score: {dataQuality.report.totals?.qualityScore ?? '-'}%</div>
+                  <span
+                    className={`status-badge ${
+                      dataQuality.report.syncStatus === 'failed' ? 'status-open' : 'status-resolved'
+                    }`}
+                  >
+                    {dataQuality.report.syncStatus === 'failed' ? 'Sync failed' : 'Activated'}
+                  </span>
+                </div>
+
+                <div className="quality-grid">
+                  {QUALITY_METRICS.map(({ key, label }) => {
+                    const change = dataQuality.report.comparison?.totals?.[key]?.change
+                    return (
+                      <div key={key} className="quality-card">
+                        <span className="quality-card-label">{label}</span>
+                        <strong>{(dataQuality.report.totals?.[key] || 0).toLocaleString()}</strong>
+                        {dataQuality.report.comparison && (
+                          <span
+                            className={`quality-change ${change > 0 ? 'worse' : change < 0 ? 'better' : ''}`}
+                          >
+                            {formatChange(change)}
+                          </span>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+
+                {dataQuality.report.comparison?.statesWorsened?.length > 0 && (
+                  <div className="quality-block">
+                    <h4>States that got worse since the previous sync</h4>
+                    <table className="quality-table">
+                      <thead>
+                        <tr>
+                          <th>State</th>
+                          <th>House</th>
+                          <th>Previous</th>
+                          <th>Current</th>
+                          <th>Change</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {dataQuality.report.comparison.statesWorsened.map(row => (
+                          <tr key={`${row.state}-${row.house}`}>
+                            <td>{row.state}</td>
+                            <td>{row.house || '-'}</td>
+                            <td>{row.previous}</td>
+                            <td>{row.current}</td>
+                            <td className="worse">+{row.change}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {Object.keys(dataQuality.report.rejectionReasons || {}).length > 0 && (
+                  <div className="quality-block">
+                    <h4>Rejection reasons</h4>
+                    <ul className="quality-list">
+                      {Object.entries(dataQuality.report.rejectionReasons)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([reason, count]) => (
+                          <li key={reason}>
+                            <span>{reason}</span>
+                            <strong>{count.toLocaleString()}</strong>
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                )}
+
+                {Object.keys(dataQuality.report.warningReasons || {}).length > 0 && (
+                  <div className="quality-block">
+                    <h4>Flagged but uploaded</h4>
+                    <ul className="quality-list">
+                      {Object.entries(dataQuality.report.warningReasons)
+                        .sort((a, b) => b[1] - a[1])
+                        .map(([reason, count]) => (
+                          <li key={reason}>
+                            <span>{reason}</span>
+                            <strong>{count.toLocaleString()}</strong>
+                          </li>
+                        ))}
+                    </ul>
+                  </div>
+                )}
+
+                {dataQuality.report.byState?.length > 0 && (
+                  <div className="quality-block">
+                    <h4>Issues by state</h4>
+                    <table className="quality-table">
+                      <thead>
+                        <tr>
+                          <th>State</th>
+                          <th>House</th>
+                          {QUALITY_METRICS.map(({ key, label }) => (
+                            <th key={key}>{label}</th>
+                          ))}
+                          <th>Total</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {dataQuality.report.byState.map(row => (
+                          <tr key={`${row.state}-${row.house}`}>
+                            <td>{row.state}</td>
+                            <td>{row.house || '-'}</td>
+                            {QUALITY_METRICS.map(({ key }) => (
+                              <td key={key}>{row[key]}</td>
+                            ))}
+                            <td>{row.total}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {dataQuality.report.byMP?.length > 0 && (
+                  <div className="quality-block">
+                    <h4>
+                      Issues by MP (top {dataQuality.report.byMP.length} of{' '}
+                      {dataQuality.report.mpsWithIssues})
+                    </h4>
+                    <table className="quality-table">
+                      <thead>
+                        <tr>
+                          <th>MP</th>
+                          <th>Constituency</th>
+                          <th>State</th>
+                          {QUALITY_METRICS.map(({ key, label }) => (
+                            <th key={key}>{label}</th>
+                          ))}
+                          <th>Total</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {dataQuality.report.byMP.map(row => (
+                          <tr key={`${row.mpName}-${row.house}-${row.lsTerm}-${row.constituency}`}>
+                            <td>
+                              {row.mpName}
+                              {row.lsTerm ? ` (LS ${row.lsTerm})` : ''}
+                            </td>
+                            <td>{row.constituency || '-'}</td>
+                            <td>{row.state}</td>
+                            {QUALITY_METRICS.map(({ key }) => (
+                              <td key={key}>{row[key]}</td>
+                            ))}
+                            <td>{row.total}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {dataQuality.report.unparseableSamples?.length > 0 && (
+                  <div className="quality-block">
+                    <h4>Sample unparseable dates</h4>
+                    <ul className="quality-list">
+                      {dataQuality.report.unparseableSamples.map((sample, index) => (
+                        <li key={`${sample.field}-${index}`}>
+                          <span>{sample.field}</span>
+                          <code>{sample.value}</code>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {dataQuality.report.unmappedCategories?.length > 0 && (
+                  <div className="quality-block">
+                    <h4>Unmapped work categories</h4>
+                    <p className="quality-note">
+                      Raw portal categories with no canonical category yet. Add them to
+                      upload-scripts/src/category-taxonomy.js; until then their works count under
+                      the Other sector.
+                    </p>
+                    <ul className="quality-list">
+                      {dataQuality.report.unmappedCategories.map(row => (
+                        <li key={row.category}>
+                          <code>{row.category}</code>
+                          <strong>{row.works.toLocaleString()} works</strong>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {dataQuality.trend.length > 1 && (
+                  <div className="quality-block">
+                    <h4>Recent syncs</h4>
+                    <table className="quality-table">
+                      <thead>
+                        <tr>
+                          <th>Generated</th>
+                          <th>Dataset</th>
+                          <th>Status</th>
+                          <th>Score</th>
+                          {QUALITY_METRICS.map(({ key, label }) => (
+                            <th key={key}>{label}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {dataQuality.trend.map(run => (
+                          <tr key={run.generatedAt}>
+                            <td>{new Date(run.generatedAt).toLocaleString()}</td>
+                            <td>{run.datasetVersion || '-'}</td>
+                            <td>{run.syncStatus}</td>
+                            <td>{run.totals?.qualityScore ?? '-'}%</td>
+                            {QUALITY_METRICS.map(({ key }) => (
+                              <td key={key}>{run.totals?.[key] ?? 0}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   )
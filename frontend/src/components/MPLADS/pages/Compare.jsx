@@ -14,6 +14,8 @@ import { useResponsive } from '../../../hooks/useMediaQuery'
 import { sanitizeInput } from '../../../utils/inputSanitization'
 import SearchBar from '../components/Search/SearchBar'
 import ComparisonBarChart from '../components/Charts/ComparisonBarChart'
+import PerCapitaToggle from '../components/Common/PerCapitaToggle'
+import { formatPerLakh } from '../../../utils/formatters'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
@@ -24,6 +26,7 @@ const Compare = () => {
   const [searchQuery, setSearchQuery] = useState('')
   const [showMPSelector, setShowMPSelector] = useState(false)
   const [currentComparisonIndex, setCurrentComparisonIndex] = useState(0)
+  const [perCapita, setPerCapita] = useState(false)
 
   // Responsive hook
   const { isMobile } = useResponsive()
@@ -52,6 +55,12 @@ const Compare = () => {
     }).format(amount || 0)
   }
 
+  // Lok Sabha MPs carry per-lakh figures for their constituency; Rajya Sabha MPs do not
+  const canShowPerCapita = selectedMPs.some(mp => mp.normalized)
+  const showPerCapita = perCapita && canShowPerCapita
+  const formatAmount = (mp, total, perLakhKey) =>
+    showPerCapita ? formatPerLakh(mp.normalized?.[perLakhKey]) : formatCurrency(total)
+
   const getUtilizationColor = percentage => {
     if (percentage >= 70) return '#22c55e'
     if (percentage >= 40) return '#f59e0b'
@@ -263,7 +272,8 @@ const Compare = () => {
                         {selectedMPs[currentComparisonIndex]?.state}
                       </div>
                       <div className="mp-party">
-                        {selectedMPs[currentComparisonIndex]?.party} •{' '}
+                        {selectedMPs[currentComparisonIndex]?.party &&
+                          `${selectedMPs[currentComparisonIndex].party} • `}
                         {selectedMPs[currentComparisonIndex]?.house}
                       </div>
                     </div>
@@ -464,6 +474,11 @@ const Compare = () => {
 
       {selectedMPs.length > 0 && (
         <div className="comparison-results">
+          {canShowPerCapita && (
+            <div className="comparison-view-toggle">
+              <PerCapitaToggle value={showPerCapita} onChange={setPerCapita} />
+            </div>
+          )}
           <div className="comparison-summary">
             <div className="summary-cards">
               <Card className="summary-card">
@@ -552,15 +567,19 @@ const Compare = () => {
                       <div className="comparison-metrics">
                         <div className="metric-row">
                           <div className="metric-item">
-                            <span className="metric-label">Allocated</span>
+                            <span className="metric-label">
+                              {showPerCapita ? 'Allocated / lakh' : 'Allocated'}
+                            </span>
                             <span className="metric-value">
-                              {formatCurrency(mp.allocatedAmount)}
+                              {formatAmount(mp, mp.allocatedAmount, 'allocatedPerLakh')}
                             </span>
                           </div>
                           <div className="metric-item">
-                            <span className="metric-label">Utilized</span>
+                            <span className="metric-label">
+                              {showPerCapita ? 'Utilized / lakh' : 'Utilized'}
+                            </span>
                             <span className="metric-value">
-                              {formatCurrency(mp.totalExpenditure)}
+                              {formatAmount(mp, mp.totalExpenditure, 'spendPerLakh')}
                             </span>
                           </div>
                         </div>
@@ -617,8 +636,9 @@ const Compare = () => {
                       <thead>
                         <tr>
                           <th>MP / Constituency</th>
-                          <th>Allocated Amount</th>
-                          <th>Utilized Amount</th>
+                          {showPerCapita && <th>Population</th>}
+                          <th>{showPerCapita ? 'Allocated / Lakh People' : 'Allocated Amount'}</th>
+                          <th>{showPerCapita ? 'Utilized / Lakh People' : 'Utilized Amount'}</th>
                           <th>Utilization %</th>
                           <th>Completed Works</th>
                           <th>Recommended Works</th>
@@ -634,8 +654,15 @@ const Compare = () => {
                                 <div className="mp-constituency">{mp.constituency}</div>
                               </div>
                             </td>
-                            <td>{formatCurrency(mp.allocatedAmount)}</td>
-                            <td>{formatCurrency(mp.totalExpenditure)}</td>
+                            {showPerCapita && (
+                              <td>
+                                {mp.normalized
+                                  ? `${mp.normalized.estimated ? '~' : ''}${mp.normalized.population.toLocaleString('en-IN')}`
+                                  : '—'}
+                              </td>
+                            )}
+                            <td>{formatAmount(mp, mp.allocatedAmount, 'allocatedPerLakh')}</td>
+                            <td>{formatAmount(mp, mp.totalExpenditure, 'spendPerLakh')}</td>
                             <td>
                               <span
                                 className="utilization-badge"
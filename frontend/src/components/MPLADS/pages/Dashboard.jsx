@@ -48,10 +48,10 @@ const Dashboard = () => {
   const { filters } = useFilters()
   const periodLabel =
     (filters?.house || 'Lok Sabha') === 'Lok Sabha'
-      ? getPeriodLabel(filters?.lsTerm || 18)
+      ? getPeriodLabel(filters?.lsTerm)
       : filters?.house === 'Rajya Sabha'
         ? 'Rajya Sabha'
-        : `Both Houses • ${getPeriodLabel(filters?.lsTerm || 18)}`
+        : `Both Houses • ${getPeriodLabel(filters?.lsTerm)}`
 
   // Progressive loading simulation
   useEffect(() => {
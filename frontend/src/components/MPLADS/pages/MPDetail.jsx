@@ -13,13 +13,17 @@ import {
   FiCopy,
   FiBarChart2,
 } from 'react-icons/fi'
-import { useMPDetails, useMPWorks } from '../../../hooks/useApi'
+import { useMPDetails, useMPWorks, useAnomalyFlags, useSpendVelocity } from '../../../hooks/useApi'
 import { formatINRCompact } from '../../../utils/formatters'
 import FundUtilizationGauge from '../components/Charts/FundUtilizationGauge'
+import SpendVelocityChart from '../components/Charts/SpendVelocityChart'
 import InfoTooltip from '../components/Common/InfoTooltip'
 import ProjectListing from '../components/Projects/ProjectListing'
+import CareerTimeline from '../components/MPs/CareerTimeline'
+import FlagBadges from '../components/Common/FlagBadges'
 import SkeletonLoader from '../components/Common/SkeletonLoader'
 import { showSuccessToast, showErrorToast } from '../../../utils/errorHandling.jsx'
+import { ALL_TERMS, toLsTermParam } from '../../../utils/lsTerm'
 import {
   getIdFromSlug,
   isBareObjectId,
@@ -33,6 +37,7 @@ import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import './MPDetail.css'
 import ExportMPsDetailAsPdf from '../../../utils/exportMPsDetailAsPdf.jsx'
+import FollowButton from '../components/Common/FollowButton'
 
 const MPDetail = () => {
   const navigate = useNavigate()
@@ -49,6 +54,16 @@ const MPDetail = () => {
   const idInParam = getIdFromSlug(mpId)
   const bareId = isBareObjectId(mpId) ? mpId : null
   const effectiveId = idInParam || bareId || resolvedIdFromSlug
+  const { data: flagsData } = useAnomalyFlags(
+    { mp_id: effectiveId, limit: 100 },
+    { enabled: !!effectiveId }
+  )
+  const flags = flagsData?.data?.flags || []
+  const flagCount = flagsData?.data?.summary?.total || 0
+  const { data: velocityData, isLoading: velocityLoading } = useSpendVelocity(
+    { mp_id: effectiveId },
+    { enabled: !!effectiveId }
+  )
 
   // Fetch MP details
   const { data: mpData, isLoading: mpLoading, error: mpError } = useMPDetails(effectiveId)
@@ -60,6 +75,9 @@ const MPDetail = () => {
 
   const mp = mpData?.data?.mp || mpData?.data || {}
   const works = worksData?.data?.works || worksData?.data || []
+  // Tenures in other houses and terms, shown when there is more than one
+  const career = mpData?.data?.career
+  const hasCareer = career?.tenures?.length > 1
 
   // Reset cache invalidation flag when navigating to different MP
   useEffect(() => {
@@ -145,8 +163,9 @@ const MPDetail = () => {
     if (idInParam || bareId) {
       const human = normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }))
       if (human) {
-        // preserve the resolved id so data remains while URL updates
-        if (!resolvedIdFromSlug) setResolvedIdFromSlug(idInParam || bareId)
+        // preserve the resolved id so data remains while URL updates; replace it when
+        // arriving from another MP's page (e.g. a career link)
+        if (resolvedIdFromSlug !== (idInParam || bareId)) setResolvedIdFromSlug(idInParam || bareId)
         try {
           const LS_KEY = 'mplads_slug_index'
           const CACHE_VERSION_KEY = 'mplads_slug_cache_version'
@@ -213,17 +232,15 @@ const MPDetail = () => {
       setResolvingSlug(true)
       const attempts = []
       const house = filters?.house || 'Both Houses'
-      const lsTerm = Number(filters?.lsTerm || 18)
       // Try with current filters
       attempts.push({
         house: house !== 'Both Houses' ? house : undefined,
-        ls_term: house === 'Lok Sabha' ? lsTerm : undefined,
+        ls_term: house === 'Lok Sabha' ? toLsTermParam(filters?.lsTerm) : undefined,
       })
       // Then without house (both)
       attempts.push({})
-      // Then fallback ls terms if needed
-      attempts.push({ house: 'Lok Sabha', ls_term: 18 })
-      attempts.push({ house: 'Lok Sabha', ls_term: 17 })
+      // Then every LS term if needed
+      attempts.push({ house: 'Lok Sabha', ls_term: ALL_TERMS })
       attempts.push({ house: 'Rajya Sabha' })
 
       let found = []
@@ -416,6 +433,40 @@ const MPDetail = () => {
               <div className="info-item">
                 <span className="house-badge-large">{mp.house}</span>
               </div>
+              {mp.party && (
+                <div className="info-item">
+                  <span
+                    className="house-badge-large party-badge-large"
+                    title={(mp.partyHistory || [])
+                      .map(span => `${span.party}: ${span.from || '…'} – ${span.until || 'now'}`)
+                      .join('\n')}
+                  >
+                    {mp.alliance ? `${mp.party} (${mp.alliance})` : mp.party}
+                  </span>
+                  {(mp.partyHistory || []).length > 1 && (
+                    <span className="party-switch-note">
+                      Earlier{' '}
+                      {mp.partyHistory
+                        .slice(0, -1)
+                        .map(span => span.party)
+                        .join(', ')}
+                    </span>
+                  )}
+                </div>
+              )}
+              {flagCount > 0 && (
+                <div className="info-item">
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="mp-flags-link gap-1"
+                    onClick={() => setActiveTab('flags')}
+                  >
+                    <FiAlertTriangle />
+                    {flagCount} red {flagCount === 1 ? 'flag' : 'flags'}
+                  </Button>
+                </div>
+              )}
             </div>
           </div>
           <div className="mp-header-actions">
@@ -440,6 +491,17 @@ const MPDetail = () => {
               <span>Compare</span>
             </Link>
             <ExportMPsDetailAsPdf mpData={mp} />
+            {mp.mpId && (
+              <FollowButton type="mp" noun="MP" id={mp.mpId} label={mp.name || mp.mpName} />
+            )}
+            {mp.constituencyId && (
+              <FollowButton
+                type="constituency"
+                noun="seat"
+                id={mp.constituencyId}
+                label={`${mp.constituency}, ${mp.state}`}
+              />
+            )}
           </div>
         </div>
 
@@ -556,6 +618,24 @@ const MPDetail = () => {
         >
           Financial Details
         </Button>
+        {hasCareer && (
+          <Button
+            variant="ghost"
+            className={`tab-btn ${activeTab === 'career' ? 'active' : ''}`}
+            onClick={() => setActiveTab('career')}
+          >
+            Career ({career.tenures.length})
+          </Button>
+        )}
+        {flagCount > 0 && (
+          <Button
+            variant="ghost"
+            className={`tab-btn ${activeTab === 'flags' ? 'active' : ''}`}
+            onClick={() => setActiveTab('flags')}
+          >
+            Red Flags ({flagCount})
+          </Button>
+        )}
       </div>
 
       <div className="mp-content">
@@ -623,6 +703,10 @@ const MPDetail = () => {
               </div>
             </div>
 
+            <div className="chart-container">
+              <SpendVelocityChart data={velocityData?.data} isLoading={velocityLoading} />
+            </div>
+
             <div className="performance-summary">
               <h3>Performance Summary</h3>
               <div className="performance-cards">
@@ -747,6 +831,39 @@ const MPDetail = () => {
           </div>
         )}
 
+        {activeTab === 'career' && hasCareer && (
+          <div className="career-section">
+            <h3>
+              Career{' '}
+              <InfoTooltip
+                content="Every Lok Sabha term and Rajya Sabha tenure on record for this MP, matched across spellings of the name."
+                position="top"
+                size="small"
+              />
+            </h3>
+            <CareerTimeline career={career} currentId={effectiveId} />
+          </div>
+        )}
+
+        {activeTab === 'flags' && (
+          <div className="flags-section">
+            <h3>
+              Red Flags{' '}
+              <InfoTooltip
+                content="Automated checks on this MP's works and payments. A flag marks a record worth a closer look, not proof of wrongdoing; it can also come from data entry errors on the MPLADS portal."
+                position="top"
+                size="small"
+              />
+            </h3>
+            <FlagBadges flags={flags} showReason />
+            {flagCount > flags.length && (
+              <p className="flags-more">
+                Showing {flags.length} of {flagCount} flags, most severe first.
+              </p>
+            )}
+          </div>
+        )}
+
         {activeTab === 'financial' && (
           <div className="financial-section">
             <h3>Financial Breakdown</h3>
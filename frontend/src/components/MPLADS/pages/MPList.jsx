@@ -22,6 +22,7 @@ import { formatINRCompact } from '../../../utils/formatters'
 import { sanitizeInput } from '../../../utils/inputSanitization'
 import { useFilters } from '../../../contexts/FilterContext'
 import { getPeriodLabel } from '../../../utils/lsTerm'
+import { useScheme } from '../../../contexts/SchemeContext'
 
 const MPList = () => {
   const [searchQuery, setSearchQuery] = useState('')
@@ -54,14 +55,16 @@ const MPList = () => {
 
   const { data: overviewData } = useOverview()
   const { filters, updateFilter } = useFilters()
+  const scheme = useScheme()
   const uiHouse =
     (filters?.house || 'Lok Sabha') === 'Both Houses' ? 'all' : filters?.house || 'Lok Sabha'
-  const periodLabel =
-    (filters?.house || 'Lok Sabha') === 'Lok Sabha'
-      ? getPeriodLabel(filters?.lsTerm || 18)
+  const periodLabel = scheme.isMLALADS
+    ? scheme.termLabel
+    : (filters?.house || 'Lok Sabha') === 'Lok Sabha'
+      ? getPeriodLabel(filters?.lsTerm)
       : filters?.house === 'Rajya Sabha'
         ? 'Rajya Sabha'
-        : `Both Houses • ${getPeriodLabel(filters?.lsTerm || 18)}`
+        : `Both Houses • ${getPeriodLabel(filters?.lsTerm)}`
 
   const mps = useMemo(() => {
     return data?.data || []
@@ -230,9 +233,13 @@ const MPList = () => {
         <div className="national-stats">
           <div className="stat-box">
             <div className="stat-label-row">
-              <span className="stat-label">Total MPs</span>
+              <span className="stat-label">Total {scheme.memberLabelPlural}</span>
               <InfoTooltip
-                content="Includes current and recent MPs with active MPLADS projects. Count may exceed current parliamentary seats due to ongoing multi-year projects from previous terms."
+                content={
+                  scheme.isMLALADS
+                    ? 'Counts each MLA once per assembly term with MLALADS data.'
+                    : 'Includes current and recent MPs with active MPLADS projects. Count may exceed current parliamentary seats due to ongoing multi-year projects from previous terms.'
+                }
                 position="bottom"
                 size="small"
               />
@@ -263,7 +270,7 @@ const MPList = () => {
         </div>
       )
     }
-  }, [])
+  }, [periodLabel, scheme.isMLALADS, scheme.memberLabelPlural])
 
   const MemoNationalStatsDisplay = useMemo(() => memo(NationalStatsDisplay), [NationalStatsDisplay])
 
@@ -390,14 +397,20 @@ const MPList = () => {
       <div className="mps-header">
         <div className="header-content">
           <div className="title-row">
-            <h1>Member of Parliament Fund Utilization</h1>
+            <h1>{scheme.memberTitle} Fund Utilization</h1>
             <InfoTooltip
-              content="This dashboard shows comprehensive MPLADS fund utilization data for all MPs. Data includes current and recent MPs with active projects across multiple parliamentary sessions."
+              content={
+                scheme.isMLALADS
+                  ? 'This dashboard shows MLALADS fund utilization data for MLAs in the states whose data has been imported, across the selected assembly terms.'
+                  : 'This dashboard shows comprehensive MPLADS fund utilization data for all MPs. Data includes current and recent MPs with active projects across multiple parliamentary sessions.'
+              }
               position="bottom"
               size="medium"
             />
           </div>
-          <p>Browse and analyze individual MP performance across constituencies</p>
+          <p>
+            Browse and analyze individual {scheme.memberLabel} performance across constituencies
+          </p>
         </div>
 
         {nationalStats && <MemoNationalStatsDisplay stats={nationalStats} />}
@@ -412,7 +425,7 @@ const MPList = () => {
             <FiSearch />
             <input
               type="text"
-              placeholder="Search MPs, constituencies, or states..."
+              placeholder={`Search ${scheme.memberLabelPlural}, constituencies, or states...`}
               value={searchQuery}
               onChange={e => handleSearch(e.target.value)}
             />
@@ -444,28 +457,30 @@ const MPList = () => {
                 onChange={e => handleFilterChange('range', e.target.value)}
                 className="filter-select"
               >
-                <option value="all">All MPs</option>
+                <option value="all">All {scheme.memberLabelPlural}</option>
                 <option value="high">High Utilization (≥70%)</option>
                 <option value="medium">Medium Utilization (40-69%)</option>
                 <option value="low">Low Utilization (&lt;40%)</option>
               </select>
             </div>
 
-            <div className="filter-group">
-              <label>House:</label>
-              <select
-                value={uiHouse}
-                onChange={e => handleFilterChange('house', e.target.value)}
-                className="filter-select"
-              >
-                <option value="all">Both Houses</option>
-                {houses.map(house => (
-                  <option key={house} value={house}>
-                    {house}
-                  </option>
-                ))}
-              </select>
-            </div>
+            {!scheme.isMLALADS && (
+              <div className="filter-group">
+                <label>House:</label>
+                <select
+                  value={uiHouse}
+                  onChange={e => handleFilterChange('house', e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="all">Both Houses</option>
+                  {houses.map(house => (
+                    <option key={house} value={house}>
+                      {house}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           <div className="sort-controls">
@@ -481,7 +496,7 @@ const MPList = () => {
               <option value="allocatedAmount">Allocated Amount</option>
               <option value="totalExpenditure">Total Expenditure</option>
               <option value="completedWorksCount">Works Completed</option>
-              <option value="mpName">MP Name</option>
+              <option value="mpName">{scheme.memberLabel} Name</option>
               <option value="constituency">Constituency</option>
             </select>
           </div>
@@ -525,7 +540,9 @@ const MPList = () => {
       {/* MPs Grid/List */}
       <div className="mps-content">
         <div className="content-header">
-          <h2>All MPs ({formatNumber(totalMPs)})</h2>
+          <h2>
+            All {scheme.memberLabelPlural} ({formatNumber(totalMPs)})
+          </h2>
           {(filterRange !== 'all' || uiHouse !== 'all' || searchQuery) && (
             <div className="active-filters">
               {filterRange !== 'all' && (
@@ -602,7 +619,8 @@ const MPList = () => {
               <div className="grid-load-more">
                 <div className="page-info">
                   <span>
-                    Showing {formatNumber(filteredMPs.length)} of {formatNumber(totalMPs)} MPs
+                    Showing {formatNumber(filteredMPs.length)} of {formatNumber(totalMPs)}{' '}
+                    {scheme.memberLabelPlural}
                   </span>
                 </div>
                 {hasMore && (
@@ -0,0 +1,198 @@
+import { useMemo, useState } from 'react'
+import { usePartyAnalytics, usePartyCoverage } from '../../../hooks/useApi'
+import { useFilters } from '../../../contexts/FilterContext'
+import { getPeriodLabel } from '../../../utils/lsTerm'
+import { formatINRCompact } from '../../../utils/formatters'
+import InfoTooltip from '../components/Common/InfoTooltip'
+import { Button } from '@/components/ui/button'
+import './Parties.css'
+
+const VIEWS = [
+  { id: 'parties', label: 'By party', singular: 'Party', members: 'alliances' },
+  { id: 'alliances', label: 'By alliance', singular: 'Alliance', members: 'parties' },
+]
+
+const SORT_OPTIONS = [
+  { id: 'utilizationPercentage', label: 'Utilization' },
+  { id: 'completionRate', label: 'Completion rate' },
+  { id: 'allocatedAmount', label: 'Allocated' },
+  { id: 'mpCount', label: 'MPs' },
+]
+
+// Sectors shown in the mix bar; the rest are summed into "Other"
+const SECTOR_LIMIT = 4
+
+const SECTOR_COLORS = ['#2c5282', '#2f855a', '#c05621', '#6b46c1', '#a0aec0']
+
+const formatPercent = value => `${(value || 0).toFixed(1)}%`
+
+const sectorMix = sectors => {
+  const shown = sectors.slice(0, SECTOR_LIMIT)
+  const otherShare = sectors.slice(SECTOR_LIMIT).reduce((sum, s) => sum + (s.share || 0), 0)
+  return otherShare > 0 ? [...shown, { sector: 'Other', share: otherShare }] : shown
+}
+
+const Parties = () => {
+  const { filters } = useFilters()
+  const [view, setView] = useState('parties')
+  const [sort, setSort] = useState('utilizationPercentage')
+
+  const { data: coverage } = usePartyCoverage()
+  const { data, isLoading, error } = usePartyAnalytics({
+    ...(filters.state ? { state: filters.state } : {}),
+  })
+
+  const current = VIEWS.find(v => v.id === view)
+  const rows = useMemo(() => {
+    const list = data?.data?.[view] || []
+    return [...list].sort((a, b) => (b[sort] || 0) - (a[sort] || 0))
+  }, [data, view, sort])
+
+  const periodLabel =
+    (filters?.house || 'Lok Sabha') === 'Lok Sabha'
+      ? getPeriodLabel(filters?.lsTerm)
+      : filters?.house === 'Rajya Sabha'
+        ? 'Rajya Sabha'
+        : `Both Houses • ${getPeriodLabel(filters?.lsTerm)}`
+
+  return (
+    <div className="parties-page">
+      <div className="parties-header">
+        <div className="title-row">
+          <h1>Parties &amp; Alliances</h1>
+          <InfoTooltip
+            content="Party affiliations come from a maintained reference with a source and date for each entry. Works count toward the party the MP belonged to when they were completed; MP totals use the party at the end of the tenure."
+            position="bottom"
+            size="medium"
+          />
+        </div>
+        <p>
+          Fund utilization, work completion and where the money went, compared across parties and
+          alliances. <span className="parties-period">{periodLabel}</span>
+        </p>
+      </div>
+
+      {coverage?.data && !coverage.data.available ? (
+        <div className="parties-empty">
+          <p>
+            Party comparisons appear once most MPs have a sourced party affiliation. So far{' '}
+            {coverage.data.affiliated} of {coverage.data.total} MP tenures have one.
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="parties-controls">
+            <div className="parties-tabs" role="tablist" aria-label="Party view">
+              {VIEWS.map(v => (
+                <Button
+                  key={v.id}
+                  role="tab"
+                  aria-selected={view === v.id}
+                  variant={view === v.id ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => setView(v.id)}
+                >
+                  {v.label}
+                </Button>
+              ))}
+            </div>
+            <label className="parties-sort">
+              <span>Sort by</span>
+              <select value={sort} onChange={e => setSort(e.target.value)}>
+                {SORT_OPTIONS.map(o => (
+                  <option key={o.id} value={o.id}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {isLoading ? (
+            <div className="parties-loading">
+              <div className="loading-spinner"></div>
+              <p>Loading party analytics...</p>
+            </div>
+          ) : error ? (
+            <div className="parties-error">
+              <p>Error loading party data. Please try again later.</p>
+            </div>
+          ) : rows.length === 0 ? (
+            <div className="parties-empty">
+              <p>No party data for these filters.</p>
+            </div>
+          ) : (
+            <div className="parties-table-wrap">
+              <table className="parties-table">
+                <thead>
+                  <tr>
+                    <th>{current.singular}</th>
+                    <th>{view === 'parties' ? 'Alliance' : 'Parties'}</th>
+                    <th>MPs</th>
+                    <th>Allocated</th>
+                    <th>Spent</th>
+                    <th>Utilization</th>
+                    <th>Completion Rate</th>
+                    <th>Sector Mix</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => {
+                    const name = view === 'parties' ? row.party : row.alliance
+                    const mix = sectorMix(row.sectors || [])
+                    return (
+                      <tr key={name}>
+                        <td className="parties-name">{name}</td>
+                        <td className="wrap">{(row[current.members] || []).join(', ') || '—'}</td>
+                        <td>{row.mpCount}</td>
+                        <td>{formatINRCompact(row.allocatedAmount)}</td>
+                        <td>{formatINRCompact(row.totalExpenditure)}</td>
+                        <td>
+                          <div
+                            className="parties-meter"
+                            title={formatPercent(row.utilizationPercentage)}
+                          >
+                            <div
+                              className="parties-meter-fill"
+                              style={{ width: `${Math.min(row.utilizationPercentage || 0, 100)}%` }}
+                            />
+                          </div>
+                          <span>{formatPercent(row.utilizationPercentage)}</span>
+                        </td>
+                        <td>{formatPercent(row.completionRate)}</td>
+                        <td className="wrap">
+                          {mix.length === 0 ? (
+                            '—'
+                          ) : (
+                            <>
+                              <div className="parties-mix" aria-hidden="true">
+                                {mix.map((s, i) => (
+                                  <span
+                                    key={s.sector}
+                                    style={{
+                                      width: `${s.share}%`,
+                                      background: SECTOR_COLORS[i % SECTOR_COLORS.length],
+                                    }}
+                                  />
+                                ))}
+                              </div>
+                              <div className="parties-mix-legend">
+                                {mix.map(s => `${s.sector} ${formatPercent(s.share)}`).join(' • ')}
+                              </div>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Parties
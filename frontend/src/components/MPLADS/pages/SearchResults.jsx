@@ -1,45 +1,57 @@
-import { useEffect, useMemo, useState, useRef } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import { useSearchParams, Link } from 'react-router-dom'
-import { FiFilter, FiX, FiUser, FiMapPin, FiTrendingUp } from 'react-icons/fi'
-import { useMPSummary } from '../../../hooks/useApi'
-import { buildMPSlugHuman, normalizeMPSlug } from '../../../utils/slug'
+import { FiFilter, FiUser, FiMapPin, FiTrendingUp, FiFileText, FiBriefcase } from 'react-icons/fi'
+import { useSearch } from '../../../hooks/useApi'
 import { useFilters } from '../../../contexts/FilterContext'
 import SearchBar from '../components/Search/SearchBar'
 import FilterPanel from '../components/Filters/FilterPanel'
+import {
+  SEARCH_GROUPS,
+  getSearchGroups,
+  getSearchResultPath,
+} from '../components/Search/searchResults'
 import { Button } from '@/components/ui/button'
 import './SearchResults.css'
 
+const TYPE_ICONS = {
+  mp: <FiUser />,
+  constituency: <FiMapPin />,
+  work: <FiFileText />,
+  vendor: <FiBriefcase />,
+}
+
+// Results per group in the combined view, and for a single type
+const GROUP_PREVIEW_LIMIT = 5
+const SINGLE_TYPE_LIMIT = 50
+
 const SearchResults = () => {
   const [searchParams] = useSearchParams()
   const [showFilters, setShowFilters] = useState(false)
-  const { filters, getApiParams, getActiveFilterCount } = useFilters()
-  const [pageNo, setPageNo] = useState(1)
+  const [activeType, setActiveType] = useState('all')
+  const { filters, getActiveFilterCount } = useFilters()
 
   // Get search query from URL
   const urlQuery = searchParams.get('q') || ''
-
-  const apiParams = useMemo(() => getApiParams(), [getApiParams])
-  const filterKey = useMemo(() => JSON.stringify(apiParams), [apiParams])
-  const resultContentRef = useRef(null)
+  const query = urlQuery || filters.searchQuery || ''
 
   useEffect(() => {
-    setPageNo(1)
-  }, [urlQuery, filterKey])
-
-  // Use the MP summary API with filters
-  const { data, isLoading, error } = useMPSummary({
-    ...apiParams,
-    search: urlQuery || filters.searchQuery,
-    page: pageNo,
-    limit: 20,
-  })
-
-  const results = Array.isArray(data?.data?.mps) ? data.data.mps : data?.data || []
-  const pagination = data?.data?.pagination || data?.pagination || {}
-  const totalPages = pagination.totalPages || pagination.pages || 1
-  const currentPage = pagination.currentPage || pagination.page || pageNo
-  const canGoPrev = (pagination.hasPrev ?? currentPage > 1) && currentPage > 1
-  const canGoNext = (pagination.hasNext ?? currentPage < totalPages) && currentPage < totalPages
+    setActiveType('all')
+  }, [query])
+
+  const params = useMemo(
+    () => ({
+      ...(filters.state ? { state: filters.state } : {}),
+      ...(filters.party ? { party: filters.party } : {}),
+      ...(activeType === 'all'
+        ? { limit: GROUP_PREVIEW_LIMIT }
+        : { types: activeType, limit: SINGLE_TYPE_LIMIT }),
+    }),
+    [filters.state, filters.party, activeType]
+  )
+
+  const { data, isLoading, error } = useSearch(query, params)
+  const groups = getSearchGroups(data)
+  const resultCount = groups.reduce((sum, group) => sum + group.total, 0)
   const activeFilterCount = getActiveFilterCount()
 
   const formatCurrency = amount => {
@@ -50,22 +62,6 @@ const SearchResults = () => {
     }).format(amount || 0)
   }
 
-  const changePage = (pageChangeDirection = 'next') => {
-    if (pageChangeDirection === 'next') {
-      setPageNo(prev => Math.min(totalPages, prev + 1))
-    } else {
-      setPageNo(prev => Math.max(1, prev - 1))
-    }
-    setTimeout(() => {
-      if (resultContentRef) {
-        resultContentRef.current.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start',
-        })
-      }
-    }, 10)
-  }
-
   const getUtilizationColor = percentage => {
     if (percentage >= 90) return 'high'
     if (percentage >= 70) return 'medium'
@@ -81,8 +77,164 @@ const SearchResults = () => {
     return constituency
   }
 
+  const renderMeta = item => {
+    switch (item.type) {
+      case 'mp':
+        return (
+          <>
+            <span className="meta-item">
+              <FiMapPin />
+              {formatConstituencyName(item.constituency, item.house, item.state)}
+            </span>
+            <span className="meta-item">{item.house}</span>
+          </>
+        )
+      case 'constituency':
+        return (
+          <>
+            <span className="meta-item">{item.state}</span>
+            {item.mps?.[0] && (
+              <span className="meta-item">
+                <FiUser />
+                {item.mps[0].mpName}
+              </span>
+            )}
+          </>
+        )
+      case 'work':
+        return (
+          <>
+            {item.subtitle && (
+              <span className="meta-item">
+                <FiMapPin />
+                {item.subtitle}
+              </span>
+            )}
+            {item.mpName && (
+              <span className="meta-item">
+                <FiUser />
+                {item.mpName}
+              </span>
+            )}
+          </>
+        )
+      default:
+        return item.subtitle ? <span className="meta-item">{item.subtitle}</span> : null
+    }
+  }
+
+  const renderStats = item => {
+    switch (item.type) {
+      case 'mp':
+        return (
+          <>
+            <div className="stat">
+              <span className="stat-label">Allocated</span>
+              <span className="stat-value">{formatCurrency(item.amount)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Expenditure</span>
+              <span className="stat-value">{formatCurrency(item.stats?.totalExpenditure)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Utilization</span>
+              <span
+                className={`stat-value utilization-${getUtilizationColor(item.stats?.utilizationPercentage)}`}
+              >
+                <FiTrendingUp />
+                {item.stats?.utilizationPercentage?.toFixed(1) || 0}%
+              </span>
+            </div>
+          </>
+        )
+      case 'constituency':
+        return (
+          <>
+            <div className="stat">
+              <span className="stat-label">Allocated</span>
+              <span className="stat-value">{formatCurrency(item.amount)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Expenditure</span>
+              <span className="stat-value">{formatCurrency(item.stats?.totalExpenditure)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">MP terms</span>
+              <span className="stat-value">{item.mps?.length || 0}</span>
+            </div>
+          </>
+        )
+      case 'work':
+        return (
+          <>
+            <div className="stat">
+              <span className="stat-label">
+                {item.status === 'completed' ? 'Final Amount' : 'Recommended'}
+              </span>
+              <span className="stat-value">{formatCurrency(item.amount)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Status</span>
+              <span className="stat-value">
+                {item.status === 'completed' ? 'Completed' : 'Recommended'}
+              </span>
+            </div>
+            {item.category && (
+              <div className="stat">
+                <span className="stat-label">Category</span>
+                <span className="stat-value">{item.category}</span>
+              </div>
+            )}
+          </>
+        )
+      default:
+        return (
+          <>
+            <div className="stat">
+              <span className="stat-label">Total Paid</span>
+              <span className="stat-value">{formatCurrency(item.amount)}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">Payments</span>
+              <span className="stat-value">{item.stats?.payments || 0}</span>
+            </div>
+            <div className="stat">
+              <span className="stat-label">MPs</span>
+              <span className="stat-value">{item.stats?.mpCount || 0}</span>
+            </div>
+          </>
+        )
+    }
+  }
+
+  const renderResult = item => {
+    const path = getSearchResultPath(item)
+    const content = (
+      <>
+        <div className="result-header">
+          <div className="result-icon">{TYPE_ICONS[item.type]}</div>
+          <div className="result-info">
+            <h3 className="result-name">{item.title}</h3>
+            <div className="result-meta">{renderMeta(item)}</div>
+          </div>
+        </div>
+        <div className="result-stats">{renderStats(item)}</div>
+      </>
+    )
+    const key = `${item.type}-${item._id}`
+    return path ? (
+      <Link key={key} to={path} className="result-card">
+        {content}
+      </Link>
+    ) : (
+      <div key={key} className="result-card">
+        {content}
+      </div>
+    )
+  }
+
   return (
-    <div className="search-results-page" ref={resultContentRef}>
+    <div className="search-results-page">
       <div className="search-header">
         <div className="search-header-content">
           <h1>Search Results</h1>
@@ -114,13 +266,26 @@ const SearchResults = () => {
               <h2>
                 {isLoading
                   ? 'Searching...'
-                  : results.length > 0
-                    ? `Found ${pagination.totalCount || pagination.total || results.length} results`
+                  : resultCount > 0
+                    ? `Found ${resultCount} results`
                     : 'No results found'}
               </h2>
-              {(urlQuery || filters.searchQuery) && (
-                <p className="search-query">for "{urlQuery || filters.searchQuery}"</p>
-              )}
+              {query && <p className="search-query">for "{query}"</p>}
+            </div>
+
+            <div className="result-type-tabs" role="tablist" aria-label="Result type">
+              {[{ type: 'all', label: 'All' }, ...SEARCH_GROUPS].map(({ type, label }) => (
+                <Button
+                  key={type}
+                  role="tab"
+                  aria-selected={activeType === type}
+                  variant={activeType === type ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => setActiveType(type)}
+                >
+                  {label}
+                </Button>
+              ))}
             </div>
 
             {isLoading ? (
@@ -132,82 +297,24 @@ const SearchResults = () => {
               <div className="results-error">
                 <p>Error loading results. Please try again.</p>
               </div>
-            ) : results.length > 0 ? (
-              <div className="results-list">
-                {results.map(mp => (
-                  <Link
-                    key={mp._id || mp.id}
-                    to={`/mplads/mps/${encodeURIComponent(normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }) || String(mp._id || mp.id)))}`}
-                    className="result-card"
-                  >
-                    <div className="result-header">
-                      <div className="result-icon">
-                        <FiUser />
-                      </div>
-                      <div className="result-info">
-                        <h3 className="result-name">{mp.mpName || mp.name}</h3>
-                        <div className="result-meta">
-                          <span className="meta-item">
-                            <FiMapPin />
-                            {formatConstituencyName(mp.constituency, mp.house, mp.state)}
-                          </span>
-                          <span className="meta-item">{mp.house}</span>
-                        </div>
-                      </div>
-                    </div>
-
-                    <div className="result-stats">
-                      <div className="stat">
-                        <span className="stat-label">Allocated</span>
-                        <span className="stat-value">
-                          {formatCurrency(mp.allocatedAmount || mp.totalAllocated)}
-                        </span>
-                      </div>
-                      <div className="stat">
-                        <span className="stat-label">Expenditure</span>
-                        <span className="stat-value">{formatCurrency(mp.totalExpenditure)}</span>
-                      </div>
-                      <div className="stat">
-                        <span className="stat-label">Utilization</span>
-                        <span
-                          className={`stat-value utilization-${getUtilizationColor(mp.utilizationPercentage)}`}
-                        >
-                          <FiTrendingUp />
-                          {mp.utilizationPercentage?.toFixed(1) || 0}%
-                        </span>
-                      </div>
-                    </div>
-                  </Link>
-                ))}
-              </div>
+            ) : groups.length > 0 ? (
+              groups.map(group => (
+                <section key={group.type} className="result-group" aria-label={group.label}>
+                  <div className="result-group-header">
+                    <h3>{group.label}</h3>
+                    {activeType === 'all' && group.total > group.items.length && (
+                      <Button variant="link" size="sm" onClick={() => setActiveType(group.type)}>
+                        View all {group.total}
+                      </Button>
+                    )}
+                  </div>
+                  <div className="results-list">{group.items.map(renderResult)}</div>
+                </section>
+              ))
             ) : (
               <div className="no-results">
-                <p>No MPs found matching your search criteria.</p>
-                <p>Try adjusting your filters or search query.</p>
-              </div>
-            )}
-
-            {totalPages > 1 && (
-              <div className="pagination">
-                <Button
-                  variant="outline"
-                  disabled={!canGoPrev}
-                  className="pagination-btn"
-                  onClick={() => changePage('prev')}
-                >
-                  Previous
-                </Button>
-                <span className="pagination-info">
-                  Page {currentPage} of {totalPages}
-                </span>
-                <Button
-                  variant="outline"
-                  disabled={!canGoNext}
-                  className="pagination-btn"
-                  onClick={() => changePage('next')}
-                >
-                  Next
-                </Button>
+                <p>No MPs, constituencies, works or vendors match your search.</p>
+                <p>Check the spelling or try fewer words.</p>
               </div>
             )}
           </main>
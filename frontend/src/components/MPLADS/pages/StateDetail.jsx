@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, Link, useNavigate } from 'react-router-dom'
 // Replace react-icons with Lucide for a more elegant look
 import {
   ArrowLeft,
@@ -10,19 +10,31 @@ import {
   ChevronDown,
   ChevronUp,
 } from 'lucide-react'
-import { useMPSummary, useStateSummary } from '../../../hooks/useApi'
+import {
+  useMPSummary,
+  useStateSummary,
+  useSpendVelocity,
+  useConstituencySummary,
+} from '../../../hooks/useApi'
 import FundUtilizationGauge from '../components/Charts/FundUtilizationGauge'
 import MPPersonalityDistribution from '../components/Charts/MPPersonalityDistribution'
+import SpendVelocityChart from '../components/Charts/SpendVelocityChart'
+import RegionChoropleth from '../components/Charts/RegionChoropleth'
+import { CONSTITUENCIES_MAP, hasMapFile } from '../../../utils/maps'
 import ProjectListing from '../components/Projects/ProjectListing'
+import FollowButton from '../components/Common/FollowButton'
 import './StateDetail.css'
 import { formatINRCompact } from '../../../utils/formatters'
 import { buildMPSlugHuman, normalizeMPSlug } from '../../../utils/slug'
 import { useFilters } from '../../../contexts/FilterContext'
+import { useScheme } from '../../../contexts/SchemeContext'
 import { Button } from '@/components/ui/button'
 
 const StateDetail = () => {
   const { stateId } = useParams()
   const { filters } = useFilters()
+  const scheme = useScheme()
+  const navigate = useNavigate()
   const [activeTab, setActiveTab] = useState('overview')
   const [expandedCards, setExpandedCards] = useState(new Set(['summary']))
   const [isMobile, setIsMobile] = useState(false)
@@ -49,6 +61,37 @@ const StateDetail = () => {
     limit: 200, // Increased to accommodate all MPs from any state (UP has 119, highest in India)
   })
 
+  // Spend velocity covers MPLADS payments only
+  const { data: velocityData, isLoading: velocityLoading } = useSpendVelocity(
+    { state: properStateName },
+    { enabled: !scheme.isMLALADS && !!properStateName }
+  )
+
+  // The constituency map has parliamentary boundaries only, so MLALADS skips it.
+  // It is also left out until the boundary file is bundled (see assets/maps/README.md).
+  const showConstituencyMap = !scheme.isMLALADS && hasMapFile(CONSTITUENCIES_MAP)
+  const { data: constituencyData, isLoading: constituenciesLoading } = useConstituencySummary({
+    state: showConstituencyMap ? properStateName : undefined,
+    limit: 100,
+  })
+  const constituencyMap = showConstituencyMap && (
+    <RegionChoropleth
+      map={CONSTITUENCIES_MAP}
+      state={properStateName}
+      rows={constituencyData?.data || []}
+      isLoading={constituenciesLoading}
+      title={`Constituencies in ${properStateName}`}
+      onSelect={constituency =>
+        navigate(
+          `${scheme.basePath}/track-area?${new URLSearchParams({
+            state: properStateName,
+            constituency: constituency.name,
+          })}`
+        )
+      }
+    />
+  )
+
   // Mobile detection and touch handling
   useEffect(() => {
     const checkMobile = () => {
@@ -194,6 +237,9 @@ const StateDetail = () => {
     return 'low'
   }
 
+  const getMemberPath = mp =>
+    `${scheme.basePath}/${scheme.membersPath}/${encodeURIComponent(normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }) || String(mp.id || mp._id)))}`
+
   // Helper function to render sortable MP table headers
   const renderMpSortableHeader = (field, label) => {
     const isActive = mpSortBy === field
@@ -238,14 +284,24 @@ const StateDetail = () => {
   return (
     <div className="state-detail-page">
       <div className="state-detail-header">
-        <Link to="/mplads/states" className="back-link">
+        <Link to={`${scheme.basePath}/states`} className="back-link">
           <ArrowLeft aria-hidden="true" />
           Back to All States
         </Link>
 
         <div className="state-title-section">
-          <h1>{properStateName}</h1>
-          <p>Detailed MPLADS performance analysis</p>
+          <div className="state-title-row">
+            <h1>{properStateName}</h1>
+            {/* Digests are built from MPLADS syncs only */}
+            {!scheme.isMLALADS && (
+              <FollowButton
+                type="state"
+                id={stateInfo.state || properStateName}
+                label={stateInfo.state || properStateName}
+              />
+            )}
+          </div>
+          <p>Detailed {scheme.name} performance analysis</p>
         </div>
 
         {/* Mobile Collapsible Summary Card */}
@@ -278,7 +334,7 @@ const StateDetail = () => {
                     <span className="stat-value">
                       {stateInfo.mpCount || stateInfo.totalMPs || 0}
                     </span>
-                    <span className="stat-label">Total MPs</span>
+                    <span className="stat-label">Total {scheme.memberLabelPlural}</span>
                   </div>
                 </div>
                 <div className="summary-stat">
@@ -325,7 +381,7 @@ const StateDetail = () => {
               </span>
               <div>
                 <span className="stat-value">{stateInfo.mpCount || stateInfo.totalMPs || 0}</span>
-                <span className="stat-label">Total MPs</span>
+                <span className="stat-label">Total {scheme.memberLabelPlural}</span>
               </div>
             </div>
             <div className="summary-stat">
@@ -458,6 +514,68 @@ const StateDetail = () => {
                   )}
                 </div>
 
+                {showConstituencyMap && (
+                  <div className="mobile-card">
+                    <Button
+                      className="card-header gap-2"
+                      onClick={() => toggleCard('map')}
+                      aria-expanded={expandedCards.has('map')}
+                      aria-controls="map-panel"
+                      variant="ghost"
+                    >
+                      <h3 id="map-heading">Constituency Map</h3>
+                      {expandedCards.has('map') ? (
+                        <ChevronUp aria-hidden="true" />
+                      ) : (
+                        <ChevronDown aria-hidden="true" />
+                      )}
+                    </Button>
+                    {expandedCards.has('map') && (
+                      <div
+                        id="map-panel"
+                        className="card-content"
+                        role="region"
+                        aria-labelledby="map-heading"
+                      >
+                        {constituencyMap}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {!scheme.isMLALADS && (
+                  <div className="mobile-card">
+                    <Button
+                      className="card-header gap-2"
+                      onClick={() => toggleCard('velocity')}
+                      aria-expanded={expandedCards.has('velocity')}
+                      aria-controls="velocity-panel"
+                      variant="ghost"
+                    >
+                      <h3 id="velocity-heading">Spend Velocity</h3>
+                      {expandedCards.has('velocity') ? (
+                        <ChevronUp aria-hidden="true" />
+                      ) : (
+                        <ChevronDown aria-hidden="true" />
+                      )}
+                    </Button>
+                    {expandedCards.has('velocity') && (
+                      <div
+                        id="velocity-panel"
+                        className="card-content"
+                        role="region"
+                        aria-labelledby="velocity-heading"
+                      >
+                        <SpendVelocityChart
+                          data={velocityData?.data}
+                          isLoading={velocityLoading}
+                          title={`Spending in ${properStateName}`}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 <div className="mobile-card">
                   <Button
                     className="card-header gap-2"
@@ -567,6 +685,18 @@ const StateDetail = () => {
                     </div>
                   </div>
                 </div>
+
+                {constituencyMap}
+
+                {!scheme.isMLALADS && (
+                  <div className="chart-container">
+                    <SpendVelocityChart
+                      data={velocityData?.data}
+                      isLoading={velocityLoading}
+                      title={`Spending in ${properStateName}`}
+                    />
+                  </div>
+                )}
               </>
             )}
           </div>
@@ -576,7 +706,7 @@ const StateDetail = () => {
           <div className="mps-section">
             <h3>MPs Performance in {properStateName}</h3>
             {mpsLoading ? (
-              <div className="loading">Loading MPs data...</div>
+              <div className="loading">Loading {scheme.memberLabelPlural} data...</div>
             ) : sortedMPs.length > 0 ? (
               isMobile ? (
                 /* Mobile Card List */
@@ -608,7 +738,7 @@ const StateDetail = () => {
                       <option value="utilization">Utilization %</option>
                       <option value="allocated">Allocated Amount</option>
                       <option value="utilized">Utilized Amount</option>
-                      <option value="name">MP Name</option>
+                      <option value="name">{scheme.memberLabel} Name</option>
                       <option value="constituency">Constituency</option>
                       <option value="house">House</option>
                     </select>
@@ -617,12 +747,13 @@ const StateDetail = () => {
                     <div key={mp.id || mp._id} className="mobile-mp-card">
                       <div className="mp-card-header">
                         <div className="mp-primary-info">
-                          <Link
-                            to={`/mplads/mps/${encodeURIComponent(normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }) || String(mp.id || mp._id)))}`}
-                            className="mp-name-link"
-                          >
+                          {scheme.hasMemberDetail ? (
+                            <Link to={getMemberPath(mp)} className="mp-name-link">
+                              <h4>{mp.mpName || mp.name}</h4>
+                            </Link>
+                          ) : (
                             <h4>{mp.mpName || mp.name}</h4>
-                          </Link>
+                          )}
                           <p className="mp-constituency">{mp.constituency}</p>
                         </div>
                         <span
@@ -658,7 +789,7 @@ const StateDetail = () => {
                   <table>
                     <thead>
                       <tr>
-                        {renderMpSortableHeader('name', 'MP Name')}
+                        {renderMpSortableHeader('name', `${scheme.memberLabel} Name`)}
                         {renderMpSortableHeader('constituency', 'Constituency')}
                         {renderMpSortableHeader('house', 'House')}
                         {renderMpSortableHeader('allocated', 'Allocated')}
@@ -670,12 +801,13 @@ const StateDetail = () => {
                       {sortedMPs.map(mp => (
                         <tr key={mp.id || mp._id}>
                           <td>
-                            <Link
-                              to={`/mplads/mps/${encodeURIComponent(normalizeMPSlug(buildMPSlugHuman(mp, { lsTerm: filters?.lsTerm }) || String(mp.id || mp._id)))}`}
-                              className="mp-link"
-                            >
-                              {mp.mpName || mp.name}
-                            </Link>
+                            {scheme.hasMemberDetail ? (
+                              <Link to={getMemberPath(mp)} className="mp-link">
+                                {mp.mpName || mp.name}
+                              </Link>
+                            ) : (
+                              mp.mpName || mp.name
+                            )}
                           </td>
                           <td>{mp.constituency}</td>
                           <td>{mp.house}</td>
@@ -695,7 +827,7 @@ const StateDetail = () => {
                 </div>
               )
             ) : (
-              <div className="no-data">No MP data available for this state.</div>
+              <div className="no-data">No {scheme.memberLabel} data available for this state.</div>
             )}
           </div>
         )}
@@ -1,5 +1,6 @@
 import React from 'react'
 import { useState, useMemo } from 'react'
+import { useNavigate } from 'react-router-dom'
 import {
   FiSearch,
   FiFilter,
@@ -14,11 +15,15 @@ import StateCard from '../components/States/StateCard'
 import InfoTooltip from '../components/Common/InfoTooltip'
 import SkeletonLoader from '../components/Common/SkeletonLoader'
 import './StateList.css'
-import { formatINRCompact } from '../../../utils/formatters'
+import { formatINRCompact, formatPerLakh } from '../../../utils/formatters'
 import { useFilters } from '../../../contexts/FilterContext'
 import { getPeriodLabel } from '../../../utils/lsTerm'
+import { useScheme } from '../../../contexts/SchemeContext'
 import { sanitizeInput } from '../../../utils/inputSanitization'
 import StateCardList from '../components/States/StateCardList'
+import RegionChoropleth from '../components/Charts/RegionChoropleth'
+import PerCapitaToggle from '../components/Common/PerCapitaToggle'
+import { STATES_MAP } from '../../../utils/maps'
 import ExportStatesListAsPdf from '../../../utils/exportStatesListAsPdf'
 import { Button } from '@/components/ui/button'
 
@@ -27,7 +32,9 @@ const StateList = () => {
   const [sortBy, setSortBy] = useState('utilizationPercentage')
   const [sortOrder, setSortOrder] = useState('desc')
   const [viewMode, setViewMode] = useState('grid')
+  const navigate = useNavigate()
   const [filterRange, setFilterRange] = useState('all')
+  const [perCapita, setPerCapita] = useState(false)
 
   const exportPdfRef = React.useRef(null)
 
@@ -41,12 +48,14 @@ const StateList = () => {
   const { data, isLoading, error } = useStateSummary()
 
   const { filters } = useFilters()
-  const periodLabel =
-    (filters?.house || 'Lok Sabha') === 'Lok Sabha'
-      ? getPeriodLabel(filters?.lsTerm || 18)
+  const scheme = useScheme()
+  const periodLabel = scheme.isMLALADS
+    ? scheme.termLabel
+    : (filters?.house || 'Lok Sabha') === 'Lok Sabha'
+      ? getPeriodLabel(filters?.lsTerm)
       : filters?.house === 'Rajya Sabha'
         ? 'Rajya Sabha'
-        : `Both Houses • ${getPeriodLabel(filters?.lsTerm || 18)}`
+        : `Both Houses • ${getPeriodLabel(filters?.lsTerm)}`
 
   const states = useMemo(() => {
     return data?.data || []
@@ -79,6 +88,14 @@ const StateList = () => {
       uniqueStates.reduce((sum, state) => sum + (state.utilizationPercentage || 0), 0) /
       uniqueStates.length
 
+    // Per-capita totals cover only the states with census figures
+    const withPopulation = uniqueStates.filter(state => state.normalized)
+    const population = withPopulation.reduce((sum, state) => sum + state.normalized.population, 0)
+    const perLakh = key =>
+      population > 0
+        ? (withPopulation.reduce((sum, state) => sum + (state[key] || 0), 0) * 100000) / population
+        : null
+
     return {
       uniqueStates,
       nationalStats: {
@@ -86,6 +103,8 @@ const StateList = () => {
         totalAllocated,
         totalExpenditure,
         avgUtilization,
+        allocatedPerLakh: perLakh('totalAllocated'),
+        spendPerLakh: perLakh('totalExpenditure'),
       },
     }
   }, [states])
@@ -132,6 +151,10 @@ const StateList = () => {
             return Number(s.totalExpenditure || 0)
           case 'totalWorksCompleted':
             return Number(s.totalWorksCompleted || 0)
+          // States without census figures sort last
+          case 'spendPerLakh':
+          case 'worksPer1000SqKm':
+            return Number(s.normalized?.[sortBy] ?? -1)
           case 'utilizationPercentage':
           default:
             return Number(s.utilizationPercentage || 0)
@@ -156,6 +179,16 @@ const StateList = () => {
   }, [uniqueStates, searchQuery, filterRange, sortBy, sortOrder])
 
   // Currency formatting handled via formatINRCompact
+  const canShowPerCapita = !scheme.isMLALADS && uniqueStates.some(state => state.normalized)
+  const showPerCapita = perCapita && canShowPerCapita
+
+  const handlePerCapitaChange = value => {
+    setPerCapita(value)
+    // Per-capita sort keys mean nothing once totals are shown again
+    if (!value && ['spendPerLakh', 'worksPer1000SqKm'].includes(sortBy)) {
+      setSortBy('utilizationPercentage')
+    }
+  }
 
   const handleSort = field => {
     if (sortBy === field) {
@@ -226,9 +259,13 @@ const StateList = () => {
       <div className="states-header">
         <div className="header-content">
           <div className="title-row">
-            <h1>State-wise MPLADS Performance</h1>
+            <h1>State-wise {scheme.name} Performance</h1>
             <InfoTooltip
-              content="This dashboard includes data from current and recent MPs with active MPLADS projects. MP counts may exceed current parliamentary seats due to ongoing multi-year projects from previous terms. Data spans multiple parliamentary sessions to show complete project lifecycles."
+              content={
+                scheme.isMLALADS
+                  ? 'MLALADS data is published by each state legislature; only states whose data has been imported are listed.'
+                  : 'This dashboard includes data from current and recent MPs with active MPLADS projects. MP counts may exceed current parliamentary seats due to ongoing multi-year projects from previous terms. Data spans multiple parliamentary sessions to show complete project lifecycles.'
+              }
               position="bottom"
               size="medium"
             />
@@ -244,13 +281,25 @@ const StateList = () => {
               <span className="stat-period">{periodLabel}</span>
             </div>
             <div className="stat-box">
-              <span className="stat-label">Total Allocated</span>
-              <span className="stat-value">{formatINRCompact(nationalStats.totalAllocated)}</span>
+              <span className="stat-label">
+                {showPerCapita ? 'Allocated per Lakh People' : 'Total Allocated'}
+              </span>
+              <span className="stat-value">
+                {showPerCapita
+                  ? formatPerLakh(nationalStats.allocatedPerLakh)
+                  : formatINRCompact(nationalStats.totalAllocated)}
+              </span>
               <span className="stat-period">{periodLabel}</span>
             </div>
             <div className="stat-box">
-              <span className="stat-label">Total Utilized</span>
-              <span className="stat-value">{formatINRCompact(nationalStats.totalExpenditure)}</span>
+              <span className="stat-label">
+                {showPerCapita ? 'Utilized per Lakh People' : 'Total Utilized'}
+              </span>
+              <span className="stat-value">
+                {showPerCapita
+                  ? formatPerLakh(nationalStats.spendPerLakh)
+                  : formatINRCompact(nationalStats.totalExpenditure)}
+              </span>
               <span className="stat-period">{periodLabel}</span>
             </div>
             <div className="stat-box">
@@ -351,6 +400,8 @@ const StateList = () => {
                 <option value="totalAllocated">Total Allocated</option>
                 <option value="totalExpenditure">Total Expenditure</option>
                 <option value="totalWorksCompleted">Works Completed</option>
+                {showPerCapita && <option value="spendPerLakh">Spend per Lakh People</option>}
+                {showPerCapita && <option value="worksPer1000SqKm">Works per 1000 km²</option>}
                 <option value="name">State Name</option>
               </select>
             </div>
@@ -358,6 +409,10 @@ const StateList = () => {
             <></>
           )}
 
+          {canShowPerCapita && (
+            <PerCapitaToggle value={showPerCapita} onChange={handlePerCapitaChange} />
+          )}
+
           <div className="view-controls">
             <div>
               <Button
@@ -374,6 +429,13 @@ const StateList = () => {
               >
                 List
               </Button>
+              <Button
+                className={`view-btn ${viewMode === 'map' ? 'active' : ''}`}
+                onClick={() => setViewMode('map')}
+                variant="outline"
+              >
+                Map
+              </Button>
             </div>
             <div style={{ marginLeft: '10px' }}>
               {filteredStates.length > 0 && (
@@ -414,13 +476,30 @@ const StateList = () => {
         </div>
         {filteredStates.length > 0 ? (
           <>
-            {viewMode === 'list' ? (
-              <StateCardList states={filteredStates} onSortedStatesChange={updateExportPdfStates} />
+            {viewMode === 'map' ? (
+              <RegionChoropleth
+                key={showPerCapita ? 'per-capita' : 'totals'}
+                map={STATES_MAP}
+                initialMetric={showPerCapita ? 'spendPerLakh' : 'utilization'}
+                rows={filteredStates.map(state => ({ ...state, name: state.state || state.name }))}
+                onSelect={state =>
+                  navigate(
+                    `${scheme.basePath}/states/${state.name.toLowerCase().replace(/\s+/g, '-')}`
+                  )
+                }
+              />
+            ) : viewMode === 'list' ? (
+              <StateCardList
+                states={filteredStates}
+                perCapita={showPerCapita}
+                onSortedStatesChange={updateExportPdfStates}
+              />
             ) : (
               <div className={`states-grid`}>
                 {filteredStates.map((state, index) => (
                   <StateCard
                     key={state._id || state.state || index}
+                    perCapita={showPerCapita}
                     state={{
                       ...state,
                       name: state.state || state.name || 'Unknown State',
@@ -1,9 +1,11 @@
 import { useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { useQuery } from '@tanstack/react-query'
-import { FiMap, FiSearch, FiFilter } from 'react-icons/fi'
+import { FiMap, FiSearch, FiFilter, FiMapPin } from 'react-icons/fi'
 import { worksAPI } from '../../../services/api/works'
 import { CACHE_TIMES } from '../../../utils/constants/api'
 import ProjectListing from '../components/Projects/ProjectListing'
+import NearbyWorks from '../components/Projects/NearbyWorks'
 import './TrackArea.css'
 import { Button } from '@/components/ui/button'
 import {
@@ -16,8 +18,14 @@ import {
 import { Label } from '@/components/ui/label'
 
 const TrackArea = () => {
-  const [selectedConstituency, setSelectedConstituency] = useState('')
-  const [selectedState, setSelectedState] = useState('')
+  // Map regions link here with ?state=&constituency= preselected
+  const [searchParams, setSearchParams] = useSearchParams()
+  // ?mode=nearby opens "Projects near me" instead of the constituency search
+  const mode = searchParams.get('mode') === 'nearby' ? 'nearby' : 'constituency'
+  const [selectedConstituency, setSelectedConstituency] = useState(
+    searchParams.get('constituency') || ''
+  )
+  const [selectedState, setSelectedState] = useState(searchParams.get('state') || '')
   // Fetch constituencies
   const { data: constituenciesData } = useQuery({
     queryKey: ['constituencies', selectedState],
@@ -28,6 +36,10 @@ const TrackArea = () => {
   const constituencies = constituenciesData?.data?.constituencies || []
   const states = constituenciesData?.data?.states || []
 
+  const selectMode = next => {
+    setSearchParams(next === 'nearby' ? { mode: 'nearby' } : {}, { replace: true })
+  }
+
   const handleReset = () => {
     setSelectedConstituency('')
     setSelectedState('')
@@ -48,71 +60,96 @@ const TrackArea = () => {
         <p>Search and explore MPLADS projects in your area using constituency-based filtering</p>
       </div>
 
+      <div className="track-area-modes" role="tablist" aria-label="Find projects by">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'constituency'}
+          className={`track-area-mode ${mode === 'constituency' ? 'active' : ''}`}
+          onClick={() => selectMode('constituency')}
+        >
+          <FiSearch aria-hidden="true" /> By constituency
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'nearby'}
+          className={`track-area-mode ${mode === 'nearby' ? 'active' : ''}`}
+          onClick={() => selectMode('nearby')}
+        >
+          <FiMapPin aria-hidden="true" /> Near me
+        </button>
+      </div>
+
+      {mode === 'nearby' && <NearbyWorks />}
+
       {/* Search Form */}
-      <div className="search-form">
-        <div className="form-row">
-          <div className="form-group">
-            <Label htmlFor="state">State (Optional)</Label>
-            <Select
-              value={selectedState || 'all-states'}
-              onValueChange={value => setSelectedState(value === 'all-states' ? '' : value)}
-            >
-              <SelectTrigger id="state">
-                <SelectValue placeholder="All States" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all-states">All States</SelectItem>
-                {states.map(state => (
-                  <SelectItem key={state} value={state}>
-                    {state}
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
-          </div>
+      {mode === 'constituency' && (
+        <div className="search-form">
+          <div className="form-row">
+            <div className="form-group">
+              <Label htmlFor="state">State (Optional)</Label>
+              <Select
+                value={selectedState || 'all-states'}
+                onValueChange={value => setSelectedState(value === 'all-states' ? '' : value)}
+              >
+                <SelectTrigger id="state">
+                  <SelectValue placeholder="All States" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all-states">All States</SelectItem>
+                  {states.map(state => (
+                    <SelectItem key={state} value={state}>
+                      {state}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
 
-          <div className="form-group">
-            <Label htmlFor="constituency">Constituency *</Label>
-            <Select
-              value={selectedKey}
-              onValueChange={value => {
-                if (!value) {
-                  setSelectedConstituency('')
-                  return
-                }
-                const [cons, state] = value.split('|||')
-                setSelectedConstituency(cons)
-                // Always set state from the selected option to disambiguate duplicates
-                setSelectedState(state || '')
-              }}
-              required
-            >
-              <SelectTrigger id="constituency">
-                <SelectValue placeholder="Select Constituency" />
-              </SelectTrigger>
-              <SelectContent>
-                {constituencies.map(item => (
-                  <SelectItem
-                    key={`${item.constituency}-${item.state}`}
-                    value={makeOptionKey(item.constituency, item.state)}
-                  >
-                    {item.constituency} ({item.state})
-                  </SelectItem>
-                ))}
-              </SelectContent>
-            </Select>
+            <div className="form-group">
+              <Label htmlFor="constituency">Constituency *</Label>
+              <Select
+                value={selectedKey}
+                onValueChange={value => {
+                  if (!value) {
+                    setSelectedConstituency('')
+                    return
+                  }
+                  const [cons, state] = value.split('|||')
+                  setSelectedConstituency(cons)
+                  // Always set state from the selected option to disambiguate duplicates
+                  setSelectedState(state || '')
+                }}
+                required
+              >
+                <SelectTrigger id="constituency">
+                  <SelectValue placeholder="Select Constituency" />
+                </SelectTrigger>
+                <SelectContent>
+                  {constituencies.map(item => (
+                    <SelectItem
+                      key={`${item.constituency}-${item.state}`}
+                      value={makeOptionKey(item.constituency, item.state)}
+                    >
+                      {item.constituency} ({item.state})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
           </div>
-        </div>
 
-        <div className="form-actions">
-          <Button type="button" onClick={handleReset} className="btn-secondary" variant="outline">
-            Reset Filters
-          </Button>
+          <div className="form-actions">
+            <Button type="button" onClick={handleReset} className="btn-secondary" variant="outline">
+              Reset Filters
+            </Button>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Placeholder when no constituency selected */}
-      {!selectedConstituency && (
+      {mode === 'constituency' && !selectedConstituency && (
         <div className="placeholder-section">
           <div className="placeholder-content">
             <div className="placeholder-icon">
@@ -138,7 +175,7 @@ const TrackArea = () => {
       )}
 
       {/* Results Section */}
-      {selectedConstituency && (
+      {mode === 'constituency' && selectedConstituency && (
         <div className="results-section">
           <h2>Projects in {selectedConstituency}</h2>
           <ProjectListing
@@ -0,0 +1,243 @@
+import { useMemo, useState } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import ReactECharts from 'echarts-for-react'
+import { FiArrowLeft } from 'react-icons/fi'
+import { useVendorDetails } from '../../../hooks/useApi'
+import { formatINRCompact } from '../../../utils/formatters'
+import { buildMPSlugHuman, normalizeMPSlug } from '../../../utils/slug'
+import ProjectDetailModal from '../components/Common/ProjectDetailModal'
+import './Vendors.css'
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-IN') : '—')
+
+const mpPath = mp => {
+  const slug = normalizeMPSlug(buildMPSlugHuman({ ...mp, name: mp.mpName }, { lsTerm: mp.lsTerm }))
+  return slug ? `/mplads/mps/${encodeURIComponent(slug)}` : null
+}
+
+const VendorDetail = () => {
+  const { vendorName } = useParams()
+  const [searchParams] = useSearchParams()
+  const by = searchParams.get('by') === 'ida' ? 'ida' : 'vendor'
+  const [selectedWork, setSelectedWork] = useState(null)
+
+  const { data, isLoading, error } = useVendorDetails(vendorName, { by })
+  const detail = data?.data
+  const vendor = detail?.vendor
+  const label = by === 'ida' ? 'Implementing agency' : 'Vendor'
+
+  const timelineOption = useMemo(() => {
+    const timeline = detail?.timeline || []
+    return {
+      tooltip: {
+        trigger: 'axis',
+        formatter: params => {
+          const point = timeline[params[0].dataIndex]
+          return `${point.month}<br/>${formatINRCompact(point.totalPaid)} • ${point.payments} payments`
+        },
+      },
+      grid: { left: 60, right: 20, top: 20, bottom: 40 },
+      xAxis: { type: 'category', data: timeline.map(point => point.month) },
+      yAxis: {
+        type: 'value',
+        axisLabel: { formatter: value => formatINRCompact(value) },
+      },
+      series: [
+        {
+          type: 'bar',
+          data: timeline.map(point => point.totalPaid),
+          itemStyle: { color: '#2c5282' },
+        },
+      ],
+    }
+  }, [detail?.timeline])
+
+  if (isLoading) {
+    return (
+      <div className="vendors-page">
+        <div className="vendors-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading {label.toLowerCase()} details...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (error || !vendor) {
+    return (
+      <div className="vendors-page">
+        <Link to="/mplads/vendors" className="vendors-back">
+          <FiArrowLeft /> All vendors
+        </Link>
+        <div className="vendors-error">
+          <p>{label} not found for the selected house and term.</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="vendors-page">
+      <Link to="/mplads/vendors" className="vendors-back">
+        <FiArrowLeft /> All vendors
+      </Link>
+
+      <div className="vendors-header">
+        <p>{label}</p>
+        <h1>{vendor.name}</h1>
+        <div className="vendor-stats">
+          <div className="stat-box">
+            <span className="stat-label">Total Paid</span>
+            <span className="stat-value">{formatINRCompact(vendor.totalPaid)}</span>
+          </div>
+          <div className="stat-box">
+            <span className="stat-label">Payments</span>
+            <span className="stat-value">{vendor.payments}</span>
+          </div>
+          <div className="stat-box">
+            <span className="stat-label">MPs</span>
+            <span className="stat-value">{vendor.mpCount}</span>
+          </div>
+          <div className="stat-box">
+            <span className="stat-label">States</span>
+            <span className="stat-value">{vendor.stateCount}</span>
+          </div>
+          <div className="stat-box">
+            <span className="stat-label">Active</span>
+            <span className="stat-value">
+              {formatDate(vendor.firstPayment)} – {formatDate(vendor.lastPayment)}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {detail.timeline.length > 0 && (
+        <section className="vendor-section">
+          <h2>Payments by month</h2>
+          <div className="vendor-chart">
+            <ReactECharts
+              option={timelineOption}
+              style={{ height: '300px', width: '100%' }}
+              opts={{ renderer: 'svg' }}
+            />
+          </div>
+        </section>
+      )}
+
+      <section className="vendor-section">
+        <h2>MPs ({detail.mps.length})</h2>
+        <div className="vendors-table-wrap">
+          <table className="vendors-table">
+            <thead>
+              <tr>
+                <th>MP</th>
+                <th>Constituency</th>
+                <th>State</th>
+                <th>House</th>
+                <th>Total Paid</th>
+                <th>Payments</th>
+                <th>Last Payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.mps.map(mp => {
+                const path = mpPath(mp)
+                return (
+                  <tr key={`${mp.mpName}-${mp.house}-${mp.lsTerm}-${mp.constituency}`}>
+                    <td>
+                      {path ? (
+                        <Link to={path} className="vendor-link">
+                          {mp.mpName}
+                        </Link>
+                      ) : (
+                        mp.mpName
+                      )}
+                    </td>
+                    <td>{mp.constituency}</td>
+                    <td>{mp.state}</td>
+                    <td>
+                      {mp.house}
+                      {mp.lsTerm ? ` (${mp.lsTerm}th)` : ''}
+                    </td>
+                    <td>{formatINRCompact(mp.totalPaid)}</td>
+                    <td>{mp.payments}</td>
+                    <td>{formatDate(mp.lastPayment)}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="vendor-section">
+        <h2>Constituencies ({detail.constituencies.length})</h2>
+        <div className="vendors-table-wrap">
+          <table className="vendors-table">
+            <thead>
+              <tr>
+                <th>Constituency</th>
+                <th>State</th>
+                <th>Total Paid</th>
+                <th>Payments</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.constituencies.map(row => (
+                <tr key={`${row.constituency}-${row.state}`}>
+                  <td>{row.constituency}</td>
+                  <td>{row.state}</td>
+                  <td>{formatINRCompact(row.totalPaid)}</td>
+                  <td>{row.payments}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="vendor-section">
+        <h2>Works ({detail.works.length})</h2>
+        <div className="vendors-table-wrap">
+          <table className="vendors-table">
+            <thead>
+              <tr>
+                <th>Work</th>
+                <th>MP</th>
+                <th>Constituency</th>
+                <th>Total Paid</th>
+                <th>Payments</th>
+                <th>Last Payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {detail.works.map(work => (
+                <tr
+                  key={`${work.workId}-${work.house}-${work.lsTerm}`}
+                  className={work.recordId ? 'clickable' : undefined}
+                  onClick={() => work.recordId && setSelectedWork(work)}
+                >
+                  <td className="wrap">{work.description || work.workId}</td>
+                  <td>{work.mpName}</td>
+                  <td>{work.constituency}</td>
+                  <td>{formatINRCompact(work.totalPaid)}</td>
+                  <td>{work.payments}</td>
+                  <td>{formatDate(work.lastPayment)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <ProjectDetailModal
+        isOpen={!!selectedWork}
+        onClose={() => setSelectedWork(null)}
+        workId={selectedWork?.recordId}
+        workType={selectedWork?.workType || 'completed'}
+      />
+    </div>
+  )
+}
+
+export default VendorDetail
@@ -0,0 +1,229 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { FiSearch, FiChevronLeft, FiChevronRight } from 'react-icons/fi'
+import { useTopVendors, useVendorSpread } from '../../../hooks/useApi'
+import { useDebounce } from '../../../hooks/useDebounce'
+import { useFilters } from '../../../contexts/FilterContext'
+import { getPeriodLabel } from '../../../utils/lsTerm'
+import { formatINRCompact } from '../../../utils/formatters'
+import { sanitizeInput } from '../../../utils/inputSanitization'
+import InfoTooltip from '../components/Common/InfoTooltip'
+import { Button } from '@/components/ui/button'
+import './Vendors.css'
+
+const VIEWS = [
+  { id: 'top', label: 'Top by amount' },
+  { id: 'spread', label: 'Across many MPs' },
+]
+
+const GROUPS = [
+  { id: 'vendor', label: 'Vendors', singular: 'Vendor' },
+  { id: 'ida', label: 'Implementing agencies', singular: 'Implementing agency' },
+]
+
+const SORT_OPTIONS = [
+  { id: 'amount', label: 'Amount paid' },
+  { id: 'payments', label: 'Payments' },
+  { id: 'mps', label: 'MPs' },
+  { id: 'states', label: 'States' },
+]
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-IN') : '—')
+
+// Detail link for a vendor or implementing agency name
+const vendorPath = (name, by = 'vendor') =>
+  `/mplads/vendors/${encodeURIComponent(name)}${by === 'ida' ? '?by=ida' : ''}`
+
+const Vendors = () => {
+  const { filters } = useFilters()
+  const [view, setView] = useState('top')
+  const [groupBy, setGroupBy] = useState('vendor')
+  const [sort, setSort] = useState('amount')
+  const [search, setSearch] = useState('')
+  const [page, setPage] = useState(1)
+  const debouncedSearch = useDebounce(search, 300)
+
+  useEffect(() => {
+    setPage(1)
+  }, [view, groupBy, sort, debouncedSearch])
+
+  // The spread view ranks by MP count unless another order is picked
+  useEffect(() => {
+    setSort(view === 'spread' ? 'mps' : 'amount')
+  }, [view])
+
+  const params = {
+    by: groupBy,
+    sort,
+    page,
+    limit: 25,
+    ...(debouncedSearch ? { search: debouncedSearch } : {}),
+  }
+  const topQuery = useTopVendors(params, { enabled: view === 'top' })
+  const spreadQuery = useVendorSpread(params, { enabled: view === 'spread' })
+  const { data, isLoading, error } = view === 'spread' ? spreadQuery : topQuery
+
+  const vendors = data?.data?.vendors || []
+  const pagination = data?.data?.pagination || {}
+  const group = GROUPS.find(g => g.id === groupBy)
+  const periodLabel =
+    (filters?.house || 'Lok Sabha') === 'Lok Sabha'
+      ? getPeriodLabel(filters?.lsTerm)
+      : filters?.house === 'Rajya Sabha'
+        ? 'Rajya Sabha'
+        : `Both Houses • ${getPeriodLabel(filters?.lsTerm)}`
+
+  return (
+    <div className="vendors-page">
+      <div className="vendors-header">
+        <div className="title-row">
+          <h1>Vendors &amp; Implementing Agencies</h1>
+          <InfoTooltip
+            content="Totals are built from individual MPLADS payments. Each payment names the vendor paid and the implementing district authority (IDA) that released it."
+            position="bottom"
+            size="medium"
+          />
+        </div>
+        <p>
+          Who MPLADS money is paid to, which MPs and constituencies they work for, and when they
+          were paid. <span className="vendors-period">{periodLabel}</span>
+        </p>
+      </div>
+
+      <div className="vendors-controls">
+        <div className="vendors-tabs" role="tablist" aria-label="Vendor view">
+          {VIEWS.map(v => (
+            <Button
+              key={v.id}
+              role="tab"
+              aria-selected={view === v.id}
+              variant={view === v.id ? 'default' : 'outline'}
+              size="sm"
+              onClick={() => setView(v.id)}
+            >
+              {v.label}
+            </Button>
+          ))}
+        </div>
+
+        <div className="vendors-filters">
+          <label>
+            <span>Group by</span>
+            <select value={groupBy} onChange={e => setGroupBy(e.target.value)}>
+              {GROUPS.map(g => (
+                <option key={g.id} value={g.id}>
+                  {g.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Sort by</span>
+            <select value={sort} onChange={e => setSort(e.target.value)}>
+              {SORT_OPTIONS.map(o => (
+                <option key={o.id} value={o.id}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="vendors-search">
+            <FiSearch aria-hidden="true" />
+            <input
+              type="text"
+              placeholder={`Filter ${group.label.toLowerCase()}...`}
+              value={search}
+              maxLength={100}
+              onChange={e => setSearch(sanitizeInput(e.target.value))}
+            />
+          </div>
+        </div>
+      </div>
+
+      {view === 'spread' && data?.data?.thresholds && (
+        <p className="vendors-note">
+          {group.label} paid on behalf of at least {data.data.thresholds.minMPs} MPs.
+        </p>
+      )}
+
+      {isLoading ? (
+        <div className="vendors-loading">
+          <div className="loading-spinner"></div>
+          <p>Loading {group.label.toLowerCase()}...</p>
+        </div>
+      ) : error ? (
+        <div className="vendors-error">
+          <p>Error loading vendor data. Please try again later.</p>
+        </div>
+      ) : vendors.length === 0 ? (
+        <div className="vendors-empty">
+          <p>No {group.label.toLowerCase()} match these filters.</p>
+        </div>
+      ) : (
+        <div className="vendors-table-wrap">
+          <table className="vendors-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>{group.singular}</th>
+                <th>Total Paid</th>
+                <th>Payments</th>
+                <th>MPs</th>
+                <th>States</th>
+                <th>Works</th>
+                <th>Last Payment</th>
+              </tr>
+            </thead>
+            <tbody>
+              {vendors.map((vendor, index) => (
+                <tr key={vendor.name}>
+                  <td>
+                    {((pagination.currentPage || page) - 1) * (pagination.limit || 25) + index + 1}
+                  </td>
+                  <td>
+                    <Link to={vendorPath(vendor.name, groupBy)} className="vendor-link">
+                      {vendor.name}
+                    </Link>
+                  </td>
+                  <td>{formatINRCompact(vendor.totalPaid)}</td>
+                  <td>{vendor.payments}</td>
+                  <td>{vendor.mpCount}</td>
+                  <td title={(vendor.states || []).join(', ')}>{vendor.stateCount}</td>
+                  <td>{vendor.workCount}</td>
+                  <td>{formatDate(vendor.lastPayment)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="vendors-pagination">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={!pagination.hasPrev}
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+          >
+            <FiChevronLeft /> Previous
+          </Button>
+          <span>
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalCount}{' '}
+            {group.label.toLowerCase()})
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={!pagination.hasNext}
+            onClick={() => setPage(p => p + 1)}
+          >
+            Next <FiChevronRight />
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Vendors
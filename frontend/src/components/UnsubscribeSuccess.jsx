@@ -1,18 +1,42 @@
 import { useEffect, useState } from 'react'
-import { useLocation, useParams, Link } from 'react-router-dom'
+import { useLocation, useNavigate, useParams, Link } from 'react-router-dom'
 import { FiCheckCircle, FiHome, FiMail, FiLoader } from 'react-icons/fi'
+import FollowManager from './FollowManager'
+import { clearFollowToken } from '../services/api/mailingList'
 import './UnsubscribeSuccess.css'
 
+// Links from digests (?manage) and follow confirmations (?follow=type:id) open the
+// follow list instead of unsubscribing straight away
+const readFollowParams = search => {
+  const params = new URLSearchParams(search)
+  const follow = params.get('follow')
+  const separator = follow ? follow.indexOf(':') : -1
+  return {
+    manage: params.has('manage') || separator > 0,
+    pendingFollow:
+      separator > 0
+        ? {
+            type: follow.slice(0, separator),
+            id: follow.slice(separator + 1),
+            label: params.get('label') || undefined,
+          }
+        : null,
+  }
+}
+
 const UnsubscribeSuccess = () => {
   const location = useLocation()
+  const navigate = useNavigate()
   const { token } = useParams()
   const [email, setEmail] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [unsubscribed, setUnsubscribed] = useState(false)
+  const { manage, pendingFollow } = readFollowParams(location.search)
 
   useEffect(() => {
     // If we have a token in the URL, process the unsubscribe
-    if (token) {
+    if (token && !readFollowParams(location.search).manage) {
       handleUnsubscribe(token)
     } else {
       // Otherwise, just get email from query params (redirected from backend)
@@ -34,6 +58,8 @@ const UnsubscribeSuccess = () => {
       if (response.ok) {
         const result = await response.json()
         setEmail(result.email || '')
+        setUnsubscribed(true)
+        clearFollowToken()
       } else {
         const errorData = await response.json()
         setError(errorData.error || 'Failed to unsubscribe')
@@ -46,6 +72,21 @@ const UnsubscribeSuccess = () => {
     }
   }
 
+  if (token && manage && !unsubscribed && !loading && !error) {
+    return (
+      <div className="unsubscribe-success">
+        <div className="unsubscribe-container">
+          <FollowManager
+            token={token}
+            pendingFollow={pendingFollow}
+            onPendingDone={() => navigate(`/unsubscribe/${token}?manage=1`, { replace: true })}
+            onUnsubscribe={() => handleUnsubscribe(token)}
+          />
+        </div>
+      </div>
+    )
+  }
+
   if (loading) {
     return (
       <div className="unsubscribe-success">
@@ -20,6 +20,7 @@ const SiteFooter = ({ extraInfo, className = '', showFaq = true }) => {
               <Link to="/faq">FAQ</Link> •{' '}
             </>
           )}
+          <Link to="/api-access">API Access</Link> • <Link to="/data-dumps">Data Dumps</Link> •{' '}
           <Link to="/privacy-policy">Privacy Policy</Link> •{' '}
           <Link to="/terms-of-service">Terms of Service</Link>
         </p>
@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react'
+import { toLsTermParam } from '../utils/lsTerm'
 
 const FilterContext = createContext()
 
@@ -15,7 +16,7 @@ const defaultFilters = {
   // MP filters
   party: '',
   house: 'Both Houses', // Lok Sabha, Rajya Sabha, Both Houses
-  lsTerm: 18, // 17 or 18; default 18 for LS
+  lsTerm: null, // a term, a list of terms or 'all'; null = latest term once /terms loads
 
   // Financial filters
   minUtilization: 0,
@@ -108,11 +109,11 @@ export const FilterProvider = ({ children }) => {
     return () => window.removeEventListener('storage', onStorage)
   }, [])
 
-  // Enforce invariants: when viewing Both Houses, lock lsTerm to 18
+  // Enforce invariants: when viewing Both Houses, reset lsTerm to the default term
   // Users can change term when house is specifically Lok Sabha
   useEffect(() => {
-    if (filters.house === 'Both Houses' && Number(filters.lsTerm) !== 18) {
-      setFilters(prev => ({ ...prev, lsTerm: 18 }))
+    if (filters.house === 'Both Houses' && filters.lsTerm !== null) {
+      setFilters(prev => ({ ...prev, lsTerm: null }))
     }
   }, [filters.house, filters.lsTerm])
 
@@ -178,9 +179,10 @@ export const FilterProvider = ({ children }) => {
     if (filters.state) params.state = filters.state
     if (filters.district) params.district = filters.district
     if (filters.constituency) params.constituency = filters.constituency
+    if (filters.party) params.party = filters.party
     if (filters.house) params.house = filters.house
-    // Always pass ls_term (backend defaults to 18 for LS if omitted, but we keep explicit)
-    if (filters.lsTerm) params.ls_term = Number(filters.lsTerm)
+    // Pass ls_term when one is selected (backend applies its default term if omitted)
+    if (filters.lsTerm) params.ls_term = toLsTermParam(filters.lsTerm)
     if (filters.workStatus) params.status = filters.workStatus
     if (filters.workCategory) params.category = filters.workCategory
     if (filters.sector) params.sector = filters.sector
@@ -0,0 +1,58 @@
+import { createContext, useContext, useMemo, useState } from 'react'
+import { ALL_TERMS } from '../utils/lsTerm'
+
+// Per-scheme routing and wording so the MPLADS pages can also render MLALADS data
+const SCHEMES = {
+  mplads: {
+    id: 'mplads',
+    name: 'MPLADS',
+    basePath: '/mplads',
+    membersPath: 'mps',
+    memberLabel: 'MP',
+    memberLabelPlural: 'MPs',
+    memberTitle: 'Member of Parliament',
+    sourceLabel: 'official MPLADS portal',
+    hasMemberDetail: true,
+  },
+  mlalads: {
+    id: 'mlalads',
+    name: 'MLALADS',
+    basePath: '/mlalads',
+    membersPath: 'mlas',
+    memberLabel: 'MLA',
+    memberLabelPlural: 'MLAs',
+    memberTitle: 'Member of Legislative Assembly',
+    sourceLabel: 'state MLALADS publications',
+    hasMemberDetail: false,
+  },
+}
+
+const SchemeContext = createContext(null)
+
+// Pages outside a SchemeProvider (the /mplads section) read MPLADS settings
+// eslint-disable-next-line react-refresh/only-export-components
+export const useScheme = () => {
+  const context = useContext(SchemeContext)
+  return context || { ...SCHEMES.mplads, isMLALADS: false, assemblyTerm: null }
+}
+
+export const SchemeProvider = ({ scheme = 'mplads', children }) => {
+  // Assembly term selection for MLALADS: a term, a list of terms or 'all'
+  const [assemblyTerm, setAssemblyTerm] = useState(ALL_TERMS)
+
+  const value = useMemo(
+    () => ({
+      ...SCHEMES[scheme],
+      isMLALADS: scheme === 'mlalads',
+      assemblyTerm: scheme === 'mlalads' ? assemblyTerm : null,
+      setAssemblyTerm,
+      termLabel:
+        assemblyTerm === ALL_TERMS
+          ? 'All assembly terms'
+          : `Assembly term ${String(assemblyTerm).split(',').join(', ')}`,
+    }),
+    [scheme, assemblyTerm]
+  )
+
+  return <SchemeContext.Provider value={value}>{children}</SchemeContext.Provider>
+}
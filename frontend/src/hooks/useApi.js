@@ -1,7 +1,18 @@
 import { useQuery } from '@tanstack/react-query'
 import { CACHE_TIMES } from '../utils/constants/api'
-import { summaryAPI, mpladsAPI, worksAPI, analyticsAPI, expendituresAPI } from '../services/api'
+import {
+  summaryAPI,
+  mpladsAPI,
+  worksAPI,
+  analyticsAPI,
+  expendituresAPI,
+  mlaladsAPI,
+  searchAPI,
+  vendorsAPI,
+} from '../services/api'
 import { useFilters } from '../contexts/FilterContext'
+import { useScheme } from '../contexts/SchemeContext'
+import { ALL_TERMS, toLsTermParam } from '../utils/lsTerm'
 
 // Ensure caller params can't accidentally force invalid combinations.
 // Strip only house: 'Both Houses' (backend treats this literally and finds none).
@@ -13,81 +24,133 @@ const sanitize = params => {
   return rest
 }
 
+// MLALADS requests carry no MPLADS house, Lok Sabha term or MP id; the assembly term
+// selection from the scheme context applies instead
+const toMlaladsParams = (params, assemblyTerm) => {
+  const { house: _house, ls_term: _lsTerm, mp_id: _mpId, ...rest } = params || {}
+  return { ...rest, ...(assemblyTerm ? { assembly_term: assemblyTerm } : {}) }
+}
+
 // Summary hooks
 export const useOverview = () => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = filters.house || 'Lok Sabha'
   const bothTerms = false // no explicit override here
   const baseParams = {
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['summary', 'overview', baseParams.ls_term || 'none', houseParam],
-    queryFn: () => summaryAPI.getOverview(baseParams),
-    staleTime: CACHE_TIMES.SUMMARY,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams({}, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'summary', 'overview', mlaladsParams],
+          queryFn: () => mlaladsAPI.getOverview(mlaladsParams),
+          staleTime: CACHE_TIMES.SUMMARY,
+        }
+      : {
+          queryKey: ['summary', 'overview', baseParams.ls_term || 'none', houseParam],
+          queryFn: () => summaryAPI.getOverview(baseParams),
+          staleTime: CACHE_TIMES.SUMMARY,
+        }
+  )
 }
 
 export const useStateSummary = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['summary', 'states', merged],
-    queryFn: () => summaryAPI.getStateSummary(merged),
-    staleTime: CACHE_TIMES.SUMMARY,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'summary', 'states', mlaladsParams],
+          queryFn: () => mlaladsAPI.getStateSummary(mlaladsParams),
+          staleTime: CACHE_TIMES.SUMMARY,
+        }
+      : {
+          queryKey: ['summary', 'states', merged],
+          queryFn: () => summaryAPI.getStateSummary(merged),
+          staleTime: CACHE_TIMES.SUMMARY,
+        }
+  )
 }
 
 export const useMPSummary = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['summary', 'mps', merged],
-    queryFn: () => summaryAPI.getMPSummary(merged),
-    staleTime: CACHE_TIMES.SUMMARY,
-    keepPreviousData: true, // preserve current results while fetching new ones
-    placeholderData: prev => prev,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'summary', 'mlas', mlaladsParams],
+          queryFn: () => mlaladsAPI.getMLASummary(mlaladsParams),
+          staleTime: CACHE_TIMES.SUMMARY,
+          keepPreviousData: true, // preserve current results while fetching new ones
+          placeholderData: prev => prev,
+        }
+      : {
+          queryKey: ['summary', 'mps', merged],
+          queryFn: () => summaryAPI.getMPSummary(merged),
+          staleTime: CACHE_TIMES.SUMMARY,
+          keepPreviousData: true, // preserve current results while fetching new ones
+          placeholderData: prev => prev,
+        }
+  )
 }
 
 export const useConstituencySummary = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['summary', 'constituencies', merged],
-    queryFn: () => summaryAPI.getConstituencySummary(merged),
-    staleTime: CACHE_TIMES.SUMMARY,
-    enabled: !!merged?.state,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'summary', 'constituencies', mlaladsParams],
+          queryFn: () => mlaladsAPI.getConstituencySummary(mlaladsParams),
+          staleTime: CACHE_TIMES.SUMMARY,
+          enabled: !!merged?.state,
+        }
+      : {
+          queryKey: ['summary', 'constituencies', merged],
+          queryFn: () => summaryAPI.getConstituencySummary(merged),
+          staleTime: CACHE_TIMES.SUMMARY,
+          enabled: !!merged?.state,
+        }
+  )
 }
 
 // MPLADS hooks
 export const useMPDetails = mpId => {
   const { filters } = useFilters()
   const baseParams =
-    filters.house === 'Lok Sabha' || !filters.house ? { ls_term: Number(filters.lsTerm || 18) } : {}
+    filters.house === 'Lok Sabha' || !filters.house
+      ? { ls_term: toLsTermParam(filters.lsTerm) }
+      : {}
   return useQuery({
     queryKey: ['mplads', 'mp', mpId, baseParams.ls_term],
     queryFn: () => mpladsAPI.getMPDetails(mpId, baseParams),
@@ -100,11 +163,11 @@ export const useMPWorks = (mpId, params) => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['mplads', 'mp', mpId, 'works', merged],
@@ -116,23 +179,68 @@ export const useMPWorks = (mpId, params) => {
   })
 }
 
-export const useSearchMPs = query => {
+// Unified search; params can narrow `types` (e.g. 'mp,work') or raise the per-type `limit`
+export const useSearch = (query, params = {}) => {
   const { filters } = useFilters()
   const houseParam = filters.house || 'Lok Sabha'
   const baseParams = {
     ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+    ...params,
   }
   return useQuery({
-    queryKey: ['mplads', 'search', query, baseParams],
-    queryFn: () => {
-      if (!query || query.length < 2) {
-        return Promise.resolve({ success: true, data: [] })
-      }
-      return mpladsAPI.searchMPs(query, baseParams)
-    },
+    queryKey: ['search', query, baseParams],
+    queryFn: () => searchAPI.search(query, baseParams),
     staleTime: 5 * 60 * 1000, // 5 minutes
-    enabled: !!query && query.length >= 2,
+    enabled: !!query && query.trim().length >= 2,
+    keepPreviousData: true,
+    placeholderData: prev => prev,
+  })
+}
+
+// Vendor hooks (house/term follow the global filters like the other MPLADS hooks)
+const useVendorParams = params => {
+  const { filters } = useFilters()
+  const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
+  const sanitized = sanitize(params)
+  return {
+    ...sanitized,
+    ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+  }
+}
+
+export const useTopVendors = (params, { enabled = true } = {}) => {
+  const merged = useVendorParams(params)
+  return useQuery({
+    queryKey: ['vendors', 'top', merged],
+    queryFn: () => vendorsAPI.getTopVendors(merged),
+    staleTime: CACHE_TIMES.EXPENDITURE,
+    enabled,
+    keepPreviousData: true,
+    placeholderData: prev => prev,
+  })
+}
+
+export const useVendorSpread = (params, { enabled = true } = {}) => {
+  const merged = useVendorParams(params)
+  return useQuery({
+    queryKey: ['vendors', 'spread', merged],
+    queryFn: () => vendorsAPI.getVendorSpread(merged),
+    staleTime: CACHE_TIMES.EXPENDITURE,
+    enabled,
+    keepPreviousData: true,
+    placeholderData: prev => prev,
+  })
+}
+
+export const useVendorDetails = (name, params) => {
+  const merged = useVendorParams(params)
+  return useQuery({
+    queryKey: ['vendors', 'detail', name, merged],
+    queryFn: () => vendorsAPI.getVendorDetails(name, merged),
+    staleTime: CACHE_TIMES.EXPENDITURE,
+    enabled: !!name,
   })
 }
 
@@ -140,11 +248,11 @@ export const useSectorData = params => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['mplads', 'sectors', merged],
@@ -157,11 +265,11 @@ export const useTrends = params => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['mplads', 'trends', merged],
@@ -173,40 +281,64 @@ export const useTrends = params => {
 // Works hooks
 export const useCompletedWorks = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['works', 'completed', merged],
-    queryFn: () => worksAPI.getCompletedWorks(merged),
-    staleTime: CACHE_TIMES.WORKS,
-    keepPreviousData: true,
-    placeholderData: prev => prev,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'works', 'completed', mlaladsParams],
+          queryFn: () => mlaladsAPI.getCompletedWorks(mlaladsParams),
+          staleTime: CACHE_TIMES.WORKS,
+          keepPreviousData: true,
+          placeholderData: prev => prev,
+        }
+      : {
+          queryKey: ['works', 'completed', merged],
+          queryFn: () => worksAPI.getCompletedWorks(merged),
+          staleTime: CACHE_TIMES.WORKS,
+          keepPreviousData: true,
+          placeholderData: prev => prev,
+        }
+  )
 }
 
 export const useRecommendedWorks = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['works', 'recommended', merged],
-    queryFn: () => worksAPI.getRecommendedWorks(merged),
-    staleTime: CACHE_TIMES.WORKS,
-    keepPreviousData: true,
-    placeholderData: prev => prev,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'works', 'recommended', mlaladsParams],
+          queryFn: () => mlaladsAPI.getRecommendedWorks(mlaladsParams),
+          staleTime: CACHE_TIMES.WORKS,
+          keepPreviousData: true,
+          placeholderData: prev => prev,
+        }
+      : {
+          queryKey: ['works', 'recommended', merged],
+          queryFn: () => worksAPI.getRecommendedWorks(merged),
+          staleTime: CACHE_TIMES.WORKS,
+          keepPreviousData: true,
+          placeholderData: prev => prev,
+        }
+  )
 }
 
 export const useWorkCategories = () => {
@@ -217,16 +349,34 @@ export const useWorkCategories = () => {
   })
 }
 
+// Works with geotagged photos near a point ({ lat, lng, radius } in km)
+export const useNearbyWorks = (params, { enabled = true } = {}) => {
+  const { filters } = useFilters()
+  const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
+  const sanitized = sanitize(params)
+  const merged = {
+    ...sanitized,
+    ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+  }
+  return useQuery({
+    queryKey: ['works', 'nearby', merged],
+    queryFn: () => worksAPI.getNearbyWorks(merged),
+    staleTime: CACHE_TIMES.WORKS,
+    enabled,
+  })
+}
+
 // Analytics hooks
 export const useAnalyticsTrends = params => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['analytics', 'trends', merged],
@@ -239,11 +389,11 @@ export const useTopPerformers = params => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['analytics', 'top-performers', merged],
@@ -256,11 +406,11 @@ export const usePerformanceDistribution = params => {
   const { filters } = useFilters()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
   return useQuery({
     queryKey: ['analytics', 'performance-distribution', merged],
@@ -269,22 +419,93 @@ export const usePerformanceDistribution = params => {
   })
 }
 
+// Anomaly flags; pass mp_id for one MP's flags or work_ids (comma-separated) for a page of works
+export const useAnomalyFlags = (params, { enabled = true } = {}) => {
+  const { filters } = useFilters()
+  const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
+  const sanitized = sanitize(params)
+  const merged = {
+    ...sanitized,
+    ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+  }
+  return useQuery({
+    queryKey: ['analytics', 'flags', merged],
+    queryFn: () => analyticsAPI.getFlags(merged),
+    staleTime: CACHE_TIMES.ANALYTICS,
+    enabled,
+  })
+}
+
+// Spend velocity; pass mp_id for one MP or state for the state's MPs
+export const useSpendVelocity = (params, { enabled = true } = {}) => {
+  const { filters } = useFilters()
+  const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
+  const sanitized = sanitize(params)
+  const merged = {
+    ...sanitized,
+    ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+  }
+  return useQuery({
+    queryKey: ['analytics', 'velocity', merged],
+    queryFn: () => analyticsAPI.getVelocity(merged),
+    staleTime: CACHE_TIMES.ANALYTICS,
+    enabled,
+  })
+}
+
+// Party and alliance rollups of utilization, completion and sector mix
+export const usePartyAnalytics = params => {
+  const { filters } = useFilters()
+  const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
+  const sanitized = sanitize(params)
+  const merged = {
+    ...sanitized,
+    ...(houseParam !== 'Both Houses' ? { house: houseParam } : {}),
+    ...(houseParam === 'Lok Sabha' ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
+  }
+  return useQuery({
+    queryKey: ['analytics', 'parties', merged],
+    queryFn: () => analyticsAPI.getParties(merged),
+    staleTime: CACHE_TIMES.ANALYTICS,
+  })
+}
+
+// Whether enough MPs have a sourced party for the party filter and Parties page
+export const usePartyCoverage = () =>
+  useQuery({
+    queryKey: ['analytics', 'parties', 'coverage'],
+    queryFn: () => analyticsAPI.getPartyCoverage(),
+    staleTime: CACHE_TIMES.ANALYTICS,
+  })
+
 // Expenditure hooks
 export const useExpenditures = params => {
   const { filters } = useFilters()
+  const scheme = useScheme()
   const houseParam = (params && params.house) || filters.house || 'Lok Sabha'
   const sanitized = sanitize(params)
-  const bothTerms = sanitized.ls_term === 'both'
+  const bothTerms = ['both', ALL_TERMS].includes(sanitized.ls_term)
   const merged = {
     ...sanitized,
     ...(houseParam && houseParam !== 'Both Houses' && !bothTerms ? { house: houseParam } : {}),
-    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: Number(filters.lsTerm || 18) } : {}),
+    ...(houseParam === 'Lok Sabha' && !bothTerms ? { ls_term: toLsTermParam(filters.lsTerm) } : {}),
   }
-  return useQuery({
-    queryKey: ['expenditures', merged],
-    queryFn: () => expendituresAPI.getExpenditures(merged),
-    staleTime: CACHE_TIMES.EXPENDITURE,
-  })
+  const mlaladsParams = scheme.isMLALADS ? toMlaladsParams(params, scheme.assemblyTerm) : null
+  return useQuery(
+    scheme.isMLALADS
+      ? {
+          queryKey: ['mlalads', 'expenditures', mlaladsParams],
+          queryFn: () => mlaladsAPI.getExpenditures(mlaladsParams),
+          staleTime: CACHE_TIMES.EXPENDITURE,
+        }
+      : {
+          queryKey: ['expenditures', merged],
+          queryFn: () => expendituresAPI.getExpenditures(merged),
+          staleTime: CACHE_TIMES.EXPENDITURE,
+        }
+  )
 }
 
 export const useExpenditureCategories = () => {
@@ -7,7 +7,11 @@ export const useFilterData = () => {
     houses: [],
     constituencies: [],
     workStatuses: ['Recommended', 'Sanctioned', 'In Progress', 'Completed'],
-    sectors: ['Education', 'Health', 'Water & Sanitation', 'Roads', 'Others'],
+    // Work category taxonomy sectors, loaded with the filter summary
+    sectors: [],
+    // Parties and alliances from the party affiliation reference
+    parties: [],
+    alliances: [],
   })
 
   const [loading, setLoading] = useState({
@@ -41,6 +45,9 @@ export const useFilterData = () => {
           states: data.filters.states || [],
           houses: data.filters.houses || ['Lok Sabha', 'Rajya Sabha'],
           constituencies: data.filters.constituencies || [],
+          sectors: data.filters.sectors || [],
+          parties: data.filters.parties || [],
+          alliances: data.filters.alliances || [],
         }))
 
         setError(prev => ({
@@ -16,4 +16,24 @@ export const analyticsAPI = {
   getPerformanceDistribution: async (params = {}) => {
     return apiClient.get(API_ENDPOINTS.ANALYTICS_PERFORMANCE_DISTRIBUTION, { params })
   },
+
+  // Get anomaly flags on works and MPs
+  getFlags: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS_FLAGS, { params })
+  },
+
+  // Get monthly spend velocity and end-of-term projection
+  getVelocity: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS_VELOCITY, { params })
+  },
+
+  // Get utilization, completion rate and sector mix by party and alliance
+  getParties: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS_PARTIES, { params })
+  },
+
+  // Get how many MP tenures have a sourced party affiliation
+  getPartyCoverage: async () => {
+    return apiClient.get(API_ENDPOINTS.ANALYTICS_PARTY_COVERAGE, { skipErrorToast: true })
+  },
 }
@@ -0,0 +1,9 @@
+import apiClient from './apiClient'
+
+export const requestApiKey = async ({ email, name, purpose }) => {
+  return apiClient.post('/keys/request', { email, name, purpose }, { skipErrorToast: true })
+}
+
+export default {
+  requestApiKey,
+}
@@ -0,0 +1,9 @@
+import apiClient from './apiClient'
+
+export const getDataDumps = async () => {
+  return apiClient.get('/metadata/dumps')
+}
+
+export default {
+  getDataDumps,
+}
@@ -0,0 +1,11 @@
+import apiClient from './apiClient'
+
+export const confirmExportNotification = async (jobId, token) => {
+  return apiClient.get(
+    `/export/jobs/${encodeURIComponent(jobId)}/notify?token=${encodeURIComponent(token)}`
+  )
+}
+
+export default {
+  confirmExportNotification,
+}
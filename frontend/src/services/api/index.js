@@ -4,12 +4,18 @@ export { mpladsAPI } from './mplads'
 export { worksAPI } from './works'
 export { analyticsAPI } from './analytics'
 export { expendituresAPI } from './expenditures'
+export { mlaladsAPI } from './mlalads'
+export { searchAPI } from './search'
+export { vendorsAPI } from './vendors'
 
 import { summaryAPI } from './summary'
 import { mpladsAPI } from './mplads'
 import { worksAPI } from './works'
 import { analyticsAPI } from './analytics'
 import { expendituresAPI } from './expenditures'
+import { mlaladsAPI } from './mlalads'
+import { searchAPI } from './search'
+import { vendorsAPI } from './vendors'
 
 // Re-export all APIs as a single object for convenience
 export const api = {
@@ -18,4 +24,7 @@ export const api = {
   works: worksAPI,
   analytics: analyticsAPI,
   expenditures: expendituresAPI,
+  mlalads: mlaladsAPI,
+  search: searchAPI,
+  vendors: vendorsAPI,
 }
@@ -32,10 +32,63 @@ export const verifyEmail = async token => {
   return apiClient.get(`/mailing-list/verify?token=${encodeURIComponent(token)}`)
 }
 
+// Follows are managed with the unsubscribe token from the subscriber's emails.
+// The manage page saves it so Follow buttons work without another email round trip.
+const FOLLOW_TOKEN_KEY = 'mplads_follow_token'
+
+export const getSavedFollowToken = () => {
+  try {
+    return localStorage.getItem(FOLLOW_TOKEN_KEY)
+  } catch {
+    return null
+  }
+}
+
+export const saveFollowToken = token => {
+  try {
+    localStorage.setItem(FOLLOW_TOKEN_KEY, token)
+  } catch {
+    // Without storage the Follow buttons fall back to the email link
+  }
+}
+
+export const clearFollowToken = () => {
+  try {
+    localStorage.removeItem(FOLLOW_TOKEN_KEY)
+  } catch {
+    // Nothing saved
+  }
+}
+
+// Ask for a confirmation link; follow is { type, id, label }
+export const requestFollow = async (email, follow) => {
+  return apiClient.post('/mailing-list/follow', { email, ...follow }, { skipErrorToast: true })
+}
+
+export const getFollows = async token => {
+  return apiClient.get(`/mailing-list/follows/${encodeURIComponent(token)}`, {
+    skipErrorToast: true,
+  })
+}
+
+export const addFollow = async (token, follow) => {
+  return apiClient.post(`/mailing-list/follows/${encodeURIComponent(token)}`, follow)
+}
+
+export const removeFollow = async (token, type, id) => {
+  return apiClient.delete(
+    `/mailing-list/follows/${encodeURIComponent(token)}/${type}/${encodeURIComponent(id)}`
+  )
+}
+
 export default {
   subscribeToMailingList,
   unsubscribeFromMailingList,
   getSubscribers,
   getSubscriberStats,
   verifyEmail,
+  requestFollow,
+  getFollows,
+  addFollow,
+  removeFollow,
 }
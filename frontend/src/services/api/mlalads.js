@@ -0,0 +1,65 @@
+import apiClient from './apiClient'
+import { API_ENDPOINTS } from '../../utils/constants/api'
+
+// Drop empty filter values (the MLALADS endpoints validate every param they receive)
+const cleanParams = params =>
+  Object.fromEntries(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ''
+    )
+  )
+
+// MLALADS responses share the shapes of the MPLADS summary, works and expenditure endpoints
+export const mlaladsAPI = {
+  // Get overall MLALADS overview
+  getOverview: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.MLALADS_OVERVIEW, { params: cleanParams(params) })
+  },
+
+  // Get state-wise summary
+  getStateSummary: async (params = {}) => {
+    const { limit = 50, ...otherParams } = params
+    return apiClient.get(API_ENDPOINTS.MLALADS_STATES, {
+      params: cleanParams({ limit, ...otherParams }),
+    })
+  },
+
+  // Get MLA-wise summary with pagination
+  getMLASummary: async (params = {}) => {
+    const { page = 1, limit = 20, ...filters } = params
+    return apiClient.get(API_ENDPOINTS.MLALADS_MLAS, {
+      params: cleanParams({ page, limit, ...filters }),
+    })
+  },
+
+  // Get constituency-wise summary for a state
+  getConstituencySummary: async (params = {}) => {
+    const { limit = 50, ...otherParams } = params
+    return apiClient.get(API_ENDPOINTS.MLALADS_CONSTITUENCIES, {
+      params: cleanParams({ limit, ...otherParams }),
+    })
+  },
+
+  // Get completed works with filters
+  getCompletedWorks: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.MLALADS_WORKS_COMPLETED, { params: cleanParams(params) })
+  },
+
+  // Get recommended works with filters
+  getRecommendedWorks: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.MLALADS_WORKS_RECOMMENDED, { params: cleanParams(params) })
+  },
+
+  // Get expenditures with filters
+  getExpenditures: async (params = {}) => {
+    const { page = 1, limit = 100, ...filters } = params
+    return apiClient.get(API_ENDPOINTS.MLALADS_EXPENDITURES, {
+      params: cleanParams({ page, limit, ...filters }),
+    })
+  },
+
+  // Get assembly terms available per state
+  getTerms: async () => {
+    return apiClient.get(API_ENDPOINTS.MLALADS_TERMS)
+  },
+}
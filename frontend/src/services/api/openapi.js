@@ -0,0 +1,9 @@
+import apiClient from './apiClient'
+
+export const getOpenApiDocument = async () => {
+  return apiClient.get('/openapi.json')
+}
+
+export default {
+  getOpenApiDocument,
+}
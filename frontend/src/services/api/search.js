@@ -0,0 +1,11 @@
+import apiClient from './apiClient'
+import { API_ENDPOINTS } from '../../utils/constants/api'
+
+export const searchAPI = {
+  // Ranked MPs, constituencies, works and vendors, grouped by type
+  search: async (query, params = {}) => {
+    return apiClient.get(API_ENDPOINTS.SEARCH, {
+      params: { q: query, ...params },
+    })
+  },
+}
@@ -0,0 +1,19 @@
+import apiClient from './apiClient'
+import { API_ENDPOINTS } from '../../utils/constants/api'
+
+export const vendorsAPI = {
+  // Vendors (or implementing agencies with by=ida) ranked by amount paid
+  getTopVendors: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.VENDORS_TOP, { params })
+  },
+
+  // Vendors paid across many MPs or states
+  getVendorSpread: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.VENDORS_SPREAD, { params })
+  },
+
+  // Vendor detail: MPs, constituencies, works and payment timeline
+  getVendorDetails: async (name, params = {}) => {
+    return apiClient.get(`${API_ENDPOINTS.VENDORS}/${encodeURIComponent(name)}`, { params })
+  },
+}
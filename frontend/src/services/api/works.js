@@ -103,6 +103,11 @@ export const worksAPI = {
     })
   },
 
+  // Get works with geotagged photos within `radius` km of a point
+  getNearbyWorks: async (params = {}) => {
+    return apiClient.get(API_ENDPOINTS.WORKS_NEARBY, { params })
+  },
+
   // Get payment details for a specific work
   getWorkPayments: async workId => {
     return apiClient.get(`/works/${workId}/payments`)
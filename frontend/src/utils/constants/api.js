@@ -33,20 +33,43 @@ export const API_ENDPOINTS = {
   MPLADS_TRENDS: '/mplads/trends',
   MPLADS_TERMS: '/mplads/terms',
 
+  // Unified search (MPs, constituencies, works, vendors)
+  SEARCH: '/search',
+
+  // Vendor and implementing agency analytics
+  VENDORS: '/vendors',
+  VENDORS_TOP: '/vendors/top',
+  VENDORS_SPREAD: '/vendors/spread',
+
   // Works endpoints
   WORKS_COMPLETED: '/works/completed',
   WORKS_RECOMMENDED: '/works/recommended',
   WORKS_CATEGORIES: '/works/categories',
   WORKS_CONSTITUENCIES: '/works/constituencies',
+  WORKS_NEARBY: '/works/nearby',
 
   // Analytics endpoints
   ANALYTICS_TRENDS: '/analytics/trends',
   ANALYTICS_TOP_PERFORMERS: '/analytics/top-performers',
   ANALYTICS_PERFORMANCE_DISTRIBUTION: '/analytics/performance-distribution',
+  ANALYTICS_FLAGS: '/analytics/flags',
+  ANALYTICS_VELOCITY: '/analytics/velocity',
+  ANALYTICS_PARTIES: '/analytics/parties',
+  ANALYTICS_PARTY_COVERAGE: '/analytics/parties/coverage',
 
   // Expenditure endpoints
   EXPENDITURES: '/expenditures',
   EXPENDITURE_CATEGORIES: '/expenditures/categories',
+
+  // MLALADS (state legislature) endpoints
+  MLALADS_OVERVIEW: '/mlalads/summary/overview',
+  MLALADS_STATES: '/mlalads/summary/states',
+  MLALADS_MLAS: '/mlalads/summary/mlas',
+  MLALADS_CONSTITUENCIES: '/mlalads/summary/constituencies',
+  MLALADS_WORKS_COMPLETED: '/mlalads/works/completed',
+  MLALADS_WORKS_RECOMMENDED: '/mlalads/works/recommended',
+  MLALADS_EXPENDITURES: '/mlalads/expenditures',
+  MLALADS_TERMS: '/mlalads/terms',
 }
 
 export const CACHE_TIMES = {
@@ -12,6 +12,7 @@ import {
   GaugeChart,
   ScatterChart,
   HeatmapChart,
+  MapChart,
 } from 'echarts/charts'
 
 // Components - import only what we use
@@ -47,6 +48,7 @@ echarts.use([
   GaugeChart,
   ScatterChart,
   HeatmapChart,
+  MapChart,
 
   // Components
   GridComponent,
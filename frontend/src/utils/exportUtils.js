@@ -1,11 +1,26 @@
 import toast from 'react-hot-toast'
 import { API_BASE_URL } from './constants/api'
+import { toLsTermParam } from './lsTerm'
 
-// Export completed works as CSV
-export const exportCompletedWorks = async (filters = {}) => {
+// File formats offered by /api/export/*
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'jsonl', label: 'JSON Lines' },
+  { value: 'parquet', label: 'Parquet' },
+]
+
+// How often a queued export job is polled, and how long before giving up
+const JOB_POLL_INTERVAL_MS = 2000
+const JOB_POLL_TIMEOUT_MS = 2 * 60 * 60 * 1000
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Download one export; the server streams it in the requested format
+const downloadExport = async (path, filters, format, fallbackName, description) => {
   try {
-    const queryParams = new URLSearchParams(filters)
-    const response = await fetch(`${API_BASE_URL}/export/completed-works?${queryParams}`)
+    const queryParams = new URLSearchParams({ ...filters, format })
+    const response = await fetch(`${API_BASE_URL}/export/${path}?${queryParams}`)
 
     if (!response.ok) {
       throw new Error('Export failed')
@@ -15,94 +30,137 @@ export const exportCompletedWorks = async (filters = {}) => {
     const contentDisposition = response.headers.get('Content-Disposition')
     const filename = contentDisposition
       ? contentDisposition.split('filename=')[1]?.replace(/"/g, '')
-      : `mplads_completed_works_${new Date().toISOString().split('T')[0]}.csv`
+      : `${fallbackName}_${new Date().toISOString().split('T')[0]}.${format}`
 
     // Download the file
     const blob = await response.blob()
     downloadBlob(blob, filename)
 
-    toast.success('Completed works exported successfully!')
+    toast.success(`${description} exported successfully!`)
   } catch (error) {
-    console.error('Error exporting completed works:', error)
-    toast.error('Failed to export completed works. Please try again.')
+    console.error(`Error exporting ${description.toLowerCase()}:`, error)
+    toast.error(`Failed to export ${description.toLowerCase()}. Please try again.`)
   }
 }
 
-// Export recommended works as CSV
-export const exportRecommendedWorks = async (filters = {}) => {
-  try {
-    const queryParams = new URLSearchParams(filters)
-    const response = await fetch(`${API_BASE_URL}/export/recommended-works?${queryParams}`)
-
-    if (!response.ok) {
-      throw new Error('Export failed')
-    }
-
-    const contentDisposition = response.headers.get('Content-Disposition')
-    const filename = contentDisposition
-      ? contentDisposition.split('filename=')[1]?.replace(/"/g, '')
-      : `mplads_recommended_works_${new Date().toISOString().split('T')[0]}.csv`
-
-    const blob = await response.blob()
-    downloadBlob(blob, filename)
-
-    toast.success('Recommended works exported successfully!')
-  } catch (error) {
-    console.error('Error exporting recommended works:', error)
-    toast.error('Failed to export recommended works. Please try again.')
-  }
+// Rows an export would hold, and whether the server suggests a background job for it
+const estimateExport = async (path, filters) => {
+  const queryParams = new URLSearchParams(filters)
+  const response = await fetch(`${API_BASE_URL}/export/${path}/estimate?${queryParams}`)
+  if (!response.ok) throw new Error('Export estimate failed')
+  const { data } = await response.json()
+  return data
 }
 
-// Export expenditures as CSV
-export const exportExpenditures = async (filters = {}) => {
+// Queue a background export job and follow it until its file can be downloaded
+const runExportJob = async (path, filters, format, description, { email, onProgress } = {}) => {
+  const toastId = toast.loading(`Preparing ${description.toLowerCase()} export...`)
   try {
-    const queryParams = new URLSearchParams(filters)
-    const response = await fetch(`${API_BASE_URL}/export/expenditures?${queryParams}`)
-
-    if (!response.ok) {
-      throw new Error('Export failed')
+    const response = await fetch(`${API_BASE_URL}/export/jobs/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...filters, format, ...(email ? { email } : {}) }),
+    })
+    const body = await response.json()
+    if (!response.ok) throw new Error(body.message || body.error || 'Export failed')
+    // Set when an email was given: the address must confirm from its inbox first
+    if (body.message) toast(body.message, { icon: '📧', duration: 8000 })
+
+    let job = body.data
+    const startedAt = Date.now()
+    while (job.status === 'queued' || job.status === 'running') {
+      if (Date.now() - startedAt > JOB_POLL_TIMEOUT_MS) {
+        throw new Error('The export is taking longer than expected')
+      }
+      const percent = job.progress?.percent || 0
+      onProgress?.(percent)
+      toast.loading(
+        job.status === 'queued'
+          ? `${description} export is queued...`
+          : `Exporting ${description.toLowerCase()}: ${percent}%`,
+        { id: toastId }
+      )
+      await wait(JOB_POLL_INTERVAL_MS)
+      const statusResponse = await fetch(`${API_BASE_URL}/export/jobs/${job.id}`)
+      if (!statusResponse.ok) throw new Error('Export status unavailable')
+      job = (await statusResponse.json()).data
     }
 
-    const contentDisposition = response.headers.get('Content-Disposition')
-    const filename = contentDisposition
-      ? contentDisposition.split('filename=')[1]?.replace(/"/g, '')
-      : `mplads_expenditures_${new Date().toISOString().split('T')[0]}.csv`
-
-    const blob = await response.blob()
-    downloadBlob(blob, filename)
-
-    toast.success('Expenditures exported successfully!')
+    if (job.status !== 'completed') throw new Error(job.error || 'Export failed')
+
+    onProgress?.(100)
+    // The file can be large, so let the browser download it rather than buffering a blob
+    const link = document.createElement('a')
+    link.href = job.downloadUrl
+    link.download = job.fileName || ''
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+
+    toast.success(
+      job.notify
+        ? `${description} exported successfully! We've also emailed you the link.`
+        : `${description} exported successfully!`,
+      { id: toastId }
+    )
   } catch (error) {
-    console.error('Error exporting expenditures:', error)
-    toast.error('Failed to export expenditures. Please try again.')
+    console.error(`Error exporting ${description.toLowerCase()}:`, error)
+    toast.error(`Failed to export ${description.toLowerCase()}. ${error.message}`, {
+      id: toastId,
+    })
   }
 }
 
-// Export MP summary as CSV
-export const exportMPSummary = async (filters = {}) => {
+/**
+ * Export one dataset. Small exports download directly; ones the server estimates
+ * as large are queued as a background job, so proxies do not time them out.
+ * @param {Object} [options] - { email, onProgress } for job mode
+ */
+const runExport = async (path, filters, format, fallbackName, description, options = {}) => {
+  let estimate = null
   try {
-    const queryParams = new URLSearchParams(filters)
-    const response = await fetch(`${API_BASE_URL}/export/mp-summary?${queryParams}`)
-
-    if (!response.ok) {
-      throw new Error('Export failed')
-    }
-
-    const contentDisposition = response.headers.get('Content-Disposition')
-    const filename = contentDisposition
-      ? contentDisposition.split('filename=')[1]?.replace(/"/g, '')
-      : `mplads_mp_summary_${new Date().toISOString().split('T')[0]}.csv`
-
-    const blob = await response.blob()
-    downloadBlob(blob, filename)
-
-    toast.success('MP summary exported successfully!')
+    estimate = await estimateExport(path, filters)
   } catch (error) {
-    console.error('Error exporting MP summary:', error)
-    toast.error('Failed to export MP summary. Please try again.')
+    // Without an estimate, fall back to a direct download
+    console.warn(`Could not estimate ${description.toLowerCase()} export size:`, error)
+  }
+
+  if (estimate?.useJob) {
+    return runExportJob(path, filters, format, description, options)
   }
+  return downloadExport(path, filters, format, fallbackName, description)
 }
 
+// Export completed works
+export const exportCompletedWorks = (filters = {}, format = 'csv', options = {}) =>
+  runExport(
+    'completed-works',
+    filters,
+    format,
+    'mplads_completed_works',
+    'Completed works',
+    options
+  )
+
+// Export recommended works
+export const exportRecommendedWorks = (filters = {}, format = 'csv', options = {}) =>
+  runExport(
+    'recommended-works',
+    filters,
+    format,
+    'mplads_recommended_works',
+    'Recommended works',
+    options
+  )
+
+// Export expenditures
+export const exportExpenditures = (filters = {}, format = 'csv', options = {}) =>
+  runExport('expenditures', filters, format, 'mplads_expenditures', 'Expenditures', options)
+
+// Export MP summary
+export const exportMPSummary = (filters = {}, format = 'csv', options = {}) =>
+  runExport('mp-summary', filters, format, 'mplads_mp_summary', 'MP summary', options)
+
 // Helper function to download blob as file
 const downloadBlob = (blob, filename) => {
   const url = window.URL.createObjectURL(blob)
@@ -133,9 +191,12 @@ export const getCurrentFilters = filterContext => {
   const filters = {}
 
   if (filterContext.state) filters.state = filterContext.state
-  if (filterContext.house) filters.house = filterContext.house
+  // 'Both Houses' is the default population, not a house the API accepts
+  if (filterContext.house && filterContext.house !== 'Both Houses') {
+    filters.house = filterContext.house
+  }
   // Include LS term to align with backend gating
-  if (filterContext.lsTerm) filters.ls_term = Number(filterContext.lsTerm)
+  if (filterContext.lsTerm) filters.ls_term = toLsTermParam(filterContext.lsTerm)
   if (filterContext.year) filters.year = filterContext.year
   if (filterContext.category) filters.category = filterContext.category
   if (filterContext.minAmount) filters.min_amount = filterContext.minAmount
@@ -60,3 +60,9 @@ export function formatINRCurrency(amount, maximumFractionDigits = 0) {
     maximumFractionDigits,
   }).format(normalized)
 }
+
+// Per-capita rupee amount from a summary row's `normalized` metrics, e.g. "75.1 L/lakh"
+export function formatPerLakh(amount) {
+  if (amount === null || amount === undefined) return '—'
+  return `${formatINRCompact(amount)}/lakh`
+}
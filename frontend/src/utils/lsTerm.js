@@ -1,19 +1,76 @@
+// Filter value selecting every Lok Sabha term present in the data
+export const ALL_TERMS = 'all'
+
+// Fallback list until /mplads/terms has loaded
 export const getKnownTerms = () => [18, 17]
 
+// Early terms were cut short; from the 13th Lok Sabha (1999) onwards each ran five years
+const IRREGULAR_TERM_PERIODS = {
+  10: [1991, 1996],
+  11: [1996, 1998],
+  12: [1998, 1999],
+}
+const FIRST_REGULAR_TERM = 13
+const FIRST_REGULAR_START_YEAR = 1999
+
+const getTermYears = term => {
+  if (IRREGULAR_TERM_PERIODS[term]) return IRREGULAR_TERM_PERIODS[term]
+  if (term < FIRST_REGULAR_TERM) return [undefined, undefined]
+  const startYear = FIRST_REGULAR_START_YEAR + (term - FIRST_REGULAR_TERM) * 5
+  return [startYear, startYear + 5]
+}
+
+const formatYearRange = (startYear, endYear) =>
+  `${startYear}–${String(endYear).slice(startYear < 2000 && endYear >= 2000 ? 0 : 2)}`
+
+// Terms named by a filter value: a number, a list or a comma-separated string.
+// Returns [] for 'all' or an empty value.
+export const getSelectedTerms = lsTerm => {
+  if (lsTerm === null || lsTerm === undefined || lsTerm === '' || lsTerm === ALL_TERMS) return []
+  const parts = Array.isArray(lsTerm) ? lsTerm : String(lsTerm).split(',')
+  const nums = parts.map(part => parseInt(part, 10)).filter(n => Number.isFinite(n) && n > 0)
+  return Array.from(new Set(nums)).sort((a, b) => a - b)
+}
+
+// The selected term when exactly one is selected, otherwise null
+export const getSingleTerm = lsTerm => {
+  const terms = getSelectedTerms(lsTerm)
+  return terms.length === 1 ? terms[0] : null
+}
+
+// Value to send as the ls_term query parameter; undefined lets the backend use its default
+export const toLsTermParam = lsTerm => {
+  if (lsTerm === ALL_TERMS) return ALL_TERMS
+  const terms = getSelectedTerms(lsTerm)
+  if (terms.length === 0) return undefined
+  return terms.length === 1 ? terms[0] : terms.join(',')
+}
+
+// Filter value for a term <select> option
+export const parseTermOption = value => (value === ALL_TERMS ? ALL_TERMS : Number(value))
+
 export const getLokSabhaTermPeriod = lsTerm => {
   const t = Number(lsTerm)
-  switch (t) {
-    case 18:
-      return { term: 18, startYear: 2024, endYear: 2029, label: 'Lok Sabha 2024–29' }
-    case 17:
-      return { term: 17, startYear: 2019, endYear: 2024, label: 'Lok Sabha 2019–24' }
-    default:
-      // Fallback: assume 5-year window ending at startYear+5, but unknown display
-      return { term: t || 18, startYear: undefined, endYear: undefined, label: 'Lok Sabha' }
+  if (!Number.isFinite(t) || t <= 0) {
+    return { term: undefined, startYear: undefined, endYear: undefined, label: 'Lok Sabha' }
   }
+  const [startYear, endYear] = getTermYears(t)
+  if (startYear === undefined) {
+    return { term: t, startYear, endYear, label: 'Lok Sabha' }
+  }
+  return { term: t, startYear, endYear, label: `Lok Sabha ${formatYearRange(startYear, endYear)}` }
 }
 
-export const getPeriodLabel = lsTerm => getLokSabhaTermPeriod(lsTerm).label
+export const getPeriodLabel = lsTerm => {
+  if (lsTerm === ALL_TERMS) return 'All Lok Sabha terms'
+  const terms = getSelectedTerms(lsTerm)
+  if (terms.length <= 1) return getLokSabhaTermPeriod(terms[0]).label
+  const periods = terms.map(getLokSabhaTermPeriod)
+  const first = periods[0]
+  const last = periods[periods.length - 1]
+  if (first.startYear === undefined || last.endYear === undefined) return 'Lok Sabha'
+  return `Lok Sabha ${formatYearRange(first.startYear, last.endYear)}`
+}
 
 export const formatTermOrdinal = term => {
   const n = Number(term)
@@ -32,6 +89,12 @@ export const formatTermOrdinal = term => {
   }
 }
 
+// Short label for a term selection, e.g. "17th", "16th, 17th" or "All terms"
+export const formatTermSelection = lsTerm => {
+  if (lsTerm === ALL_TERMS) return 'All terms'
+  return getSelectedTerms(lsTerm).map(formatTermOrdinal).join(', ')
+}
+
 export const normalizeTerms = payload => {
   let source = payload
   if (source && typeof source === 'object') {
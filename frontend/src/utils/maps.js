@@ -0,0 +1,56 @@
+import echarts from './echartsConfig'
+
+// Boundary files built by scripts/prepare-maps.mjs. They are imported on demand,
+// so pages without a map do not download them.
+const MAP_FILES = import.meta.glob('../assets/maps/*.json', { import: 'default' })
+
+export const STATES_MAP = 'india-states'
+export const CONSTITUENCIES_MAP = 'india-pcs'
+
+const geoJsonCache = new Map()
+
+// Key for matching region names across sources: case, '&' vs 'and' and punctuation ignored
+export const normalizeRegionName = name =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '')
+
+export const hasMapFile = name => `../assets/maps/${name}.json` in MAP_FILES
+
+const loadGeoJson = name => {
+  if (!hasMapFile(name)) return Promise.resolve(null)
+  if (!geoJsonCache.has(name)) {
+    geoJsonCache.set(name, MAP_FILES[`../assets/maps/${name}.json`]())
+  }
+  return geoJsonCache.get(name)
+}
+
+/**
+ * Register a boundary map with ECharts. States use the whole file; passing a
+ * state to the constituency map registers only that state's constituencies.
+ * @param {string} name - STATES_MAP or CONSTITUENCIES_MAP
+ * @param {string} [state] - Limit constituencies to one state
+ * @returns {Promise<{ mapName: string, regions: Map<string, string> }|null>} The
+ *   registered map name and a lookup from normalized to feature names, or null
+ *   when the boundary file is not bundled
+ */
+export const registerRegionMap = async (name, state) => {
+  const geoJson = await loadGeoJson(name)
+  if (!geoJson) return null
+
+  const stateKey = state ? normalizeRegionName(state) : null
+  const mapName = stateKey ? `${name}:${stateKey}` : name
+  const features = stateKey
+    ? geoJson.features.filter(feature => normalizeRegionName(feature.properties.state) === stateKey)
+    : geoJson.features
+  if (features.length === 0) return null
+
+  if (!echarts.getMap(mapName)) {
+    echarts.registerMap(mapName, { type: 'FeatureCollection', features })
+  }
+  const regions = new Map(
+    features.map(feature => [normalizeRegionName(feature.properties.name), feature.properties.name])
+  )
+  return { mapName, regions }
+}
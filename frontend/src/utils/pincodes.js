@@ -0,0 +1,22 @@
+// PIN code → [lat, lng] tables built by scripts/prepare-pincodes.mjs, one file
+// per two-digit prefix, imported on demand
+const PINCODE_FILES = import.meta.glob('../assets/pincodes/*.json', { import: 'default' })
+
+export const isValidPincode = pin => /^[1-9]\d{5}$/.test(String(pin || '').trim())
+
+export const hasPincodeTable = () => Object.keys(PINCODE_FILES).length > 0
+
+/**
+ * Resolve a PIN code to the average position of its post offices, offline
+ * @param {string} pin - Six-digit PIN code
+ * @returns {Promise<{ lat: number, lng: number }|null>} null for unknown PINs
+ *   or when the table is not bundled
+ */
+export const lookupPincode = async pin => {
+  const code = String(pin || '').trim()
+  if (!isValidPincode(code)) return null
+  const load = PINCODE_FILES[`../assets/pincodes/${code.slice(0, 2)}.json`]
+  if (!load) return null
+  const point = (await load())[code]
+  return point ? { lat: point[0], lng: point[1] } : null
+}
@@ -1,5 +1,7 @@
 // Utilities for building and parsing human‑readable slugs
 
+import { getKnownTerms, getSingleTerm } from './lsTerm'
+
 const stripDiacritics = (str = '') => str.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
 
 const ordinal = n => {
@@ -100,8 +102,9 @@ export const buildMPSlugHuman = (mp, opts = {}) => {
   const house = String(mp.house || '').toLowerCase()
   if (includeHouse && house) {
     if (house.includes('lok')) {
-      if (includeTerm && (lsTerm || mp.ls_term)) {
-        parts.push(slugify(`${ordinal(lsTerm || mp.ls_term)} lok sabha`))
+      const term = getSingleTerm(lsTerm) || getSingleTerm(mp.lsTerm ?? mp.ls_term)
+      if (includeTerm && term) {
+        parts.push(slugify(`${ordinal(term)} lok sabha`))
       } else {
         parts.push('lok-sabha')
       }
@@ -122,8 +125,11 @@ export const buildMPSlugCandidates = mp => {
       .toLowerCase()
       .includes('lok')
   ) {
-    candidates.add(buildMPSlugHuman(mp, { includeHouse: true, includeTerm: true, lsTerm: 18 }))
-    candidates.add(buildMPSlugHuman(mp, { includeHouse: true, includeTerm: true, lsTerm: 17 }))
+    const ownTerm = getSingleTerm(mp.lsTerm ?? mp.ls_term)
+    const terms = new Set([ownTerm, ...getKnownTerms()].filter(Boolean))
+    terms.forEach(term => {
+      candidates.add(buildMPSlugHuman(mp, { includeHouse: true, includeTerm: true, lsTerm: term }))
+    })
   }
   // Ensure all candidates are normalized and unique
   return Array.from(new Set(Array.from(candidates).map(c => normalizeMPSlug(c)))).filter(Boolean)
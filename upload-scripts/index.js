@@ -17,9 +17,21 @@
  *   npm run sync           # Same as npm start
  *   npm run fetch-only     # Test API fetching only
  *   npm run test-transform # Test data transformation only
+ *   node index.js --replay data/recordings/<run> # Re-run a recorded sync offline
+ *   node index.js --mlalads data/mlalads/<state> # Import MLALADS CSV/JSON exports
+ *   node index.js --search-index # Rebuild the search index from the live dataset
+ *   node index.js --flags        # Re-run anomaly detection on the live dataset
+ *   node index.js --dumps        # Publish full data dumps of the live dataset
  */
 
-const { syncMPLADSDataFromAPI } = require('./src/api-uploader')
+const {
+  syncMPLADSDataFromAPI,
+  rollbackToPreviousDataset,
+  rebuildSearchIndex,
+  redetectAnomalies,
+  publishLiveDumps,
+} = require('./src/api-uploader')
+const { parseLsTermOption, lokSabhaBuckets } = require('./src/ls-terms')
 
 // Display banner
 console.log('')
@@ -40,19 +52,49 @@ console.log('')
 // Handle command line arguments
 const args = process.argv.slice(2)
 
-// Parse LS term option (17 | 18 | both)
+// Parse LS term option (a term, a comma-separated list of terms, or both)
 function parseLsTermArg(argv) {
   const termFlag = argv.find(a => a.startsWith('--ls-term='))
-  if (termFlag) {
-    const v = termFlag.split('=')[1].trim().toLowerCase()
-    if (['17', '18', 'both'].includes(v)) return v
-  }
   // Fallback to env or default to both to include 17th uploads
-  const envV = (process.env.LS_TERM || '').toLowerCase()
-  if (['17', '18', 'both'].includes(envV)) return envV
-  return 'both'
+  const value = termFlag ? termFlag.split('=')[1].trim() : process.env.LS_TERM || 'both'
+  try {
+    parseLsTermOption(value)
+  } catch (error) {
+    console.error(`💥 ${error.message}`)
+    process.exit(1)
+  }
+  return value.toLowerCase()
 }
 const lsTermOption = parseLsTermArg(args)
+const incremental = args.includes('--incremental') || process.env.SYNC_MODE === 'incremental'
+
+// Parse a --flag <value> or --flag=<value> argument
+function parseValueArg(argv, flag) {
+  const inline = argv.find(a => a.startsWith(`${flag}=`))
+  if (inline) return inline.split('=').slice(1).join('=').trim() || null
+  const index = argv.indexOf(flag)
+  if (index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+    return argv[index + 1]
+  }
+  return null
+}
+
+// Parse replay directory (--replay <dir> or --replay=<dir>)
+const replayDir = parseValueArg(args, '--replay')
+const record = !args.includes('--no-record')
+
+// MLALADS import source (--mlalads <dir|file>)
+const mlaladsSource = parseValueArg(args, '--mlalads')
+
+if (args.includes('--mlalads') && !mlaladsSource) {
+  console.error('💥 --mlalads requires an import directory or JSON file')
+  process.exit(1)
+}
+
+if (args.includes('--replay') && !replayDir) {
+  console.error('💥 --replay requires a recording directory, e.g. --replay data/recordings/<run>')
+  process.exit(1)
+}
 
 if (args.includes('--help') || args.includes('-h')) {
   console.log('Usage:')
@@ -60,37 +102,119 @@ if (args.includes('--help') || args.includes('-h')) {
   console.log('  node index.js --fetch-only   # Test API fetching only')
   console.log('  node index.js --ls-term=17   # Limit to 17th Lok Sabha')
   console.log('  node index.js --ls-term=18   # Limit to 18th Lok Sabha')
+  console.log('  node index.js --ls-term=16,17 # Backfill a list of older terms')
   console.log('  node index.js --ls-term=both # Fetch 17th + 18th (default)')
+  console.log('  node index.js --incremental  # Upsert only changed records')
+  console.log('  node index.js --rollback     # Restore the dataset live before the last sync')
+  console.log('  node index.js --replay <dir> # Sync from recorded responses (local MongoDB only)')
+  console.log('  node index.js --no-record    # Do not save raw API responses')
+  console.log('  node index.js --mlalads <dir|file> [--state=<name>] [--assembly-term=<n>]')
+  console.log('                               # Import MLALADS CSV/JSON exports for a state')
+  console.log('  node index.js --mlalads <dir> --dry-run # Check an MLALADS import without writing')
+  console.log('  node index.js --search-index # Rebuild the search index only')
+  console.log('  node index.js --flags        # Re-run anomaly detection only')
+  console.log('  node index.js --dumps        # Publish data dumps of the live dataset only')
   console.log('  node index.js --help         # Show this help message')
   console.log('')
   console.log('Environment Variables:')
   console.log('  MONGODB_URI    # MongoDB connection string')
   console.log('  DATABASE_NAME  # Database name (default: mplads_dashboard)')
-  console.log('  LS_TERM        # 17 | 18 | both (default: both)')
+  console.log('  LS_TERM        # term, comma-separated terms or both (default: both)')
+  console.log('  SYNC_MODE      # full | incremental (default: full)')
+  console.log('  MPLADS_RECORD_DIR        # Where live runs save raw responses')
+  console.log('  MPLADS_RECORDINGS_KEEP   # Recordings to keep (default: 5)')
+  console.log(
+    '  ANOMALY_FINAL_AMOUNT_RATIO # Final/recommended ratio that raises a flag (default: 1.5)'
+  )
+  console.log(
+    '  ANOMALY_SAME_DAY_PAYMENTS  # Same-day payments to one vendor that raise a flag (default: 5)'
+  )
+  console.log('  DUMPS_DIR      # Where data dumps are written (default: data/dumps)')
+  console.log('  DUMPS_KEEP     # Dump snapshots to keep (default: 7)')
+  console.log('  PUBLISH_DUMPS  # false to skip publishing dumps after a sync')
   console.log('')
   process.exit(0)
 }
 
-if (args.includes('--fetch-only')) {
+if (mlaladsSource) {
+  console.log(`🏛️  Running in MLALADS IMPORT mode (${mlaladsSource})`)
+  const { importMlaladsData } = require('./src/mlalads-importer')
+  importMlaladsData(mlaladsSource, {
+    state: parseValueArg(args, '--state') || undefined,
+    assemblyTerm: parseValueArg(args, '--assembly-term') || undefined,
+    house: parseValueArg(args, '--house') || undefined,
+    dryRun: args.includes('--dry-run'),
+  })
+    .then(result => {
+      console.log(`🎉 MLALADS import ${result.dryRun ? 'checked' : 'completed'}`)
+      process.exit(0)
+    })
+    .catch(error => {
+      console.error('💥 MLALADS import failed:', error.message)
+      process.exit(1)
+    })
+} else if (args.includes('--search-index')) {
+  console.log('🔎 Running in SEARCH INDEX mode (no API fetch)')
+  rebuildSearchIndex()
+    .then(() => {
+      console.log('🎉 Search index rebuilt')
+      process.exit(0)
+    })
+    .catch(error => {
+      console.error('💥 Search index build failed:', error.message)
+      process.exit(1)
+    })
+} else if (args.includes('--flags')) {
+  console.log('🚩 Running in ANOMALY DETECTION mode (no API fetch)')
+  redetectAnomalies()
+    .then(() => {
+      console.log('🎉 Anomaly flags rebuilt')
+      process.exit(0)
+    })
+    .catch(error => {
+      console.error('💥 Anomaly detection failed:', error.message)
+      process.exit(1)
+    })
+} else if (args.includes('--dumps')) {
+  console.log('📦 Running in DATA DUMP mode (no API fetch)')
+  publishLiveDumps()
+    .then(manifest => {
+      console.log(`🎉 Data dumps published for ${manifest.datasetVersion}`)
+      process.exit(0)
+    })
+    .catch(error => {
+      console.error('💥 Data dump failed:', error.message)
+      process.exit(1)
+    })
+} else if (args.includes('--rollback')) {
+  console.log('⏪ Running in ROLLBACK mode (no API fetch)')
+  rollbackToPreviousDataset()
+    .then(dataset => {
+      console.log(`🎉 Rollback completed: dataset ${dataset.version} is live again`)
+      process.exit(0)
+    })
+    .catch(error => {
+      console.error('💥 Rollback failed:', error.message)
+      process.exit(1)
+    })
+} else if (args.includes('--fetch-only')) {
   console.log('🧪 Running in FETCH-ONLY mode (no database upload)')
   const MPLADSApiClient = require('./src/mplads-api-client')
-  const apiClient = new MPLADSApiClient()
+  const apiClient = new MPLADSApiClient(null, { replayDir })
 
   apiClient
     .fetchAllData(lsTermOption)
     .then(data => {
       console.log('\n✅ API fetch test completed successfully!')
-      const ls18 = data.lok_sabha_18 || {}
-      const ls17 = data.lok_sabha_17 || {}
       const rs = data.rajya_sabha || {}
-      console.log('📊 Data summary:', {
-        'Lok Sabha (18) Works Completed': ls18.works_completed?.length || 0,
-        'Lok Sabha (18) Works Recommended': ls18.works_recommended?.length || 0,
-        'Lok Sabha (17) Works Completed': ls17.works_completed?.length || 0,
-        'Lok Sabha (17) Works Recommended': ls17.works_recommended?.length || 0,
-        'Rajya Sabha Works Completed': rs.works_completed?.length || 0,
-        'Rajya Sabha Works Recommended': rs.works_recommended?.length || 0,
+      const summary = {}
+      lokSabhaBuckets(data).forEach(({ lsTerm, data: ls }) => {
+        summary[`Lok Sabha (${lsTerm}) Works Completed`] = ls.works_completed?.length || 0
+        summary[`Lok Sabha (${lsTerm}) Works Recommended`] = ls.works_recommended?.length || 0
       })
+      summary['Rajya Sabha Works Completed'] = rs.works_completed?.length || 0
+      summary['Rajya Sabha Works Recommended'] = rs.works_recommended?.length || 0
+      console.log('📊 Data summary:', summary)
       process.exit(0)
     })
     .catch(error => {
@@ -100,7 +224,8 @@ if (args.includes('--fetch-only')) {
 } else {
   // Run complete sync process
   console.log(`🧭 LS term option: ${lsTermOption}`)
-  syncMPLADSDataFromAPI({ lsTerm: lsTermOption })
+  console.log(`🧮 Sync mode: ${incremental ? 'incremental' : 'full'}`)
+  syncMPLADSDataFromAPI({ lsTerm: lsTermOption, incremental, replayDir, record })
     .then(() => {
       console.log('🎉 API automation completed successfully!')
       process.exit(0)
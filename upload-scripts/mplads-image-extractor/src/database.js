@@ -52,7 +52,8 @@ const ImageDataSchema = new mongoose.Schema({
 
 // Updated Work schemas with image data
 const BaseWorkSchema = {
-  workId: String,
+  // Numeric, as the uploader stores it; a String here would never match on update
+  workId: Number,
   mpName: String,
   house: String,
   state: String,
@@ -60,6 +61,11 @@ const BaseWorkSchema = {
   workDescription: String,
   hasImage: Boolean,
   imageData: ImageDataSchema,
+  // Where the photos were taken, for the 2dsphere index behind /api/works/nearby
+  geoLocation: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined },
+  },
 }
 
 // Force exact collection names (disable mongoose pluralization)
@@ -92,8 +98,8 @@ export async function getWorksWithImages() {
   }
 }
 
-// Update work with image data
-export async function updateWorkImages(workId, collection, imageData) {
+// Update work with image data, and its location when a photo was geotagged
+export async function updateWorkImages(workId, collection, imageData, geoLocation = null) {
   const Model = collection === 'works_completed' ? WorkCompleted : WorkRecommended
 
   // First unset any existing imageData to avoid conflicts
@@ -102,7 +108,7 @@ export async function updateWorkImages(workId, collection, imageData) {
   // Then set the new imageData
   return await Model.findOneAndUpdate(
     { workId },
-    { $set: { imageData } },
+    { $set: geoLocation ? { imageData, geoLocation } : { imageData } },
     { new: true, upsert: false }
   )
 }
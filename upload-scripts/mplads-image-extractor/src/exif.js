@@ -0,0 +1,92 @@
+import sharp from 'sharp'
+
+// TIFF tags used to reach and read the GPS block
+const GPS_IFD_POINTER = 0x8825
+const GPS_LATITUDE_REF = 0x0001
+const GPS_LATITUDE = 0x0002
+const GPS_LONGITUDE_REF = 0x0003
+const GPS_LONGITUDE = 0x0004
+const TYPE_RATIONAL = 5
+
+// Read the entries of the IFD at `offset` as a tag → { type, count, valueOffset } map
+function readIfd(tiff, offset, littleEndian) {
+  const u16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at))
+  const u32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at))
+  const entries = new Map()
+  const count = u16(offset)
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12
+    if (entry + 12 > tiff.length) break
+    // Values of 4 bytes or fewer sit in the entry itself, larger ones at an offset
+    entries.set(u16(entry), { type: u16(entry + 2), count: u32(entry + 4), valueOffset: entry + 8 })
+  }
+  return { entries, u32 }
+}
+
+// Degrees, minutes and seconds rationals to decimal degrees
+function readDegrees(tiff, entry, u32) {
+  if (!entry || entry.type !== TYPE_RATIONAL || entry.count < 3) return null
+  const start = u32(entry.valueOffset)
+  if (start + 24 > tiff.length) return null
+  const [degrees, minutes, seconds] = [0, 1, 2].map(i => {
+    const denominator = u32(start + i * 8 + 4)
+    return denominator ? u32(start + i * 8) / denominator : 0
+  })
+  return degrees + minutes / 60 + seconds / 3600
+}
+
+// Single-letter ASCII reference (N/S/E/W), stored inline
+const readRef = (tiff, entry) =>
+  entry ? String.fromCharCode(tiff[entry.valueOffset]).toUpperCase() : null
+
+/**
+ * Parse the GPS position out of a raw EXIF block
+ * @param {Buffer} exif - EXIF data as returned by sharp, with or without the `Exif\0\0` header
+ * @returns {{ lat: number, lng: number }|null} Decimal degrees, or null when absent or unusable
+ */
+export function parseExifGps(exif) {
+  if (!exif || exif.length < 8) return null
+  const tiff = exif.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? exif.subarray(6) : exif
+
+  try {
+    const byteOrder = tiff.subarray(0, 2).toString('latin1')
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null
+    const littleEndian = byteOrder === 'II'
+
+    const ifd0Offset = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4)
+    const ifd0 = readIfd(tiff, ifd0Offset, littleEndian)
+    const pointer = ifd0.entries.get(GPS_IFD_POINTER)
+    if (!pointer) return null
+
+    const { entries, u32 } = readIfd(tiff, ifd0.u32(pointer.valueOffset), littleEndian)
+    const lat = readDegrees(tiff, entries.get(GPS_LATITUDE), u32)
+    const lng = readDegrees(tiff, entries.get(GPS_LONGITUDE), u32)
+    if (lat === null || lng === null) return null
+
+    const position = {
+      lat: readRef(tiff, entries.get(GPS_LATITUDE_REF)) === 'S' ? -lat : lat,
+      lng: readRef(tiff, entries.get(GPS_LONGITUDE_REF)) === 'W' ? -lng : lng,
+    }
+    // Cameras without a fix often write 0,0
+    if (position.lat === 0 && position.lng === 0) return null
+    if (Math.abs(position.lat) > 90 || Math.abs(position.lng) > 180) return null
+    return position
+  } catch {
+    // Truncated or malformed EXIF; treat as no position
+    return null
+  }
+}
+
+/**
+ * Read the GPS position embedded in an image
+ * @param {Buffer} buffer - Original image bytes (JPEG, PNG, WebP, HEIF or TIFF)
+ * @returns {Promise<{ lat: number, lng: number }|null>}
+ */
+export async function extractGpsCoordinates(buffer) {
+  try {
+    const { exif } = await sharp(buffer).metadata()
+    return parseExifGps(exif)
+  } catch {
+    return null
+  }
+}
@@ -4,6 +4,7 @@ import { config } from './config.js'
 import { getWorkImages, downloadImageData, delay } from './mplads-api.js'
 import { uploadImageToR2, uploadThumbnailToR2, imageExistsInR2 } from './r2-client.js'
 import { updateWorkImages } from './database.js'
+import { extractGpsCoordinates } from './exif.js'
 
 // Create concurrency limiter
 const limit = pLimit(config.processing.maxConcurrentWorkers)
@@ -65,8 +66,11 @@ export async function processWorkImages(work) {
       },
     }
 
+    // Locate the work from its photos, preferring the completed ones taken on site
+    const geoLocation = locateWork([...completedImages, ...recommendedImages])
+
     // Update database
-    await updateWorkImages(workId, collection, imageData)
+    await updateWorkImages(workId, collection, imageData, geoLocation)
 
     const totalSizeMB = (imageData.summary.storageUsed / 1024 / 1024).toFixed(2)
     console.log(
@@ -81,6 +85,7 @@ export async function processWorkImages(work) {
       imagesProcessed: imageData.summary.totalImages,
       storageUsed: imageData.summary.storageUsed,
       hasProgression: imageData.summary.hasProgression,
+      geotagged: Boolean(geoLocation),
     }
   } catch (error) {
     console.error(`❌ Failed to process work ${workId}:`, error.message)
@@ -88,6 +93,14 @@ export async function processWorkImages(work) {
   }
 }
 
+// GeoJSON point ([lng, lat]) from the first image with EXIF coordinates
+function locateWork(images) {
+  const tagged = images.find(img => img.metadata?.gpsCoordinates)
+  if (!tagged) return null
+  const [lat, lng] = tagged.metadata.gpsCoordinates.split(',').map(Number)
+  return { type: 'Point', coordinates: [lng, lat] }
+}
+
 // Process images for a specific phase (recommended or completed)
 async function processPhaseImages(workId, phase, attachments) {
   const processedImages = []
@@ -111,6 +124,9 @@ async function processPhaseImages(workId, phase, attachments) {
       console.log(`📥 Downloading ${fileName} (${attachmentId})`)
       const imageData = await downloadImageData(attachmentId)
 
+      // Read the photo's position before the buffer is released
+      const gps = await extractGpsCoordinates(imageData.buffer)
+
       // Upload original image
       const uploadResult = await uploadImageToR2(
         workId,
@@ -152,7 +168,7 @@ async function processPhaseImages(workId, phase, attachments) {
         processedSize: imageData.processedSize,
         uploadedAt: new Date(),
         metadata: {
-          gpsCoordinates: null, // TODO: Extract from EXIF if needed
+          gpsCoordinates: gps ? `${gps.lat.toFixed(6)},${gps.lng.toFixed(6)}` : null,
           timestamp: null, // TODO: Extract from EXIF if needed
           description: `${phase.charAt(0).toUpperCase() + phase.slice(1)} phase image`,
         },
@@ -190,9 +206,10 @@ export async function processWorksBatch(works) {
   const totalImages = successfulResults.reduce((sum, r) => sum + (r.imagesProcessed || 0), 0)
   const totalStorage = successfulResults.reduce((sum, r) => sum + (r.storageUsed || 0), 0)
   const progressionWorks = successfulResults.filter(r => r.hasProgression).length
+  const geotaggedWorks = successfulResults.filter(r => r.geotagged).length
 
   console.log(
-    `📊 Batch complete: ${successful} successful, ${failed} failed | ${totalImages} images | ${(totalStorage / 1024 / 1024).toFixed(2)} MB | ${progressionWorks} progression works`
+    `📊 Batch complete: ${successful} successful, ${failed} failed | ${totalImages} images | ${(totalStorage / 1024 / 1024).toFixed(2)} MB | ${progressionWorks} progression works | ${geotaggedWorks} geotagged`
   )
 
   return results.map(result => {
@@ -0,0 +1,335 @@
+/**
+ * Anomaly (red-flag) detector.
+ *
+ * Runs after summaries are calculated and tags works and MPs whose records look
+ * suspicious: payments on works nobody recommended, final amounts far above the
+ * recommendation, completions dated before the recommendation, bursts of
+ * same-day payments to one vendor and completed works with no payments at all.
+ *
+ * Flags are written into `anomaly_flags_build` from the staged collections and
+ * renamed into `anomaly_flags` once the dataset they describe is live. Every
+ * flag carries a `reason` sentence explaining why it fired.
+ */
+
+const { COLLECTIONS } = require('./dataset-manager')
+
+const ANOMALY_FLAGS_COLLECTION = 'anomaly_flags'
+const BUILD_COLLECTION = `${ANOMALY_FLAGS_COLLECTION}_build`
+const BATCH_SIZE = 1000
+
+// Rule thresholds
+const FINAL_AMOUNT_RATIO = parseFloat(process.env.ANOMALY_FINAL_AMOUNT_RATIO) || 1.5
+const SAME_DAY_PAYMENTS = parseInt(process.env.ANOMALY_SAME_DAY_PAYMENTS, 10) || 5
+
+const RULES = {
+  payment_without_recommendation: {
+    title: 'Payments without recommendation',
+    entityType: 'work',
+  },
+  final_above_recommended: {
+    title: 'Final amount far above recommendation',
+    entityType: 'work',
+  },
+  completed_before_recommended: {
+    title: 'Completed before recommendation',
+    entityType: 'work',
+  },
+  same_day_vendor_payments: {
+    title: 'Many same-day payments to one vendor',
+    entityType: 'mp',
+  },
+  completed_without_payments: {
+    title: 'Completed with no payments',
+    entityType: 'work',
+  },
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatRupees = amount => `₹${Math.round(amount || 0).toLocaleString('en-IN')}`
+const formatDay = date => new Date(date).toISOString().slice(0, 10)
+
+// workId is only unique within a house and term
+const workKeyLookup = (from, as, pipeline = []) => ({
+  $lookup: {
+    from,
+    let: { workId: '$workId', house: '$house', lsTerm: '$lsTerm' },
+    pipeline: [
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $eq: ['$workId', '$$workId'] },
+              { $eq: ['$house', '$$house'] },
+              { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
+            ],
+          },
+        },
+      },
+      ...pipeline,
+      { $limit: 1 },
+    ],
+    as,
+  },
+})
+
+/**
+ * Buffered insertMany into the build collection, counting flags per rule
+ */
+function createWriter(collection, detectedAt) {
+  let buffer = []
+  const counts = Object.fromEntries(Object.keys(RULES).map(rule => [rule, 0]))
+
+  const flush = async () => {
+    if (buffer.length === 0) return
+    await collection.insertMany(buffer, { ordered: false })
+    buffer = []
+  }
+
+  return {
+    async add(rule, severity, reason, record, details = {}) {
+      buffer.push({
+        rule,
+        title: RULES[rule].title,
+        entityType: RULES[rule].entityType,
+        severity,
+        reason,
+        mpName: record.mpName,
+        house: record.house,
+        lsTerm: record.lsTerm ?? null,
+        state: record.state,
+        constituency: record.constituency,
+        workId: record.workId ?? null,
+        workDescription: record.workDescription || null,
+        details,
+        detectedAt,
+      })
+      counts[rule]++
+      if (buffer.length >= BATCH_SIZE) await flush()
+    },
+    async close() {
+      await flush()
+      return counts
+    },
+  }
+}
+
+/**
+ * Works that received payments but have no recommendation on record
+ */
+async function flagPaymentsWithoutRecommendation(db, names, writer) {
+  const cursor = db.collection(names.EXPENDITURES).aggregate(
+    [
+      { $match: { workId: { $ne: null } } },
+      {
+        $group: {
+          _id: { workId: '$workId', house: '$house', lsTerm: '$lsTerm' },
+          mpName: { $first: '$mpName' },
+          state: { $first: '$state' },
+          constituency: { $first: '$constituency' },
+          work: { $first: '$work' },
+          totalPaid: { $sum: { $toDouble: { $ifNull: ['$expenditureAmount', 0] } } },
+          payments: { $sum: 1 },
+          vendors: { $addToSet: '$vendor' },
+        },
+      },
+      { $addFields: { workId: '$_id.workId', house: '$_id.house', lsTerm: '$_id.lsTerm' } },
+      workKeyLookup(names.WORKS_RECOMMENDED, 'recommendation', [{ $project: { _id: 1 } }]),
+      { $match: { recommendation: { $size: 0 } } },
+    ],
+    { allowDiskUse: true }
+  )
+
+  for await (const work of cursor) {
+    await writer.add(
+      'payment_without_recommendation',
+      'high',
+      `${formatRupees(work.totalPaid)} was paid in ${work.payments} payment(s) on work ${work.workId}, but no recommendation exists for it.`,
+      { ...work, workDescription: work.work },
+      {
+        totalPaid: work.totalPaid,
+        payments: work.payments,
+        vendors: work.vendors.filter(Boolean),
+      }
+    )
+  }
+}
+
+/**
+ * Completed works checked against their recommendation and payments
+ */
+async function flagCompletedWorks(db, names, writer) {
+  const cursor = db
+    .collection(names.WORKS_COMPLETED)
+    .aggregate(
+      [
+        { $match: { workId: { $ne: null } } },
+        workKeyLookup(names.WORKS_RECOMMENDED, 'recommendation', [
+          { $project: { _id: 0, recommendedAmount: 1, recommendationDate: 1 } },
+        ]),
+        workKeyLookup(names.EXPENDITURES, 'payment', [{ $project: { _id: 1 } }]),
+      ],
+      { allowDiskUse: true }
+    )
+
+  for await (const work of cursor) {
+    const recommendation = work.recommendation[0]
+    const finalAmount = work.finalAmount || 0
+
+    if (recommendation?.recommendedAmount > 0) {
+      const ratio = finalAmount / recommendation.recommendedAmount
+      if (ratio > FINAL_AMOUNT_RATIO) {
+        await writer.add(
+          'final_above_recommended',
+          ratio >= 2 * FINAL_AMOUNT_RATIO ? 'high' : 'medium',
+          `Final amount ${formatRupees(finalAmount)} is ${ratio.toFixed(1)}× the recommended ${formatRupees(recommendation.recommendedAmount)}.`,
+          work,
+          {
+            finalAmount,
+            recommendedAmount: recommendation.recommendedAmount,
+            ratio: Math.round(ratio * 100) / 100,
+          }
+        )
+      }
+    }
+
+    if (work.completedDate && recommendation?.recommendationDate) {
+      const daysEarly = Math.floor(
+        (new Date(recommendation.recommendationDate) - new Date(work.completedDate)) / DAY_MS
+      )
+      if (daysEarly > 0) {
+        await writer.add(
+          'completed_before_recommended',
+          'medium',
+          `Marked completed on ${formatDay(work.completedDate)}, ${daysEarly} day(s) before it was recommended on ${formatDay(recommendation.recommendationDate)}.`,
+          work,
+          {
+            completedDate: work.completedDate,
+            recommendationDate: recommendation.recommendationDate,
+            daysEarly,
+          }
+        )
+      }
+    }
+
+    if (work.payment.length === 0) {
+      await writer.add(
+        'completed_without_payments',
+        finalAmount > 0 ? 'medium' : 'low',
+        `Marked completed with a final amount of ${formatRupees(finalAmount)}, but no payments are recorded against it.`,
+        work,
+        { finalAmount }
+      )
+    }
+  }
+}
+
+/**
+ * MPs whose funds paid one vendor many times on the same day
+ */
+async function flagSameDayVendorPayments(db, names, writer) {
+  const cursor = db.collection(names.EXPENDITURES).aggregate(
+    [
+      { $match: { vendor: { $nin: [null, ''] }, expenditureDate: { $ne: null } } },
+      {
+        $group: {
+          _id: {
+            vendor: { $toLower: { $trim: { input: '$vendor' } } },
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$expenditureDate' } },
+            mpName: '$mpName',
+            house: '$house',
+            lsTerm: '$lsTerm',
+          },
+          vendor: { $first: { $trim: { input: '$vendor' } } },
+          state: { $first: '$state' },
+          constituency: { $first: '$constituency' },
+          payments: { $sum: 1 },
+          totalPaid: { $sum: { $toDouble: { $ifNull: ['$expenditureAmount', 0] } } },
+          workIds: { $addToSet: '$workId' },
+        },
+      },
+      { $match: { payments: { $gte: SAME_DAY_PAYMENTS } } },
+    ],
+    { allowDiskUse: true }
+  )
+
+  for await (const group of cursor) {
+    const { day, mpName, house, lsTerm } = group._id
+    await writer.add(
+      'same_day_vendor_payments',
+      group.payments >= 2 * SAME_DAY_PAYMENTS ? 'high' : 'medium',
+      `${group.payments} payments totalling ${formatRupees(group.totalPaid)} went to ${group.vendor} on ${day}.`,
+      { mpName, house, lsTerm, state: group.state, constituency: group.constituency },
+      {
+        vendor: group.vendor,
+        date: day,
+        payments: group.payments,
+        totalPaid: group.totalPaid,
+        workIds: group.workIds.filter(id => id !== null && id !== undefined),
+      }
+    )
+  }
+}
+
+/**
+ * Run every rule against a dataset and write the flags aside
+ * @param {Object} db - MongoDB database
+ * @param {Object} options
+ * @param {Object} options.collections - Collection names to read (staging during a sync)
+ * @returns {Object} Flag counts by rule
+ */
+async function detectAnomalies(db, options = {}) {
+  const names = options.collections || COLLECTIONS
+  console.log('\n🚩 Detecting anomalies...')
+
+  const existing = await db
+    .listCollections({ name: BUILD_COLLECTION }, { nameOnly: true })
+    .toArray()
+  if (existing.length > 0) await db.collection(BUILD_COLLECTION).drop()
+
+  const buildCollection = db.collection(BUILD_COLLECTION)
+  const writer = createWriter(buildCollection, new Date())
+  await flagPaymentsWithoutRecommendation(db, names, writer)
+  await flagCompletedWorks(db, names, writer)
+  await flagSameDayVendorPayments(db, names, writer)
+  const counts = await writer.close()
+
+  // Create the collection even when the dataset is clean so activation clears old flags
+  await buildCollection.createIndex({ mpName: 1, house: 1, lsTerm: 1 })
+  await buildCollection.createIndex({ workId: 1, house: 1, lsTerm: 1 })
+  await buildCollection.createIndex({ rule: 1, severity: 1 })
+  await buildCollection.createIndex({ state: 1 })
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  console.log(`✅ ${total} anomaly flags raised`)
+  Object.entries(counts).forEach(([rule, count]) => console.log(`   ${rule}: ${count}`))
+  return counts
+}
+
+/**
+ * Swap the flags from the last detection run in
+ */
+async function activateAnomalyFlags(db) {
+  const built = await db.listCollections({ name: BUILD_COLLECTION }, { nameOnly: true }).toArray()
+  if (built.length === 0) return false
+  await db.renameCollection(BUILD_COLLECTION, ANOMALY_FLAGS_COLLECTION, { dropTarget: true })
+  return true
+}
+
+/**
+ * Re-run detection on the live collections and swap the flags in
+ * @returns {Object} Flag counts by rule
+ */
+async function buildAnomalyFlags(db) {
+  const counts = await detectAnomalies(db)
+  await activateAnomalyFlags(db)
+  return counts
+}
+
+module.exports = {
+  ANOMALY_FLAGS_COLLECTION,
+  RULES,
+  detectAnomalies,
+  activateAnomalyFlags,
+  buildAnomalyFlags,
+}
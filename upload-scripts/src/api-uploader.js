@@ -1,58 +1,133 @@
 const { MongoClient } = require('mongodb')
+const path = require('path')
 const MPLADSApiClient = require('./mplads-api-client')
+const { DEFAULT_RECORDINGS_DIR, pruneRecordings } = require('./fixture-store')
+const { lokSabhaBuckets } = require('./ls-terms')
 const { transformAllData } = require('./data-transformer')
-const { validateAllData } = require('./data-validator')
-const { updateDataSyncMetadata } = require('./metadata-manager')
+const {
+  isUploadableRecord,
+  validateAllData,
+  validateStagedCollections,
+  buildDataQualityReport,
+} = require('./data-validator')
+const { updateDataSyncMetadata, saveDataQualityReport } = require('./metadata-manager')
+const { createChangeLog, diffRecords, loadExisting, syncCollection } = require('./change-tracker')
+const { createHistoryRecorder } = require('./history-recorder')
+const { buildSearchIndex } = require('./search-indexer')
+const { refreshConstituencyIds, buildConstituencyRegistry } = require('./constituency-registry')
+const { backfillMPIds, buildMPIdentities } = require('./mp-identity')
+const { detectAnomalies, activateAnomalyFlags, buildAnomalyFlags } = require('./anomaly-detector')
+const { publishDumps } = require('./dump-publisher')
+const { queueWatchDigest, cancelWatchDigests } = require('./watch-digest')
+const {
+  COLLECTIONS,
+  baseCollectionName,
+  prepareStaging,
+  discardStaging,
+  activateStaging,
+  rollbackDataset,
+  getActiveDataset,
+} = require('./dataset-manager')
 require('dotenv').config()
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/empowered_indian'
 const DATABASE_NAME = process.env.DATABASE_NAME || 'empowered_indian_db'
 
-// Collection names (same as existing system)
-const COLLECTIONS = {
-  MPs: 'mps',
-  ALLOCATIONS: 'allocations',
-  EXPENDITURES: 'expenditures',
-  WORKS_COMPLETED: 'works_completed',
-  WORKS_RECOMMENDED: 'works_recommended',
-  SUMMARIES: 'summaries',
+/**
+ * Whether a MongoDB URI points at a local server (replays must not touch shared databases)
+ */
+function isLocalMongoUri(uri) {
+  const m = (uri || '').match(/^mongodb(?:\+srv)?:\/\/(?:[^@/]*@)?([^/?]+)/)
+  if (!m) return false
+  return m[1]
+    .split(',')
+    .map(host => host.split(':')[0])
+    .every(host => ['localhost', '127.0.0.1', '::1', '[::1]', 'mongo', 'mongodb'].includes(host))
 }
 
 /**
- * Validation function to check if a record is valid (same as existing CSV uploader)
+ * Build the filter selecting the stored records a sync refreshes for a data type:
+ * the Lok Sabha terms present in the fetched data, plus Rajya Sabha when it was fetched.
+ * Returns null when nothing was fetched for the data type.
  */
-function isValidRecord(record) {
-  const state = (record.state || '').toString().trim()
-  const mpName = (record.mpName || '').toString().trim()
-  const house = (record.house || '').toString().trim()
-
-  // Must have valid state, MP name, and house
-  if (!state || !mpName || !house) {
-    return false
+function buildRefreshScope(transformedData, dataType) {
+  const lsTerms = Array.from(
+    new Set(
+      (transformedData.lok_sabha[dataType] || []).map(r => r.lsTerm).filter(v => v !== undefined)
+    )
+  )
+  const scopes = []
+  if (lsTerms.length > 0) scopes.push({ house: 'Lok Sabha', lsTerm: { $in: lsTerms } })
+  if ((transformedData.rajya_sabha[dataType] || []).length > 0) {
+    scopes.push({ house: 'Rajya Sabha' })
   }
+  if (scopes.length === 0) return null
+  return scopes.length === 1 ? scopes[0] : { $or: scopes }
+}
 
-  // State and MP name must be more than just whitespace
-  if (state.length <= 1 || mpName.length <= 1) {
-    return false
-  }
+/**
+ * Copy the photo coordinates the image extractor stored on works onto their
+ * rebuilt documents, since full mode deletes and re-inserts the scope.
+ * Incremental mode only $sets changed fields, so it keeps them anyway.
+ */
+async function carryOverGeoLocations(collection, scope, docs) {
+  const located = await collection
+    .find(
+      { $and: [scope, { geoLocation: { $exists: true } }] },
+      { projection: { workId: 1, geoLocation: 1 } }
+    )
+    .toArray()
+  if (located.length === 0) return
 
-  // Check for Grand Total or summary rows
-  if (
-    state.toLowerCase().includes('total') ||
-    mpName.toLowerCase().includes('total') ||
-    state.toLowerCase().includes('grand')
-  ) {
-    return false
+  const byWorkId = new Map(located.map(doc => [doc.workId, doc.geoLocation]))
+  docs.forEach(doc => {
+    const geoLocation = byWorkId.get(doc.workId)
+    if (geoLocation) doc.geoLocation = geoLocation
+  })
+}
+
+/**
+ * Write freshly built documents for a refreshed scope.
+ * Full mode clears the scope and re-inserts; incremental mode upserts only changed rows.
+ * Either way, works and expenditures get their changes appended to the history store.
+ */
+async function writeRecords(collection, docs, scope, options = {}) {
+  const { incremental = false, changeLog = null, history = null } = options
+  const collectionName = baseCollectionName(collection.collectionName)
+  const recordHistory = history && history.tracks(collectionName)
+
+  if (!scope) return
+
+  if (incremental) {
+    const diff = await syncCollection(collection, docs, { scope, changeLog, collectionName })
+    if (recordHistory) await history.record(collectionName, diff)
+    return
   }
 
-  return true
+  // Full mode replaces the scope wholesale, so diff against the stored copy first
+  const diff = recordHistory
+    ? diffRecords(collectionName, await loadExisting(collection, scope, collectionName), docs)
+    : null
+
+  if (collectionName.startsWith('works_')) await carryOverGeoLocations(collection, scope, docs)
+
+  const { deletedCount } = await collection.deleteMany(scope)
+  const batchSize = 1000
+  for (let i = 0; i < docs.length; i += batchSize) {
+    await collection.insertMany(docs.slice(i, i + batchSize), { ordered: false })
+  }
+  if (changeLog) {
+    changeLog.record(collectionName, { inserted: docs.length, removed: deletedCount })
+  }
+  if (diff) await history.record(collectionName, diff)
 }
 
 /**
  * Upload MPs data (extracted from allocations) - same logic as CSV uploader
  */
-async function uploadMPs(db, allAllocations) {
-  const mpsCollection = db.collection(COLLECTIONS.MPs)
+async function uploadMPs(db, allAllocations, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const mpsCollection = db.collection(names.MPs)
 
   // Extract unique MPs
   const mpsMap = new Map()
@@ -64,23 +139,24 @@ async function uploadMPs(db, allAllocations) {
     if (!mpsMap.has(key)) {
       mpsMap.set(key, {
         name: allocation.mpName,
+        mpId: allocation.mpId ?? null,
         house: allocation.house,
         state: allocation.state,
         constituency: allocation.constituency,
+        constituencyId: allocation.constituencyId ?? null,
+        party: allocation.party ?? null,
+        alliance: allocation.alliance ?? null,
       })
     }
   })
 
   const mps = Array.from(mpsMap.values())
 
-  // Clear existing data only for the houses we're updating to avoid wiping unrelated data on partial runs
+  // Refresh only the houses we're updating to avoid wiping unrelated data on partial runs
   const housesPresent = Array.from(new Set(mps.map(m => m.house))).filter(Boolean)
-  for (const house of housesPresent) {
-    await mpsCollection.deleteMany({ house })
-  }
-  if (mps.length > 0) {
-    await mpsCollection.insertMany(mps)
-    console.log(`✅ Uploaded ${mps.length} MPs`)
+  if (housesPresent.length > 0) {
+    await writeRecords(mpsCollection, mps, { house: { $in: housesPresent } }, options)
+    if (!options.incremental) console.log(`✅ Uploaded ${mps.length} MPs`)
   }
 
   // Create indexes for faster queries (with error handling)
@@ -96,47 +172,35 @@ async function uploadMPs(db, allAllocations) {
 /**
  * Upload allocation data - same logic as CSV uploader
  */
-async function uploadAllocations(db, transformedData) {
-  const collection = db.collection(COLLECTIONS.ALLOCATIONS)
+async function uploadAllocations(db, transformedData, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const collection = db.collection(names.ALLOCATIONS)
 
   const allAllocations = [
     ...transformedData.lok_sabha.allocated_limit,
     ...transformedData.rajya_sabha.allocated_limit,
   ]
-    .filter(isValidRecord)
+    .filter(isUploadableRecord)
     .map(row => ({
       mpName: row.mpName,
+      mpId: row.mpId ?? null,
       house: row.house,
       state: row.state,
       constituency: row.constituency,
+      constituencyId: row.constituencyId ?? null,
       allocatedAmount: parseFloat(row.allocatedAmount) || 0,
+      party: row.party ?? null,
+      alliance: row.alliance ?? null,
+      partyHistory: row.partyHistory || [],
       lsTerm: row.lsTerm ?? null,
       createdAt: new Date(),
     }))
 
-  // Clear existing data only for the scopes we're updating and insert new with error handling
+  // Refresh only the scopes we're updating, with error handling
   try {
-    // Determine which scopes to refresh
-    const lsTerms = new Set(
-      (transformedData.lok_sabha.allocated_limit || [])
-        .map(r => r.lsTerm)
-        .filter(v => v !== undefined)
-    )
-
-    for (const term of lsTerms) {
-      await collection.deleteMany({ house: 'Lok Sabha', lsTerm: term })
-    }
-    if ((transformedData.rajya_sabha.allocated_limit || []).length > 0) {
-      await collection.deleteMany({ house: 'Rajya Sabha' })
-    }
-
-    if (allAllocations.length > 0) {
-      // Insert in batches to handle large datasets
-      const batchSize = 1000
-      for (let i = 0; i < allAllocations.length; i += batchSize) {
-        const batch = allAllocations.slice(i, i + batchSize)
-        await collection.insertMany(batch, { ordered: false })
-      }
+    const scope = buildRefreshScope(transformedData, 'allocated_limit')
+    await writeRecords(collection, allAllocations, scope, options)
+    if (!options.incremental && allAllocations.length > 0) {
       console.log(`✅ Uploaded ${allAllocations.length} allocation records`)
     }
 
@@ -158,9 +222,10 @@ async function uploadAllocations(db, transformedData) {
 /**
  * Upload expenditure data - same logic as CSV uploader
  */
-async function uploadExpenditures(db, transformedData) {
-  const collection = db.collection(COLLECTIONS.EXPENDITURES)
-  const mpsCollection = db.collection(COLLECTIONS.MPs)
+async function uploadExpenditures(db, transformedData, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const collection = db.collection(names.EXPENDITURES)
+  const mpsCollection = db.collection(names.MPs)
   // Build a quick lookup map for MP identity -> _id
   const mpDocs = await mpsCollection
     .find({}, { projection: { name: 1, house: 1, constituency: 1 } })
@@ -175,46 +240,46 @@ async function uploadExpenditures(db, transformedData) {
     ...transformedData.lok_sabha.expenditure,
     ...transformedData.rajya_sabha.expenditure,
   ]
-    .filter(isValidRecord)
+    .filter(isUploadableRecord)
     .map(row => {
       const key = `${(row.mpName || '').trim().toLowerCase()}|${(row.house || '').trim()}|${(row.constituency || '').trim().toLowerCase()}`
       const mpId = mpKeyToId.get(key) || null
       return {
         workId: row.workId,
         mpName: row.mpName,
+        mpId: row.mpId ?? null,
         mp_id: mpId, // enable reliable joins
         house: row.house,
         state: row.state,
         constituency: row.constituency,
+        constituencyId: row.constituencyId ?? null,
         work: row.work,
         vendor: row.vendor || null,
         ida: row.ida,
         expenditureDate: row.expenditureDate ? new Date(row.expenditureDate) : null,
         paymentStatus: row.paymentStatus,
         expenditureAmount: parseFloat(row.expenditureAmount) || 0,
+        canonicalCategory: row.canonicalCategory ?? null,
+        sector: row.sector ?? null,
+        party: row.party ?? null,
+        alliance: row.alliance ?? null,
         lsTerm: row.lsTerm ?? null,
         createdAt: new Date(),
       }
     })
 
-  // Clear existing data only for the scopes we're updating
-  const lsTerms = new Set(
-    (transformedData.lok_sabha.expenditure || []).map(r => r.lsTerm).filter(v => v !== undefined)
-  )
-  for (const term of lsTerms) {
-    await collection.deleteMany({ house: 'Lok Sabha', lsTerm: term })
-  }
-  if ((transformedData.rajya_sabha.expenditure || []).length > 0) {
-    await collection.deleteMany({ house: 'Rajya Sabha' })
-  }
-  if (allExpenditures.length > 0) {
-    await collection.insertMany(allExpenditures)
+  // Refresh only the scopes we're updating
+  const scope = buildRefreshScope(transformedData, 'expenditure')
+  await writeRecords(collection, allExpenditures, scope, options)
+  if (!options.incremental && allExpenditures.length > 0) {
     console.log(`✅ Uploaded ${allExpenditures.length} expenditure records`)
   }
 
   // Create indexes
   await collection.createIndex({ mpName: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ state: 1, house: 1, lsTerm: 1 })
+  // calculateSummaries joins on mpId per MP
+  await collection.createIndex({ mpId: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ expenditureDate: -1 })
   await collection.createIndex({ paymentStatus: 1 })
   // Optimize lookups by workId for payments queries
@@ -228,9 +293,10 @@ async function uploadExpenditures(db, transformedData) {
 /**
  * Upload works completed data - same logic as CSV uploader
  */
-async function uploadWorksCompleted(db, transformedData) {
-  const collection = db.collection(COLLECTIONS.WORKS_COMPLETED)
-  const mpsCollection = db.collection(COLLECTIONS.MPs)
+async function uploadWorksCompleted(db, transformedData, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const collection = db.collection(names.WORKS_COMPLETED)
+  const mpsCollection = db.collection(names.MPs)
   const mpDocs = await mpsCollection
     .find({}, { projection: { name: 1, house: 1, constituency: 1 } })
     .toArray()
@@ -244,17 +310,21 @@ async function uploadWorksCompleted(db, transformedData) {
     ...transformedData.lok_sabha.works_completed,
     ...transformedData.rajya_sabha.works_completed,
   ]
-    .filter(isValidRecord)
+    .filter(isUploadableRecord)
     .map(row => {
       const key = `${(row.mpName || '').trim().toLowerCase()}|${(row.house || '').trim()}|${(row.constituency || '').trim().toLowerCase()}`
       const mpId = mpKeyToId.get(key) || null
       return {
         mpName: row.mpName,
+        mpId: row.mpId ?? null,
         mp_id: mpId,
         house: row.house,
         state: row.state,
         constituency: row.constituency,
+        constituencyId: row.constituencyId ?? null,
         workCategory: row.workCategory,
+        canonicalCategory: row.canonicalCategory ?? null,
+        sector: row.sector ?? null,
         workId: row.workId,
         ida: row.ida,
         workDescription: row.workDescription,
@@ -262,6 +332,8 @@ async function uploadWorksCompleted(db, transformedData) {
         hasImage: row.hasImage === true,
         averageRating: row.averageRating ? parseFloat(row.averageRating) : null,
         finalAmount: parseFloat(row.finalAmount) || 0,
+        party: row.party ?? null,
+        alliance: row.alliance ?? null,
         lsTerm: row.lsTerm ?? null,
         createdAt: new Date(),
       }
@@ -288,28 +360,22 @@ async function uploadWorksCompleted(db, transformedData) {
     )
   }
 
-  // Clear existing data only for the scopes we're updating
-  const lsTerms = new Set(
-    (transformedData.lok_sabha.works_completed || [])
-      .map(r => r.lsTerm)
-      .filter(v => v !== undefined)
-  )
-  for (const term of lsTerms) {
-    await collection.deleteMany({ house: 'Lok Sabha', lsTerm: term })
-  }
-  if ((transformedData.rajya_sabha.works_completed || []).length > 0) {
-    await collection.deleteMany({ house: 'Rajya Sabha' })
-  }
-  if (allWorks.length > 0) {
-    await collection.insertMany(allWorks, { ordered: false })
+  // Refresh only the scopes we're updating
+  const scope = buildRefreshScope(transformedData, 'works_completed')
+  await writeRecords(collection, allWorks, scope, options)
+  if (!options.incremental && allWorks.length > 0) {
     console.log(`✅ Uploaded ${allWorks.length} completed works`)
   }
 
   // Create indexes
   await collection.createIndex({ mpName: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ state: 1, house: 1, lsTerm: 1 })
+  await collection.createIndex({ mpId: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ completedDate: -1 })
   await collection.createIndex({ workId: 1 })
+  // Photo coordinates for GET /api/works/nearby
+  await collection.createIndex({ geoLocation: '2dsphere' })
+  await collection.createIndex({ sector: 1, canonicalCategory: 1 })
   // Ensure uniqueness of a work within a house/term/state to prevent double counting
   try {
     await collection.createIndex(
@@ -324,9 +390,10 @@ async function uploadWorksCompleted(db, transformedData) {
 /**
  * Upload works recommended data - same logic as CSV uploader
  */
-async function uploadWorksRecommended(db, transformedData) {
-  const collection = db.collection(COLLECTIONS.WORKS_RECOMMENDED)
-  const mpsCollection = db.collection(COLLECTIONS.MPs)
+async function uploadWorksRecommended(db, transformedData, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const collection = db.collection(names.WORKS_RECOMMENDED)
+  const mpsCollection = db.collection(names.MPs)
   const mpDocs = await mpsCollection
     .find({}, { projection: { name: 1, house: 1, constituency: 1 } })
     .toArray()
@@ -340,23 +407,29 @@ async function uploadWorksRecommended(db, transformedData) {
     ...transformedData.lok_sabha.works_recommended,
     ...transformedData.rajya_sabha.works_recommended,
   ]
-    .filter(isValidRecord)
+    .filter(isUploadableRecord)
     .map(row => {
       const key = `${(row.mpName || '').trim().toLowerCase()}|${(row.house || '').trim()}|${(row.constituency || '').trim().toLowerCase()}`
       const mpId = mpKeyToId.get(key) || null
       return {
         mpName: row.mpName,
+        mpId: row.mpId ?? null,
         mp_id: mpId,
         house: row.house,
         state: row.state,
         constituency: row.constituency,
+        constituencyId: row.constituencyId ?? null,
         workCategory: row.workCategory,
+        canonicalCategory: row.canonicalCategory ?? null,
+        sector: row.sector ?? null,
         workId: row.workId,
         ida: row.ida,
         workDescription: row.workDescription,
         recommendationDate: row.recommendationDate ? new Date(row.recommendationDate) : null,
         hasImage: row.hasImage === true,
         recommendedAmount: parseFloat(row.recommendedAmount) || 0,
+        party: row.party ?? null,
+        alliance: row.alliance ?? null,
         lsTerm: row.lsTerm ?? null,
         createdAt: new Date(),
       }
@@ -389,28 +462,22 @@ async function uploadWorksRecommended(db, transformedData) {
     )
   }
 
-  // Clear existing data only for the scopes we're updating
-  const lsTerms = new Set(
-    (transformedData.lok_sabha.works_recommended || [])
-      .map(r => r.lsTerm)
-      .filter(v => v !== undefined)
-  )
-  for (const term of lsTerms) {
-    await collection.deleteMany({ house: 'Lok Sabha', lsTerm: term })
-  }
-  if ((transformedData.rajya_sabha.works_recommended || []).length > 0) {
-    await collection.deleteMany({ house: 'Rajya Sabha' })
-  }
-  if (allWorks.length > 0) {
-    await collection.insertMany(allWorks, { ordered: false })
+  // Refresh only the scopes we're updating
+  const scope = buildRefreshScope(transformedData, 'works_recommended')
+  await writeRecords(collection, allWorks, scope, options)
+  if (!options.incremental && allWorks.length > 0) {
     console.log(`✅ Uploaded ${allWorks.length} recommended works`)
   }
 
   // Create indexes
   await collection.createIndex({ mpName: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ state: 1, house: 1, lsTerm: 1 })
+  await collection.createIndex({ mpId: 1, house: 1, lsTerm: 1 })
   await collection.createIndex({ recommendationDate: -1 })
   await collection.createIndex({ workId: 1 })
+  // Photo coordinates for GET /api/works/nearby
+  await collection.createIndex({ geoLocation: '2dsphere' })
+  await collection.createIndex({ sector: 1, canonicalCategory: 1 })
   try {
     await collection.createIndex(
       { house: 1, lsTerm: 1, state: 1, workId: 1 },
@@ -424,24 +491,92 @@ async function uploadWorksRecommended(db, transformedData) {
   }
 }
 
+/**
+ * Replace summary documents for a set of identities in place: upsert the recomputed ones
+ * and delete those whose identity no longer produces a summary (e.g. a removed MP).
+ */
+async function replaceScopedSummaries(summariesCollection, type, identityFields, scopeKeys, docs) {
+  const identityOf = doc =>
+    identityFields.reduce((acc, field) => ({ ...acc, [field]: doc[field] ?? null }), { type })
+  const keyOf = doc => identityFields.map(field => doc[field] ?? null).join('|')
+
+  const recomputedKeys = new Set(docs.map(keyOf))
+  const operations = [
+    ...docs.map(doc => ({
+      replaceOne: { filter: identityOf(doc), replacement: doc, upsert: true },
+    })),
+    ...scopeKeys
+      .filter(key => !recomputedKeys.has(keyOf(key)))
+      .map(key => ({ deleteMany: { filter: identityOf(key) } })),
+  ]
+
+  const batchSize = 1000
+  for (let i = 0; i < operations.length; i += batchSize) {
+    await summariesCollection.bulkWrite(operations.slice(i, i + batchSize), { ordered: false })
+  }
+}
+
 /**
  * Calculate and store summaries (same logic as CSV uploader)
+ * @param {Db} db - MongoDB database
+ * @param {Object} options
+ * @param {Object} options.scope - Optional { mps, states } identities to recompute in place.
+ *   When omitted, all summaries are rebuilt from scratch.
  */
-async function calculateSummaries(db) {
-  const summariesCollection = db.collection(COLLECTIONS.SUMMARIES)
+async function calculateSummaries(db, options = {}) {
+  const names = options.collections || COLLECTIONS
+  const summariesCollection = db.collection(names.SUMMARIES)
+  const { scope = null } = options
+
+  if (scope && scope.mps.length === 0 && scope.states.length === 0) {
+    console.log('ℹ️  No changed MPs or states, summaries left untouched')
+    return []
+  }
 
-  // Clear existing summaries
-  await summariesCollection.deleteMany({})
+  if (!scope) {
+    // Clear existing summaries
+    await summariesCollection.deleteMany({})
+  }
+
+  const mpScopeMatch = scope
+    ? [
+        {
+          $match: {
+            $or: scope.mps.map(mp => ({
+              mpName: mp.mpName,
+              house: mp.house,
+              lsTerm: mp.lsTerm ?? null,
+              state: mp.state,
+              constituency: mp.constituency,
+            })),
+          },
+        },
+      ]
+    : []
+  const stateScopeMatch = scope
+    ? [
+        {
+          $match: {
+            $or: scope.states.map(s => ({
+              state: s.state,
+              house: s.house,
+              lsTerm: s.lsTerm ?? null,
+            })),
+          },
+        },
+      ]
+    : []
 
   // Calculate MP-wise summaries with enhanced metrics
   const mpSummaries = await db
-    .collection(COLLECTIONS.ALLOCATIONS)
+    .collection(names.ALLOCATIONS)
     .aggregate([
+      ...mpScopeMatch,
       {
         $lookup: {
-          from: COLLECTIONS.EXPENDITURES,
+          from: names.EXPENDITURES,
           let: {
-            mpName: '$mpName',
+            mpId: '$mpId',
             house: '$house',
             lsTerm: '$lsTerm',
             state: '$state',
@@ -452,7 +587,7 @@ async function calculateSummaries(db) {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$mpName', '$$mpName'] },
+                    { $eq: ['$mpId', '$$mpId'] },
                     { $eq: ['$house', '$$house'] },
                     { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
                     { $eq: ['$state', '$$state'] },
@@ -484,9 +619,9 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_COMPLETED,
+          from: names.WORKS_COMPLETED,
           let: {
-            mpName: '$mpName',
+            mpId: '$mpId',
             house: '$house',
             lsTerm: '$lsTerm',
             state: '$state',
@@ -497,7 +632,7 @@ async function calculateSummaries(db) {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$mpName', '$$mpName'] },
+                    { $eq: ['$mpId', '$$mpId'] },
                     { $eq: ['$house', '$$house'] },
                     { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
                     { $eq: ['$state', '$$state'] },
@@ -531,9 +666,9 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_RECOMMENDED,
+          from: names.WORKS_RECOMMENDED,
           let: {
-            mpName: '$mpName',
+            mpId: '$mpId',
             house: '$house',
             lsTerm: '$lsTerm',
             state: '$state',
@@ -544,7 +679,7 @@ async function calculateSummaries(db) {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$mpName', '$$mpName'] },
+                    { $eq: ['$mpId', '$$mpId'] },
                     { $eq: ['$house', '$$house'] },
                     { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
                     { $eq: ['$state', '$$state'] },
@@ -573,9 +708,9 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_COMPLETED,
+          from: names.WORKS_COMPLETED,
           let: {
-            mpName: '$mpName',
+            mpId: '$mpId',
             house: '$house',
             lsTerm: '$lsTerm',
             state: '$state',
@@ -586,7 +721,7 @@ async function calculateSummaries(db) {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$mpName', '$$mpName'] },
+                    { $eq: ['$mpId', '$$mpId'] },
                     { $eq: ['$house', '$$house'] },
                     { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
                     { $eq: ['$state', '$$state'] },
@@ -607,9 +742,9 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_RECOMMENDED,
+          from: names.WORKS_RECOMMENDED,
           let: {
-            mpName: '$mpName',
+            mpId: '$mpId',
             house: '$house',
             completedIds: {
               $ifNull: [{ $arrayElemAt: ['$completedWorkIds.completedWorkIds', 0] }, []],
@@ -623,7 +758,7 @@ async function calculateSummaries(db) {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$mpName', '$$mpName'] },
+                    { $eq: ['$mpId', '$$mpId'] },
                     { $eq: ['$house', '$$house'] },
                     { $not: { $in: ['$workId', '$$completedIds'] } },
                     { $eq: [{ $ifNull: ['$lsTerm', null] }, { $ifNull: ['$$lsTerm', null] }] },
@@ -648,10 +783,15 @@ async function calculateSummaries(db) {
       {
         $addFields: {
           mpName: '$mpName',
+          mpId: { $ifNull: ['$mpId', null] },
           house: '$house',
           lsTerm: { $ifNull: ['$lsTerm', null] },
           state: '$state',
           constituency: '$constituency',
+          constituencyId: { $ifNull: ['$constituencyId', null] },
+          party: { $ifNull: ['$party', null] },
+          alliance: { $ifNull: ['$alliance', null] },
+          partyHistory: { $ifNull: ['$partyHistory', []] },
           allocatedAmount: '$allocatedAmount',
           totalExpenditure: {
             $ifNull: [{ $arrayElemAt: ['$expenditureData.totalExpenditure', 0] }, 0],
@@ -759,7 +899,16 @@ async function calculateSummaries(db) {
     ])
     .toArray()
 
-  if (mpSummaries.length > 0) {
+  if (scope) {
+    await replaceScopedSummaries(
+      summariesCollection,
+      'mp_summary',
+      ['mpName', 'house', 'lsTerm', 'state', 'constituency'],
+      scope.mps,
+      mpSummaries.map(({ _id, ...doc }) => doc)
+    )
+    console.log(`✅ Recomputed ${mpSummaries.length} MP summaries`)
+  } else if (mpSummaries.length > 0) {
     await summariesCollection.insertMany(mpSummaries)
     console.log(`✅ Generated ${mpSummaries.length} MP summaries`)
   }
@@ -769,12 +918,16 @@ async function calculateSummaries(db) {
   await summariesCollection.createIndex({ state: 1, house: 1, lsTerm: 1 })
   await summariesCollection.createIndex({ utilizationPercentage: -1 })
   await summariesCollection.createIndex({ completionRate: -1 })
+  await summariesCollection.createIndex({ constituencyId: 1, lsTerm: -1 })
+  await summariesCollection.createIndex({ mpId: 1, house: 1, lsTerm: -1 })
+  await summariesCollection.createIndex({ party: 1, house: 1, lsTerm: -1 })
 
   // Create overall dashboard summary (required by backend)
   console.log('📊 Creating overall dashboard summary...')
   // Overall summary across all MPs (backward compatible: single doc)
   const overallSummary = await summariesCollection
     .aggregate([
+      { $match: { type: 'mp_summary' } },
       {
         $group: {
           _id: null,
@@ -828,15 +981,17 @@ async function calculateSummaries(db) {
     .toArray()
 
   if (overallSummary.length > 0) {
-    await summariesCollection.insertOne(overallSummary[0])
+    const { _id, ...overall } = overallSummary[0]
+    await summariesCollection.replaceOne({ type: 'overall_summary' }, overall, { upsert: true })
     console.log('✅ Created overall dashboard summary')
   }
 
   // Create state-wise summaries (required by backend)
   console.log('📊 Creating state-wise summaries...')
   const stateSummaries = await db
-    .collection(COLLECTIONS.ALLOCATIONS)
+    .collection(names.ALLOCATIONS)
     .aggregate([
+      ...stateScopeMatch,
       {
         $group: {
           _id: { state: '$state', house: '$house', lsTerm: { $ifNull: ['$lsTerm', null] } },
@@ -846,7 +1001,7 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.EXPENDITURES,
+          from: names.EXPENDITURES,
           let: { state: '$_id.state', house: '$_id.house', lsTerm: '$_id.lsTerm' },
           pipeline: [
             {
@@ -872,7 +1027,7 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_RECOMMENDED,
+          from: names.WORKS_RECOMMENDED,
           let: { state: '$_id.state', house: '$_id.house', lsTerm: '$_id.lsTerm' },
           pipeline: [
             {
@@ -898,7 +1053,7 @@ async function calculateSummaries(db) {
       },
       {
         $lookup: {
-          from: COLLECTIONS.WORKS_COMPLETED,
+          from: names.WORKS_COMPLETED,
           let: { state: '$_id.state', house: '$_id.house', lsTerm: '$_id.lsTerm' },
           pipeline: [
             {
@@ -973,7 +1128,16 @@ async function calculateSummaries(db) {
     ])
     .toArray()
 
-  if (stateSummaries.length > 0) {
+  if (scope) {
+    await replaceScopedSummaries(
+      summariesCollection,
+      'state_summary',
+      ['state', 'house', 'lsTerm'],
+      scope.states,
+      stateSummaries.map(({ _id, ...doc }) => doc)
+    )
+    console.log(`✅ Recomputed ${stateSummaries.length} state summaries`)
+  } else if (stateSummaries.length > 0) {
     await summariesCollection.insertMany(stateSummaries)
     console.log(`✅ Created ${stateSummaries.length} state summaries`)
   }
@@ -1013,6 +1177,16 @@ async function syncMPLADSDataFromAPI(options = {}) {
     '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'
   )
 
+  const replayDir = options.replayDir || null
+  if (replayDir) {
+    console.log('📼 Replay mode:', replayDir)
+    if (!isLocalMongoUri(MONGODB_URI) && process.env.REPLAY_ALLOW_REMOTE !== 'true') {
+      throw new Error(
+        'Replay runs only write to a local MongoDB; set REPLAY_ALLOW_REMOTE=true to override'
+      )
+    }
+  }
+
   // Set up timeout protection
   const timeoutId = setTimeout(() => {
     console.error('❌ Operation timed out after 30 minutes')
@@ -1034,6 +1208,11 @@ async function syncMPLADSDataFromAPI(options = {}) {
   }
 
   const client = new MongoClient(MONGODB_URI, mongoOptions)
+  // Set once staging collections exist so a failed run can clean them up
+  let stagingDb = null
+  let history = null
+  // Built after validation; saved even when the sync fails so the failure can be inspected
+  let qualityReport = null
 
   try {
     // Connect to MongoDB Atlas
@@ -1053,11 +1232,20 @@ async function syncMPLADSDataFromAPI(options = {}) {
       'MB'
     )
 
+    // Live runs keep a copy of every raw response so the sync can be replayed later
+    const recordingsRoot = process.env.MPLADS_RECORD_DIR || DEFAULT_RECORDINGS_DIR
+    const recordDir =
+      !replayDir && options.record !== false
+        ? path.join(recordingsRoot, new Date().toISOString().replace(/[:.]/g, '-'))
+        : null
+
     // Check for manual session cookies from environment first
-    const manualCookies = process.env.MPLADS_SESSION_COOKIES
-    const apiClient = new MPLADSApiClient(manualCookies)
+    const manualCookies = replayDir ? null : process.env.MPLADS_SESSION_COOKIES
+    const apiClient = new MPLADSApiClient(manualCookies, { recordDir, replayDir })
 
-    if (manualCookies) {
+    if (apiClient.isReplaying()) {
+      console.log('📼 Using recorded responses; no portal session needed')
+    } else if (manualCookies) {
       console.log('🔑 Using manual session cookies from environment')
       console.log('🍪 Cookies loaded:', manualCookies.substring(0, 50) + '...')
     } else {
@@ -1075,49 +1263,45 @@ async function syncMPLADSDataFromAPI(options = {}) {
 
     const lsTermOption = options.lsTerm || process.env.LS_TERM || 'both'
     const rawApiData = await apiClient.fetchAllData(lsTermOption)
+    if (recordDir) {
+      pruneRecordings(recordingsRoot, parseInt(process.env.MPLADS_RECORDINGS_KEEP) || 5)
+    }
     console.log(
       '💾 Memory usage after fetch:',
       Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
       'MB'
     )
 
+    // Dates the transformer could not read, collected for the data quality report
+    const dateIssues = []
+    const onUnparseableDate = issue => dateIssues.push(issue)
+
     // Transform API data to match CSV format
-    // Build combined transformed dataset from LS-18, LS-17, and RS
-    const empty = {
+    // Build combined transformed dataset from every fetched LS term and RS
+    const emptyHouse = () => ({
       allocated_limit: [],
       expenditure: [],
       works_completed: [],
       works_recommended: [],
-    }
+    })
     const combined = {
-      lok_sabha: { ...empty },
-      rajya_sabha: { ...empty },
+      lok_sabha: emptyHouse(),
+      rajya_sabha: emptyHouse(),
     }
 
-    if (rawApiData.lok_sabha_18) {
-      const t18 = transformAllData(
-        { lok_sabha: rawApiData.lok_sabha_18, rajya_sabha: { ...empty } },
-        { lsTerm: 18 }
+    lokSabhaBuckets(rawApiData).forEach(({ lsTerm, data }) => {
+      const transformedTerm = transformAllData(
+        { lok_sabha: data, rajya_sabha: emptyHouse() },
+        { lsTerm, onUnparseableDate }
       )
-      combined.lok_sabha.allocated_limit.push(...t18.lok_sabha.allocated_limit)
-      combined.lok_sabha.expenditure.push(...t18.lok_sabha.expenditure)
-      combined.lok_sabha.works_completed.push(...t18.lok_sabha.works_completed)
-      combined.lok_sabha.works_recommended.push(...t18.lok_sabha.works_recommended)
-    }
-    if (rawApiData.lok_sabha_17) {
-      const t17 = transformAllData(
-        { lok_sabha: rawApiData.lok_sabha_17, rajya_sabha: { ...empty } },
-        { lsTerm: 17 }
-      )
-      combined.lok_sabha.allocated_limit.push(...t17.lok_sabha.allocated_limit)
-      combined.lok_sabha.expenditure.push(...t17.lok_sabha.expenditure)
-      combined.lok_sabha.works_completed.push(...t17.lok_sabha.works_completed)
-      combined.lok_sabha.works_recommended.push(...t17.lok_sabha.works_recommended)
-    }
+      Object.keys(combined.lok_sabha).forEach(dataType => {
+        combined.lok_sabha[dataType].push(...transformedTerm.lok_sabha[dataType])
+      })
+    })
     if (rawApiData.rajya_sabha) {
       const trs = transformAllData(
-        { lok_sabha: { ...empty }, rajya_sabha: rawApiData.rajya_sabha },
-        { lsTerm: null }
+        { lok_sabha: emptyHouse(), rajya_sabha: rawApiData.rajya_sabha },
+        { lsTerm: null, onUnparseableDate }
       )
       combined.rajya_sabha = trs.rajya_sabha
     }
@@ -1125,20 +1309,107 @@ async function syncMPLADSDataFromAPI(options = {}) {
     const transformedData = combined
 
     // Validate data quality before upload
-    validateAllData(transformedData)
+    const validationResults = validateAllData(transformedData)
+    qualityReport = buildDataQualityReport(transformedData, validationResults, dateIssues)
+    const validationQualityScore = qualityReport.totals.qualityScore
+
+    const incremental = options.incremental ?? process.env.SYNC_MODE === 'incremental'
+    const changeLog = createChangeLog()
+    history = createHistoryRecorder(db)
 
-    console.log('\n📤 Starting MongoDB upload process...\n')
+    // All writes go to staging copies; the backend keeps reading the live dataset
+    stagingDb = db
+    const collections = await prepareStaging(db)
+    await backfillMPIds(db, collections)
+    await refreshConstituencyIds(db, collections)
+    const uploadOptions = { incremental, changeLog, history, collections }
+
+    console.log(
+      `\n📤 Starting MongoDB upload process (${incremental ? 'incremental' : 'full'} mode)...\n`
+    )
 
     // Upload all data types (same order as CSV uploader)
-    const allAllocations = await uploadAllocations(db, transformedData)
-    await uploadMPs(db, allAllocations)
-    await uploadExpenditures(db, transformedData)
-    await uploadWorksCompleted(db, transformedData)
-    await uploadWorksRecommended(db, transformedData)
+    const allAllocations = await uploadAllocations(db, transformedData, uploadOptions)
+    await uploadMPs(db, allAllocations, uploadOptions)
+    await uploadExpenditures(db, transformedData, uploadOptions)
+    await uploadWorksCompleted(db, transformedData, uploadOptions)
+    await uploadWorksRecommended(db, transformedData, uploadOptions)
 
-    // Calculate summaries
+    // Calculate summaries (only for the MPs and states that changed in incremental mode)
     console.log('\n📊 Calculating MP summaries...')
-    await calculateSummaries(db)
+    if (incremental) {
+      await calculateSummaries(db, {
+        scope: { mps: changeLog.affectedMPs, states: changeLog.affectedStates },
+        collections,
+      })
+    } else {
+      await calculateSummaries(db, { collections })
+    }
+
+    // Flags describe the staged data and go live with it; a failed run keeps the old flags
+    let anomalyFlags = null
+    try {
+      anomalyFlags = await detectAnomalies(db, { collections })
+    } catch (detectError) {
+      console.error('⚠️  Failed to detect anomalies:', detectError.message)
+    }
+
+    // Swap the staged dataset in only if it looks complete
+    const stagedValidation = await validateStagedCollections(db, collections, COLLECTIONS)
+    if (!stagedValidation.valid) {
+      throw new Error(`Staged dataset rejected: ${stagedValidation.problems.join('; ')}`)
+    }
+    const dataset = await activateStaging(db)
+    stagingDb = null
+    if (anomalyFlags) await activateAnomalyFlags(db)
+
+    await saveDataQualityReport(db, {
+      ...qualityReport,
+      datasetVersion: dataset.version,
+      syncStatus: 'activated',
+    })
+    qualityReport = null
+
+    // The new dataset is already live, so a failed index build only leaves search stale
+    let searchIndex = null
+    try {
+      searchIndex = await buildSearchIndex(db)
+    } catch (indexError) {
+      console.error('⚠️  Failed to build search index:', indexError.message)
+    }
+
+    // Seat history is read from the live summaries, so it is rebuilt the same way
+    let constituencies = null
+    try {
+      constituencies = await buildConstituencyRegistry(db)
+    } catch (registryError) {
+      console.error('⚠️  Failed to build constituency registry:', registryError.message)
+    }
+    let mpIdentities = null
+    try {
+      mpIdentities = await buildMPIdentities(db)
+    } catch (identityError) {
+      console.error('⚠️  Failed to build MP identities:', identityError.message)
+    }
+
+    // Full dumps of the new dataset for bulk download; a failure leaves the older snapshots listed
+    let dumps = null
+    if (process.env.PUBLISH_DUMPS !== 'false') {
+      try {
+        const manifest = await publishDumps(db, dataset)
+        dumps = { datasetVersion: manifest.datasetVersion, totalRecords: manifest.totalRecords }
+      } catch (dumpError) {
+        console.error('⚠️  Failed to publish data dumps:', dumpError.message)
+      }
+    }
+
+    // Followers hear about the sync only once its dataset is live
+    let watchDigest = null
+    try {
+      watchDigest = await queueWatchDigest(db, history, dataset)
+    } catch (digestError) {
+      console.error('⚠️  Failed to queue follow digest:', digestError.message)
+    }
 
     // Update data sync metadata for frontend
     const endTime = Date.now()
@@ -1180,7 +1451,17 @@ async function syncMPLADSDataFromAPI(options = {}) {
         (transformedData.rajya_sabha.works_recommended?.length || 0),
       mps: mpCount,
       duration: duration,
-      dataQuality: 98, // This would come from validation results
+      dataQuality: validationQualityScore,
+      syncMode: incremental ? 'incremental' : 'full',
+      changes: { ...changeLog.toJSON(), historyEntries: history.entriesWritten },
+      datasetVersion: dataset.version,
+      previousDatasetVersion: dataset.previousVersion,
+      searchIndex,
+      constituencies,
+      mpIdentities,
+      anomalyFlags,
+      dumps,
+      watchDigest,
     }
 
     await updateDataSyncMetadata(db, syncStats)
@@ -1201,12 +1482,123 @@ async function syncMPLADSDataFromAPI(options = {}) {
   } catch (error) {
     console.error('❌ Error during MPLADS API data sync:', error.message)
     console.error('Stack trace:', error.stack)
+    if (stagingDb) {
+      try {
+        await discardStaging(stagingDb)
+        await history?.discard()
+      } catch (cleanupError) {
+        console.error('⚠️  Failed to clean up staging collections:', cleanupError.message)
+      }
+    }
+    if (qualityReport) {
+      try {
+        await saveDataQualityReport(client.db(DATABASE_NAME), {
+          ...qualityReport,
+          datasetVersion: null,
+          syncStatus: 'failed',
+          syncError: error.message,
+        })
+      } catch (reportError) {
+        console.error('⚠️  Failed to save data quality report:', reportError.message)
+      }
+    }
     throw error
   } finally {
     await client.close()
   }
 }
 
+/**
+ * Restore the dataset that was live before the last sync
+ */
+async function rollbackToPreviousDataset() {
+  const client = new MongoClient(MONGODB_URI, {
+    serverSelectionTimeoutMS: parseInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000,
+    appName: process.env.DB_APP_NAME || 'MPLADS-API-Automation',
+  })
+
+  try {
+    await client.connect()
+    const db = client.db(DATABASE_NAME)
+    const dataset = await rollbackDataset(db)
+    await buildSearchIndex(db)
+    await buildConstituencyRegistry(db)
+    await buildMPIdentities(db)
+    await buildAnomalyFlags(db)
+    await cancelWatchDigests(db, dataset.rolledBackFrom)
+
+    // Keep the footer's sync info in step with the restored data
+    await db.collection('data_sync_metadata').updateOne(
+      { source: 'Official MPLADS Portal API' },
+      {
+        $set: {
+          datasetVersion: dataset.version,
+          previousDatasetVersion: null,
+          rolledBackFrom: dataset.rolledBackFrom,
+          updatedAt: new Date(),
+        },
+      }
+    )
+    return dataset
+  } finally {
+    await client.close()
+  }
+}
+
+/**
+ * Rebuild the search index from the live dataset without syncing
+ */
+async function rebuildSearchIndex() {
+  const client = new MongoClient(MONGODB_URI, {
+    serverSelectionTimeoutMS: parseInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000,
+    appName: process.env.DB_APP_NAME || 'MPLADS-API-Automation',
+  })
+
+  try {
+    await client.connect()
+    return await buildSearchIndex(client.db(DATABASE_NAME))
+  } finally {
+    await client.close()
+  }
+}
+
+/**
+ * Re-run anomaly detection on the live dataset without syncing
+ */
+async function redetectAnomalies() {
+  const client = new MongoClient(MONGODB_URI, {
+    serverSelectionTimeoutMS: parseInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000,
+    appName: process.env.DB_APP_NAME || 'MPLADS-API-Automation',
+  })
+
+  try {
+    await client.connect()
+    return await buildAnomalyFlags(client.db(DATABASE_NAME))
+  } finally {
+    await client.close()
+  }
+}
+
+/**
+ * Publish full dumps of the live dataset without syncing
+ */
+async function publishLiveDumps() {
+  const client = new MongoClient(MONGODB_URI, {
+    serverSelectionTimeoutMS: parseInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000,
+    appName: process.env.DB_APP_NAME || 'MPLADS-API-Automation',
+  })
+
+  try {
+    await client.connect()
+    const db = client.db(DATABASE_NAME)
+    const dataset = await getActiveDataset(db)
+    if (!dataset) throw new Error('No live dataset to dump; run a sync first')
+    return await publishDumps(db, dataset)
+  } finally {
+    await client.close()
+  }
+}
+
 // Run the sync process
 if (require.main === module) {
   syncMPLADSDataFromAPI()
@@ -1219,6 +1611,10 @@ if (require.main === module) {
 
 module.exports = {
   syncMPLADSDataFromAPI,
+  rollbackToPreviousDataset,
+  rebuildSearchIndex,
+  redetectAnomalies,
+  publishLiveDumps,
   uploadAllocations,
   uploadMPs,
   uploadExpenditures,
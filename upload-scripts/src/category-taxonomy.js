@@ -0,0 +1,172 @@
+/**
+ * Work category taxonomy.
+ *
+ * The portal's WORK_CATEGORY strings come in spelling and casing variants
+ * ("Drinking Water Facility", "DRINKING WATER FACILITIES", "Drinkng Water") and
+ * are finer than sector analysis needs. Each raw value is mapped to one
+ * canonical category and the sector that category rolls up to; both are stored
+ * next to the raw `workCategory` at ingest.
+ *
+ * To map a new variant, add it to the category's `aliases` (matched after
+ * normalization) or widen its `pattern`. Categories are tried in order, so
+ * narrower ones come before the broad ones they overlap with.
+ */
+
+const SECTORS = {
+  EDUCATION: 'Education',
+  HEALTH: 'Health',
+  ROADS: 'Roads & Transport',
+  WATER: 'Drinking Water',
+  SANITATION: 'Sanitation',
+  ENERGY: 'Power & Energy',
+  AGRICULTURE: 'Agriculture & Irrigation',
+  SPORTS: 'Sports',
+  COMMUNITY: 'Community Facilities',
+  ANIMAL_CARE: 'Animal Care',
+  DISASTER_RELIEF: 'Disaster Relief',
+  OTHER: 'Other',
+}
+
+const CATEGORIES = [
+  {
+    name: 'Normal/Others',
+    sector: SECTORS.OTHER,
+    aliases: ['normal', 'others', 'other', 'normal others', 'miscellaneous', 'misc'],
+  },
+  {
+    name: 'Drinking Water Facility',
+    sector: SECTORS.WATER,
+    aliases: ['drinking water', 'water supply'],
+    pattern: /drinki?n?g water|water supply|hand ?pumps?|tube ?wells?|bore ?wells?|water tanks?/,
+  },
+  {
+    name: 'Sanitation and Public Health',
+    sector: SECTORS.SANITATION,
+    aliases: ['sanitation'],
+    pattern: /sanitat|toilet|drain|sewer|public health/,
+  },
+  {
+    name: 'Health and Family Welfare',
+    sector: SECTORS.HEALTH,
+    aliases: ['health'],
+    pattern: /healt?h|hospital|dispensar|ambulance|medical|family welfare/,
+  },
+  {
+    name: 'Education',
+    sector: SECTORS.EDUCATION,
+    aliases: [],
+    pattern: /educa|school|college|anganwadi|librar|class ?rooms?/,
+  },
+  {
+    name: 'Non-Conventional Energy',
+    sector: SECTORS.ENERGY,
+    aliases: ['non conventional energy sources', 'renewable energy'],
+    pattern: /non ?conventional|solar|renewable|bio ?gas/,
+  },
+  {
+    name: 'Electricity Facilities',
+    sector: SECTORS.ENERGY,
+    aliases: ['electricity', 'electrification'],
+    pattern: /electri|street ?lights?|high ?mast|transformers?/,
+  },
+  {
+    name: 'Railways, Roads, Pathways and Bridges',
+    sector: SECTORS.ROADS,
+    aliases: ['roads', 'roads and bridges'],
+    pattern: /railway|\broads?\b|transport|pathways?|bridges?|culverts?|foot ?paths?/,
+  },
+  {
+    name: 'Irrigation',
+    sector: SECTORS.AGRICULTURE,
+    aliases: [],
+    pattern: /irriga|check ?dams?|canals?/,
+  },
+  {
+    name: 'Agriculture and Allied Activities',
+    sector: SECTORS.AGRICULTURE,
+    aliases: ['agriculture'],
+    pattern: /agricultur|allied activit|horticultur|fisher/,
+  },
+  {
+    name: 'Sports',
+    sector: SECTORS.SPORTS,
+    aliases: [],
+    pattern: /\bsports?\b|stadium|gymnasium|play ?grounds?/,
+  },
+  {
+    name: 'Animal Care',
+    sector: SECTORS.ANIMAL_CARE,
+    aliases: [],
+    pattern: /animal|veterinar|cattle|gaushala/,
+  },
+  {
+    name: 'Natural Calamity',
+    sector: SECTORS.DISASTER_RELIEF,
+    aliases: ['natural calamities', 'disaster relief'],
+    pattern: /calamit|disaster|flood|cyclone|earthquake/,
+  },
+  {
+    name: 'Urban Development',
+    sector: SECTORS.COMMUNITY,
+    aliases: [],
+    pattern: /urban/,
+  },
+  {
+    name: 'Self Help Groups',
+    sector: SECTORS.COMMUNITY,
+    aliases: ['shg', 'self help group'],
+    pattern: /self ?help/,
+  },
+  {
+    name: 'Other Public Facilities',
+    sector: SECTORS.COMMUNITY,
+    aliases: ['public facilities'],
+    pattern: /public facilit|community (hall|centre|center)|bus (shelter|stand)|crematori|burial/,
+  },
+]
+
+// Lowercase, '&' as 'and', punctuation as spaces, whitespace collapsed
+const categoryKey = value =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+
+const EXACT = new Map()
+CATEGORIES.forEach(category => {
+  ;[category.name, ...category.aliases].forEach(alias => EXACT.set(categoryKey(alias), category))
+})
+
+// Records repeat a handful of raw strings; classify each once per run
+const cache = new Map()
+
+/**
+ * Map a raw portal category to its canonical category and sector
+ * @param {string} rawCategory - WORK_CATEGORY as published
+ * @returns {{canonicalCategory: string|null, sector: string|null}} Both null for
+ *   an empty value; canonicalCategory null (sector 'Other') when no rule matches
+ */
+function classifyCategory(rawCategory) {
+  const key = categoryKey(rawCategory)
+  if (!key) return { canonicalCategory: null, sector: null }
+  if (cache.has(key)) return cache.get(key)
+
+  const category =
+    EXACT.get(key) || CATEGORIES.find(entry => entry.pattern && entry.pattern.test(key))
+  const result = category
+    ? { canonicalCategory: category.name, sector: category.sector }
+    : { canonicalCategory: null, sector: SECTORS.OTHER }
+  cache.set(key, result)
+  return result
+}
+
+// A work whose raw category matched no rule
+const isUnmappedCategory = record => Boolean(record.workCategory) && !record.canonicalCategory
+
+module.exports = {
+  SECTORS,
+  CATEGORIES,
+  classifyCategory,
+  isUnmappedCategory,
+}
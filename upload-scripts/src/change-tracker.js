@@ -0,0 +1,341 @@
+/**
+ * Change tracking utilities for incremental (diff-based) syncs.
+ *
+ * Instead of wiping a collection and re-inserting every record, an incremental
+ * sync compares each freshly transformed record with the stored copy by a stable
+ * key and only writes the rows that were inserted, changed or removed.
+ */
+
+// Fields compared when deciding whether a stored record has changed
+const TRACKED_FIELDS = {
+  mps: ['name', 'mpId', 'house', 'state', 'constituency', 'constituencyId', 'party', 'alliance'],
+  allocations: [
+    'mpName',
+    'mpId',
+    'house',
+    'state',
+    'constituency',
+    'constituencyId',
+    'allocatedAmount',
+    'party',
+    'alliance',
+    'partyHistory',
+    'lsTerm',
+  ],
+  expenditures: [
+    'workId',
+    'mpName',
+    'mpId',
+    'mp_id',
+    'house',
+    'state',
+    'constituency',
+    'constituencyId',
+    'work',
+    'vendor',
+    'ida',
+    'expenditureDate',
+    'paymentStatus',
+    'expenditureAmount',
+    'canonicalCategory',
+    'sector',
+    'party',
+    'alliance',
+    'lsTerm',
+  ],
+  works_completed: [
+    'mpName',
+    'mpId',
+    'mp_id',
+    'house',
+    'state',
+    'constituency',
+    'constituencyId',
+    'workCategory',
+    'canonicalCategory',
+    'sector',
+    'workId',
+    'ida',
+    'workDescription',
+    'completedDate',
+    'hasImage',
+    'averageRating',
+    'finalAmount',
+    'party',
+    'alliance',
+    'lsTerm',
+  ],
+  works_recommended: [
+    'mpName',
+    'mpId',
+    'mp_id',
+    'house',
+    'state',
+    'constituency',
+    'constituencyId',
+    'workCategory',
+    'canonicalCategory',
+    'sector',
+    'workId',
+    'ida',
+    'workDescription',
+    'recommendationDate',
+    'hasImage',
+    'recommendedAmount',
+    'party',
+    'alliance',
+    'lsTerm',
+  ],
+}
+
+const BATCH_SIZE = 1000
+
+const keyPart = value => {
+  if (value === null || value === undefined) return 'null'
+  if (value instanceof Date) return value.toISOString().split('T')[0]
+  return value.toString().trim()
+}
+
+/**
+ * Build the stable identity key of a record for the given collection
+ * - works: workId + house + lsTerm
+ * - expenditures: workId + house + lsTerm + vendor + payment date
+ * - allocations / mps: MP identity within its house and seat
+ */
+function buildRecordKey(collectionName, record) {
+  switch (collectionName) {
+    case 'works_completed':
+    case 'works_recommended':
+      return [record.workId, record.house, record.lsTerm].map(keyPart).join('|')
+    case 'expenditures':
+      return [record.workId, record.house, record.lsTerm, record.vendor, record.expenditureDate]
+        .map(keyPart)
+        .join('|')
+    case 'allocations':
+      return [record.mpName, record.house, record.lsTerm, record.state, record.constituency]
+        .map(keyPart)
+        .join('|')
+    case 'mps':
+      return [record.name, record.house, record.constituency || record.state].map(keyPart).join('|')
+    default:
+      throw new Error(`No record key defined for collection: ${collectionName}`)
+  }
+}
+
+const normalizeValue = value => {
+  if (value === undefined || value === null) return null
+  if (value instanceof Date) return value.toISOString()
+  // ObjectId and other BSON types compare by their string form
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString()
+  }
+  return value
+}
+
+/**
+ * Serialize the tracked fields of a record so two copies can be compared
+ */
+function fingerprint(record, fields) {
+  return JSON.stringify(fields.map(field => normalizeValue(record[field])))
+}
+
+/**
+ * Group records by their key. Several records can share one (e.g. installments
+ * paid to the same vendor on the same day); diffRecords pairs those by content.
+ */
+function groupByKey(collectionName, records, fields) {
+  const groups = new Map()
+  records.forEach(record => {
+    const key = buildRecordKey(collectionName, record)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push({ record, print: fingerprint(record, fields) })
+  })
+  return groups
+}
+
+const byPrint = (a, b) => (a.print < b.print ? -1 : a.print > b.print ? 1 : 0)
+
+/**
+ * Compare stored records with incoming ones. Within a key, identical records
+ * are matched first, so one changed installment does not shift the others;
+ * the remaining records are paired in content order as updates, and any left
+ * over are inserted or removed.
+ * @returns {{ inserted: Array, updated: Array, removed: Array, unchanged: number }}
+ */
+function diffRecords(collectionName, existingRecords, incomingRecords) {
+  const fields = TRACKED_FIELDS[collectionName]
+  const existing = groupByKey(collectionName, existingRecords, fields)
+  const incoming = groupByKey(collectionName, incomingRecords, fields)
+
+  const inserted = []
+  const updated = []
+  const removed = []
+  let unchanged = 0
+
+  for (const [key, entries] of incoming) {
+    const stored = new Map()
+    ;(existing.get(key) || []).forEach(entry => {
+      if (!stored.has(entry.print)) stored.set(entry.print, [])
+      stored.get(entry.print).push(entry)
+    })
+
+    const unmatched = entries.filter(entry => {
+      const same = stored.get(entry.print)
+      if (!same?.length) return true
+      same.shift()
+      unchanged++
+      return false
+    })
+    const leftover = Array.from(stored.values()).flat()
+
+    unmatched.sort(byPrint)
+    leftover.sort(byPrint)
+    unmatched.forEach((entry, index) => {
+      const current = leftover[index]
+      if (current) {
+        updated.push({ _id: current.record._id, before: current.record, after: entry.record })
+      } else {
+        inserted.push(entry.record)
+      }
+    })
+    leftover.slice(unmatched.length).forEach(entry => removed.push(entry.record))
+  }
+
+  for (const [key, entries] of existing) {
+    if (!incoming.has(key)) entries.forEach(entry => removed.push(entry.record))
+  }
+
+  return { inserted, updated, removed, unchanged }
+}
+
+/**
+ * Collects per-collection change counts and the MPs/states affected by a sync
+ */
+function createChangeLog() {
+  const collections = {}
+  const mps = new Map()
+  const states = new Map()
+
+  const touch = record => {
+    const mpName = record.mpName
+    if (!mpName) return
+    const lsTerm = record.lsTerm ?? null
+    const constituency = record.constituency ?? null
+    const mp = { mpName, house: record.house, lsTerm, state: record.state, constituency }
+    mps.set([mpName, record.house, lsTerm, record.state, constituency].join('|'), mp)
+    const state = { state: record.state, house: record.house, lsTerm }
+    states.set([record.state, record.house, lsTerm].join('|'), state)
+  }
+
+  return {
+    record(collectionName, counts) {
+      collections[collectionName] = {
+        inserted: counts.inserted || 0,
+        updated: counts.updated || 0,
+        removed: counts.removed || 0,
+        unchanged: counts.unchanged || 0,
+      }
+    },
+    touch,
+    get affectedMPs() {
+      return Array.from(mps.values())
+    },
+    get affectedStates() {
+      return Array.from(states.values())
+    },
+    toJSON() {
+      const totals = Object.values(collections).reduce(
+        (acc, c) => ({
+          inserted: acc.inserted + c.inserted,
+          updated: acc.updated + c.updated,
+          removed: acc.removed + c.removed,
+          unchanged: acc.unchanged + c.unchanged,
+        }),
+        { inserted: 0, updated: 0, removed: 0, unchanged: 0 }
+      )
+      return {
+        ...totals,
+        collections,
+        affectedMPs: mps.size,
+        affectedStates: states.size,
+      }
+    },
+  }
+}
+
+/**
+ * Load the stored copies (tracked fields only) of the documents in a scope
+ */
+async function loadExisting(collection, scope, collectionName = collection.collectionName) {
+  const fields = TRACKED_FIELDS[collectionName]
+  const projection = fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), {})
+  return collection.find(scope, { projection }).toArray()
+}
+
+/**
+ * Upsert only the changed rows of a collection
+ * @param {Collection} collection - MongoDB collection
+ * @param {Array} docs - Freshly built documents for the refreshed scope
+ * @param {Object} options
+ * @param {Object} options.scope - Filter selecting the stored documents this sync refreshes
+ * @param {Object} options.changeLog - Change log from createChangeLog()
+ * @param {string} options.collectionName - Logical collection name when writing to a staging copy
+ */
+async function syncCollection(collection, docs, { scope, changeLog, collectionName: name }) {
+  const collectionName = name || collection.collectionName
+  const existingDocs = await loadExisting(collection, scope, collectionName)
+  const diff = diffRecords(collectionName, existingDocs, docs)
+  const now = new Date()
+
+  const operations = [
+    ...diff.inserted.map(doc => ({ insertOne: { document: { ...doc, createdAt: now } } })),
+    ...diff.updated.map(({ _id, after }) => {
+      const { createdAt: _createdAt, ...fieldsToSet } = after
+      return {
+        updateOne: { filter: { _id }, update: { $set: { ...fieldsToSet, updatedAt: now } } },
+      }
+    }),
+  ]
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await collection.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false })
+  }
+
+  const removedIds = diff.removed.map(doc => doc._id)
+  for (let i = 0; i < removedIds.length; i += BATCH_SIZE) {
+    await collection.deleteMany({ _id: { $in: removedIds.slice(i, i + BATCH_SIZE) } })
+  }
+
+  if (changeLog) {
+    changeLog.record(collectionName, {
+      inserted: diff.inserted.length,
+      updated: diff.updated.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged,
+    })
+    if (collectionName !== 'mps') {
+      diff.inserted.forEach(changeLog.touch)
+      diff.removed.forEach(changeLog.touch)
+      diff.updated.forEach(({ before, after }) => {
+        changeLog.touch(before)
+        changeLog.touch(after)
+      })
+    }
+  }
+
+  console.log(
+    `✅ ${collectionName}: ${diff.inserted.length} inserted, ${diff.updated.length} updated, ${diff.removed.length} removed, ${diff.unchanged} unchanged`
+  )
+
+  return diff
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  buildRecordKey,
+  normalizeValue,
+  fingerprint,
+  diffRecords,
+  createChangeLog,
+  loadExisting,
+  syncCollection,
+}
@@ -0,0 +1,280 @@
+/**
+ * Lok Sabha constituency registry.
+ *
+ * The portal spells a seat differently across terms and feeds ("Gulbarga",
+ * "Kalaburagi", "GULBARGA (SC)"), so the name alone cannot follow a seat across
+ * terms. Every Lok Sabha record is resolved to a stable constituency ID of the
+ * form `<state code>-<slug>` (e.g. `KA-gulbarga`), and after each sync the
+ * `constituencies` collection is rebuilt with one document per seat: state
+ * code, reservation (SC/ST/GEN), known aliases, the terms it has data for and,
+ * for seats redrawn by a delimitation, the seats it replaced or was replaced by.
+ *
+ * constituency-registry.json lists every seat of the 2008 delimitation (and the
+ * 2022 J&K and 2023 Assam orders) with its reservation and known spellings
+ * (aliases). Seats redrawn by a delimitation are separate entries bounded by
+ * `fromTerm`/`untilTerm`. A name matching no entry still gets a derived ID, with
+ * its reservation recorded as unknown, so a new spelling shows up in the build log.
+ */
+
+const registry = require('./constituency-registry.json')
+const { COLLECTIONS } = require('./dataset-manager')
+
+const CONSTITUENCIES_COLLECTION = 'constituencies'
+// Built aside and renamed in, like the search index
+const BUILD_SUFFIX = '_build'
+
+// Lowercase, '&' as 'and', everything but letters and digits dropped
+const nameKey = value =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '')
+
+const slug = value =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+const STATES = new Map()
+Object.entries(registry.states).forEach(([code, state]) => {
+  ;[state.name, ...state.aliases].forEach(name => STATES.set(nameKey(name), { code, ...state }))
+})
+
+// Listed seats by "<state code>|<name key>"; a key holds several entries when a
+// delimitation reused the name for a redrawn seat
+const SEATS = new Map()
+const SEATS_BY_ID = new Map()
+registry.constituencies.forEach(entry => {
+  const seat = {
+    ...entry,
+    id: entry.id || `${entry.state}-${slug(entry.name)}`,
+    fromTerm: entry.fromTerm ?? null,
+    untilTerm: entry.untilTerm ?? null,
+    predecessors: entry.predecessors || [],
+  }
+  SEATS_BY_ID.set(seat.id, seat)
+  ;[seat.name, ...seat.aliases].forEach(name => {
+    const key = `${seat.state}|${nameKey(name)}`
+    SEATS.set(key, [...(SEATS.get(key) || []), seat])
+  })
+})
+
+const inTerm = (seat, lsTerm) =>
+  (seat.fromTerm === null || lsTerm >= seat.fromTerm) &&
+  (seat.untilTerm === null || lsTerm <= seat.untilTerm)
+
+/**
+ * Registry code and canonical name of a state or union territory
+ * @returns {{code: string, name: string}|null} null when the name is not recognized
+ */
+function resolveState(state) {
+  const entry = STATES.get(nameKey(state))
+  return entry ? { code: entry.code, name: entry.name } : null
+}
+
+/**
+ * Resolve a Lok Sabha seat to its registry entry
+ * @param {string} state - State name as published
+ * @param {string} name - Constituency name, already normalized (no "(SC)" suffix)
+ * @param {number|null} lsTerm - Term the record belongs to; picks the right seat
+ *   where a delimitation reused a name. Without it the current seat is used.
+ * @returns {Object|null} { id, name, state, stateCode, reservation, aliases,
+ *   registered }, or null when the state or name is missing or the state unknown
+ */
+function resolveConstituency(state, name, lsTerm = null) {
+  const stateEntry = resolveState(state)
+  if (!stateEntry || !nameKey(name)) return null
+
+  const candidates = SEATS.get(`${stateEntry.code}|${nameKey(name)}`) || []
+  const seat =
+    lsTerm === null || lsTerm === undefined
+      ? candidates.find(entry => entry.untilTerm === null)
+      : candidates.find(entry => inTerm(entry, lsTerm))
+
+  if (!seat) {
+    return {
+      id: `${stateEntry.code}-${slug(name)}`,
+      name,
+      state: stateEntry.name,
+      stateCode: stateEntry.code,
+      reservation: null,
+      aliases: [],
+      registered: false,
+    }
+  }
+  return {
+    id: seat.id,
+    name: seat.name,
+    state: stateEntry.name,
+    stateCode: stateEntry.code,
+    reservation: seat.reservation,
+    aliases: seat.aliases,
+    registered: true,
+  }
+}
+
+/**
+ * Re-resolve the constituencyId of Lok Sabha records already in the dataset. A
+ * sync limited to some terms leaves the other terms' records as they were, so
+ * without this they keep IDs from an older registry (a seat listed since then,
+ * or a spelling added as an alias) and split from the same seat's new records.
+ * @param {Object} db - MongoDB database
+ * @param {Object} collections - Map of COLLECTIONS keys to the collection names to fill
+ * @returns {Promise<number>} Records updated
+ */
+async function refreshConstituencyIds(db, collections = COLLECTIONS) {
+  let updated = 0
+  for (const key of Object.keys(COLLECTIONS)) {
+    const collection = db.collection(collections[key])
+    const seats = await collection
+      .aggregate(
+        [
+          { $match: { house: 'Lok Sabha', constituency: { $nin: [null, ''] } } },
+          {
+            $group: {
+              _id: {
+                state: '$state',
+                constituency: '$constituency',
+                lsTerm: { $ifNull: ['$lsTerm', null] },
+              },
+              ids: { $addToSet: { $ifNull: ['$constituencyId', null] } },
+            },
+          },
+        ],
+        { allowDiskUse: true }
+      )
+      .toArray()
+
+    const operations = seats
+      .map(({ _id: record, ids }) => {
+        const seat = resolveConstituency(record.state, record.constituency, record.lsTerm)
+        if (!seat || (ids.length === 1 && ids[0] === seat.id)) return null
+        return {
+          updateMany: {
+            filter: { house: 'Lok Sabha', ...record, constituencyId: { $ne: seat.id } },
+            update: { $set: { constituencyId: seat.id } },
+          },
+        }
+      })
+      .filter(Boolean)
+    if (operations.length === 0) continue
+
+    const { modifiedCount } = await collection.bulkWrite(operations, { ordered: false })
+    updated += modifiedCount
+  }
+  if (updated > 0)
+    console.log(`🗺️  Moved ${updated} carried-over records to current constituency IDs`)
+  return updated
+}
+
+/**
+ * Rebuild the `constituencies` collection from the live MP summaries and the
+ * registry. Listed seats are always written, so predecessor links resolve even
+ * for terms that have not been synced.
+ * @returns {number} Seats written
+ */
+async function buildConstituencyRegistry(db) {
+  const buildName = `${CONSTITUENCIES_COLLECTION}${BUILD_SUFFIX}`
+  console.log('\n🗺️  Building constituency registry...')
+
+  const seen = await db
+    .collection(COLLECTIONS.SUMMARIES)
+    .aggregate(
+      [
+        {
+          $match: {
+            type: 'mp_summary',
+            house: 'Lok Sabha',
+            constituencyId: { $nin: [null, ''] },
+          },
+        },
+        { $sort: { lsTerm: -1 } },
+        {
+          $group: {
+            _id: '$constituencyId',
+            name: { $first: '$constituency' },
+            state: { $first: '$state' },
+            names: { $addToSet: '$constituency' },
+            lsTerms: { $addToSet: '$lsTerm' },
+            mpCount: { $sum: 1 },
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray()
+
+  const successors = new Map()
+  SEATS_BY_ID.forEach(seat => {
+    seat.predecessors.forEach(id => successors.set(id, [...(successors.get(id) || []), seat.id]))
+  })
+
+  const documents = new Map()
+  SEATS_BY_ID.forEach(seat => {
+    documents.set(seat.id, {
+      _id: seat.id,
+      name: seat.name,
+      state: registry.states[seat.state].name,
+      stateCode: seat.state,
+      reservation: seat.reservation,
+      aliases: seat.aliases,
+      fromTerm: seat.fromTerm,
+      untilTerm: seat.untilTerm,
+      predecessors: seat.predecessors,
+      successors: successors.get(seat.id) || [],
+      lsTerms: [],
+      registered: true,
+    })
+  })
+  seen.forEach(entry => {
+    const stateCode = entry._id.split('-')[0]
+    const base = documents.get(entry._id) || {
+      _id: entry._id,
+      name: entry.name,
+      state: registry.states[stateCode]?.name || entry.state,
+      stateCode,
+      reservation: null,
+      aliases: [],
+      fromTerm: null,
+      untilTerm: null,
+      predecessors: [],
+      successors: [],
+      registered: false,
+    }
+    // Published spellings that differ from the canonical name count as aliases
+    const spellings = entry.names.filter(name => name && nameKey(name) !== nameKey(base.name))
+    documents.set(entry._id, {
+      ...base,
+      aliases: Array.from(new Set([...base.aliases, ...spellings])),
+      lsTerms: entry.lsTerms.filter(term => term !== null).sort((a, b) => a - b),
+    })
+  })
+
+  const existing = await db.listCollections({ name: buildName }, { nameOnly: true }).toArray()
+  if (existing.length > 0) await db.collection(buildName).drop()
+
+  const buildCollection = db.collection(buildName)
+  const updatedAt = new Date()
+  await buildCollection.insertMany(
+    Array.from(documents.values()).map(doc => ({ ...doc, updatedAt })),
+    { ordered: false }
+  )
+  await buildCollection.createIndex({ stateCode: 1, name: 1 })
+  await db.renameCollection(buildName, CONSTITUENCIES_COLLECTION, { dropTarget: true })
+
+  const unregistered = seen.filter(entry => !SEATS_BY_ID.has(entry._id)).length
+  console.log(
+    `✅ Constituency registry built: ${documents.size} seats (${unregistered} not listed in constituency-registry.json)`
+  )
+  return documents.size
+}
+
+module.exports = {
+  CONSTITUENCIES_COLLECTION,
+  resolveState,
+  resolveConstituency,
+  refreshConstituencyIds,
+  buildConstituencyRegistry,
+}
@@ -3,6 +3,11 @@
  * to match the exact CSV format used by the existing system
  */
 
+const { classifyCategory } = require('./category-taxonomy')
+const { resolveConstituency } = require('./constituency-registry')
+const { resolveMP } = require('./mp-identity')
+const { partyOn, tenureParty } = require('./party-affiliations')
+
 // Helper function to convert Indian number format to standard number (from existing CSV cleaner)
 function parseIndianNumber(str) {
   if (str === null || str === undefined) return 0
@@ -32,11 +37,17 @@ function parseIndianNumber(str) {
 }
 
 // Helper function to parse dates from API format (DD-MMM-YYYY) to standard format (YYYY-MM-DD)
-function parseDate(dateStr) {
+// onUnparseable is called with the raw value when a non-empty date cannot be read
+function parseDate(dateStr, onUnparseable = null) {
   if (!dateStr || dateStr === 'N/A' || dateStr.toString().trim() === '') return null
 
-  const cleanDateStr = dateStr.toString().trim()
+  const parsed = parseDateString(dateStr.toString().trim())
+  if (parsed === null && onUnparseable) onUnparseable(dateStr)
+  return parsed
+}
 
+// Parse a trimmed, non-empty date string; returns null when it cannot be read
+function parseDateString(cleanDateStr) {
   // Handle different date formats from API
   if (cleanDateStr.includes('-')) {
     const months = {
@@ -57,7 +68,7 @@ function parseDate(dateStr) {
 
     const parts = cleanDateStr.split('-')
     if (parts.length !== 3) {
-      console.warn(`Invalid date format: ${dateStr}`)
+      console.warn(`Invalid date format: ${cleanDateStr}`)
       return null
     }
 
@@ -67,14 +78,14 @@ function parseDate(dateStr) {
     const year = parts[2]
 
     if (!month || !year || isNaN(parseInt(day))) {
-      console.warn(`Could not parse date: ${dateStr}`)
+      console.warn(`Could not parse date: ${cleanDateStr}`)
       return null
     }
 
     // Validate the date
     const parsedDate = new Date(`${year}-${month}-${day}`)
     if (isNaN(parsedDate.getTime())) {
-      console.warn(`Invalid date created: ${dateStr}`)
+      console.warn(`Invalid date created: ${cleanDateStr}`)
       return null
     }
 
@@ -88,7 +99,7 @@ function parseDate(dateStr) {
       return isoDate.toISOString().split('T')[0]
     }
   } catch {
-    console.warn(`Could not parse date as ISO: ${dateStr}`)
+    console.warn(`Could not parse date as ISO: ${cleanDateStr}`)
   }
 
   return null
@@ -114,6 +125,44 @@ function normalizeConstituency(constituency) {
   return c
 }
 
+// Constituency name and registry ID of a record; Rajya Sabha members have no seat ID
+function constituencyFields(record, house, lsTerm) {
+  const constituency = normalizeConstituency(record.CONSTITUENCY)
+  if (house !== 'Lok Sabha') return { constituency, constituencyId: null }
+  const seat = resolveConstituency(record.STATE_NAME, constituency, lsTerm)
+  return { constituency, constituencyId: seat ? seat.id : null }
+}
+
+// Persistent identity of the record's MP (mp-identity.js)
+function mpIdOf(record, house, lsTerm) {
+  const identity = resolveMP({
+    mpName: record.MP_NAME,
+    state: record.STATE_NAME,
+    house,
+    lsTerm: house === 'Lok Sabha' ? lsTerm : null,
+    constituency: normalizeConstituency(record.CONSTITUENCY),
+  })
+  return identity ? identity.mpId : null
+}
+
+// Party on the record's own date (party-affiliations.js)
+const withParty = dateField => row => ({ ...row, ...partyOn(row, row[dateField]) })
+
+// Build the parseDate callback that reports an unreadable date with its record context
+function dateIssueReporter(onUnparseableDate, record, field, house, lsTerm) {
+  if (!onUnparseableDate) return null
+  return value =>
+    onUnparseableDate({
+      field,
+      value,
+      state: record.STATE_NAME,
+      mpName: record.MP_NAME,
+      constituency: normalizeConstituency(record.CONSTITUENCY),
+      house,
+      lsTerm: house === 'Lok Sabha' ? lsTerm : null,
+    })
+}
+
 /**
  * Transform API Allocated Limit data to match CSV format
  */
@@ -140,18 +189,21 @@ function transformAllocatedLimit(apiData, house, lsTerm = null) {
       srNo: record.Sno || index + 1,
       state: record.STATE_NAME,
       mpName: record.MP_NAME,
-      constituency: normalizeConstituency(record.CONSTITUENCY),
+      mpId: mpIdOf(record, house, lsTerm),
+      ...constituencyFields(record, house, lsTerm),
       allocatedAmount: parseIndianNumber(record.ALLOCATED_AMT),
       house: house,
       // Attach lsTerm only for Lok Sabha
       ...(house === 'Lok Sabha' ? { lsTerm: lsTerm } : { lsTerm: null }),
     }))
+    .map(row => ({ ...row, ...tenureParty(row.mpId, row.house, row.lsTerm) }))
 }
 
 /**
  * Transform API Expenditure data to match CSV format
  */
-function transformExpenditure(apiData, house, lsTerm = null) {
+function transformExpenditure(apiData, house, lsTerm = null, options = {}) {
+  const { onUnparseableDate = null } = options
   return apiData
     .filter(record => {
       // Skip invalid records (same logic as CSV cleaner)
@@ -178,19 +230,25 @@ function transformExpenditure(apiData, house, lsTerm = null) {
       vendor: record.VENDOR_NAME || null, // Extract vendor data for both houses
       ida: record.IDA_NAME || record.IA_NAME, // API uses both field names
       mpName: record.MP_NAME,
-      expenditureDate: parseDate(record.EXPENDITURE_DATE),
+      mpId: mpIdOf(record, house, lsTerm),
+      expenditureDate: parseDate(
+        record.EXPENDITURE_DATE,
+        dateIssueReporter(onUnparseableDate, record, 'expenditureDate', house, lsTerm)
+      ),
       paymentStatus: record.WORK_STATUS || record.PAYMENT_STATUS || 'N/A', // Handle both field names
-      constituency: normalizeConstituency(record.CONSTITUENCY),
+      ...constituencyFields(record, house, lsTerm),
       expenditureAmount: parseIndianNumber(record.FUND_DISBURSED_AMT || record.EXPENDITURE_AMOUNT), // Handle both field names
       house: house,
       ...(house === 'Lok Sabha' ? { lsTerm: lsTerm } : { lsTerm: null }),
     }))
+    .map(withParty('expenditureDate'))
 }
 
 /**
  * Transform API Works Completed data to match CSV format
  */
-function transformWorksCompleted(apiData, house, lsTerm = null) {
+function transformWorksCompleted(apiData, house, lsTerm = null, options = {}) {
+  const { onUnparseableDate = null } = options
   return apiData
     .filter(record => {
       // Skip invalid records (same logic as CSV cleaner)
@@ -222,6 +280,7 @@ function transformWorksCompleted(apiData, house, lsTerm = null) {
     .map((record, index) => ({
       srNo: record.Sno || index + 1,
       workCategory: record.WORK_CATEGORY,
+      ...classifyCategory(record.WORK_CATEGORY),
       // Use WORK_RECOMMENDATION_DTL_ID as primary ID for linking
       workId: parseInt(record.WORK_RECOMMENDATION_DTL_ID) || 0, // Ensure numeric type for consistent indexing
       state: record.STATE_NAME,
@@ -231,8 +290,12 @@ function transformWorksCompleted(apiData, house, lsTerm = null) {
         cleanText(record.ACTIVITY_NAME) ||
         'No description available',
       mpName: record.MP_NAME,
-      constituency: normalizeConstituency(record.CONSTITUENCY),
-      completedDate: parseDate(record.ACTUAL_END_DATE),
+      mpId: mpIdOf(record, house, lsTerm),
+      ...constituencyFields(record, house, lsTerm),
+      completedDate: parseDate(
+        record.ACTUAL_END_DATE,
+        dateIssueReporter(onUnparseableDate, record, 'completedDate', house, lsTerm)
+      ),
       hasImage: record.FILE_STATUS === true || record.FILE_STATUS === 'true',
       averageRating:
         record.AVERAGE_RATING !== 'N/A' && record.AVERAGE_RATING !== null
@@ -242,13 +305,21 @@ function transformWorksCompleted(apiData, house, lsTerm = null) {
       house: house,
       ...(house === 'Lok Sabha' ? { lsTerm: lsTerm } : { lsTerm: null }),
     }))
+    .map(withParty('completedDate'))
 }
 
 /**
  * Transform API Works Recommended data to match CSV format
  * This function needs to filter out works that are already completed
  */
-function transformWorksRecommended(apiData, house, lsTerm = null, completedWorkIds = new Set()) {
+function transformWorksRecommended(
+  apiData,
+  house,
+  lsTerm = null,
+  completedWorkIds = new Set(),
+  options = {}
+) {
+  const { onUnparseableDate = null } = options
   let filteredCount = 0
 
   return apiData
@@ -289,17 +360,22 @@ function transformWorksRecommended(apiData, house, lsTerm = null, completedWorkI
       const result = {
         srNo: record.Sno || index + 1,
         workCategory: record.WORK_CATEGORY,
+        ...classifyCategory(record.WORK_CATEGORY),
         // Use WORK_RECOMMENDATION_DTL_ID as primary ID for linking
         workId: parseInt(record.WORK_RECOMMENDATION_DTL_ID) || 0, // Ensure numeric type for consistent indexing
         state: record.STATE_NAME,
         ida: record.IDA_NAME,
         mpName: record.MP_NAME,
+        mpId: mpIdOf(record, house, lsTerm),
         workDescription:
           cleanText(record.WORK_DESCRIPTION) ||
           cleanText(record.ACTIVITY_NAME) ||
           'No description available',
-        recommendationDate: parseDate(record.RECOMMENDATION_DATE),
-        constituency: normalizeConstituency(record.CONSTITUENCY),
+        recommendationDate: parseDate(
+          record.RECOMMENDATION_DATE,
+          dateIssueReporter(onUnparseableDate, record, 'recommendationDate', house, lsTerm)
+        ),
+        ...constituencyFields(record, house, lsTerm),
         hasImage: record.FILE_STATUS === true || record.FILE_STATUS === 'true',
         recommendedAmount: parseIndianNumber(record.RECOMMENDED_AMOUNT),
         house: house,
@@ -313,13 +389,33 @@ function transformWorksRecommended(apiData, house, lsTerm = null, completedWorkI
 
       return result
     })
+    .map(withParty('recommendationDate'))
+}
+
+/**
+ * Give payments the canonical category and sector of the work they pay for.
+ * The expenditure feed has no category of its own; payments whose work is not
+ * in the same house and term are left without one.
+ */
+function tagExpenditureCategories(expenditures, works) {
+  const byWorkId = new Map()
+  works.forEach(work => {
+    if (work.workId) byWorkId.set(work.workId, work)
+  })
+  expenditures.forEach(payment => {
+    const work = byWorkId.get(payment.workId)
+    payment.canonicalCategory = work?.canonicalCategory ?? null
+    payment.sector = work?.sector ?? null
+  })
 }
 
 /**
  * Transform all API data to match CSV format
+ * @param {Object} options.onUnparseableDate - Called for every date parseDate could not read
  */
 function transformAllData(apiData, options = {}) {
-  const { lsTerm = null } = options
+  const { lsTerm = null, onUnparseableDate = null } = options
+  const dateOptions = { onUnparseableDate }
   console.log('🔄 Transforming API data to match CSV format...\n')
 
   const results = {
@@ -339,7 +435,8 @@ function transformAllData(apiData, options = {}) {
   results.lok_sabha.expenditure = transformExpenditure(
     apiData.lok_sabha.expenditure,
     'Lok Sabha',
-    lsTerm
+    lsTerm,
+    dateOptions
   )
   console.log(`✅ Lok Sabha Expenditure: ${results.lok_sabha.expenditure.length} records`)
 
@@ -347,7 +444,8 @@ function transformAllData(apiData, options = {}) {
   results.lok_sabha.works_completed = transformWorksCompleted(
     apiData.lok_sabha.works_completed,
     'Lok Sabha',
-    lsTerm
+    lsTerm,
+    dateOptions
   )
   console.log(`✅ Lok Sabha Works Completed: ${results.lok_sabha.works_completed.length} records`)
 
@@ -361,11 +459,16 @@ function transformAllData(apiData, options = {}) {
     apiData.lok_sabha.works_recommended,
     'Lok Sabha',
     lsTerm,
-    lsCompletedWorkIds
+    lsCompletedWorkIds,
+    dateOptions
   )
   console.log(
     `✅ Lok Sabha Works Recommended: ${results.lok_sabha.works_recommended.length} records`
   )
+  tagExpenditureCategories(results.lok_sabha.expenditure, [
+    ...results.lok_sabha.works_completed,
+    ...results.lok_sabha.works_recommended,
+  ])
 
   // Transform Rajya Sabha data
   console.log('\nTransforming Rajya Sabha data...')
@@ -381,7 +484,8 @@ function transformAllData(apiData, options = {}) {
   results.rajya_sabha.expenditure = transformExpenditure(
     apiData.rajya_sabha.expenditure,
     'Rajya Sabha',
-    null
+    null,
+    dateOptions
   )
   console.log(`✅ Rajya Sabha Expenditure: ${results.rajya_sabha.expenditure.length} records`)
 
@@ -389,7 +493,8 @@ function transformAllData(apiData, options = {}) {
   results.rajya_sabha.works_completed = transformWorksCompleted(
     apiData.rajya_sabha.works_completed,
     'Rajya Sabha',
-    null
+    null,
+    dateOptions
   )
   console.log(
     `✅ Rajya Sabha Works Completed: ${results.rajya_sabha.works_completed.length} records`
@@ -405,11 +510,16 @@ function transformAllData(apiData, options = {}) {
     apiData.rajya_sabha.works_recommended,
     'Rajya Sabha',
     null,
-    rsCompletedWorkIds
+    rsCompletedWorkIds,
+    dateOptions
   )
   console.log(
     `✅ Rajya Sabha Works Recommended: ${results.rajya_sabha.works_recommended.length} records`
   )
+  tagExpenditureCategories(results.rajya_sabha.expenditure, [
+    ...results.rajya_sabha.works_completed,
+    ...results.rajya_sabha.works_recommended,
+  ])
 
   console.log('\n✅ Data transformation completed successfully!')
 
@@ -2,6 +2,44 @@
  * Data validation utilities to ensure data quality before database upload
  */
 
+const { isUnmappedCategory } = require('./category-taxonomy')
+
+/**
+ * Why the upload drops a record, or null when it is kept. Rows without a
+ * state, MP name or house and the portal's total rows are never stored.
+ */
+function uploadRejectionReason(record) {
+  const state = (record.state || '').toString().trim()
+  const mpName = (record.mpName || '').toString().trim()
+  const house = (record.house || '').toString().trim()
+
+  if (!state || !mpName || !house) {
+    return 'Missing state, MP name or house'
+  }
+
+  // State and MP name must be more than just whitespace
+  if (state.length <= 1 || mpName.length <= 1) {
+    return 'State or MP name too short'
+  }
+
+  if (
+    state.toLowerCase().includes('total') ||
+    mpName.toLowerCase().includes('total') ||
+    state.toLowerCase().includes('grand')
+  ) {
+    return 'Grand total or summary row'
+  }
+
+  return null
+}
+
+/**
+ * Whether the upload stores a record
+ */
+function isUploadableRecord(record) {
+  return uploadRejectionReason(record) === null
+}
+
 /**
  * Validate a single record has required fields and correct data types
  */
@@ -76,39 +114,51 @@ function validateRecord(record, recordType) {
 }
 
 /**
- * Validate an array of records and return summary
+ * Validate an array of records and return summary. Records the upload drops
+ * are invalid; records it keeps that still fail validateRecord() are flagged.
  */
 function validateRecords(records, recordType) {
   const validRecords = []
   const invalidRecords = []
+  const flaggedRecords = []
   const validationSummary = {
     total: records.length,
     valid: 0,
     invalid: 0,
+    flagged: 0,
     errors: {},
+    warnings: {},
   }
 
+  const identity = record => ({
+    mpName: record.mpName,
+    house: record.house,
+    state: record.state,
+    lsTerm: record.lsTerm ?? null,
+    constituency: record.constituency || null,
+  })
+
   records.forEach((record, index) => {
-    const errors = validateRecord(record, recordType)
+    const rejection = uploadRejectionReason(record)
 
-    if (errors.length === 0) {
-      validRecords.push(record)
-      validationSummary.valid++
-    } else {
-      invalidRecords.push({
-        index,
-        record: {
-          mpName: record.mpName,
-          house: record.house,
-          state: record.state,
-        },
-        errors,
-      })
+    if (rejection) {
+      invalidRecords.push({ index, record: identity(record), errors: [rejection] })
       validationSummary.invalid++
+      validationSummary.errors[rejection] = (validationSummary.errors[rejection] || 0) + 1
+      return
+    }
+
+    validRecords.push(record)
+    validationSummary.valid++
+
+    const errors = validateRecord(record, recordType)
+    if (errors.length > 0) {
+      flaggedRecords.push({ index, record: identity(record), errors })
+      validationSummary.flagged++
 
-      // Count error types
+      // Count warning types
       errors.forEach(error => {
-        validationSummary.errors[error] = (validationSummary.errors[error] || 0) + 1
+        validationSummary.warnings[error] = (validationSummary.warnings[error] || 0) + 1
       })
     }
   })
@@ -116,6 +166,7 @@ function validateRecords(records, recordType) {
   return {
     validRecords,
     invalidRecords,
+    flaggedRecords,
     summary: validationSummary,
   }
 }
@@ -132,6 +183,7 @@ function validateAllData(transformedData) {
   }
 
   let totalErrors = 0
+  let totalWarnings = 0
 
   // Validate each data type for both houses
   for (const house of ['lok_sabha', 'rajya_sabha']) {
@@ -158,6 +210,18 @@ function validateAllData(transformedData) {
           console.log(`     • ${error}: ${count} records`)
         })
       }
+
+      if (validation.summary.flagged > 0) {
+        console.log(`  ⚠️  ${validation.summary.flagged} records flagged but kept`)
+        totalWarnings += validation.summary.flagged
+
+        Object.entries(validation.summary.warnings)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .forEach(([warning, count]) => {
+            console.log(`     • ${warning}: ${count} records`)
+          })
+      }
     }
     console.log('')
   }
@@ -171,15 +235,18 @@ function validateAllData(transformedData) {
   console.log(`   Total records: ${totalRecords}`)
   console.log(`   Valid records: ${totalRecords - totalErrors}`)
   console.log(`   Invalid records: ${totalErrors}`)
+  console.log(`   Flagged records: ${totalWarnings}`)
   console.log(
     `   Data quality: ${Math.round(((totalRecords - totalErrors) / totalRecords) * 100)}%`
   )
 
   if (totalErrors > 0) {
-    console.log(
-      '\n⚠️  Warning: Some records have validation issues but will be filtered out during upload'
-    )
-  } else {
+    console.log('\n⚠️  Warning: Invalid records will be filtered out during upload')
+  }
+  if (totalWarnings > 0) {
+    console.log('⚠️  Warning: Flagged records have validation issues but will still be uploaded')
+  }
+  if (totalErrors === 0 && totalWarnings === 0) {
     console.log('\n✅ All data passed validation!')
   }
 
@@ -207,9 +274,284 @@ function checkForDuplicates(records, keyFields = ['mpName', 'workId']) {
   return duplicates
 }
 
+const QUALITY_ISSUE_TYPES = [
+  'rejected',
+  'flagged',
+  'duplicates',
+  'zeroAmountWorks',
+  'unparseableDates',
+  'orphanExpenditures',
+]
+
+// Fields identifying a duplicate record of each data type
+const DUPLICATE_KEY_FIELDS = {
+  allocated_limit: ['mpName', 'constituency', 'lsTerm'],
+  expenditure: ['workId', 'vendor', 'expenditureDate', 'expenditureAmount'],
+  works_completed: ['workId', 'lsTerm'],
+  works_recommended: ['workId', 'lsTerm'],
+}
+
+// Per-MP rows kept in a report (worst first); totals always cover every MP
+const MAX_MP_ROWS = 250
+
+// Unmapped raw categories kept in a report (most works first)
+const MAX_UNMAPPED_CATEGORIES = 100
+
+/**
+ * Tally quality issues per state and per MP
+ */
+function createIssueCounter() {
+  const emptyCounts = () => Object.fromEntries(QUALITY_ISSUE_TYPES.map(type => [type, 0]))
+  const totals = emptyCounts()
+  const states = new Map()
+  const mps = new Map()
+
+  const bump = (map, key, identity, type) => {
+    if (!map.has(key)) map.set(key, { ...identity, ...emptyCounts(), total: 0 })
+    const row = map.get(key)
+    row[type]++
+    row.total++
+  }
+
+  return {
+    add(type, record) {
+      totals[type]++
+      const house = record.house || null
+      const lsTerm = house === 'Lok Sabha' ? (record.lsTerm ?? null) : null
+      const state = record.state || 'Unknown'
+      bump(states, `${state}|${house}`, { state, house }, type)
+      if (record.mpName) {
+        const constituency = record.constituency || null
+        bump(
+          mps,
+          [record.mpName, house, lsTerm, constituency].join('|'),
+          { mpName: record.mpName, house, lsTerm, state, constituency },
+          type
+        )
+      }
+    },
+    totals,
+    byState: () => Array.from(states.values()).sort((a, b) => b.total - a.total),
+    byMP: () => Array.from(mps.values()).sort((a, b) => b.total - a.total),
+  }
+}
+
+/**
+ * Build the data quality report for one sync
+ * @param {Object} transformedData - Transformed records by house and data type
+ * @param {Object} validationResults - Result of validateAllData()
+ * @param {Array} dateIssues - Dates parseDate could not read, reported during transformation
+ */
+function buildDataQualityReport(transformedData, validationResults, dateIssues = []) {
+  const counter = createIssueCounter()
+  const rejectionReasons = {}
+  const warningReasons = {}
+  const unmappedCategories = {}
+  let totalRecords = 0
+
+  for (const house of ['lok_sabha', 'rajya_sabha']) {
+    const data = transformedData[house] || {}
+
+    for (const [dataType, records] of Object.entries(data)) {
+      totalRecords += records.length
+
+      // Rejected records are the ones the upload drops; flagged ones are stored anyway
+      const validation = validationResults?.[house]?.[dataType] || {}
+      ;(validation.invalidRecords || []).forEach(({ record, errors }) => {
+        counter.add('rejected', record)
+        errors.forEach(error => {
+          rejectionReasons[error] = (rejectionReasons[error] || 0) + 1
+        })
+      })
+      ;(validation.flaggedRecords || []).forEach(({ record, errors }) => {
+        counter.add('flagged', record)
+        errors.forEach(error => {
+          warningReasons[error] = (warningReasons[error] || 0) + 1
+        })
+      })
+
+      if (DUPLICATE_KEY_FIELDS[dataType]) {
+        checkForDuplicates(records, DUPLICATE_KEY_FIELDS[dataType]).forEach(({ record }) =>
+          counter.add('duplicates', record)
+        )
+      }
+    }
+
+    const worksCompleted = data.works_completed || []
+    const worksRecommended = data.works_recommended || []
+    const expenditures = data.expenditure || []
+
+    worksCompleted
+      .filter(work => work.finalAmount === 0)
+      .forEach(work => counter.add('zeroAmountWorks', work))
+    worksRecommended
+      .filter(work => work.recommendedAmount === 0)
+      .forEach(work => counter.add('zeroAmountWorks', work))
+
+    // Payments must point at a completed or recommended work from the same house and term
+    const workKey = record => `${record.house}|${record.lsTerm ?? ''}|${record.workId}`
+    const workKeys = new Set([...worksCompleted, ...worksRecommended].map(workKey))
+    expenditures
+      .filter(payment => !workKeys.has(workKey(payment)))
+      .forEach(payment => counter.add('orphanExpenditures', payment))
+
+    // Raw categories the taxonomy has no rule for, to be added to category-taxonomy.js
+    ;[...worksCompleted, ...worksRecommended].filter(isUnmappedCategory).forEach(work => {
+      const raw = String(work.workCategory).trim()
+      unmappedCategories[raw] = (unmappedCategories[raw] || 0) + 1
+    })
+  }
+
+  const unparseableSamples = []
+  dateIssues.forEach(issue => {
+    counter.add('unparseableDates', issue)
+    if (unparseableSamples.length < 20) {
+      unparseableSamples.push({ field: issue.field, value: String(issue.value) })
+    }
+  })
+
+  const byMP = counter.byMP()
+  const report = {
+    generatedAt: new Date(),
+    totals: {
+      records: totalRecords,
+      ...counter.totals,
+      qualityScore:
+        totalRecords > 0
+          ? Math.round(((totalRecords - counter.totals.rejected) / totalRecords) * 1000) / 10
+          : 100,
+    },
+    rejectionReasons,
+    warningReasons,
+    unparseableSamples,
+    unmappedCategories: Object.entries(unmappedCategories)
+      .map(([category, works]) => ({ category, works }))
+      .sort((a, b) => b.works - a.works)
+      .slice(0, MAX_UNMAPPED_CATEGORIES),
+    byState: counter.byState(),
+    byMP: byMP.slice(0, MAX_MP_ROWS),
+    mpsWithIssues: byMP.length,
+  }
+
+  console.log('🧪 Data quality report:')
+  QUALITY_ISSUE_TYPES.forEach(type => console.log(`   ${type}: ${report.totals[type]}`))
+  console.log(`   Quality score: ${report.totals.qualityScore}%`)
+  if (report.unmappedCategories.length > 0) {
+    console.log(`   ⚠️  Unmapped work categories: ${report.unmappedCategories.length}`)
+  }
+
+  return report
+}
+
+/**
+ * Compare a report with the previous run's
+ * @returns {Object|null} Per-issue deltas and the states that got worse
+ */
+function compareQualityReports(current, previous) {
+  if (!previous) return null
+
+  const totals = Object.fromEntries(
+    [...QUALITY_ISSUE_TYPES, 'records', 'qualityScore'].map(type => {
+      const now = current.totals[type] || 0
+      const before = previous.totals?.[type] || 0
+      return [type, { current: now, previous: before, change: now - before }]
+    })
+  )
+
+  const previousStates = new Map(
+    (previous.byState || []).map(row => [`${row.state}|${row.house}`, row.total])
+  )
+  const statesWorsened = current.byState
+    .map(row => {
+      const before = previousStates.get(`${row.state}|${row.house}`) || 0
+      return { state: row.state, house: row.house, previous: before, current: row.total }
+    })
+    .filter(row => row.current > row.previous)
+    .map(row => ({ ...row, change: row.current - row.previous }))
+    .sort((a, b) => b.change - a.change)
+    .slice(0, 20)
+
+  return {
+    previousGeneratedAt: previous.generatedAt,
+    previousDatasetVersion: previous.datasetVersion || null,
+    totals,
+    statesWorsened,
+  }
+}
+
+// Record type checked by validateRecord() for each staged data collection
+const STAGED_RECORD_TYPES = {
+  ALLOCATIONS: 'allocated_limit',
+  EXPENDITURES: 'expenditure',
+  WORKS_COMPLETED: 'works_completed',
+  WORKS_RECOMMENDED: 'works_recommended',
+}
+
+// Staged data below this share of the live row count is treated as a truncated fetch
+const MIN_STAGED_RATIO = 0.5
+// Share of invalid staged records tolerated before the swap is refused
+const MAX_INVALID_RATIO = 0.05
+
+/**
+ * Validate the staging collections before they replace the live dataset
+ * @param {Db} db - MongoDB database
+ * @param {Object} staging - Map of collection keys to staging collection names
+ * @param {Object} live - Map of the same keys to live collection names
+ * @returns {{ valid: boolean, problems: string[] }}
+ */
+async function validateStagedCollections(db, staging, live) {
+  console.log('🔍 Validating staged collections...\n')
+  const problems = []
+
+  for (const [key, stagingName] of Object.entries(staging)) {
+    const stagedCount = await db.collection(stagingName).countDocuments()
+    const liveCount = await db.collection(live[key]).countDocuments()
+    console.log(`  📊 ${stagingName}: ${stagedCount} records (live: ${liveCount})`)
+
+    if (stagedCount === 0) {
+      problems.push(`${stagingName} is empty`)
+      continue
+    }
+    if (liveCount > 0 && stagedCount < liveCount * MIN_STAGED_RATIO) {
+      problems.push(`${stagingName} shrank from ${liveCount} to ${stagedCount} records`)
+    }
+
+    const recordType = STAGED_RECORD_TYPES[key]
+    if (!recordType) continue
+
+    let invalid = 0
+    const cursor = db.collection(stagingName).find({}, { projection: { _id: 0 } })
+    for await (const record of cursor) {
+      if (validateRecord(record, recordType).length > 0) invalid++
+    }
+    if (invalid > stagedCount * MAX_INVALID_RATIO) {
+      problems.push(`${stagingName} has ${invalid}/${stagedCount} invalid records`)
+    }
+  }
+
+  if (staging.SUMMARIES) {
+    const overall = await db.collection(staging.SUMMARIES).findOne({ type: 'overall_summary' })
+    if (!overall) problems.push(`${staging.SUMMARIES} has no overall_summary`)
+  }
+
+  if (problems.length > 0) {
+    console.log('\n❌ Staged data failed validation:')
+    problems.forEach(problem => console.log(`   • ${problem}`))
+  } else {
+    console.log('\n✅ Staged data passed validation!')
+  }
+
+  return { valid: problems.length === 0, problems }
+}
+
 module.exports = {
+  uploadRejectionReason,
+  isUploadableRecord,
   validateRecord,
   validateRecords,
   validateAllData,
+  validateStagedCollections,
+  buildDataQualityReport,
+  compareQualityReports,
   checkForDuplicates,
 }
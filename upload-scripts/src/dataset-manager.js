@@ -0,0 +1,247 @@
+/**
+ * Blue/green dataset management for data syncs.
+ *
+ * The uploader never writes into the collections the backend reads. Each sync
+ * copies the live collections into `<name>_next`, applies its changes there,
+ * validates the result and only then swaps the staging collections in with
+ * renameCollection. The outgoing data is kept as `<name>_prev` so the last
+ * sync can be undone with a single rollback, and so a swap that fails partway
+ * can put back the collections it already replaced.
+ */
+
+// Collection names (same as existing system)
+const COLLECTIONS = {
+  MPs: 'mps',
+  ALLOCATIONS: 'allocations',
+  EXPENDITURES: 'expenditures',
+  WORKS_COMPLETED: 'works_completed',
+  WORKS_RECOMMENDED: 'works_recommended',
+  SUMMARIES: 'summaries',
+}
+
+const STAGING_SUFFIX = '_next'
+const PREVIOUS_SUFFIX = '_prev'
+const DATASET_POINTER_COLLECTION = 'dataset_versions'
+const ACTIVE_POINTER_ID = 'active'
+
+const withSuffix = suffix =>
+  Object.fromEntries(Object.entries(COLLECTIONS).map(([key, name]) => [key, `${name}${suffix}`]))
+
+// Logical collection name of a live or staging collection
+const baseCollectionName = name =>
+  name.endsWith(STAGING_SUFFIX) ? name.slice(0, -STAGING_SUFFIX.length) : name
+
+const buildDatasetVersion = (date = new Date()) =>
+  `v${date
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .replace(/\.\d+Z$/, '')}`
+
+async function collectionExists(db, name) {
+  const found = await db.listCollections({ name }, { nameOnly: true }).toArray()
+  return found.length > 0
+}
+
+/**
+ * Copy secondary indexes so a swapped-in collection serves queries like the old one
+ */
+async function copyIndexes(db, fromName, toName) {
+  if (!(await collectionExists(db, fromName))) return
+
+  const indexes = await db.collection(fromName).indexes()
+  for (const index of indexes) {
+    if (index.name === '_id_') continue
+    const { v: _v, key, ns: _ns, ...indexOptions } = index
+    try {
+      await db.collection(toName).createIndex(key, indexOptions)
+    } catch (error) {
+      console.warn(`⚠️  Could not copy index ${index.name} to ${toName}: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Copy a collection wholesale; $out replaces the target atomically
+ */
+async function copyCollection(db, fromName, toName) {
+  await db
+    .collection(fromName)
+    .aggregate([{ $match: {} }, { $out: toName }], { allowDiskUse: true })
+    .toArray()
+  await copyIndexes(db, fromName, toName)
+}
+
+/**
+ * Read the active dataset pointer
+ */
+async function getActiveDataset(db) {
+  return db.collection(DATASET_POINTER_COLLECTION).findOne({ _id: ACTIVE_POINTER_ID })
+}
+
+/**
+ * Seed the staging collections from the live dataset
+ * @returns {Object} Map of COLLECTIONS keys to staging collection names
+ */
+async function prepareStaging(db) {
+  const staging = withSuffix(STAGING_SUFFIX)
+  console.log('🧱 Preparing staging collections...')
+
+  for (const [key, name] of Object.entries(COLLECTIONS)) {
+    const stagingName = staging[key]
+    if (await collectionExists(db, stagingName)) {
+      await db.collection(stagingName).drop()
+    }
+    if (await collectionExists(db, name)) {
+      await copyCollection(db, name, stagingName)
+    }
+    console.log(`   ${name} → ${stagingName}`)
+  }
+
+  return staging
+}
+
+/**
+ * Drop the staging collections after a failed sync
+ */
+async function discardStaging(db) {
+  for (const stagingName of Object.values(withSuffix(STAGING_SUFFIX))) {
+    if (await collectionExists(db, stagingName)) {
+      await db.collection(stagingName).drop()
+    }
+  }
+  console.log('🗑️  Staging collections discarded; live dataset untouched')
+}
+
+/**
+ * Undo a partial swap: collections that were live get their rollback copy back
+ * (copied, so the copy is still there for a later rollback) and collections
+ * that are new in this sync are dropped
+ * @param {Array<{ key: string, name: string, hadLive: boolean }>} swapped - Collections already renamed
+ */
+async function restoreSwapped(db, swapped, previous) {
+  for (const { key, name, hadLive } of [...swapped].reverse()) {
+    if (hadLive) {
+      await copyCollection(db, previous[key], name)
+    } else {
+      await db.collection(name).drop()
+    }
+    console.log(`   ⏪ ${name} restored`)
+  }
+  if (swapped.length > 0) console.log('   Previous dataset is live again')
+}
+
+/**
+ * Swap the staging collections in, keeping the outgoing ones as the rollback copy
+ * @returns {Object} The new active dataset pointer
+ */
+async function activateStaging(db) {
+  const staging = withSuffix(STAGING_SUFFIX)
+  const previous = withSuffix(PREVIOUS_SUFFIX)
+  const current = await getActiveDataset(db)
+  const version = buildDatasetVersion()
+
+  console.log(`🔀 Activating dataset ${version}...`)
+
+  const swaps = []
+  for (const [key, name] of Object.entries(COLLECTIONS)) {
+    if (await collectionExists(db, staging[key])) swaps.push([key, name])
+  }
+
+  // Take every rollback copy first; the slow full copies must not fall between
+  // the renames, or readers would see a mix of old and new collections
+  for (const [key, name] of swaps) {
+    if (await collectionExists(db, name)) {
+      await copyCollection(db, name, previous[key])
+    }
+  }
+
+  // Renames are atomic one by one but not as a set: if one fails, put back
+  // the collections already swapped so the old dataset stays live as a whole
+  const swapped = []
+  try {
+    for (const [key, name] of swaps) {
+      const hadLive = await collectionExists(db, name)
+      await db.renameCollection(staging[key], name, { dropTarget: true })
+      swapped.push({ key, name, hadLive })
+    }
+  } catch (error) {
+    console.error(
+      `❌ Swap failed after ${swapped.length}/${swaps.length} collections: ${error.message}`
+    )
+    try {
+      await restoreSwapped(db, swapped, previous)
+    } catch (restoreError) {
+      console.error(`❌ Could not restore the previous dataset: ${restoreError.message}`)
+      console.error('   Run `npm run rollback` once MongoDB is reachable')
+    }
+    throw error
+  }
+  swaps.forEach(([key, name]) => console.log(`   ${staging[key]} → ${name}`))
+
+  const pointer = {
+    _id: ACTIVE_POINTER_ID,
+    version,
+    previousVersion: current?.version || null,
+    activatedAt: new Date(),
+    rolledBackFrom: null,
+  }
+  await db
+    .collection(DATASET_POINTER_COLLECTION)
+    .replaceOne({ _id: ACTIVE_POINTER_ID }, pointer, { upsert: true })
+
+  console.log(`✅ Dataset ${version} is live (previous: ${pointer.previousVersion || 'none'})`)
+  return pointer
+}
+
+/**
+ * Restore the dataset that was live before the last sync
+ * @returns {Object} The restored dataset pointer
+ */
+async function rollbackDataset(db) {
+  const previous = withSuffix(PREVIOUS_SUFFIX)
+  const current = await getActiveDataset(db)
+
+  if (!current?.previousVersion) {
+    throw new Error('No previous dataset available to roll back to')
+  }
+  for (const previousName of Object.values(previous)) {
+    if (!(await collectionExists(db, previousName))) {
+      throw new Error(`Rollback copy ${previousName} is missing`)
+    }
+  }
+
+  console.log(`⏪ Rolling back dataset ${current.version} → ${current.previousVersion}...`)
+
+  for (const [key, name] of Object.entries(COLLECTIONS)) {
+    await copyIndexes(db, name, previous[key])
+    await db.renameCollection(previous[key], name, { dropTarget: true })
+    console.log(`   ${previous[key]} → ${name}`)
+  }
+
+  const pointer = {
+    _id: ACTIVE_POINTER_ID,
+    version: current.previousVersion,
+    previousVersion: null,
+    activatedAt: new Date(),
+    rolledBackFrom: current.version,
+  }
+  await db
+    .collection(DATASET_POINTER_COLLECTION)
+    .replaceOne({ _id: ACTIVE_POINTER_ID }, pointer, { upsert: true })
+
+  console.log(`✅ Dataset ${pointer.version} restored`)
+  return pointer
+}
+
+module.exports = {
+  COLLECTIONS,
+  STAGING_SUFFIX,
+  PREVIOUS_SUFFIX,
+  DATASET_POINTER_COLLECTION,
+  baseCollectionName,
+  prepareStaging,
+  discardStaging,
+  activateStaging,
+  rollbackDataset,
+  getActiveDataset,
+}
@@ -0,0 +1,177 @@
+/**
+ * Bulk data dumps of the live dataset.
+ *
+ * After a sync is swapped in, every public collection is written as gzipped
+ * JSON Lines into `data/dumps/<datasetVersion>/`, next to a manifest.json with
+ * each file's record count and SHA-256, the sync timestamp and the Lok Sabha
+ * terms the snapshot covers. The manifest is also stored in `data_dumps`, which
+ * the backend lists at /api/metadata/dumps. Snapshots are written under a
+ * `.partial` name and renamed when complete, so a listed dump is never half
+ * written. Only the newest DUMPS_KEEP snapshots are kept.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const zlib = require('zlib')
+const { Readable, Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const { COLLECTIONS } = require('./dataset-manager')
+
+const DEFAULT_DUMPS_DIR = path.join(__dirname, '../data/dumps')
+const DUMPS_COLLECTION = 'data_dumps'
+const MANIFEST_FILE = 'manifest.json'
+const PARTIAL_SUFFIX = '.partial'
+const DEFAULT_KEEP = 7
+// Snapshot directories this module writes: v<YYYYMMDDHHmmss>, or that plus PARTIAL_SUFFIX
+const DUMP_DIR_PATTERN = /^v\d{14}(\.partial)?$/
+
+const dumpsRoot = () => process.env.DUMPS_DIR || DEFAULT_DUMPS_DIR
+
+/**
+ * Passes bytes through unchanged while hashing and counting them
+ */
+function createDigestTap() {
+  const hash = crypto.createHash('sha256')
+  let bytes = 0
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk)
+      bytes += chunk.length
+      callback(null, chunk)
+    },
+  })
+  tap.result = () => ({ bytes, sha256: hash.digest('hex') })
+  return tap
+}
+
+/**
+ * Write one collection as gzipped JSON Lines
+ * @returns {Object} Manifest entry for the file
+ */
+async function dumpCollection(db, name, dir) {
+  const file = `${name}.jsonl.gz`
+  const collection = db.collection(name)
+  let records = 0
+
+  async function* lines() {
+    for await (const doc of collection.find({}, { batchSize: 1000 })) {
+      records += 1
+      yield `${JSON.stringify(doc)}\n`
+    }
+  }
+
+  const digest = createDigestTap()
+  await pipeline(
+    Readable.from(lines()),
+    zlib.createGzip(),
+    digest,
+    fs.createWriteStream(path.join(dir, file))
+  )
+
+  const lsTerms = (await collection.distinct('lsTerm', { lsTerm: { $ne: null } })).sort(
+    (a, b) => a - b
+  )
+  const { bytes, sha256 } = digest.result()
+  console.log(`   ${name}: ${records} records, ${(bytes / 1024 / 1024).toFixed(1)} MB`)
+
+  return { collection: name, file, records, bytes, sha256, lsTerms }
+}
+
+/**
+ * Delete all but the newest snapshots, on disk and in data_dumps
+ * @returns {string[]} Versions removed
+ */
+async function pruneDumps(db, rootDir = dumpsRoot(), keep = DEFAULT_KEEP) {
+  const listed = await db
+    .collection(DUMPS_COLLECTION)
+    .find({}, { projection: { _id: 1 } })
+    .sort({ syncedAt: -1 })
+    .toArray()
+  const kept = new Set(listed.slice(0, keep).map(dump => dump._id))
+  const removed = listed.slice(keep).map(dump => dump._id)
+
+  if (removed.length > 0) {
+    await db.collection(DUMPS_COLLECTION).deleteMany({ _id: { $in: removed } })
+  }
+
+  // Also clears directories left by interrupted runs. Anything not named like a
+  // snapshot is left alone, in case DUMPS_DIR points at a shared directory
+  if (fs.existsSync(rootDir)) {
+    fs.readdirSync(rootDir, { withFileTypes: true })
+      .filter(
+        entry => entry.isDirectory() && DUMP_DIR_PATTERN.test(entry.name) && !kept.has(entry.name)
+      )
+      .forEach(entry => {
+        fs.rmSync(path.join(rootDir, entry.name), { recursive: true, force: true })
+        console.log(`🧹 Removed old dump ${entry.name}`)
+      })
+  }
+
+  return removed
+}
+
+/**
+ * Publish a full dump of the live dataset
+ * @param {Object} db - MongoDB database
+ * @param {Object} dataset - Active dataset pointer ({ version, activatedAt })
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Where snapshots are written (DUMPS_DIR)
+ * @param {number} [options.keep] - Snapshots to keep (DUMPS_KEEP)
+ * @returns {Object} The manifest
+ */
+async function publishDumps(db, dataset, options = {}) {
+  const rootDir = options.rootDir || dumpsRoot()
+  const keep = options.keep || parseInt(process.env.DUMPS_KEEP) || DEFAULT_KEEP
+  const finalDir = path.join(rootDir, dataset.version)
+  const partialDir = `${finalDir}${PARTIAL_SUFFIX}`
+
+  console.log(`\n📦 Publishing data dumps for ${dataset.version}...`)
+  fs.rmSync(partialDir, { recursive: true, force: true })
+  fs.mkdirSync(partialDir, { recursive: true })
+
+  const files = []
+  for (const name of Object.values(COLLECTIONS)) {
+    files.push(await dumpCollection(db, name, partialDir))
+  }
+
+  const manifest = {
+    datasetVersion: dataset.version,
+    syncedAt: new Date(dataset.activatedAt || Date.now()).toISOString(),
+    generatedAt: new Date().toISOString(),
+    format: 'jsonl',
+    compression: 'gzip',
+    lsTerms: Array.from(new Set(files.flatMap(entry => entry.lsTerms))).sort((a, b) => a - b),
+    totalRecords: files.reduce((sum, entry) => sum + entry.records, 0),
+    totalBytes: files.reduce((sum, entry) => sum + entry.bytes, 0),
+    files,
+  }
+  fs.writeFileSync(path.join(partialDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2))
+
+  fs.rmSync(finalDir, { recursive: true, force: true })
+  fs.renameSync(partialDir, finalDir)
+
+  await db.collection(DUMPS_COLLECTION).replaceOne(
+    { _id: dataset.version },
+    {
+      ...manifest,
+      syncedAt: new Date(manifest.syncedAt),
+      generatedAt: new Date(manifest.generatedAt),
+    },
+    { upsert: true }
+  )
+
+  await pruneDumps(db, rootDir, keep)
+  console.log(
+    `✅ Published ${files.length} dumps (${manifest.totalRecords} records) to ${finalDir}`
+  )
+  return manifest
+}
+
+module.exports = {
+  DEFAULT_DUMPS_DIR,
+  DUMPS_COLLECTION,
+  MANIFEST_FILE,
+  publishDumps,
+  pruneDumps,
+}
@@ -0,0 +1,128 @@
+/**
+ * Record/replay storage for raw MPLADS API responses.
+ *
+ * Live runs save every response body exactly as received, one file per
+ * house/dataType/lsTerm, plus a manifest with sizes and checksums. Replay runs
+ * read those files back instead of calling the portal, so a sync can be
+ * reproduced byte-for-byte without network access or a session cookie.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const MANIFEST_FILE = 'manifest.json'
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../data/recordings')
+
+/**
+ * Bucket name matching the keys returned by MPLADSApiClient.fetchAllData()
+ */
+function fixtureBucket(house, lsTerm) {
+  return house === 'lok_sabha' ? `lok_sabha_${lsTerm}` : house
+}
+
+function fixtureFileName(house, dataType, lsTerm) {
+  return `${fixtureBucket(house, lsTerm)}.${dataType}.json`
+}
+
+/**
+ * Create a recorder that writes raw responses into a new directory
+ * @param {string} dir - Target directory (created if missing)
+ */
+function createRecorder(dir) {
+  fs.mkdirSync(dir, { recursive: true })
+  const files = new Map()
+
+  return {
+    dir,
+    save(house, dataType, lsTerm, body, statusCode) {
+      const file = fixtureFileName(house, dataType, lsTerm)
+      fs.writeFileSync(path.join(dir, file), body)
+      files.set(file, {
+        file,
+        house,
+        dataType,
+        lsTerm: house === 'lok_sabha' ? String(lsTerm) : null,
+        statusCode,
+        bytes: Buffer.byteLength(body),
+        sha256: crypto.createHash('sha256').update(body).digest('hex'),
+      })
+    },
+    writeManifest(extra = {}) {
+      const manifest = {
+        recordedAt: new Date().toISOString(),
+        ...extra,
+        files: Array.from(files.values()),
+      }
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2))
+      console.log(`📼 Recorded ${files.size} raw API responses to ${dir}`)
+      return manifest
+    },
+  }
+}
+
+/**
+ * Create a replayer that serves raw responses from a recording directory
+ * @param {string} dir - Directory written by createRecorder()
+ */
+function createReplayer(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Replay directory not found: ${dir}`)
+  }
+
+  const manifestPath = path.join(dir, MANIFEST_FILE)
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : null
+  const expected = new Map((manifest?.files || []).map(entry => [entry.file, entry]))
+
+  return {
+    dir,
+    manifest,
+    /**
+     * @returns {string|null} Raw response body, or null when nothing was recorded
+     */
+    load(house, dataType, lsTerm) {
+      const file = fixtureFileName(house, dataType, lsTerm)
+      const filePath = path.join(dir, file)
+      if (!fs.existsSync(filePath)) return null
+
+      const body = fs.readFileSync(filePath, 'utf8')
+      const entry = expected.get(file)
+      if (entry) {
+        const sha256 = crypto.createHash('sha256').update(body).digest('hex')
+        if (sha256 !== entry.sha256) {
+          throw new Error(`Checksum mismatch for recorded response ${file}`)
+        }
+      }
+      return body
+    },
+  }
+}
+
+/**
+ * Delete all but the newest recordings under a root directory
+ */
+function pruneRecordings(rootDir, keep) {
+  if (!fs.existsSync(rootDir)) return
+
+  const recordings = fs
+    .readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .reverse()
+
+  recordings.slice(keep).forEach(name => {
+    fs.rmSync(path.join(rootDir, name), { recursive: true, force: true })
+    console.log(`🧹 Removed old recording ${name}`)
+  })
+}
+
+module.exports = {
+  DEFAULT_RECORDINGS_DIR,
+  fixtureFileName,
+  createRecorder,
+  createReplayer,
+  pruneRecordings,
+}
@@ -0,0 +1,154 @@
+/**
+ * Versioned change history for works and expenditures.
+ *
+ * Every sync compares the stored records with the freshly fetched ones and
+ * appends one dated entry per added, revised or removed record to the
+ * `record_history` collection, so later revisions on the portal (e.g. a changed
+ * finalAmount or paymentStatus) remain visible after the record is overwritten.
+ */
+
+const { buildRecordKey, normalizeValue } = require('./change-tracker')
+
+const HISTORY_COLLECTION = 'record_history'
+const HISTORY_TRACKED_COLLECTIONS = ['works_completed', 'works_recommended', 'expenditures']
+const BATCH_SIZE = 1000
+
+// Fields history reports, all taken from the portal. Derived fields (MP and seat
+// IDs, party, taxonomy) are left out: they are rewritten on every full sync and
+// would otherwise log a change for every record.
+const HISTORY_FIELDS = {
+  works_completed: [
+    'workDescription',
+    'workCategory',
+    'ida',
+    'completedDate',
+    'finalAmount',
+    'hasImage',
+    'averageRating',
+  ],
+  works_recommended: [
+    'workDescription',
+    'workCategory',
+    'ida',
+    'recommendationDate',
+    'recommendedAmount',
+    'hasImage',
+  ],
+  expenditures: ['work', 'vendor', 'ida', 'expenditureDate', 'paymentStatus', 'expenditureAmount'],
+}
+
+const pickTracked = (collectionName, record) =>
+  HISTORY_FIELDS[collectionName].reduce((acc, field) => {
+    acc[field] = record[field] ?? null
+    return acc
+  }, {})
+
+/**
+ * List the history fields whose values differ between two copies of a record
+ */
+function diffFields(collectionName, before, after) {
+  return HISTORY_FIELDS[collectionName]
+    .filter(field => normalizeValue(before[field]) !== normalizeValue(after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }))
+}
+
+/**
+ * Turn a record diff into history entries
+ * @param {string} collectionName
+ * @param {Object} diff - Result of diffRecords()
+ * @param {Date} syncedAt - Timestamp shared by every entry of the sync
+ */
+function buildHistoryEntries(collectionName, diff, syncedAt) {
+  const entry = (record, changeType, extra) => ({
+    collection: collectionName,
+    recordKey: buildRecordKey(collectionName, record),
+    workId: record.workId ?? null,
+    mpName: record.mpName ?? null,
+    mpId: record.mpId ?? null,
+    house: record.house ?? null,
+    lsTerm: record.lsTerm ?? null,
+    state: record.state ?? null,
+    constituency: record.constituency ?? null,
+    constituencyId: record.constituencyId ?? null,
+    changeType,
+    ...extra,
+    syncedAt,
+  })
+
+  // A scope with no stored records is a first load; treat it as the baseline
+  const storedCount = diff.updated.length + diff.removed.length + diff.unchanged
+  const entries = []
+
+  if (storedCount > 0) {
+    diff.inserted.forEach(record => {
+      entries.push(entry(record, 'added', { snapshot: pickTracked(collectionName, record) }))
+    })
+  }
+
+  diff.updated.forEach(({ before, after }) => {
+    const changes = diffFields(collectionName, before, after)
+    if (changes.length > 0) entries.push(entry(after, 'updated', { changes }))
+  })
+
+  diff.removed.forEach(record => {
+    entries.push(entry(record, 'removed', { snapshot: pickTracked(collectionName, record) }))
+  })
+
+  return entries
+}
+
+/**
+ * Create a recorder that appends history entries for one sync run
+ * @param {Db} db - MongoDB database
+ */
+function createHistoryRecorder(db) {
+  const collection = db.collection(HISTORY_COLLECTION)
+  const syncedAt = new Date()
+  let indexesEnsured = false
+  let written = 0
+
+  const ensureIndexes = async () => {
+    if (indexesEnsured) return
+    await collection.createIndex({ workId: 1, syncedAt: -1 })
+    await collection.createIndex({ collection: 1, recordKey: 1, syncedAt: -1 })
+    // Follow digests read one sync's additions
+    await collection.createIndex({ syncedAt: 1, changeType: 1, collection: 1 })
+    indexesEnsured = true
+  }
+
+  return {
+    syncedAt,
+    tracks(collectionName) {
+      return HISTORY_TRACKED_COLLECTIONS.includes(collectionName)
+    },
+    async record(collectionName, diff) {
+      const entries = buildHistoryEntries(collectionName, diff, syncedAt)
+      if (entries.length === 0) return 0
+
+      await ensureIndexes()
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        await collection.insertMany(entries.slice(i, i + BATCH_SIZE), { ordered: false })
+      }
+      written += entries.length
+      console.log(`🕘 ${collectionName}: ${entries.length} history entries recorded`)
+      return entries.length
+    },
+    // Remove this run's entries when its dataset is never activated
+    async discard() {
+      if (written === 0) return
+      await collection.deleteMany({ syncedAt })
+      written = 0
+    },
+    get entriesWritten() {
+      return written
+    },
+  }
+}
+
+module.exports = {
+  HISTORY_COLLECTION,
+  HISTORY_TRACKED_COLLECTIONS,
+  HISTORY_FIELDS,
+  buildHistoryEntries,
+  createHistoryRecorder,
+}
@@ -0,0 +1,114 @@
+/**
+ * Lok Sabha term selection for the uploader.
+ *
+ * The portal serves the current Lok Sabha by default and earlier terms through
+ * an extra term selector in the `combo` parameter. Terms are requested as a
+ * list (e.g. `--ls-term=16,17`) so older terms can be backfilled one at a time.
+ */
+
+// Term the portal returns when no term selector is sent
+const CURRENT_LS_TERM = parseInt(process.env.MPLADS_CURRENT_LS_TERM, 10) || 18
+
+// Terms synced when no option is given ('both' keeps its historical meaning)
+const DEFAULT_LS_TERMS = [CURRENT_LS_TERM, CURRENT_LS_TERM - 1]
+
+// Portal term selector values. Only 17th = 5 is confirmed; other terms are assumed to
+// follow the same numbering and can be corrected with MPLADS_LS_TERM_SELECTORS.
+const KNOWN_TERM_SELECTORS = { 17: 5 }
+const TERM_SELECTOR_OFFSET = 12
+
+/**
+ * Parse selector overrides such as "16:4,17:5" from MPLADS_LS_TERM_SELECTORS
+ */
+function parseSelectorOverrides(value) {
+  return (value || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => parseInt(part, 10)))
+    .filter(([term, selector]) => Number.isInteger(term) && Number.isInteger(selector))
+    .reduce((acc, [term, selector]) => ({ ...acc, [term]: selector }), {})
+}
+
+const TERM_SELECTORS = {
+  ...KNOWN_TERM_SELECTORS,
+  ...parseSelectorOverrides(process.env.MPLADS_LS_TERM_SELECTORS),
+}
+
+/**
+ * Parse an LS term option into a list of terms, newest first
+ * @param {string|number|Array} option - 'both', a term, a comma-separated list or an array
+ * @returns {number[]}
+ * @throws {Error} When the option names no valid term
+ */
+function parseLsTermOption(option) {
+  if (option === undefined || option === null || option === '') return [...DEFAULT_LS_TERMS]
+
+  const raw = Array.isArray(option) ? option.join(',') : option.toString().trim().toLowerCase()
+  if (raw === 'both') return [...DEFAULT_LS_TERMS]
+
+  const terms = raw.split(',').map(part => Number(part.trim()))
+  if (terms.some(term => !Number.isInteger(term) || term < 1 || term > CURRENT_LS_TERM)) {
+    throw new Error(
+      `Invalid LS term option "${option}". Use a term (e.g. 17), a list (e.g. 16,17) or "both".`
+    )
+  }
+  return Array.from(new Set(terms)).sort((a, b) => b - a)
+}
+
+/**
+ * URL-encoded `combo` value selecting a Lok Sabha term
+ */
+function lokSabhaCombo(lsTerm) {
+  const term = parseInt(lsTerm, 10) || CURRENT_LS_TERM
+  if (term === CURRENT_LS_TERM) return '0%2C0%2C0%2C2'
+  const selector = TERM_SELECTORS[term] ?? term - TERM_SELECTOR_OFFSET
+  return `0%2C0%2C0%2C2%2C${selector}`
+}
+
+// Key of a Lok Sabha term's bucket in fetchAllData() results
+const lokSabhaBucket = lsTerm => `lok_sabha_${lsTerm}`
+
+/**
+ * List the Lok Sabha buckets of a fetchAllData() result, newest term first
+ * @returns {Array<{ lsTerm: number, data: Object }>}
+ */
+function lokSabhaBuckets(rawApiData) {
+  return Object.keys(rawApiData || {})
+    .map(key => key.match(/^lok_sabha_(\d+)$/))
+    .filter(Boolean)
+    .map(match => ({ lsTerm: parseInt(match[1], 10), data: rawApiData[match[0]] }))
+    .sort((a, b) => b.lsTerm - a.lsTerm)
+}
+
+// Day each Lok Sabha was constituted; a term runs until the next one is
+const LS_TERM_STARTS = {
+  14: '2004-05-17',
+  15: '2009-05-18',
+  16: '2014-05-18',
+  17: '2019-05-25',
+  18: '2024-06-06',
+}
+
+/**
+ * First and last day (YYYY-MM-DD) of a Lok Sabha term
+ * @returns {{from: string, until: string|null}|null} until is null for the sitting
+ *   Lok Sabha; null when the term's dates are not listed
+ */
+function lokSabhaTermPeriod(lsTerm) {
+  const from = LS_TERM_STARTS[lsTerm]
+  if (!from) return null
+  const next = LS_TERM_STARTS[lsTerm + 1]
+  if (!next) return { from, until: null }
+  const until = new Date(`${next}T00:00:00Z`)
+  until.setUTCDate(until.getUTCDate() - 1)
+  return { from, until: until.toISOString().slice(0, 10) }
+}
+
+module.exports = {
+  CURRENT_LS_TERM,
+  DEFAULT_LS_TERMS,
+  parseLsTermOption,
+  lokSabhaCombo,
+  lokSabhaBucket,
+  lokSabhaBuckets,
+  lokSabhaTermPeriod,
+}
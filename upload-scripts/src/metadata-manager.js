@@ -2,6 +2,11 @@
  * Metadata Manager - Tracks data update timestamps and scheduling
  */
 
+const { compareQualityReports } = require('./data-validator')
+
+const QUALITY_REPORTS_COLLECTION = 'data_quality_reports'
+const QUALITY_REPORTS_KEEP = 30
+
 /**
  * Calculate next update time based on update frequency
  * @param {string} frequency - 'daily', 'weekly', 'bi-weekly'
@@ -98,6 +103,23 @@ async function updateDataSyncMetadata(db, syncStats) {
       syncDurationSeconds: syncStats.duration || 0,
       dataQuality: syncStats.dataQuality || 100,
     },
+    syncMode: syncStats.syncMode || 'full',
+    // Per-collection inserted/updated/removed counts for this run
+    changes: syncStats.changes || null,
+    // Blue/green dataset that holds this sync's data
+    datasetVersion: syncStats.datasetVersion || null,
+    previousDatasetVersion: syncStats.previousDatasetVersion || null,
+    rolledBackFrom: null,
+    // Search index entry counts by type (null when the build failed)
+    searchIndex: syncStats.searchIndex || null,
+    // Seats in the constituency registry (null when the build failed)
+    constituencies: syncStats.constituencies ?? null,
+    // People in mp_identities (null when the build failed)
+    mpIdentities: syncStats.mpIdentities ?? null,
+    // Anomaly flag counts by rule (null when detection failed)
+    anomalyFlags: syncStats.anomalyFlags || null,
+    // Version and record count of the published data dumps (null when skipped or failed)
+    dumps: syncStats.dumps || null,
     updateFrequency: process.env.UPDATE_FREQUENCY || 'daily',
     version: '1.0.0',
     createdAt: now,
@@ -114,10 +136,50 @@ async function updateDataSyncMetadata(db, syncStats) {
   console.log(`   Next Update: ${metadata.nextUpdateFormatted} (${metadata.nextUpdateInfo})`)
   console.log(`   Total Records: ${metadata.syncStats.totalRecords.toLocaleString()}`)
   console.log(`   Data Quality: ${metadata.syncStats.dataQuality}%`)
+  if (metadata.datasetVersion) {
+    console.log(`   Dataset Version: ${metadata.datasetVersion}`)
+  }
+  if (metadata.changes) {
+    console.log(
+      `   Changes (${metadata.syncMode}): ${metadata.changes.inserted} inserted, ${metadata.changes.updated} updated, ${metadata.changes.removed} removed`
+    )
+  }
 
   return metadata
 }
 
+/**
+ * Persist a sync's data quality report together with its comparison to the previous run
+ * @param {Db} db - MongoDB database
+ * @param {Object} report - Report from buildDataQualityReport()
+ */
+async function saveDataQualityReport(db, report) {
+  const reportsCollection = db.collection(QUALITY_REPORTS_COLLECTION)
+  const previous = await reportsCollection.find({}).sort({ generatedAt: -1 }).limit(1).next()
+
+  const saved = { ...report, comparison: compareQualityReports(report, previous) }
+  await reportsCollection.insertOne(saved)
+
+  // Keep a rolling window of reports for trend comparisons
+  const stale = await reportsCollection
+    .find({}, { projection: { _id: 1 } })
+    .sort({ generatedAt: -1 })
+    .skip(QUALITY_REPORTS_KEEP)
+    .toArray()
+  if (stale.length > 0) {
+    await reportsCollection.deleteMany({ _id: { $in: stale.map(doc => doc._id) } })
+  }
+
+  if (saved.comparison) {
+    const { rejected, duplicates, orphanExpenditures } = saved.comparison.totals
+    console.log(
+      `🧪 Quality vs previous run: rejected ${rejected.change >= 0 ? '+' : ''}${rejected.change}, duplicates ${duplicates.change >= 0 ? '+' : ''}${duplicates.change}, orphan payments ${orphanExpenditures.change >= 0 ? '+' : ''}${orphanExpenditures.change}`
+    )
+  }
+
+  return saved
+}
+
 /**
  * Get current data sync metadata for frontend use
  */
@@ -182,6 +244,7 @@ module.exports = {
   formatDateForFooter,
   formatNextUpdateInfo,
   updateDataSyncMetadata,
+  saveDataQualityReport,
   getDataSyncMetadata,
   shouldUpdateData,
   createFooterDataResponse,
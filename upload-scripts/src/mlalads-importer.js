@@ -0,0 +1,515 @@
+/**
+ * MLALADS (state legislature) importer.
+ *
+ * There is no national portal API for MLALADS; states publish allocations,
+ * payments and works as CSV or JSON exports. This module reads those exports,
+ * maps their columns onto the MPLADS record shape (the member name is stored in
+ * `mpName` so the backend can reuse its queries) and replaces one state and
+ * assembly term at a time in the `mlalads_*` collections.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { MongoClient } = require('mongodb')
+const {
+  parseIndianNumber,
+  parseDate,
+  cleanText,
+  normalizeConstituency,
+} = require('./data-transformer')
+require('dotenv').config()
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/empowered_indian'
+const DATABASE_NAME = process.env.DATABASE_NAME || 'empowered_indian_db'
+
+const SCHEME = 'MLALADS'
+const DEFAULT_HOUSE = 'Vidhan Sabha'
+const HOUSES = ['Vidhan Sabha', 'Vidhan Parishad']
+
+const MLALADS_COLLECTIONS = {
+  ALLOCATIONS: 'mlalads_allocations',
+  EXPENDITURES: 'mlalads_expenditures',
+  WORKS_COMPLETED: 'mlalads_works_completed',
+  WORKS_RECOMMENDED: 'mlalads_works_recommended',
+  SUMMARIES: 'mlalads_summaries',
+}
+
+// Dataset files looked up in an import directory (with a .csv or .json extension)
+const DATASETS = ['allocations', 'expenditures', 'works_completed', 'works_recommended']
+
+// Accepted column names per field, compared after normalizeKey()
+const FIELD_ALIASES = {
+  state: ['state', 'state_name'],
+  mpName: ['mla_name', 'mlc_name', 'member_name', 'member', 'mp_name', 'name'],
+  constituency: ['constituency', 'assembly_constituency', 'ac_name', 'constituency_name'],
+  house: ['house', 'chamber'],
+  assemblyTerm: ['assembly_term', 'term', 'assembly_no', 'assembly'],
+  allocatedAmount: ['allocated_amount', 'allocated_amt', 'allocation', 'amount'],
+  workId: ['work_id', 'work_recommendation_dtl_id', 'work_code', 'id'],
+  workCategory: ['work_category', 'category', 'sector'],
+  workDescription: ['work_description', 'description', 'activity_name', 'work'],
+  ida: ['ida', 'ida_name', 'ia_name', 'implementing_agency'],
+  vendor: ['vendor', 'vendor_name'],
+  expenditureAmount: ['expenditure_amount', 'fund_disbursed_amt', 'amount_paid', 'amount'],
+  expenditureDate: ['expenditure_date', 'payment_date', 'date'],
+  paymentStatus: ['payment_status', 'work_status', 'status'],
+  completedDate: ['completed_date', 'completion_date', 'actual_end_date'],
+  finalAmount: ['final_amount', 'actual_amount', 'cost', 'amount'],
+  recommendationDate: ['recommendation_date', 'recommended_date', 'sanction_date'],
+  recommendedAmount: ['recommended_amount', 'sanctioned_amount', 'estimated_cost', 'amount'],
+  hasImage: ['has_image', 'file_status'],
+  averageRating: ['average_rating', 'rating'],
+}
+
+const normalizeKey = key =>
+  key
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into objects keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(value => value.trim() !== ''))
+  const keys = header.map(key => key.replace(/^\uFEFF/, ''))
+  return body.map(values =>
+    keys.reduce((acc, key, index) => ({ ...acc, [key]: values[index] ?? '' }), {})
+  )
+}
+
+function readRecords(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8')
+  if (path.extname(filePath).toLowerCase() === '.csv') return parseCsv(text)
+
+  const parsed = JSON.parse(text)
+  return Array.isArray(parsed) ? parsed : parsed.data || parsed.records || []
+}
+
+/**
+ * Load raw records from an import directory or a single JSON file
+ * @param {string} source - Directory holding allocations/expenditures/works_* files, or a
+ *   JSON file with those keys
+ * @returns {Object} Raw records keyed by dataset name
+ */
+function loadImportFiles(source) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`MLALADS import source not found: ${source}`)
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    return DATASETS.reduce((acc, dataset) => {
+      const file = ['.csv', '.json']
+        .map(ext => path.join(source, `${dataset}${ext}`))
+        .find(candidate => fs.existsSync(candidate))
+      acc[dataset] = file ? readRecords(file) : []
+      if (file) console.log(`📄 ${dataset}: ${acc[dataset].length} rows from ${file}`)
+      return acc
+    }, {})
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(source, 'utf8'))
+  return DATASETS.reduce((acc, dataset) => {
+    acc[dataset] = Array.isArray(parsed[dataset]) ? parsed[dataset] : []
+    return acc
+  }, {})
+}
+
+// Read a field through its aliases; fields without a usable value return undefined
+function pick(normalized, field) {
+  const alias = FIELD_ALIASES[field].find(
+    name => normalized[name] !== undefined && normalized[name] !== null && normalized[name] !== ''
+  )
+  return alias === undefined ? undefined : normalized[alias]
+}
+
+function normalizeHouse(value) {
+  const raw = (value || '').toString().trim().toLowerCase()
+  if (!raw) return DEFAULT_HOUSE
+  if (/(parishad|council|mlc)/.test(raw)) return 'Vidhan Parishad'
+  return DEFAULT_HOUSE
+}
+
+/**
+ * Map one raw row onto the common record identity; returns null for rows that
+ * cannot be attributed to a member (blank names, grand total rows)
+ */
+function baseRecord(raw, defaults) {
+  const normalized = Object.entries(raw || {}).reduce(
+    (acc, [key, value]) => ({ ...acc, [normalizeKey(key)]: value }),
+    {}
+  )
+  const state = (pick(normalized, 'state') ?? defaults.state ?? '').toString().trim()
+  const mpName = (pick(normalized, 'mpName') ?? '').toString().trim()
+
+  if (state.length <= 1 || mpName.length <= 1) return null
+  if (state.toLowerCase().includes('total') || mpName.toLowerCase().includes('total')) return null
+
+  const assemblyTerm =
+    parseInt(pick(normalized, 'assemblyTerm'), 10) || parseInt(defaults.assemblyTerm, 10) || null
+
+  return {
+    normalized,
+    record: {
+      scheme: SCHEME,
+      state,
+      mpName,
+      constituency: normalizeConstituency(pick(normalized, 'constituency')),
+      house: normalizeHouse(pick(normalized, 'house') ?? defaults.house),
+      assemblyTerm,
+      lsTerm: null,
+    },
+  }
+}
+
+const toWorkId = value => parseInt(value, 10) || 0
+const toBoolean = value => value === true || /^(true|yes|1)$/i.test((value ?? '').toString())
+
+/**
+ * Transform raw MLALADS rows into records matching the MPLADS collections
+ * @param {Object} raw - Result of loadImportFiles()
+ * @param {Object} defaults - { state, assemblyTerm, house } applied to rows that omit them
+ * @returns {{ data: Object, rejected: Object }}
+ */
+function transformMlaladsData(raw, defaults = {}) {
+  const rejected = {}
+  const mapRows = (dataset, build) =>
+    (raw[dataset] || []).reduce((acc, row) => {
+      const base = baseRecord(row, defaults)
+      const record = base ? build(base.normalized, base.record) : null
+      if (record) acc.push(record)
+      else rejected[dataset] = (rejected[dataset] || 0) + 1
+      return acc
+    }, [])
+
+  const allocations = mapRows('allocations', (row, record) => ({
+    ...record,
+    allocatedAmount: parseIndianNumber(pick(row, 'allocatedAmount')),
+  }))
+
+  const expenditures = mapRows('expenditures', (row, record) => ({
+    ...record,
+    workId: toWorkId(pick(row, 'workId')),
+    work: cleanText(pick(row, 'workDescription')),
+    vendor: pick(row, 'vendor') || null,
+    ida: pick(row, 'ida') || null,
+    expenditureDate: parseDate(pick(row, 'expenditureDate')),
+    paymentStatus: pick(row, 'paymentStatus') || 'N/A',
+    expenditureAmount: parseIndianNumber(pick(row, 'expenditureAmount')),
+  }))
+
+  const worksCompleted = mapRows('works_completed', (row, record) => {
+    const workId = toWorkId(pick(row, 'workId'))
+    if (!workId) return null
+    const rating = parseFloat(pick(row, 'averageRating'))
+    return {
+      ...record,
+      workId,
+      workCategory: pick(row, 'workCategory') || null,
+      workDescription: cleanText(pick(row, 'workDescription')) || 'No description available',
+      ida: pick(row, 'ida') || null,
+      completedDate: parseDate(pick(row, 'completedDate')),
+      hasImage: toBoolean(pick(row, 'hasImage')),
+      averageRating: Number.isFinite(rating) ? rating : null,
+      finalAmount: parseIndianNumber(pick(row, 'finalAmount')),
+    }
+  })
+
+  // Same rule as the MPLADS transformer: completed works are not also counted as recommended
+  const completedIds = new Set(worksCompleted.map(work => work.workId))
+  const worksRecommended = mapRows('works_recommended', (row, record) => {
+    const workId = toWorkId(pick(row, 'workId'))
+    if (!workId || completedIds.has(workId)) return null
+    return {
+      ...record,
+      workId,
+      workCategory: pick(row, 'workCategory') || null,
+      workDescription: cleanText(pick(row, 'workDescription')) || 'No description available',
+      ida: pick(row, 'ida') || null,
+      recommendationDate: parseDate(pick(row, 'recommendationDate')),
+      hasImage: toBoolean(pick(row, 'hasImage')),
+      recommendedAmount: parseIndianNumber(pick(row, 'recommendedAmount')),
+    }
+  })
+
+  return {
+    data: { allocations, expenditures, worksCompleted, worksRecommended },
+    rejected,
+  }
+}
+
+const memberKey = r => [r.mpName, r.house, r.state, r.constituency, r.assemblyTerm].join('|')
+const stateKey = r => [r.state, r.house, r.assemblyTerm].join('|')
+const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0)
+
+/**
+ * Build mp_summary and state_summary documents with the same metrics the MPLADS
+ * uploader stores, so the backend can read both schemes the same way
+ */
+function buildMlaladsSummaries(data) {
+  const members = new Map()
+  const memberOf = record => {
+    const key = memberKey(record)
+    if (!members.has(key)) {
+      members.set(key, {
+        identity: {
+          mpName: record.mpName,
+          house: record.house,
+          state: record.state,
+          constituency: record.constituency,
+          assemblyTerm: record.assemblyTerm,
+        },
+        allocatedAmount: 0,
+        expenditures: [],
+        completed: new Map(),
+        recommended: new Map(),
+      })
+    }
+    return members.get(key)
+  }
+
+  data.allocations.forEach(record => {
+    memberOf(record).allocatedAmount += record.allocatedAmount || 0
+  })
+  data.expenditures.forEach(record => memberOf(record).expenditures.push(record))
+  // Deduplicate works by workId, keeping the largest amount (as the MPLADS summaries do)
+  data.worksCompleted.forEach(record => {
+    const { completed } = memberOf(record)
+    const existing = completed.get(record.workId)
+    if (!existing || record.finalAmount > existing.finalAmount) {
+      completed.set(record.workId, record)
+    }
+  })
+  data.worksRecommended.forEach(record => {
+    const { recommended } = memberOf(record)
+    const existing = recommended.get(record.workId)
+    if (!existing || record.recommendedAmount > existing.recommendedAmount) {
+      recommended.set(record.workId, record)
+    }
+  })
+
+  const createdAt = new Date()
+  const mpSummaries = Array.from(members.values()).map(member => {
+    const completed = Array.from(member.completed.values())
+    const recommended = Array.from(member.recommended.values())
+    const ratings = completed.map(w => w.averageRating).filter(Number.isFinite)
+
+    const totalExpenditure = member.expenditures.reduce(
+      (sum, e) => sum + (e.expenditureAmount || 0),
+      0
+    )
+    const totalCompletedAmount = completed.reduce((sum, w) => sum + (w.finalAmount || 0), 0)
+    const completedWorksCount = completed.length
+    const recommendedWorksCount = recommended.length
+
+    return {
+      type: 'mp_summary',
+      scheme: SCHEME,
+      ...member.identity,
+      lsTerm: null,
+      allocatedAmount: member.allocatedAmount,
+      totalExpenditure,
+      transactionCount: member.expenditures.length,
+      successfulPayments: member.expenditures.filter(e => e.paymentStatus === 'Payment Success')
+        .length,
+      pendingPayments: member.expenditures.filter(e => e.paymentStatus === 'Payment In-Progress')
+        .length,
+      completedWorksCount,
+      totalCompletedAmount,
+      worksWithImages: completed.filter(w => w.hasImage).length,
+      avgRating: ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null,
+      recommendedWorksCount,
+      totalRecommendedAmount: recommended.reduce((sum, w) => sum + (w.recommendedAmount || 0), 0),
+      utilizationPercentage: Math.min(percent(totalExpenditure, member.allocatedAmount), 100),
+      completionRate: percent(completedWorksCount, completedWorksCount + recommendedWorksCount),
+      completedWorksValue: totalCompletedAmount,
+      inProgressPayments: totalExpenditure - totalCompletedAmount,
+      paymentGapPercentage: percent(totalExpenditure - totalCompletedAmount, totalExpenditure),
+      pendingWorks: recommendedWorksCount - completedWorksCount,
+      unspentAmount: member.allocatedAmount - totalExpenditure,
+      createdAt,
+    }
+  })
+
+  const states = new Map()
+  mpSummaries.forEach(summary => {
+    const key = stateKey(summary)
+    if (!states.has(key)) {
+      states.set(key, {
+        type: 'state_summary',
+        scheme: SCHEME,
+        state: summary.state,
+        house: summary.house,
+        assemblyTerm: summary.assemblyTerm,
+        lsTerm: null,
+        totalAllocated: 0,
+        totalExpenditure: 0,
+        mpCount: 0,
+        totalWorksCompleted: 0,
+        totalWorksRecommended: 0,
+        createdAt,
+      })
+    }
+    const state = states.get(key)
+    state.totalAllocated += summary.allocatedAmount
+    state.totalExpenditure += summary.totalExpenditure
+    state.totalWorksCompleted += summary.completedWorksCount
+    state.totalWorksRecommended += summary.recommendedWorksCount
+    if (summary.allocatedAmount > 0) state.mpCount += 1
+  })
+
+  const stateSummaries = Array.from(states.values()).map(state => ({
+    ...state,
+    utilizationPercentage: Math.min(percent(state.totalExpenditure, state.totalAllocated), 100),
+    completionRate: percent(
+      state.totalWorksCompleted,
+      state.totalWorksCompleted + state.totalWorksRecommended
+    ),
+  }))
+
+  return { mpSummaries, stateSummaries }
+}
+
+// State + assembly term scopes present in a transformed import
+function importScopes(data) {
+  const scopes = new Map()
+  Object.values(data)
+    .flat()
+    .forEach(({ state, assemblyTerm }) => {
+      scopes.set(`${state}|${assemblyTerm}`, { state, assemblyTerm })
+    })
+  return Array.from(scopes.values())
+}
+
+async function ensureIndexes(db) {
+  for (const name of Object.values(MLALADS_COLLECTIONS)) {
+    const collection = db.collection(name)
+    await collection.createIndex({ state: 1, house: 1, assemblyTerm: 1 })
+    await collection.createIndex({ mpName: 1, house: 1, assemblyTerm: 1 })
+  }
+  await db.collection(MLALADS_COLLECTIONS.SUMMARIES).createIndex({ type: 1, assemblyTerm: 1 })
+  await db.collection(MLALADS_COLLECTIONS.WORKS_COMPLETED).createIndex({ completedDate: -1 })
+  await db.collection(MLALADS_COLLECTIONS.WORKS_RECOMMENDED).createIndex({ recommendationDate: -1 })
+  await db.collection(MLALADS_COLLECTIONS.EXPENDITURES).createIndex({ expenditureDate: -1 })
+}
+
+/**
+ * Import MLALADS exports, replacing the states and assembly terms they cover
+ * @param {string} source - Import directory or JSON file (see loadImportFiles)
+ * @param {Object} options
+ * @param {string} options.state - State for rows without a state column
+ * @param {number} options.assemblyTerm - Assembly term for rows without a term column
+ * @param {string} options.house - 'Vidhan Sabha' (default) or 'Vidhan Parishad'
+ * @param {boolean} options.dryRun - Transform and report without writing
+ */
+async function importMlaladsData(source, options = {}) {
+  const { dryRun = false, ...defaults } = options
+  if (defaults.house && !HOUSES.includes(defaults.house)) {
+    throw new Error(`Invalid MLALADS house "${defaults.house}". Use ${HOUSES.join(' or ')}.`)
+  }
+
+  const { data, rejected } = transformMlaladsData(loadImportFiles(source), defaults)
+  const { mpSummaries, stateSummaries } = buildMlaladsSummaries(data)
+  const scopes = importScopes(data)
+
+  console.log('📊 MLALADS records prepared:', {
+    allocations: data.allocations.length,
+    expenditures: data.expenditures.length,
+    worksCompleted: data.worksCompleted.length,
+    worksRecommended: data.worksRecommended.length,
+    members: mpSummaries.length,
+  })
+  if (Object.keys(rejected).length > 0) console.log('⚠️  Rows skipped:', rejected)
+  if (scopes.some(scope => !scope.assemblyTerm)) {
+    console.log('⚠️  Some rows have no assembly term; pass --assembly-term to set one')
+  }
+
+  if (scopes.length === 0) throw new Error('No MLALADS records found to import')
+  if (dryRun) return { scopes, counts: { ...data, summaries: mpSummaries.length }, dryRun }
+
+  const client = new MongoClient(MONGODB_URI, {
+    serverSelectionTimeoutMS: parseInt(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000,
+    appName: process.env.DB_APP_NAME || 'MPLADS-API-Automation',
+  })
+
+  try {
+    await client.connect()
+    const db = client.db(DATABASE_NAME)
+    const scopeFilter = { $or: scopes }
+    const writes = [
+      [MLALADS_COLLECTIONS.ALLOCATIONS, data.allocations],
+      [MLALADS_COLLECTIONS.EXPENDITURES, data.expenditures],
+      [MLALADS_COLLECTIONS.WORKS_COMPLETED, data.worksCompleted],
+      [MLALADS_COLLECTIONS.WORKS_RECOMMENDED, data.worksRecommended],
+      [MLALADS_COLLECTIONS.SUMMARIES, [...mpSummaries, ...stateSummaries]],
+    ]
+
+    const now = new Date()
+    for (const [name, docs] of writes) {
+      const collection = db.collection(name)
+      const { deletedCount } = await collection.deleteMany(scopeFilter)
+      if (docs.length > 0) {
+        await collection.insertMany(
+          docs.map(doc => ({ createdAt: now, ...doc, updatedAt: now })),
+          { ordered: false }
+        )
+      }
+      console.log(`✅ ${name}: replaced ${deletedCount} with ${docs.length} records`)
+    }
+
+    await ensureIndexes(db)
+    scopes.forEach(({ state, assemblyTerm }) =>
+      console.log(`🏛️  Imported ${state} (assembly term ${assemblyTerm ?? 'unknown'})`)
+    )
+    return { scopes, dryRun }
+  } finally {
+    await client.close()
+  }
+}
+
+module.exports = {
+  MLALADS_COLLECTIONS,
+  parseCsv,
+  loadImportFiles,
+  transformMlaladsData,
+  buildMlaladsSummaries,
+  importMlaladsData,
+}
@@ -0,0 +1,275 @@
+/**
+ * MP identity resolution.
+ *
+ * The portal identifies an MP only by name, and spells it differently across
+ * feeds and terms ("Dr. Shashi Tharoor", "SHASHI THAROOR", "Tharoor Shashi").
+ * Every record gets an `mpId` so one person's tenures in either house and any
+ * term can be followed: the ID is derived from the MP's state and a name key
+ * that ignores honorifics, word order, case and common transliteration
+ * variants (see search-text.js). After each sync `mp_identities` is rebuilt
+ * with one document per person: the names seen and a tenure per house and term.
+ *
+ * Hard cases go in mp-identity-overrides.json. Each entry pins an `id` (and
+ * display `name`) to the records its `match` rules select; a rule needs `name`
+ * and may narrow by `state`, `house`, `lsTerm` and `constituency`. Use one entry
+ * with several rules to join spellings or a move between states, or a narrow
+ * rule to split two people who share a name and state.
+ */
+
+const crypto = require('crypto')
+const overrides = require('./mp-identity-overrides.json')
+const { COLLECTIONS } = require('./dataset-manager')
+const { resolveState } = require('./constituency-registry')
+const { normalizeText, phoneticKey } = require('./search-text')
+
+const MP_IDENTITIES_COLLECTION = 'mp_identities'
+// Built aside and renamed in, like the search index
+const BUILD_SUFFIX = '_build'
+
+// Titles the portal sometimes prefixes to a name
+const HONORIFICS = new Set([
+  'shri',
+  'sri',
+  'shree',
+  'smt',
+  'shrimati',
+  'kumari',
+  'km',
+  'dr',
+  'adv',
+  'advocate',
+  'prof',
+  'mr',
+  'mrs',
+  'ms',
+  'thiru',
+  'selvi',
+  'capt',
+  'col',
+  'retd',
+])
+
+/**
+ * Name key: honorifics dropped, words folded phonetically and sorted, so word
+ * order and transliteration do not matter. Initials are kept.
+ */
+const nameKey = name =>
+  normalizeText(name)
+    .split(' ')
+    .filter(token => token && !HONORIFICS.has(token))
+    .map(phoneticKey)
+    .sort()
+    .join(' ')
+
+const stateKey = state => resolveState(state)?.code || normalizeText(state)
+
+// Stable ID for a derived identity
+const derivedId = (state, key) =>
+  `mp_${crypto
+    .createHash('sha1')
+    .update(`${stateKey(state)}|${key}`)
+    .digest('hex')
+    .slice(0, 12)}`
+
+// Override rules, most specific first so a narrow split wins over a broad join
+const RULES = overrides.mps
+  .flatMap(entry =>
+    entry.match.map(rule => ({
+      id: entry.id,
+      name: entry.name,
+      key: nameKey(rule.name),
+      state: rule.state ? stateKey(rule.state) : null,
+      house: rule.house || null,
+      lsTerm: rule.lsTerm ?? null,
+      constituency: rule.constituency ? normalizeText(rule.constituency) : null,
+    }))
+  )
+  .map(rule => ({
+    ...rule,
+    specificity: ['state', 'house', 'lsTerm', 'constituency'].filter(field => rule[field] !== null)
+      .length,
+  }))
+  .sort((a, b) => b.specificity - a.specificity)
+
+const matchesRule = (rule, key, record) =>
+  rule.key === key &&
+  (rule.state === null || rule.state === stateKey(record.state)) &&
+  (rule.house === null || rule.house === record.house) &&
+  (rule.lsTerm === null || rule.lsTerm === (record.lsTerm ?? null)) &&
+  (rule.constituency === null || rule.constituency === normalizeText(record.constituency))
+
+// Each MP appears on thousands of records; resolve each tenure once per run
+const cache = new Map()
+
+/**
+ * Resolve a record's MP to a persistent identity
+ * @param {Object} record - { mpName, state, house, lsTerm, constituency }
+ * @returns {{mpId: string, overridden: boolean}|null} null when there is no name
+ */
+function resolveMP(record) {
+  const cacheKey = [
+    record.mpName,
+    record.state,
+    record.house,
+    record.lsTerm,
+    record.constituency,
+  ].join('|')
+  if (cache.has(cacheKey)) return cache.get(cacheKey)
+
+  const key = nameKey(record.mpName)
+  let result = null
+  if (key) {
+    const rule = RULES.find(candidate => matchesRule(candidate, key, record))
+    result = rule
+      ? { mpId: rule.id, overridden: true }
+      : { mpId: derivedId(record.state, key), overridden: false }
+  }
+  cache.set(cacheKey, result)
+  return result
+}
+
+// Collections whose records name an MP, and the field holding the name
+const MP_NAME_FIELDS = {
+  MPs: 'name',
+  ALLOCATIONS: 'mpName',
+  EXPENDITURES: 'mpName',
+  WORKS_COMPLETED: 'mpName',
+  WORKS_RECOMMENDED: 'mpName',
+  SUMMARIES: 'mpName',
+}
+
+/**
+ * Give records that have no mpId one. A sync limited to some terms rewrites only
+ * those terms in staging; rows of the other terms are carried over from the live
+ * dataset and, if that was loaded before MP identities existed, have none. The
+ * summary joins match on mpId, so those rows would otherwise merge into one MP.
+ * @param {Db} db - MongoDB database
+ * @param {Object} collections - Map of COLLECTIONS keys to the collection names to fill
+ * @returns {Promise<number>} Records updated
+ */
+async function backfillMPIds(db, collections = COLLECTIONS) {
+  let updated = 0
+  for (const [key, nameField] of Object.entries(MP_NAME_FIELDS)) {
+    const collection = db.collection(collections[key])
+    const missing = { mpId: null, [nameField]: { $nin: [null, ''] } }
+    if (key === 'SUMMARIES') missing.type = 'mp_summary'
+
+    const tenures = await collection
+      .aggregate(
+        [
+          { $match: missing },
+          {
+            $group: {
+              _id: {
+                mpName: `$${nameField}`,
+                state: { $ifNull: ['$state', null] },
+                house: { $ifNull: ['$house', null] },
+                lsTerm: { $ifNull: ['$lsTerm', null] },
+                constituency: { $ifNull: ['$constituency', null] },
+              },
+            },
+          },
+        ],
+        { allowDiskUse: true }
+      )
+      .toArray()
+
+    const operations = tenures
+      .map(({ _id: tenure }) => {
+        const identity = resolveMP(tenure)
+        if (!identity) return null
+        const { mpName, ...fields } = tenure
+        return {
+          updateMany: {
+            filter: { ...missing, ...fields, [nameField]: mpName },
+            update: { $set: { mpId: identity.mpId } },
+          },
+        }
+      })
+      .filter(Boolean)
+    if (operations.length === 0) continue
+
+    const { modifiedCount } = await collection.bulkWrite(operations, { ordered: false })
+    updated += modifiedCount
+  }
+  if (updated > 0) console.log(`🪪 Gave ${updated} carried-over records an MP identity`)
+  return updated
+}
+
+/**
+ * Rebuild `mp_identities` from the live MP summaries: one document per person
+ * with the names seen and one tenure per house and term
+ * @returns {number} Identities written
+ */
+async function buildMPIdentities(db) {
+  const buildName = `${MP_IDENTITIES_COLLECTION}${BUILD_SUFFIX}`
+  console.log('\n🪪 Building MP identities...')
+
+  const identities = await db
+    .collection(COLLECTIONS.SUMMARIES)
+    .aggregate(
+      [
+        { $match: { type: 'mp_summary', mpId: { $nin: [null, ''] } } },
+        { $sort: { lsTerm: -1 } },
+        {
+          $group: {
+            _id: '$mpId',
+            name: { $first: '$mpName' },
+            names: { $addToSet: '$mpName' },
+            tenures: {
+              $push: {
+                house: '$house',
+                lsTerm: '$lsTerm',
+                state: '$state',
+                constituency: '$constituency',
+                constituencyId: '$constituencyId',
+                allocatedAmount: '$allocatedAmount',
+                totalExpenditure: '$totalExpenditure',
+              },
+            },
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray()
+
+  if (identities.length === 0) {
+    console.log('ℹ️  No MP summaries to resolve, identities left untouched')
+    return 0
+  }
+
+  const displayNames = new Map(overrides.mps.map(entry => [entry.id, entry.name]))
+  const updatedAt = new Date()
+  const documents = identities.map(identity => ({
+    _id: identity._id,
+    name: displayNames.get(identity._id) || identity.name,
+    aliases: identity.names.filter(Boolean).sort(),
+    houses: Array.from(new Set(identity.tenures.map(tenure => tenure.house))),
+    tenures: identity.tenures.map(tenure => ({ ...tenure, lsTerm: tenure.lsTerm ?? null })),
+    overridden: displayNames.has(identity._id),
+    updatedAt,
+  }))
+
+  const existing = await db.listCollections({ name: buildName }, { nameOnly: true }).toArray()
+  if (existing.length > 0) await db.collection(buildName).drop()
+
+  const buildCollection = db.collection(buildName)
+  await buildCollection.insertMany(documents, { ordered: false })
+  await buildCollection.createIndex({ aliases: 1 })
+  await db.renameCollection(buildName, MP_IDENTITIES_COLLECTION, { dropTarget: true })
+
+  const multiTenure = documents.filter(doc => doc.tenures.length > 1).length
+  console.log(
+    `✅ MP identities built: ${documents.length} people (${multiTenure} with more than one tenure)`
+  )
+  return documents.length
+}
+
+module.exports = {
+  MP_IDENTITIES_COLLECTION,
+  nameKey,
+  resolveMP,
+  backfillMPIds,
+  buildMPIdentities,
+}
@@ -1,9 +1,25 @@
 const https = require('https')
 const fs = require('fs')
 const path = require('path')
+const { createRecorder, createReplayer } = require('./fixture-store')
+const { CURRENT_LS_TERM, parseLsTermOption, lokSabhaCombo, lokSabhaBucket } = require('./ls-terms')
+
+// Map data type to key parameter
+const DATA_TYPE_KEYS = {
+  works_completed: 'Total%20Works%20Completed',
+  works_recommended: 'Total%20Works%20Recommended',
+  expenditure: 'Total%20Expenditure',
+  allocated_limit: 'Allocated%20Limit',
+}
 
 class MPLADSApiClient {
-  constructor(sessionCookies = null) {
+  /**
+   * @param {string|null} sessionCookies - Manual session cookies
+   * @param {Object} options
+   * @param {string} options.recordDir - Save every raw response to this directory
+   * @param {string} options.replayDir - Serve responses from a recording instead of the portal
+   */
+  constructor(sessionCookies = null, options = {}) {
     this.baseUrl = 'https://mplads.mospi.gov.in/rest/PreLoginDashboardData/getTilesReportData'
     this.loginUrl = 'https://mplads.mospi.gov.in'
     this.sessionCookies = sessionCookies
@@ -29,15 +45,25 @@ class MPLADSApiClient {
       'sec-ch-ua-platform': '"Windows"',
     }
 
+    this.recorder = options.recordDir ? createRecorder(options.recordDir) : null
+    this.replayer = options.replayDir ? createReplayer(options.replayDir) : null
+
     // Ensure data directory exists
     this.ensureDataDirectory()
 
-    // Try to load existing session only if no cookies provided
-    if (!sessionCookies) {
+    // Try to load existing session only if no cookies provided (replays need none)
+    if (!sessionCookies && !this.replayer) {
       this.loadSession()
     }
   }
 
+  /**
+   * Whether responses come from a recording rather than the live portal
+   */
+  isReplaying() {
+    return Boolean(this.replayer)
+  }
+
   /**
    * Ensure data directory exists for session storage
    */
@@ -330,38 +356,26 @@ class MPLADSApiClient {
    * @param {string} dataType - 'works_completed', 'works_recommended', 'expenditure', 'allocated_limit'
    * @returns {Promise<Array>} - Array of records
    */
-  async fetchData(house, dataType, lsTerm = '18') {
+  async fetchData(house, dataType, lsTerm = CURRENT_LS_TERM) {
+    const keyParam = DATA_TYPE_KEYS[dataType]
+    if (!keyParam) {
+      throw new Error(`Invalid data type: ${dataType}`)
+    }
+
+    if (this.replayer) {
+      console.log(`Replaying ${house} ${dataType} data from ${this.replayer.dir}...`)
+      const body = this.replayer.load(house, dataType, lsTerm)
+      if (body === null) {
+        throw new Error(`No recorded response for ${house} ${dataType} (LS term ${lsTerm})`)
+      }
+      return this.parseResponseBody(body, house, dataType, keyParam)
+    }
+
     return new Promise((resolve, reject) => {
       try {
         // Map house to combo parameter
-        // Lok Sabha: default (18th) omits term selector; 17th uses an extra ",5" as per request.md
-        let houseCombo
-        if (house === 'lok_sabha') {
-          if (String(lsTerm).toLowerCase() === '17') {
-            // 17th LS combo from request.md: 0,0,0,2,5
-            houseCombo = '0%2C0%2C0%2C2%2C5'
-          } else {
-            // 18th LS (current default behavior)
-            houseCombo = '0%2C0%2C0%2C2'
-          }
-        } else {
-          // Rajya Sabha unchanged
-          houseCombo = '0%2C0%2C0%2C1'
-        }
-
-        // Map data type to key parameter
-        const dataTypeMap = {
-          works_completed: 'Total%20Works%20Completed',
-          works_recommended: 'Total%20Works%20Recommended',
-          expenditure: 'Total%20Expenditure',
-          allocated_limit: 'Allocated%20Limit',
-        }
-
-        const keyParam = dataTypeMap[dataType]
-        if (!keyParam) {
-          reject(new Error(`Invalid data type: ${dataType}`))
-          return
-        }
+        // Lok Sabha: the current term omits the term selector; earlier terms append one
+        const houseCombo = house === 'lok_sabha' ? lokSabhaCombo(lsTerm) : '0%2C0%2C0%2C1'
 
         console.log(`Fetching ${house} ${dataType} data from API...`)
 
@@ -405,89 +419,12 @@ class MPLADSApiClient {
 
           res.on('end', () => {
             try {
-              console.log(`✅ ${house} ${dataType} response: ${data.length} bytes`)
-
-              const response = JSON.parse(data)
-
-              // Some responses may be a top-level array or stringified array.
-              if (Array.isArray(response)) {
-                console.log(`✅ Fetched ${response.length} ${house} ${dataType} records`)
-                resolve(response)
-                return
-              }
-              if (typeof response === 'string') {
-                try {
-                  const parsedTop = JSON.parse(response)
-                  if (Array.isArray(parsedTop)) {
-                    console.log(`✅ Fetched ${parsedTop.length} ${house} ${dataType} records`)
-                    resolve(parsedTop)
-                    return
-                  }
-                } catch {
-                  // Ignore parsing errors, continue to fallback logic
-                }
-              }
-
-              // Otherwise, find the correct data key that matches our request
-              const expectedKey = keyParam.replace(/%20/g, ' ') // Convert URL encoded spaces back
-              const availableKeys = Object.keys(response || {})
-
-              let _dataKey = null
-              let rawData = null
-
-              // Try exact match first
-              if (response && response[expectedKey]) {
-                _dataKey = expectedKey
-                rawData = response[expectedKey]
-              } else if (response) {
-                // Try partial match
-                for (const key of availableKeys) {
-                  if (
-                    key.toLowerCase().includes(expectedKey.toLowerCase()) ||
-                    expectedKey.toLowerCase().includes(key.toLowerCase())
-                  ) {
-                    _dataKey = key
-                    rawData = response[key]
-                    break
-                  }
-                }
+              if (this.recorder) {
+                this.recorder.save(house, dataType, lsTerm, data, res.statusCode)
               }
-
-              if (rawData === null || rawData === undefined) {
-                console.error(`Available response keys:`, availableKeys)
-                console.error(`Looking for key matching:`, expectedKey)
-                reject(new Error(`No matching data key found in API response`))
-                return
-              }
-
-              if (typeof rawData === 'string') {
-                try {
-                  const parsedData = JSON.parse(rawData)
-                  if (!Array.isArray(parsedData)) {
-                    reject(new Error(`Expected array but got ${typeof parsedData}`))
-                    return
-                  }
-                  console.log(`✅ Fetched ${parsedData.length} ${house} ${dataType} records`)
-                  resolve(parsedData)
-                } catch (parseError) {
-                  console.error(`JSON parse error for ${house} ${dataType}:`, parseError.message)
-                  reject(new Error(`Failed to parse API response: ${parseError.message}`))
-                }
-              } else if (Array.isArray(rawData)) {
-                console.log(`✅ Fetched ${rawData.length} ${house} ${dataType} records`)
-                resolve(rawData)
-              } else {
-                console.error(`Unexpected data format for ${house} ${dataType}:`, typeof rawData)
-                reject(
-                  new Error(
-                    `Unexpected data format from API: expected string or array, got ${typeof rawData}`
-                  )
-                )
-              }
-            } catch (parseError) {
-              console.error(`JSON parse error for ${house} ${dataType}:`, parseError.message)
-              console.error('Raw response:', data.substring(0, 500) + '...')
-              reject(new Error(`Failed to parse API response: ${parseError.message}`))
+              resolve(this.parseResponseBody(data, house, dataType, keyParam))
+            } catch (error) {
+              reject(error)
             }
           })
         })
@@ -516,13 +453,101 @@ class MPLADSApiClient {
     })
   }
 
+  /**
+   * Parse a raw getTilesReportData response body into an array of records
+   * @param {string} data - Raw response body (live or replayed)
+   * @returns {Array} - Array of records
+   */
+  parseResponseBody(data, house, dataType, keyParam) {
+    console.log(`✅ ${house} ${dataType} response: ${data.length} bytes`)
+
+    let response
+    try {
+      response = JSON.parse(data)
+    } catch (parseError) {
+      console.error(`JSON parse error for ${house} ${dataType}:`, parseError.message)
+      console.error('Raw response:', data.substring(0, 500) + '...')
+      throw new Error(`Failed to parse API response: ${parseError.message}`)
+    }
+
+    // Some responses may be a top-level array or stringified array.
+    if (Array.isArray(response)) {
+      console.log(`✅ Fetched ${response.length} ${house} ${dataType} records`)
+      return response
+    }
+    if (typeof response === 'string') {
+      try {
+        const parsedTop = JSON.parse(response)
+        if (Array.isArray(parsedTop)) {
+          console.log(`✅ Fetched ${parsedTop.length} ${house} ${dataType} records`)
+          return parsedTop
+        }
+      } catch {
+        // Ignore parsing errors, continue to fallback logic
+      }
+    }
+
+    // Otherwise, find the correct data key that matches our request
+    const expectedKey = keyParam.replace(/%20/g, ' ') // Convert URL encoded spaces back
+    const availableKeys = Object.keys(response || {})
+
+    let rawData = null
+
+    // Try exact match first
+    if (response && response[expectedKey]) {
+      rawData = response[expectedKey]
+    } else if (response) {
+      // Try partial match
+      for (const key of availableKeys) {
+        if (
+          key.toLowerCase().includes(expectedKey.toLowerCase()) ||
+          expectedKey.toLowerCase().includes(key.toLowerCase())
+        ) {
+          rawData = response[key]
+          break
+        }
+      }
+    }
+
+    if (rawData === null || rawData === undefined) {
+      console.error(`Available response keys:`, availableKeys)
+      console.error(`Looking for key matching:`, expectedKey)
+      throw new Error(`No matching data key found in API response`)
+    }
+
+    if (typeof rawData === 'string') {
+      let parsedData
+      try {
+        parsedData = JSON.parse(rawData)
+      } catch (parseError) {
+        console.error(`JSON parse error for ${house} ${dataType}:`, parseError.message)
+        throw new Error(`Failed to parse API response: ${parseError.message}`)
+      }
+      if (!Array.isArray(parsedData)) {
+        throw new Error(`Expected array but got ${typeof parsedData}`)
+      }
+      console.log(`✅ Fetched ${parsedData.length} ${house} ${dataType} records`)
+      return parsedData
+    }
+
+    if (Array.isArray(rawData)) {
+      console.log(`✅ Fetched ${rawData.length} ${house} ${dataType} records`)
+      return rawData
+    }
+
+    console.error(`Unexpected data format for ${house} ${dataType}:`, typeof rawData)
+    throw new Error(
+      `Unexpected data format from API: expected string or array, got ${typeof rawData}`
+    )
+  }
+
   /**
    * Fetch all data types for a specific house
    * @param {string} house - 'lok_sabha' or 'rajya_sabha'
    * @returns {Promise<Object>} - Object with all data types
    */
   async fetchAllDataForHouse(house, options = {}) {
-    const { lsTerm = '18' } = options
+    const { lsTerm = CURRENT_LS_TERM } = options
     const dataTypes = ['works_completed', 'works_recommended', 'expenditure', 'allocated_limit']
     const results = {}
 
@@ -530,7 +555,9 @@ class MPLADSApiClient {
       try {
         results[dataType] = await this.fetchData(house, dataType, lsTerm)
         // Add small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 1000))
+        if (!this.replayer) {
+          await new Promise(resolve => setTimeout(resolve, 1000))
+        }
       } catch (error) {
         console.error(`Failed to fetch ${house} ${dataType}:`, error.message)
         results[dataType] = []
@@ -542,47 +569,37 @@ class MPLADSApiClient {
 
   /**
    * Fetch all data for both houses with proper session management
-   * @returns {Promise<Object>} - Complete dataset
+   * @param {string|number|Array} lsTermOption - Lok Sabha terms to fetch ('both', 17, '16,17', ...)
+   * @returns {Promise<Object>} - Complete dataset with one `lok_sabha_<term>` bucket per term
    */
   async fetchAllData(lsTermOption = 'both') {
     console.log('🚀 Starting complete MPLADS data fetch...\n')
 
     try {
-      // Ensure we have a valid session before starting
-      const sessionReady = await this.ensureValidSession()
-      if (!sessionReady) {
-        throw new Error('Failed to establish session for data fetch')
-      }
-
-      console.log('📊 Session ready, proceeding with data fetch...')
+      if (this.replayer) {
+        console.log(`📼 Replaying recorded responses from ${this.replayer.dir}`)
+        if (this.replayer.manifest?.recordedAt) {
+          console.log(`   Recorded at: ${this.replayer.manifest.recordedAt}`)
+        }
+      } else {
+        // Ensure we have a valid session before starting
+        const sessionReady = await this.ensureValidSession()
+        if (!sessionReady) {
+          throw new Error('Failed to establish session for data fetch')
+        }
 
-      // Fetch data sequentially to be respectful to the API
-      const option = (lsTermOption || 'both').toString().toLowerCase()
-      let lok18 = {
-        works_completed: [],
-        works_recommended: [],
-        expenditure: [],
-        allocated_limit: [],
-      }
-      let lok17 = {
-        works_completed: [],
-        works_recommended: [],
-        expenditure: [],
-        allocated_limit: [],
+        console.log('📊 Session ready, proceeding with data fetch...')
       }
 
-      if (option === '18' || option === 'both') {
-        console.log('🏛️  Fetching Lok Sabha (18th) data...')
-        lok18 = await this.fetchAllDataForHouse('lok_sabha', { lsTerm: '18' })
-      } else {
-        console.log('⏭️  Skipping Lok Sabha (18th)')
-      }
+      // Fetch data sequentially to be respectful to the API
+      const lsTerms = parseLsTermOption(lsTermOption)
+      const lokSabha = {}
 
-      if (option === '17' || option === 'both') {
-        console.log('🏛️  Fetching Lok Sabha (17th) data...')
-        lok17 = await this.fetchAllDataForHouse('lok_sabha', { lsTerm: '17' })
-      } else {
-        console.log('⏭️  Skipping Lok Sabha (17th)')
+      for (const lsTerm of lsTerms) {
+        console.log(`🏛️  Fetching Lok Sabha (${lsTerm}th) data...`)
+        lokSabha[lokSabhaBucket(lsTerm)] = await this.fetchAllDataForHouse('lok_sabha', {
+          lsTerm: String(lsTerm),
+        })
       }
 
       console.log('🏛️  Fetching Rajya Sabha data...')
@@ -590,34 +607,46 @@ class MPLADSApiClient {
 
       console.log('\n✅ Complete data fetch successful!')
       console.log('📊 Final Summary:')
-      console.log(`   Lok Sabha (18) - Works Completed: ${lok18.works_completed.length}`)
-      console.log(`   Lok Sabha (18) - Works Recommended: ${lok18.works_recommended.length}`)
-      console.log(`   Lok Sabha (18) - Expenditure: ${lok18.expenditure.length}`)
-      console.log(`   Lok Sabha (18) - Allocated Limit: ${lok18.allocated_limit.length}`)
-      console.log(`   Lok Sabha (17) - Works Completed: ${lok17.works_completed.length}`)
-      console.log(`   Lok Sabha (17) - Works Recommended: ${lok17.works_recommended.length}`)
-      console.log(`   Lok Sabha (17) - Expenditure: ${lok17.expenditure.length}`)
-      console.log(`   Lok Sabha (17) - Allocated Limit: ${lok17.allocated_limit.length}`)
+      lsTerms.forEach(lsTerm => {
+        const termData = lokSabha[lokSabhaBucket(lsTerm)]
+        console.log(
+          `   Lok Sabha (${lsTerm}) - Works Completed: ${termData.works_completed.length}`
+        )
+        console.log(
+          `   Lok Sabha (${lsTerm}) - Works Recommended: ${termData.works_recommended.length}`
+        )
+        console.log(`   Lok Sabha (${lsTerm}) - Expenditure: ${termData.expenditure.length}`)
+        console.log(
+          `   Lok Sabha (${lsTerm}) - Allocated Limit: ${termData.allocated_limit.length}`
+        )
+      })
       console.log(`   Rajya Sabha - Works Completed: ${rajyaSabhaData.works_completed.length}`)
       console.log(`   Rajya Sabha - Works Recommended: ${rajyaSabhaData.works_recommended.length}`)
       console.log(`   Rajya Sabha - Expenditure: ${rajyaSabhaData.expenditure.length}`)
       console.log(`   Rajya Sabha - Allocated Limit: ${rajyaSabhaData.allocated_limit.length}`)
 
-      const totalRecords =
-        Object.values(lok18).reduce((sum, arr) => sum + arr.length, 0) +
-        Object.values(lok17).reduce((sum, arr) => sum + arr.length, 0) +
-        Object.values(rajyaSabhaData).reduce((sum, arr) => sum + arr.length, 0)
+      const totalRecords = [...Object.values(lokSabha), rajyaSabhaData].reduce(
+        (sum, houseData) =>
+          sum + Object.values(houseData).reduce((houseSum, arr) => houseSum + arr.length, 0),
+        0
+      )
       console.log(`   📈 Total Records Fetched: ${totalRecords}`)
 
+      const option = lsTerms.join(',')
+      if (this.recorder) {
+        this.recorder.writeManifest({ lsTermOption: option, totalRecords })
+      }
+
       // Return separate buckets so transformer can tag lsTerm
       return {
-        lok_sabha_18: lok18,
-        lok_sabha_17: lok17,
+        ...lokSabha,
         rajya_sabha: rajyaSabhaData,
         metadata: {
           fetchTime: new Date().toISOString(),
           totalRecords: totalRecords,
           lsTermOption: option,
+          recordedTo: this.recorder?.dir || null,
+          replayedFrom: this.replayer?.dir || null,
         },
       }
     } catch (error) {
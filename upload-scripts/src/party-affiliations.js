@@ -0,0 +1,174 @@
+/**
+ * Party affiliation of MPs.
+ *
+ * The portal publishes no party, so affiliations come from party-affiliations.json,
+ * maintained by hand. `parties` lists each party's full name and the alliances it
+ * belonged to, with dates. Each entry in `affiliations` names an MP the same way
+ * an MP identity override does (`name` and `state`, optionally `house`, `lsTerm`
+ * and `constituency`, or the `mpId` itself), the `party`, the days it held from
+ * and `until` (inclusive, open when left out), where the fact comes from
+ * (`source`) and the day it was checked (`sourcedOn`). A switch is two entries,
+ * one ending the day before the other starts.
+ *
+ * Works and payments get the party in effect on their own date, so a switch
+ * moves an MP's later spending to the new party. A tenure (allocation, MP
+ * summary) gets the party in effect on its last day, or today for a sitting
+ * member, plus `partyHistory`: every affiliation that overlaps the tenure.
+ */
+
+const reference = require('./party-affiliations.json')
+const { resolveMP } = require('./mp-identity')
+const { lokSabhaTermPeriod } = require('./ls-terms')
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const NO_PARTY = { party: null, alliance: null }
+
+const isDay = value => typeof value === 'string' && DAY_PATTERN.test(value)
+
+const toDay = value => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10)
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const inEffect = (span, day) =>
+  (!span.from || span.from <= day) && (!span.until || day <= span.until)
+
+/**
+ * Reject an entry the resolver cannot use; a bad reference file stops the sync
+ * rather than publishing guessed parties
+ */
+function checkEntry(entry, index) {
+  const label = `party-affiliations.json affiliations[${index}] (${entry.name || entry.mpId || '?'})`
+  if (!entry.mpId && !(entry.name && entry.state)) {
+    throw new Error(`${label}: needs "mpId" or "name" and "state"`)
+  }
+  if (!reference.parties[entry.party]) {
+    throw new Error(`${label}: party "${entry.party}" is not listed under "parties"`)
+  }
+  if (!entry.source || !isDay(entry.sourcedOn)) {
+    throw new Error(`${label}: needs a "source" and a "sourcedOn" date (YYYY-MM-DD)`)
+  }
+  ;['from', 'until'].forEach(field => {
+    if (entry[field] !== undefined && !isDay(entry[field])) {
+      throw new Error(`${label}: "${field}" must be a date (YYYY-MM-DD)`)
+    }
+  })
+}
+
+// Affiliations by mpId, oldest first
+const AFFILIATIONS = new Map()
+reference.affiliations.forEach((entry, index) => {
+  checkEntry(entry, index)
+  const mpId =
+    entry.mpId ||
+    resolveMP({
+      mpName: entry.name,
+      state: entry.state,
+      house: entry.house,
+      lsTerm: entry.lsTerm ?? null,
+      constituency: entry.constituency,
+    })?.mpId
+  if (!mpId) return
+  const span = {
+    party: entry.party,
+    from: entry.from || null,
+    until: entry.until || null,
+    source: entry.source,
+    sourcedOn: entry.sourcedOn,
+  }
+  AFFILIATIONS.set(
+    mpId,
+    [...(AFFILIATIONS.get(mpId) || []), span].sort((a, b) =>
+      (a.from || '').localeCompare(b.from || '')
+    )
+  )
+})
+
+/**
+ * Alliance a party belonged to on a day
+ * @returns {string|null}
+ */
+function allianceOn(party, day) {
+  const spans = reference.parties[party]?.alliances || []
+  return spans.find(span => inEffect(span, day))?.alliance || null
+}
+
+// Tenures repeat on every record of an MP; resolve each once per run
+const tenureCache = new Map()
+
+/**
+ * Party of one tenure: the affiliation in effect on its last day (today for a
+ * sitting member) and every affiliation that overlaps it
+ * @param {string} mpId - Persistent MP identity (mp-identity.js)
+ * @param {string} house
+ * @param {number|null} lsTerm - Lok Sabha term; Rajya Sabha tenures have none
+ * @returns {{party: string|null, alliance: string|null, partyHistory: Array}}
+ */
+function tenureParty(mpId, house, lsTerm) {
+  const cacheKey = [mpId, house, lsTerm].join('|')
+  if (tenureCache.has(cacheKey)) return tenureCache.get(cacheKey)
+
+  const spans = AFFILIATIONS.get(mpId) || []
+  // Rajya Sabha and unlisted terms are treated as open-ended
+  const period = (house === 'Lok Sabha' && lokSabhaTermPeriod(lsTerm)) || {
+    from: null,
+    until: null,
+  }
+  const lastDay = period.until && period.until < today() ? period.until : today()
+  const overlapping = spans.filter(
+    span =>
+      (!span.until || !period.from || span.until >= period.from) &&
+      (!span.from || span.from <= lastDay)
+  )
+  const current =
+    overlapping.find(span => inEffect(span, lastDay)) || overlapping[overlapping.length - 1]
+
+  const result = current
+    ? {
+        party: current.party,
+        alliance: allianceOn(current.party, lastDay),
+        partyHistory: overlapping.map(span => ({
+          party: span.party,
+          alliance: allianceOn(
+            span.party,
+            span.until && span.until < lastDay ? span.until : lastDay
+          ),
+          from: span.from,
+          until: span.until,
+          source: span.source,
+          sourcedOn: span.sourcedOn,
+        })),
+      }
+    : { ...NO_PARTY, partyHistory: [] }
+  tenureCache.set(cacheKey, result)
+  return result
+}
+
+/**
+ * Party of one work or payment: the affiliation in effect on its date, or the
+ * tenure's party when the record has no date
+ * @param {Object} record - { mpId, house, lsTerm }
+ * @param {Date|string|null} date
+ * @returns {{party: string|null, alliance: string|null}}
+ */
+function partyOn(record, date) {
+  const day = toDay(date)
+  if (!record.mpId) return NO_PARTY
+  if (!day) {
+    const { party, alliance } = tenureParty(record.mpId, record.house, record.lsTerm ?? null)
+    return { party, alliance }
+  }
+  const span = (AFFILIATIONS.get(record.mpId) || []).find(entry => inEffect(entry, day))
+  return span ? { party: span.party, alliance: allianceOn(span.party, day) } : NO_PARTY
+}
+
+module.exports = {
+  PARTIES: reference.parties,
+  allianceOn,
+  tenureParty,
+  partyOn,
+}
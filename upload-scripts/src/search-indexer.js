@@ -0,0 +1,298 @@
+/**
+ * Search index builder.
+ *
+ * Runs after every sync (and rollback) and writes one document per searchable
+ * entity — MP, constituency, work and vendor — into `search_index`. Each
+ * document carries the phonetic keys of its text (see search-text.js), so the
+ * `keys` multikey index doubles as an inverted index that the backend's
+ * /api/search endpoint queries and ranks.
+ */
+
+const { COLLECTIONS } = require('./dataset-manager')
+const { searchKeys } = require('./search-text')
+
+const SEARCH_INDEX_COLLECTION = 'search_index'
+// Built aside and renamed in so searches never see a half-built index
+const BUILD_SUFFIX = '_build'
+const BATCH_SIZE = 1000
+
+/**
+ * Buffered insertMany into the build collection
+ */
+function createWriter(collection) {
+  let buffer = []
+  let written = 0
+
+  const flush = async () => {
+    if (buffer.length === 0) return
+    await collection.insertMany(buffer, { ordered: false })
+    written += buffer.length
+    buffer = []
+  }
+
+  return {
+    async add(doc) {
+      buffer.push(doc)
+      if (buffer.length >= BATCH_SIZE) await flush()
+    },
+    async close() {
+      await flush()
+      return written
+    },
+  }
+}
+
+const compact = values => Array.from(new Set(values.filter(v => v !== null && v !== undefined)))
+
+/**
+ * One entry per MP and term, from the computed MP summaries
+ */
+async function indexMPs(db, writer) {
+  const cursor = db.collection(COLLECTIONS.SUMMARIES).find({ type: 'mp_summary' }).project({
+    mpName: 1,
+    house: 1,
+    state: 1,
+    constituency: 1,
+    lsTerm: 1,
+    party: 1,
+    allocatedAmount: 1,
+    totalExpenditure: 1,
+    utilizationPercentage: 1,
+    completedWorksCount: 1,
+  })
+
+  let count = 0
+  for await (const mp of cursor) {
+    if (!mp.mpName) continue
+    await writer.add({
+      type: 'mp',
+      title: mp.mpName,
+      subtitle: [mp.constituency, mp.state].filter(Boolean).join(', '),
+      titleKeys: searchKeys(mp.mpName),
+      keys: searchKeys([mp.mpName, mp.constituency, mp.state].join(' ')),
+      mpName: mp.mpName,
+      house: mp.house,
+      lsTerm: mp.lsTerm ?? null,
+      state: mp.state,
+      constituency: mp.constituency,
+      party: mp.party ?? null,
+      amount: mp.allocatedAmount || 0,
+      stats: {
+        totalExpenditure: mp.totalExpenditure || 0,
+        utilizationPercentage: mp.utilizationPercentage || 0,
+        completedWorksCount: mp.completedWorksCount || 0,
+      },
+      weight: mp.allocatedAmount || 0,
+    })
+    count++
+  }
+  return count
+}
+
+/**
+ * One entry per Lok Sabha constituency, listing its MPs across terms. Seats are
+ * grouped by registry ID, so a renamed seat is one entry under its latest name.
+ */
+async function indexConstituencies(db, writer) {
+  const constituencies = await db
+    .collection(COLLECTIONS.SUMMARIES)
+    .aggregate(
+      [
+        { $match: { type: 'mp_summary', house: 'Lok Sabha', constituency: { $nin: [null, ''] } } },
+        { $sort: { lsTerm: -1 } },
+        {
+          $group: {
+            _id: {
+              $ifNull: ['$constituencyId', { $concat: ['$state', '|', '$constituency'] }],
+            },
+            constituencyId: { $first: '$constituencyId' },
+            constituency: { $first: '$constituency' },
+            state: { $first: '$state' },
+            names: { $addToSet: '$constituency' },
+            mps: { $push: { mpName: '$mpName', lsTerm: '$lsTerm', party: '$party' } },
+            lsTerms: { $addToSet: '$lsTerm' },
+            parties: { $addToSet: '$party' },
+            totalAllocated: { $sum: '$allocatedAmount' },
+            totalExpenditure: { $sum: '$totalExpenditure' },
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray()
+
+  for (const entry of constituencies) {
+    const { constituency, state } = entry
+    const mps = entry.mps.sort((a, b) => (b.lsTerm || 0) - (a.lsTerm || 0))
+    // Earlier spellings stay searchable
+    const names = compact([constituency, ...entry.names]).join(' ')
+    await writer.add({
+      type: 'constituency',
+      title: constituency,
+      subtitle: state,
+      titleKeys: searchKeys(constituency),
+      keys: searchKeys(`${names} ${state}`),
+      constituencyId: entry.constituencyId ?? null,
+      mpName: mps[0]?.mpName || null,
+      house: ['Lok Sabha'],
+      lsTerm: compact(entry.lsTerms).sort((a, b) => b - a),
+      state,
+      constituency,
+      party: compact(entry.parties),
+      mps,
+      amount: entry.totalAllocated || 0,
+      stats: { totalExpenditure: entry.totalExpenditure || 0 },
+      weight: entry.totalAllocated || 0,
+    })
+  }
+  return constituencies.length
+}
+
+/**
+ * One entry per completed or recommended work, keyed on its description and category
+ */
+async function indexWorks(db, writer) {
+  const sources = [
+    { name: COLLECTIONS.WORKS_COMPLETED, status: 'completed', amountField: 'finalAmount' },
+    {
+      name: COLLECTIONS.WORKS_RECOMMENDED,
+      status: 'recommended',
+      amountField: 'recommendedAmount',
+    },
+  ]
+
+  let count = 0
+  for (const { name, status, amountField } of sources) {
+    const cursor = db.collection(name).find(
+      { workDescription: { $nin: [null, ''] } },
+      {
+        projection: {
+          workId: 1,
+          workDescription: 1,
+          workCategory: 1,
+          mpName: 1,
+          house: 1,
+          lsTerm: 1,
+          state: 1,
+          constituency: 1,
+          party: 1,
+          [amountField]: 1,
+        },
+      }
+    )
+
+    for await (const work of cursor) {
+      const keys = searchKeys(`${work.workDescription} ${work.workCategory || ''}`)
+      if (keys.length === 0) continue
+      await writer.add({
+        type: 'work',
+        title: work.workDescription,
+        subtitle: [work.constituency, work.state].filter(Boolean).join(', '),
+        titleKeys: searchKeys(work.workDescription),
+        keys,
+        workId: work.workId ?? null,
+        status,
+        category: work.workCategory || null,
+        mpName: work.mpName,
+        house: work.house,
+        lsTerm: work.lsTerm ?? null,
+        state: work.state,
+        constituency: work.constituency,
+        party: work.party ?? null,
+        amount: work[amountField] || 0,
+        weight: work[amountField] || 0,
+      })
+      count++
+    }
+  }
+  return count
+}
+
+/**
+ * One entry per vendor name (case-insensitive), with payment totals
+ */
+async function indexVendors(db, writer) {
+  const cursor = db.collection(COLLECTIONS.EXPENDITURES).aggregate(
+    [
+      { $match: { vendor: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$vendor' } } },
+          name: { $first: { $trim: { input: '$vendor' } } },
+          totalPaid: { $sum: '$expenditureAmount' },
+          payments: { $sum: 1 },
+          mps: { $addToSet: '$mpName' },
+          states: { $addToSet: '$state' },
+          houses: { $addToSet: '$house' },
+          lsTerms: { $addToSet: '$lsTerm' },
+          parties: { $addToSet: '$party' },
+        },
+      },
+    ],
+    { allowDiskUse: true }
+  )
+
+  let count = 0
+  for await (const vendor of cursor) {
+    const keys = searchKeys(vendor.name)
+    if (keys.length === 0) continue
+    const states = compact(vendor.states).sort()
+    await writer.add({
+      type: 'vendor',
+      title: vendor.name,
+      subtitle: states.slice(0, 3).join(', ') + (states.length > 3 ? ` +${states.length - 3}` : ''),
+      titleKeys: keys,
+      keys,
+      house: compact(vendor.houses),
+      lsTerm: compact(vendor.lsTerms),
+      state: states,
+      party: compact(vendor.parties),
+      amount: vendor.totalPaid || 0,
+      stats: { payments: vendor.payments, mpCount: compact(vendor.mps).length },
+      weight: vendor.totalPaid || 0,
+    })
+    count++
+  }
+  return count
+}
+
+/**
+ * Rebuild the search index from the live collections
+ * @returns {Object} Entry counts by type
+ */
+async function buildSearchIndex(db) {
+  const buildName = `${SEARCH_INDEX_COLLECTION}${BUILD_SUFFIX}`
+  console.log('\n🔎 Building search index...')
+
+  const existing = await db.listCollections({ name: buildName }, { nameOnly: true }).toArray()
+  if (existing.length > 0) await db.collection(buildName).drop()
+
+  const buildCollection = db.collection(buildName)
+  const writer = createWriter(buildCollection)
+  const counts = {
+    mp: await indexMPs(db, writer),
+    constituency: await indexConstituencies(db, writer),
+    work: await indexWorks(db, writer),
+    vendor: await indexVendors(db, writer),
+  }
+  const total = await writer.close()
+
+  if (total === 0) {
+    console.log('ℹ️  Nothing to index, search index left untouched')
+    return counts
+  }
+
+  await buildCollection.createIndex({ keys: 1, type: 1 })
+  await buildCollection.createIndex({ type: 1, weight: -1 })
+  await db.renameCollection(buildName, SEARCH_INDEX_COLLECTION, { dropTarget: true })
+
+  console.log(
+    `✅ Search index built: ${counts.mp} MPs, ${counts.constituency} constituencies, ${counts.work} works, ${counts.vendor} vendors`
+  )
+  return counts
+}
+
+module.exports = {
+  SEARCH_INDEX_COLLECTION,
+  buildSearchIndex,
+}
@@ -0,0 +1,97 @@
+/**
+ * Follow digests.
+ *
+ * Mailing list subscribers can follow MPs, constituencies, states and works.
+ * Once a sync's dataset is live, this step counts the works and payments the
+ * sync added (the history recorder already compared them with the previous
+ * snapshot) and queues one `watch_digests` document for the sync. The backend
+ * picks it up, matches each subscriber's follows against that sync's
+ * `record_history` entries and emails the digest.
+ */
+
+const { HISTORY_COLLECTION } = require('./history-recorder')
+
+const DIGEST_COLLECTION = 'watch_digests'
+
+// What a new record in each collection means to a follower
+const DIGEST_KINDS = {
+  works_recommended: 'recommendations',
+  works_completed: 'completions',
+  expenditures: 'payments',
+}
+
+/**
+ * Queue the digest of one activated sync
+ * @param {Db} db - MongoDB database
+ * @param {Object} history - Recorder from createHistoryRecorder() used by the sync
+ * @param {Object} dataset - Activated dataset ({ version })
+ * @returns {Promise<Object|null>} Counts per kind, or null when the sync added nothing
+ */
+async function queueWatchDigest(db, history, dataset) {
+  const rows = await db
+    .collection(HISTORY_COLLECTION)
+    .aggregate([
+      {
+        $match: {
+          syncedAt: history.syncedAt,
+          changeType: 'added',
+          collection: { $in: Object.keys(DIGEST_KINDS) },
+        },
+      },
+      { $group: { _id: '$collection', count: { $sum: 1 } } },
+    ])
+    .toArray()
+
+  const counts = Object.fromEntries(Object.values(DIGEST_KINDS).map(kind => [kind, 0]))
+  rows.forEach(row => {
+    counts[DIGEST_KINDS[row._id]] = row.count
+  })
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  if (total === 0) {
+    console.log('📭 No new works or payments; no follow digest queued')
+    return null
+  }
+
+  const digests = db.collection(DIGEST_COLLECTION)
+  await digests.createIndex({ status: 1, createdAt: 1 })
+  // A re-run of the same sync must not mail followers twice
+  await digests.updateOne(
+    { syncedAt: history.syncedAt },
+    {
+      $setOnInsert: {
+        syncedAt: history.syncedAt,
+        datasetVersion: dataset.version,
+        counts,
+        status: 'pending',
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true }
+  )
+  console.log(
+    `📬 Follow digest queued: ${counts.recommendations} recommendations, ${counts.completions} completions, ${counts.payments} payments`
+  )
+  return counts
+}
+
+/**
+ * Drop the unsent digest of a dataset that was rolled back; its changes are no longer live
+ * @returns {Promise<number>} Digests cancelled
+ */
+async function cancelWatchDigests(db, datasetVersion) {
+  const { modifiedCount } = await db
+    .collection(DIGEST_COLLECTION)
+    .updateMany(
+      { datasetVersion, status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    )
+  if (modifiedCount > 0) console.log(`📭 Cancelled ${modifiedCount} unsent follow digest(s)`)
+  return modifiedCount
+}
+
+module.exports = {
+  DIGEST_COLLECTION,
+  DIGEST_KINDS,
+  queueWatchDigest,
+  cancelWatchDigests,
+}
@@ -0,0 +1,183 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { COLLECTIONS } = require('../src/dataset-manager')
+const { detectAnomalies, activateAnomalyFlags } = require('../src/anomaly-detector')
+
+/**
+ * Fake db serving canned aggregation results. Each rule runs one pipeline, so
+ * results are keyed by rule: `unrecommended` and `sameDay` are the expenditure
+ * groups, `completed` the completed works with their recommendation and
+ * payment lookups already joined.
+ */
+const createDb = ({ unrecommended = [], completed = [], sameDay = [] } = {}) => {
+  const flags = []
+  const renames = []
+  const collections = new Set()
+
+  const db = {
+    flags,
+    renames,
+    listCollections: ({ name }) => ({
+      toArray: async () => (collections.has(name) ? [{ name }] : []),
+    }),
+    renameCollection: async (from, to) => {
+      collections.delete(from)
+      renames.push([from, to])
+    },
+    collection: name => ({
+      aggregate: pipeline => {
+        if (name === COLLECTIONS.WORKS_COMPLETED) return completed
+        return pipeline[0].$match.vendor ? sameDay : unrecommended
+      },
+      insertMany: async documents => flags.push(...documents),
+      createIndex: async () => collections.add(name),
+      drop: async () => collections.delete(name),
+    }),
+  }
+  return db
+}
+
+const completedWork = overrides => ({
+  workId: 101,
+  mpName: 'Test Member',
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  state: 'Karnataka',
+  constituency: 'Gulbarga',
+  workDescription: 'Road from the bus stand to the market',
+  completedDate: new Date('2024-06-01'),
+  finalAmount: 500000,
+  recommendation: [{ recommendedAmount: 500000, recommendationDate: new Date('2024-01-01') }],
+  payment: [{ _id: 1 }],
+  ...overrides,
+})
+
+const byRule = (flags, rule) => flags.filter(flag => flag.rule === rule)
+
+describe('detectAnomalies', () => {
+  it('raises no flags for a clean completed work', async () => {
+    const db = createDb({ completed: [completedWork()] })
+    const counts = await detectAnomalies(db)
+
+    assert.deepEqual(db.flags, [])
+    assert.ok(Object.values(counts).every(count => count === 0))
+  })
+
+  it('flags a final amount far above the recommendation', async () => {
+    const db = createDb({
+      completed: [
+        completedWork({ workId: 101, finalAmount: 700000 }),
+        completedWork({ workId: 102, finalAmount: 800000 }),
+        completedWork({ workId: 103, finalAmount: 1600000 }),
+      ],
+    })
+    const counts = await detectAnomalies(db)
+    const flags = byRule(db.flags, 'final_above_recommended')
+
+    // 1.4× stays under the threshold; 3× or more is high severity
+    assert.equal(counts.final_above_recommended, 2)
+    assert.deepEqual(
+      flags.map(flag => [flag.workId, flag.severity, flag.details.ratio]),
+      [
+        [102, 'medium', 1.6],
+        [103, 'high', 3.2],
+      ]
+    )
+    assert.equal(flags[0].entityType, 'work')
+    assert.match(flags[0].reason, /1\.6× the recommended/)
+  })
+
+  it('flags a work completed before it was recommended', async () => {
+    const db = createDb({
+      completed: [completedWork({ completedDate: new Date('2023-12-22') })],
+    })
+    await detectAnomalies(db)
+    const [flag] = byRule(db.flags, 'completed_before_recommended')
+
+    assert.equal(flag.details.daysEarly, 10)
+    assert.equal(
+      flag.reason,
+      'Marked completed on 2023-12-22, 10 day(s) before it was recommended on 2024-01-01.'
+    )
+  })
+
+  it('flags a completed work with no payments', async () => {
+    const db = createDb({
+      completed: [
+        completedWork({ workId: 101, payment: [] }),
+        completedWork({ workId: 102, payment: [], finalAmount: 0 }),
+      ],
+    })
+    await detectAnomalies(db)
+
+    assert.deepEqual(
+      byRule(db.flags, 'completed_without_payments').map(flag => flag.severity),
+      ['medium', 'low']
+    )
+  })
+
+  it('flags payments on a work nobody recommended', async () => {
+    const db = createDb({
+      unrecommended: [
+        {
+          _id: { workId: 201, house: 'Lok Sabha', lsTerm: 18 },
+          workId: 201,
+          house: 'Lok Sabha',
+          lsTerm: 18,
+          mpName: 'Test Member',
+          state: 'Karnataka',
+          constituency: 'Gulbarga',
+          work: 'Community hall',
+          totalPaid: 250000,
+          payments: 2,
+          vendors: ['Sharma Constructions', null],
+          recommendation: [],
+        },
+      ],
+    })
+    await detectAnomalies(db)
+    const [flag] = byRule(db.flags, 'payment_without_recommendation')
+
+    assert.equal(flag.severity, 'high')
+    assert.equal(flag.workDescription, 'Community hall')
+    assert.deepEqual(flag.details.vendors, ['Sharma Constructions'])
+  })
+
+  it('flags an MP for bursts of same-day payments to one vendor', async () => {
+    const db = createDb({
+      sameDay: [
+        {
+          _id: {
+            vendor: 'sharma constructions',
+            day: '2024-03-31',
+            mpName: 'Test Member',
+            house: 'Lok Sabha',
+            lsTerm: 18,
+          },
+          vendor: 'Sharma Constructions',
+          state: 'Karnataka',
+          constituency: 'Gulbarga',
+          payments: 6,
+          totalPaid: 600000,
+          workIds: [101, 102, null],
+        },
+      ],
+    })
+    await detectAnomalies(db)
+    const [flag] = byRule(db.flags, 'same_day_vendor_payments')
+
+    assert.equal(flag.entityType, 'mp')
+    assert.equal(flag.mpName, 'Test Member')
+    assert.equal(flag.workId, null)
+    assert.deepEqual(flag.details.workIds, [101, 102])
+  })
+
+  it('builds the flags aside until they are activated', async () => {
+    const db = createDb()
+    await detectAnomalies(db)
+
+    assert.deepEqual(db.renames, [])
+    assert.equal(await activateAnomalyFlags(db), true)
+    assert.deepEqual(db.renames, [['anomaly_flags_build', 'anomaly_flags']])
+  })
+})
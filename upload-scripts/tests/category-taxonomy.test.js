@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { SECTORS, classifyCategory, isUnmappedCategory } = require('../src/category-taxonomy')
+
+describe('classifyCategory', () => {
+  it('maps casing and spelling variants to one category', () => {
+    const expected = { canonicalCategory: 'Drinking Water Facility', sector: SECTORS.WATER }
+
+    assert.deepEqual(classifyCategory('Drinking Water Facility'), expected)
+    assert.deepEqual(classifyCategory('DRINKING WATER FACILITIES'), expected)
+    assert.deepEqual(classifyCategory('Drinkng Water'), expected)
+  })
+
+  it('matches by pattern when no alias does', () => {
+    assert.deepEqual(classifyCategory('Construction of school class rooms'), {
+      canonicalCategory: 'Education',
+      sector: SECTORS.EDUCATION,
+    })
+  })
+
+  it('puts an unrecognized category under Other with no canonical name', () => {
+    assert.deepEqual(classifyCategory('Zzyzx'), { canonicalCategory: null, sector: SECTORS.OTHER })
+  })
+
+  it('leaves a missing category unclassified', () => {
+    assert.deepEqual(classifyCategory(''), { canonicalCategory: null, sector: null })
+    assert.deepEqual(classifyCategory(null), { canonicalCategory: null, sector: null })
+  })
+})
+
+describe('isUnmappedCategory', () => {
+  it('is true only for a raw category that matched no rule', () => {
+    assert.equal(isUnmappedCategory({ workCategory: 'Zzyzx', canonicalCategory: null }), true)
+    assert.equal(
+      isUnmappedCategory({ workCategory: 'Education', canonicalCategory: 'Education' }),
+      false
+    )
+    assert.equal(isUnmappedCategory({ workCategory: null, canonicalCategory: null }), false)
+  })
+})
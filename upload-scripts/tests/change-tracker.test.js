@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { ObjectId } = require('mongodb')
+const { diffRecords, createChangeLog, syncCollection } = require('../src/change-tracker')
+
+const payment = overrides => ({
+  workId: 101,
+  mpName: 'Test Member',
+  mpId: 'mp-test-member',
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  state: 'Karnataka',
+  constituency: 'Gulbarga',
+  work: 'Road from the bus stand to the market',
+  vendor: 'Sharma Constructions',
+  ida: 'District Panchayat',
+  expenditureDate: new Date('2024-06-01'),
+  paymentStatus: 'Paid',
+  expenditureAmount: 100000,
+  ...overrides,
+})
+
+const stored = record => ({ ...record, _id: new ObjectId() })
+
+describe('diffRecords', () => {
+  it('leaves identical records unchanged', () => {
+    const incoming = [payment(), payment({ workId: 102 }), payment({ workId: 103 })]
+    const diff = diffRecords('expenditures', incoming.map(stored), incoming)
+
+    assert.deepEqual(
+      { inserted: diff.inserted, updated: diff.updated, removed: diff.removed },
+      { inserted: [], updated: [], removed: [] }
+    )
+    assert.equal(diff.unchanged, 3)
+  })
+
+  it('updates only the changed installment among records sharing a key', () => {
+    // Three installments to one vendor on one day share a key
+    const existing = [
+      stored(payment({ expenditureAmount: 100000 })),
+      stored(payment({ expenditureAmount: 200000 })),
+      stored(payment({ expenditureAmount: 300000 })),
+    ]
+    const incoming = [
+      payment({ expenditureAmount: 100000 }),
+      payment({ expenditureAmount: 250000 }),
+      payment({ expenditureAmount: 300000 }),
+    ]
+    const diff = diffRecords('expenditures', existing, incoming)
+
+    assert.equal(diff.unchanged, 2)
+    assert.equal(diff.inserted.length, 0)
+    assert.equal(diff.removed.length, 0)
+    assert.equal(diff.updated.length, 1)
+    assert.equal(diff.updated[0]._id, existing[1]._id)
+    assert.equal(diff.updated[0].after.expenditureAmount, 250000)
+  })
+
+  it('does not depend on the order records arrive in', () => {
+    const existing = [
+      stored(payment({ expenditureAmount: 100000 })),
+      stored(payment({ expenditureAmount: 200000 })),
+    ]
+    const incoming = [
+      payment({ expenditureAmount: 200000 }),
+      payment({ expenditureAmount: 100000 }),
+    ]
+    const diff = diffRecords('expenditures', existing, incoming)
+
+    assert.equal(diff.unchanged, 2)
+    assert.equal(diff.updated.length, 0)
+  })
+
+  it('inserts extra installments and removes missing ones within a key', () => {
+    const existing = [
+      stored(payment({ expenditureAmount: 100000 })),
+      stored(payment({ expenditureAmount: 200000 })),
+    ]
+    const grown = diffRecords('expenditures', existing, [
+      payment({ expenditureAmount: 100000 }),
+      payment({ expenditureAmount: 200000 }),
+      payment({ expenditureAmount: 300000 }),
+    ])
+    assert.deepEqual(
+      grown.inserted.map(record => record.expenditureAmount),
+      [300000]
+    )
+    assert.equal(grown.updated.length, 0)
+    assert.equal(grown.removed.length, 0)
+
+    const shrunk = diffRecords('expenditures', existing, [payment({ expenditureAmount: 200000 })])
+    assert.deepEqual(shrunk.removed, [existing[0]])
+    assert.equal(shrunk.updated.length, 0)
+    assert.equal(shrunk.inserted.length, 0)
+  })
+
+  it('inserts new keys and removes keys that are no longer published', () => {
+    const existing = [stored(payment({ workId: 101 })), stored(payment({ workId: 102 }))]
+    const diff = diffRecords('expenditures', existing, [
+      payment({ workId: 102 }),
+      payment({ workId: 103 }),
+    ])
+
+    assert.deepEqual(
+      diff.inserted.map(record => record.workId),
+      [103]
+    )
+    assert.deepEqual(diff.removed, [existing[0]])
+    assert.equal(diff.unchanged, 1)
+  })
+
+  it('ignores fields that are not tracked', () => {
+    const existing = [stored(payment({ createdAt: new Date('2024-01-01') }))]
+    const diff = diffRecords('expenditures', existing, [payment()])
+
+    assert.equal(diff.unchanged, 1)
+  })
+})
+
+describe('syncCollection', () => {
+  const createCollection = documents => {
+    const calls = { bulkWrite: [], deleteMany: [] }
+    return {
+      calls,
+      collectionName: 'expenditures_next',
+      find: () => ({ toArray: async () => documents }),
+      bulkWrite: async operations => calls.bulkWrite.push(...operations),
+      deleteMany: async filter => calls.deleteMany.push(filter),
+    }
+  }
+
+  it('writes only the changed rows and records the counts', async () => {
+    const existing = [
+      stored(payment({ workId: 101 })),
+      stored(payment({ workId: 102 })),
+      stored(payment({ workId: 103 })),
+    ]
+    const collection = createCollection(existing)
+    const changeLog = createChangeLog()
+
+    await syncCollection(
+      collection,
+      [
+        payment({ workId: 101 }),
+        payment({ workId: 102, paymentStatus: 'Reversed' }),
+        payment({ workId: 104 }),
+      ],
+      { scope: { lsTerm: 18 }, changeLog, collectionName: 'expenditures' }
+    )
+
+    const [insert, update] = collection.calls.bulkWrite
+    assert.equal(collection.calls.bulkWrite.length, 2)
+    assert.equal(insert.insertOne.document.workId, 104)
+    assert.ok(insert.insertOne.document.createdAt instanceof Date)
+    assert.deepEqual(update.updateOne.filter, { _id: existing[1]._id })
+    assert.equal(update.updateOne.update.$set.paymentStatus, 'Reversed')
+    assert.deepEqual(collection.calls.deleteMany, [{ _id: { $in: [existing[2]._id] } }])
+
+    const log = changeLog.toJSON()
+    assert.deepEqual(log.collections.expenditures, {
+      inserted: 1,
+      updated: 1,
+      removed: 1,
+      unchanged: 1,
+    })
+    assert.equal(log.affectedMPs, 1)
+  })
+
+  it('writes nothing when the scope is unchanged', async () => {
+    const incoming = [payment({ workId: 101 }), payment({ workId: 102 })]
+    const collection = createCollection(incoming.map(stored))
+
+    await syncCollection(collection, incoming, { scope: {}, collectionName: 'expenditures' })
+
+    assert.deepEqual(collection.calls, { bulkWrite: [], deleteMany: [] })
+  })
+})
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { resolveState, resolveConstituency } = require('../src/constituency-registry')
+
+describe('resolveState', () => {
+  it('resolves a state by its name or an alias', () => {
+    const expected = { code: 'AN', name: 'Andaman and Nicobar Islands' }
+
+    assert.deepEqual(resolveState('Andaman and Nicobar Islands'), expected)
+    assert.deepEqual(resolveState('ANDAMAN & NICOBAR ISLANDS'), expected)
+  })
+
+  it('returns null for an unknown state', () => {
+    assert.equal(resolveState('Atlantis'), null)
+  })
+})
+
+describe('resolveConstituency', () => {
+  it('resolves every spelling of a listed seat to one ID', () => {
+    const seat = resolveConstituency('Karnataka', 'Gulbarga', 18)
+
+    assert.equal(seat.id, 'KA-gulbarga')
+    assert.equal(seat.reservation, 'SC')
+    assert.equal(seat.registered, true)
+    assert.equal(resolveConstituency('Karnataka', 'Kalaburagi', 17).id, seat.id)
+    assert.equal(resolveConstituency('Karnataka', 'KALBURGI').id, seat.id)
+  })
+
+  it('derives an ID for a seat missing from the registry', () => {
+    assert.deepEqual(resolveConstituency('Karnataka', 'New Seat', 18), {
+      id: 'KA-new-seat',
+      name: 'New Seat',
+      state: 'Karnataka',
+      stateCode: 'KA',
+      reservation: null,
+      aliases: [],
+      registered: false,
+    })
+  })
+
+  it('returns null without a recognized state or a name', () => {
+    assert.equal(resolveConstituency('Atlantis', 'Gulbarga', 18), null)
+    assert.equal(resolveConstituency('Karnataka', '', 18), null)
+  })
+})
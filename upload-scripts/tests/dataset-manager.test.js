@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  COLLECTIONS,
+  DATASET_POINTER_COLLECTION,
+  activateStaging,
+} = require('../src/dataset-manager')
+
+/**
+ * In-memory database with the calls dataset-manager makes. Each collection
+ * holds a label standing in for its documents; a rename onto `failRenameTo`
+ * throws, like a stepdown or lost connection partway through a swap.
+ */
+const createDb = (collections, { failRenameTo } = {}) => {
+  const store = new Map(Object.entries(collections))
+  const db = {
+    store,
+    listCollections: ({ name }) => ({
+      toArray: async () => (store.has(name) ? [{ name }] : []),
+    }),
+    collection: name => ({
+      aggregate: pipeline => ({
+        toArray: async () => {
+          store.set(pipeline.at(-1).$out, store.get(name))
+          return []
+        },
+      }),
+      indexes: async () => [{ name: '_id_', key: { _id: 1 } }],
+      createIndex: async () => {},
+      drop: async () => store.delete(name),
+      findOne: async () => store.get(name) || null,
+      replaceOne: async (filter, doc) => store.set(name, doc),
+    }),
+    renameCollection: async (from, to) => {
+      if (to === failRenameTo) throw new Error('not primary')
+      store.set(to, store.get(from))
+      store.delete(from)
+    },
+  }
+  return db
+}
+
+const names = Object.values(COLLECTIONS)
+const liveAndStaged = () =>
+  Object.fromEntries(
+    names.flatMap(name => [
+      [name, `old ${name}`],
+      [`${name}_next`, `new ${name}`],
+    ])
+  )
+
+describe('dataset activation', () => {
+  it('swaps every staging collection in and keeps the old data for rollback', async () => {
+    const db = createDb(liveAndStaged())
+    const pointer = await activateStaging(db)
+
+    names.forEach(name => {
+      assert.equal(db.store.get(name), `new ${name}`)
+      assert.equal(db.store.get(`${name}_prev`), `old ${name}`)
+      assert.equal(db.store.has(`${name}_next`), false)
+    })
+    assert.equal(db.store.get(DATASET_POINTER_COLLECTION).version, pointer.version)
+  })
+
+  it('puts the old dataset back when a rename fails partway', async () => {
+    const db = createDb(liveAndStaged(), { failRenameTo: COLLECTIONS.WORKS_COMPLETED })
+    await assert.rejects(activateStaging(db), /not primary/)
+
+    names.forEach(name => assert.equal(db.store.get(name), `old ${name}`))
+    names.forEach(name => assert.equal(db.store.get(`${name}_prev`), `old ${name}`))
+    assert.equal(db.store.has(DATASET_POINTER_COLLECTION), false)
+  })
+
+  it('drops collections that were new in the failed sync', async () => {
+    const collections = liveAndStaged()
+    delete collections[COLLECTIONS.MPs]
+    const db = createDb(collections, { failRenameTo: COLLECTIONS.SUMMARIES })
+    await assert.rejects(activateStaging(db), /not primary/)
+
+    assert.equal(db.store.has(COLLECTIONS.MPs), false)
+    assert.equal(db.store.get(COLLECTIONS.ALLOCATIONS), `old ${COLLECTIONS.ALLOCATIONS}`)
+  })
+})
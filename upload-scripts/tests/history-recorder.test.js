@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { ObjectId } = require('mongodb')
+const { diffRecords } = require('../src/change-tracker')
+const { buildHistoryEntries, createHistoryRecorder } = require('../src/history-recorder')
+
+const SYNCED_AT = new Date('2025-01-02T00:00:00Z')
+
+const work = overrides => ({
+  workId: 101,
+  mpName: 'Test Member',
+  mpId: 'mp-test-member',
+  mp_id: new ObjectId(),
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  state: 'Karnataka',
+  constituency: 'Gulbarga',
+  workDescription: 'Road from the bus stand to the market',
+  workCategory: 'Roads',
+  ida: 'District Panchayat',
+  completedDate: new Date('2024-06-01'),
+  finalAmount: 500000,
+  hasImage: false,
+  averageRating: null,
+  ...overrides,
+})
+
+// The stored copy of a record as a full sync rewrites it: new mps _id, same portal data
+const resynced = record => ({ ...record, _id: undefined, mp_id: new ObjectId() })
+
+describe('history recorder', () => {
+  it('records nothing when a resync only reassigns MP ids', async () => {
+    const stored = [work({ _id: new ObjectId() }), work({ _id: new ObjectId(), workId: 102 })]
+    const diff = diffRecords('works_completed', stored, stored.map(resynced))
+
+    assert.equal(diff.updated.length, 2)
+    assert.deepEqual(buildHistoryEntries('works_completed', diff, SYNCED_AT), [])
+
+    const db = {
+      collection: () => ({
+        createIndex: () => assert.fail('no indexes expected'),
+        insertMany: () => assert.fail('no history expected'),
+      }),
+    }
+    const recorder = createHistoryRecorder(db)
+    assert.equal(await recorder.record('works_completed', diff), 0)
+    assert.equal(recorder.entriesWritten, 0)
+  })
+
+  it('records only the portal fields that changed', () => {
+    const stored = work({ _id: new ObjectId() })
+    const diff = diffRecords(
+      'works_completed',
+      [stored],
+      [resynced({ ...stored, finalAmount: 650000 })]
+    )
+    const entries = buildHistoryEntries('works_completed', diff, SYNCED_AT)
+
+    assert.equal(entries.length, 1)
+    assert.equal(entries[0].changeType, 'updated')
+    assert.deepEqual(entries[0].changes, [{ field: 'finalAmount', before: 500000, after: 650000 }])
+  })
+
+  it('treats the first load of a scope as the baseline', () => {
+    const diff = diffRecords('works_completed', [], [work()])
+    assert.deepEqual(buildHistoryEntries('works_completed', diff, SYNCED_AT), [])
+  })
+
+  it('snapshots added and removed records', () => {
+    const kept = work({ _id: new ObjectId() })
+    const gone = work({ _id: new ObjectId(), workId: 102 })
+    const diff = diffRecords('works_completed', [kept, gone], [kept, work({ workId: 103 })])
+    const entries = buildHistoryEntries('works_completed', diff, SYNCED_AT)
+
+    assert.deepEqual(
+      entries.map(({ workId, changeType }) => [workId, changeType]),
+      [
+        [103, 'added'],
+        [102, 'removed'],
+      ]
+    )
+    assert.equal(entries[0].snapshot.finalAmount, 500000)
+    assert.equal('mp_id' in entries[0].snapshot, false)
+  })
+})
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { nameKey, resolveMP } = require('../src/mp-identity')
+
+const tenure = overrides => ({
+  mpName: 'Shashi Tharoor',
+  state: 'Kerala',
+  house: 'Lok Sabha',
+  lsTerm: 18,
+  constituency: 'Thiruvananthapuram',
+  ...overrides,
+})
+
+describe('nameKey', () => {
+  it('ignores honorifics, word order and case', () => {
+    const key = nameKey('Shashi Tharoor')
+
+    assert.equal(nameKey('Dr. Shashi Tharoor'), key)
+    assert.equal(nameKey('SHASHI THAROOR'), key)
+    assert.equal(nameKey('Tharoor Shashi'), key)
+  })
+
+  it('keeps different people apart', () => {
+    assert.notEqual(nameKey('Shashi Tharoor'), nameKey('Shashi Kumar'))
+  })
+})
+
+describe('resolveMP', () => {
+  it('gives every spelling and tenure of one MP the same ID', () => {
+    const identity = resolveMP(tenure())
+
+    assert.equal(identity.overridden, false)
+    assert.match(identity.mpId, /^mp_[0-9a-f]{12}$/)
+    assert.deepEqual(resolveMP(tenure({ mpName: 'Dr. SHASHI THAROOR', lsTerm: 17 })), identity)
+    assert.deepEqual(resolveMP(tenure({ mpName: 'Tharoor Shashi', lsTerm: 16 })), identity)
+  })
+
+  it('separates namesakes from different states', () => {
+    assert.notEqual(resolveMP(tenure({ state: 'Karnataka' })).mpId, resolveMP(tenure()).mpId)
+  })
+
+  it('returns null for a record without a name', () => {
+    assert.equal(resolveMP(tenure({ mpName: '' })), null)
+    assert.equal(resolveMP(tenure({ mpName: 'Dr.' })), null)
+  })
+})